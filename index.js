@@ -36,9 +36,15 @@ const BaseExchange = require('./lib/BaseExchange');
 const errors = require('./lib/utils/errors');
 
 // Utilities
-const { hmacSHA256, hmacSHA256Base64, sha256, md5, hmacMD5, krakenSign, sha512, hmacSHA512Hex, hmacSHA384Hex, base64UrlEncode, signJWT } = require('./lib/utils/crypto');
+const { hmacSHA256, hmacSHA256Base64, sha256, md5, hmacMD5, krakenSign, sha512, hmacSHA512Hex, hmacSHA384Hex, base64UrlEncode, signJWT, crc32 } = require('./lib/utils/crypto');
 const Throttler = require('./lib/utils/throttler');
 const WsClient = require('./lib/utils/ws');
+const OrderBook = require('./lib/utils/orderbook');
+const Transport = require('./lib/utils/transport');
+const Recorder = require('./lib/utils/recorder');
+const MockExchangeServer = require('./lib/mock/server');
+const MatchingEngine = require('./lib/mock/engine');
+const PaperExchange = require('./lib/PaperExchange');
 
 module.exports = {
   // Exchanges
@@ -121,8 +127,15 @@ module.exports = {
   hmacSHA384Hex,
   base64UrlEncode,
   signJWT,
+  crc32,
   Throttler,
   WsClient,
+  OrderBook,
+  Transport,
+  Recorder,
+  MockExchangeServer,
+  MatchingEngine,
+  PaperExchange,
 
   // Exchange list
   exchanges: ['binance', 'bybit', 'okx', 'kraken', 'gateio', 'kucoin', 'coinbase', 'bitfinex', 'bitstamp', 'bittrex', 'lbank', 'phemex', 'bitmart', 'bitrue', 'bitforex', 'pionex', 'bibox', 'whitebit', 'valr', 'bitexen', 'btcturk', 'btse', 'exmo', 'cointr', 'hotcoin', 'icrypex', 'jbex', 'pointpay', 'trubit', 'tradeogre'],
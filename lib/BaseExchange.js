@@ -1,9 +1,32 @@
 'use strict';
 
+const crypto = require('crypto');
 const EventEmitter = require('events');
 const Throttler = require('./utils/throttler');
-const { ExchangeError, NetworkError, RequestTimeout, RateLimitExceeded } = require('./utils/errors');
-const { sleep, iso8601 } = require('./utils/helpers');
+const OrderBook = require('./utils/orderbook');
+const Transport = require('./utils/transport');
+const Recorder = require('./utils/recorder');
+const {
+  ExchangeError, NetworkError, RequestTimeout, RateLimitExceeded, ExchangeNotAvailable,
+  BadRequest, BadSymbol, InvalidOrder, OrderLimitViolation,
+} = require('./utils/errors');
+const { sleep, iso8601, decimalToPrecision } = require('./utils/helpers');
+
+// Params that carry a client order id the exchange rejects duplicates of, so a retried
+// order placement cannot create a second order.
+const IDEMPOTENT_CLIENT_ID_KEYS = [
+  'clientOrderId', 'orderLinkId', 'clOrdId', 'clientOid',
+  'client_order_id', 'client_oid', 'customerOrderId',
+];
+
+// Every native client order id param. The others never make a POST retryable: Bitfinex `cid`
+// and Gate.io `text` are not deduplicated at all, and Binance `newClientOrderId` and Kraken
+// `cl_ord_id` are unique only among open orders — a market, IOC or FOK order that already
+// filled would be placed again.
+const CLIENT_ORDER_ID_KEYS = [...IDEMPOTENT_CLIENT_ID_KEYS, 'newClientOrderId', 'cl_ord_id', 'cid', 'text'];
+
+// createOrders()/cancelOrders() without a batch endpoint: single calls in flight at once
+const BATCH_CONCURRENCY = 5;
 
 /**
  * Abstract base class for all exchange implementations.
@@ -26,6 +49,31 @@ class BaseExchange extends EventEmitter {
     this.timeout = config.timeout || 30000;
     this.enableRateLimit = config.enableRateLimit !== false;
     this.verbose = config.verbose || false;
+    // Retry policy for transient failures (NetworkError, RequestTimeout, RateLimitExceeded,
+    // ExchangeNotAvailable). retry: false disables it.
+    this.retry = config.retry === false
+      ? { maxRetries: 0 }
+      : { maxRetries: 3, baseDelay: 500, maxDelay: 30000, ...(config.retry || {}) };
+    // HTTP/WebSocket transport: custom fetch, http(s) agent or proxy URL
+    this.transport = new Transport({ fetch: config.fetch, agent: config.agent, proxy: config.proxy });
+    // Offline testing: record: 'fixture.json' captures REST + WS traffic (call recorder.save()),
+    // replay: 'fixture.json' (or a fixtures object) serves it back without the network
+    this.recorder = undefined;
+    if (config.replay) {
+      this.recorder = typeof config.replay === 'string'
+        ? new Recorder({ mode: 'replay', path: config.replay })
+        : new Recorder({ mode: 'replay', fixtures: config.replay });
+    } else if (config.record) {
+      this.recorder = new Recorder({ mode: 'record', path: config.record });
+    }
+    // applyPrecision: true snaps createOrder amounts/prices to the market's step/tick size
+    this.applyPrecision = config.applyPrecision || false;
+    // validateOrders: true checks createOrder against market.active and limits before sending
+    this.validateOrders = config.validateOrders || false;
+    // generateClientOrderIds: true tags every createOrder without a clientOrderId with a
+    // generated one, starting with clientOrderIdPrefix
+    this.generateClientOrderIds = config.generateClientOrderIds || false;
+    this.clientOrderIdPrefix = config.clientOrderIdPrefix || '';
     this.options = config.options || {};
     this.postAsJson = false; // Bybit/OKX=true
     this.postAsFormEncoded = false; // Kraken=true
@@ -43,6 +91,9 @@ class BaseExchange extends EventEmitter {
     // WebSocket
     this._ws = null;
     this._wsHandlers = new Map();
+    this._orderBooks = new Map(); // symbol → OrderBook maintained by watchOrderBook()
+    this._wsRequests = new Map(); // request id → { resolve, reject, timer } awaiting a WS reply
+    this._wsRequestId = 0;
 
     // Apply describe()
     const desc = this.describe();
@@ -55,6 +106,10 @@ class BaseExchange extends EventEmitter {
     this.api = desc.api || {};
     this.timeframes = desc.timeframes || {};
     this.fees = desc.fees || {};
+    // Unified network code (ERC20, TRC20, ...) → the exchange's chain/method id
+    this.networks = desc.networks || {};
+    // Unified account name (spot, funding, margin, futures) → the exchange's account id
+    this.accounts = desc.accounts || {};
 
     // Override options from config
     if (config.options) {
@@ -86,6 +141,8 @@ class BaseExchange extends EventEmitter {
       api: {},
       timeframes: {},
       fees: {},
+      networks: {},
+      accounts: {},
     };
   }
 
@@ -117,6 +174,63 @@ class BaseExchange extends EventEmitter {
     throw new ExchangeError(this.id + ' fetchOHLCV() not implemented');
   }
 
+  // ===========================================================================
+  // Unified Public API — Derivatives Market Data
+  // ===========================================================================
+
+  /**
+   * Current funding of a perpetual:
+   * { info, symbol, markPrice, indexPrice, fundingRate, fundingTimestamp, fundingDatetime,
+   *   nextFundingRate, interval, timestamp, datetime }
+   * fundingRate is the rate of the next settlement at fundingTimestamp; nextFundingRate
+   * is the predicted rate after it where the venue publishes one. interval is like '8h'.
+   */
+  async fetchFundingRate(symbol, params = {}) {
+    throw new ExchangeError(this.id + ' fetchFundingRate() not implemented');
+  }
+
+  /**
+   * Funding rates keyed by symbol. Without a bulk endpoint each symbol is fetched on its
+   * own, so `symbols` is required then.
+   */
+  async fetchFundingRates(symbols = undefined, params = {}) {
+    if (!symbols || !symbols.length) {
+      throw new BadRequest(this.id + ' fetchFundingRates() requires symbols');
+    }
+    const rates = await Promise.all(symbols.map((s) => this.fetchFundingRate(s, params)));
+    return Object.fromEntries(rates.map((r) => [r.symbol, r]));
+  }
+
+  /**
+   * Settled funding rates, oldest first: [{ info, symbol, fundingRate, timestamp, datetime }].
+   */
+  async fetchFundingRateHistory(symbol, since = undefined, limit = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchFundingRateHistory() not implemented');
+  }
+
+  /**
+   * Mark price candles, in the fetchOHLCV() format (volume is 0 or undefined).
+   */
+  async fetchMarkOHLCV(symbol, timeframe = '1m', since = undefined, limit = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchMarkOHLCV() not implemented');
+  }
+
+  /**
+   * Index price candles, in the fetchOHLCV() format (volume is 0 or undefined).
+   */
+  async fetchIndexOHLCV(symbol, timeframe = '1m', since = undefined, limit = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchIndexOHLCV() not implemented');
+  }
+
+  /**
+   * Open interest of a contract:
+   * { info, symbol, openInterestAmount, openInterestValue, timestamp, datetime }
+   * The amount is in contracts and the value in the quote (or settle) currency.
+   */
+  async fetchOpenInterest(symbol, params = {}) {
+    throw new ExchangeError(this.id + ' fetchOpenInterest() not implemented');
+  }
+
   // ===========================================================================
   // Unified Private API — Trading
   // ===========================================================================
@@ -133,6 +247,66 @@ class BaseExchange extends EventEmitter {
     return this.createOrder(symbol, 'MARKET', side, amount, undefined, params);
   }
 
+  /**
+   * Stop-loss order: triggers when the price moves against the position — falls to
+   * stopLossPrice for a sell, rises to it for a buy — then executes as `type`.
+   */
+  async createStopLossOrder(symbol, type, side, amount, price = undefined, stopLossPrice = undefined, params = {}) {
+    if (!this.has.createStopLossOrder) throw new ExchangeError(this.id + ' createStopLossOrder() not supported');
+    if (stopLossPrice === undefined || stopLossPrice === null) {
+      throw new InvalidOrder(this.id + ' createStopLossOrder() requires stopLossPrice');
+    }
+    return this.createOrder(symbol, type, side, amount, price, { ...params, stopLossPrice });
+  }
+
+  /**
+   * Take-profit order: triggers when the price moves in favour — rises to
+   * takeProfitPrice for a sell, falls to it for a buy — then executes as `type`.
+   */
+  async createTakeProfitOrder(symbol, type, side, amount, price = undefined, takeProfitPrice = undefined, params = {}) {
+    if (!this.has.createTakeProfitOrder) throw new ExchangeError(this.id + ' createTakeProfitOrder() not supported');
+    if (takeProfitPrice === undefined || takeProfitPrice === null) {
+      throw new InvalidOrder(this.id + ' createTakeProfitOrder() requires takeProfitPrice');
+    }
+    return this.createOrder(symbol, type, side, amount, price, { ...params, takeProfitPrice });
+  }
+
+  /**
+   * Trailing stop: follows the best price by trailingPercent (e.g. 1 for 1%), or by
+   * params.trailingAmount in quote currency, and triggers on a pullback of that size.
+   * trailingTriggerPrice optionally delays activation until the price reaches it.
+   */
+  async createTrailingStopOrder(symbol, type, side, amount, price = undefined, trailingPercent = undefined, trailingTriggerPrice = undefined, params = {}) {
+    if (!this.has.createTrailingStopOrder) throw new ExchangeError(this.id + ' createTrailingStopOrder() not supported');
+    const request = { ...params };
+    if (trailingPercent !== undefined && trailingPercent !== null) request.trailingPercent = trailingPercent;
+    if (trailingTriggerPrice !== undefined && trailingTriggerPrice !== null) request.trailingTriggerPrice = trailingTriggerPrice;
+    if (request.trailingPercent === undefined && request.trailingAmount === undefined) {
+      throw new InvalidOrder(this.id + ' createTrailingStopOrder() requires trailingPercent or params.trailingAmount');
+    }
+    return this.createOrder(symbol, type, side, amount, price, request);
+  }
+
+  /**
+   * Change an open order's amount and/or price. Adapters with a native amend or edit
+   * endpoint override this. The default cancels the order and places the replacement;
+   * precision and limit checks on the replacement run before the cancel so a locally
+   * rejected edit leaves the original untouched. An omitted amount (or price, for
+   * non-market orders) is taken from the original via fetchOrder().
+   */
+  async editOrder(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    [amount, price] = await this._editOrderArgs(id, symbol, type, amount, price);
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+    await this.cancelOrder(id, symbol);
+    try {
+      return await this.createOrder(symbol, type, side, amount, price, params);
+    } catch (err) {
+      err.message = this.id + ' editOrder() canceled order ' + id + ' but the replacement failed: ' + err.message;
+      throw err;
+    }
+  }
+
   async cancelOrder(id, symbol = undefined, params = {}) {
     throw new ExchangeError(this.id + ' cancelOrder() not implemented');
   }
@@ -141,6 +315,27 @@ class BaseExchange extends EventEmitter {
     throw new ExchangeError(this.id + ' cancelAllOrders() not implemented');
   }
 
+  /**
+   * Place several orders. `orders` is [{ symbol, type, side, amount, price?, params? }];
+   * `params` applies to all of them. Resolves to one result per order, in input order:
+   * { success: true, order } or { success: false, error } — one failure does not stop
+   * the rest. Adapters with a batch endpoint override this; the default sends single
+   * createOrder() calls, BATCH_CONCURRENCY at a time through the rate limiter.
+   */
+  async createOrders(orders, params = {}) {
+    return this._settleEach(orders, (o) => this.createOrder(
+      o.symbol, o.type, o.side, o.amount, o.price, { ...params, ...(o.params || {}) },
+    ));
+  }
+
+  /**
+   * Cancel several orders by id. Same result shape as createOrders(); the default sends
+   * single cancelOrder() calls.
+   */
+  async cancelOrders(ids, symbol = undefined, params = {}) {
+    return this._settleEach(ids, (id) => this.cancelOrder(id, symbol, params));
+  }
+
   async fetchOrder(id, symbol = undefined, params = {}) {
     throw new ExchangeError(this.id + ' fetchOrder() not implemented');
   }
@@ -169,6 +364,247 @@ class BaseExchange extends EventEmitter {
     throw new ExchangeError(this.id + ' fetchTradingFees() not implemented');
   }
 
+  /**
+   * Every balance change of the account, oldest first:
+   * { info, id, timestamp, datetime, direction, account, referenceId, referenceAccount, type,
+   *   currency, amount, before, after, status, fee }
+   * type is 'trade', 'fee', 'deposit', 'withdrawal', 'transfer', 'rebate', 'funding' or 'other';
+   * amount is unsigned and direction ('in' | 'out') carries the sign. Page forward by calling
+   * again with since = last entry's timestamp + 1.
+   */
+  async fetchLedger(code = undefined, since = undefined, limit = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchLedger() not implemented');
+  }
+
+  // ===========================================================================
+  // Unified Private API — Funding
+  // ===========================================================================
+
+  /**
+   * Deposit address for a currency: { info, currency, network, address, tag }.
+   * params.network picks the chain (unified code such as 'TRC20', or the exchange's own id).
+   */
+  async fetchDepositAddress(code, params = {}) {
+    throw new ExchangeError(this.id + ' fetchDepositAddress() not implemented');
+  }
+
+  async createDepositAddress(code, params = {}) {
+    throw new ExchangeError(this.id + ' createDepositAddress() not implemented');
+  }
+
+  /**
+   * Deposit history as unified transactions:
+   * { info, id, txid, type, currency, network, amount, address, tag, status, fee, timestamp, datetime, updated }
+   * status is 'pending', 'ok', 'failed' or 'canceled'.
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchDeposits() not implemented');
+  }
+
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchWithdrawals() not implemented');
+  }
+
+  /**
+   * Withdraw to an external address. `tag` is the memo / destination tag where the
+   * chain needs one; params.network picks the chain. Returns a unified transaction.
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' withdraw() not implemented');
+  }
+
+  /**
+   * Fees per currency: { CODE: { info, withdraw: { fee, percentage }, deposit: { fee, percentage },
+   * networks: { NETWORK: { withdraw, deposit } } } }. `codes` limits the result.
+   */
+  async fetchDepositWithdrawFees(codes = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchDepositWithdrawFees() not implemented');
+  }
+
+  /**
+   * Move funds between the user's own accounts: fromAccount/toAccount are unified names
+   * ('spot', 'funding', 'margin', 'futures') or exchange account ids. params.fromSubAccount
+   * / params.toSubAccount name a sub-account on either side where the venue supports it.
+   * Returns { info, id, currency, amount, fromAccount, toAccount, status, timestamp, datetime }.
+   */
+  async transfer(code, amount, fromAccount, toAccount, params = {}) {
+    throw new ExchangeError(this.id + ' transfer() not implemented');
+  }
+
+  async fetchTransfers(code = undefined, since = undefined, limit = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchTransfers() not implemented');
+  }
+
+  // ===========================================================================
+  // Unified Private API — Positions (derivatives)
+  // ===========================================================================
+
+  /**
+   * Open derivatives positions, all of them or those in `symbols`:
+   * { info, id, symbol, side, contracts, contractSize, entryPrice, markPrice, notional,
+   *   unrealizedPnl, realizedPnl, liquidationPrice, leverage, marginMode, initialMargin,
+   *   maintenanceMargin, percentage, hedged, timestamp, datetime }
+   * side is 'long' or 'short' and contracts is unsigned; marginMode is 'cross' or 'isolated'.
+   */
+  async fetchPositions(symbols = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchPositions() not implemented');
+  }
+
+  /**
+   * The open position in `symbol`, or undefined when flat. In hedge mode a symbol can
+   * hold a long and a short position at once; params.side ('long' | 'short') picks one.
+   */
+  async fetchPosition(symbol, params = {}) {
+    const { side, ...rest } = params;
+    const positions = await this.fetchPositions([symbol], rest);
+    return positions.find((p) => p.symbol === symbol && (!side || p.side === side));
+  }
+
+  /**
+   * Close the whole position in `symbol` with a reduce-only market order for its size.
+   * `side` ('long' | 'short') picks the position in hedge mode. Returns the order.
+   */
+  async closePosition(symbol, side = undefined, params = {}) {
+    const position = await this.fetchPosition(symbol, side ? { side } : {});
+    if (!position || !position.contracts) {
+      throw new BadRequest(this.id + ' closePosition() found no open ' + symbol + ' position');
+    }
+    const orderSide = position.side === 'long' ? 'sell' : 'buy';
+    const request = { reduceOnly: true, ...this._closePositionParams(position), ...params };
+    return this.createOrder(symbol, 'market', orderSide, position.contracts, undefined, request);
+  }
+
+  /**
+   * Extra createOrder() params that tie closePosition()'s order to the position, such as
+   * a hedge-mode position index. None by default.
+   */
+  _closePositionParams(position) {
+    return {};
+  }
+
+  // ===========================================================================
+  // Unified Private API — Leverage & Margin (derivatives)
+  // ===========================================================================
+
+  /**
+   * Set the leverage of `symbol`. Returns the new setting in the fetchLeverage() format.
+   */
+  async setLeverage(leverage, symbol = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' setLeverage() not implemented');
+  }
+
+  /**
+   * Leverage of `symbol`: { info, symbol, marginMode, longLeverage, shortLeverage }.
+   * The two sides differ only in hedge mode.
+   */
+  async fetchLeverage(symbol, params = {}) {
+    throw new ExchangeError(this.id + ' fetchLeverage() not implemented');
+  }
+
+  /**
+   * Switch `symbol` to 'cross' or 'isolated' margin: { info, symbol, marginMode }.
+   * Some venues switch the whole account; their adapters say so.
+   */
+  async setMarginMode(marginMode, symbol = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' setMarginMode() not implemented');
+  }
+
+  /**
+   * Switch between hedge mode (hedged = true: separate long and short positions) and
+   * one-way mode: { info, hedged }.
+   */
+  async setPositionMode(hedged, symbol = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' setPositionMode() not implemented');
+  }
+
+  /**
+   * Move `amount` of collateral into an isolated position:
+   * { info, symbol, type, amount, total, code, status, timestamp, datetime }
+   */
+  async addMargin(symbol, amount, params = {}) {
+    return this._modifyMargin(symbol, amount, 'add', params);
+  }
+
+  /**
+   * Take `amount` of collateral out of an isolated position; same result as addMargin().
+   */
+  async reduceMargin(symbol, amount, params = {}) {
+    return this._modifyMargin(symbol, amount, 'reduce', params);
+  }
+
+  /**
+   * Shared body of addMargin() and reduceMargin(); `type` is 'add' or 'reduce'.
+   */
+  async _modifyMargin(symbol, amount, type, params) {
+    throw new ExchangeError(this.id + ' ' + type + 'Margin() not implemented');
+  }
+
+  /**
+   * Risk tiers of one contract, smallest first:
+   * [{ tier, symbol, currency, minNotional, maxNotional, maintenanceMarginRate, maxLeverage, info }]
+   */
+  async fetchMarketLeverageTiers(symbol, params = {}) {
+    throw new ExchangeError(this.id + ' fetchMarketLeverageTiers() not implemented');
+  }
+
+  /**
+   * Risk tiers keyed by symbol, one fetchMarketLeverageTiers() per symbol by default.
+   */
+  async fetchLeverageTiers(symbols = undefined, params = {}) {
+    if (!symbols || !symbols.length) {
+      throw new BadRequest(this.id + ' fetchLeverageTiers() requires symbols');
+    }
+    const tiers = await Promise.all(symbols.map((s) => this.fetchMarketLeverageTiers(s, params)));
+    return Object.fromEntries(symbols.map((s, i) => [s, tiers[i]]));
+  }
+
+  /**
+   * Validate a unified margin mode and return it lowercased.
+   */
+  _checkMarginMode(marginMode) {
+    const mode = String(marginMode).toLowerCase();
+    if (mode !== 'cross' && mode !== 'isolated') {
+      throw new BadRequest(this.id + ' marginMode must be \'cross\' or \'isolated\', got ' + marginMode);
+    }
+    return mode;
+  }
+
+  // ===========================================================================
+  // Unified Private API — Margin Borrowing (spot)
+  // ===========================================================================
+
+  /**
+   * Borrow `amount` of `code` on cross margin, or in the isolated margin account of
+   * `symbol` when one is given: { info, id, currency, amount, symbol, timestamp, datetime }
+   */
+  async borrowMargin(code, amount, symbol = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' borrowMargin() not implemented');
+  }
+
+  /**
+   * Repay a margin loan; same arguments and result as borrowMargin().
+   */
+  async repayMargin(code, amount, symbol = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' repayMargin() not implemented');
+  }
+
+  /**
+   * Current cost of borrowing `code`: { info, currency, rate, period, timestamp, datetime }.
+   * `rate` is charged per `period` milliseconds — hourly on most venues.
+   */
+  async fetchBorrowRate(code, params = {}) {
+    throw new ExchangeError(this.id + ' fetchBorrowRate() not implemented');
+  }
+
+  /**
+   * Interest charged on margin loans, oldest first:
+   * [{ info, currency, symbol, marginMode, interest, interestRate, amountBorrowed, timestamp, datetime }]
+   * `symbol` narrows it to one isolated pair where the venue keeps them apart.
+   */
+  async fetchBorrowInterest(code = undefined, symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' fetchBorrowInterest() not implemented');
+  }
+
   // ===========================================================================
   // WebSocket — Streaming
   // ===========================================================================
@@ -193,35 +629,166 @@ class BaseExchange extends EventEmitter {
     throw new ExchangeError(this.id + ' watchOrders() not implemented');
   }
 
+  /**
+   * Stream position changes; callback receives unified positions (see fetchPositions()).
+   */
+  async watchPositions(callback) {
+    throw new ExchangeError(this.id + ' watchPositions() not implemented');
+  }
+
+  /**
+   * Stream funding updates of a perpetual in the fetchFundingRate() format.
+   */
+  async watchFundingRate(symbol, callback) {
+    throw new ExchangeError(this.id + ' watchFundingRate() not implemented');
+  }
+
+  /**
+   * Stream mark prices: { symbol, markPrice, indexPrice, timestamp, datetime, info }.
+   */
+  async watchMarkPrice(symbol, callback) {
+    throw new ExchangeError(this.id + ' watchMarkPrice() not implemented');
+  }
+
+  // ===========================================================================
+  // WebSocket — Trading
+  // ===========================================================================
+
+  /**
+   * createOrder() over the exchange's trading socket; resolves with the same order as
+   * the REST call. A reply that does not arrive within `timeout` rejects with RequestTimeout.
+   */
+  async createOrderWs(symbol, type, side, amount, price = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' createOrderWs() not implemented');
+  }
+
+  async editOrderWs(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' editOrderWs() not implemented');
+  }
+
+  async cancelOrderWs(id, symbol = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' cancelOrderWs() not implemented');
+  }
+
+  async cancelAllOrdersWs(symbol = undefined, params = {}) {
+    throw new ExchangeError(this.id + ' cancelAllOrdersWs() not implemented');
+  }
+
   // ===========================================================================
   // Internal — HTTP Request Engine
   // ===========================================================================
 
   /**
    * Core HTTP request method. All API calls flow through here.
+   * Transient failures are retried with exponential backoff when the request is safe to
+   * repeat (see _canRetryRequest). Pass { retry: false } in params to opt a call out.
+   * With a recorder attached, calls are recorded to (or replayed from) a fixture.
    */
   async _request(method, path, params = {}, signed = false, weight = 1) {
+    if (this.recorder) {
+      return this.recorder.request({ method, path, params, signed },
+        () => this._requestWithRetry(method, path, params, signed, weight));
+    }
+    return this._requestWithRetry(method, path, params, signed, weight);
+  }
+
+  async _requestWithRetry(method, path, params = {}, signed = false, weight = 1) {
+    let retryable = true;
+    if (params && params.retry !== undefined) {
+      retryable = params.retry !== false;
+      params = { ...params };
+      delete params.retry;
+    }
+    retryable = retryable && this._canRetryRequest(method, path, params);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._performRequest(method, path, params, signed, weight);
+      } catch (err) {
+        const delay = retryable ? this._retryDelay(err, attempt) : undefined;
+        if (delay === undefined) throw err;
+        if (this.verbose) console.log('retry', attempt + 1, method, path, 'in', delay + 'ms:', err.message);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Whether a request may be sent again after a transient failure.
+   * Idempotent HTTP methods always qualify; POST only when it carries a client order id.
+   * Subclasses override for exchanges that use POST for reads (e.g., Kraken private API).
+   */
+  _canRetryRequest(method, path, params = {}) {
+    if (method === 'GET' || method === 'DELETE' || method === 'PUT') return true;
+    return IDEMPOTENT_CLIENT_ID_KEYS.some((key) => params[key] !== undefined && params[key] !== '');
+  }
+
+  /**
+   * Backoff before the next attempt, or undefined when the error should be thrown.
+   * Rate limits honor Retry-After; other errors use exponential backoff with jitter.
+   */
+  _retryDelay(err, attempt) {
+    const { maxRetries = 0, baseDelay = 500, maxDelay = 30000 } = this.retry || {};
+    if (attempt >= maxRetries) return undefined;
+    const transient = err instanceof NetworkError
+      || err instanceof RateLimitExceeded
+      || err instanceof ExchangeNotAvailable;
+    if (!transient) return undefined;
+    if (err.retryAfter !== undefined) {
+      return err.retryAfter <= maxDelay ? err.retryAfter : undefined;
+    }
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Retry-After header in milliseconds — either delay-seconds or an HTTP-date
+   * (RFC 9110 §10.2.3). Undefined when absent or unparseable.
+   */
+  _parseRetryAfter(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const trimmed = String(value).trim();
+    if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10) * 1000;
+    const date = Date.parse(trimmed);
+    if (isNaN(date)) return undefined;
+    return Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Send a single HTTP request: rate limiting, signing, fetch and error mapping.
+   */
+  async _performRequest(method, path, params = {}, signed = false, weight = 1) {
     // Rate limiting
     if (this.enableRateLimit && this._throttler) {
       await this._throttler.consume(weight);
     }
 
     const baseUrl = this._getBaseUrl(signed);
-    let url = baseUrl + path;
+    // Adapters with a second API host pass its endpoints as absolute URLs
+    let url = /^https?:\/\//.test(path) ? path : baseUrl + path;
     const headers = {};
+    let body;
 
     // Signing
     if (signed) {
-      const signResult = this._sign(path, method, { ...params });
+      // Batch endpoints (OKX, Gate.io) take a JSON array body — copy it as an array
+      const signResult = this._sign(path, method, Array.isArray(params) ? [...params] : { ...params });
       params = signResult.params || params;
       if (signResult.headers) Object.assign(headers, signResult.headers);
       if (signResult.url) url = signResult.url;
+      body = signResult.body;
     }
 
     // Build fetch options
     const fetchOptions = { method, headers, signal: AbortSignal.timeout(this.timeout) };
 
-    if (method === 'GET' || method === 'DELETE' || method === 'PUT') {
+    if (body !== undefined) {
+      // _sign() supplied an explicit JSON body (e.g., DELETE with a body on BTSE/VALR/Pionex)
+      headers['Content-Type'] = 'application/json';
+      if (Object.keys(body).length > 0) {
+        fetchOptions.body = JSON.stringify(body);
+      }
+    } else if (method === 'GET' || method === 'DELETE' || method === 'PUT') {
       const qs = new URLSearchParams(params).toString();
       if (qs) url += '?' + qs;
     } else {
@@ -249,8 +816,9 @@ class BaseExchange extends EventEmitter {
 
     let response;
     try {
-      response = await fetch(url, fetchOptions);
+      response = await this._fetch(url, fetchOptions);
     } catch (err) {
+      if (err instanceof ExchangeError) throw err;
       if (err.name === 'TimeoutError' || err.name === 'AbortError') {
         throw new RequestTimeout(this.id + ' request timed out (' + this.timeout + 'ms)');
       }
@@ -262,10 +830,12 @@ class BaseExchange extends EventEmitter {
 
     // 429 — Rate limited
     if (response.status === 429 || response.status === 418) {
-      const retryAfter = response.headers.get('Retry-After') || '60';
-      throw new RateLimitExceeded(
-        this.id + ' rate limited. Retry after ' + retryAfter + 's'
+      const delay = this._parseRetryAfter(response.headers.get('Retry-After'));
+      const err = new RateLimitExceeded(
+        this.id + ' rate limited. Retry after ' + (delay !== undefined ? Math.ceil(delay / 1000) : 60) + 's'
       );
+      if (delay !== undefined) err.retryAfter = delay;
+      throw err;
     }
 
     const text = await response.text();
@@ -281,6 +851,75 @@ class BaseExchange extends EventEmitter {
     }
   }
 
+  /**
+   * Single HTTP transport: every REST call (and any auxiliary HTTP request, e.g. a
+   * Socket.IO handshake) goes through here so config.fetch / agent / proxy apply.
+   */
+  async _fetch(url, options = {}) {
+    if (this.recorder && this.recorder.replaying) {
+      throw new NetworkError(this.id + ' network disabled in replay mode (' + url + ')');
+    }
+    return this.transport.fetch(url, options);
+  }
+
+  /**
+   * Options for WsClient connections made by this exchange (agent / proxy / recorder).
+   */
+  _wsClientOptions(options = {}) {
+    const result = { ...options };
+    const agent = this.recorder && this.recorder.replaying ? undefined : this.transport.httpAgent;
+    if (agent) result.agent = agent;
+    if (this.recorder) result.createSocket = (url, wsOptions) => this.recorder.createSocket(url, wsOptions);
+    return result;
+  }
+
+  /**
+   * Next id for a WebSocket request (unique per exchange instance).
+   */
+  _nextWsRequestId() {
+    this._wsRequestId += 1;
+    return this._wsRequestId;
+  }
+
+  /**
+   * Send a request over a WebSocket and resolve with the reply the adapter routes to
+   * _resolveWsRequest() under the same id. Without a reply within this.timeout the
+   * promise rejects with RequestTimeout.
+   */
+  _wsRequest(client, id, message) {
+    const key = String(id);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._wsRequests.delete(key);
+        reject(new RequestTimeout(this.id + ' WebSocket request ' + key + ' timed out after ' + this.timeout + 'ms'));
+      }, this.timeout);
+      this._wsRequests.set(key, { resolve, reject, timer });
+      client.send(message);
+    });
+  }
+
+  /**
+   * Settle a pending _wsRequest(): with an error it rejects, otherwise it resolves with
+   * result. Returns false when no request with that id is waiting.
+   */
+  _resolveWsRequest(id, error, result) {
+    const key = String(id);
+    const pending = this._wsRequests.get(key);
+    if (!pending) return false;
+    this._wsRequests.delete(key);
+    clearTimeout(pending.timer);
+    if (error) pending.reject(error);
+    else pending.resolve(result);
+    return true;
+  }
+
+  /**
+   * Reject every pending _wsRequest(), e.g. when its socket closes.
+   */
+  _rejectWsRequests(error) {
+    for (const id of [...this._wsRequests.keys()]) this._resolveWsRequest(id, error);
+  }
+
   /**
    * Get base URL for requests. Subclasses override for different API families.
    */
@@ -290,7 +929,8 @@ class BaseExchange extends EventEmitter {
 
   /**
    * Sign a request. Subclasses MUST override for authenticated endpoints.
-   * @returns {{ params, headers, url? }}
+   * url replaces base URL + path; body, when set, is sent as JSON instead of serializing params.
+   * @returns {{ params, headers, url?, body? }}
    */
   _sign(path, method, params) {
     throw new ExchangeError(this.id + ' _sign() not implemented');
@@ -310,19 +950,826 @@ class BaseExchange extends EventEmitter {
     throw new ExchangeError(this.id + ' HTTP ' + status + ': ' + body);
   }
 
+  // ===========================================================================
+  // Internal — Local Order Books
+  // ===========================================================================
+
+  /**
+   * Get (or create) the local order book for a symbol.
+   */
+  _getOrderBook(symbol, depth = undefined) {
+    let book = this._orderBooks.get(symbol);
+    if (!book) {
+      book = new OrderBook({ symbol, depth });
+      this._orderBooks.set(symbol, book);
+    } else if (depth !== undefined) {
+      book.depth = depth;
+    }
+    return book;
+  }
+
+  /**
+   * Merge one parsed order book message into the local book and hand the full book to callback.
+   * @param {Object} message - { snapshot, bids, asks, timestamp, nonce, firstNonce?, prevNonce?, checksum? }
+   * @param {Object} [options] - { depth, limit, fetchSnapshot, snapshotLimit, snapshotParams, checksum, resubscribe }
+   *   depth caps stored levels, limit caps emitted levels. fetchSnapshot seeds the book from
+   *   fetchOrderBook() for streams that only send deltas; a function is called instead when the
+   *   seed needs more than the unified book (e.g., raw level strings for checksums).
+   *   checksum(book) recomputes the exchange
+   *   checksum to compare with message.checksum. resubscribe() requests a fresh stream snapshot
+   *   and is preferred over fetchOrderBook() when the book has to be rebuilt.
+   */
+  _handleOrderBookMessage(symbol, message, callback, options = {}) {
+    const book = this._getOrderBook(symbol, options.depth);
+
+    if (message.snapshot) {
+      book.reset(message);
+      book.resyncing = false;
+      book.cache = [];
+      if (this._verifyOrderBookChecksum(book, message.checksum, callback, options)) {
+        callback(book.toObject(options.limit));
+      }
+      return;
+    }
+
+    if (book.synced) {
+      const status = book.update(message);
+      if (status === 'applied' && this._verifyOrderBookChecksum(book, message.checksum, callback, options)) {
+        callback(book.toObject(options.limit));
+      }
+      if (status !== 'gap') return;
+      book.synced = false;
+      book.cache = [];
+    }
+
+    // Not synced — buffer until a snapshot arrives. Books that were live before
+    // (sequence gap) and delta-only streams are rebuilt.
+    book.cache.push(message);
+    if (book.cache.length > 1000) book.cache.shift();
+    const wasLive = book.timestamp !== undefined;
+    if ((options.fetchSnapshot || wasLive) && !book.resyncing) {
+      this._recoverOrderBook(book, callback, options);
+    }
+  }
+
+  /**
+   * Compare an exchange-provided checksum with the local book.
+   * On mismatch emits 'checksumMismatch', marks the book unsynced and rebuilds it.
+   * @returns {boolean} false when the book is known to be corrupt
+   */
+  _verifyOrderBookChecksum(book, expected, callback, options = {}) {
+    if (expected === undefined || expected === null || !options.checksum) return true;
+    const actual = options.checksum(book);
+    if (actual === undefined || actual === Number(expected)) return true; // undefined → cannot compute
+    this.emit('checksumMismatch', { symbol: book.symbol, expected: Number(expected), actual });
+    book.synced = false;
+    book.cache = [];
+    this._recoverOrderBook(book, callback, options);
+    return false;
+  }
+
+  /**
+   * Rebuild an unsynced book: resubscribe for a fresh stream snapshot when the exchange
+   * supports it, otherwise fall back to fetchOrderBook().
+   */
+  _recoverOrderBook(book, callback, options = {}) {
+    if (!options.resubscribe) {
+      this._resyncOrderBook(book.symbol, callback, options);
+      return;
+    }
+    book.resyncing = true; // cleared by the snapshot that follows the resubscribe
+    Promise.resolve()
+      .then(() => options.resubscribe())
+      .catch((err) => {
+        book.resyncing = false;
+        if (this.listenerCount('error') > 0) this.emit('error', err);
+      });
+  }
+
+  /**
+   * Rebuild a local order book from fetchOrderBook() and replay the buffered deltas.
+   * Emits 'orderBookResync' on success; failures are emitted as 'error' when someone listens.
+   */
+  async _resyncOrderBook(symbol, callback, options = {}) {
+    const book = this._getOrderBook(symbol);
+    book.resyncing = true;
+    try {
+      const snapshot = typeof options.fetchSnapshot === 'function'
+        ? await options.fetchSnapshot()
+        : await this.fetchOrderBook(symbol, options.snapshotLimit, options.snapshotParams || {});
+      if (!book.resyncing) return; // a stream snapshot arrived in the meantime
+      book.reset(snapshot);
+      const cached = book.cache;
+      book.cache = [];
+      for (const delta of cached) {
+        if (book.update(delta) === 'gap') {
+          book.synced = false; // snapshot older than the buffer — next delta refetches
+          break;
+        }
+      }
+      book.resyncing = false;
+      this.emit('orderBookResync', { symbol, nonce: book.nonce, synced: book.synced });
+      if (book.synced) callback(book.toObject(options.limit));
+    } catch (err) {
+      book.resyncing = false;
+      book.synced = false;
+      if (this.listenerCount('error') > 0) this.emit('error', err);
+    }
+  }
+
   // ===========================================================================
   // Helpers
   // ===========================================================================
 
+  /**
+   * Look up a loaded market by unified symbol (BTC/USDT) or raw exchange ID (BTCUSDT).
+   */
   market(symbol) {
     if (!this._marketsLoaded) {
       throw new ExchangeError(this.id + ' markets not loaded. Call loadMarkets() first');
     }
-    const market = this.markets[symbol];
+    const market = this.markets[symbol] || this.marketsById[symbol];
     if (!market) throw new ExchangeError(this.id + ' unknown symbol: ' + symbol);
     return market;
   }
 
+  /**
+   * Unified symbol of a derivative: BTC/USDT:USDT for a perpetual, BTC/USD:BTC-250328
+   * for one expiring on 2025-03-28 (UTC).
+   */
+  _contractSymbol(base, quote, settle, expiry = undefined) {
+    const symbol = base + '/' + quote + ':' + settle;
+    if (!expiry) return symbol;
+    return symbol + '-' + new Date(expiry).toISOString().slice(2, 10).replace(/-/g, '');
+  }
+
+  /**
+   * Split a unified symbol into { base, quote, settle, expiry } (expiry as the YYMMDD
+   * suffix). settle is undefined for spot symbols; anything else returns undefined.
+   */
+  _symbolParts(symbol) {
+    const match = /^([^/:]+)\/([^/:]+)(?::([^-]+)(?:-(\d{6}))?)?$/.exec(String(symbol));
+    if (!match) return undefined;
+    return { base: match[1], quote: match[2], settle: match[3], expiry: match[4] };
+  }
+
+  /**
+   * Cost of `amount` at `price`. On contract markets amount counts contracts: a linear
+   * contract is worth contractSize × price in the quote currency, an inverse one
+   * contractSize / price in the settle currency.
+   */
+  _contractCost(market, amount, price) {
+    if (amount === undefined || amount === null || price === undefined || price === null) return undefined;
+    if (!market || !market.contract) return amount * price;
+    const size = market.contractSize || 1;
+    if (market.inverse) return price ? (amount * size) / price : 0;
+    return amount * size * price;
+  }
+
+  // ===========================================================================
+  // Precision — driven by loadMarkets() metadata
+  // ===========================================================================
+
+  /**
+   * Format an order amount for a market: a multiple of its stepSize, or
+   * precision.amount decimals when the exchange reports no step. Truncates by default
+   * so the order never exceeds the intended (or affordable) size.
+   * @param {string} symbol
+   * @param {number|string} amount
+   * @param {string} [mode] - 'truncate' or 'round'
+   * @returns {string}
+   */
+  amountToPrecision(symbol, amount, mode = 'truncate') {
+    const market = this.market(symbol);
+    return decimalToPrecision(amount, this._precisionStep(market.stepSize, market.precision?.amount), mode);
+  }
+
+  /**
+   * Format a price for a market: a multiple of its tickSize, or precision.price decimals.
+   * Rounds to the nearest tick by default.
+   */
+  priceToPrecision(symbol, price, mode = 'round') {
+    const market = this.market(symbol);
+    return decimalToPrecision(price, this._precisionStep(market.tickSize, market.precision?.price), mode);
+  }
+
+  /**
+   * Format a quote-currency cost (e.g. a market buy by cost) to precision.quote decimals.
+   */
+  costToPrecision(symbol, cost, mode = 'truncate') {
+    const market = this.market(symbol);
+    return decimalToPrecision(cost, this._precisionStep(undefined, market.precision?.quote), mode);
+  }
+
+  _precisionStep(step, digits) {
+    if (step > 0) return step;
+    if (digits !== undefined && digits !== null && digits >= 0) return Number('1e-' + digits);
+    return 1e-8;
+  }
+
+  /**
+   * Called at the top of every createOrder(). With applyPrecision on and the market
+   * loaded, returns [amount, price] snapped to the market's step/tick size; otherwise
+   * returns them unchanged. The values are Numbers, so adapters put them in requests with
+   * numberToString() — String(1e-7) is '1e-7', which venues reject.
+   */
+  _applyPrecision(symbol, amount, price) {
+    if (!this.applyPrecision || !this._marketsLoaded) return [amount, price];
+    if (!this.markets[symbol] && !this.marketsById[symbol]) return [amount, price];
+    return [
+      amount !== undefined && amount !== null ? Number(this.amountToPrecision(symbol, amount)) : amount,
+      price !== undefined && price !== null ? Number(this.priceToPrecision(symbol, price)) : price,
+    ];
+  }
+
+  /**
+   * Called in every createOrder() after _applyPrecision(). With validateOrders on and the
+   * markets loaded, throws OrderLimitViolation if the market is inactive or the amount,
+   * price or notional (amount × price) falls outside market.limits. Bounds that are
+   * missing or 0 (Binance's "no limit") are skipped, and so is the notional of market
+   * orders sent without a price.
+   */
+  _validateOrder(symbol, type, amount, price) {
+    if (!this.validateOrders || !this._marketsLoaded) return;
+    const market = this.markets[symbol] || this.marketsById[symbol];
+    if (!market) throw new BadSymbol(this.id + ' unknown symbol: ' + symbol);
+    if (market.active === false) {
+      throw new OrderLimitViolation(this.id + ' ' + market.symbol + ' market is not active (status ' + market.status + ')', {
+        symbol: market.symbol, limit: 'active', value: market.status,
+      });
+    }
+    const limits = market.limits || {};
+    const hasPrice = price !== undefined && price !== null && String(type).toLowerCase() !== 'market';
+    this._checkLimit(market, 'amount', amount, limits.amount);
+    if (hasPrice) {
+      this._checkLimit(market, 'price', price, limits.price);
+      this._checkLimit(market, 'cost', amount * price, limits.cost);
+    }
+  }
+
+  _checkLimit(market, name, value, bounds = {}) {
+    if (value === undefined || value === null) return;
+    const { min, max } = bounds;
+    if (min > 0 && value < min) {
+      throw new OrderLimitViolation(this.id + ' ' + market.symbol + ' order ' + name + ' ' + value
+        + ' is below the minimum ' + min + ' (limits.' + name + '.min)', {
+        symbol: market.symbol, limit: name + '.min', value, bound: min,
+      });
+    }
+    if (max > 0 && value > max) {
+      throw new OrderLimitViolation(this.id + ' ' + market.symbol + ' order ' + name + ' ' + value
+        + ' is above the maximum ' + max + ' (limits.' + name + '.max)', {
+        symbol: market.symbol, limit: name + '.max', value, bound: max,
+      });
+    }
+  }
+
+  /**
+   * Split the unified conditional-order params off createOrder() params:
+   *   - triggerPrice    → stop-style trigger (same direction as a stop loss)
+   *   - stopLossPrice   → stop loss
+   *   - takeProfitPrice → take profit
+   *   - trailingPercent / trailingAmount (+ trailingTriggerPrice) → trailing stop
+   * Returns { kind, triggerPrice, direction, trailingPercent, trailingAmount,
+   * trailingTriggerPrice, params } where kind is 'trigger', 'stopLoss', 'takeProfit',
+   * 'trailing' or undefined, direction is 'up' or 'down' (the price move that triggers
+   * the order), and params holds the remaining exchange-specific params.
+   */
+  _conditionalOrderParams(side, params = {}) {
+    const {
+      triggerPrice, stopLossPrice, takeProfitPrice, trailingPercent, trailingAmount, trailingTriggerPrice, ...rest
+    } = params;
+    const given = (value) => value !== undefined && value !== null;
+    const kinds = [];
+    if (given(triggerPrice)) kinds.push('trigger');
+    if (given(stopLossPrice)) kinds.push('stopLoss');
+    if (given(takeProfitPrice)) kinds.push('takeProfit');
+    if (given(trailingPercent) || given(trailingAmount)) kinds.push('trailing');
+    if (kinds.length > 1) {
+      throw new InvalidOrder(this.id + ' createOrder() accepts only one of triggerPrice, stopLossPrice, takeProfitPrice, trailingPercent/trailingAmount');
+    }
+    if (given(trailingPercent) && given(trailingAmount)) {
+      throw new InvalidOrder(this.id + ' createOrder() accepts trailingPercent or trailingAmount, not both');
+    }
+    if (given(trailingTriggerPrice) && !kinds.includes('trailing')) {
+      throw new InvalidOrder(this.id + ' createOrder() trailingTriggerPrice requires trailingPercent or trailingAmount');
+    }
+    const kind = kinds[0];
+    if (!kind) return { kind: undefined, params: rest };
+
+    const sell = String(side).toLowerCase() === 'sell';
+    const favourable = kind === 'takeProfit';
+    return {
+      kind,
+      triggerPrice: kind === 'stopLoss' ? stopLossPrice : kind === 'takeProfit' ? takeProfitPrice : triggerPrice,
+      direction: sell === favourable ? 'up' : 'down',
+      trailingPercent,
+      trailingAmount,
+      trailingTriggerPrice,
+      params: rest,
+    };
+  }
+
+  /**
+   * Split the unified execution params off createOrder() params:
+   *   - timeInForce → 'GTC', 'IOC', 'FOK' or 'PO' (any case); other values are left in
+   *                   params as the exchange's own spelling
+   *   - postOnly    → true is the same as timeInForce 'PO'
+   *   - reduceOnly  → true to only reduce an open position
+   * `supported` lists what the exchange can express: { timeInForce: [...], reduceOnly }
+   * (default: all four time-in-force values, no reduce-only). Anything else, post-only
+   * on a market order, or post-only combined with IOC/FOK throws InvalidOrder.
+   * Returns { timeInForce, postOnly, reduceOnly, params } with timeInForce undefined
+   * when none was asked for.
+   */
+  _orderExecutionParams(type, params = {}, supported = {}) {
+    const { timeInForce: rawTimeInForce, postOnly, reduceOnly, ...rest } = params;
+    const allowed = supported.timeInForce || ['GTC', 'IOC', 'FOK', 'PO'];
+    let timeInForce;
+    if (rawTimeInForce !== undefined && rawTimeInForce !== null) {
+      const upper = String(rawTimeInForce).toUpperCase();
+      if (['GTC', 'IOC', 'FOK', 'PO'].includes(upper)) {
+        timeInForce = upper;
+      } else {
+        rest.timeInForce = rawTimeInForce;
+      }
+    }
+    if (postOnly === true) {
+      if (timeInForce === 'IOC' || timeInForce === 'FOK') {
+        throw new InvalidOrder(this.id + ' createOrder() postOnly cannot be combined with timeInForce ' + timeInForce);
+      }
+      timeInForce = 'PO';
+    }
+    if (timeInForce === 'PO' && String(type).toUpperCase() === 'MARKET') {
+      throw new InvalidOrder(this.id + ' createOrder() postOnly requires a limit order');
+    }
+    if (timeInForce !== undefined && !allowed.includes(timeInForce)) {
+      throw new InvalidOrder(this.id + ' createOrder() does not support timeInForce ' + timeInForce
+        + ' (supported: ' + allowed.join(', ') + ')');
+    }
+    if (reduceOnly === true && !supported.reduceOnly) {
+      throw new InvalidOrder(this.id + ' createOrder() does not support reduceOnly');
+    }
+    return { timeInForce, postOnly: timeInForce === 'PO', reduceOnly: reduceOnly === true, params: rest };
+  }
+
+  /**
+   * Take the unified marginMode off createOrder() params. Returns { marginMode, params },
+   * marginMode undefined for a plain spot order.
+   */
+  _marginOrderParams(params = {}) {
+    const { marginMode, ...rest } = params;
+    if (marginMode === undefined || marginMode === null || marginMode === '') return { marginMode: undefined, params: rest };
+    return { marginMode: this._checkMarginMode(marginMode), params: rest };
+  }
+
+  /**
+   * Which balance fetchBalance() should read: params.account, or params.type as an alias
+   * ({ type: 'margin' }). A params.marginMode alone also means the margin account.
+   * Returns { account, marginMode, params }; marginMode is undefined outside margin and
+   * defaults to 'cross' inside it.
+   */
+  _balanceParams(params = {}) {
+    const { account, type, marginMode, ...rest } = params;
+    const name = account !== undefined ? account : type;
+    const margin = marginMode !== undefined || (name !== undefined && String(name).toLowerCase() === 'margin');
+    if (!margin) return { account: name, marginMode: undefined, params: rest };
+    return { account: 'margin', marginMode: this._checkMarginMode(marginMode || 'cross'), params: rest };
+  }
+
+  /**
+   * Check borrowMargin() / repayMargin() arguments; returns the upper-cased currency code.
+   */
+  _marginLoanArgs(method, code, amount) {
+    if (!code) throw new BadRequest(this.id + ' ' + method + '() requires a currency code');
+    if (!(Number(amount) > 0)) throw new BadRequest(this.id + ' ' + method + '() requires a positive amount');
+    return String(code).toUpperCase();
+  }
+
+  /**
+   * Take the unified clientOrderId off createOrder() params. When none is given and
+   * generateClientOrderIds is on, a new one comes from _generateClientOrderId() —
+   * unless params already carry the exchange's own client id field.
+   * Returns { clientOrderId, params } — clientOrderId is undefined when there is
+   * nothing to send.
+   */
+  _clientOrderIdParams(params = {}) {
+    const { clientOrderId, ...rest } = params;
+    if (clientOrderId !== undefined && clientOrderId !== null && clientOrderId !== '') {
+      return { clientOrderId: String(clientOrderId), params: rest };
+    }
+    const native = CLIENT_ORDER_ID_KEYS.some((key) => rest[key] !== undefined);
+    const generated = this.generateClientOrderIds && !native ? this._generateClientOrderId() : undefined;
+    return { clientOrderId: generated, params: rest };
+  }
+
+  /**
+   * clientOrderIdPrefix followed by random hex, 32 characters in total (at least 8 of
+   * them random). Adapters whose venue wants another format override this.
+   */
+  _generateClientOrderId() {
+    const prefix = this.clientOrderIdPrefix;
+    return prefix + crypto.randomBytes(16).toString('hex').slice(0, Math.max(8, 32 - prefix.length));
+  }
+
+  /**
+   * Work out which order fetchOrder()/cancelOrder() refer to: the exchange id, or
+   * params.clientOrderId when no id is given. Returns { id, clientOrderId, params } with
+   * exactly one of id/clientOrderId set. Throws BadRequest when neither is given, and
+   * when only a clientOrderId is given to a venue that cannot look orders up by it
+   * (supported false).
+   */
+  _orderReference(method, id, params = {}, supported = true) {
+    const { clientOrderId, ...rest } = params;
+    if (id !== undefined && id !== null && id !== '') {
+      return { id, clientOrderId: undefined, params: rest };
+    }
+    if (clientOrderId === undefined || clientOrderId === null || clientOrderId === '') {
+      throw new BadRequest(this.id + ' ' + method + '() requires an id or params.clientOrderId');
+    }
+    if (!supported) {
+      throw new BadRequest(this.id + ' ' + method + '() cannot look orders up by clientOrderId');
+    }
+    return { id: undefined, clientOrderId: String(clientOrderId), params: rest };
+  }
+
+  /**
+   * Exchange chain id for a network: a unified code from describe().networks, or the
+   * exchange's own id passed through unchanged. undefined stays undefined.
+   */
+  _networkId(network) {
+    if (network === undefined || network === null || network === '') return undefined;
+    const mapped = this.networks[String(network).toUpperCase()];
+    return mapped !== undefined ? mapped : network;
+  }
+
+  /**
+   * Unified network code for an exchange chain id; ids without a mapping are upper-cased.
+   */
+  _networkCode(networkId) {
+    if (networkId === undefined || networkId === null || networkId === '') return undefined;
+    for (const [code, id] of Object.entries(this.networks)) {
+      if (String(id).toLowerCase() === String(networkId).toLowerCase()) return code;
+    }
+    return String(networkId).toUpperCase();
+  }
+
+  /**
+   * Check withdraw() arguments and pull the shared ones off params. tag may also come as
+   * params.tag, the chain as params.network. Returns { tag, network, params } where network
+   * is already the exchange's id.
+   */
+  _withdrawArgs(code, amount, address, tag, params = {}) {
+    const { tag: paramTag, network, ...rest } = params;
+    if (!code) throw new BadRequest(this.id + ' withdraw() requires a currency code');
+    if (!address) throw new BadRequest(this.id + ' withdraw() requires an address');
+    if (!(Number(amount) > 0)) throw new BadRequest(this.id + ' withdraw() requires a positive amount');
+    const given = (value) => value !== undefined && value !== null && value !== '';
+    const memo = given(tag) ? tag : paramTag;
+    return { tag: given(memo) ? String(memo) : undefined, network: this._networkId(network), params: rest };
+  }
+
+  /**
+   * Exchange account id for a unified account name; unknown names pass through unchanged.
+   */
+  _accountId(account) {
+    if (account === undefined || account === null || account === '') return undefined;
+    const mapped = this.accounts[String(account).toLowerCase()];
+    return mapped !== undefined ? mapped : account;
+  }
+
+  /**
+   * Unified account name for an exchange account id — the first name that maps to it.
+   */
+  _accountName(accountId) {
+    if (accountId === undefined || accountId === null || accountId === '') return undefined;
+    for (const [name, id] of Object.entries(this.accounts)) {
+      if (String(id).toLowerCase() === String(accountId).toLowerCase()) return name;
+    }
+    return String(accountId).toLowerCase();
+  }
+
+  /**
+   * Check transfer() arguments. Returns { from, to, fromSubAccount, toSubAccount, params }
+   * with from/to as exchange account ids. A transfer must change the account or the
+   * (sub-)account holder.
+   */
+  _transferArgs(code, amount, fromAccount, toAccount, params = {}) {
+    const { fromSubAccount, toSubAccount, ...rest } = params;
+    if (!code) throw new BadRequest(this.id + ' transfer() requires a currency code');
+    if (!(Number(amount) > 0)) throw new BadRequest(this.id + ' transfer() requires a positive amount');
+    if (!fromAccount || !toAccount) throw new BadRequest(this.id + ' transfer() requires fromAccount and toAccount');
+    const from = this._accountId(fromAccount);
+    const to = this._accountId(toAccount);
+    if (from === to && !fromSubAccount && !toSubAccount) {
+      throw new BadRequest(this.id + ' transfer() from ' + fromAccount + ' to ' + toAccount + ' is the same account');
+    }
+    return { from, to, fromSubAccount, toSubAccount, params: rest };
+  }
+
+  /**
+   * Unified ledger entry from the fields an adapter parsed. A signed `amount` sets the
+   * direction unless one is given; `before` is derived from `after` when missing.
+   */
+  _ledgerEntry(fields) {
+    const { amount, direction, after, before, timestamp, status, ...rest } = fields;
+    const dir = direction || (amount < 0 ? 'out' : 'in');
+    const size = amount !== undefined && amount !== null ? Math.abs(amount) : undefined;
+    let start = before;
+    if (start === undefined && after !== undefined && size !== undefined) {
+      start = dir === 'in' ? after - size : after + size;
+    }
+    return {
+      id: undefined,
+      account: undefined,
+      referenceId: undefined,
+      referenceAccount: undefined,
+      type: 'other',
+      currency: undefined,
+      fee: undefined,
+      info: undefined,
+      ...rest,
+      direction: dir,
+      amount: size,
+      before: start,
+      after,
+      status: status || 'ok',
+      timestamp,
+      datetime: iso8601(timestamp),
+    };
+  }
+
+  /**
+   * One page of ledger entries for since-based paging: oldest first, at or after `since`,
+   * at most `limit` of them. Entries with the same timestamp keep their order, so pass
+   * them oldest first (reverse the newest-first lists most exchanges return).
+   */
+  _ledgerPage(entries, since = undefined, limit = undefined) {
+    let list = entries
+      .filter((e) => !since || (e.timestamp !== undefined && e.timestamp >= since))
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    if (limit && list.length > limit) list = list.slice(0, limit);
+    return list;
+  }
+
+  /**
+   * Unified position from the fields an adapter parsed. A signed `contracts` sets the side
+   * unless one is given; percentage is the unrealized PnL on initial margin when missing.
+   */
+  _position(fields) {
+    const { contracts, side, percentage, timestamp, ...rest } = fields;
+    const size = contracts !== undefined && contracts !== null ? Math.abs(contracts) : undefined;
+    let pct = percentage;
+    if (pct === undefined && rest.unrealizedPnl !== undefined && rest.initialMargin) {
+      pct = (rest.unrealizedPnl / rest.initialMargin) * 100;
+    }
+    return {
+      id: undefined,
+      symbol: undefined,
+      contractSize: undefined,
+      entryPrice: undefined,
+      markPrice: undefined,
+      notional: undefined,
+      unrealizedPnl: undefined,
+      realizedPnl: undefined,
+      liquidationPrice: undefined,
+      leverage: undefined,
+      marginMode: undefined,
+      initialMargin: undefined,
+      maintenanceMargin: undefined,
+      hedged: undefined,
+      info: undefined,
+      ...rest,
+      side: side || (contracts < 0 ? 'short' : 'long'),
+      contracts: size,
+      percentage: pct,
+      timestamp,
+      datetime: iso8601(timestamp),
+    };
+  }
+
+  /**
+   * Unified leverage setting; see fetchLeverage().
+   */
+  _leverage(fields) {
+    return {
+      info: undefined,
+      symbol: undefined,
+      marginMode: undefined,
+      longLeverage: undefined,
+      shortLeverage: undefined,
+      ...fields,
+    };
+  }
+
+  /**
+   * Unified margin change; see addMargin(). status is 'ok' once the venue accepted it.
+   */
+  _marginModification(fields) {
+    return {
+      info: undefined,
+      symbol: undefined,
+      type: undefined,
+      amount: undefined,
+      total: undefined,
+      code: undefined,
+      status: 'ok',
+      ...fields,
+      timestamp: fields.timestamp,
+      datetime: iso8601(fields.timestamp),
+    };
+  }
+
+  /**
+   * Number a venue's risk tiers from 1 and chain their bounds: a tier without a
+   * minNotional starts where the previous one ended.
+   */
+  _leverageTiers(symbol, tiers) {
+    let previous = 0;
+    return tiers.map((t, i) => {
+      const tier = {
+        tier: i + 1,
+        symbol,
+        currency: undefined,
+        maintenanceMarginRate: undefined,
+        maxLeverage: undefined,
+        info: undefined,
+        ...t,
+        minNotional: t.minNotional !== undefined ? t.minNotional : previous,
+        maxNotional: t.maxNotional,
+      };
+      previous = tier.maxNotional;
+      return tier;
+    });
+  }
+
+  /**
+   * Unified margin loan (borrowMargin() / repayMargin()).
+   */
+  _marginLoan(fields) {
+    return {
+      info: undefined,
+      id: undefined,
+      currency: undefined,
+      amount: undefined,
+      symbol: undefined,
+      ...fields,
+      timestamp: fields.timestamp,
+      datetime: iso8601(fields.timestamp),
+    };
+  }
+
+  /**
+   * Unified borrow rate; see fetchBorrowRate().
+   */
+  _borrowRate(fields) {
+    return {
+      info: undefined,
+      currency: undefined,
+      rate: undefined,
+      period: 3600000,
+      ...fields,
+      timestamp: fields.timestamp,
+      datetime: iso8601(fields.timestamp),
+    };
+  }
+
+  /**
+   * One interest charge; see fetchBorrowInterest().
+   */
+  _borrowInterest(fields) {
+    return {
+      info: undefined,
+      currency: undefined,
+      symbol: undefined,
+      marginMode: fields.symbol ? 'isolated' : 'cross',
+      interest: undefined,
+      interestRate: undefined,
+      amountBorrowed: undefined,
+      ...fields,
+      timestamp: fields.timestamp,
+      datetime: iso8601(fields.timestamp),
+    };
+  }
+
+  /**
+   * Unified funding rate from the fields an adapter parsed; fills the datetimes and
+   * leaves unknown fields undefined.
+   */
+  _fundingRate(fields) {
+    return {
+      symbol: undefined,
+      markPrice: undefined,
+      indexPrice: undefined,
+      fundingRate: undefined,
+      fundingTimestamp: undefined,
+      nextFundingRate: undefined,
+      interval: undefined,
+      info: undefined,
+      ...fields,
+      fundingDatetime: iso8601(fields.fundingTimestamp),
+      timestamp: fields.timestamp,
+      datetime: iso8601(fields.timestamp),
+    };
+  }
+
+  /**
+   * Unified open interest; see fetchOpenInterest().
+   */
+  _openInterest(fields) {
+    return {
+      symbol: undefined,
+      openInterestAmount: undefined,
+      openInterestValue: undefined,
+      info: undefined,
+      ...fields,
+      timestamp: fields.timestamp,
+      datetime: iso8601(fields.timestamp),
+    };
+  }
+
+  /**
+   * Resolve editOrder() amount and price for edits that restate the whole order: a
+   * missing amount becomes the original's remaining amount, a missing price (non-market
+   * orders only) its price. fetchOrder() is only called when something is missing.
+   */
+  async _editOrderArgs(id, symbol, type, amount, price) {
+    const market = String(type).toUpperCase() === 'MARKET';
+    const missing = (value) => value === undefined || value === null;
+    if (!missing(amount) && (market || !missing(price))) return [amount, price];
+    const original = await this.fetchOrder(id, symbol);
+    if (missing(amount)) amount = original.remaining || original.amount;
+    if (!market && missing(price)) price = original.price;
+    return [amount, price];
+  }
+
+  /**
+   * Amend endpoints answer with little more than the order id; fill in the requested
+   * type, side, amount and price so editOrder() returns a complete unified order.
+   */
+  _editedOrder(order, type, side, amount, price) {
+    return {
+      ...order,
+      type: String(type).toUpperCase(),
+      side: String(side).toUpperCase(),
+      price: price !== undefined && price !== null ? Number(price) : undefined,
+      amount: amount !== undefined && amount !== null ? Number(amount) : undefined,
+    };
+  }
+
+  async _settleEach(items, fn) {
+    const results = [];
+    for (let i = 0; i < items.length; i += BATCH_CONCURRENCY) {
+      const settled = await Promise.allSettled(items.slice(i, i + BATCH_CONCURRENCY).map((item) => fn(item)));
+      for (const s of settled) {
+        results.push(s.status === 'fulfilled' ? { success: true, order: s.value } : { success: false, error: s.reason });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Driver for native batch endpoints. build(item) turns one order (or id) into its
+   * request entry — a throw rejects only that item. send(entries, items) posts up to
+   * `size` entries at once and resolves to one { success, order | error } per entry;
+   * when a whole request fails, every item in it gets that error. Chunks go out in order.
+   */
+  async _sendBatch(items, size, build, send) {
+    const results = new Array(items.length);
+    const pending = [];
+    items.forEach((item, index) => {
+      try {
+        pending.push({ index, item, entry: build(item) });
+      } catch (error) {
+        results[index] = { success: false, error };
+      }
+    });
+    for (let i = 0; i < pending.length; i += size) {
+      const chunk = pending.slice(i, i + size);
+      let settled;
+      try {
+        settled = await send(chunk.map((p) => p.entry), chunk.map((p) => p.item));
+      } catch (error) {
+        settled = chunk.map(() => ({ success: false, error }));
+      }
+      chunk.forEach((p, k) => { results[p.index] = settled[k]; });
+    }
+    return results;
+  }
+
+  /**
+   * Turn a per-item batch failure into the error the exchange's error handler would
+   * throw for it, e.g. this._batchError(() => this._handleOkxError(sCode, sMsg)).
+   */
+  _batchError(handle) {
+    try {
+      handle();
+    } catch (error) {
+      return error;
+    }
+    return new ExchangeError(this.id + ' batch item failed');
+  }
+
   checkRequiredCredentials() {
     if (!this.apiKey) throw new ExchangeError(this.id + ' apiKey required');
     if (!this.secret) throw new ExchangeError(this.id + ' secret required');
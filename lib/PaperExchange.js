@@ -0,0 +1,548 @@
+'use strict';
+
+const EventEmitter = require('events');
+const {
+  ExchangeError, InsufficientFunds, InvalidOrder, OrderNotFound,
+} = require('./utils/errors');
+const { iso8601 } = require('./utils/helpers');
+
+function round(value) {
+  return Number(value.toFixed(10));
+}
+
+/**
+ * Paper-trading wrapper around any exchange instance.
+ *
+ * Market data (fetchTicker, fetchOrderBook, watchOrderBook, watchTrades, ...) goes to the
+ * real venue. Orders, balances and fills are simulated locally against the books and trades
+ * the wrapper sees, with the exchange's fees.trading maker/taker rates:
+ *
+ *   const paper = new PaperExchange(new Binance(), { balances: { USDT: 10000 } });
+ *   await paper.loadMarkets();
+ *   await paper.watchOrderBook('BTC/USDT', onBook);     // keeps resting orders filling
+ *   await paper.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 30000);
+ *
+ * - Market orders and the marketable part of limit orders fill immediately against the
+ *   current book (the live watchOrderBook book if there is one, else fetchOrderBook) at the
+ *   taker rate. Liquidity the book does not have is canceled.
+ * - Resting limit orders fill at their limit price, at the maker rate, when a later book
+ *   (watchOrderBook / fetchOrderBook) or trade (watchTrades) crosses them. Liquidity a
+ *   simulated fill took from a book level stays used while that level is unchanged or
+ *   shrinks, so resting orders share a level and do not refill from the same size.
+ * - Fees are charged in the quote currency. Open orders reserve their quote (buy) or base
+ *   (sell) amount, reported as `used` by fetchBalance. A market buy reserves the cost of
+ *   the liquidity still left in the book, and no fill ever draws free balance below zero.
+ */
+class PaperExchange extends EventEmitter {
+  /**
+   * @param {BaseExchange} exchange - Real exchange used for market data
+   * @param {Object} [config]
+   * @param {Object} [config.balances] - Starting balances, e.g. { USDT: 10000, BTC: 0.5 }
+   * @param {Object} [config.fees] - { maker, taker } overriding describe().fees.trading
+   */
+  constructor(exchange, config = {}) {
+    super();
+    if (!exchange) throw new ExchangeError('PaperExchange requires an exchange instance');
+    this.exchange = exchange;
+    this.id = exchange.id;
+    this.name = exchange.name;
+
+    const fees = exchange.describe().fees || {};
+    this.fees = { ...fees, trading: { maker: 0, taker: 0, ...fees.trading, ...config.fees } };
+
+    this.balances = {};
+    for (const [asset, amount] of Object.entries(config.balances || {})) {
+      this.balances[asset] = { free: amount, used: 0 };
+    }
+    this.orders = new Map();     // id → order
+    this.trades = [];
+    this._reserved = new Map();  // order id → reserved quote (buy) or base (sell)
+    this._liveBooks = new Map(); // symbol → latest watchOrderBook book
+    this._consumed = new Map();  // symbol → { asks, bids }: price → size taken by simulated fills
+    this._orderCallbacks = [];
+    this._nextOrderId = 1;
+    this._nextTradeId = 1;
+  }
+
+  get markets() {
+    return this.exchange.markets;
+  }
+
+  get has() {
+    return {
+      ...this.exchange.has,
+      editOrder: true,
+      createOrders: true,
+      cancelOrders: true,
+      createStopLossOrder: false,
+      createTakeProfitOrder: false,
+      createTrailingStopOrder: false,
+      createTriggerOrder: false,
+    };
+  }
+
+  describe() {
+    return this.exchange.describe();
+  }
+
+  market(symbol) {
+    return this.exchange.market(symbol);
+  }
+
+  milliseconds() {
+    return this.exchange.milliseconds();
+  }
+
+  // ===========================================================================
+  // Market Data — forwarded to the real exchange
+  // ===========================================================================
+
+  async loadMarkets(reload = false) {
+    return this.exchange.loadMarkets(reload);
+  }
+
+  async fetchTicker(symbol, params = {}) {
+    return this.exchange.fetchTicker(symbol, params);
+  }
+
+  async fetchTickers(symbols = undefined, params = {}) {
+    return this.exchange.fetchTickers(symbols, params);
+  }
+
+  async fetchOrderBook(symbol, limit = undefined, params = {}) {
+    const book = await this.exchange.fetchOrderBook(symbol, limit, params);
+    this._matchBook(symbol, book);
+    return book;
+  }
+
+  async fetchTrades(symbol, since = undefined, limit = undefined, params = {}) {
+    return this.exchange.fetchTrades(symbol, since, limit, params);
+  }
+
+  async fetchOHLCV(symbol, timeframe = '1m', since = undefined, limit = undefined, params = {}) {
+    return this.exchange.fetchOHLCV(symbol, timeframe, since, limit, params);
+  }
+
+  async watchTicker(symbol, callback) {
+    return this.exchange.watchTicker(symbol, callback);
+  }
+
+  async watchOrderBook(symbol, callback, limit = undefined) {
+    const onBook = (book) => {
+      this._liveBooks.set(symbol, book);
+      this._matchBook(symbol, book);
+      callback(book);
+    };
+    return limit === undefined
+      ? this.exchange.watchOrderBook(symbol, onBook)
+      : this.exchange.watchOrderBook(symbol, onBook, limit);
+  }
+
+  async watchTrades(symbol, callback) {
+    return this.exchange.watchTrades(symbol, (trade) => {
+      this._matchTrade(symbol, trade);
+      callback(trade);
+    });
+  }
+
+  async closeAllWs() {
+    this._liveBooks.clear();
+    return this.exchange.closeAllWs();
+  }
+
+  // ===========================================================================
+  // Trading — simulated
+  // ===========================================================================
+
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    const orderType = String(type).toUpperCase();
+    const orderSide = String(side).toUpperCase();
+    if (orderType !== 'LIMIT' && orderType !== 'MARKET') {
+      throw new InvalidOrder(this.id + ' paper trading supports limit and market orders, got ' + type);
+    }
+    if (orderSide !== 'BUY' && orderSide !== 'SELL') {
+      throw new InvalidOrder(this.id + ' invalid order side: ' + side);
+    }
+    if (this.exchange._conditionalOrderParams(side, params).kind) {
+      throw new InvalidOrder(this.id + ' paper trading does not simulate stop, take-profit or trailing orders');
+    }
+    const execution = this.exchange._orderExecutionParams(type, params);
+    const { clientOrderId } = this.exchange._clientOrderIdParams(execution.params);
+    if (clientOrderId !== undefined && this._openOrders().some((o) => o.clientOrderId === clientOrderId)) {
+      throw new InvalidOrder(this.id + ' duplicate clientOrderId ' + clientOrderId);
+    }
+    const timeInForce = execution.timeInForce || (orderType === 'LIMIT' ? 'GTC' : 'IOC');
+    [amount, price] = this.exchange._applyPrecision(symbol, amount, price);
+    this.exchange._validateOrder(symbol, type, amount, price);
+    if (!(amount > 0)) throw new InvalidOrder(this.id + ' order amount must be positive');
+    if (orderType === 'LIMIT' && !(price > 0)) throw new InvalidOrder(this.id + ' limit order requires a price');
+
+    const [base, quote] = symbol.split(':')[0].split('/');
+    const book = this._liveBooks.get(symbol) || await this.fetchOrderBook(symbol);
+    const limit = orderType === 'LIMIT' ? price : undefined;
+    const levels = orderSide === 'BUY' ? book.asks : book.bids;
+    if (execution.postOnly && levels && levels.length > 0 && this._crosses({ side: orderSide, price: limit }, levels[0][0])) {
+      throw new InvalidOrder(this.id + ' post-only order would take liquidity at ' + levels[0][0]);
+    }
+
+    // Liquidity the order can take: crossing levels less what simulated fills already used
+    const taken = this._consumed.get(symbol)?.[orderSide === 'BUY' ? 'asks' : 'bids'] || new Map();
+    const crossing = (levels || [])
+      .filter(([levelPrice]) => limit === undefined || this._crosses({ side: orderSide, price: limit }, levelPrice))
+      .map(([levelPrice, size]) => [levelPrice, round(size - (taken.get(levelPrice) || 0))])
+      .filter(([, size]) => size > 0);
+
+    // Reserve what the order can spend: the full notional for a limit buy, the cost of
+    // walking the available liquidity for a market buy (what the book cannot cover is
+    // canceled, not reserved), the amount for a sell
+    let reserve;
+    if (orderSide === 'BUY') {
+      const notional = limit !== undefined ? amount * limit : this._walkCost(crossing, amount);
+      reserve = round(notional * (1 + Math.max(this.fees.trading.maker, this.fees.trading.taker)));
+    } else {
+      reserve = amount;
+    }
+    const asset = orderSide === 'BUY' ? quote : base;
+    const wallet = this._wallet(asset);
+    if (wallet.free < reserve) {
+      throw new InsufficientFunds(this.id + ' insufficient ' + asset + ' balance: need ' + reserve + ', free ' + wallet.free);
+    }
+    wallet.free = round(wallet.free - reserve);
+    wallet.used = round(wallet.used + reserve);
+
+    const timestamp = this.milliseconds();
+    const order = {
+      id: String(this._nextOrderId++),
+      clientOrderId,
+      symbol,
+      type: orderType,
+      side: orderSide,
+      price: limit !== undefined ? limit : 0,
+      amount,
+      filled: 0,
+      remaining: amount,
+      cost: 0,
+      average: 0,
+      status: 'NEW',
+      timeInForce,
+      postOnly: execution.postOnly,
+      timestamp,
+      datetime: iso8601(timestamp),
+      lastTradeTimestamp: undefined,
+      fee: { cost: 0, currency: quote },
+      trades: [],
+      info: { paper: true },
+    };
+    this.orders.set(order.id, order);
+    this._reserved.set(order.id, reserve);
+    this._emitOrder(order, 'NEW');
+
+    // FOK fills completely against the book or not at all; IOC, FOK and market orders
+    // never rest
+    const fillable = crossing.reduce((sum, [, size]) => sum + size, 0);
+    if (timeInForce !== 'FOK' || fillable >= amount) {
+      for (const [levelPrice, size] of crossing) {
+        if (order.remaining <= 0) break;
+        const qty = Math.min(order.remaining, size);
+        taken.set(levelPrice, round((taken.get(levelPrice) || 0) + qty));
+        this._fill(order, qty, levelPrice, false);
+      }
+    }
+    if (order.status !== 'FILLED' && (orderType === 'MARKET' || timeInForce === 'IOC' || timeInForce === 'FOK')) {
+      this._close(order, 'CANCELED');
+    }
+    return this._view(order);
+  }
+
+  async createLimitOrder(symbol, side, amount, price, params = {}) {
+    return this.createOrder(symbol, 'LIMIT', side, amount, price, params);
+  }
+
+  async createMarketOrder(symbol, side, amount, params = {}) {
+    return this.createOrder(symbol, 'MARKET', side, amount, undefined, params);
+  }
+
+  async cancelOrder(id, symbol = undefined, params = {}) {
+    const order = this._findOrder('cancelOrder', id, params);
+    if (!order || !this._isOpen(order)) {
+      throw new OrderNotFound(this.id + ' order ' + (id || params.clientOrderId) + ' not found or already closed');
+    }
+    this._close(order, 'CANCELED');
+    return this._view(order);
+  }
+
+  /**
+   * Simulated edit: cancels the open order and places the replacement, which queues
+   * behind existing orders like a real cancel-replace. Omitted amount and price are
+   * taken from the original's remaining amount and limit price.
+   */
+  async editOrder(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    const original = this.orders.get(String(id));
+    if (!original || !this._isOpen(original)) throw new OrderNotFound(this.id + ' order ' + id + ' not found or already closed');
+    if (amount === undefined || amount === null) amount = original.remaining;
+    if ((price === undefined || price === null) && String(type).toUpperCase() === 'LIMIT') price = original.price;
+    await this.cancelOrder(id, symbol);
+    return this.createOrder(symbol || original.symbol, type, side, amount, price, params);
+  }
+
+  /**
+   * Simulated batches run one order at a time, in order, and report per-order results
+   * in the { success, order | error } shape of the live adapters.
+   */
+  async createOrders(orders, params = {}) {
+    const results = [];
+    for (const o of orders) {
+      try {
+        const order = await this.createOrder(o.symbol, o.type, o.side, o.amount, o.price, { ...params, ...(o.params || {}) });
+        results.push({ success: true, order });
+      } catch (error) {
+        results.push({ success: false, error });
+      }
+    }
+    return results;
+  }
+
+  async cancelOrders(ids, symbol = undefined, params = {}) {
+    const results = [];
+    for (const id of ids) {
+      try {
+        results.push({ success: true, order: await this.cancelOrder(id, symbol, params) });
+      } catch (error) {
+        results.push({ success: false, error });
+      }
+    }
+    return results;
+  }
+
+  async cancelAllOrders(symbol = undefined, params = {}) {
+    const open = this._openOrders(symbol);
+    for (const order of open) this._close(order, 'CANCELED');
+    return open.map((order) => this._view(order));
+  }
+
+  async fetchOrder(id, symbol = undefined, params = {}) {
+    const order = this._findOrder('fetchOrder', id, params);
+    if (!order) throw new OrderNotFound(this.id + ' order ' + (id || params.clientOrderId) + ' not found');
+    return this._view(order);
+  }
+
+  // By id, or by params.clientOrderId — the latest order that carried it
+  _findOrder(method, id, params) {
+    const ref = this.exchange._orderReference(method, id, params);
+    if (ref.id !== undefined) return this.orders.get(String(ref.id));
+    return [...this.orders.values()].reverse().find((o) => o.clientOrderId === ref.clientOrderId);
+  }
+
+  async fetchOpenOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    return this._filter(this._openOrders(symbol), since, limit).map((order) => this._view(order));
+  }
+
+  async fetchClosedOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    const closed = [...this.orders.values()].filter((o) => !this._isOpen(o) && (!symbol || o.symbol === symbol));
+    return this._filter(closed, since, limit).map((order) => this._view(order));
+  }
+
+  async fetchMyTrades(symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    const trades = this.trades.filter((t) => !symbol || t.symbol === symbol);
+    return this._filter(trades, since, limit).map((trade) => ({ ...trade, fee: { ...trade.fee } }));
+  }
+
+  async fetchBalance(params = {}) {
+    const timestamp = this.milliseconds();
+    const result = { info: { paper: true }, timestamp, datetime: iso8601(timestamp) };
+    for (const [asset, { free, used }] of Object.entries(this.balances)) {
+      result[asset] = { free, used, total: round(free + used) };
+    }
+    return result;
+  }
+
+  async fetchTradingFees(params = {}) {
+    return { ...this.fees.trading };
+  }
+
+  /**
+   * Subscribe to simulated order updates. The callback receives the order plus
+   * `event: 'order'` and `executionType` (NEW, TRADE, CANCELED).
+   */
+  async watchOrders(callback) {
+    this._orderCallbacks.push(callback);
+  }
+
+  // ===========================================================================
+  // Internal — matching
+  // ===========================================================================
+
+  _matchBook(symbol, book) {
+    const consumed = this._trackConsumed(symbol, book);
+    for (const order of this._openOrders(symbol)) {
+      if (order.type !== 'LIMIT') continue;
+      const side = order.side === 'BUY' ? 'asks' : 'bids';
+      const taken = consumed[side];
+      let qty = 0;
+      for (const [price, size] of book[side] || []) {
+        if (!this._crosses(order, price) || qty >= order.remaining) break;
+        const free = round(size - (taken.get(price) || 0));
+        if (free <= 0) continue;
+        const take = Math.min(order.remaining - qty, free);
+        taken.set(price, round((taken.get(price) || 0) + take));
+        qty = round(qty + take);
+      }
+      if (qty > 0) this._fill(order, qty, order.price, true);
+    }
+  }
+
+  /**
+   * Carry the sizes simulated fills took from each level over to a new book: kept while
+   * the level is still there, capped at its new size, dropped when it is gone.
+   */
+  _trackConsumed(symbol, book) {
+    const previous = this._consumed.get(symbol);
+    const next = { asks: new Map(), bids: new Map() };
+    if (previous) {
+      for (const side of ['asks', 'bids']) {
+        for (const [price, size] of book[side] || []) {
+          const taken = previous[side].get(price);
+          if (taken) next[side].set(price, Math.min(taken, size));
+        }
+      }
+    }
+    this._consumed.set(symbol, next);
+    return next;
+  }
+
+  _matchTrade(symbol, trade) {
+    let available = trade.amount;
+    for (const order of this._openOrders(symbol)) {
+      if (available <= 0) break;
+      if (order.type !== 'LIMIT' || !this._crosses(order, trade.price)) continue;
+      const qty = Math.min(order.remaining, available);
+      this._fill(order, qty, order.price, true);
+      available = round(available - qty);
+    }
+  }
+
+  _crosses(order, price) {
+    return order.side === 'BUY' ? price <= order.price : price >= order.price;
+  }
+
+  _walkCost(levels, amount) {
+    let remaining = amount;
+    let cost = 0;
+    for (const [price, size] of levels || []) {
+      if (remaining <= 0) break;
+      const qty = Math.min(remaining, size);
+      cost += qty * price;
+      remaining -= qty;
+    }
+    return cost;
+  }
+
+  _fill(order, amount, price, maker) {
+    const [base, quote] = order.symbol.split(':')[0].split('/');
+    const cost = round(amount * price);
+    const fee = round(cost * (maker ? this.fees.trading.maker : this.fees.trading.taker));
+    const timestamp = this.milliseconds();
+
+    // Settle against the order's reservation; anything beyond it comes from free balance
+    const spent = order.side === 'BUY' ? round(cost + fee) : amount;
+    const spentAsset = order.side === 'BUY' ? quote : base;
+    const reserved = this._reserved.get(order.id) || 0;
+    const fromReserve = Math.min(spent, reserved);
+    const spentWallet = this._wallet(spentAsset);
+    if (round(spent - fromReserve) > spentWallet.free) {
+      throw new InsufficientFunds(this.id + ' insufficient ' + spentAsset + ' balance to settle order ' + order.id
+        + ': need ' + round(spent - fromReserve) + ' beyond its reservation, free ' + spentWallet.free);
+    }
+    spentWallet.used = round(spentWallet.used - fromReserve);
+    spentWallet.free = round(spentWallet.free - (spent - fromReserve));
+    this._reserved.set(order.id, round(reserved - fromReserve));
+
+    if (order.side === 'BUY') {
+      const wallet = this._wallet(base);
+      wallet.free = round(wallet.free + amount);
+    } else {
+      const wallet = this._wallet(quote);
+      wallet.free = round(wallet.free + cost - fee);
+    }
+
+    const trade = {
+      id: String(this._nextTradeId++),
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side.toLowerCase(),
+      price,
+      amount,
+      cost,
+      fee: { cost: fee, currency: quote },
+      takerOrMaker: maker ? 'maker' : 'taker',
+      timestamp,
+      datetime: iso8601(timestamp),
+    };
+    this.trades.push(trade);
+
+    order.filled = round(order.filled + amount);
+    order.remaining = round(order.amount - order.filled);
+    order.cost = round(order.cost + cost);
+    order.average = order.cost / order.filled;
+    order.fee.cost = round(order.fee.cost + fee);
+    order.trades.push({ id: trade.id, price, amount, cost, fee: { ...trade.fee } });
+    order.lastTradeTimestamp = timestamp;
+    order.status = order.remaining <= 0 ? 'FILLED' : 'PARTIALLY_FILLED';
+    this._emitOrder(order, 'TRADE');
+    if (order.status === 'FILLED') this._release(order);
+  }
+
+  _close(order, status) {
+    order.status = status;
+    this._release(order);
+    this._emitOrder(order, status);
+  }
+
+  _release(order) {
+    const reserved = this._reserved.get(order.id) || 0;
+    this._reserved.delete(order.id);
+    if (reserved <= 0) return;
+    const [base, quote] = order.symbol.split(':')[0].split('/');
+    const wallet = this._wallet(order.side === 'BUY' ? quote : base);
+    wallet.used = round(wallet.used - reserved);
+    wallet.free = round(wallet.free + reserved);
+  }
+
+  _emitOrder(order, executionType) {
+    const update = { event: 'order', ...this._view(order), executionType };
+    for (const callback of this._orderCallbacks) callback(update);
+  }
+
+  // ===========================================================================
+  // Internal — state helpers
+  // ===========================================================================
+
+  _wallet(asset) {
+    if (!this.balances[asset]) this.balances[asset] = { free: 0, used: 0 };
+    return this.balances[asset];
+  }
+
+  _isOpen(order) {
+    return order.status === 'NEW' || order.status === 'PARTIALLY_FILLED';
+  }
+
+  _openOrders(symbol = undefined) {
+    return [...this.orders.values()].filter((o) => this._isOpen(o) && (!symbol || o.symbol === symbol));
+  }
+
+  _filter(items, since, limit) {
+    const result = since !== undefined ? items.filter((item) => item.timestamp >= since) : items;
+    return limit !== undefined ? result.slice(-limit) : result;
+  }
+
+  _view(order) {
+    return {
+      ...order,
+      fee: { ...order.fee },
+      trades: order.trades.map((t) => ({ ...t, fee: { ...t.fee } })),
+      info: { ...order.info },
+    };
+  }
+}
+
+module.exports = PaperExchange;
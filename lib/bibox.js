@@ -297,6 +297,8 @@ class Bibox extends BaseExchange {
       cost: filledAmount * price,
       average: filledAmount > 0 ? (filledAmount * price) / filledAmount : 0,
       status,
+      timeInForce: type === 'LIMIT' ? 'GTC' : 'IOC',
+      postOnly: false,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -411,6 +413,8 @@ class Bibox extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     if (type && type.toUpperCase() === 'MARKET') {
       throw new InvalidOrder(this.id + ' does not support market orders — only limit orders');
@@ -419,6 +423,10 @@ class Bibox extends BaseExchange {
       throw new InvalidOrder(this.id + ' createOrder requires price (only limit orders supported)');
     }
 
+    // Bibox v3 spot orders are good-till-canceled only
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC'] });
+    const client = this._clientOrderIdParams(execution.params);
+
     const orderSide = side.toUpperCase() === 'BUY' ? 1 : 2;
     const request = {
       pair: this._toBiboxSymbol(symbol),
@@ -426,14 +434,16 @@ class Bibox extends BaseExchange {
       order_type: 2,  // LIMIT
       price: parseFloat(price),
       amount: parseFloat(amount),
-      ...params,
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.client_oid = client.clientOrderId;
 
     const data = await this._request('POST', '/v3/spot/order/trade', request, true, 1);
     const result = this._unwrapResponse(data);
 
     return {
       id: safeString(data, 'order_id') || safeString(result, 'order_id'),
+      clientOrderId: client.clientOrderId,
       symbol,
       type: 'LIMIT',
       side: side.toUpperCase(),
@@ -442,6 +452,8 @@ class Bibox extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: 'GTC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: data,
@@ -450,6 +462,10 @@ class Bibox extends BaseExchange {
 
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    // v3 cancels by order_id only
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
+    params = ref.params;
 
     const request = {
       order_id: id,
@@ -499,7 +515,7 @@ class Bibox extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 10000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 10000 }));
 
     // Bibox: client sends {"ping": timestamp} every 10s
     client._startPing = function () {
@@ -588,7 +604,24 @@ class Bibox extends BaseExchange {
   async watchOrderBook(symbol, callback, limit = undefined) {
     const biboxSymbol = this._toBiboxSymbol(symbol);
     return this._subscribeBibox('depth', biboxSymbol, (msg) => {
-      callback(this._parseWsOrderBook(msg, symbol));
+      const ob = this._parseWsOrderBook(msg, symbol);
+      if (ob.dataType !== 1) {
+        this._handleOrderBookMessage(symbol, { snapshot: true, ...ob }, callback);
+        return;
+      }
+      // t=1 incremental: add → set level, del → remove level
+      const toLevel = (e) => (Array.isArray(e)
+        ? [parseFloat(e[0]), parseFloat(e[1])]
+        : [parseFloat(e.price), parseFloat(e.volume)]);
+      const toRemoved = (e) => [parseFloat(Array.isArray(e) ? e[0] : e.price), 0];
+      const add = ob.add || {};
+      const del = ob.del || {};
+      this._handleOrderBookMessage(symbol, {
+        snapshot: false,
+        bids: [...(del.bids || []).map(toRemoved), ...(add.bids || []).map(toLevel)],
+        asks: [...(del.asks || []).map(toRemoved), ...(add.asks || []).map(toLevel)],
+        timestamp: ob.timestamp,
+      }, callback);
     });
   }
 
@@ -632,6 +665,7 @@ class Bibox extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -1,19 +1,22 @@
 'use strict';
 
 const BaseExchange = require('./BaseExchange');
-const { hmacSHA256 } = require('./utils/crypto');
+const { hmacSHA256, ed25519Sign } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeFloat2, safeString2,
-  buildQueryRaw, iso8601, sleep,
+  buildQueryRaw, iso8601, sleep, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
   InsufficientFunds, InvalidOrder, OrderNotFound,
-  BadSymbol, BadRequest, ExchangeNotAvailable,
+  BadSymbol, BadRequest, ExchangeNotAvailable, NetworkError,
 } = require('./utils/errors');
 
+// Universal-transfer wallet ids → account types of the sub-account universalTransfer endpoint
+const BINANCE_SUB_ACCOUNT_TYPES = { MAIN: 'SPOT', MARGIN: 'MARGIN', UMFUTURE: 'USDT_FUTURE', CMFUTURE: 'COIN_FUTURE' };
+
 class Binance extends BaseExchange {
 
   describe() {
@@ -44,14 +47,33 @@ class Binance extends BaseExchange {
         fetchAllOrders: true,
         fetchMyTrades: true,
         fetchBalance: true,
+        fetchLedger: true,
         fetchTradingFees: true,
         // Advanced
+        createStopLossOrder: true,
+        createTakeProfitOrder: true,
+        createTrailingStopOrder: true,
+        createTriggerOrder: true,
         createOCO: true,
         createOTO: true,
         createOTOCO: true,
         cancelReplace: true,
         amendOrder: true,
+        editOrder: true,
         testOrder: true,
+        // Funding
+        fetchDepositAddress: true,
+        fetchDeposits: true,
+        fetchWithdrawals: true,
+        withdraw: true,
+        fetchDepositWithdrawFees: true,
+        transfer: true,
+        fetchTransfers: true,
+        // Margin
+        borrowMargin: true,
+        repayMargin: true,
+        fetchBorrowRate: true,
+        fetchBorrowInterest: true,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
@@ -68,6 +90,7 @@ class Binance extends BaseExchange {
         test: {
           api: 'https://testnet.binance.vision',
           ws: 'wss://testnet.binance.vision/ws',
+          wsApi: 'wss://ws-api.testnet.binance.vision/ws-api/v3',
         },
       },
       timeframes: {
@@ -79,6 +102,13 @@ class Binance extends BaseExchange {
       fees: {
         trading: { maker: 0.001, taker: 0.001 },
       },
+      networks: {
+        ERC20: 'ETH', TRC20: 'TRX', BEP20: 'BSC', BEP2: 'BNB',
+        SOL: 'SOL', BTC: 'BTC', ARBITRUM: 'ARBITRUM', OPTIMISM: 'OPTIMISM', POLYGON: 'MATIC',
+      },
+      accounts: {
+        spot: 'MAIN', funding: 'FUNDING', margin: 'MARGIN', futures: 'UMFUTURE', delivery: 'CMFUTURE',
+      },
     };
   }
 
@@ -88,6 +118,10 @@ class Binance extends BaseExchange {
     this._wsClients = new Map();       // url → WsClient
     this._listenKey = null;
     this._listenKeyTimer = null;
+    // WS API mode (options.wsApi): see the WEBSOCKET API section
+    this._wsApiSession = null;         // Promise of the connected (and logged-on) client
+    this._wsApiLoggedOn = false;
+    this._wsApiUserData = false;
     this._weightUsed = 0;
     this._orderCount10s = 0;
 
@@ -95,6 +129,7 @@ class Binance extends BaseExchange {
     if (this.options.test || this.options.sandbox) {
       this.urls.api = this.urls.test.api;
       this.urls.ws = this.urls.test.ws;
+      this.urls.wsApi = this.urls.test.wsApi;
     }
   }
 
@@ -172,6 +207,40 @@ class Binance extends BaseExchange {
     throw new ErrorClass(full);
   }
 
+  // ===========================================================================
+  // SYMBOL HELPERS
+  // ===========================================================================
+
+  /**
+   * Convert unified symbol to Binance format: BTC/USDT → BTCUSDT
+   * Raw Binance IDs (BTCUSDT, btcusdt) are passed through uppercased.
+   */
+  _toBinanceSymbol(symbol) {
+    if (this.markets && this.markets[symbol]) {
+      return this.markets[symbol].id;
+    }
+    return symbol.replace('/', '').toUpperCase();
+  }
+
+  /**
+   * Convert Binance symbol to unified format: BTCUSDT → BTC/USDT
+   */
+  _fromBinanceSymbol(binanceSymbol) {
+    if (!binanceSymbol) return binanceSymbol;
+    if (this.marketsById && this.marketsById[binanceSymbol]) {
+      return this.marketsById[binanceSymbol].symbol;
+    }
+    if (binanceSymbol.includes('/')) return binanceSymbol;
+    // Fallback before loadMarkets(): split on a known quote currency
+    const quotes = ['USDT', 'USDC', 'FDUSD', 'TUSD', 'BUSD', 'BTC', 'ETH', 'BNB', 'EUR', 'TRY'];
+    for (const quote of quotes) {
+      if (binanceSymbol.endsWith(quote) && binanceSymbol.length > quote.length) {
+        return binanceSymbol.slice(0, binanceSymbol.length - quote.length) + '/' + quote;
+      }
+    }
+    return binanceSymbol;
+  }
+
   // ===========================================================================
   // GENERAL ENDPOINTS
   // ===========================================================================
@@ -204,9 +273,10 @@ class Binance extends BaseExchange {
     this.symbols = [];
 
     for (const s of data.symbols) {
-      const symbol = s.symbol;
+      const id = s.symbol;
       const base = s.baseAsset;
       const quote = s.quoteAsset;
+      const symbol = base + '/' + quote;
       const status = s.status;
 
       // Parse filters
@@ -216,7 +286,7 @@ class Binance extends BaseExchange {
       }
 
       const market = {
-        id: symbol,
+        id,
         symbol,
         base,
         quote,
@@ -250,7 +320,7 @@ class Binance extends BaseExchange {
       };
 
       this.markets[symbol] = market;
-      this.marketsById[symbol] = market;
+      this.marketsById[id] = market;
       this.symbols.push(symbol);
     }
 
@@ -265,14 +335,15 @@ class Binance extends BaseExchange {
     const weights = { 5: 1, 10: 1, 20: 1, 50: 1, 100: 5, 500: 25, 1000: 50, 5000: 250 };
     const weight = weights[limit] || 5;
 
+    const id = this._toBinanceSymbol(symbol);
     const data = await this._request('GET', '/api/v3/depth', {
-      symbol: symbol.toUpperCase(),
+      symbol: id,
       limit,
       ...params,
     }, false, weight);
 
     return {
-      symbol,
+      symbol: this._fromBinanceSymbol(id),
       bids: data.bids.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
       asks: data.asks.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
       timestamp: Date.now(),
@@ -285,32 +356,33 @@ class Binance extends BaseExchange {
    * Fetch recent trades. Weight: 25
    */
   async fetchTrades(symbol, since = undefined, limit = 500, params = {}) {
-    const request = { symbol: symbol.toUpperCase(), limit, ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), limit, ...params };
     const data = await this._request('GET', '/api/v3/trades', request, false, 25);
-    return data.map((t) => this._parseTrade(t, symbol));
+    return data.map((t) => this._parseTrade(t, this._fromBinanceSymbol(request.symbol)));
   }
 
   /**
    * Fetch historical trades. Weight: 25. Requires API key (no signature).
    */
   async fetchHistoricalTrades(symbol, fromId = undefined, limit = 500, params = {}) {
-    const request = { symbol: symbol.toUpperCase(), limit, ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), limit, ...params };
     if (fromId !== undefined) request.fromId = fromId;
     // historicalTrades needs API key header but not signature
     const data = await this._request('GET', '/api/v3/historicalTrades', request, false, 25);
-    return data.map((t) => this._parseTrade(t, symbol));
+    return data.map((t) => this._parseTrade(t, this._fromBinanceSymbol(request.symbol)));
   }
 
   /**
    * Fetch aggregate trades. Weight: 4
    */
   async fetchAggTrades(symbol, startTime = undefined, endTime = undefined, limit = 500, params = {}) {
-    const request = { symbol: symbol.toUpperCase(), limit, ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), limit, ...params };
     if (startTime) request.startTime = startTime;
     if (endTime) request.endTime = endTime;
     const data = await this._request('GET', '/api/v3/aggTrades', request, false, 4);
     return data.map((t) => ({
       id: t.a,
+      symbol: this._fromBinanceSymbol(request.symbol),
       price: parseFloat(t.p),
       amount: parseFloat(t.q),
       cost: parseFloat(t.p) * parseFloat(t.q),
@@ -326,7 +398,7 @@ class Binance extends BaseExchange {
    */
   async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 500, params = {}) {
     const interval = this.timeframes[timeframe] || timeframe;
-    const request = { symbol: symbol.toUpperCase(), interval, limit, ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), interval, limit, ...params };
     if (since) request.startTime = since;
 
     const data = await this._request('GET', '/api/v3/klines', request, false, 2);
@@ -345,7 +417,7 @@ class Binance extends BaseExchange {
    */
   async fetchUIKlines(symbol, timeframe = '1h', limit = 500, params = {}) {
     const interval = this.timeframes[timeframe] || timeframe;
-    const request = { symbol: symbol.toUpperCase(), interval, limit, ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), interval, limit, ...params };
     const data = await this._request('GET', '/api/v3/uiKlines', request, false, 2);
     return data.map((k) => ([
       k[0], parseFloat(k[1]), parseFloat(k[2]),
@@ -357,11 +429,12 @@ class Binance extends BaseExchange {
    * Fetch current average price. Weight: 2
    */
   async fetchAvgPrice(symbol) {
+    const id = this._toBinanceSymbol(symbol);
     const data = await this._request('GET', '/api/v3/avgPrice', {
-      symbol: symbol.toUpperCase(),
+      symbol: id,
     }, false, 2);
     return {
-      symbol,
+      symbol: this._fromBinanceSymbol(id),
       price: parseFloat(data.price),
       mins: data.mins,
       closeTime: data.closeTime,
@@ -373,7 +446,7 @@ class Binance extends BaseExchange {
    */
   async fetchTicker(symbol, params = {}) {
     const data = await this._request('GET', '/api/v3/ticker/24hr', {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       ...params,
     }, false, 2);
     return this._parseTicker(data);
@@ -385,7 +458,7 @@ class Binance extends BaseExchange {
   async fetchTickers(symbols = undefined, params = {}) {
     const request = { ...params };
     if (symbols && symbols.length) {
-      request.symbols = JSON.stringify(symbols.map((s) => s.toUpperCase()));
+      request.symbols = JSON.stringify(symbols.map((s) => this._toBinanceSymbol(s)));
     }
     const weight = symbols ? symbols.length * 2 : 80;
     const data = await this._request('GET', '/api/v3/ticker/24hr', request, false, Math.min(weight, 80));
@@ -402,7 +475,7 @@ class Binance extends BaseExchange {
    */
   async fetchTradingDayTicker(symbol, params = {}) {
     const data = await this._request('GET', '/api/v3/ticker/tradingDay', {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       ...params,
     }, false, 4);
     return this._parseTicker(data);
@@ -413,15 +486,15 @@ class Binance extends BaseExchange {
    */
   async fetchPrice(symbol = undefined, params = {}) {
     const request = { ...params };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBinanceSymbol(symbol);
     const weight = symbol ? 2 : 4;
     const data = await this._request('GET', '/api/v3/ticker/price', request, false, weight);
     if (Array.isArray(data)) {
       const result = {};
-      for (const d of data) result[d.symbol] = parseFloat(d.price);
+      for (const d of data) result[this._fromBinanceSymbol(d.symbol)] = parseFloat(d.price);
       return result;
     }
-    return { symbol: data.symbol, price: parseFloat(data.price) };
+    return { symbol: this._fromBinanceSymbol(data.symbol), price: parseFloat(data.price) };
   }
 
   /**
@@ -429,14 +502,15 @@ class Binance extends BaseExchange {
    */
   async fetchBookTicker(symbol = undefined, params = {}) {
     const request = { ...params };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBinanceSymbol(symbol);
     const weight = symbol ? 2 : 4;
     const data = await this._request('GET', '/api/v3/ticker/bookTicker', request, false, weight);
     if (Array.isArray(data)) {
       const result = {};
       for (const d of data) {
-        result[d.symbol] = {
-          symbol: d.symbol,
+        const sym = this._fromBinanceSymbol(d.symbol);
+        result[sym] = {
+          symbol: sym,
           bid: parseFloat(d.bidPrice),
           bidVolume: parseFloat(d.bidQty),
           ask: parseFloat(d.askPrice),
@@ -446,7 +520,7 @@ class Binance extends BaseExchange {
       return result;
     }
     return {
-      symbol: data.symbol,
+      symbol: this._fromBinanceSymbol(data.symbol),
       bid: parseFloat(data.bidPrice),
       bidVolume: parseFloat(data.bidQty),
       ask: parseFloat(data.askPrice),
@@ -459,7 +533,7 @@ class Binance extends BaseExchange {
    */
   async fetchRollingTicker(symbol, windowSize = '1d', params = {}) {
     const data = await this._request('GET', '/api/v3/ticker', {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       windowSize,
       ...params,
     }, false, 4);
@@ -474,39 +548,102 @@ class Binance extends BaseExchange {
    * Create a new order. Weight: 1
    * @param {string} type - LIMIT, MARKET, STOP_LOSS, STOP_LOSS_LIMIT, TAKE_PROFIT, TAKE_PROFIT_LIMIT, LIMIT_MAKER
    * @param {string} side - BUY or SELL
-   * @param {Object} params - Extra: timeInForce, quoteOrderQty, stopPrice, icebergQty, newOrderRespType, newClientOrderId
+   * @param {Object} params - Extra: timeInForce, quoteOrderQty, stopPrice, icebergQty, newOrderRespType, newClientOrderId.
+   *   Unified: clientOrderId → newClientOrderId.
+   *   Unified: timeInForce GTC/IOC/FOK, postOnly (or timeInForce 'PO') → LIMIT_MAKER.
+   *   Unified: stopLossPrice / triggerPrice → STOP_LOSS(_LIMIT), takeProfitPrice → TAKE_PROFIT(_LIMIT),
+   *   trailingPercent (+ trailingTriggerPrice) → STOP_LOSS(_LIMIT) with trailingDelta in BIPS
+   *   Unified: marginMode cross / isolated → POST /sapi/v1/margin/order (sideEffectType
+   *   MARGIN_BUY / AUTO_REPAY borrows or repays with the order). Weight: 6
    */
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    const margin = this._marginOrderParams(params);
+    const request = this._createOrderRequest(symbol, type, side, amount, price, margin.params);
+    if (margin.marginMode) {
+      if (margin.marginMode === 'isolated') request.isIsolated = 'TRUE';
+      const data = await this._request('POST', '/sapi/v1/margin/order', request, true, 6);
+      return this._parseOrder(data);
+    }
+    const data = await this._tradeRequest('order.place', 'POST', '/api/v3/order', request, 1);
+    return this._parseOrder(data);
+  }
+
+  /**
+   * Build the POST /api/v3/order body; shared by createOrder() and editOrder().
+   */
+  _createOrderRequest(symbol, type, side, amount, price, params) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+    const conditional = this._conditionalOrderParams(side, params);
+    const execution = this._orderExecutionParams(type, conditional.params);
+    const client = this._clientOrderIdParams(execution.params);
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       side: side.toUpperCase(),
       type: type.toUpperCase(),
-      ...params,
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.newClientOrderId = client.clientOrderId;
+
+    if (conditional.kind) {
+      const base = conditional.kind === 'takeProfit' ? 'TAKE_PROFIT' : 'STOP_LOSS';
+      request.type = request.type === 'LIMIT' ? base + '_LIMIT' : base;
+      if (conditional.kind === 'trailing') {
+        if (conditional.trailingAmount !== undefined) {
+          throw new InvalidOrder(this.id + ' trailing stops take trailingPercent (sent as trailingDelta), not trailingAmount');
+        }
+        request.trailingDelta = Math.round(conditional.trailingPercent * 100);
+        if (conditional.trailingTriggerPrice !== undefined) request.stopPrice = String(conditional.trailingTriggerPrice);
+      } else {
+        request.stopPrice = String(conditional.triggerPrice);
+      }
+    }
 
     // Quantity
     if (amount !== undefined && amount !== null) {
-      request.quantity = String(amount);
+      request.quantity = numberToString(amount);
     }
 
     // Price (required for LIMIT, STOP_LOSS_LIMIT, TAKE_PROFIT_LIMIT, LIMIT_MAKER)
     if (price !== undefined && price !== null) {
-      request.price = String(price);
+      request.price = numberToString(price);
+    }
+
+    // Post-only is its own order type (LIMIT_MAKER) and takes no timeInForce
+    if (execution.postOnly) {
+      if (conditional.kind) throw new InvalidOrder(this.id + ' postOnly is not supported on conditional orders');
+      request.type = 'LIMIT_MAKER';
     }
 
-    // TimeInForce default for LIMIT orders
-    if (request.type === 'LIMIT' && !request.timeInForce) {
-      request.timeInForce = 'GTC';
+    // TimeInForce (default GTC) for LIMIT, STOP_LOSS_LIMIT and TAKE_PROFIT_LIMIT orders
+    if (['LIMIT', 'STOP_LOSS_LIMIT', 'TAKE_PROFIT_LIMIT'].includes(request.type)) {
+      request.timeInForce = execution.timeInForce || request.timeInForce || 'GTC';
     }
 
     // Response type
     if (!request.newOrderRespType) {
       request.newOrderRespType = request.type === 'MARKET' ? 'FULL' : 'FULL';
     }
+    return request;
+  }
 
-    const data = await this._request('POST', '/api/v3/order', request, true, 1);
-    return this._parseOrder(data);
+  /**
+   * Edit an order through cancelReplace in STOP_ON_FAILURE mode: one request that
+   * places the replacement only if the cancel went through. Takes the createOrder()
+   * params; an omitted amount or price is read from the original order. Weight: 1
+   */
+  async editOrder(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    [amount, price] = await this._editOrderArgs(id, symbol, type, amount, price);
+    const { cancelReplaceMode = 'STOP_ON_FAILURE', ...rest } = params;
+    const request = {
+      ...this._createOrderRequest(symbol, type, side, amount, price, rest),
+      cancelOrderId: id,
+      cancelReplaceMode,
+    };
+    const data = await this._tradeRequest('order.cancelReplace', 'POST', '/api/v3/order/cancelReplace', request, 1);
+    return this._parseOrder(data.newOrderResponse || data);
   }
 
   /**
@@ -514,13 +651,13 @@ class Binance extends BaseExchange {
    */
   async testOrder(symbol, type, side, amount, price = undefined, params = {}) {
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       side: side.toUpperCase(),
       type: type.toUpperCase(),
       ...params,
     };
-    if (amount) request.quantity = String(amount);
-    if (price) request.price = String(price);
+    if (amount) request.quantity = numberToString(amount);
+    if (price) request.price = numberToString(price);
     if (request.type === 'LIMIT' && !request.timeInForce) request.timeInForce = 'GTC';
 
     const weight = params.computeCommissionRates ? 20 : 1;
@@ -528,20 +665,31 @@ class Binance extends BaseExchange {
   }
 
   /**
-   * Cancel an order. Weight: 1
+   * Cancel an order by id, or by params.clientOrderId (origClientOrderId). Weight: 1
+   * Margin orders need the params.marginMode they were placed with.
    */
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder() requires symbol');
+    const margin = this._marginOrderParams(params);
+    const ref = this._orderReference('cancelOrder', id, margin.params);
     const request = {
-      symbol: symbol.toUpperCase(),
-      orderId: id,
-      ...params,
+      symbol: this._toBinanceSymbol(symbol),
+      ...this._orderIdRequest(ref),
+      ...ref.params,
     };
-    const data = await this._request('DELETE', '/api/v3/order', request, true, 1);
+    if (margin.marginMode) {
+      if (margin.marginMode === 'isolated') request.isIsolated = 'TRUE';
+      const data = await this._request('DELETE', '/sapi/v1/margin/order', request, true, 10);
+      return this._parseOrder(data);
+    }
+    const data = await this._tradeRequest('order.cancel', 'DELETE', '/api/v3/order', request, 1);
     return this._parseOrder(data);
   }
 
+  // Spot has no batch create or cancel-by-id endpoint: createOrders() and cancelOrders()
+  // use the BaseExchange fallback of rate-limited single calls.
+
   /**
    * Cancel all open orders on a symbol. Weight: 1
    */
@@ -549,7 +697,7 @@ class Binance extends BaseExchange {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' cancelAllOrders() requires symbol');
     const data = await this._request('DELETE', '/api/v3/openOrders', {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       ...params,
     }, true, 1);
     return Array.isArray(data) ? data.map((o) => this._parseOrder(o)) : data;
@@ -562,14 +710,14 @@ class Binance extends BaseExchange {
   async cancelReplace(symbol, side, type, cancelReplaceMode, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       side: side.toUpperCase(),
       type: type.toUpperCase(),
       cancelReplaceMode,
       ...params,
     };
     if (request.type === 'LIMIT' && !request.timeInForce) request.timeInForce = 'GTC';
-    return this._request('POST', '/api/v3/order/cancelReplace', request, true, 1);
+    return this._tradeRequest('order.cancelReplace', 'POST', '/api/v3/order/cancelReplace', request, 1);
   }
 
   /**
@@ -578,9 +726,9 @@ class Binance extends BaseExchange {
   async amendOrder(id, symbol, newQty, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       orderId: id,
-      newQty: String(newQty),
+      newQty: numberToString(newQty),
       ...params,
     };
     return this._request('PUT', '/api/v3/order/amend/keepPriority', request, true, 4);
@@ -592,11 +740,11 @@ class Binance extends BaseExchange {
   async createOCO(symbol, side, quantity, price, stopPrice, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       side: side.toUpperCase(),
-      quantity: String(quantity),
-      price: String(price),
-      stopPrice: String(stopPrice),
+      quantity: numberToString(quantity),
+      price: numberToString(price),
+      stopPrice: numberToString(stopPrice),
       ...params,
     };
     const data = await this._request('POST', '/api/v3/orderList/oco', request, true, 1);
@@ -610,14 +758,14 @@ class Binance extends BaseExchange {
                    pendingType, pendingSide, pendingQuantity, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       workingType: workingType.toUpperCase(),
       workingSide: workingSide.toUpperCase(),
-      workingPrice: String(workingPrice),
-      workingQuantity: String(workingQuantity),
+      workingPrice: numberToString(workingPrice),
+      workingQuantity: numberToString(workingQuantity),
       pendingType: pendingType.toUpperCase(),
       pendingSide: pendingSide.toUpperCase(),
-      pendingQuantity: String(pendingQuantity),
+      pendingQuantity: numberToString(pendingQuantity),
       ...params,
     };
     return this._request('POST', '/api/v3/orderList/oto', request, true, 1);
@@ -630,15 +778,15 @@ class Binance extends BaseExchange {
                      pendingSide, pendingQuantity, pendingAbovePrice, pendingBelowStopPrice, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       workingType: workingType.toUpperCase(),
       workingSide: workingSide.toUpperCase(),
-      workingPrice: String(workingPrice),
-      workingQuantity: String(workingQuantity),
+      workingPrice: numberToString(workingPrice),
+      workingQuantity: numberToString(workingQuantity),
       pendingSide: pendingSide.toUpperCase(),
-      pendingQuantity: String(pendingQuantity),
-      pendingAbovePrice: String(pendingAbovePrice),
-      pendingBelowStopPrice: String(pendingBelowStopPrice),
+      pendingQuantity: numberToString(pendingQuantity),
+      pendingAbovePrice: numberToString(pendingAbovePrice),
+      pendingBelowStopPrice: numberToString(pendingBelowStopPrice),
       ...params,
     };
     return this._request('POST', '/api/v3/orderList/otoco', request, true, 1);
@@ -650,7 +798,7 @@ class Binance extends BaseExchange {
   async cancelOrderList(symbol, orderListId, params = {}) {
     this.checkRequiredCredentials();
     return this._request('DELETE', '/api/v3/orderList', {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       orderListId,
       ...params,
     }, true, 1);
@@ -662,13 +810,13 @@ class Binance extends BaseExchange {
   async createSOROrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       side: side.toUpperCase(),
       type: type.toUpperCase(),
-      quantity: String(amount),
+      quantity: numberToString(amount),
       ...params,
     };
-    if (price) request.price = String(price);
+    if (price) request.price = numberToString(price);
     if (request.type === 'LIMIT' && !request.timeInForce) request.timeInForce = 'GTC';
     return this._request('POST', '/api/v3/sor/order', request, true, 1);
   }
@@ -678,13 +826,13 @@ class Binance extends BaseExchange {
    */
   async testSOROrder(symbol, type, side, amount, price = undefined, params = {}) {
     const request = {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       side: side.toUpperCase(),
       type: type.toUpperCase(),
-      quantity: String(amount),
+      quantity: numberToString(amount),
       ...params,
     };
-    if (price) request.price = String(price);
+    if (price) request.price = numberToString(price);
     if (request.type === 'LIMIT' && !request.timeInForce) request.timeInForce = 'GTC';
     return this._request('POST', '/api/v3/sor/order/test', request, true, 1);
   }
@@ -696,13 +844,16 @@ class Binance extends BaseExchange {
   /**
    * Fetch account balances. Weight: 20
    * Returns: { info, timestamp, BTC: { free, used, total }, ... }
+   * params.type (or account) 'margin' reads the margin wallet instead; see _fetchMarginBalance().
    */
   async fetchBalance(params = {}) {
     this.checkRequiredCredentials();
-    const data = await this._request('GET', '/api/v3/account', {
+    const target = this._balanceParams(params);
+    if (target.marginMode) return this._fetchMarginBalance(target.marginMode, target.params);
+    const data = await this._tradeRequest('account.status', 'GET', '/api/v3/account', {
       omitZeroBalances: true,
-      ...params,
-    }, true, 20);
+      ...target.params,
+    }, 20);
 
     const result = {
       info: data,
@@ -725,28 +876,36 @@ class Binance extends BaseExchange {
   }
 
   /**
-   * Fetch single order by ID. Weight: 4
+   * Fetch single order by ID, or by params.clientOrderId. Weight: 4
    */
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' fetchOrder() requires symbol');
-    const data = await this._request('GET', '/api/v3/order', {
-      symbol: symbol.toUpperCase(),
-      orderId: id,
-      ...params,
-    }, true, 4);
+    const ref = this._orderReference('fetchOrder', id, params);
+    const data = await this._tradeRequest('order.status', 'GET', '/api/v3/order', {
+      symbol: this._toBinanceSymbol(symbol),
+      ...this._orderIdRequest(ref),
+      ...ref.params,
+    }, 4);
     return this._parseOrder(data);
   }
 
+  /**
+   * orderId, or origClientOrderId when the order is referenced by params.clientOrderId.
+   */
+  _orderIdRequest(ref) {
+    return ref.id !== undefined ? { orderId: ref.id } : { origClientOrderId: ref.clientOrderId };
+  }
+
   /**
    * Fetch open orders. Weight: 6 (with symbol), 80 (all)
    */
   async fetchOpenOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
     this.checkRequiredCredentials();
     const request = { ...params };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBinanceSymbol(symbol);
     const weight = symbol ? 6 : 80;
-    const data = await this._request('GET', '/api/v3/openOrders', request, true, weight);
+    const data = await this._tradeRequest('openOrders.status', 'GET', '/api/v3/openOrders', request, weight);
     return data.map((o) => this._parseOrder(o));
   }
 
@@ -755,7 +914,7 @@ class Binance extends BaseExchange {
    */
   async fetchAllOrders(symbol, orderId = undefined, startTime = undefined, endTime = undefined, limit = 500, params = {}) {
     this.checkRequiredCredentials();
-    const request = { symbol: symbol.toUpperCase(), limit, ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), limit, ...params };
     if (orderId) request.orderId = orderId;
     if (startTime) request.startTime = startTime;
     if (endTime) request.endTime = endTime;
@@ -769,11 +928,11 @@ class Binance extends BaseExchange {
   async fetchMyTrades(symbol = undefined, since = undefined, limit = 500, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' fetchMyTrades() requires symbol');
-    const request = { symbol: symbol.toUpperCase(), limit, ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), limit, ...params };
     if (since) request.startTime = since;
     const weight = request.orderId ? 5 : 20;
     const data = await this._request('GET', '/api/v3/myTrades', request, true, weight);
-    return data.map((t) => this._parseMyTrade(t, symbol));
+    return data.map((t) => this._parseMyTrade(t, this._fromBinanceSymbol(request.symbol)));
   }
 
   /**
@@ -790,11 +949,11 @@ class Binance extends BaseExchange {
   async fetchCommission(symbol, params = {}) {
     this.checkRequiredCredentials();
     const data = await this._request('GET', '/api/v3/account/commission', {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       ...params,
     }, true, 20);
     return {
-      symbol: data.symbol,
+      symbol: this._fromBinanceSymbol(data.symbol),
       maker: parseFloat(data.standardCommission?.maker || '0'),
       taker: parseFloat(data.standardCommission?.taker || '0'),
       buyer: parseFloat(data.standardCommission?.buyer || '0'),
@@ -834,7 +993,7 @@ class Binance extends BaseExchange {
    */
   async fetchPreventedMatches(symbol, orderId = undefined, params = {}) {
     this.checkRequiredCredentials();
-    const request = { symbol: symbol.toUpperCase(), ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), ...params };
     if (orderId) request.orderId = orderId;
     return this._request('GET', '/api/v3/myPreventedMatches', request, true, 4);
   }
@@ -844,7 +1003,7 @@ class Binance extends BaseExchange {
    */
   async fetchAllocations(symbol, startTime = undefined, endTime = undefined, limit = 500, params = {}) {
     this.checkRequiredCredentials();
-    const request = { symbol: symbol.toUpperCase(), limit, ...params };
+    const request = { symbol: this._toBinanceSymbol(symbol), limit, ...params };
     if (startTime) request.startTime = startTime;
     if (endTime) request.endTime = endTime;
     return this._request('GET', '/api/v3/myAllocations', request, true, 20);
@@ -856,7 +1015,7 @@ class Binance extends BaseExchange {
   async fetchOrderAmendments(symbol, orderId, params = {}) {
     this.checkRequiredCredentials();
     return this._request('GET', '/api/v3/order/amendments', {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       orderId,
       ...params,
     }, true, 4);
@@ -868,11 +1027,400 @@ class Binance extends BaseExchange {
   async fetchMyFilters(symbol, params = {}) {
     this.checkRequiredCredentials();
     return this._request('GET', '/api/v3/myFilters', {
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBinanceSymbol(symbol),
       ...params,
     }, true, 40);
   }
 
+  // ===========================================================================
+  // FUNDING — PRIVATE (SAPI, 5 endpoints)
+  // ===========================================================================
+
+  /**
+   * Fetch the deposit address for a coin. Weight: 10
+   * params.network picks the chain (ERC20, TRC20, BEP20 or a Binance network id).
+   */
+  async fetchDepositAddress(code, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...rest } = params;
+    const request = { coin: String(code).toUpperCase(), ...rest };
+    const networkId = this._networkId(network);
+    if (networkId) request.network = networkId;
+    const data = await this._request('GET', '/sapi/v1/capital/deposit/address', request, true, 10);
+    return {
+      info: data,
+      currency: safeString(data, 'coin'),
+      network: this._networkCode(networkId),
+      address: safeString(data, 'address'),
+      tag: safeString(data, 'tag') || undefined,
+    };
+  }
+
+  /**
+   * Fetch deposit history, newest first. Weight: 1
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.coin = String(code).toUpperCase();
+    if (since) request.startTime = since;
+    if (limit) request.limit = limit;
+    const data = await this._request('GET', '/sapi/v1/capital/deposit/hisrec', request, true, 1);
+    return data.map((d) => this._parseTransaction(d, 'deposit'));
+  }
+
+  /**
+   * Fetch withdrawal history, newest first. Weight: 18
+   */
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.coin = String(code).toUpperCase();
+    if (since) request.startTime = since;
+    if (limit) request.limit = limit;
+    const data = await this._request('GET', '/sapi/v1/capital/withdraw/history', request, true, 18);
+    return data.map((w) => this._parseTransaction(w, 'withdrawal'));
+  }
+
+  /**
+   * Submit a withdrawal. Without params.network Binance uses the coin's default network.
+   * Returns the transaction with the withdrawal id; poll fetchWithdrawals() for its status.
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._withdrawArgs(code, amount, address, tag, params);
+    const request = { coin: String(code).toUpperCase(), address, amount, ...args.params };
+    if (args.tag) request.addressTag = args.tag;
+    if (args.network) request.network = args.network;
+    const data = await this._request('POST', '/sapi/v1/capital/withdraw/apply', request, true, 1);
+    return {
+      ...this._parseTransaction({ ...request, id: data.id }, 'withdrawal'),
+      status: 'pending',
+      info: data,
+    };
+  }
+
+  /**
+   * Deposit and withdrawal fees for every coin, per network. Weight: 10
+   */
+  async fetchDepositWithdrawFees(codes = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/sapi/v1/capital/config/getall', { ...params }, true, 10);
+    const wanted = codes ? codes.map((c) => String(c).toUpperCase()) : undefined;
+    const result = {};
+    for (const coin of data) {
+      if (wanted && !wanted.includes(coin.coin)) continue;
+      const networks = {};
+      let defaultFee;
+      for (const n of coin.networkList || []) {
+        const fee = safeFloat(n, 'withdrawFee');
+        networks[this._networkCode(n.network)] = {
+          withdraw: { fee, percentage: false },
+          deposit: { fee: undefined, percentage: undefined },
+        };
+        if (n.isDefault) defaultFee = fee;
+      }
+      result[coin.coin] = {
+        info: coin,
+        withdraw: { fee: defaultFee, percentage: defaultFee !== undefined ? false : undefined },
+        deposit: { fee: undefined, percentage: undefined },
+        networks,
+      };
+    }
+    return result;
+  }
+
+  // ===========================================================================
+  // TRANSFERS — PRIVATE (SAPI, 4 endpoints)
+  // ===========================================================================
+
+  /**
+   * Move funds between wallets: POST /sapi/v1/asset/transfer with type FROM_TO
+   * (e.g. MAIN_UMFUTURE). With params.fromSubAccount / toSubAccount (sub-account
+   * emails; omit one side for the master) it uses /sapi/v1/sub-account/universalTransfer,
+   * which knows spot, margin and futures but not funding.
+   */
+  async transfer(code, amount, fromAccount, toAccount, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._transferArgs(code, amount, fromAccount, toAccount, params);
+    const asset = String(code).toUpperCase();
+    if (args.fromSubAccount || args.toSubAccount) {
+      const request = {
+        fromAccountType: this._subAccountType(args.from),
+        toAccountType: this._subAccountType(args.to),
+        asset,
+        amount,
+        ...args.params,
+      };
+      if (args.fromSubAccount) request.fromEmail = args.fromSubAccount;
+      if (args.toSubAccount) request.toEmail = args.toSubAccount;
+      const data = await this._request('POST', '/sapi/v1/sub-account/universalTransfer', request, true, 1);
+      return this._parseTransfer({ ...request, tranId: data.tranId }, 'ok');
+    }
+    const request = { type: args.from + '_' + args.to, asset, amount, ...args.params };
+    const data = await this._request('POST', '/sapi/v1/asset/transfer', request, true, 1);
+    return this._parseTransfer({ ...request, tranId: data.tranId }, 'ok');
+  }
+
+  /**
+   * Transfer history. Binance lists one direction at a time, so params.fromAccount and
+   * params.toAccount (or a native params.type) are required — unless params.fromSubAccount
+   * / toSubAccount ask for sub-account transfers instead.
+   */
+  async fetchTransfers(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const { fromAccount, toAccount, fromSubAccount, toSubAccount, ...rest } = params;
+    if (fromSubAccount || toSubAccount) {
+      const request = { ...rest };
+      if (fromSubAccount) request.fromEmail = fromSubAccount;
+      if (toSubAccount) request.toEmail = toSubAccount;
+      if (since) request.startTime = since;
+      if (limit) request.limit = limit;
+      const data = await this._request('GET', '/sapi/v1/sub-account/universalTransfer', request, true, 1);
+      return (data.result || [])
+        .filter((t) => !code || t.asset === String(code).toUpperCase())
+        .map((t) => this._parseTransfer(t));
+    }
+    const request = { ...rest };
+    if (!request.type) {
+      if (!fromAccount || !toAccount) {
+        throw new BadRequest(this.id + ' fetchTransfers() requires params.fromAccount and params.toAccount');
+      }
+      request.type = this._accountId(fromAccount) + '_' + this._accountId(toAccount);
+    }
+    if (since) request.startTime = since;
+    if (limit) request.size = limit;
+    const data = await this._request('GET', '/sapi/v1/asset/transfer', request, true, 1);
+    return (data.rows || [])
+      .filter((t) => !code || t.asset === String(code).toUpperCase())
+      .map((t) => this._parseTransfer(t));
+  }
+
+  /**
+   * Universal-transfer wallet id → sub-account endpoint account type.
+   */
+  _subAccountType(accountId) {
+    const type = BINANCE_SUB_ACCOUNT_TYPES[accountId];
+    if (!type) throw new BadRequest(this.id + ' transfer() cannot move ' + accountId + ' funds between sub-accounts');
+    return type;
+  }
+
+  // ===========================================================================
+  // LEDGER — PRIVATE (composed from SAPI and account history)
+  // ===========================================================================
+
+  /**
+   * Binance has no spot ledger endpoint, so the ledger is assembled from deposits,
+   * withdrawals and asset distributions (GET /sapi/v1/asset/assetDividend). Fills are
+   * added for params.symbol, one entry per currency they move plus one for a fee paid
+   * in a third currency (BNB).
+   */
+  async fetchLedger(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const { symbol, ...rest } = params;
+    const request = { ...rest };
+    if (code) request.asset = String(code).toUpperCase();
+    if (since) request.startTime = since;
+    if (limit) request.limit = Math.min(limit, 500);
+    const [deposits, withdrawals, dividends, trades] = await Promise.all([
+      this.fetchDeposits(code, since, limit),
+      this.fetchWithdrawals(code, since, limit),
+      this._request('GET', '/sapi/v1/asset/assetDividend', request, true, 10),
+      symbol ? this.fetchMyTrades(symbol, since, limit) : [],
+    ]);
+    const entries = [
+      ...deposits.map((t) => this._ledgerEntryFromTransaction(t)),
+      ...withdrawals.map((t) => this._ledgerEntryFromTransaction(t)),
+      ...((dividends && dividends.rows) || []).map((d) => this._ledgerEntry({
+        id: safeString(d, 'id'),
+        account: 'spot',
+        referenceId: safeString(d, 'tranId'),
+        type: 'rebate',
+        currency: safeString(d, 'asset'),
+        amount: safeFloat(d, 'amount'),
+        timestamp: safeInteger(d, 'divTime'),
+        info: d,
+      })),
+      ...trades.flatMap((t) => this._ledgerEntriesFromTrade(t)),
+    ];
+    const wanted = code ? String(code).toUpperCase() : undefined;
+    return this._ledgerPage(entries.filter((e) => !wanted || e.currency === wanted), since, limit);
+  }
+
+  /** Deposit or withdrawal as a ledger entry; the network fee stays on it. */
+  _ledgerEntryFromTransaction(tx) {
+    return this._ledgerEntry({
+      id: tx.id,
+      account: 'spot',
+      referenceId: tx.txid,
+      type: tx.type,
+      currency: tx.currency,
+      amount: tx.amount,
+      direction: tx.type === 'deposit' ? 'in' : 'out',
+      status: tx.status,
+      fee: tx.fee,
+      timestamp: tx.timestamp,
+      info: tx.info,
+    });
+  }
+
+  /**
+   * Base and quote legs of a fill; the fee rides on the leg in its currency.
+   */
+  _ledgerEntriesFromTrade(trade) {
+    const [base, quote] = trade.symbol.split('/');
+    const fee = trade.fee && trade.fee.cost ? trade.fee : undefined;
+    const leg = (currency, amount, direction) => this._ledgerEntry({
+      id: trade.id + '-' + currency,
+      account: 'spot',
+      referenceId: trade.orderId,
+      type: 'trade',
+      currency,
+      amount,
+      direction,
+      fee: fee && fee.currency === currency ? fee : undefined,
+      timestamp: trade.timestamp,
+      info: trade.info,
+    });
+    const entries = [
+      leg(base, trade.amount, trade.isBuyer ? 'in' : 'out'),
+      leg(quote, trade.cost, trade.isBuyer ? 'out' : 'in'),
+    ];
+    if (fee && fee.currency !== base && fee.currency !== quote) {
+      entries.push(this._ledgerEntry({
+        id: trade.id + '-' + fee.currency,
+        account: 'spot',
+        referenceId: trade.orderId,
+        type: 'fee',
+        currency: fee.currency,
+        amount: fee.cost,
+        direction: 'out',
+        fee,
+        timestamp: trade.timestamp,
+        info: trade.info,
+      }));
+    }
+    return entries;
+  }
+
+  // ===========================================================================
+  // MARGIN — PRIVATE (SAPI, 6 endpoints)
+  // ===========================================================================
+
+  /**
+   * Borrow on cross margin, or on the isolated pair `symbol`.
+   * POST /sapi/v1/margin/borrow-repay with type BORROW
+   */
+  async borrowMargin(code, amount, symbol = undefined, params = {}) {
+    return this._marginBorrowRepay('borrowMargin', 'BORROW', code, amount, symbol, params);
+  }
+
+  /**
+   * Repay a cross or isolated loan. POST /sapi/v1/margin/borrow-repay with type REPAY
+   */
+  async repayMargin(code, amount, symbol = undefined, params = {}) {
+    return this._marginBorrowRepay('repayMargin', 'REPAY', code, amount, symbol, params);
+  }
+
+  async _marginBorrowRepay(method, type, code, amount, symbol, params) {
+    this.checkRequiredCredentials();
+    const asset = this._marginLoanArgs(method, code, amount);
+    const request = { asset, amount: numberToString(amount), type, isIsolated: symbol ? 'TRUE' : 'FALSE', ...params };
+    if (symbol) request.symbol = this._toBinanceSymbol(symbol);
+    const data = await this._request('POST', '/sapi/v1/margin/borrow-repay', request, true, 1);
+    return this._marginLoan({
+      info: data,
+      id: safeString(data, 'tranId'),
+      currency: asset,
+      amount,
+      symbol,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Next hourly interest rate of a cross margin asset (params.isIsolated = true for the
+   * isolated rate). GET /sapi/v1/margin/next-hourly-interest-rate. Weight: 100
+   */
+  async fetchBorrowRate(code, params = {}) {
+    this.checkRequiredCredentials();
+    const asset = String(code).toUpperCase();
+    const data = await this._request('GET', '/sapi/v1/margin/next-hourly-interest-rate', {
+      assets: asset,
+      isIsolated: false,
+      ...params,
+    }, true, 100);
+    const entry = (Array.isArray(data) ? data : []).find((r) => r.asset === asset) || {};
+    return this._borrowRate({
+      info: entry,
+      currency: asset,
+      rate: safeFloat(entry, 'nextHourlyInterestRate'),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Interest charged on margin loans; `symbol` reads one isolated pair.
+   * GET /sapi/v1/margin/interestHistory (newest first upstream). Weight: 1
+   */
+  async fetchBorrowInterest(code = undefined, symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.asset = String(code).toUpperCase();
+    if (symbol) request.isolatedSymbol = this._toBinanceSymbol(symbol);
+    if (since) request.startTime = since;
+    if (limit) request.size = Math.min(limit, 100);
+    const data = await this._request('GET', '/sapi/v1/margin/interestHistory', request, true, 1);
+    return (data.rows || [])
+      .map((r) => this._borrowInterest({
+        info: r,
+        currency: safeString(r, 'asset'),
+        symbol: r.isolatedSymbol ? this._fromBinanceSymbol(r.isolatedSymbol) : undefined,
+        interest: safeFloat(r, 'interest'),
+        interestRate: safeFloat(r, 'interestRate'),
+        amountBorrowed: safeFloat(r, 'principal'),
+        timestamp: safeInteger(r, 'interestAccuredTime'),
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Margin wallet balances with each asset's debt (borrowed + interest).
+   * Cross: GET /sapi/v1/margin/account. Isolated: GET /sapi/v1/margin/isolated/account
+   * for params.symbol, whose base and quote assets make up the balance. Weight: 10
+   */
+  async _fetchMarginBalance(marginMode, params = {}) {
+    const { symbol, ...rest } = params;
+    let assets;
+    let data;
+    if (marginMode === 'isolated') {
+      if (!symbol) throw new BadRequest(this.id + ' fetchBalance() requires params.symbol for isolated margin');
+      data = await this._request('GET', '/sapi/v1/margin/isolated/account', {
+        symbols: this._toBinanceSymbol(symbol),
+        ...rest,
+      }, true, 10);
+      const pair = (data.assets || [])[0] || {};
+      assets = [pair.baseAsset, pair.quoteAsset].filter(Boolean);
+    } else {
+      data = await this._request('GET', '/sapi/v1/margin/account', rest, true, 10);
+      assets = data.userAssets || [];
+    }
+    const result = {
+      info: data,
+      timestamp: Date.now(),
+      datetime: iso8601(Date.now()),
+    };
+    for (const a of assets) {
+      const free = parseFloat(a.free || '0');
+      const locked = parseFloat(a.locked || '0');
+      const debt = parseFloat(a.borrowed || '0') + parseFloat(a.interest || '0');
+      if (free > 0 || locked > 0 || debt > 0) {
+        result[a.asset] = { free, used: locked, total: free + locked, debt };
+      }
+    }
+    return result;
+  }
+
   // ===========================================================================
   // USER DATA STREAM (Listen Key management)
   // ===========================================================================
@@ -910,6 +1458,138 @@ class Binance extends BaseExchange {
     }, 25 * 60 * 1000);
   }
 
+  // ===========================================================================
+  // WEBSOCKET API — trading and account requests (options.wsApi)
+  // ===========================================================================
+  //
+  // With options.wsApi set, createOrder, editOrder, cancelOrder, cancelReplace, fetchOrder,
+  // fetchOpenOrders and fetchBalance are sent over one WS API connection instead of REST
+  // (margin orders and balances stay on SAPI), and watchBalance / watchOrders subscribe with
+  // userDataStream.subscribe instead of a listen key. An HMAC secret signs every request;
+  // an Ed25519 secret (PEM private key) logs the session on once with session.logon.
+
+  /**
+   * Signed REST call, or the matching WS API method when options.wsApi is set.
+   */
+  async _tradeRequest(wsMethod, method, path, request, weight) {
+    if (this.options.wsApi) return this._wsApiSignedRequest(wsMethod, request, weight);
+    return this._request(method, path, request, true, weight);
+  }
+
+  _isEd25519Key() {
+    return this.secret.includes('PRIVATE KEY');
+  }
+
+  /**
+   * Add apiKey, timestamp, recvWindow and the signature over the alphabetically sorted params.
+   */
+  _signWsApiParams(params = {}) {
+    const request = { ...params, apiKey: this.apiKey, timestamp: Date.now(), recvWindow: this._recvWindow };
+    const payload = Object.keys(request).sort().map((key) => key + '=' + request[key]).join('&');
+    request.signature = this._isEd25519Key() ? ed25519Sign(payload, this.secret) : hmacSHA256(payload, this.secret);
+    return request;
+  }
+
+  /**
+   * Connected WS API client, logged on when the key is Ed25519. Shared by concurrent callers
+   * and opened again after the connection drops.
+   */
+  _wsApiConnect() {
+    if (!this._wsApiSession) {
+      this._wsApiSession = this._openWsApiSession().catch((err) => {
+        this._wsApiSession = null;
+        throw err;
+      });
+    }
+    return this._wsApiSession;
+  }
+
+  async _openWsApiSession() {
+    const url = this.urls.wsApi;
+    const fresh = !this._wsClients.has(url);
+    const client = this._getWsClient(url);
+    if (fresh) {
+      client.on('message', (msg) => this._handleWsApiMessage(msg));
+      client.on('close', () => {
+        this._wsApiSession = null;
+        this._wsApiLoggedOn = false;
+        this._rejectWsRequests(new NetworkError(this.id + ' WebSocket API connection closed'));
+      });
+      // WsClient reconnects on its own; the new connection needs its session and user data back
+      client.on('open', () => {
+        if (!this._wsApiUserData) return;
+        this._subscribeWsApiUserData().catch((err) => {
+          if (this.listenerCount('error') > 0) this.emit('error', err);
+          else if (this.verbose) console.log('WS API user data resubscribe failed:', err.message);
+        });
+      });
+    }
+    if (!client.connected) await client.connect();
+    if (this._isEd25519Key() && !this._wsApiLoggedOn) {
+      await this._wsApiCall(client, 'session.logon', this._signWsApiParams(), 2);
+      this._wsApiLoggedOn = true;
+    }
+    return client;
+  }
+
+  /**
+   * Send one WS API request and resolve with its result; errors map like REST errors.
+   */
+  async _wsApiCall(client, method, params, weight = 1) {
+    if (this.enableRateLimit && this._throttler) {
+      await this._throttler.consume(weight);
+    }
+    const id = this._nextWsRequestId();
+    return this._wsRequest(client, id, { id, method, params });
+  }
+
+  async _wsApiSignedRequest(method, params, weight = 1) {
+    this.checkRequiredCredentials();
+    const client = await this._wsApiConnect();
+    // A logged-on session signs for us; requests still carry their timestamp
+    const request = this._wsApiLoggedOn
+      ? { ...params, timestamp: Date.now(), recvWindow: this._recvWindow }
+      : this._signWsApiParams(params);
+    return this._wsApiCall(client, method, request, weight);
+  }
+
+  _handleWsApiMessage(msg) {
+    if (msg.id === undefined || msg.id === null) return;
+    for (const limit of (msg.rateLimits || [])) {
+      if (limit.rateLimitType === 'REQUEST_WEIGHT' && limit.interval === 'MINUTE') {
+        this._weightUsed = limit.count;
+        if (this.enableRateLimit && this._throttler) {
+          this._throttler.updateFromHeader(this._weightUsed);
+        }
+      }
+    }
+    let error;
+    if (msg.status >= 400) {
+      try {
+        this._handleHttpError(msg.status, JSON.stringify(msg.error || {}));
+      } catch (err) {
+        error = err;
+      }
+    }
+    this._resolveWsRequest(msg.id, error, msg.result);
+  }
+
+  /**
+   * Subscribe the WS API connection to user data events. Weight: 2
+   * Replaces the listen key: events arrive on the same connection as { subscriptionId, event }.
+   */
+  async _subscribeWsApiUserData() {
+    this.checkRequiredCredentials();
+    const client = await this._wsApiConnect();
+    if (this._wsApiLoggedOn) {
+      await this._wsApiCall(client, 'userDataStream.subscribe', {}, 2);
+    } else {
+      await this._wsApiCall(client, 'userDataStream.subscribe.signature', this._signWsApiParams(), 2);
+    }
+    this._wsApiUserData = true;
+    return client;
+  }
+
   // ===========================================================================
   // WEBSOCKET STREAMS (16 stream types + User Data)
   // ===========================================================================
@@ -922,7 +1602,7 @@ class Binance extends BaseExchange {
     if (this._wsClients.has(wsUrl)) {
       return this._wsClients.get(wsUrl);
     }
-    const client = new WsClient({ url: wsUrl, pingInterval: 30000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 30000 }));
     this._wsClients.set(wsUrl, client);
     return client;
   }
@@ -980,7 +1660,7 @@ class Binance extends BaseExchange {
 
   /** Watch 24hr ticker. Stream: <symbol>@ticker */
   async watchTicker(symbol, callback) {
-    const stream = `${symbol.toLowerCase()}@ticker`;
+    const stream = `${this._toBinanceSymbol(symbol).toLowerCase()}@ticker`;
     return this._subscribeStream(stream, (data) => {
       callback(this._parseWsTicker(data));
     });
@@ -997,10 +1677,10 @@ class Binance extends BaseExchange {
 
   /** Watch book ticker (best bid/ask). Stream: <symbol>@bookTicker */
   async watchBookTicker(symbol, callback) {
-    const stream = `${symbol.toLowerCase()}@bookTicker`;
+    const stream = `${this._toBinanceSymbol(symbol).toLowerCase()}@bookTicker`;
     return this._subscribeStream(stream, (data) => {
       callback({
-        symbol: data.s,
+        symbol: this._fromBinanceSymbol(data.s),
         bid: parseFloat(data.b),
         bidVolume: parseFloat(data.B),
         ask: parseFloat(data.a),
@@ -1010,25 +1690,45 @@ class Binance extends BaseExchange {
     });
   }
 
-  /** Watch order book depth. Stream: <symbol>@depth<levels>@100ms */
+  /** Watch order book depth. Stream: <symbol>@depth<levels>@100ms (5/10/20) or <symbol>@depth@100ms + REST snapshot */
   async watchOrderBook(symbol, callback, levels = 20) {
-    const stream = `${symbol.toLowerCase()}@depth${levels}@100ms`;
-    return this._subscribeStream(stream, (data) => {
-      callback({
-        symbol,
-        bids: data.bids.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
-        asks: data.asks.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
-        timestamp: Date.now(),
+    const id = this._toBinanceSymbol(symbol);
+    const unified = this._fromBinanceSymbol(id);
+
+    // 5/10/20 levels: partial book stream, every message is a full snapshot
+    if ([5, 10, 20].includes(levels)) {
+      const stream = `${id.toLowerCase()}@depth${levels}@100ms`;
+      return this._subscribeStream(stream, (data) => {
+        this._handleOrderBookMessage(unified, {
+          snapshot: true,
+          bids: data.bids.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+          asks: data.asks.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+          timestamp: Date.now(),
+          nonce: data.lastUpdateId,
+        }, callback, { limit: levels });
       });
+    }
+
+    // Deeper books: diff stream on top of a REST snapshot, validated by U/u update ids
+    const stream = `${id.toLowerCase()}@depth@100ms`;
+    return this._subscribeStream(stream, (data) => {
+      this._handleOrderBookMessage(unified, {
+        snapshot: false,
+        bids: data.b.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+        asks: data.a.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+        timestamp: data.E,
+        firstNonce: data.U,
+        nonce: data.u,
+      }, callback, { limit: levels, fetchSnapshot: true, snapshotLimit: 1000 });
     });
   }
 
   /** Watch diff depth stream. Stream: <symbol>@depth@100ms */
   async watchDiffDepth(symbol, callback) {
-    const stream = `${symbol.toLowerCase()}@depth@100ms`;
+    const stream = `${this._toBinanceSymbol(symbol).toLowerCase()}@depth@100ms`;
     return this._subscribeStream(stream, (data) => {
       callback({
-        symbol: data.s,
+        symbol: this._fromBinanceSymbol(data.s),
         firstUpdateId: data.U,
         lastUpdateId: data.u,
         bids: data.b.map(([p, q]) => [parseFloat(p), parseFloat(q)]),
@@ -1040,11 +1740,11 @@ class Binance extends BaseExchange {
 
   /** Watch trades. Stream: <symbol>@trade */
   async watchTrades(symbol, callback) {
-    const stream = `${symbol.toLowerCase()}@trade`;
+    const stream = `${this._toBinanceSymbol(symbol).toLowerCase()}@trade`;
     return this._subscribeStream(stream, (data) => {
       callback({
         id: data.t,
-        symbol: data.s,
+        symbol: this._fromBinanceSymbol(data.s),
         price: parseFloat(data.p),
         amount: parseFloat(data.q),
         cost: parseFloat(data.p) * parseFloat(data.q),
@@ -1057,11 +1757,11 @@ class Binance extends BaseExchange {
 
   /** Watch aggregate trades. Stream: <symbol>@aggTrade */
   async watchAggTrades(symbol, callback) {
-    const stream = `${symbol.toLowerCase()}@aggTrade`;
+    const stream = `${this._toBinanceSymbol(symbol).toLowerCase()}@aggTrade`;
     return this._subscribeStream(stream, (data) => {
       callback({
         id: data.a,
-        symbol: data.s,
+        symbol: this._fromBinanceSymbol(data.s),
         price: parseFloat(data.p),
         amount: parseFloat(data.q),
         side: data.m ? 'sell' : 'buy',
@@ -1073,11 +1773,11 @@ class Binance extends BaseExchange {
   /** Watch klines/candlesticks. Stream: <symbol>@kline_<interval> */
   async watchKlines(symbol, interval, callback) {
     const tf = this.timeframes[interval] || interval;
-    const stream = `${symbol.toLowerCase()}@kline_${tf}`;
+    const stream = `${this._toBinanceSymbol(symbol).toLowerCase()}@kline_${tf}`;
     return this._subscribeStream(stream, (data) => {
       const k = data.k;
       callback({
-        symbol: k.s,
+        symbol: this._fromBinanceSymbol(k.s),
         interval: k.i,
         timestamp: k.t,
         open: parseFloat(k.o),
@@ -1092,10 +1792,10 @@ class Binance extends BaseExchange {
 
   /** Watch mini ticker. Stream: <symbol>@miniTicker */
   async watchMiniTicker(symbol, callback) {
-    const stream = `${symbol.toLowerCase()}@miniTicker`;
+    const stream = `${this._toBinanceSymbol(symbol).toLowerCase()}@miniTicker`;
     return this._subscribeStream(stream, (data) => {
       callback({
-        symbol: data.s,
+        symbol: this._fromBinanceSymbol(data.s),
         close: parseFloat(data.c),
         open: parseFloat(data.o),
         high: parseFloat(data.h),
@@ -1112,7 +1812,7 @@ class Binance extends BaseExchange {
     return this._subscribeStream('!miniTicker@arr', (data) => {
       if (Array.isArray(data)) {
         callback(data.map((t) => ({
-          symbol: t.s,
+          symbol: this._fromBinanceSymbol(t.s),
           close: parseFloat(t.c),
           open: parseFloat(t.o),
           high: parseFloat(t.h),
@@ -1127,10 +1827,10 @@ class Binance extends BaseExchange {
 
   /** Watch average price. Stream: <symbol>@avgPrice */
   async watchAvgPrice(symbol, callback) {
-    const stream = `${symbol.toLowerCase()}@avgPrice`;
+    const stream = `${this._toBinanceSymbol(symbol).toLowerCase()}@avgPrice`;
     return this._subscribeStream(stream, (data) => {
       callback({
-        symbol: data.s,
+        symbol: this._fromBinanceSymbol(data.s),
         price: parseFloat(data.w),
         timestamp: data.E,
       });
@@ -1138,10 +1838,17 @@ class Binance extends BaseExchange {
   }
 
   /**
-   * Watch user balance updates (via User Data Stream).
-   * Automatically manages listenKey creation and keep-alive.
+   * Deliver User Data Stream events to handler. With options.wsApi they come from
+   * userDataStream.subscribe on the WS API connection; otherwise from a listen key stream.
    */
-  async watchBalance(callback) {
+  async _watchUserData(handler) {
+    if (this.options.wsApi) {
+      const client = this._wsApiUserData ? await this._wsApiConnect() : await this._subscribeWsApiUserData();
+      client.on('message', (msg) => {
+        if (msg.event) handler(msg.event);
+      });
+      return;
+    }
     if (!this._listenKey) {
       await this.createListenKey();
       this._startListenKeyKeepAlive();
@@ -1149,8 +1856,15 @@ class Binance extends BaseExchange {
 
     const wsUrl = this.urls.ws + '/' + this._listenKey;
     const client = await this._ensureWsConnected(wsUrl);
+    client.on('message', handler);
+  }
 
-    client.on('message', (data) => {
+  /**
+   * Watch user balance updates (via User Data Stream).
+   * Automatically manages the listen key, or the WS API subscription with options.wsApi.
+   */
+  async watchBalance(callback) {
+    await this._watchUserData((data) => {
       if (data.e === 'outboundAccountPosition') {
         const balances = {};
         for (const b of data.B) {
@@ -1176,21 +1890,13 @@ class Binance extends BaseExchange {
    * Watch order updates (via User Data Stream).
    */
   async watchOrders(callback) {
-    if (!this._listenKey) {
-      await this.createListenKey();
-      this._startListenKeyKeepAlive();
-    }
-
-    const wsUrl = this.urls.ws + '/' + this._listenKey;
-    const client = await this._ensureWsConnected(wsUrl);
-
-    client.on('message', (data) => {
+    await this._watchUserData((data) => {
       if (data.e === 'executionReport') {
         callback(this._parseWsOrder(data));
       } else if (data.e === 'listStatus') {
         callback({
           event: 'orderList',
-          symbol: data.s,
+          symbol: this._fromBinanceSymbol(data.s),
           orderListId: data.g,
           listStatusType: data.l,
           listOrderStatus: data.L,
@@ -1209,6 +1915,10 @@ class Binance extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
+    this._wsApiSession = null;
+    this._wsApiLoggedOn = false;
+    this._wsApiUserData = false;
     if (this._listenKeyTimer) {
       clearInterval(this._listenKeyTimer);
       this._listenKeyTimer = null;
@@ -1224,7 +1934,7 @@ class Binance extends BaseExchange {
 
   _parseTicker(data) {
     return {
-      symbol: safeString(data, 'symbol'),
+      symbol: this._fromBinanceSymbol(safeString(data, 'symbol')),
       last: safeFloat(data, 'lastPrice'),
       high: safeFloat(data, 'highPrice'),
       low: safeFloat(data, 'lowPrice'),
@@ -1247,7 +1957,7 @@ class Binance extends BaseExchange {
 
   _parseWsTicker(data) {
     return {
-      symbol: data.s,
+      symbol: this._fromBinanceSymbol(data.s),
       last: parseFloat(data.c),
       high: parseFloat(data.h),
       low: parseFloat(data.l),
@@ -1276,7 +1986,7 @@ class Binance extends BaseExchange {
     return {
       id: safeString(data, 'orderId'),
       clientOrderId: safeString(data, 'clientOrderId'),
-      symbol: safeString(data, 'symbol'),
+      symbol: this._fromBinanceSymbol(safeString(data, 'symbol')),
       type: safeStringUpper(data, 'type'),
       side: safeStringUpper(data, 'side'),
       price,
@@ -1286,7 +1996,8 @@ class Binance extends BaseExchange {
       cost,
       average,
       status: safeString(data, 'status'),
-      timeInForce: safeString(data, 'timeInForce'),
+      timeInForce: safeString(data, 'type') === 'LIMIT_MAKER' ? 'PO' : safeString(data, 'timeInForce'),
+      postOnly: safeString(data, 'type') === 'LIMIT_MAKER',
       timestamp: safeInteger(data, 'transactTime') || safeInteger(data, 'time'),
       datetime: iso8601(safeInteger(data, 'transactTime') || safeInteger(data, 'time')),
       trades: (data.fills || []).map((f) => ({
@@ -1309,7 +2020,7 @@ class Binance extends BaseExchange {
       event: 'order',
       id: String(data.i),
       clientOrderId: data.c,
-      symbol: data.s,
+      symbol: this._fromBinanceSymbol(data.s),
       type: data.o,
       side: data.S,
       price: parseFloat(data.p),
@@ -1320,7 +2031,8 @@ class Binance extends BaseExchange {
       average,
       status: data.X,
       executionType: data.x, // NEW, CANCELED, REPLACED, REJECTED, TRADE, EXPIRED
-      timeInForce: data.f,
+      timeInForce: data.o === 'LIMIT_MAKER' ? 'PO' : data.f,
+      postOnly: data.o === 'LIMIT_MAKER',
       lastPrice: parseFloat(data.L),
       lastQty: parseFloat(data.l),
       commission: parseFloat(data.n),
@@ -1334,7 +2046,7 @@ class Binance extends BaseExchange {
   _parseTrade(data, symbol) {
     return {
       id: safeString(data, 'id'),
-      symbol: symbol || safeString(data, 'symbol'),
+      symbol: symbol || this._fromBinanceSymbol(safeString(data, 'symbol')),
       price: safeFloat(data, 'price'),
       amount: safeFloat(data, 'qty'),
       cost: (safeFloat(data, 'price') || 0) * (safeFloat(data, 'qty') || 0),
@@ -1349,7 +2061,7 @@ class Binance extends BaseExchange {
     return {
       id: safeString(data, 'id'),
       orderId: safeString(data, 'orderId'),
-      symbol: symbol || safeString(data, 'symbol'),
+      symbol: symbol || this._fromBinanceSymbol(safeString(data, 'symbol')),
       price: safeFloat(data, 'price'),
       amount: safeFloat(data, 'qty'),
       cost: safeFloat(data, 'quoteQty'),
@@ -1364,6 +2076,69 @@ class Binance extends BaseExchange {
       info: data,
     };
   }
+
+  /**
+   * Deposit (status 0/6/7/8/1/2) or withdrawal (status 0-6) record. Withdrawal applyTime
+   * is a UTC 'YYYY-MM-DD HH:mm:ss' string.
+   */
+  _parseTransaction(data, type) {
+    const raw = safeString(data, 'status');
+    const statuses = type === 'deposit'
+      ? { 0: 'pending', 6: 'ok', 7: 'failed', 8: 'pending', 1: 'ok', 2: 'failed' }
+      : { 0: 'pending', 1: 'canceled', 2: 'pending', 3: 'failed', 4: 'pending', 5: 'failed', 6: 'ok' };
+    const applyTime = safeString(data, 'applyTime');
+    const timestamp = safeInteger(data, 'insertTime')
+      || (applyTime ? Date.parse(applyTime.replace(' ', 'T') + 'Z') : undefined);
+    const fee = safeFloat(data, 'transactionFee');
+    const currency = safeString(data, 'coin');
+    return {
+      id: safeString(data, 'id'),
+      txid: safeString(data, 'txId') || undefined,
+      type,
+      currency,
+      network: this._networkCode(safeString(data, 'network')),
+      amount: safeFloat(data, 'amount'),
+      address: safeString(data, 'address'),
+      tag: safeString(data, 'addressTag') || undefined,
+      status: raw !== undefined ? (statuses[raw] || raw) : undefined,
+      fee: fee !== undefined ? { cost: fee, currency } : undefined,
+      timestamp,
+      datetime: iso8601(timestamp),
+      updated: safeInteger(data, 'completeTime'),
+      info: data,
+    };
+  }
+
+  /**
+   * Universal transfer row ({ type: 'MAIN_UMFUTURE', tranId, ... }) or sub-account
+   * transfer ({ fromAccountType, toAccountType, fromEmail, toEmail, ... }).
+   */
+  _parseTransfer(data, status = undefined) {
+    const statuses = { CONFIRMED: 'ok', SUCCESS: 'ok', PENDING: 'pending', FAILED: 'failed' };
+    let from = safeString(data, 'fromAccountType');
+    let to = safeString(data, 'toAccountType');
+    const type = safeString(data, 'type');
+    if (type && type.includes('_')) {
+      from = type.slice(0, type.indexOf('_'));
+      to = type.slice(type.indexOf('_') + 1);
+    }
+    const subTypes = Object.fromEntries(Object.entries(BINANCE_SUB_ACCOUNT_TYPES).map(([k, v]) => [v, k]));
+    const raw = safeString(data, 'status');
+    const timestamp = safeInteger(data, 'timestamp') || safeInteger(data, 'createTimeStamp');
+    return {
+      id: safeString(data, 'tranId'),
+      currency: safeString(data, 'asset'),
+      amount: safeFloat(data, 'amount'),
+      fromAccount: this._accountName(subTypes[from] || from),
+      toAccount: this._accountName(subTypes[to] || to),
+      fromSubAccount: safeString(data, 'fromEmail'),
+      toSubAccount: safeString(data, 'toEmail'),
+      status: status || (raw !== undefined ? (statuses[raw] || raw.toLowerCase()) : undefined),
+      timestamp,
+      datetime: iso8601(timestamp),
+      info: data,
+    };
+  }
 }
 
 module.exports = Binance;
@@ -277,6 +277,8 @@ class Bitexen extends BaseExchange {
       cost: filledAmount * price,
       average: filledAmount > 0 ? (filledAmount * price) / filledAmount : 0,
       status,
+      timeInForce: type === 'LIMIT' ? 'GTC' : undefined,
+      postOnly: false,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -413,6 +415,8 @@ class Bitexen extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     if (type && type.toUpperCase() === 'MARKET') {
       throw new InvalidOrder(this.id + ' does not support market orders — only limit orders');
@@ -421,6 +425,10 @@ class Bitexen extends BaseExchange {
       throw new InvalidOrder(this.id + ' createOrder requires price (only limit orders supported)');
     }
 
+    // Bitexen has no time-in-force or post-only options
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC'] });
+    const client = this._clientOrderIdParams(execution.params);
+
     const request = {
       volume: parseFloat(amount),
       price: parseFloat(price),
@@ -428,14 +436,16 @@ class Bitexen extends BaseExchange {
       market_code: this._toBitexenSymbol(symbol),
       buy_sell: side.toUpperCase().slice(0, 1),  // "B" or "S"
       account_name: this.uid,
-      ...params,
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.client_order_id = client.clientOrderId;
 
     const data = await this._request('POST', '/api/v1/orders/', request, true, 1);
     const result = this._unwrapResponse(data);
 
     return {
       id: safeString(result, 'order_number') || safeString(result, 'id') || safeString(data, 'order_number'),
+      clientOrderId: client.clientOrderId,
       symbol,
       type: 'LIMIT',
       side: side.toUpperCase(),
@@ -444,6 +454,8 @@ class Bitexen extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: 'GTC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: result,
@@ -452,6 +464,10 @@ class Bitexen extends BaseExchange {
 
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    // Orders are cancelled by order number only
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
+    params = ref.params;
 
     // Bitexen cancel: orderId in URL path, POST with empty body
     const path = '/api/v1/cancel_order/' + id + '/';
@@ -495,7 +511,7 @@ class Bitexen extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 25000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 25000 }));
     const exchange = this;
 
     // Bitexen: server sends '2' (ping), client responds '3' (pong)
@@ -510,7 +526,7 @@ class Bitexen extends BaseExchange {
       // Step 1: Get SID via polling transport
       try {
         const pollUrl = 'https://www.bitexen.com/v2/socket.io/?EIO=3&transport=polling&t=' + Date.now();
-        const resp = await fetch(pollUrl, { signal: AbortSignal.timeout(10000) });
+        const resp = await exchange._fetch(pollUrl, { signal: AbortSignal.timeout(10000) });
         const text = await resp.text();
         // Response format: "97:0{...}" — find the JSON part
         const jsonStart = text.indexOf('{');
@@ -617,7 +633,10 @@ class Bitexen extends BaseExchange {
     return this._subscribeBitexen('s_ob', bxSymbol, (msg) => {
       // msg = ["s_ob", { asks: [...], bids: [...] }]
       if (msg[1]) {
-        callback(this._parseWsOrderBook(msg[1], symbol));
+        this._handleOrderBookMessage(symbol, {
+          snapshot: true,
+          ...this._parseWsOrderBook(msg[1], symbol),
+        }, callback);
       }
     });
   }
@@ -657,6 +676,7 @@ class Bitexen extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -2,12 +2,12 @@
 
 const crypto = require('crypto');
 const BaseExchange = require('./BaseExchange');
-const { hmacSHA384Hex } = require('./utils/crypto');
+const { hmacSHA384Hex, crc32 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, sleep,
+  iso8601, sleep, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -15,6 +15,13 @@ const {
   BadSymbol, BadRequest, ExchangeNotAvailable,
 } = require('./utils/errors');
 
+const OB_CHECKSUM = 131072; // WS conf flag: checksum after every book update
+const BFX_FLAG_POST_ONLY = 4096; // order flag: cancel instead of taking liquidity
+// Funding methods of tokens issued on several chains, by unified network
+const BFX_TOKEN_METHODS = {
+  UST: { ERC20: 'tetheruse', TRC20: 'tetherusx', SOL: 'tetherusdtsol', AVAX: 'tetherusdtavax' },
+};
+
 class Bitfinex extends BaseExchange {
 
   describe() {
@@ -34,6 +41,10 @@ class Bitfinex extends BaseExchange {
         fetchTrades: true,
         fetchOHLCV: true,
         fetchTime: true,
+        fetchFundingRate: true,
+        fetchFundingRates: true,
+        fetchFundingRateHistory: true,
+        fetchOpenInterest: true,
         // Private
         createOrder: true,
         createLimitOrder: true,
@@ -41,17 +52,37 @@ class Bitfinex extends BaseExchange {
         cancelOrder: true,
         cancelAllOrders: true,
         amendOrder: false,
+        editOrder: true,
+        createOrders: true,
+        cancelOrders: true,
         fetchOrder: true,
         fetchOpenOrders: true,
         fetchClosedOrders: true,
         fetchMyTrades: true,
         fetchBalance: true,
+        fetchLedger: true,
         fetchTradingFees: true,
+        // Funding
+        fetchDepositAddress: true,
+        createDepositAddress: true,
+        fetchDeposits: true,
+        fetchWithdrawals: true,
+        withdraw: true,
+        fetchDepositWithdrawFees: true,
+        transfer: true,
+        fetchTransfers: true,
+        // Margin
+        borrowMargin: false,
+        repayMargin: false,
+        fetchBorrowRate: true,
+        fetchBorrowInterest: true,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
         watchTrades: true,
         watchKlines: true,
+        watchFundingRate: true,
+        watchMarkPrice: true,
         watchBalance: true,
         watchOrders: true,
       },
@@ -69,6 +100,12 @@ class Bitfinex extends BaseExchange {
       fees: {
         trading: { maker: 0.001, taker: 0.002 },
       },
+      networks: {
+        BTC: 'bitcoin', ERC20: 'ethereum', TRC20: 'tron', SOL: 'sol',
+      },
+      accounts: {
+        spot: 'exchange', margin: 'margin', funding: 'funding',
+      },
     };
   }
 
@@ -79,6 +116,7 @@ class Bitfinex extends BaseExchange {
     this._wsChannelMap = new Map();     // chanId → { channel, symbol, key }
     this._wsPrivateAuthenticated = false;
     this._pingTimers = new Map();
+    this._txMethods = null; // pub:map:tx:method, loaded on first funding call
   }
 
   // ===========================================================================
@@ -132,6 +170,17 @@ class Bitfinex extends BaseExchange {
     }
   }
 
+  /**
+   * Bitfinex exposes authenticated reads only as POSTs under /v2/auth/r/ (wallets,
+   * orders, trades), while every state change lives under /v2/auth/w/. Reads are
+   * side-effect free and safe to retry; writes fall through to the base policy,
+   * which never treats `cid` as idempotent.
+   */
+  _canRetryRequest(method, path, params = {}) {
+    if (path.startsWith('/v2/auth/r/')) return true;
+    return super._canRetryRequest(method, path, params);
+  }
+
   _handleHttpError(status, body) {
     let parsed;
     try { parsed = JSON.parse(body); } catch { /* ignore */ }
@@ -196,9 +245,14 @@ class Bitfinex extends BaseExchange {
    * Convert unified symbol to Bitfinex format.
    * BTC/USD → tBTCUSD
    * BTC/USDT → tBTCUST
+   * BTC/USDT:USDT → tBTCF0:USTF0 (perpetual)
    */
   _toBitfinexSymbol(symbol) {
     if (symbol.startsWith('t')) return symbol;
+    const parts = this._symbolParts(symbol);
+    if (parts && parts.settle) {
+      return 't' + this._toShortCurrency(parts.base) + 'F0:' + this._toShortCurrency(parts.quote) + 'F0';
+    }
     const [base, quote] = symbol.split('/');
 
     // Reverse special mappings for Bitfinex
@@ -212,6 +266,7 @@ class Bitfinex extends BaseExchange {
    * Convert Bitfinex symbol to unified format.
    * tBTCUSD → BTC/USD
    * tBTCUST → BTC/USDT
+   * tBTCF0:USTF0 → BTC/USDT:USDT
    */
   _fromBitfinexSymbol(symbol) {
     if (!symbol) return symbol;
@@ -224,6 +279,11 @@ class Bitfinex extends BaseExchange {
     // Handle colon-separated pairs (e.g., tTESTBTC:TESTUSD)
     if (pair.includes(':')) {
       const [base, quote] = pair.split(':');
+      // Perpetuals suffix both sides with F0 and settle in the quote currency
+      if (base.endsWith('F0') && quote.endsWith('F0')) {
+        const settle = this._fromShortCurrency(quote.slice(0, -2));
+        return this._contractSymbol(this._fromShortCurrency(base.slice(0, -2)), settle, settle);
+      }
       return this._fromShortCurrency(base) + '/' + this._fromShortCurrency(quote);
     }
 
@@ -443,11 +503,105 @@ class Bitfinex extends BaseExchange {
   }
 
   // ===========================================================================
-  // TRADING — PRIVATE (7 endpoints)
+  // DERIVATIVES — PUBLIC (3 endpoints) — perpetuals are tBASEF0:QUOTEF0
+  // ===========================================================================
+
+  /**
+   * Funding of a perpetual. GET /v2/status/deriv?keys={symbol}
+   * Bitfinex settles every 8 hours.
+   */
+  async fetchFundingRate(symbol, params = {}) {
+    const rates = await this.fetchFundingRates([symbol], params);
+    const rate = rates[this._fromBitfinexSymbol(this._toBitfinexSymbol(symbol))];
+    if (!rate) throw new BadSymbol(this.id + ' no derivatives status for: ' + symbol);
+    return rate;
+  }
+
+  /**
+   * Funding of several perpetuals, or all with keys=ALL. GET /v2/status/deriv
+   */
+  async fetchFundingRates(symbols = undefined, params = {}) {
+    const rows = await this._fetchDerivStatus(symbols, params);
+    const rates = {};
+    for (const row of rows) {
+      const rate = this._parseFundingRate(row.slice(1), this._fromBitfinexSymbol(row[0]));
+      if (!symbols || symbols.includes(rate.symbol)) rates[rate.symbol] = rate;
+    }
+    return rates;
+  }
+
+  /**
+   * Funding rates over time. GET /v2/status/deriv/{symbol}/hist
+   * Bitfinex keeps no settlement log; these are status snapshots with the funding rate
+   * in force at each one.
+   */
+  async fetchFundingRateHistory(symbol, since = undefined, limit = undefined, params = {}) {
+    const bfxSymbol = this._toBitfinexSymbol(symbol);
+    const request = { ...params };
+    if (limit) request.limit = limit;
+    if (since) request.start = since;
+    request.sort = 1; // chronological order
+
+    const data = await this._request('GET', '/v2/status/deriv/' + bfxSymbol + '/hist', request, false, 1);
+    this._unwrapResponse(data);
+
+    const unified = this._fromBitfinexSymbol(bfxSymbol);
+    const list = Array.isArray(data) ? data : [];
+    return list.map((s) => ({
+      info: s,
+      symbol: unified,
+      fundingRate: s[11],
+      timestamp: s[0],
+      datetime: iso8601(s[0]),
+    }));
+  }
+
+  /**
+   * Open interest in contracts, valued at the mark price. GET /v2/status/deriv
+   */
+  async fetchOpenInterest(symbol, params = {}) {
+    const [row] = await this._fetchDerivStatus([symbol], params);
+    if (!row) throw new BadSymbol(this.id + ' no derivatives status for: ' + symbol);
+    const amount = row[18];
+    const mark = row[15];
+    return this._openInterest({
+      info: row,
+      symbol: this._fromBitfinexSymbol(row[0]),
+      openInterestAmount: amount,
+      openInterestValue: amount !== undefined && amount !== null && mark ? amount * mark : undefined,
+      timestamp: row[1],
+    });
+  }
+
+  async _fetchDerivStatus(symbols, params) {
+    const request = { keys: 'ALL', ...params };
+    if (symbols && symbols.length > 0) {
+      request.keys = symbols.map((s) => this._toBitfinexSymbol(s)).join(',');
+    }
+    const data = await this._request('GET', '/v2/status/deriv', request, false, 1);
+    this._unwrapResponse(data);
+    return (Array.isArray(data) ? data : []).filter((row) => Array.isArray(row) && row.length > 18);
+  }
+
+  // ===========================================================================
+  // TRADING — PRIVATE (9 endpoints)
   // ===========================================================================
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    const request = this._createOrderRequest(symbol, type, side, amount, price, params);
+    const data = await this._request('POST', '/v2/auth/w/order/submit', request, true, 1);
+    this._unwrapResponse(data);
+
+    return this._parseOrderCreateResult(data);
+  }
+
+  /**
+   * Build an order/submit body — also the payload of an 'on' op in order/multi.
+   */
+  _createOrderRequest(symbol, type, side, amount, price, params) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const bfxSymbol = this._toBitfinexSymbol(symbol);
 
@@ -456,24 +610,83 @@ class Bitfinex extends BaseExchange {
       ? String(Math.abs(amount))
       : String(-Math.abs(amount));
 
-    // Order type: 'EXCHANGE LIMIT' for spot limit, 'EXCHANGE MARKET' for spot market
-    const orderType = this._buildOrderType(type);
+    // Order type: 'EXCHANGE LIMIT' for spot limit, 'EXCHANGE MARKET' for spot market.
+    // IOC and FOK are order types of their own; post-only is the POST_ONLY flag (4096)
+    const margin = this._marginOrderParams(params);
+    if (margin.marginMode === 'isolated') {
+      throw new InvalidOrder(this.id + ' createOrder() supports cross margin only (the margin wallet)');
+    }
+    const execution = this._orderExecutionParams(type, margin.params);
+    const client = this._clientOrderIdParams(execution.params);
+    const limit = type.toLowerCase() === 'limit';
+    let orderType = limit && (execution.timeInForce === 'IOC' || execution.timeInForce === 'FOK')
+      ? this._buildOrderType(execution.timeInForce)
+      : this._buildOrderType(type);
+    // Margin orders are the same types without the EXCHANGE prefix
+    if (margin.marginMode) orderType = orderType.replace(/^EXCHANGE /, '');
 
     const request = {
       type: orderType,
       symbol: bfxSymbol,
       amount: signedAmount,
-      ...params,
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.cid = this._toCid(client.clientOrderId);
 
-    if (price !== undefined && price !== null && type.toLowerCase() === 'limit') {
-      request.price = String(price);
+    if (execution.postOnly) {
+      request.flags = (request.flags || 0) | BFX_FLAG_POST_ONLY;
     }
 
-    const data = await this._request('POST', '/v2/auth/w/order/submit', request, true, 1);
-    this._unwrapResponse(data);
+    if (price !== undefined && price !== null && limit) {
+      request.price = numberToString(price);
+    }
+    return request;
+  }
 
-    return this._parseOrderCreateResult(data);
+  /**
+   * Submit up to 75 orders per request as 'on' ops. POST /v2/auth/w/order/multi
+   * The reply's data[4] holds one on-req notification per order, each with its own
+   * SUCCESS / ERROR status.
+   */
+  async createOrders(orders, params = {}) {
+    this.checkRequiredCredentials();
+    return this._sendBatch(orders, 75, (o) => (
+      this._createOrderRequest(o.symbol, o.type, o.side, o.amount, o.price, { ...params, ...(o.params || {}) })
+    ), async (entries) => {
+      const data = await this._request('POST', '/v2/auth/w/order/multi', {
+        ops: entries.map((entry) => ['on', entry]),
+      }, true, 1);
+      this._unwrapResponse(data);
+      const notifications = Array.isArray(data) && Array.isArray(data[4]) ? data[4] : [];
+      return entries.map((entry, i) => {
+        try {
+          return { success: true, order: this._parseOrderCreateResult(notifications[i]) };
+        } catch (error) {
+          return { success: false, error };
+        }
+      });
+    });
+  }
+
+  /**
+   * Cancel orders by id. POST /v2/auth/w/order/cancel/multi
+   * Bitfinex lists the orders it cancels; an id missing from that list was not found.
+   */
+  async cancelOrders(ids, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    return this._sendBatch(ids, 75, (id) => parseInt(id, 10), async (entries) => {
+      const data = await this._request('POST', '/v2/auth/w/order/cancel/multi', { id: entries, ...params }, true, 1);
+      this._unwrapResponse(data);
+      const canceled = new Map();
+      for (const o of (Array.isArray(data) && Array.isArray(data[4]) ? data[4] : [])) {
+        if (Array.isArray(o)) canceled.set(o[0], o);
+      }
+      return entries.map((id) => {
+        const o = canceled.get(id);
+        if (!o) return { success: false, error: new OrderNotFound(this.id + ' order ' + id + ' not found') };
+        return { success: true, order: { ...this._parseOrder(o), status: 'CANCELED' } };
+      });
+    });
   }
 
   async createLimitOrder(symbol, side, amount, price, params = {}) {
@@ -484,15 +697,52 @@ class Bitfinex extends BaseExchange {
     return this.createOrder(symbol, 'market', side, amount, undefined, params);
   }
 
+  /**
+   * Update an order in place (REST counterpart of the WS `ou` input).
+   * POST /v2/auth/w/order/update — amount is signed like on submit; an omitted
+   * amount or price is left unchanged. postOnly sets the POST_ONLY flag.
+   */
+  async editOrder(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC', 'PO'] });
+
+    const request = { id: parseInt(id, 10), ...execution.params };
+    if (amount !== undefined && amount !== null) {
+      request.amount = side.toLowerCase() === 'buy' ? String(Math.abs(amount)) : String(-Math.abs(amount));
+    }
+    if (price !== undefined && price !== null) {
+      request.price = numberToString(price);
+    }
+    if (execution.postOnly) {
+      request.flags = (request.flags || 0) | BFX_FLAG_POST_ONLY;
+    }
+
+    const data = await this._request('POST', '/v2/auth/w/order/update', request, true, 1);
+    this._unwrapResponse(data);
+
+    const order = this._parseOrderCreateResult(data);
+    return order.type ? order : this._editedOrder({ ...order, symbol }, type, side, amount, price);
+  }
+
+  /**
+   * Cancel by id, or by params.clientOrderId. A cid is only unique within its UTC day,
+   * so it goes out with cid_date — params.cidDate ('YYYY-MM-DD'), default today.
+   */
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
-    const request = { id: parseInt(id, 10), ...params };
+    const { cidDate, ...rest } = params;
+    const ref = this._orderReference('cancelOrder', id, rest);
+    const request = ref.id !== undefined
+      ? { id: parseInt(ref.id, 10), ...ref.params }
+      : { cid: this._toCid(ref.clientOrderId), cid_date: cidDate || iso8601(Date.now()).slice(0, 10), ...ref.params };
     const data = await this._request('POST', '/v2/auth/w/order/cancel', request, true, 1);
     this._unwrapResponse(data);
 
     return {
-      id: String(id),
+      id: ref.id !== undefined ? String(ref.id) : undefined,
+      clientOrderId: ref.clientOrderId,
       symbol,
       status: 'CANCELED',
       info: data,
@@ -511,32 +761,67 @@ class Bitfinex extends BaseExchange {
     };
   }
 
+  /**
+   * Look an order up by id, or by params.clientOrderId (the cid, matched in the open
+   * orders and then in the order history of its day — params.cidDate, default today).
+   */
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
+    const { cidDate, ...rest } = params;
+    const ref = this._orderReference('fetchOrder', id, rest);
+    id = ref.id;
+    // Order arrays carry the id at [0] and the cid at [2]
+    const matches = (o) => Array.isArray(o)
+      && (ref.id !== undefined ? String(o[0]) === String(ref.id) : String(o[2]) === ref.clientOrderId);
+
     // Try open orders first
     const openData = await this._request('POST', '/v2/auth/r/orders', {}, true, 1);
     this._unwrapResponse(openData);
 
     const openList = Array.isArray(openData) ? openData : [];
     for (const o of openList) {
-      if (Array.isArray(o) && String(o[0]) === String(id)) {
+      if (matches(o)) {
         return this._parseOrder(o);
       }
     }
 
     // Try historical orders
-    const histData = await this._request('POST', '/v2/auth/r/orders/hist', { id: [parseInt(id, 10)] }, true, 1);
+    let histRequest;
+    if (ref.id !== undefined) {
+      histRequest = { id: [parseInt(id, 10)] };
+    } else {
+      const start = Date.parse((cidDate || iso8601(Date.now()).slice(0, 10)) + 'T00:00:00Z');
+      histRequest = { start, end: start + 86400000, limit: 2500 };
+    }
+    const histData = await this._request('POST', '/v2/auth/r/orders/hist', histRequest, true, 1);
     this._unwrapResponse(histData);
 
     const histList = Array.isArray(histData) ? histData : [];
     for (const o of histList) {
-      if (Array.isArray(o) && String(o[0]) === String(id)) {
+      if (matches(o)) {
         return this._parseOrder(o);
       }
     }
 
-    throw new OrderNotFound(this.id + ' order not found: ' + id);
+    throw new OrderNotFound(this.id + ' order not found: ' + (ref.id || ref.clientOrderId));
+  }
+
+  /**
+   * Bitfinex client order ids (cid) are integers, so a generated one ignores
+   * clientOrderIdPrefix: milliseconds since UTC midnight times 1000 plus a random
+   * 0-999, unique within the day the exchange scopes cids to.
+   */
+  _generateClientOrderId() {
+    const now = Date.now();
+    return String((now % 86400000) * 1000 + Math.floor(Math.random() * 1000));
+  }
+
+  _toCid(clientOrderId) {
+    if (!/^\d+$/.test(clientOrderId)) {
+      throw new InvalidOrder(this.id + ' clientOrderId must be a non-negative integer (Bitfinex cid), got ' + clientOrderId);
+    }
+    return Number(clientOrderId);
   }
 
   async fetchOpenOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
@@ -598,10 +883,16 @@ class Bitfinex extends BaseExchange {
   // ACCOUNT — PRIVATE (2 endpoints)
   // ===========================================================================
 
+  /**
+   * Balances of the exchange wallet, or of the wallet named by params.account (or type,
+   * e.g. { type: 'margin' } for the margin wallet).
+   */
   async fetchBalance(params = {}) {
     this.checkRequiredCredentials();
+    const { account, params: rest } = this._balanceParams(params);
+    const wanted = this._accountId(account || 'spot');
 
-    const data = await this._request('POST', '/v2/auth/r/wallets', params, true, 1);
+    const data = await this._request('POST', '/v2/auth/r/wallets', rest, true, 1);
     this._unwrapResponse(data);
 
     const balance = {
@@ -620,8 +911,8 @@ class Bitfinex extends BaseExchange {
       const total = wallet[2] || 0;
       const available = wallet[4] !== null && wallet[4] !== undefined ? wallet[4] : total;
 
-      // Only include exchange (spot) wallets
-      if (walletType !== 'exchange') continue;
+      // Only include the requested wallet (exchange by default)
+      if (walletType !== wanted) continue;
 
       const upperCurrency = this._fromShortCurrency(currency ? currency.toUpperCase() : currency);
       const used = total - available;
@@ -674,6 +965,324 @@ class Bitfinex extends BaseExchange {
     };
   }
 
+  // ===========================================================================
+  // FUNDING — PRIVATE (4 endpoints) + PUBLIC CONFIG (2)
+  // Bitfinex moves funds by "method": 'bitcoin', 'ethereum', 'tetherusx' (USDT on Tron).
+  // ===========================================================================
+
+  /**
+   * Method for a currency and network. Token networks come from BFX_TOKEN_METHODS,
+   * other networks from describe().networks; without one, the first method Bitfinex
+   * lists for the currency (pub:map:tx:method, cached).
+   */
+  async _fundingMethod(method, code, network) {
+    const short = this._toShortCurrency(String(code).toUpperCase());
+    if (network !== undefined && network !== null && network !== '') {
+      const token = BFX_TOKEN_METHODS[short] || {};
+      return (token[String(network).toUpperCase()] || String(this._networkId(network))).toLowerCase();
+    }
+    if (!this._txMethods) {
+      const data = await this._request('GET', '/v2/conf/pub:map:tx:method', {}, false, 1);
+      this._unwrapResponse(data);
+      this._txMethods = (Array.isArray(data) && data[0]) || [];
+    }
+    const entry = this._txMethods.find((m) => Array.isArray(m[1]) && m[1].includes(short));
+    if (!entry) throw new BadRequest(this.id + ' ' + method + '() found no funding method for ' + code);
+    return String(entry[0]).toLowerCase();
+  }
+
+  /**
+   * Unified network of a method: 'tetherusx' → TRC20, 'bitcoin' → BTC.
+   */
+  _fundingNetwork(methodName) {
+    if (!methodName) return undefined;
+    const lower = String(methodName).toLowerCase();
+    for (const token of Object.values(BFX_TOKEN_METHODS)) {
+      for (const [network, id] of Object.entries(token)) {
+        if (id === lower) return network;
+      }
+    }
+    return this._networkCode(lower);
+  }
+
+  async fetchDepositAddress(code, params = {}) {
+    return this._depositAddress('fetchDepositAddress', code, 0, params);
+  }
+
+  /**
+   * Renew the deposit address (op_renew 1).
+   */
+  async createDepositAddress(code, params = {}) {
+    return this._depositAddress('createDepositAddress', code, 1, params);
+  }
+
+  /**
+   * POST /v2/auth/w/deposit/address → [MTS, TYPE, MSG_ID, null,
+   * [null, METHOD, CURRENCY, null, ADDRESS, POOL_ADDRESS], CODE, STATUS, TEXT].
+   * Memo currencies put the shared address in POOL_ADDRESS and the memo in ADDRESS.
+   */
+  async _depositAddress(method, code, renew, params) {
+    this.checkRequiredCredentials();
+    const { network, ...rest } = params;
+    const request = {
+      wallet: 'exchange',
+      method: await this._fundingMethod(method, code, network),
+      op_renew: renew,
+      ...rest,
+    };
+    const data = await this._request('POST', '/v2/auth/w/deposit/address', request, true, 1);
+    this._unwrapResponse(data);
+    this._checkNotification(method, data);
+    const entry = (Array.isArray(data) && data[4]) || [];
+    const pool = entry[5];
+    return {
+      info: data,
+      currency: this._fromShortCurrency(String(entry[2] || code).toUpperCase()),
+      network: this._fundingNetwork(entry[1] || request.method),
+      address: pool ? String(pool) : safeString(entry, 4),
+      tag: pool ? safeString(entry, 4) : undefined,
+    };
+  }
+
+  /**
+   * Deposits from the movements history (positive amounts). POST /v2/auth/r/movements/hist
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    const list = await this._fetchMovements(code, since, limit, params);
+    return list.filter((t) => t.type === 'deposit');
+  }
+
+  /**
+   * Withdrawals from the movements history (negative amounts).
+   */
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    const list = await this._fetchMovements(code, since, limit, params);
+    return list.filter((t) => t.type === 'withdrawal');
+  }
+
+  async _fetchMovements(code, since, limit, params) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (since) request.start = since;
+    if (limit) request.limit = limit;
+    const path = code
+      ? '/v2/auth/r/movements/' + this._toShortCurrency(String(code).toUpperCase()) + '/hist'
+      : '/v2/auth/r/movements/hist';
+    const data = await this._request('POST', path, request, true, 1);
+    this._unwrapResponse(data);
+    return (Array.isArray(data) ? data : []).map((m) => this._parseTransaction(m));
+  }
+
+  /**
+   * Withdraw from the exchange wallet. POST /v2/auth/w/withdraw
+   * Result: [MTS, TYPE, MSG_ID, null, [WITHDRAWAL_ID, null, METHOD, PAYMENT_ID, WALLET,
+   * AMOUNT, null, null, WITHDRAWAL_FEE], CODE, STATUS, TEXT].
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...others } = params;
+    const args = this._withdrawArgs(code, amount, address, tag, others);
+    const request = {
+      wallet: 'exchange',
+      method: await this._fundingMethod('withdraw', code, network),
+      amount: numberToString(amount),
+      address,
+      ...args.params,
+    };
+    if (args.tag) request.payment_id = args.tag;
+    const data = await this._request('POST', '/v2/auth/w/withdraw', request, true, 1);
+    this._unwrapResponse(data);
+    this._checkNotification('withdraw', data);
+    const entry = (Array.isArray(data) && data[4]) || [];
+    const currency = String(code).toUpperCase();
+    const fee = entry[8];
+    return {
+      id: safeString(entry, 0),
+      txid: undefined,
+      type: 'withdrawal',
+      currency,
+      network: this._fundingNetwork(request.method),
+      amount: Number(amount),
+      address,
+      tag: args.tag,
+      status: 'pending',
+      fee: fee !== undefined && fee !== null ? { cost: Math.abs(fee), currency } : undefined,
+      timestamp: data[0],
+      datetime: iso8601(data[0]),
+      updated: undefined,
+      info: data,
+    };
+  }
+
+  /**
+   * Flat deposit and withdrawal fee per currency. GET /v2/conf/pub:map:currency:tx:fee
+   * → [[[CURRENCY, [DEPOSIT_FEE, WITHDRAWAL_FEE]], ...]]
+   */
+  async fetchDepositWithdrawFees(codes = undefined, params = {}) {
+    const data = await this._request('GET', '/v2/conf/pub:map:currency:tx:fee', { ...params }, false, 1);
+    this._unwrapResponse(data);
+    const wanted = codes ? codes.map((c) => String(c).toUpperCase()) : undefined;
+    const fees = {};
+    for (const [short, values] of (Array.isArray(data) && data[0]) || []) {
+      const code = this._fromShortCurrency(short);
+      if (wanted && !wanted.includes(code)) continue;
+      fees[code] = {
+        info: [short, values],
+        withdraw: { fee: values[1], percentage: false },
+        deposit: { fee: values[0], percentage: false },
+        networks: {},
+      };
+    }
+    return fees;
+  }
+
+  /**
+   * Write endpoints answer with a notification whose STATUS (index 6) is 'ERROR' on failure.
+   */
+  _checkNotification(method, data) {
+    if (Array.isArray(data) && data[6] === 'ERROR') {
+      throw new ExchangeError(this.id + ' ' + method + '() failed: ' + (data[7] || 'unknown error'));
+    }
+  }
+
+  // ===========================================================================
+  // TRANSFERS — PRIVATE (2 endpoints)
+  // ===========================================================================
+
+  /**
+   * Move funds between the exchange, margin and funding wallets. POST /v2/auth/w/transfer
+   * params.toSubAccount (sub-account email) sends to another account via email_dst.
+   * Result: [MTS, TYPE, MSG_ID, null, [MTS_UPDATED, WALLET_FROM, WALLET_TO, null,
+   * CURRENCY, CURRENCY_TO, null, AMOUNT], CODE, STATUS, TEXT].
+   */
+  async transfer(code, amount, fromAccount, toAccount, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._transferArgs(code, amount, fromAccount, toAccount, params);
+    if (args.fromSubAccount) {
+      throw new BadRequest(this.id + ' transfer() out of a sub-account needs that sub-account\'s API key');
+    }
+    const currency = this._toShortCurrency(String(code).toUpperCase());
+    const request = {
+      from: args.from,
+      to: args.to,
+      currency,
+      currency_to: currency,
+      amount: numberToString(amount),
+    };
+    if (args.toSubAccount) request.email_dst = args.toSubAccount;
+    Object.assign(request, args.params);
+    const data = await this._request('POST', '/v2/auth/w/transfer', request, true, 1);
+    this._unwrapResponse(data);
+    this._checkNotification('transfer', data);
+    const entry = (Array.isArray(data) && data[4]) || [];
+    const timestamp = entry[0] || data[0];
+    return {
+      id: safeString(data, 2),
+      currency: String(code).toUpperCase(),
+      amount: Number(amount),
+      fromAccount: this._accountName(entry[1] || request.from),
+      toAccount: this._accountName(entry[2] || request.to),
+      fromSubAccount: undefined,
+      toSubAccount: args.toSubAccount,
+      status: 'ok',
+      timestamp,
+      datetime: iso8601(timestamp),
+      info: data,
+    };
+  }
+
+  /**
+   * Wallet transfers from the ledger (category 51). POST /v2/auth/r/ledgers[/{Currency}]/hist
+   * Each transfer books a debit and a credit; only the debit is returned.
+   */
+  async fetchTransfers(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { category: 51, ...params };
+    if (since) request.start = since;
+    if (limit) request.limit = limit;
+    const path = code
+      ? '/v2/auth/r/ledgers/' + this._toShortCurrency(String(code).toUpperCase()) + '/hist'
+      : '/v2/auth/r/ledgers/hist';
+    const data = await this._request('POST', path, request, true, 1);
+    this._unwrapResponse(data);
+    return (Array.isArray(data) ? data : [])
+      .filter((l) => Number(l[5]) < 0)
+      .map((l) => this._parseTransfer(l));
+  }
+
+  // ===========================================================================
+  // LEDGER — PRIVATE (1 endpoint)
+  // ===========================================================================
+
+  /**
+   * Account ledger across all wallets. POST /v2/auth/r/ledgers[/{Currency}]/hist
+   * → [[ID, CURRENCY, WALLET, MTS, null, AMOUNT, BALANCE, null, DESCRIPTION], ...]
+   */
+  async fetchLedger(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (since) request.start = since;
+    if (limit) request.limit = limit;
+    const path = code
+      ? '/v2/auth/r/ledgers/' + this._toShortCurrency(String(code).toUpperCase()) + '/hist'
+      : '/v2/auth/r/ledgers/hist';
+    const data = await this._request('POST', path, request, true, 1);
+    this._unwrapResponse(data);
+    const entries = (Array.isArray(data) ? data : []).map((l) => this._parseLedgerEntry(l)).reverse();
+    return this._ledgerPage(entries, since, limit);
+  }
+
+  // ===========================================================================
+  // MARGIN — PUBLIC (1 endpoint) + PRIVATE (1)
+  // Margin positions borrow from the funding book automatically, so there are no
+  // manual loans: borrowMargin() / repayMargin() stay unsupported.
+  // ===========================================================================
+
+  /**
+   * Flash return rate of the funding book, a daily rate. GET /v2/ticker/f{CCY}
+   * → [FRR, BID, BID_PERIOD, BID_SIZE, ASK, ASK_PERIOD, ASK_SIZE, ...]
+   */
+  async fetchBorrowRate(code, params = {}) {
+    const currency = String(code).toUpperCase();
+    const data = await this._request('GET', '/v2/ticker/f' + this._toShortCurrency(currency), params, false, 1);
+    this._unwrapResponse(data);
+    if (!Array.isArray(data) || data.length < 10) {
+      throw new BadSymbol(this.id + ' no funding market for ' + currency);
+    }
+    return this._borrowRate({
+      info: data,
+      currency,
+      rate: data[0],
+      period: 86400000,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Interest paid on margin funding: ledger entries of category 28 (margin/swap
+   * interest payment). POST /v2/auth/r/ledgers[/{Currency}]/hist
+   */
+  async fetchBorrowInterest(code = undefined, symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { category: 28, ...params };
+    if (since) request.start = since;
+    if (limit) request.limit = limit;
+    const path = code
+      ? '/v2/auth/r/ledgers/' + this._toShortCurrency(String(code).toUpperCase()) + '/hist'
+      : '/v2/auth/r/ledgers/hist';
+    const data = await this._request('POST', path, request, true, 1);
+    this._unwrapResponse(data);
+    return (Array.isArray(data) ? data : [])
+      .map((l) => this._borrowInterest({
+        info: l,
+        currency: this._fromShortCurrency(String(l[1]).toUpperCase()),
+        marginMode: 'cross',
+        interest: Math.abs(l[5]),
+        timestamp: l[3],
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
   // ===========================================================================
   // WEBSOCKET — Channel-based (Public + Private auth)
   // ===========================================================================
@@ -682,10 +1291,10 @@ class Bitfinex extends BaseExchange {
     if (this._wsClients.has(url)) {
       return this._wsClients.get(url);
     }
-    const client = new WsClient({
+    const client = new WsClient(this._wsClientOptions({
       url,
       pingInterval: 0, // Bitfinex sends heartbeats
-    });
+    }));
     this._wsClients.set(url, client);
     return client;
   }
@@ -703,19 +1312,22 @@ class Bitfinex extends BaseExchange {
     const client = await this._ensureWsConnected(wsUrl);
     const bfxSymbol = this._toBitfinexSymbol(symbol);
 
+    // The status channel is addressed by `key` instead of a symbol
     const subMsg = {
       event: 'subscribe',
       channel,
-      symbol: bfxSymbol,
+      ...(extra.key ? {} : { symbol: bfxSymbol }),
       ...extra,
     };
     client.send(subMsg);
 
-    const key = channel + ':' + bfxSymbol;
+    const key = channel + ':' + (extra.key || bfxSymbol);
 
     const handler = (data) => {
       // Handle subscription confirmation
-      if (data && data.event === 'subscribed' && data.channel === channel) {
+      if (data && data.event === 'subscribed' && data.channel === channel
+        && (!data.symbol || data.symbol === bfxSymbol)
+        && (!extra.key || data.key === extra.key)) {
         this._wsChannelMap.set(data.chanId, { channel, symbol, key });
         return;
       }
@@ -740,6 +1352,22 @@ class Bitfinex extends BaseExchange {
     return key;
   }
 
+  /**
+   * Unsubscribe and subscribe again so Bitfinex pushes a fresh snapshot.
+   * The handler stays registered and picks up the new chanId.
+   */
+  async _resubscribePublic(channel, symbol, extra = {}) {
+    const client = await this._ensureWsConnected(this.urls.ws);
+    const key = channel + ':' + this._toBitfinexSymbol(symbol);
+    for (const [chanId, mapping] of this._wsChannelMap) {
+      if (mapping.key === key) {
+        client.send({ event: 'unsubscribe', chanId });
+        this._wsChannelMap.delete(chanId);
+      }
+    }
+    client.send({ event: 'subscribe', channel, symbol: this._toBitfinexSymbol(symbol), ...extra });
+  }
+
   async _subscribeCandles(symbol, timeframe, callback) {
     const wsUrl = this.urls.ws;
     const client = await this._ensureWsConnected(wsUrl);
@@ -838,29 +1466,56 @@ class Bitfinex extends BaseExchange {
   }
 
   async watchOrderBook(symbol, callback) {
+    // OB_CHECKSUM flag: Bitfinex sends [chanId, 'cs', checksum] after each book update
+    const client = await this._ensureWsConnected(this.urls.ws);
+    client.send({ event: 'conf', flags: OB_CHECKSUM });
+
+    const extra = { prec: 'P0', len: '25' };
+    const options = {
+      depth: 25,
+      checksum: (book) => this._bitfinexBookChecksum(book),
+      resubscribe: () => this._resubscribePublic('book', symbol, extra),
+    };
     return this._subscribePublic('book', symbol, (data) => {
       const payload = data[1];
-      if (Array.isArray(payload)) {
+      if (payload === 'cs') {
+        const book = this._getOrderBook(symbol);
+        if (book.synced) this._verifyOrderBookChecksum(book, data[2], callback, options);
+      } else if (Array.isArray(payload)) {
         // Snapshot: [[PRICE, COUNT, AMOUNT], ...] or single update: [PRICE, COUNT, AMOUNT]
-        if (Array.isArray(payload[0])) {
-          // Snapshot
-          callback(this._parseOrderBook(payload, symbol));
+        if (Array.isArray(payload[0]) || payload.length === 0) {
+          this._handleOrderBookMessage(symbol, {
+            snapshot: true,
+            ...this._parseOrderBook(payload, symbol),
+          }, callback, options);
         } else if (payload.length === 3) {
-          // Single update
+          // COUNT 0 removes the level; AMOUNT sign picks the side (1 = bid, -1 = ask)
           const [price, count, amount] = payload;
-          const side = amount > 0 ? 'bids' : 'asks';
-          callback({
-            symbol,
-            type: 'update',
-            side,
-            price: Math.abs(price),
-            count,
-            amount: Math.abs(amount),
+          const level = [[price, count === 0 ? 0 : Math.abs(amount)]];
+          this._handleOrderBookMessage(symbol, {
+            snapshot: false,
+            bids: amount > 0 ? level : [],
+            asks: amount > 0 ? [] : level,
             timestamp: Date.now(),
-          });
+          }, callback, options);
         }
       }
-    }, { prec: 'P0', len: '25' });
+    }, extra);
+  }
+
+  /**
+   * Bitfinex book checksum: CRC32 (signed) of the top 25 levels interleaved as
+   * bidPrice:bidAmount:askPrice:askAmount:..., with ask amounts negative.
+   */
+  _bitfinexBookChecksum(book) {
+    const parts = [];
+    for (let i = 0; i < 25; i++) {
+      const bid = book.bids.levels[i];
+      const ask = book.asks.levels[i];
+      if (bid) parts.push(bid[0], bid[1]);
+      if (ask) parts.push(ask[0], -ask[1]);
+    }
+    return crc32(parts.join(':')) | 0;
   }
 
   async watchTrades(symbol, callback) {
@@ -917,6 +1572,40 @@ class Bitfinex extends BaseExchange {
     });
   }
 
+  /**
+   * Funding from the derivatives status channel (key deriv:{symbol}).
+   * Payload: [MTS, _, DERIV_PRICE, SPOT_PRICE, ..., NEXT_FUNDING_EVT_MTS, ..., CURRENT_FUNDING, ..., MARK_PRICE, ...]
+   */
+  async watchFundingRate(symbol, callback) {
+    const unified = this._fromBitfinexSymbol(this._toBitfinexSymbol(symbol));
+    return this._subscribePublic('status', symbol, (data) => {
+      const payload = data[1];
+      if (Array.isArray(payload) && payload.length > 17) {
+        callback(this._parseFundingRate(payload, unified));
+      }
+    }, { key: 'deriv:' + this._toBitfinexSymbol(symbol) });
+  }
+
+  /**
+   * Mark price from the derivatives status channel; the spot price serves as the index.
+   */
+  async watchMarkPrice(symbol, callback) {
+    const unified = this._fromBitfinexSymbol(this._toBitfinexSymbol(symbol));
+    return this._subscribePublic('status', symbol, (data) => {
+      const payload = data[1];
+      if (Array.isArray(payload) && payload.length > 17) {
+        callback({
+          symbol: unified,
+          markPrice: payload[14],
+          indexPrice: payload[3],
+          timestamp: payload[0],
+          datetime: iso8601(payload[0]),
+          info: payload,
+        });
+      }
+    }, { key: 'deriv:' + this._toBitfinexSymbol(symbol) });
+  }
+
   async watchBalance(callback) {
     return this._subscribePrivate((type, payload) => {
       // Wallet update: 'wu' = wallet update, 'ws' = wallet snapshot
@@ -960,6 +1649,7 @@ class Bitfinex extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
     this._wsChannelMap.clear();
     this._wsPrivateAuthenticated = false;
     for (const [, timer] of this._pingTimers) {
@@ -1051,6 +1741,25 @@ class Bitfinex extends BaseExchange {
     };
   }
 
+  /**
+   * Derivatives status without its key (REST rows are passed from index 1, WS payloads
+   * as they come): [MTS, _, DERIV_PRICE, SPOT_PRICE, _, INSURANCE_FUND_BALANCE, _,
+   * NEXT_FUNDING_EVT_MTS, NEXT_FUNDING_ACCRUED, NEXT_FUNDING_STEP, _, CURRENT_FUNDING,
+   * _, _, MARK_PRICE, _, _, OPEN_INTEREST, ...]
+   */
+  _parseFundingRate(data, symbol) {
+    return this._fundingRate({
+      info: data,
+      symbol,
+      markPrice: data[14],
+      indexPrice: data[3],
+      fundingRate: data[11],
+      fundingTimestamp: data[7],
+      interval: '8h',
+      timestamp: data[0],
+    });
+  }
+
   /**
    * Parse order from 32-element array.
    * [0]=ID, [1]=GID, [2]=CID, [3]=SYMBOL, [4]=MTS_CREATE, [5]=MTS_UPDATE,
@@ -1071,6 +1780,7 @@ class Bitfinex extends BaseExchange {
     const remaining = data[6];
     const amountOrig = data[7];
     const orderType = data[8];
+    const flags = data[12] || 0;
     const statusRaw = data[13];
     const price = data[16];
     const priceAvg = data[17];
@@ -1100,6 +1810,12 @@ class Bitfinex extends BaseExchange {
     if (typeof type === 'string') {
       type = type.replace('EXCHANGE ', '').toUpperCase();
     }
+    const postOnly = (flags & BFX_FLAG_POST_ONLY) !== 0;
+    const timeInForce = postOnly ? 'PO'
+      : type === 'IOC' || type === 'FOK' ? type
+      : type === 'LIMIT' ? 'GTC'
+      : type === 'MARKET' ? 'IOC'
+      : undefined;
 
     return {
       id: String(id),
@@ -1114,6 +1830,8 @@ class Bitfinex extends BaseExchange {
       cost,
       average: priceAvg || 0,
       status,
+      timeInForce,
+      postOnly,
       timestamp: mtsCreate,
       datetime: mtsCreate ? iso8601(mtsCreate) : undefined,
       lastTradeTimestamp: mtsUpdate,
@@ -1306,6 +2024,93 @@ class Bitfinex extends BaseExchange {
     if (t.startsWith('EXCHANGE')) return t;
     return 'EXCHANGE ' + t;
   }
+
+  /**
+   * Movement: [ID, CURRENCY, CURRENCY_NAME, null, null, MTS_STARTED, MTS_UPDATED, null,
+   * null, STATUS, null, null, AMOUNT, FEES, null, null, DESTINATION_ADDRESS, PAYMENT_ID,
+   * null, null, TRANSACTION_ID, ...]. AMOUNT is negative for withdrawals, FEES negative.
+   */
+  _parseTransaction(data) {
+    const statuses = {
+      COMPLETED: 'ok', CANCELED: 'canceled', FAILED: 'failed',
+      PROCESSING: 'pending', PENDING: 'pending', SENDING: 'pending', UNCONFIRMED: 'pending',
+    };
+    const amount = data[12];
+    const currency = this._fromShortCurrency(String(data[1] || '').toUpperCase()) || undefined;
+    const raw = data[9] ? String(data[9]).toUpperCase() : undefined;
+    const fee = data[13];
+    return {
+      id: safeString(data, 0),
+      txid: data[20] || undefined,
+      type: amount < 0 ? 'withdrawal' : 'deposit',
+      currency,
+      network: this._fundingNetwork(data[2]),
+      amount: amount !== undefined && amount !== null ? Math.abs(amount) : undefined,
+      address: data[16] || undefined,
+      tag: data[17] || undefined,
+      status: raw !== undefined ? (statuses[raw] || (raw.startsWith('PENDING') ? 'pending' : raw)) : undefined,
+      fee: fee !== undefined && fee !== null ? { cost: Math.abs(fee), currency } : undefined,
+      timestamp: data[5],
+      datetime: iso8601(data[5]),
+      updated: data[6],
+      info: data,
+    };
+  }
+
+  /**
+   * Ledger row [ID, CURRENCY, null, MTS, null, AMOUNT, BALANCE, null, DESCRIPTION];
+   * the wallets are read from "... from wallet exchange to margin ...". The funding
+   * wallet shows up as "deposit" there.
+   */
+  _parseTransfer(data) {
+    const match = /from wallet (\w+) to (\w+)/i.exec(String(data[8] || ''));
+    const wallet = (name) => {
+      if (!name) return undefined;
+      const lower = name.toLowerCase();
+      return this._accountName(lower === 'deposit' ? 'funding' : lower);
+    };
+    return {
+      id: safeString(data, 0),
+      currency: data[1] ? this._fromShortCurrency(String(data[1]).toUpperCase()) : undefined,
+      amount: data[5] !== undefined && data[5] !== null ? Math.abs(data[5]) : undefined,
+      fromAccount: wallet(match && match[1]),
+      toAccount: wallet(match && match[2]),
+      fromSubAccount: undefined,
+      toSubAccount: undefined,
+      status: 'ok',
+      timestamp: data[3],
+      datetime: iso8601(data[3]),
+      info: data,
+    };
+  }
+
+  /**
+   * Ledger row; Bitfinex has no type field, so it is read from the description
+   * ("Exchange 0.1 BTC for USD @ 30000", "Trading fees for ...", "Deposit (BITCOIN) #1").
+   */
+  _parseLedgerEntry(data) {
+    const description = String(data[8] || '');
+    const patterns = [
+      [/rebate/i, 'rebate'],
+      [/fee/i, 'fee'],
+      [/^transfer of/i, 'transfer'],
+      [/withdrawal/i, 'withdrawal'],
+      [/deposit/i, 'deposit'],
+      [/^(exchange|settlement)/i, 'trade'],
+      [/funding|interest/i, 'funding'],
+    ];
+    const match = patterns.find(([pattern]) => pattern.test(description));
+    return this._ledgerEntry({
+      id: safeString(data, 0),
+      account: data[2] ? this._accountName(data[2]) : undefined,
+      type: match ? match[1] : 'other',
+      currency: data[1] ? this._fromShortCurrency(String(data[1]).toUpperCase()) : undefined,
+      amount: data[5],
+      after: data[6] !== null ? data[6] : undefined,
+      timestamp: data[3],
+      info: data,
+    });
+  }
 }
 
 module.exports = Bitfinex;
@@ -6,7 +6,7 @@ const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeFloat2, safeString2,
-  buildQuery, iso8601,
+  buildQuery, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -232,7 +232,7 @@ class Bitforex extends BaseExchange {
 
     return {
       id: safeString(data, 'orderId'),
-      clientOrderId: undefined,
+      clientOrderId: safeString(data, 'clientOrderId'),
       symbol: fallbackSymbol,
       type: 'LIMIT',
       side: tradeType === 1 ? 'BUY' : 'SELL',
@@ -243,6 +243,8 @@ class Bitforex extends BaseExchange {
       cost: filled * avgPrice,
       average: avgPrice,
       status: this._normalizeOrderStatus(safeInteger(data, 'orderState')),
+      timeInForce: 'GTC',
+      postOnly: false,
       timestamp: safeInteger(data, 'createTime'),
       datetime: iso8601(safeInteger(data, 'createTime')),
       info: data,
@@ -397,6 +399,8 @@ class Bitforex extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     if (type && type.toUpperCase() === 'MARKET') {
       throw new InvalidOrder(this.id + ' does not support market orders — price is always required');
@@ -405,20 +409,26 @@ class Bitforex extends BaseExchange {
       throw new InvalidOrder(this.id + ' createOrder requires price (only limit orders supported)');
     }
 
+    // placeOrder takes no time-in-force: every order is GTC
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC'] });
+    const client = this._clientOrderIdParams(execution.params);
+
     const tradeType = side.toUpperCase() === 'BUY' ? 1 : 2;
     const request = {
       symbol: this._toBitforexSymbol(symbol),
       tradeType,
-      amount: String(amount),
-      price: String(price),
-      ...params,
+      amount: numberToString(amount),
+      price: numberToString(price),
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.clientOrderId = client.clientOrderId;
 
     const data = await this._request('POST', '/api/v1/trade/placeOrder', request, true, 1);
     const result = this._unwrapResponse(data);
 
     return {
       id: safeString(result, 'orderId'),
+      clientOrderId: client.clientOrderId,
       symbol,
       type: 'LIMIT',
       side: side.toUpperCase(),
@@ -427,6 +437,8 @@ class Bitforex extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: 'GTC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: result,
@@ -437,10 +449,13 @@ class Bitforex extends BaseExchange {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder requires symbol');
 
+    // orderInfo and cancelOrder know orders by orderId only
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
     const request = {
       symbol: this._toBitforexSymbol(symbol),
       orderId: id,
-      ...params,
+      ...ref.params,
     };
 
     const data = await this._request('POST', '/api/v1/trade/cancelOrder', request, true, 1);
@@ -476,10 +491,12 @@ class Bitforex extends BaseExchange {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' fetchOrder requires symbol');
 
+    const ref = this._orderReference('fetchOrder', id, params, false);
+    id = ref.id;
     const request = {
       symbol: this._toBitforexSymbol(symbol),
       orderId: id,
-      ...params,
+      ...ref.params,
     };
 
     const data = await this._request('POST', '/api/v1/trade/orderInfo', request, true, 1);
@@ -497,7 +514,7 @@ class Bitforex extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 10000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 10000 }));
 
     // Override _startPing: Bitforex uses string "ping_p" (not JSON, not binary)
     client._startPing = function () {
@@ -584,7 +601,10 @@ class Bitforex extends BaseExchange {
     const bt = this._toBitforexSymbol(symbol);
     return this._subscribeBitforex('depth10', bt, (msg) => {
       if (msg.data) {
-        callback(this._parseWsOrderBook(msg.data, symbol));
+        this._handleOrderBookMessage(symbol, {
+          snapshot: true,
+          ...this._parseWsOrderBook(msg.data, symbol),
+        }, callback);
       }
     });
   }
@@ -686,6 +706,7 @@ class Bitforex extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
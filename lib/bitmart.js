@@ -7,7 +7,7 @@ const zlib = require('zlib');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, parseDate,
+  iso8601, parseDate, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -15,6 +15,9 @@ const {
   BadSymbol, BadRequest, ExchangeNotAvailable,
 } = require('./utils/errors');
 
+// BitMart order type → unified timeInForce
+const BITMART_TIME_IN_FORCE = { limit: 'GTC', limit_maker: 'PO', ioc: 'IOC', market: 'IOC' };
+
 class BitMart extends BaseExchange {
   describe() {
     return {
@@ -319,20 +322,29 @@ class BitMart extends BaseExchange {
   // ===========================================================================
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
     const bitmartSymbol = this._toBitMartSymbol(symbol);
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC', 'IOC', 'PO'] });
+    const client = this._clientOrderIdParams(execution.params);
+    const clientOrderId = client.clientOrderId || params.client_order_id;
     const orderParams = {
       symbol: bitmartSymbol,
       side: side.toLowerCase(),
       type: type.toLowerCase(),
-      size: amount.toString(),
+      size: numberToString(amount),
     };
 
-    if ((type.toLowerCase() === 'limit' || type.toLowerCase() === 'limit_maker') && price !== undefined) {
-      orderParams.price = price.toString();
+    // Post-only and IOC are order types on BitMart: limit_maker, ioc
+    if (orderParams.type === 'limit' && execution.postOnly) orderParams.type = 'limit_maker';
+    if (orderParams.type === 'limit' && execution.timeInForce === 'IOC') orderParams.type = 'ioc';
+
+    if (['limit', 'limit_maker', 'ioc'].includes(orderParams.type) && price !== undefined) {
+      orderParams.price = numberToString(price);
     }
 
-    if (params.client_order_id) {
-      orderParams.client_order_id = params.client_order_id;
+    if (clientOrderId) {
+      orderParams.client_order_id = clientOrderId;
     }
 
     const response = await this._request('POST', '/spot/v2/submit_order', orderParams, true);
@@ -340,13 +352,15 @@ class BitMart extends BaseExchange {
 
     return {
       id: safeString(data, 'order_id'),
-      clientOrderId: safeString(data, 'client_order_id') || params.client_order_id,
+      clientOrderId: safeString(data, 'client_order_id') || clientOrderId,
       symbol,
       type: type.toLowerCase(),
       side: side.toLowerCase(),
       amount: parseFloat(amount),
       price: price ? parseFloat(price) : undefined,
       status: 'open',
+      timeInForce: BITMART_TIME_IN_FORCE[orderParams.type],
+      postOnly: orderParams.type === 'limit_maker',
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: response,
@@ -361,14 +375,17 @@ class BitMart extends BaseExchange {
     if (params.client_order_id) {
       cancelParams.client_order_id = params.client_order_id;
     } else {
-      cancelParams.order_id = id.toString();
+      const ref = this._orderReference('cancelOrder', id, params);
+      if (ref.id !== undefined) cancelParams.order_id = String(ref.id);
+      else cancelParams.client_order_id = ref.clientOrderId;
     }
 
     const response = await this._request('POST', '/spot/v3/cancel_order', cancelParams, true);
     const data = this._unwrapResponse(response);
 
     return {
-      id: id.toString(),
+      id: id !== undefined && id !== null ? id.toString() : undefined,
+      clientOrderId: cancelParams.client_order_id,
       symbol,
       status: 'canceled',
       info: response,
@@ -412,9 +429,14 @@ class BitMart extends BaseExchange {
     return result;
   }
 
-  async fetchOrder(id, symbol = undefined) {
-    const params = { orderId: id.toString() };
-    const response = await this._request('GET', '/spot/v4/query/order', params, true);
+  /**
+   * By order id, or by params.clientOrderId through /spot/v4/query/client-order.
+   */
+  async fetchOrder(id, symbol = undefined, params = {}) {
+    const ref = this._orderReference('fetchOrder', id, params);
+    const response = ref.id !== undefined
+      ? await this._request('GET', '/spot/v4/query/order', { orderId: String(ref.id) }, true)
+      : await this._request('GET', '/spot/v4/query/client-order', { clientOrderId: ref.clientOrderId }, true);
     const data = this._unwrapResponse(response);
     return this._parseOrder(data, symbol);
   }
@@ -526,12 +548,13 @@ class BitMart extends BaseExchange {
     const status = this._normalizeOrderStatus(
       safeString(data, 'order_state') || safeString(data, 'state') || safeString(data, 'status')
     );
+    const type = safeStringLower(data, 'type') || safeStringLower(data, 'order_type');
 
     return {
       id: safeString(data, 'order_id') || safeString(data, 'orderId'),
       clientOrderId: safeString(data, 'client_order_id'),
       symbol,
-      type: safeStringLower(data, 'type') || safeStringLower(data, 'order_type'),
+      type,
       side: safeStringLower(data, 'side'),
       price,
       amount,
@@ -540,6 +563,8 @@ class BitMart extends BaseExchange {
       cost,
       average,
       status,
+      timeInForce: BITMART_TIME_IN_FORCE[type],
+      postOnly: type === 'limit_maker',
       timestamp,
       datetime: timestamp ? iso8601(timestamp) : undefined,
       info: data,
@@ -687,7 +712,7 @@ class BitMart extends BaseExchange {
       return this._wsClients.get(url);
     }
 
-    const client = new WsClient({ url, pingInterval: 15000 });
+    const client = new WsClient(this._wsClientOptions({ url, pingInterval: 15000 }));
 
     // Override connect to add zlib decompression for BitMart
     const originalConnect = client.connect.bind(client);
@@ -801,8 +826,10 @@ class BitMart extends BaseExchange {
       const table = data.table || '';
       if (table.startsWith('spot/depth') && data.data) {
         for (const ob of data.data) {
-          const orderBook = this._parseWsOrderBook(ob, symbol);
-          callback(orderBook);
+          this._handleOrderBookMessage(symbol, {
+            snapshot: true,
+            ...this._parseWsOrderBook(ob, symbol),
+          }, callback);
         }
       }
     });
@@ -841,6 +868,7 @@ class BitMart extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 
   // ===========================================================================
@@ -7,7 +7,7 @@ const zlib = require('zlib');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeFloat2, safeString2,
-  buildQueryRaw, iso8601,
+  buildQueryRaw, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -270,6 +270,9 @@ class Bitrue extends BaseExchange {
       cost: filled * (safeFloat(data, 'avgPrice') || price),
       average: safeFloat(data, 'avgPrice'),
       status: this._normalizeOrderStatus(safeString(data, 'status')),
+      timeInForce: safeString(data, 'type') === 'LIMIT_MAKER' ? 'PO'
+        : safeString(data, 'timeInForce') === 'GTT' ? 'GTC' : safeString(data, 'timeInForce'),
+      postOnly: safeString(data, 'type') === 'LIMIT_MAKER',
       timestamp: safeInteger(data, 'time') || safeInteger(data, 'transactTime') || safeInteger(data, 'updateTime'),
       datetime: iso8601(safeInteger(data, 'time') || safeInteger(data, 'transactTime') || safeInteger(data, 'updateTime')),
       info: data,
@@ -458,21 +461,32 @@ class Bitrue extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+    const execution = this._orderExecutionParams(type, params);
+    const client = this._clientOrderIdParams(execution.params);
     const request = {
       symbol: this._toBitrueSymbol(symbol),
       side: side.toUpperCase(),
       type: type.toUpperCase(),
-      quantity: String(amount),
-      ...params,
+      quantity: numberToString(amount),
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.newClientOrderId = client.clientOrderId;
 
     if (price !== undefined && price !== null) {
-      request.price = String(price);
+      request.price = numberToString(price);
+    }
+
+    // Post-only is the LIMIT_MAKER order type
+    if (request.type === 'LIMIT' && execution.postOnly) {
+      request.type = 'LIMIT_MAKER';
     }
 
     // Bitrue uses GTT (not GTC) as timeInForce
-    if (request.type === 'LIMIT' && !request.timeInForce) {
-      request.timeInForce = 'GTT';
+    if (request.type === 'LIMIT') {
+      const timeInForce = execution.timeInForce === 'GTC' ? 'GTT' : execution.timeInForce;
+      request.timeInForce = timeInForce || request.timeInForce || 'GTT';
     }
 
     const data = await this._request('POST', '/api/v1/order', request, true, 1);
@@ -483,11 +497,13 @@ class Bitrue extends BaseExchange {
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder requires symbol');
+    const ref = this._orderReference('cancelOrder', id, params);
     const request = {
       symbol: this._toBitrueSymbol(symbol),
-      orderId: id,
-      ...params,
+      ...ref.params,
     };
+    if (ref.id !== undefined) request.orderId = ref.id;
+    else request.origClientOrderId = ref.clientOrderId;
     const data = await this._request('DELETE', '/api/v1/order', request, true, 1);
     this._unwrapResponse(data);
     return this._parseOrder(data, symbol);
@@ -516,11 +532,13 @@ class Bitrue extends BaseExchange {
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' fetchOrder requires symbol');
+    const ref = this._orderReference('fetchOrder', id, params);
     const request = {
       symbol: this._toBitrueSymbol(symbol),
-      orderId: id,
-      ...params,
+      ...ref.params,
     };
+    if (ref.id !== undefined) request.orderId = ref.id;
+    else request.origClientOrderId = ref.clientOrderId;
     const data = await this._request('GET', '/api/v1/order', request, true, 1);
     this._unwrapResponse(data);
     return this._parseOrder(data, symbol);
@@ -577,7 +595,7 @@ class Bitrue extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 20000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 20000 }));
 
     // Override connect to add zlib decompression
     const originalConnect = client.connect.bind(client);
@@ -746,7 +764,10 @@ class Bitrue extends BaseExchange {
     const channel = `market_${sym}_depth_step0`;
     return this._subscribeBitrue(channel, sym, (data) => {
       if (data.tick) {
-        callback(this._parseWsOrderBook(data.tick, symbol));
+        this._handleOrderBookMessage(symbol, {
+          snapshot: true,
+          ...this._parseWsOrderBook(data.tick, symbol),
+        }, callback);
       }
     });
   }
@@ -780,6 +801,7 @@ class Bitrue extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -7,7 +7,7 @@ const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, parseDate,
+  iso8601, parseDate, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -452,17 +452,26 @@ class Bitstamp extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const pair = this._toBitstampSymbol(symbol);
     const path = this._buildOrderPath(side, type, pair);
+    const execution = this._orderExecutionParams(type, params);
+    const client = this._clientOrderIdParams(execution.params);
 
     const request = {
-      amount: String(amount),
-      ...params,
+      amount: numberToString(amount),
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.client_order_id = client.clientOrderId;
 
     if (type.toUpperCase() === 'LIMIT' && price !== undefined) {
-      request.price = String(price);
+      request.price = numberToString(price);
+      // Limit orders take boolean flags: ioc_order, fok_order, moc_order (maker-or-cancel)
+      if (execution.timeInForce === 'IOC') request.ioc_order = true;
+      if (execution.timeInForce === 'FOK') request.fok_order = true;
+      if (execution.postOnly) request.moc_order = true;
     }
 
     const data = await this._request('POST', path, request, true, 1);
@@ -470,7 +479,7 @@ class Bitstamp extends BaseExchange {
 
     return {
       id: safeString(result, 'id'),
-      clientOrderId: undefined,
+      clientOrderId: safeString(result, 'client_order_id') || request.client_order_id,
       symbol,
       type: type.toUpperCase(),
       side: side.toUpperCase(),
@@ -481,6 +490,8 @@ class Bitstamp extends BaseExchange {
       cost: 0,
       average: 0,
       status: 'NEW',
+      timeInForce: type.toUpperCase() === 'LIMIT' ? (execution.timeInForce || 'GTC') : 'IOC',
+      postOnly: execution.postOnly,
       timestamp: result.datetime ? parseDate(result.datetime) : Date.now(),
       datetime: result.datetime || iso8601(Date.now()),
       trades: [],
@@ -492,7 +503,10 @@ class Bitstamp extends BaseExchange {
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
-    const request = { id, ...params };
+    // cancel_order takes the order id only
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
+    const request = { id, ...ref.params };
     const data = await this._request('POST', '/api/v2/cancel_order/', request, true, 1);
     const result = this._unwrapResponse(data);
 
@@ -515,15 +529,21 @@ class Bitstamp extends BaseExchange {
     };
   }
 
+  /**
+   * order_status looks an order up by id or, via params.clientOrderId, client_order_id.
+   */
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
-    const request = { id, ...params };
+    const ref = this._orderReference('fetchOrder', id, params);
+    const request = ref.id !== undefined
+      ? { id: ref.id, ...ref.params }
+      : { client_order_id: ref.clientOrderId, ...ref.params };
     const data = await this._request('POST', '/api/v2/order_status/', request, true, 1);
     const result = this._unwrapResponse(data);
 
     if (!result || (!result.id && !result.status)) {
-      throw new OrderNotFound(this.id + ' order not found: ' + id);
+      throw new OrderNotFound(this.id + ' order not found: ' + (ref.id || ref.clientOrderId));
     }
 
     return this._parseOrder(result);
@@ -650,7 +670,7 @@ class Bitstamp extends BaseExchange {
     if (this._wsClients.has(url)) {
       return this._wsClients.get(url);
     }
-    const client = new WsClient({ url });
+    const client = new WsClient(this._wsClientOptions({ url }));
     this._wsClients.set(url, client);
     return client;
   }
@@ -735,14 +755,14 @@ class Bitstamp extends BaseExchange {
       if (msg.event === 'data' && msg.data) {
         const d = msg.data;
         const ts = d.timestamp ? parseInt(d.timestamp, 10) * 1000 : Date.now();
-        callback({
-          symbol,
+        // order_book_* pushes the top 100 levels as a full snapshot every time
+        this._handleOrderBookMessage(symbol, {
+          snapshot: true,
           bids: (d.bids || []).map((b) => [parseFloat(b[0]), parseFloat(b[1])]),
           asks: (d.asks || []).map((a) => [parseFloat(a[0]), parseFloat(a[1])]),
           timestamp: ts,
-          datetime: iso8601(ts),
           nonce: d.microtimestamp || undefined,
-        });
+        }, callback, { limit: depth });
       }
     });
   }
@@ -810,6 +830,7 @@ class Bitstamp extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 
   // ===========================================================================
@@ -872,7 +893,7 @@ class Bitstamp extends BaseExchange {
 
     return {
       id,
-      clientOrderId: undefined,
+      clientOrderId: safeString(data, 'client_order_id'),
       symbol,
       type: undefined,   // Bitstamp doesn't always return order type (limit/market)
       side,
@@ -1,12 +1,13 @@
 'use strict';
 
+const crypto = require('crypto');
 const BaseExchange = require('./BaseExchange');
 const { hmacSHA512Hex, sha512 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, parseDate,
+  iso8601, parseDate, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -14,6 +15,16 @@ const {
   BadSymbol, BadRequest, ExchangeNotAvailable,
 } = require('./utils/errors');
 
+const BITTREX_TIME_IN_FORCE = {
+  GTC: 'GOOD_TIL_CANCELLED',
+  IOC: 'IMMEDIATE_OR_CANCEL',
+  FOK: 'FILL_OR_KILL',
+  PO: 'POST_ONLY_GOOD_TIL_CANCELLED',
+};
+const BITTREX_TIME_IN_FORCE_UNIFIED = Object.fromEntries(
+  Object.entries(BITTREX_TIME_IN_FORCE).map(([unified, native]) => [native, unified]),
+);
+
 class Bittrex extends BaseExchange {
 
   describe() {
@@ -457,21 +468,29 @@ class Bittrex extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const pair = this._toBittrexSymbol(symbol);
     const direction = this._toBittrexDirection(side);
     const orderType = this._toBittrexOrderType(type);
+    const execution = this._orderExecutionParams(type, params);
+    const client = this._clientOrderIdParams(execution.params);
 
     const request = {
       marketSymbol: pair,
       direction,
       type: orderType,
-      quantity: String(amount),
-      ...params,
+      quantity: numberToString(amount),
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.clientOrderId = client.clientOrderId;
 
+    if (execution.timeInForce) {
+      request.timeInForce = BITTREX_TIME_IN_FORCE[execution.timeInForce];
+    }
     if (orderType === 'LIMIT' && price !== undefined) {
-      request.limit = String(price);
+      request.limit = numberToString(price);
       request.timeInForce = request.timeInForce || 'GOOD_TIL_CANCELLED';
     } else if (orderType === 'MARKET') {
       request.timeInForce = request.timeInForce || 'IMMEDIATE_OR_CANCEL';
@@ -483,6 +502,11 @@ class Bittrex extends BaseExchange {
     return this._parseOrder(result, symbol);
   }
 
+  // Bittrex only accepts UUIDs as clientOrderId, so a generated one has no prefix
+  _generateClientOrderId() {
+    return crypto.randomUUID();
+  }
+
   async createLimitOrder(symbol, side, amount, price, params = {}) {
     return this.createOrder(symbol, 'LIMIT', side, amount, price, params);
   }
@@ -494,7 +518,10 @@ class Bittrex extends BaseExchange {
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
-    const data = await this._request('DELETE', '/v3/orders/' + id, params, true, 1);
+    // Orders are only addressable by their Bittrex id
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
+    const data = await this._request('DELETE', '/v3/orders/' + id, ref.params, true, 1);
     const result = this._unwrapResponse(data);
 
     return {
@@ -524,7 +551,9 @@ class Bittrex extends BaseExchange {
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
-    const data = await this._request('GET', '/v3/orders/' + id, params, true, 1);
+    const ref = this._orderReference('fetchOrder', id, params, false);
+    id = ref.id;
+    const data = await this._request('GET', '/v3/orders/' + id, ref.params, true, 1);
     const result = this._unwrapResponse(data);
 
     if (!result || (!result.id && !result.status)) {
@@ -654,7 +683,7 @@ class Bittrex extends BaseExchange {
     if (this._wsClients.has(url)) {
       return this._wsClients.get(url);
     }
-    const client = new WsClient({ url });
+    const client = new WsClient(this._wsClientOptions({ url }));
     this._wsClients.set(url, client);
     return client;
   }
@@ -736,7 +765,13 @@ class Bittrex extends BaseExchange {
 
     return this._subscribeBittrex([channel], (method, data) => {
       if (method === 'orderBook') {
-        callback(this._parseWsOrderBook(data, symbol));
+        // Deltas only, one sequence step per message — seeded from a REST snapshot
+        const orderBook = this._parseWsOrderBook(data, symbol);
+        this._handleOrderBookMessage(symbol, {
+          ...orderBook,
+          snapshot: false,
+          firstNonce: orderBook.nonce,
+        }, callback, { depth, fetchSnapshot: true, snapshotLimit: depth });
       }
     });
   }
@@ -766,6 +801,7 @@ class Bittrex extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 
   // ===========================================================================
@@ -839,7 +875,7 @@ class Bittrex extends BaseExchange {
 
     return {
       id,
-      clientOrderId: undefined,
+      clientOrderId: safeString(data, 'clientOrderId'),
       symbol,
       type,
       side,
@@ -850,6 +886,8 @@ class Bittrex extends BaseExchange {
       cost,
       average,
       status: status || 'NEW',
+      timeInForce: BITTREX_TIME_IN_FORCE_UNIFIED[safeString(data, 'timeInForce')],
+      postOnly: safeString(data, 'timeInForce') === 'POST_ONLY_GOOD_TIL_CANCELLED',
       timestamp: ts,
       datetime: ts ? iso8601(ts) : undefined,
       trades: [],
@@ -258,6 +258,8 @@ class BtcTurk extends BaseExchange {
       cost: filledAmount * price,
       average: filledAmount > 0 ? (filledAmount * price) / filledAmount : 0,
       status,
+      timeInForce: type === 'LIMIT' ? 'GTC' : type === 'MARKET' ? 'IOC' : undefined,
+      postOnly: false,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -436,10 +438,15 @@ class BtcTurk extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const btcturkSymbol = this._toBtcTurkSymbol(symbol);
     const orderType = side.toLowerCase(); // "buy" or "sell"
     const orderMethod = type.toLowerCase(); // "limit" or "market"
+    // BtcTurk orders have no time-in-force or post-only setting
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC'] });
+    const client = this._clientOrderIdParams(execution.params);
 
     const request = {
       quantity: parseFloat(amount),
@@ -449,14 +456,16 @@ class BtcTurk extends BaseExchange {
       orderMethod: orderMethod,
       orderType: orderType,
       pairSymbol: btcturkSymbol,
-      ...params,
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.newOrderClientId = client.clientOrderId;
 
     const data = await this._request('POST', '/api/v1/order', request, true, 1);
     const result = this._unwrapResponse(data);
 
     return {
       id: safeString(result, 'id') ? String(result.id) : safeString(data, 'id'),
+      clientOrderId: request.newOrderClientId,
       symbol,
       type: orderMethod.toUpperCase(),
       side: orderType.toUpperCase(),
@@ -465,6 +474,8 @@ class BtcTurk extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: orderMethod === 'limit' ? 'GTC' : 'IOC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: result,
@@ -473,6 +484,9 @@ class BtcTurk extends BaseExchange {
 
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
+    params = ref.params;
 
     // BtcTurk cancel: orderId as query param in DELETE request
     const request = { id: String(id), ...params };
@@ -539,7 +553,7 @@ class BtcTurk extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 25000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 25000 }));
     const exchange = this;
 
     // BtcTurk: server sends type 991 (ping), client responds type 991 (pong)
@@ -635,7 +649,10 @@ class BtcTurk extends BaseExchange {
       // msg = [422, { type: 422, channel: "orderbook", event: "BTCTRY", data: { asks: [...], bids: [...] } }]
       const payload = msg[1];
       if (payload && payload.data) {
-        callback(this._parseWsOrderBook(payload.data, symbol));
+        this._handleOrderBookMessage(symbol, {
+          snapshot: true,
+          ...this._parseWsOrderBook(payload.data, symbol),
+        }, callback);
       }
     });
   }
@@ -675,6 +692,7 @@ class BtcTurk extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -11,7 +11,6 @@ const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
   InsufficientFunds, InvalidOrder, OrderNotFound,
   BadSymbol, BadRequest, ExchangeNotAvailable,
-  NetworkError, RequestTimeout,
 } = require('./utils/errors');
 
 class Btse extends BaseExchange {
@@ -90,7 +89,8 @@ class Btse extends BaseExchange {
     const signingString = path + nonce + bodyStr;
     const signature = hmacSHA384Hex(signingString, this.secret);
     return {
-      params,
+      // DELETE (cancelOrder) carries its params as a JSON body, not a query string
+      ...(method === 'DELETE' ? { params: {}, body: params } : { params }),
       headers: {
         'request-api': this.apiKey,
         'request-nonce': nonce,
@@ -103,68 +103,6 @@ class Btse extends BaseExchange {
     return this.urls.api;
   }
 
-  // ---------------------------------------------------------------------------
-  // Request Override — DELETE with JSON body (for cancelOrder)
-  // ---------------------------------------------------------------------------
-
-  /**
-   * BaseExchange._request() treats DELETE like GET (params → query string).
-   * BTSE cancelOrder uses DELETE with a JSON body — we handle it entirely here.
-   */
-  async _request(method, path, params = {}, signed = false, weight = 1) {
-    if (method === 'DELETE' && signed) {
-      // Rate limiting
-      if (this.enableRateLimit && this._throttler) {
-        await this._throttler.consume(weight);
-      }
-
-      const signResult = this._sign(path, 'DELETE', { ...params });
-      const url = this.urls.api + path;
-      const headers = { ...signResult.headers, 'Content-Type': 'application/json' };
-
-      const fetchOptions = {
-        method: 'DELETE',
-        headers,
-        signal: AbortSignal.timeout(this.timeout),
-      };
-
-      if (Object.keys(params).length > 0) {
-        fetchOptions.body = JSON.stringify(params);
-      }
-
-      if (this.verbose) console.log('DELETE', url);
-
-      let response;
-      try {
-        response = await fetch(url, fetchOptions);
-      } catch (err) {
-        if (err.name === 'TimeoutError' || err.name === 'AbortError') {
-          throw new RequestTimeout(this.id + ' request timed out (' + this.timeout + 'ms)');
-        }
-        throw new NetworkError(this.id + ' ' + err.message);
-      }
-
-      this._handleResponseHeaders(response.headers);
-
-      if (response.status === 429 || response.status === 418) {
-        const retryAfter = response.headers.get('Retry-After') || '60';
-        throw new RateLimitExceeded(
-          this.id + ' rate limited. Retry after ' + retryAfter + 's'
-        );
-      }
-
-      const text = await response.text();
-      if (!response.ok) {
-        this._handleHttpError(response.status, text);
-      }
-
-      try { return JSON.parse(text); } catch { return text; }
-    }
-
-    // Non-DELETE: use standard BaseExchange flow
-    return super._request(method, path, params, signed, weight);
-  }
-
   // ---------------------------------------------------------------------------
   // Symbol Conversion — BTC-USDT <-> BTC/USDT (hyphen-separated)
   // ---------------------------------------------------------------------------
@@ -305,6 +243,8 @@ class Btse extends BaseExchange {
       cost: filledAmount * price,
       average: filledAmount > 0 ? (filledAmount * price) / filledAmount : 0,
       status: status !== undefined ? String(status) : 'open',
+      timeInForce: safeValue(data, 'postOnly') === true ? 'PO' : safeStringUpper(data, 'timeInForce'),
+      postOnly: safeValue(data, 'postOnly') === true,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -437,6 +377,8 @@ class Btse extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const upperType = type.toUpperCase();
     const upperSide = side.toUpperCase();
@@ -448,17 +390,26 @@ class Btse extends BaseExchange {
 
     // BTSE order type: "76" for limit, "77" for market
     const orderType = upperType === 'LIMIT' ? '76' : '77';
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC', 'IOC', 'PO'] });
+    const client = this._clientOrderIdParams(execution.params);
 
     const request = {
       symbol: btseSymbol,
       side: upperSide,
       type: orderType,
       size: parseFloat(amount),
-      ...params,
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.clOrderID = client.clientOrderId;
 
     if (upperType === 'LIMIT') {
       request.price = parseFloat(price);
+      // time_in_force GTC/IOC; post-only is a separate postOnly flag
+      if (execution.postOnly) {
+        request.postOnly = true;
+      } else if (execution.timeInForce) {
+        request.time_in_force = execution.timeInForce;
+      }
     }
 
     const data = await this._request('POST', '/api/v3.2/order', request, true, 1);
@@ -469,7 +420,7 @@ class Btse extends BaseExchange {
 
     return {
       id: safeString(orderData, 'orderID') || safeString(orderData, 'clOrderID'),
-      clientOrderId: safeString(orderData, 'clOrderID'),
+      clientOrderId: safeString(orderData, 'clOrderID') || client.clientOrderId,
       symbol,
       type: upperType,
       side: upperSide,
@@ -478,6 +429,8 @@ class Btse extends BaseExchange {
       filled: safeFloat(orderData, 'fillSize') || 0,
       remaining: parseFloat(amount) - (safeFloat(orderData, 'fillSize') || 0),
       status: 'open',
+      timeInForce: upperType === 'LIMIT' ? (execution.timeInForce || 'GTC') : 'IOC',
+      postOnly: execution.postOnly,
       timestamp: safeInteger(orderData, 'timestamp') || Date.now(),
       datetime: iso8601(safeInteger(orderData, 'timestamp') || Date.now()),
       info: orderData,
@@ -487,10 +440,12 @@ class Btse extends BaseExchange {
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
+    // Exactly one of orderID / clOrderID names the order
+    const ref = this._orderReference('cancelOrder', id, params);
     const request = {
-      orderID: id,
-      clOrderID: '',
-      ...params,
+      orderID: ref.id !== undefined ? ref.id : '',
+      clOrderID: ref.clientOrderId !== undefined ? ref.clientOrderId : '',
+      ...ref.params,
     };
 
     if (symbol) {
@@ -501,7 +456,8 @@ class Btse extends BaseExchange {
     this._unwrapResponse(data);
 
     return {
-      id,
+      id: ref.id,
+      clientOrderId: ref.clientOrderId,
       symbol,
       status: 'canceled',
       info: data,
@@ -542,7 +498,7 @@ class Btse extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 0 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 0 }));
 
     // BTSE: server sends text 'ping', client responds with text 'pong'
     // No client-initiated ping needed
@@ -628,7 +584,13 @@ class Btse extends BaseExchange {
 
     return this._subscribeBtse(topic, (msg) => {
       if (msg.data) {
-        callback(this._parseWsOrderBook(msg.data, symbol));
+        // type: 'snapshot' or 'delta'; deltas chain via prevSeqNum → seqNum
+        this._handleOrderBookMessage(symbol, {
+          ...this._parseWsOrderBook(msg.data, symbol),
+          snapshot: msg.data.type !== 'delta',
+          nonce: safeInteger(msg.data, 'seqNum'),
+          prevNonce: safeInteger(msg.data, 'prevSeqNum'),
+        }, callback, { limit });
       }
     });
   }
@@ -668,6 +630,7 @@ class Btse extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -1,17 +1,18 @@
 'use strict';
 
+const crypto = require('crypto');
 const BaseExchange = require('./BaseExchange');
 const { hmacSHA256 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeFloat2, safeString2,
-  iso8601, sleep,
+  iso8601, sleep, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
   InsufficientFunds, InvalidOrder, OrderNotFound,
-  BadSymbol, BadRequest, ExchangeNotAvailable,
+  BadSymbol, BadRequest, ExchangeNotAvailable, NetworkError,
 } = require('./utils/errors');
 
 class Bybit extends BaseExchange {
@@ -37,33 +38,75 @@ class Bybit extends BaseExchange {
         createOrder: true,
         createLimitOrder: true,
         createMarketOrder: true,
+        createStopLossOrder: true,
+        createTakeProfitOrder: true,
+        createTrailingStopOrder: false,
+        createTriggerOrder: true,
         cancelOrder: true,
         cancelAllOrders: true,
         amendOrder: true,
+        editOrder: true,
+        createOrders: true,
+        cancelOrders: true,
         fetchOrder: true,
         fetchOpenOrders: true,
         fetchClosedOrders: true,
         fetchMyTrades: true,
         fetchBalance: true,
+        fetchLedger: true,
+        fetchFundingRate: true,
+        fetchFundingRates: true,
+        fetchFundingRateHistory: true,
+        fetchMarkOHLCV: true,
+        fetchIndexOHLCV: true,
+        fetchOpenInterest: true,
+        fetchPositions: true,
+        fetchPosition: true,
+        closePosition: true,
+        setLeverage: true,
+        fetchLeverage: true,
+        setMarginMode: true,
+        setPositionMode: true,
+        addMargin: true,
+        reduceMargin: true,
+        fetchLeverageTiers: true,
+        fetchMarketLeverageTiers: true,
         fetchTradingFees: true,
+        // Funding
+        fetchDepositAddress: true,
+        fetchDeposits: true,
+        fetchWithdrawals: true,
+        withdraw: true,
+        fetchDepositWithdrawFees: true,
+        transfer: true,
+        fetchTransfers: true,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
         watchTrades: true,
         watchKlines: true,
+        watchFundingRate: true,
+        watchMarkPrice: true,
         watchBalance: true,
         watchOrders: true,
+        watchPositions: true,
+        createOrderWs: true,
+        editOrderWs: true,
+        cancelOrderWs: true,
+        cancelAllOrdersWs: true,
       },
       urls: {
         api: 'https://api.bybit.com',
         ws: 'wss://stream.bybit.com/v5/public/spot',
         wsLinear: 'wss://stream.bybit.com/v5/public/linear',
         wsPrivate: 'wss://stream.bybit.com/v5/private',
+        wsTrade: 'wss://stream.bybit.com/v5/trade',
         doc: 'https://bybit-exchange.github.io/docs/v5/intro',
         test: {
           api: 'https://api-testnet.bybit.com',
           ws: 'wss://stream-testnet.bybit.com/v5/public/spot',
           wsPrivate: 'wss://stream-testnet.bybit.com/v5/private',
+          wsTrade: 'wss://stream-testnet.bybit.com/v5/trade',
         },
       },
       timeframes: {
@@ -74,6 +117,14 @@ class Bybit extends BaseExchange {
       fees: {
         trading: { maker: 0.001, taker: 0.001 },
       },
+      networks: {
+        ERC20: 'ETH', TRC20: 'TRX', BEP20: 'BSC', SOL: 'SOL', BTC: 'BTC',
+        ARBITRUM: 'ARBI', OPTIMISM: 'OP', POLYGON: 'MATIC',
+      },
+      // Unified Trading Account: spot, margin and derivatives share one balance
+      accounts: {
+        spot: 'UNIFIED', margin: 'UNIFIED', futures: 'UNIFIED', funding: 'FUND',
+      },
     };
   }
 
@@ -83,8 +134,14 @@ class Bybit extends BaseExchange {
     this._recvWindow = this.options.recvWindow || 5000;
     this._defaultCategory = this.options.category || 'spot';
     this._accountType = this.options.accountType || 'UNIFIED';
+    if (this._accountType !== 'UNIFIED') {
+      // Classic account: separate spot and derivatives wallets
+      this.accounts = { ...this.accounts, spot: 'SPOT', margin: 'SPOT', futures: 'CONTRACT' };
+    }
     this._wsClients = new Map();
     this._wsPrivateAuthenticated = false;
+    this._wsTradeSession = null;    // Promise of the authenticated /v5/trade client
+    this._wsTradeClient = null;
     this._pingTimers = new Map();
 
     // Use testnet if configured
@@ -92,6 +149,7 @@ class Bybit extends BaseExchange {
       this.urls.api = this.urls.test.api;
       this.urls.ws = this.urls.test.ws;
       this.urls.wsPrivate = this.urls.test.wsPrivate;
+      this.urls.wsTrade = this.urls.test.wsTrade;
     }
   }
 
@@ -258,6 +316,64 @@ class Bybit extends BaseExchange {
     return str.charAt(0).toUpperCase() + str.slice(1).toLowerCase();
   }
 
+  /**
+   * Convert unified symbol to Bybit format: BTC/USDT → BTCUSDT, BTC/USDT:USDT → BTCUSDT
+   * Raw Bybit IDs (BTCUSDT, btcusdt) are passed through uppercased. Dated futures
+   * (BTC/USDT:USDT-250328) need loadMarkets() for their id.
+   */
+  _toBybitSymbol(symbol) {
+    if (this.markets && this.markets[symbol]) {
+      return this.markets[symbol].id;
+    }
+    const parts = this._symbolParts(symbol);
+    if (parts) return (parts.base + parts.quote).toUpperCase();
+    return symbol.replace('/', '').toUpperCase();
+  }
+
+  /**
+   * Convert Bybit symbol to unified format: BTCUSDT → BTC/USDT on spot,
+   * BTC/USDT:USDT on linear, BTCUSD → BTC/USD:BTC on inverse.
+   */
+  _fromBybitSymbol(bybitSymbol, category = this._defaultCategory) {
+    if (!bybitSymbol) return bybitSymbol;
+    // Spot and linear share ids (BTCUSDT), so a loaded market only answers for its category
+    const market = this.marketsById ? this.marketsById[bybitSymbol] : undefined;
+    if (market && (!market.category || market.category === category)) return market.symbol;
+    if (bybitSymbol.includes('/')) return bybitSymbol;
+    // Fallback before loadMarkets(): split on a known quote currency
+    const quotes = ['USDT', 'USDC', 'USDE', 'BTC', 'ETH', 'DAI', 'EUR', 'USD'];
+    for (const quote of quotes) {
+      if (bybitSymbol.endsWith(quote) && bybitSymbol.length > quote.length) {
+        const base = bybitSymbol.slice(0, bybitSymbol.length - quote.length);
+        if (category === 'linear') return this._contractSymbol(base, quote, quote);
+        if (category === 'inverse') return this._contractSymbol(base, quote, base);
+        return base + '/' + quote;
+      }
+    }
+    return bybitSymbol;
+  }
+
+  /**
+   * Category of a request: params.category, else the market's, else read from a
+   * contract symbol (BTC/USDT:USDT → linear, BTC/USD:BTC → inverse). Spot-style
+   * symbols and raw ids use options.category.
+   */
+  _category(symbol = undefined, params = {}) {
+    if (params.category) return params.category;
+    const market = symbol && this.markets ? this.markets[symbol] : undefined;
+    if (market && market.category) return market.category;
+    const parts = symbol ? this._symbolParts(symbol) : undefined;
+    if (!parts || !parts.settle) return this._defaultCategory;
+    return parts.settle === parts.quote ? 'linear' : 'inverse';
+  }
+
+  /**
+   * Public stream for a category: wss://stream.bybit.com/v5/public/{category}.
+   */
+  _publicWsUrl(category = this._defaultCategory) {
+    return this.urls.ws.replace(/\/spot$/, '/' + category);
+  }
+
   _normalizeStatus(status) {
     const map = {
       'New': 'NEW',
@@ -289,41 +405,67 @@ class Bybit extends BaseExchange {
   // ===========================================================================
 
   /**
-   * Load exchange info: symbols, filters, trading rules.
+   * Load exchange info: symbols, filters, trading rules. GET /v5/market/instruments-info
+   * Loads the options.category instruments; linear and inverse contracts get symbols
+   * like BTC/USDT:USDT and BTC/USD:BTC, dated ones a -YYMMDD suffix. Derivative lists
+   * are paged with nextPageCursor.
    */
   async loadMarkets(reload = false) {
     if (this._marketsLoaded && !reload) return this.markets;
 
-    const data = await this._request('GET', '/v5/market/instruments-info', {
-      category: this._defaultCategory,
-    }, false, 1);
-    const result = this._unwrapResponse(data);
+    const category = this._defaultCategory;
+    const instruments = [];
+    let cursor;
+    do {
+      const request = { category };
+      if (cursor) request.cursor = cursor;
+      const data = await this._request('GET', '/v5/market/instruments-info', request, false, 1);
+      const result = this._unwrapResponse(data);
+      instruments.push(...(result.list || []));
+      cursor = result.nextPageCursor;
+    } while (cursor);
 
     this.markets = {};
     this.marketsById = {};
     this.symbols = [];
 
-    for (const s of (result.list || [])) {
-      const symbol = s.symbol;
+    const contract = category === 'linear' || category === 'inverse';
+    for (const s of instruments) {
+      const id = s.symbol;
       const base = s.baseCoin;
       const quote = s.quoteCoin;
+      const expiry = contract ? (safeInteger(s, 'deliveryTime') || undefined) : undefined;
+      const settle = contract ? s.settleCoin : undefined;
+      const symbol = contract ? this._contractSymbol(base, quote, settle, expiry) : base + '/' + quote;
       const status = s.status;
 
       const lotFilter = s.lotSizeFilter || {};
       const priceFilter = s.priceFilter || {};
+      // Spot sizes step by basePrecision, contracts by qtyStep
+      const amountStep = lotFilter.basePrecision || lotFilter.qtyStep || '0.00000001';
 
       const market = {
-        id: symbol,
+        id,
         symbol,
         base,
         quote,
+        settle,
+        type: contract ? (expiry ? 'future' : 'swap') : 'spot',
+        category,
+        contract,
+        linear: contract ? category === 'linear' : undefined,
+        inverse: contract ? category === 'inverse' : undefined,
+        // Linear qty is in the base coin, inverse qty in USD: one unit per contract
+        contractSize: contract ? 1 : undefined,
+        expiry,
+        expiryDatetime: iso8601(expiry),
         status,
         active: status === 'Trading',
         precision: {
-          base: this._countDecimals(lotFilter.basePrecision || '0.00000001'),
+          base: this._countDecimals(amountStep),
           quote: this._countDecimals(priceFilter.tickSize || '0.01'),
           price: this._countDecimals(priceFilter.tickSize || '0.01'),
-          amount: this._countDecimals(lotFilter.basePrecision || '0.00000001'),
+          amount: this._countDecimals(amountStep),
         },
         limits: {
           price: {
@@ -335,17 +477,17 @@ class Bybit extends BaseExchange {
             max: safeFloat(lotFilter, 'maxOrderQty'),
           },
           cost: {
-            min: safeFloat(lotFilter, 'minOrderAmt') || undefined,
+            min: safeFloat(lotFilter, 'minOrderAmt') || safeFloat(lotFilter, 'minNotionalValue') || undefined,
             max: safeFloat(lotFilter, 'maxOrderAmt') || undefined,
           },
         },
-        stepSize: safeFloat(lotFilter, 'basePrecision'),
+        stepSize: safeFloat(lotFilter, 'basePrecision') || safeFloat(lotFilter, 'qtyStep'),
         tickSize: safeFloat(priceFilter, 'tickSize'),
         info: s,
       };
 
       this.markets[symbol] = market;
-      this.marketsById[symbol] = market;
+      this.marketsById[id] = market;
       this.symbols.push(symbol);
     }
 
@@ -363,30 +505,33 @@ class Bybit extends BaseExchange {
    * Fetch 24hr ticker. GET /v5/market/tickers
    */
   async fetchTicker(symbol, params = {}) {
+    const category = this._category(symbol, params);
     const data = await this._request('GET', '/v5/market/tickers', {
-      category: this._defaultCategory,
-      symbol: symbol.toUpperCase(),
+      category,
+      symbol: this._toBybitSymbol(symbol),
       ...params,
     }, false, 1);
     const result = this._unwrapResponse(data);
     const list = result.list || [];
     if (list.length === 0) throw new BadSymbol(this.id + ' symbol not found: ' + symbol);
-    return this._parseTicker(list[0]);
+    return this._parseTicker(list[0], category);
   }
 
   /**
    * Fetch all tickers. GET /v5/market/tickers
    */
   async fetchTickers(symbols = undefined, params = {}) {
+    const category = this._category(undefined, params);
     const data = await this._request('GET', '/v5/market/tickers', {
-      category: this._defaultCategory,
+      category,
       ...params,
     }, false, 1);
     const result = this._unwrapResponse(data);
+    const wanted = symbols ? symbols.map((s) => this._fromBybitSymbol(this._toBybitSymbol(s), category)) : undefined;
     const tickers = {};
     for (const t of (result.list || [])) {
-      const ticker = this._parseTicker(t);
-      if (!symbols || symbols.includes(ticker.symbol)) {
+      const ticker = this._parseTicker(t, category);
+      if (!wanted || wanted.includes(ticker.symbol)) {
         tickers[ticker.symbol] = ticker;
       }
     }
@@ -398,16 +543,18 @@ class Bybit extends BaseExchange {
    * Limits for spot: 1, 50, 200
    */
   async fetchOrderBook(symbol, limit = 50, params = {}) {
+    const id = this._toBybitSymbol(symbol);
+    const category = this._category(symbol, params);
     const data = await this._request('GET', '/v5/market/orderbook', {
-      category: this._defaultCategory,
-      symbol: symbol.toUpperCase(),
+      category,
+      symbol: id,
       limit,
       ...params,
     }, false, 1);
     const result = this._unwrapResponse(data);
 
     return {
-      symbol,
+      symbol: this._fromBybitSymbol(id, category),
       bids: (result.b || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
       asks: (result.a || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
       timestamp: safeInteger(result, 'ts'),
@@ -420,14 +567,16 @@ class Bybit extends BaseExchange {
    * Fetch recent trades. GET /v5/market/recent-trade
    */
   async fetchTrades(symbol, since = undefined, limit = 60, params = {}) {
+    const id = this._toBybitSymbol(symbol);
+    const category = this._category(symbol, params);
     const data = await this._request('GET', '/v5/market/recent-trade', {
-      category: this._defaultCategory,
-      symbol: symbol.toUpperCase(),
+      category,
+      symbol: id,
       limit,
       ...params,
     }, false, 1);
     const result = this._unwrapResponse(data);
-    return (result.list || []).map((t) => this._parseTrade(t, symbol));
+    return (result.list || []).map((t) => this._parseTrade(t, this._fromBybitSymbol(id, category)));
   }
 
   /**
@@ -436,8 +585,8 @@ class Bybit extends BaseExchange {
   async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 200, params = {}) {
     const interval = this.timeframes[timeframe] || timeframe;
     const request = {
-      category: this._defaultCategory,
-      symbol: symbol.toUpperCase(),
+      category: this._category(symbol, params),
+      symbol: this._toBybitSymbol(symbol),
       interval,
       limit,
       ...params,
@@ -460,39 +609,265 @@ class Bybit extends BaseExchange {
   }
 
   // ===========================================================================
-  // TRADING — PRIVATE (8 endpoints)
+  // DERIVATIVES MARKET DATA — PUBLIC (5 endpoints)
+  // ===========================================================================
+
+  /**
+   * Funding of a perpetual, read off its ticker. GET /v5/market/tickers
+   */
+  async fetchFundingRate(symbol, params = {}) {
+    const category = this._contractCategory(symbol, params);
+    const data = await this._request('GET', '/v5/market/tickers', {
+      category,
+      symbol: this._toBybitSymbol(symbol),
+      ...params,
+    }, false, 1);
+    const result = this._unwrapResponse(data);
+    const list = result.list || [];
+    if (list.length === 0) throw new BadSymbol(this.id + ' symbol not found: ' + symbol);
+    return this._parseFundingRate(list[0], category, safeInteger(data, 'time'));
+  }
+
+  /**
+   * Funding of every perpetual in one category. GET /v5/market/tickers
+   * Dated futures carry no funding rate and are left out.
+   */
+  async fetchFundingRates(symbols = undefined, params = {}) {
+    const category = this._contractCategory(symbols && symbols[0], params);
+    const data = await this._request('GET', '/v5/market/tickers', { ...params, category }, false, 1);
+    const result = this._unwrapResponse(data);
+    const rates = {};
+    for (const t of (result.list || [])) {
+      if (safeString(t, 'fundingRate', '') === '') continue;
+      const rate = this._parseFundingRate(t, category, safeInteger(data, 'time'));
+      if (!symbols || symbols.includes(rate.symbol)) rates[rate.symbol] = rate;
+    }
+    return rates;
+  }
+
+  /**
+   * Settled funding rates. GET /v5/market/funding/history (max 200, newest first)
+   * Bybit rejects a startTime without an endTime, so since is sent with the current time.
+   */
+  async fetchFundingRateHistory(symbol, since = undefined, limit = undefined, params = {}) {
+    const category = this._contractCategory(symbol, params);
+    const request = {
+      category,
+      symbol: this._toBybitSymbol(symbol),
+      limit: Math.min(limit || 200, 200),
+      ...params,
+    };
+    if (since) {
+      request.startTime = since;
+      if (!request.endTime) request.endTime = Date.now();
+    }
+    const data = await this._request('GET', '/v5/market/funding/history', request, false, 1);
+    const result = this._unwrapResponse(data);
+    return (result.list || []).reverse().map((r) => {
+      const timestamp = safeInteger(r, 'fundingRateTimestamp');
+      return {
+        info: r,
+        symbol: this._fromBybitSymbol(safeString(r, 'symbol'), category),
+        fundingRate: safeFloat(r, 'fundingRate'),
+        timestamp,
+        datetime: iso8601(timestamp),
+      };
+    });
+  }
+
+  /**
+   * Mark price candles. GET /v5/market/mark-price-kline
+   */
+  async fetchMarkOHLCV(symbol, timeframe = '1m', since = undefined, limit = 200, params = {}) {
+    return this._fetchPriceKlines('/v5/market/mark-price-kline', symbol, timeframe, since, limit, params);
+  }
+
+  /**
+   * Index price candles. GET /v5/market/index-price-kline
+   */
+  async fetchIndexOHLCV(symbol, timeframe = '1m', since = undefined, limit = 200, params = {}) {
+    return this._fetchPriceKlines('/v5/market/index-price-kline', symbol, timeframe, since, limit, params);
+  }
+
+  async _fetchPriceKlines(path, symbol, timeframe, since, limit, params) {
+    const request = {
+      category: this._contractCategory(symbol, params),
+      symbol: this._toBybitSymbol(symbol),
+      interval: this.timeframes[timeframe] || timeframe,
+      limit: limit || 200,
+      ...params,
+    };
+    if (since) request.start = since;
+    const data = await this._request('GET', path, request, false, 1);
+    const result = this._unwrapResponse(data);
+    // Price klines are [start, open, high, low, close] with no volume, newest first
+    return (result.list || []).reverse().map((k) => ([
+      parseInt(k[0], 10),
+      parseFloat(k[1]),
+      parseFloat(k[2]),
+      parseFloat(k[3]),
+      parseFloat(k[4]),
+      undefined,
+    ]));
+  }
+
+  /**
+   * Open interest from the ticker. GET /v5/market/tickers
+   * openInterest is in base coin for linear and in USD contracts for inverse;
+   * openInterestValue is the USD(T) value either way.
+   */
+  async fetchOpenInterest(symbol, params = {}) {
+    const category = this._contractCategory(symbol, params);
+    const data = await this._request('GET', '/v5/market/tickers', {
+      category,
+      symbol: this._toBybitSymbol(symbol),
+      ...params,
+    }, false, 1);
+    const result = this._unwrapResponse(data);
+    const list = result.list || [];
+    if (list.length === 0) throw new BadSymbol(this.id + ' symbol not found: ' + symbol);
+    const t = list[0];
+    const unified = this._fromBybitSymbol(safeString(t, 'symbol'), category);
+    const market = this.markets ? this.markets[unified] : undefined;
+    const size = market && market.contractSize ? market.contractSize : 1;
+    const amount = safeFloat(t, 'openInterest');
+    return this._openInterest({
+      info: t,
+      symbol: unified,
+      openInterestAmount: amount !== undefined && category === 'linear' ? amount / size : amount,
+      openInterestValue: safeFloat(t, 'openInterestValue'),
+      timestamp: safeInteger(data, 'time'),
+    });
+  }
+
+  /**
+   * Derivatives endpoints only take linear or inverse; a spot-style symbol means linear.
+   */
+  _contractCategory(symbol, params = {}) {
+    const category = this._category(symbol, params);
+    return category === 'spot' ? 'linear' : category;
+  }
+
+  // ===========================================================================
+  // TRADING — PRIVATE (10 endpoints)
   // ===========================================================================
 
   /**
    * Create a new order. POST /v5/order/create
    * Bybit uses Title case: side="Buy"/"Sell", orderType="Limit"/"Market"
+   * Unified triggerPrice / stopLossPrice / takeProfitPrice → triggerPrice with
+   * orderFilter StopOrder / tpslOrder (spot) or triggerDirection (derivatives).
+   * Unified timeInForce GTC/IOC/FOK/PO and postOnly → timeInForce (PO → PostOnly);
+   * reduceOnly is accepted outside the spot category. Unified clientOrderId → orderLinkId.
    */
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    const request = this._createOrderRequest(symbol, type, side, amount, price, params);
+    const data = await this._request('POST', '/v5/order/create', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result, this._fromBybitSymbol(request.symbol, request.category));
+  }
+
+  /**
+   * Build the /v5/order/create body (also one entry of /v5/order/create-batch).
+   */
+  _createOrderRequest(symbol, type, side, amount, price, params) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+    const conditional = this._conditionalOrderParams(side, params);
+    if (conditional.kind === 'trailing') {
+      throw new InvalidOrder(this.id + ' createOrder() does not support trailing stops');
+    }
+    const category = this._category(symbol, conditional.params);
+    const execution = this._orderExecutionParams(type, conditional.params, { reduceOnly: category !== 'spot' });
+    const client = this._clientOrderIdParams(execution.params);
+    params = client.params;
     const request = {
-      category: params.category || this._defaultCategory,
-      symbol: symbol.toUpperCase(),
+      symbol: this._toBybitSymbol(symbol),
       side: this._toTitleCase(side),
       orderType: this._toTitleCase(type),
-      qty: String(amount),
+      qty: numberToString(amount),
       ...params,
     };
-    // Remove our internal params
-    delete request.category; // Already set above
-    request.category = params.category || this._defaultCategory;
+    request.category = category;
+    if (client.clientOrderId !== undefined) request.orderLinkId = client.clientOrderId;
 
     if (price !== undefined && price !== null) {
-      request.price = String(price);
+      request.price = numberToString(price);
     }
 
-    // TimeInForce default for Limit orders
-    if (request.orderType === 'Limit' && !request.timeInForce) {
-      request.timeInForce = 'GTC';
+    if (conditional.kind) {
+      request.triggerPrice = String(conditional.triggerPrice);
+      if (request.category === 'spot') {
+        request.orderFilter = conditional.kind === 'trigger' ? 'StopOrder' : 'tpslOrder';
+      } else if (request.triggerDirection === undefined) {
+        request.triggerDirection = conditional.direction === 'up' ? 1 : 2;
+      }
     }
 
-    const data = await this._request('POST', '/v5/order/create', request, true, 1);
+    // TimeInForce (default GTC) for Limit orders; Bybit spells post-only 'PostOnly'
+    if (request.orderType === 'Limit') {
+      const timeInForce = execution.timeInForce === 'PO' ? 'PostOnly' : execution.timeInForce;
+      request.timeInForce = timeInForce || request.timeInForce || 'GTC';
+    }
+    if (execution.reduceOnly) request.reduceOnly = true;
+    return request;
+  }
+
+  /**
+   * Place orders in batches. POST /v5/order/create-batch
+   * Up to 10 orders per request on spot, 20 on derivatives; every order in one call
+   * must share the category (params.category or the default).
+   */
+  async createOrders(orders, params = {}) {
+    this.checkRequiredCredentials();
+    const category = this._category(orders.length ? orders[0].symbol : undefined, params);
+    return this._sendBatch(orders, category === 'spot' ? 10 : 20, (o) => {
+      const request = this._createOrderRequest(o.symbol, o.type, o.side, o.amount, o.price, { ...params, ...(o.params || {}) });
+      if (request.category !== category) {
+        throw new InvalidOrder(this.id + ' createOrders() sends one category per batch (' + category + ')');
+      }
+      delete request.category; // sent once for the whole batch
+      return request;
+    }, (entries) => this._postBatch('/v5/order/create-batch', category, entries));
+  }
+
+  /**
+   * Cancel orders in batches. POST /v5/order/cancel-batch
+   */
+  async cancelOrders(ids, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' cancelOrders() requires symbol');
+    const { category = this._category(symbol), ...rest } = params;
+    const bybitSymbol = this._toBybitSymbol(symbol);
+    return this._sendBatch(ids, category === 'spot' ? 10 : 20,
+      (id) => ({ symbol: bybitSymbol, orderId: String(id), ...rest }),
+      async (entries) => {
+        const results = await this._postBatch('/v5/order/cancel-batch', category, entries);
+        return results.map((r) => (r.success ? { success: true, order: { ...r.order, status: 'CANCELED' } } : r));
+      });
+  }
+
+  async _postBatch(path, category, entries) {
+    const data = await this._request('POST', path, { category, request: entries }, true, 1);
+    return this._parseBatchResponse(data, category, entries);
+  }
+
+  /**
+   * Batch responses (REST and the batch trade ops) pair result.list[i] (the order) with
+   * retExtInfo.list[i] ({ code, msg }); retCode stays 0 when only some orders fail.
+   */
+  _parseBatchResponse(data, category, entries) {
     const result = this._unwrapResponse(data);
-    return this._parseOrderCreateResult(result);
+    const list = (result && result.list) || [];
+    const info = (data.retExtInfo && data.retExtInfo.list) || [];
+    return entries.map((entry, i) => {
+      const code = info[i] ? info[i].code : 0;
+      if (code !== 0) {
+        return { success: false, error: this._batchError(() => this._handleBybitError(code, info[i].msg)) };
+      }
+      return { success: true, order: this._parseOrderCreateResult(list[i] || {}, this._fromBybitSymbol(entry.symbol, category)) };
+    });
   }
 
   /**
@@ -501,32 +876,48 @@ class Bybit extends BaseExchange {
   async amendOrder(id, symbol, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      category: this._defaultCategory,
-      symbol: symbol.toUpperCase(),
+      category: this._category(symbol, params),
+      symbol: this._toBybitSymbol(symbol),
       orderId: id,
       ...params,
     };
     const data = await this._request('POST', '/v5/order/amend', request, true, 1);
-    return this._unwrapResponse(data);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result, this._fromBybitSymbol(request.symbol, request.category));
+  }
+
+  /**
+   * Unified edit on top of amendOrder(): amount → qty, price → price. Bybit amends in
+   * place, so type and side cannot change and an omitted amount or price is kept.
+   */
+  async editOrder(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    const request = { ...params };
+    if (amount !== undefined && amount !== null) request.qty = numberToString(amount);
+    if (price !== undefined && price !== null) request.price = numberToString(price);
+    const order = await this.amendOrder(id, symbol, request);
+    return this._editedOrder(order, type, side, amount, price);
   }
 
   /**
-   * Cancel an order. POST /v5/order/cancel (NOTE: POST, not DELETE)
+   * Cancel an order by id or params.clientOrderId (orderLinkId).
+   * POST /v5/order/cancel (NOTE: POST, not DELETE)
    */
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder() requires symbol');
+    const ref = this._orderReference('cancelOrder', id, params);
     const request = {
-      category: this._defaultCategory,
-      symbol: symbol.toUpperCase(),
-      orderId: id,
-      ...params,
+      category: this._category(symbol, params),
+      symbol: this._toBybitSymbol(symbol),
+      ...this._orderIdRequest(ref),
+      ...ref.params,
     };
     const data = await this._request('POST', '/v5/order/cancel', request, true, 1);
     const result = this._unwrapResponse(data);
     return {
       id: result.orderId,
-      symbol: symbol.toUpperCase(),
+      symbol: this._fromBybitSymbol(request.symbol, request.category),
       status: 'CANCELED',
       info: result,
     };
@@ -538,31 +929,37 @@ class Bybit extends BaseExchange {
   async cancelAllOrders(symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      category: this._defaultCategory,
+      category: this._category(symbol, params),
       ...params,
     };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBybitSymbol(symbol);
     const data = await this._request('POST', '/v5/order/cancel-all', request, true, 1);
     const result = this._unwrapResponse(data);
     return result;
   }
 
   /**
-   * Fetch single order. GET /v5/order/realtime
+   * Fetch single order by id or params.clientOrderId. GET /v5/order/realtime
    */
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    const ref = this._orderReference('fetchOrder', id, params);
     const request = {
-      category: this._defaultCategory,
-      orderId: id,
-      ...params,
+      category: this._category(symbol, params),
+      ...this._orderIdRequest(ref),
+      ...ref.params,
     };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBybitSymbol(symbol);
     const data = await this._request('GET', '/v5/order/realtime', request, true, 1);
     const result = this._unwrapResponse(data);
     const list = result.list || [];
-    if (list.length === 0) throw new OrderNotFound(this.id + ' order not found: ' + id);
-    return this._parseOrder(list[0]);
+    if (list.length === 0) throw new OrderNotFound(this.id + ' order not found: ' + (ref.id || ref.clientOrderId));
+    return this._parseOrder(list[0], request.category);
+  }
+
+  // Orders placed with a clientOrderId can be named by it: Bybit calls it orderLinkId
+  _orderIdRequest(ref) {
+    return ref.id !== undefined ? { orderId: ref.id } : { orderLinkId: ref.clientOrderId };
   }
 
   /**
@@ -571,14 +968,14 @@ class Bybit extends BaseExchange {
   async fetchOpenOrders(symbol = undefined, since = undefined, limit = 50, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      category: this._defaultCategory,
+      category: this._category(symbol, params),
       limit,
       ...params,
     };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBybitSymbol(symbol);
     const data = await this._request('GET', '/v5/order/realtime', request, true, 1);
     const result = this._unwrapResponse(data);
-    return (result.list || []).map((o) => this._parseOrder(o));
+    return (result.list || []).map((o) => this._parseOrder(o, request.category));
   }
 
   /**
@@ -587,15 +984,15 @@ class Bybit extends BaseExchange {
   async fetchClosedOrders(symbol = undefined, since = undefined, limit = 50, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      category: this._defaultCategory,
+      category: this._category(symbol, params),
       limit,
       ...params,
     };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBybitSymbol(symbol);
     if (since) request.startTime = since;
     const data = await this._request('GET', '/v5/order/history', request, true, 1);
     const result = this._unwrapResponse(data);
-    return (result.list || []).map((o) => this._parseOrder(o));
+    return (result.list || []).map((o) => this._parseOrder(o, request.category));
   }
 
   /**
@@ -604,15 +1001,15 @@ class Bybit extends BaseExchange {
   async fetchMyTrades(symbol = undefined, since = undefined, limit = 50, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      category: this._defaultCategory,
+      category: this._category(symbol, params),
       limit,
       ...params,
     };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBybitSymbol(symbol);
     if (since) request.startTime = since;
     const data = await this._request('GET', '/v5/execution/list', request, true, 1);
     const result = this._unwrapResponse(data);
-    return (result.list || []).map((t) => this._parseMyTrade(t));
+    return (result.list || []).map((t) => this._parseMyTrade(t, request.category));
   }
 
   // ===========================================================================
@@ -621,12 +1018,17 @@ class Bybit extends BaseExchange {
 
   /**
    * Fetch account balances. GET /v5/account/wallet-balance
+   * params.account picks a unified account name; the funding account is read from
+   * GET /v5/asset/transfer/query-account-coins-balance.
    */
   async fetchBalance(params = {}) {
     this.checkRequiredCredentials();
+    const { account, ...rest } = params;
+    const accountType = account ? this._accountId(account) : this._accountType;
+    if (accountType === 'FUND') return this._fetchFundBalance(rest);
     const data = await this._request('GET', '/v5/account/wallet-balance', {
-      accountType: this._accountType,
-      ...params,
+      accountType,
+      ...rest,
     }, true, 1);
     const result = this._unwrapResponse(data);
 
@@ -640,9 +1042,14 @@ class Bybit extends BaseExchange {
     const accounts = result.list || [];
     for (const account of accounts) {
       for (const coin of (account.coin || [])) {
-        const free = parseFloat(coin.availableToWithdraw || coin.free || '0');
         const locked = parseFloat(coin.locked || '0');
         const total = parseFloat(coin.walletBalance || coin.equity || '0');
+        let free = parseFloat(coin.availableToWithdraw || coin.free || '0');
+        if (!coin.availableToWithdraw && !coin.free && (coin.totalOrderIM || coin.totalPositionIM)) {
+          // Unified accounts leave availableToWithdraw empty; derivatives margin is held as IM
+          const margin = locked + parseFloat(coin.totalOrderIM || '0') + parseFloat(coin.totalPositionIM || '0');
+          free = Math.max(total - margin, 0);
+        }
         if (total > 0 || free > 0) {
           balance[coin.coin] = {
             free,
@@ -655,16 +1062,37 @@ class Bybit extends BaseExchange {
     return balance;
   }
 
+  async _fetchFundBalance(params) {
+    const data = await this._request('GET', '/v5/asset/transfer/query-account-coins-balance', {
+      accountType: 'FUND',
+      ...params,
+    }, true, 1);
+    const result = this._unwrapResponse(data);
+    const balance = {
+      info: result,
+      timestamp: Date.now(),
+      datetime: iso8601(Date.now()),
+    };
+    for (const coin of (result.balance || [])) {
+      const free = parseFloat(coin.transferBalance || '0');
+      const total = parseFloat(coin.walletBalance || '0');
+      if (total > 0 || free > 0) {
+        balance[coin.coin] = { free, used: total - free > 0 ? total - free : 0, total };
+      }
+    }
+    return balance;
+  }
+
   /**
    * Fetch trading fee rates. GET /v5/account/fee-rate
    */
   async fetchTradingFees(symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      category: this._defaultCategory,
+      category: this._category(symbol, params),
       ...params,
     };
-    if (symbol) request.symbol = symbol.toUpperCase();
+    if (symbol) request.symbol = this._toBybitSymbol(symbol);
     const data = await this._request('GET', '/v5/account/fee-rate', request, true, 1);
     const result = this._unwrapResponse(data);
     const list = result.list || [];
@@ -672,17 +1100,385 @@ class Bybit extends BaseExchange {
 
     const fees = {};
     for (const f of list) {
-      fees[f.symbol] = {
-        symbol: f.symbol,
+      const sym = this._fromBybitSymbol(f.symbol);
+      fees[sym] = {
+        symbol: sym,
         maker: parseFloat(f.makerFeeRate || '0'),
         taker: parseFloat(f.takerFeeRate || '0'),
       };
     }
-    return symbol ? fees[symbol.toUpperCase()] : fees;
+    return symbol ? fees[this._fromBybitSymbol(this._toBybitSymbol(symbol))] : fees;
+  }
+
+  // ===========================================================================
+  // FUNDING — PRIVATE (5 endpoints)
+  // ===========================================================================
+
+  /**
+   * Fetch the deposit address of a coin. GET /v5/asset/deposit/query-address
+   * Bybit lists one address per chain; params.network picks it, otherwise the first is used.
+   */
+  async fetchDepositAddress(code, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...rest } = params;
+    const chain = this._networkId(network);
+    const request = { coin: String(code).toUpperCase(), ...rest };
+    if (chain) request.chainType = chain;
+    const data = await this._request('GET', '/v5/asset/deposit/query-address', request, true, 1);
+    const result = this._unwrapResponse(data);
+    const chains = result.chains || [];
+    const entry = chains.find((c) => !chain || c.chainType === chain || c.chain === chain) || chains[0];
+    if (!entry) throw new BadRequest(this.id + ' fetchDepositAddress() found no ' + code + ' address');
+    return {
+      info: result,
+      currency: safeString(result, 'coin'),
+      network: this._networkCode(entry.chain || entry.chainType),
+      address: safeString(entry, 'addressDeposit'),
+      tag: safeString(entry, 'tagDeposit') || undefined,
+    };
+  }
+
+  /**
+   * Fetch on-chain deposits. GET /v5/asset/deposit/query-record
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = this._fundingHistoryRequest(code, since, limit, params);
+    const data = await this._request('GET', '/v5/asset/deposit/query-record', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return (result.rows || []).map((d) => this._parseTransaction(d, 'deposit'));
+  }
+
+  /**
+   * Fetch on-chain withdrawals. GET /v5/asset/withdraw/query-record
+   */
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = this._fundingHistoryRequest(code, since, limit, params);
+    const data = await this._request('GET', '/v5/asset/withdraw/query-record', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return (result.rows || []).map((w) => this._parseTransaction(w, 'withdrawal'));
+  }
+
+  _fundingHistoryRequest(code, since, limit, params) {
+    const request = { ...params };
+    if (code) request.coin = String(code).toUpperCase();
+    if (since) request.startTime = since;
+    if (limit) request.limit = limit;
+    return request;
+  }
+
+  /**
+   * Withdraw from the funding account. POST /v5/asset/withdraw/create
+   * Bybit needs the chain for every withdrawal, so params.network is required.
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._withdrawArgs(code, amount, address, tag, params);
+    if (!args.network) throw new BadRequest(this.id + ' withdraw() requires params.network');
+    const request = {
+      coin: String(code).toUpperCase(),
+      chain: args.network,
+      address,
+      amount: numberToString(amount),
+      timestamp: Date.now(),
+      ...args.params,
+    };
+    if (args.tag) request.tag = args.tag;
+    const data = await this._request('POST', '/v5/asset/withdraw/create', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return {
+      ...this._parseTransaction({ ...request, withdrawId: result.id, status: 'Pending' }, 'withdrawal'),
+      info: result,
+    };
+  }
+
+  /**
+   * Withdrawal fees and deposit minimums per chain. GET /v5/asset/coin/query-info
+   */
+  async fetchDepositWithdrawFees(codes = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (codes && codes.length === 1) request.coin = String(codes[0]).toUpperCase();
+    const data = await this._request('GET', '/v5/asset/coin/query-info', request, true, 1);
+    const result = this._unwrapResponse(data);
+    const wanted = codes ? codes.map((c) => String(c).toUpperCase()) : undefined;
+    const fees = {};
+    for (const row of result.rows || []) {
+      if (wanted && !wanted.includes(row.coin)) continue;
+      const networks = {};
+      for (const c of row.chains || []) {
+        const percent = safeFloat(c, 'withdrawPercentageFee');
+        networks[this._networkCode(c.chain)] = {
+          withdraw: percent
+            ? { fee: percent, percentage: true }
+            : { fee: safeFloat(c, 'withdrawFee'), percentage: false },
+          deposit: { fee: undefined, percentage: undefined },
+        };
+      }
+      const only = Object.values(networks);
+      fees[row.coin] = {
+        info: row,
+        withdraw: only.length === 1 ? only[0].withdraw : { fee: undefined, percentage: undefined },
+        deposit: { fee: undefined, percentage: undefined },
+        networks,
+      };
+    }
+    return fees;
+  }
+
+  // ===========================================================================
+  // TRANSFERS — PRIVATE (4 endpoints)
+  // ===========================================================================
+
+  /**
+   * Move funds between account types. POST /v5/asset/transfer/inter-transfer
+   * With params.fromSubAccount / toSubAccount (member UIDs) it becomes a universal
+   * transfer, POST /v5/asset/transfer/universal-transfer; Bybit needs both member ids
+   * there, so pass the master's UID on the master side.
+   */
+  async transfer(code, amount, fromAccount, toAccount, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._transferArgs(code, amount, fromAccount, toAccount, params);
+    const request = {
+      transferId: crypto.randomUUID(),
+      coin: String(code).toUpperCase(),
+      amount: numberToString(amount),
+      fromAccountType: args.from,
+      toAccountType: args.to,
+      ...args.params,
+    };
+    let path = '/v5/asset/transfer/inter-transfer';
+    if (args.fromSubAccount || args.toSubAccount) {
+      if (!args.fromSubAccount || !args.toSubAccount) {
+        throw new BadRequest(this.id + ' transfer() needs both params.fromSubAccount and params.toSubAccount (member UIDs)');
+      }
+      request.fromMemberId = Number(args.fromSubAccount);
+      request.toMemberId = Number(args.toSubAccount);
+      path = '/v5/asset/transfer/universal-transfer';
+    }
+    const data = await this._request('POST', path, request, true, 1);
+    const result = this._unwrapResponse(data);
+    return this._parseTransfer({ ...request, ...result });
+  }
+
+  /**
+   * Transfer history. GET /v5/asset/transfer/query-inter-transfer-list, or the
+   * universal-transfer list when params.subAccounts is true.
+   */
+  async fetchTransfers(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const { subAccounts, ...rest } = params;
+    const request = { ...rest };
+    if (code) request.coin = String(code).toUpperCase();
+    if (since) request.startTime = since;
+    if (limit) request.limit = limit;
+    const path = subAccounts
+      ? '/v5/asset/transfer/query-universal-transfer-list'
+      : '/v5/asset/transfer/query-inter-transfer-list';
+    const data = await this._request('GET', path, request, true, 1);
+    const result = this._unwrapResponse(data);
+    return (result.list || []).map((t) => this._parseTransfer(t));
+  }
+
+  // ===========================================================================
+  // LEDGER — PRIVATE (2 endpoints)
+  // ===========================================================================
+
+  /**
+   * Transaction log. GET /v5/account/transaction-log on a Unified Trading Account,
+   * /v5/account/contract-transaction-log on a classic one. With only startTime, Bybit
+   * returns the 7 days that follow it.
+   */
+  async fetchLedger(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const unified = this._accountType === 'UNIFIED';
+    const request = unified ? { accountType: 'UNIFIED', ...params } : { ...params };
+    if (code) request.currency = String(code).toUpperCase();
+    if (since) request.startTime = since;
+    if (limit) request.limit = Math.min(limit, 50);
+    const path = unified ? '/v5/account/transaction-log' : '/v5/account/contract-transaction-log';
+    const data = await this._request('GET', path, request, true, 1);
+    const result = this._unwrapResponse(data);
+    const entries = (result.list || []).map((t) => this._parseLedgerEntry(t)).reverse();
+    return this._ledgerPage(entries, since, limit);
+  }
+
+  // ===========================================================================
+  // POSITIONS — PRIVATE (1 endpoint)
+  // ===========================================================================
+
+  /**
+   * Open positions. GET /v5/position/list (paged with nextPageCursor)
+   * The category follows the first symbol; spot falls back to linear. Linear lists need a
+   * symbol or a settleCoin, so without a single symbol USDT positions are listed
+   * (params.settleCoin picks another).
+   */
+  async fetchPositions(symbols = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const category = this._contractCategory(symbols && symbols[0], params);
+    const request = { limit: 200, ...params, category };
+    if (symbols && symbols.length === 1) {
+      request.symbol = this._toBybitSymbol(symbols[0]);
+    } else if (category === 'linear' && !request.settleCoin) {
+      request.settleCoin = 'USDT';
+    }
+    const positions = [];
+    let cursor;
+    do {
+      if (cursor) request.cursor = cursor;
+      const data = await this._request('GET', '/v5/position/list', request, true, 1);
+      const result = this._unwrapResponse(data);
+      for (const p of (result.list || [])) {
+        const position = this._parsePosition(p, category);
+        if (position.contracts) positions.push(position);
+      }
+      cursor = result.nextPageCursor;
+    } while (cursor);
+    return symbols ? positions.filter((p) => symbols.includes(p.symbol)) : positions;
+  }
+
+  /**
+   * Hedge-mode positions are addressed by positionIdx (1 = long, 2 = short).
+   */
+  _closePositionParams(position) {
+    return position.hedged ? { positionIdx: safeInteger(position.info, 'positionIdx') } : {};
+  }
+
+  // ===========================================================================
+  // LEVERAGE & MARGIN — PRIVATE (6 endpoints)
+  // ===========================================================================
+
+  /**
+   * Set buy and sell leverage of a contract. POST /v5/position/set-leverage
+   */
+  async setLeverage(leverage, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' setLeverage() requires symbol');
+    const request = {
+      category: this._contractCategory(symbol, params),
+      symbol: this._toBybitSymbol(symbol),
+      buyLeverage: String(leverage),
+      sellLeverage: String(leverage),
+      ...params,
+    };
+    const data = await this._request('POST', '/v5/position/set-leverage', request, true, 1);
+    this._unwrapResponse(data);
+    return this._leverage({
+      info: data,
+      symbol: this._fromBybitSymbol(request.symbol, request.category),
+      longLeverage: parseFloat(request.buyLeverage),
+      shortLeverage: parseFloat(request.sellLeverage),
+    });
+  }
+
+  /**
+   * Leverage from the position list, which reports it even while flat.
+   * GET /v5/position/list — hedge mode lists the long (positionIdx 1) and short (2) legs.
+   */
+  async fetchLeverage(symbol, params = {}) {
+    this.checkRequiredCredentials();
+    const category = this._contractCategory(symbol, params);
+    const data = await this._request('GET', '/v5/position/list', {
+      category,
+      symbol: this._toBybitSymbol(symbol),
+      ...params,
+    }, true, 1);
+    const list = this._unwrapResponse(data).list || [];
+    if (list.length === 0) throw new BadSymbol(this.id + ' symbol not found: ' + symbol);
+    const leg = (idx) => list.find((p) => safeInteger(p, 'positionIdx') === idx) || list[0];
+    return this._leverage({
+      info: list,
+      symbol: this._fromBybitSymbol(safeString(list[0], 'symbol'), category),
+      marginMode: safeInteger(list[0], 'tradeMode') === 1 ? 'isolated' : 'cross',
+      longLeverage: safeFloat(leg(1), 'leverage'),
+      shortLeverage: safeFloat(leg(2), 'leverage'),
+    });
+  }
+
+  /**
+   * Unified accounts choose margin mode for the whole account, so `symbol` is ignored.
+   * POST /v5/account/set-margin-mode — cross → REGULAR_MARGIN, isolated → ISOLATED_MARGIN
+   * (params.setMarginMode may ask for PORTFOLIO_MARGIN instead).
+   */
+  async setMarginMode(marginMode, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const mode = this._checkMarginMode(marginMode);
+    const request = { setMarginMode: mode === 'isolated' ? 'ISOLATED_MARGIN' : 'REGULAR_MARGIN', ...params };
+    const data = await this._request('POST', '/v5/account/set-margin-mode', request, true, 1);
+    this._unwrapResponse(data);
+    return { info: data, symbol, marginMode: mode };
+  }
+
+  /**
+   * Switch hedge (mode 3) or one-way (mode 0). POST /v5/position/switch-mode
+   * Applies to one symbol, or to every contract settled in params.coin (USDT by default).
+   */
+  async setPositionMode(hedged, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { category: this._contractCategory(symbol, params), mode: hedged ? 3 : 0, ...params };
+    if (symbol) request.symbol = this._toBybitSymbol(symbol);
+    else if (!request.coin) request.coin = 'USDT';
+    const data = await this._request('POST', '/v5/position/switch-mode', request, true, 1);
+    this._unwrapResponse(data);
+    return { info: data, hedged };
+  }
+
+  /**
+   * Add or remove isolated margin. POST /v5/position/add-margin (negative margin reduces)
+   * Hedge-mode legs need params.positionIdx.
+   */
+  async _modifyMargin(symbol, amount, type, params) {
+    this.checkRequiredCredentials();
+    const category = this._contractCategory(symbol, params);
+    const request = {
+      category,
+      symbol: this._toBybitSymbol(symbol),
+      margin: String(type === 'reduce' ? -amount : amount),
+      ...params,
+    };
+    const data = await this._request('POST', '/v5/position/add-margin', request, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    const unified = this._fromBybitSymbol(request.symbol, category);
+    const market = this.markets ? this.markets[unified] : undefined;
+    return this._marginModification({
+      info: result,
+      symbol: unified,
+      type,
+      amount,
+      total: safeFloat(result, 'positionIM'),
+      code: market ? market.settle : (this._symbolParts(unified) || {}).settle,
+      timestamp: safeInteger(result, 'updatedTime'),
+    });
+  }
+
+  /**
+   * Risk limits of a contract. GET /v5/market/risk-limit
+   * riskLimitValue caps the position value of each tier.
+   */
+  async fetchMarketLeverageTiers(symbol, params = {}) {
+    const category = this._contractCategory(symbol, params);
+    const data = await this._request('GET', '/v5/market/risk-limit', {
+      category,
+      symbol: this._toBybitSymbol(symbol),
+      ...params,
+    }, false, 1);
+    const list = (this._unwrapResponse(data).list || [])
+      .slice()
+      .sort((a, b) => safeFloat(a, 'riskLimitValue') - safeFloat(b, 'riskLimitValue'));
+    const unified = list.length ? this._fromBybitSymbol(safeString(list[0], 'symbol'), category) : symbol;
+    const parts = this._symbolParts(unified) || {};
+    return this._leverageTiers(unified, list.map((t) => ({
+      info: t,
+      currency: category === 'inverse' ? parts.base : parts.quote,
+      maxNotional: safeFloat(t, 'riskLimitValue'),
+      maintenanceMarginRate: safeFloat(t, 'maintenanceMargin'),
+      maxLeverage: safeFloat(t, 'maxLeverage'),
+    })));
   }
 
   // ===========================================================================
-  // WEBSOCKET STREAMS — Public (4) + Private (2)
+  // WEBSOCKET STREAMS — Public (6) + Private (3)
   // ===========================================================================
 
   _getWsClient(url = undefined) {
@@ -690,10 +1486,10 @@ class Bybit extends BaseExchange {
     if (this._wsClients.has(wsUrl)) {
       return this._wsClients.get(wsUrl);
     }
-    const client = new WsClient({
+    const client = new WsClient(this._wsClientOptions({
       url: wsUrl,
       pingInterval: 0, // Disable WsClient's native ping — Bybit uses app-level
-    });
+    }));
     this._wsClients.set(wsUrl, client);
     return client;
   }
@@ -763,54 +1559,64 @@ class Bybit extends BaseExchange {
 
   /** Watch ticker. Topic: tickers.{SYMBOL} */
   async watchTicker(symbol, callback) {
-    const topic = `tickers.${symbol.toUpperCase()}`;
+    const category = this._category(symbol);
+    const topic = `tickers.${this._toBybitSymbol(symbol)}`;
     return this._subscribeStream(topic, (msg) => {
-      callback(this._parseWsTicker(msg.data));
-    });
+      callback(this._parseWsTicker(msg.data, category));
+    }, this._publicWsUrl(category));
   }
 
   /** Watch order book. Topic: orderbook.{depth}.{SYMBOL} */
   async watchOrderBook(symbol, callback, depth = 50) {
-    const topic = `orderbook.${depth}.${symbol.toUpperCase()}`;
+    const id = this._toBybitSymbol(symbol);
+    const category = this._category(symbol);
+    const unified = this._fromBybitSymbol(id, category);
+    const topic = `orderbook.${depth}.${id}`;
     return this._subscribeStream(topic, (msg) => {
-      callback({
-        symbol,
-        type: msg.type, // 'snapshot' or 'delta'
+      const u = safeInteger(msg.data, 'u');
+      this._handleOrderBookMessage(unified, {
+        // u=1 is a fresh snapshot sent after a service restart
+        snapshot: msg.type === 'snapshot' || u === 1,
         bids: (msg.data.b || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
         asks: (msg.data.a || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
         timestamp: safeInteger(msg, 'ts'),
-        nonce: safeInteger(msg.data, 'u'),
-      });
-    });
+        nonce: u,
+      }, callback, { depth, snapshotLimit: depth });
+    }, this._publicWsUrl(category));
   }
 
   /** Watch trades. Topic: publicTrade.{SYMBOL} */
   async watchTrades(symbol, callback) {
-    const topic = `publicTrade.${symbol.toUpperCase()}`;
+    const category = this._category(symbol);
+    const topic = `publicTrade.${this._toBybitSymbol(symbol)}`;
     return this._subscribeStream(topic, (msg) => {
       for (const t of (msg.data || [])) {
+        const unified = this._fromBybitSymbol(t.s, category);
         callback({
           id: t.i,
-          symbol: t.s,
+          symbol: unified,
           price: parseFloat(t.p),
           amount: parseFloat(t.v),
-          cost: parseFloat(t.p) * parseFloat(t.v),
+          cost: this._contractCost(this.markets && this.markets[unified], parseFloat(t.v), parseFloat(t.p)),
           side: t.S === 'Buy' ? 'buy' : 'sell',
           timestamp: parseInt(t.T, 10),
           datetime: iso8601(parseInt(t.T, 10)),
         });
       }
-    });
+    }, this._publicWsUrl(category));
   }
 
   /** Watch klines. Topic: kline.{interval}.{SYMBOL} */
   async watchKlines(symbol, interval, callback) {
     const tf = this.timeframes[interval] || interval;
-    const topic = `kline.${tf}.${symbol.toUpperCase()}`;
+    const id = this._toBybitSymbol(symbol);
+    const category = this._category(symbol);
+    const unified = this._fromBybitSymbol(id, category);
+    const topic = `kline.${tf}.${id}`;
     return this._subscribeStream(topic, (msg) => {
       for (const k of (msg.data || [])) {
         callback({
-          symbol: symbol.toUpperCase(),
+          symbol: unified,
           interval: k.interval,
           timestamp: parseInt(k.start, 10),
           open: parseFloat(k.open),
@@ -821,7 +1627,46 @@ class Bybit extends BaseExchange {
           closed: k.confirm,
         });
       }
-    });
+    }, this._publicWsUrl(category));
+  }
+
+  /**
+   * Watch funding of a perpetual. Topic: tickers.{SYMBOL}
+   * Derivatives tickers arrive as a snapshot followed by deltas holding only the changed
+   * fields, so they are merged before parsing.
+   */
+  async watchFundingRate(symbol, callback) {
+    const category = this._contractCategory(symbol);
+    const state = {};
+    return this._subscribeStream(`tickers.${this._toBybitSymbol(symbol)}`, (msg) => {
+      Object.assign(state, msg.data);
+      callback(this._parseFundingRate(state, category, safeInteger(msg, 'ts')));
+    }, this._publicWsUrl(category));
+  }
+
+  /** Watch mark and index price. Topic: tickers.{SYMBOL} (merged like watchFundingRate) */
+  async watchMarkPrice(symbol, callback) {
+    const category = this._contractCategory(symbol);
+    const state = {};
+    return this._subscribeStream(`tickers.${this._toBybitSymbol(symbol)}`, (msg) => {
+      Object.assign(state, msg.data);
+      const timestamp = safeInteger(msg, 'ts');
+      callback({
+        symbol: this._fromBybitSymbol(safeString(state, 'symbol'), category),
+        markPrice: safeFloat(state, 'markPrice'),
+        indexPrice: safeFloat(state, 'indexPrice'),
+        timestamp,
+        datetime: iso8601(timestamp),
+        info: msg.data,
+      });
+    }, this._publicWsUrl(category));
+  }
+
+  /** [apiKey, expires, signature] for an auth op; shared by the private and trade sockets. */
+  _wsAuthArgs() {
+    const expires = Date.now() + 10000;
+    const signStr = 'GET/realtime' + expires;
+    return [this.apiKey, expires, hmacSHA256(signStr, this.secret)];
   }
 
   /**
@@ -833,13 +1678,9 @@ class Bybit extends BaseExchange {
     if (this._wsPrivateAuthenticated) return;
 
     const client = await this._ensureWsConnected(this.urls.wsPrivate);
-    const expires = Date.now() + 10000;
-    const signStr = 'GET/realtime' + expires;
-    const signature = hmacSHA256(signStr, this.secret);
-
     client.send({
       op: 'auth',
-      args: [this.apiKey, expires, signature],
+      args: this._wsAuthArgs(),
     });
 
     // Wait a moment for auth to be processed
@@ -884,6 +1725,18 @@ class Bybit extends BaseExchange {
     }, this.urls.wsPrivate);
   }
 
+  /** Watch position updates (private). Topic: position */
+  async watchPositions(callback) {
+    this.checkRequiredCredentials();
+    await this._authenticateWsPrivate();
+
+    return this._subscribeStream('position', (msg) => {
+      for (const p of (msg.data || [])) {
+        callback(this._parsePosition(p));
+      }
+    }, this.urls.wsPrivate);
+  }
+
   /**
    * Close all WebSocket connections.
    */
@@ -893,25 +1746,167 @@ class Bybit extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
     this._wsPrivateAuthenticated = false;
+    this._wsTradeSession = null;
+    this._wsTradeClient = null;
     for (const [, timer] of this._pingTimers) {
       clearInterval(timer);
     }
     this._pingTimers.clear();
   }
 
+  // ===========================================================================
+  // WEBSOCKET TRADING — /v5/trade (order.create, order.amend, order.cancel,
+  // order.cancel-batch)
+  // ===========================================================================
+
+  /**
+   * Connected and authenticated trade socket, shared by concurrent callers. A dropped
+   * connection authenticates again on the next request.
+   */
+  _wsTradeConnect() {
+    if (!this._wsTradeSession) {
+      this._wsTradeSession = this._openWsTradeSession().catch((err) => {
+        this._wsTradeSession = null;
+        throw err;
+      });
+    }
+    return this._wsTradeSession;
+  }
+
+  async _openWsTradeSession() {
+    const client = await this._ensureWsConnected(this.urls.wsTrade);
+    if (this._wsTradeClient !== client) {
+      this._wsTradeClient = client;
+      // Replies carry the reqId we sent; the auth reply only its op
+      client.on('message', (msg) => {
+        if (!msg || msg.retCode === undefined) return;
+        const id = msg.reqId !== undefined ? msg.reqId : msg.op === 'auth' ? 'auth' : undefined;
+        if (id === undefined) return;
+        this._resolveWsRequest(id, undefined, {
+          retCode: msg.retCode,
+          retMsg: msg.retMsg,
+          result: msg.data,
+          retExtInfo: msg.retExtInfo,
+        });
+      });
+      client.on('close', () => {
+        this._wsTradeSession = null;
+        this._rejectWsRequests(new NetworkError(this.id + ' WebSocket closed before the reply'));
+      });
+    }
+    const auth = await this._wsRequest(client, 'auth', { op: 'auth', args: this._wsAuthArgs() });
+    this._unwrapResponse(auth);
+    return client;
+  }
+
+  /**
+   * Send one op on the trade socket. Resolves with the reply in the REST
+   * { retCode, retMsg, result, retExtInfo } shape, for _unwrapResponse().
+   */
+  async _wsTradeRequest(op, args) {
+    this.checkRequiredCredentials();
+    const client = await this._wsTradeConnect();
+    const reqId = String(this._nextWsRequestId());
+    return this._wsRequest(client, reqId, {
+      reqId,
+      header: {
+        'X-BAPI-TIMESTAMP': String(Date.now()),
+        'X-BAPI-RECV-WINDOW': String(this._recvWindow),
+      },
+      op,
+      args: [args],
+    });
+  }
+
+  /** createOrder() over the trade socket (order.create); same params and result. */
+  async createOrderWs(symbol, type, side, amount, price = undefined, params = {}) {
+    const request = this._createOrderRequest(symbol, type, side, amount, price, params);
+    const data = await this._wsTradeRequest('order.create', request);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result, this._fromBybitSymbol(request.symbol, request.category));
+  }
+
+  /** editOrder() over the trade socket (order.amend): amount → qty, price → price. */
+  async editOrderWs(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    const request = {
+      category: this._category(symbol, params),
+      symbol: this._toBybitSymbol(symbol),
+      orderId: id,
+      ...params,
+    };
+    if (amount !== undefined && amount !== null) request.qty = numberToString(amount);
+    if (price !== undefined && price !== null) request.price = numberToString(price);
+    const data = await this._wsTradeRequest('order.amend', request);
+    const result = this._unwrapResponse(data);
+    const order = this._parseOrderCreateResult(result, this._fromBybitSymbol(request.symbol, request.category));
+    return this._editedOrder(order, type, side, amount, price);
+  }
+
+  /** cancelOrder() over the trade socket (order.cancel), by id or params.clientOrderId. */
+  async cancelOrderWs(id, symbol = undefined, params = {}) {
+    if (!symbol) throw new BadRequest(this.id + ' cancelOrderWs() requires symbol');
+    const ref = this._orderReference('cancelOrder', id, params);
+    const request = {
+      category: this._category(symbol, params),
+      symbol: this._toBybitSymbol(symbol),
+      ...this._orderIdRequest(ref),
+      ...ref.params,
+    };
+    const data = await this._wsTradeRequest('order.cancel', request);
+    const result = this._unwrapResponse(data);
+    return {
+      id: result.orderId,
+      symbol: this._fromBybitSymbol(request.symbol, request.category),
+      status: 'CANCELED',
+      info: result,
+    };
+  }
+
+  /**
+   * The trade socket has no cancel-all: the open orders of the category are read over
+   * REST and cancelled with order.cancel-batch (10 per op on spot, 20 on derivatives).
+   * /v5/order/realtime returns at most 50 orders, so pages are re-read until none are
+   * left; orders already cancelled but still listed end the loop.
+   * Resolves like cancelAllOrders() to { list: [{ orderId, orderLinkId }, ...] }.
+   */
+  async cancelAllOrdersWs(symbol = undefined, params = {}) {
+    const category = this._category(symbol, params);
+    const size = category === 'spot' ? 10 : 20;
+    const pageSize = 50;
+    const canceled = new Set();
+    const list = [];
+    for (;;) {
+      const page = await this.fetchOpenOrders(symbol, undefined, pageSize, { category });
+      const open = page.filter((o) => !canceled.has(o.id));
+      for (let i = 0; i < open.length; i += size) {
+        const request = open.slice(i, i + size).map((o) => ({ symbol: this._toBybitSymbol(o.symbol), orderId: o.id }));
+        const data = await this._wsTradeRequest('order.cancel-batch', { category, request });
+        const results = this._parseBatchResponse(data, category, request);
+        const failed = results.find((r) => !r.success);
+        if (failed) throw failed.error;
+        for (const o of request) canceled.add(o.orderId);
+        list.push(...((this._unwrapResponse(data) || {}).list || []));
+      }
+      if (page.length < pageSize || open.length === 0) break;
+    }
+    return { list };
+  }
+
   // ===========================================================================
   // PARSERS — Normalize Bybit responses to unified format
   // ===========================================================================
 
-  _parseTicker(data) {
+  _parseTicker(data, category = undefined) {
     const pctChange = safeFloat(data, 'price24hPcnt');
     const lastPrice = safeFloat(data, 'lastPrice');
     const prevPrice = safeFloat(data, 'prevPrice24h');
     const change = (lastPrice && prevPrice) ? lastPrice - prevPrice : undefined;
 
     return {
-      symbol: safeString(data, 'symbol'),
+      symbol: this._fromBybitSymbol(safeString(data, 'symbol'), category),
       last: lastPrice,
       high: safeFloat(data, 'highPrice24h'),
       low: safeFloat(data, 'lowPrice24h'),
@@ -932,11 +1927,29 @@ class Bybit extends BaseExchange {
     };
   }
 
-  _parseWsTicker(data) {
-    return this._parseTicker(data);
+  _parseWsTicker(data, category = undefined) {
+    return this._parseTicker(data, category);
+  }
+
+  /**
+   * Derivatives ticker → funding rate. Bybit publishes no predicted rate past the next
+   * settlement; fundingIntervalHour is missing on older payloads.
+   */
+  _parseFundingRate(data, category = undefined, timestamp = undefined) {
+    const hours = safeInteger(data, 'fundingIntervalHour');
+    return this._fundingRate({
+      info: data,
+      symbol: this._fromBybitSymbol(safeString(data, 'symbol'), category),
+      markPrice: safeFloat(data, 'markPrice'),
+      indexPrice: safeFloat(data, 'indexPrice'),
+      fundingRate: safeFloat(data, 'fundingRate'),
+      fundingTimestamp: safeInteger(data, 'nextFundingTime'),
+      interval: hours ? hours + 'h' : undefined,
+      timestamp,
+    });
   }
 
-  _parseOrder(data) {
+  _parseOrder(data, category = safeString(data, 'category')) {
     const filled = safeFloat(data, 'cumExecQty') || 0;
     const amount = safeFloat(data, 'qty') || 0;
     const cost = safeFloat(data, 'cumExecValue') || 0;
@@ -946,7 +1959,7 @@ class Bybit extends BaseExchange {
     return {
       id: safeString(data, 'orderId'),
       clientOrderId: safeString(data, 'orderLinkId'),
-      symbol: safeString(data, 'symbol'),
+      symbol: this._fromBybitSymbol(safeString(data, 'symbol'), category),
       type: safeStringUpper(data, 'orderType'),
       side: safeStringUpper(data, 'side'),
       price: safeFloat(data, 'price') || 0,
@@ -956,7 +1969,9 @@ class Bybit extends BaseExchange {
       cost,
       average,
       status: this._normalizeStatus(rawStatus),
-      timeInForce: safeString(data, 'timeInForce'),
+      timeInForce: safeString(data, 'timeInForce') === 'PostOnly' ? 'PO' : safeString(data, 'timeInForce'),
+      postOnly: safeString(data, 'timeInForce') === 'PostOnly',
+      reduceOnly: safeValue(data, 'reduceOnly'),
       timestamp: safeInteger(data, 'createdTime'),
       datetime: iso8601(safeInteger(data, 'createdTime')),
       trades: [],
@@ -964,11 +1979,11 @@ class Bybit extends BaseExchange {
     };
   }
 
-  _parseOrderCreateResult(data) {
+  _parseOrderCreateResult(data, symbol = undefined) {
     return {
       id: safeString(data, 'orderId'),
       clientOrderId: safeString(data, 'orderLinkId'),
-      symbol: safeString(data, 'symbol') || undefined,
+      symbol: symbol || this._fromBybitSymbol(safeString(data, 'symbol')),
       status: 'NEW',
       info: data,
     };
@@ -982,12 +1997,15 @@ class Bybit extends BaseExchange {
 
   _parseTrade(data, symbol) {
     const ts = safeInteger(data, 'time') || parseInt(safeString(data, 'T') || '0', 10);
+    symbol = symbol || this._fromBybitSymbol(safeString(data, 'symbol') || safeString(data, 's'));
+    const price = safeFloat(data, 'price') || safeFloat(data, 'p');
+    const amount = safeFloat(data, 'size') || safeFloat(data, 'v');
     return {
       id: safeString(data, 'execId') || safeString(data, 'i'),
-      symbol: symbol || safeString(data, 'symbol') || safeString(data, 's'),
-      price: safeFloat(data, 'price') || safeFloat(data, 'p'),
-      amount: safeFloat(data, 'size') || safeFloat(data, 'v'),
-      cost: (safeFloat(data, 'price') || 0) * (safeFloat(data, 'size') || 0),
+      symbol,
+      price,
+      amount,
+      cost: this._contractCost(this.markets && this.markets[symbol], amount || 0, price || 0),
       side: (safeString(data, 'side') || safeString(data, 'S') || '').toLowerCase(),
       timestamp: ts,
       datetime: iso8601(ts),
@@ -996,12 +2014,12 @@ class Bybit extends BaseExchange {
     };
   }
 
-  _parseMyTrade(data) {
+  _parseMyTrade(data, category = safeString(data, 'category')) {
     const ts = safeInteger(data, 'execTime');
     return {
       id: safeString(data, 'execId'),
       orderId: safeString(data, 'orderId'),
-      symbol: safeString(data, 'symbol'),
+      symbol: this._fromBybitSymbol(safeString(data, 'symbol'), category),
       price: safeFloat(data, 'execPrice'),
       amount: safeFloat(data, 'execQty'),
       cost: safeFloat(data, 'execValue'),
@@ -1016,6 +2034,113 @@ class Bybit extends BaseExchange {
       info: data,
     };
   }
+
+  /**
+   * Deposit record (numeric status 0-4) or withdrawal record (status names).
+   */
+  _parseTransaction(data, type) {
+    const statuses = {
+      0: 'pending', 1: 'pending', 2: 'pending', 3: 'ok', 4: 'failed',
+      SecurityCheck: 'pending', Pending: 'pending', MoreInformationRequired: 'pending',
+      BlockchainConfirmed: 'pending', success: 'ok', CancelByUser: 'canceled',
+      Reject: 'failed', Fail: 'failed',
+    };
+    const raw = safeString(data, 'status');
+    const timestamp = safeInteger(data, 'createTime') || safeInteger(data, 'successAt');
+    const currency = safeString(data, 'coin');
+    const fee = safeFloat2(data, 'withdrawFee', 'depositFee');
+    return {
+      id: safeString2(data, 'withdrawId', 'id'),
+      txid: safeString(data, 'txID') || undefined,
+      type,
+      currency,
+      network: this._networkCode(safeString(data, 'chain')),
+      amount: safeFloat(data, 'amount'),
+      address: safeString2(data, 'toAddress', 'address'),
+      tag: safeString(data, 'tag') || undefined,
+      status: raw !== undefined ? (statuses[raw] || raw) : undefined,
+      fee: fee !== undefined ? { cost: fee, currency } : undefined,
+      timestamp,
+      datetime: iso8601(timestamp),
+      updated: safeInteger(data, 'updateTime') || safeInteger(data, 'successAt'),
+      info: data,
+    };
+  }
+
+  _parseTransfer(data) {
+    const statuses = { SUCCESS: 'ok', PENDING: 'pending', FAILED: 'failed' };
+    const raw = safeString(data, 'status');
+    const timestamp = safeInteger(data, 'timestamp');
+    return {
+      id: safeString(data, 'transferId'),
+      currency: safeString(data, 'coin'),
+      amount: safeFloat(data, 'amount'),
+      fromAccount: this._accountName(safeString(data, 'fromAccountType')),
+      toAccount: this._accountName(safeString(data, 'toAccountType')),
+      fromSubAccount: safeString(data, 'fromMemberId'),
+      toSubAccount: safeString(data, 'toMemberId'),
+      status: raw !== undefined ? (statuses[raw] || raw.toLowerCase()) : undefined,
+      timestamp,
+      datetime: iso8601(timestamp),
+      info: data,
+    };
+  }
+
+  /**
+   * Transaction log row { id, currency, type, change, cashBalance, fee, orderId,
+   * transactionTime }. `change` is net of the fee; a negative fee is a maker rebate.
+   */
+  _parseLedgerEntry(data) {
+    const types = {
+      TRADE: 'trade', DELIVERY: 'trade', LIQUIDATION: 'trade', CURRENCY_BUY: 'trade', CURRENCY_SELL: 'trade',
+      TRANSFER_IN: 'transfer', TRANSFER_OUT: 'transfer', SETTLEMENT: 'funding', INTEREST: 'fee',
+      FEE_REFUND: 'rebate', BONUS: 'rebate',
+    };
+    const currency = safeString(data, 'currency');
+    const fee = safeFloat(data, 'fee');
+    return this._ledgerEntry({
+      id: safeString(data, 'id'),
+      account: this._accountName(this._accountType === 'UNIFIED' ? 'UNIFIED' : 'CONTRACT'),
+      referenceId: safeString(data, 'orderId') || undefined,
+      type: types[safeString(data, 'type')] || 'other',
+      currency,
+      amount: safeFloat(data, 'change'),
+      after: safeFloat(data, 'cashBalance'),
+      fee: fee ? { cost: fee, currency } : undefined,
+      timestamp: safeInteger(data, 'transactionTime'),
+      info: data,
+    });
+  }
+
+  /**
+   * /v5/position/list entry or position stream update. side is '' once the position is
+   * closed; tradeMode 1 is isolated margin; positionIdx 1/2 are hedge-mode legs.
+   */
+  _parsePosition(data, category = safeString(data, 'category')) {
+    const side = safeString(data, 'side');
+    const idx = safeInteger(data, 'positionIdx');
+    const symbol = this._fromBybitSymbol(safeString(data, 'symbol'), category);
+    const market = this.markets ? this.markets[symbol] : undefined;
+    return this._position({
+      info: data,
+      symbol,
+      side: side === 'Buy' ? 'long' : (side === 'Sell' ? 'short' : undefined),
+      contracts: safeFloat(data, 'size'),
+      contractSize: market ? market.contractSize : 1,
+      entryPrice: safeFloat(data, 'avgPrice') || safeFloat(data, 'entryPrice'),
+      markPrice: safeFloat(data, 'markPrice'),
+      notional: safeFloat(data, 'positionValue'),
+      unrealizedPnl: safeFloat(data, 'unrealisedPnl'),
+      realizedPnl: safeFloat(data, 'cumRealisedPnl'),
+      liquidationPrice: safeFloat(data, 'liqPrice'),
+      leverage: safeFloat(data, 'leverage'),
+      marginMode: safeInteger(data, 'tradeMode') === 1 ? 'isolated' : 'cross',
+      initialMargin: safeFloat(data, 'positionIM'),
+      maintenanceMargin: safeFloat(data, 'positionMM'),
+      hedged: idx === 1 || idx === 2,
+      timestamp: safeInteger(data, 'updatedTime') || safeInteger(data, 'createdTime'),
+    });
+  }
 }
 
 module.exports = Bybit;
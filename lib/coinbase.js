@@ -7,7 +7,7 @@ const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, parseDate,
+  iso8601, parseDate, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -38,15 +38,27 @@ class Coinbase extends BaseExchange {
         createOrder: true,
         createLimitOrder: true,
         createMarketOrder: true,
+        createStopLossOrder: true,
+        createTakeProfitOrder: true,
+        createTrailingStopOrder: false,
+        createTriggerOrder: true,
         cancelOrder: true,
         cancelAllOrders: true,
         amendOrder: false,
+        cancelOrders: true,
         fetchOrder: true,
         fetchOpenOrders: true,
         fetchClosedOrders: true,
         fetchMyTrades: true,
         fetchBalance: true,
+        fetchLedger: true,
         fetchTradingFees: true,
+        // Funding
+        fetchDepositAddress: true,
+        createDepositAddress: true,
+        fetchDeposits: true,
+        fetchWithdrawals: true,
+        withdraw: true,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
@@ -74,6 +86,10 @@ class Coinbase extends BaseExchange {
       fees: {
         trading: { maker: 0.004, taker: 0.006 },
       },
+      networks: {
+        ERC20: 'ethereum', BTC: 'bitcoin', SOL: 'solana', BASE: 'base',
+        ARBITRUM: 'arbitrum', OPTIMISM: 'optimism', POLYGON: 'polygon',
+      },
     };
   }
 
@@ -177,6 +193,7 @@ class Coinbase extends BaseExchange {
       // Order not found
       'not_found': OrderNotFound,
       'NOT_FOUND': OrderNotFound,
+      'UNKNOWN_CANCEL_ORDER': OrderNotFound,
 
       // Bad symbol / product
       'invalid_product_id': BadSymbol,
@@ -219,36 +236,56 @@ class Coinbase extends BaseExchange {
   }
 
   /**
-   * Generate unique client_order_id for orders.
+   * Generate unique client_order_id for orders (required on every order): a UUID after
+   * clientOrderIdPrefix.
    */
   _generateClientOrderId() {
-    return crypto.randomUUID();
+    return this.clientOrderIdPrefix + crypto.randomUUID();
   }
 
   /**
-   * Build order_configuration for Coinbase's nested order format.
+   * Build order_configuration for Coinbase's nested order format. Limit orders pick
+   * the configuration from the unified timeInForce: GTC → limit_limit_gtc,
+   * PO → limit_limit_gtc with post_only, IOC → sor_limit_ioc, FOK → limit_limit_fok.
    */
-  _buildOrderConfig(type, side, amount, price) {
+  _buildOrderConfig(type, side, amount, price, timeInForce = 'GTC') {
     if (type.toUpperCase() === 'LIMIT') {
-      return {
-        limit_limit_gtc: {
-          base_size: String(amount),
-          limit_price: String(price),
-        },
+      const limit = {
+        base_size: numberToString(amount),
+        limit_price: numberToString(price),
       };
+      if (timeInForce === 'IOC') return { sor_limit_ioc: limit };
+      if (timeInForce === 'FOK') return { limit_limit_fok: limit };
+      if (timeInForce === 'PO') limit.post_only = true;
+      return { limit_limit_gtc: limit };
     }
     // Market order
     if (side.toUpperCase() === 'BUY') {
       return {
         market_market_ioc: {
-          quote_size: String(amount),
+          quote_size: numberToString(amount),
         },
       };
     }
     // Market sell
     return {
       market_market_ioc: {
-        base_size: String(amount),
+        base_size: numberToString(amount),
+      },
+    };
+  }
+
+  /**
+   * Build a stop-limit order_configuration. STOP_DOWN fires when the price falls to
+   * stop_price, STOP_UP when it rises.
+   */
+  _buildStopOrderConfig(amount, price, conditional) {
+    return {
+      stop_limit_stop_limit_gtc: {
+        base_size: numberToString(amount),
+        limit_price: numberToString(price),
+        stop_price: String(conditional.triggerPrice),
+        stop_direction: conditional.direction === 'down' ? 'STOP_DIRECTION_STOP_DOWN' : 'STOP_DIRECTION_STOP_UP',
       },
     };
   }
@@ -450,15 +487,32 @@ class Coinbase extends BaseExchange {
   }
 
   // ===========================================================================
-  // TRADING — PRIVATE (7 endpoints)
+  // TRADING — PRIVATE (8 endpoints)
   // ===========================================================================
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+
+    const conditional = this._conditionalOrderParams(side, params);
+    if (conditional.kind === 'trailing') {
+      throw new InvalidOrder(this.id + ' createOrder() does not support trailing stops');
+    }
+    if (conditional.kind && type.toUpperCase() !== 'LIMIT') {
+      throw new InvalidOrder(this.id + ' stop orders must be limit orders (stop_limit_stop_limit_gtc)');
+    }
+    const execution = this._orderExecutionParams(type, conditional.params, {
+      timeInForce: conditional.kind ? ['GTC'] : ['GTC', 'IOC', 'FOK', 'PO'],
+    });
+    const client = this._clientOrderIdParams(execution.params);
+    params = client.params;
 
     const productId = this._toCoinbaseSymbol(symbol);
-    const clientOrderId = params.client_order_id || params.clientOrderId || this._generateClientOrderId();
-    const orderConfig = this._buildOrderConfig(type, side, amount, price);
+    const clientOrderId = client.clientOrderId || params.client_order_id || this._generateClientOrderId();
+    const orderConfig = conditional.kind
+      ? this._buildStopOrderConfig(amount, price, conditional)
+      : this._buildOrderConfig(type, side, amount, price, execution.timeInForce);
 
     const request = {
       client_order_id: clientOrderId,
@@ -468,7 +522,7 @@ class Coinbase extends BaseExchange {
     };
 
     // Spread remaining params
-    const skip = new Set(['client_order_id', 'clientOrderId']);
+    const skip = new Set(['client_order_id']);
     for (const [k, v] of Object.entries(params)) {
       if (!skip.has(k) && !(k in request)) {
         request[k] = v;
@@ -482,6 +536,8 @@ class Coinbase extends BaseExchange {
 
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    // batch_cancel and the order lookup only take order_id, never client_order_id
+    id = this._orderReference('cancelOrder', id, params, false).id;
 
     const request = {
       order_ids: [id],
@@ -502,6 +558,28 @@ class Coinbase extends BaseExchange {
     };
   }
 
+  /**
+   * Cancel up to 100 orders per request. POST /api/v3/brokerage/orders/batch_cancel
+   * results[i] reports success or a failure_reason per order. Coinbase has no batch
+   * create, so createOrders() places orders one by one.
+   */
+  async cancelOrders(ids, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    return this._sendBatch(ids, 100, (id) => String(id), async (entries) => {
+      const data = await this._request('POST', '/api/v3/brokerage/orders/batch_cancel', { order_ids: entries, ...params }, true, 1);
+      const result = this._unwrapResponse(data);
+      const byId = new Map((result?.results || []).map((r) => [r.order_id, r]));
+      return entries.map((id) => {
+        const r = byId.get(id) || {};
+        if (r.success !== true) {
+          const reason = r.failure_reason || 'UNKNOWN_CANCEL_FAILURE_REASON';
+          return { success: false, error: this._batchError(() => this._handleCoinbaseError(reason, 'cancel failed for ' + id)) };
+        }
+        return { success: true, order: { id, symbol, status: 'CANCELED', info: r } };
+      });
+    });
+  }
+
   async cancelAllOrders(symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
@@ -529,8 +607,9 @@ class Coinbase extends BaseExchange {
 
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
-    const path = '/api/v3/brokerage/orders/historical/' + id;
-    const data = await this._request('GET', path, params, true, 1);
+    const ref = this._orderReference('fetchOrder', id, params, false);
+    const path = '/api/v3/brokerage/orders/historical/' + ref.id;
+    const data = await this._request('GET', path, ref.params, true, 1);
     const result = this._unwrapResponse(data);
     const order = result?.order || result;
 
@@ -637,6 +716,132 @@ class Coinbase extends BaseExchange {
     };
   }
 
+  // ===========================================================================
+  // FUNDING — PRIVATE (v2 accounts, 5 endpoints)
+  // Crypto deposits and sends live on the v2 API, per account. The account is found
+  // from the currency via /api/v3/brokerage/accounts, or given as params.accountId.
+  // ===========================================================================
+
+  /**
+   * uuid of the account holding `code`; brokerage account uuids are also v2 account ids.
+   */
+  async _fundingAccountId(method, code, params) {
+    const { accountId, ...rest } = params;
+    if (accountId) return [accountId, rest];
+    const data = await this._request('GET', '/api/v3/brokerage/accounts', { limit: 250 }, true, 1);
+    const result = this._unwrapResponse(data);
+    const currency = String(code).toUpperCase();
+    const account = (result?.accounts || []).find((a) => a.currency === currency);
+    if (!account) throw new BadRequest(this.id + ' ' + method + '() found no ' + currency + ' account');
+    return [account.uuid, rest];
+  }
+
+  /**
+   * Most recent receive address of the account. GET /v2/accounts/:id/addresses
+   */
+  async fetchDepositAddress(code, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...others } = params;
+    const [accountId, rest] = await this._fundingAccountId('fetchDepositAddress', code, others);
+    const data = await this._request('GET', '/v2/accounts/' + accountId + '/addresses', rest, true, 1);
+    const result = this._unwrapResponse(data);
+    const id = this._networkId(network);
+    const list = result?.data || [];
+    const entry = id ? list.find((a) => a.network === id) : list[0];
+    if (!entry) {
+      throw new BadRequest(this.id + ' fetchDepositAddress() found no ' + code + ' address, call createDepositAddress() first');
+    }
+    return this._parseDepositAddress(entry, code);
+  }
+
+  /**
+   * New receive address. POST /v2/accounts/:id/addresses
+   */
+  async createDepositAddress(code, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...others } = params;
+    const [accountId, rest] = await this._fundingAccountId('createDepositAddress', code, others);
+    const request = { ...rest };
+    const id = this._networkId(network);
+    if (id) request.network = id;
+    const data = await this._request('POST', '/v2/accounts/' + accountId + '/addresses', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return this._parseDepositAddress(result?.data || {}, code);
+  }
+
+  /**
+   * Received crypto: 'send' transactions with a positive amount. `code` is required.
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    const list = await this._fundingTransactions('fetchDeposits', code, since, limit, params);
+    return list.filter((t) => t.amount > 0);
+  }
+
+  /**
+   * Sent crypto: 'send' transactions with a negative amount. `code` is required.
+   */
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    const list = await this._fundingTransactions('fetchWithdrawals', code, since, limit, params);
+    return list.filter((t) => t.amount < 0).map((t) => ({ ...t, amount: -t.amount }));
+  }
+
+  async _fundingTransactions(method, code, since, limit, params) {
+    this.checkRequiredCredentials();
+    if (!code) throw new BadRequest(this.id + ' ' + method + '() requires a currency code');
+    const [accountId, rest] = await this._fundingAccountId(method, code, params);
+    const request = { ...rest };
+    if (limit) request.limit = limit;
+    const data = await this._request('GET', '/v2/accounts/' + accountId + '/transactions', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return (result?.data || [])
+      .filter((t) => t.type === 'send')
+      .map((t) => this._parseTransaction(t))
+      .filter((t) => !since || t.timestamp >= since);
+  }
+
+  /**
+   * Send crypto to an address. POST /v2/accounts/:id/transactions (type 'send')
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._withdrawArgs(code, amount, address, tag, params);
+    const [accountId, rest] = await this._fundingAccountId('withdraw', code, args.params);
+    const request = {
+      type: 'send',
+      to: address,
+      amount: numberToString(amount),
+      currency: String(code).toUpperCase(),
+      idem: crypto.randomUUID(),
+      ...rest,
+    };
+    if (args.tag) request.destination_tag = args.tag;
+    if (args.network) request.network = args.network;
+    const data = await this._request('POST', '/v2/accounts/' + accountId + '/transactions', request, true, 1);
+    const result = this._unwrapResponse(data);
+    const tx = this._parseTransaction(result?.data || {});
+    return { ...tx, type: 'withdrawal', amount: tx.amount !== undefined ? Math.abs(tx.amount) : Number(amount) };
+  }
+
+  // ===========================================================================
+  // LEDGER — PRIVATE (v2 accounts, 1 endpoint)
+  // ===========================================================================
+
+  /**
+   * Every transaction of the account holding `code` (required).
+   * GET /v2/accounts/:id/transactions
+   */
+  async fetchLedger(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!code) throw new BadRequest(this.id + ' fetchLedger() requires a currency code');
+    const [accountId, rest] = await this._fundingAccountId('fetchLedger', code, params);
+    const request = { ...rest };
+    if (limit) request.limit = Math.min(limit, 100);
+    const data = await this._request('GET', '/v2/accounts/' + accountId + '/transactions', request, true, 1);
+    const result = this._unwrapResponse(data);
+    const entries = (result?.data || []).map((t) => this._parseLedgerEntry(t, accountId)).reverse();
+    return this._ledgerPage(entries, since, limit);
+  }
+
   // ===========================================================================
   // WEBSOCKET — Coinbase Advanced Trade (Public + Private)
   // ===========================================================================
@@ -645,7 +850,7 @@ class Coinbase extends BaseExchange {
     if (this._wsClients.has(url)) {
       return this._wsClients.get(url);
     }
-    const client = new WsClient({ url });
+    const client = new WsClient(this._wsClientOptions({ url }));
     this._wsClients.set(url, client);
     return client;
   }
@@ -741,13 +946,13 @@ class Coinbase extends BaseExchange {
       const events = msg.events || [];
       for (const event of events) {
         const updates = event.updates || [];
-        callback({
-          symbol,
-          type: event.type || 'update',
+        // new_quantity is the absolute size at that level; 0 removes it
+        this._handleOrderBookMessage(symbol, {
+          snapshot: event.type === 'snapshot',
           bids: updates.filter((u) => u.side === 'bid').map((u) => [parseFloat(u.price_level), parseFloat(u.new_quantity)]),
           asks: updates.filter((u) => u.side === 'offer').map((u) => [parseFloat(u.price_level), parseFloat(u.new_quantity)]),
           timestamp: msg.timestamp ? parseDate(msg.timestamp) : Date.now(),
-        });
+        }, callback, { limit: depth });
       }
     });
   }
@@ -835,6 +1040,7 @@ class Coinbase extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 
   // ===========================================================================
@@ -902,36 +1108,45 @@ class Coinbase extends BaseExchange {
     let type = 'UNKNOWN';
     let amount = 0;
     let price = 0;
+    let timeInForce;
 
     if (config.limit_limit_gtc) {
       type = 'LIMIT';
+      timeInForce = 'GTC';
       amount = safeFloat(config.limit_limit_gtc, 'base_size') || 0;
       price = safeFloat(config.limit_limit_gtc, 'limit_price') || 0;
     } else if (config.limit_limit_gtd) {
       type = 'LIMIT';
+      timeInForce = 'GTD';
       amount = safeFloat(config.limit_limit_gtd, 'base_size') || 0;
       price = safeFloat(config.limit_limit_gtd, 'limit_price') || 0;
     } else if (config.limit_limit_fok) {
       type = 'LIMIT';
+      timeInForce = 'FOK';
       amount = safeFloat(config.limit_limit_fok, 'base_size') || 0;
       price = safeFloat(config.limit_limit_fok, 'limit_price') || 0;
     } else if (config.market_market_ioc) {
       type = 'MARKET';
+      timeInForce = 'IOC';
       amount = safeFloat(config.market_market_ioc, 'base_size') || safeFloat(config.market_market_ioc, 'quote_size') || 0;
     } else if (config.sor_limit_ioc) {
       type = 'LIMIT';
+      timeInForce = 'IOC';
       amount = safeFloat(config.sor_limit_ioc, 'base_size') || 0;
       price = safeFloat(config.sor_limit_ioc, 'limit_price') || 0;
     } else if (config.stop_limit_stop_limit_gtc) {
       type = 'STOP_LIMIT';
+      timeInForce = 'GTC';
       amount = safeFloat(config.stop_limit_stop_limit_gtc, 'base_size') || 0;
       price = safeFloat(config.stop_limit_stop_limit_gtc, 'limit_price') || 0;
     } else if (config.stop_limit_stop_limit_gtd) {
       type = 'STOP_LIMIT';
+      timeInForce = 'GTD';
       amount = safeFloat(config.stop_limit_stop_limit_gtd, 'base_size') || 0;
       price = safeFloat(config.stop_limit_stop_limit_gtd, 'limit_price') || 0;
     }
 
+    const postOnly = Object.values(config).some((c) => c && c.post_only === true);
     const remaining = amount > 0 ? amount - filledSize : 0;
     const ts = data.created_time ? parseDate(data.created_time) : undefined;
 
@@ -948,6 +1163,8 @@ class Coinbase extends BaseExchange {
       cost: filledValue,
       average: avgPrice,
       status: this._normalizeOrderStatus(data.status),
+      timeInForce: postOnly ? 'PO' : timeInForce,
+      postOnly,
       timestamp: ts,
       datetime: ts ? iso8601(ts) : undefined,
       trades: [],
@@ -1075,6 +1292,83 @@ class Coinbase extends BaseExchange {
       parseFloat(c.volume),
     ];
   }
+
+  _parseDepositAddress(data, code) {
+    const info = data.address_info || {};
+    return {
+      info: data,
+      currency: String(code).toUpperCase(),
+      network: this._networkCode(safeString(data, 'network')),
+      address: safeString(info, 'address') || safeString(data, 'address'),
+      tag: safeString(info, 'destination_tag') || safeString(data, 'destination_tag') || undefined,
+    };
+  }
+
+  /**
+   * v2 'send' transaction. The amount is signed: positive received, negative sent.
+   */
+  _parseTransaction(data) {
+    const statuses = {
+      pending: 'pending', waiting_for_signature: 'pending', waiting_for_clearing: 'pending',
+      completed: 'ok', failed: 'failed', expired: 'failed', canceled: 'canceled',
+    };
+    const amount = safeFloat(data.amount, 'amount');
+    const network = data.network || {};
+    const counterparty = (amount !== undefined && amount > 0 ? data.from : data.to) || {};
+    const addressInfo = counterparty.address_info || {};
+    const fee = safeFloat(network.transaction_fee, 'amount');
+    const timestamp = parseDate(safeString(data, 'created_at'));
+    const raw = safeString(data, 'status');
+    return {
+      id: safeString(data, 'id'),
+      txid: safeString(network, 'hash'),
+      type: amount !== undefined && amount > 0 ? 'deposit' : 'withdrawal',
+      currency: safeString(data.amount, 'currency'),
+      network: this._networkCode(safeString(network, 'network_name')),
+      amount,
+      address: safeString(addressInfo, 'address') || safeString(counterparty, 'address'),
+      tag: safeString(addressInfo, 'destination_tag') || undefined,
+      status: raw !== undefined ? (statuses[raw] || raw) : undefined,
+      fee: fee !== undefined ? { cost: fee, currency: safeString(network.transaction_fee, 'currency') } : undefined,
+      timestamp,
+      datetime: iso8601(timestamp),
+      updated: parseDate(safeString(data, 'updated_at')),
+      info: data,
+    };
+  }
+
+  /**
+   * v2 transaction as a ledger entry. The signed amount gives the direction; 'send' is a
+   * deposit or withdrawal by that sign. v2 does not report the running balance.
+   */
+  _parseLedgerEntry(data, accountId = undefined) {
+    const types = {
+      buy: 'trade', sell: 'trade', trade: 'trade', advanced_trade_fill: 'trade',
+      fiat_deposit: 'deposit', fiat_withdrawal: 'withdrawal',
+      transfer: 'transfer', exchange_deposit: 'transfer', exchange_withdrawal: 'transfer',
+      pro_deposit: 'transfer', pro_withdrawal: 'transfer',
+      interest: 'rebate', staking_reward: 'rebate', inflation_reward: 'rebate', incentives_rewards_payout: 'rebate',
+    };
+    const statuses = { pending: 'pending', completed: 'ok', failed: 'failed', expired: 'failed', canceled: 'canceled' };
+    const amount = safeFloat(data.amount, 'amount');
+    const raw = safeString(data, 'type');
+    let type = types[raw] || 'other';
+    if (raw === 'send') type = amount > 0 ? 'deposit' : 'withdrawal';
+    const network = data.network || {};
+    const fee = safeFloat(network.transaction_fee, 'amount');
+    const status = safeString(data, 'status');
+    return this._ledgerEntry({
+      id: safeString(data, 'id'),
+      account: accountId,
+      type,
+      currency: safeString(data.amount, 'currency'),
+      amount,
+      status: status !== undefined ? (statuses[status] || status) : undefined,
+      fee: fee !== undefined ? { cost: fee, currency: safeString(network.transaction_fee, 'currency') } : undefined,
+      timestamp: parseDate(safeString(data, 'created_at')),
+      info: data,
+    });
+  }
 }
 
 module.exports = Coinbase;
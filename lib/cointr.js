@@ -6,13 +6,12 @@ const { hmacSHA256 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
   InsufficientFunds, InvalidOrder, OrderNotFound,
   BadSymbol, BadRequest, ExchangeNotAvailable,
-  NetworkError, RequestTimeout,
 } = require('./utils/errors');
 
 class Cointr extends BaseExchange {
@@ -76,7 +75,6 @@ class Cointr extends BaseExchange {
     this.postAsJson = true;
     this._wsClients = new Map();
     this._wsHandlers = new Map();
-    this._orderBooks = new Map();
   }
 
   // ---------------------------------------------------------------------------
@@ -91,8 +89,8 @@ class Cointr extends BaseExchange {
    * For GET: params + timestamp go into query string, no body.
    * For POST: only timestamp in query string, params in JSON body.
    *
-   * Returns { params, headers, _queryString } where _queryString is used
-   * by the _request() override to inject into the URL for POST requests.
+   * Returns { params, headers, url?, _queryString } — for POST, url carries the
+   * timestamp query string and BaseExchange sends params as the JSON body.
    */
   _sign(path, method, params) {
     this.checkRequiredCredentials();
@@ -125,7 +123,8 @@ class Cointr extends BaseExchange {
       return { params: { ...params, timestamp }, headers };
     } else {
       // For POST: params stay as JSON body, timestamp goes into _queryString
-      return { params, headers, _queryString: 'timestamp=' + timestamp };
+      const url = this._getBaseUrl() + path + '?' + queryString;
+      return { params, headers, url, _queryString: queryString };
     }
   }
 
@@ -133,71 +132,6 @@ class Cointr extends BaseExchange {
     return this.urls.api;
   }
 
-  // ---------------------------------------------------------------------------
-  // Request Override — Inject timestamp query string for signed POST requests
-  // ---------------------------------------------------------------------------
-
-  /**
-   * BaseExchange._request() puts POST params into the JSON body when postAsJson=true,
-   * but CoinTR needs `?timestamp=xxx` in the URL for signed POST requests.
-   * We override _request() to handle this case.
-   */
-  async _request(method, path, params = {}, signed = false, weight = 1) {
-    if (method === 'POST' && signed) {
-      // Rate limiting
-      if (this.enableRateLimit && this._throttler) {
-        await this._throttler.consume(weight);
-      }
-
-      const signResult = this._sign(path, 'POST', { ...params });
-      const baseUrl = this._getBaseUrl(signed);
-      const url = baseUrl + path + '?' + signResult._queryString;
-      const headers = { ...signResult.headers, 'Content-Type': 'application/json' };
-
-      const fetchOptions = {
-        method: 'POST',
-        headers,
-        signal: AbortSignal.timeout(this.timeout),
-      };
-
-      const bodyParams = signResult.params || params;
-      if (Object.keys(bodyParams).length > 0) {
-        fetchOptions.body = JSON.stringify(bodyParams);
-      }
-
-      if (this.verbose) console.log('POST', url);
-
-      let response;
-      try {
-        response = await fetch(url, fetchOptions);
-      } catch (err) {
-        if (err.name === 'TimeoutError' || err.name === 'AbortError') {
-          throw new RequestTimeout(this.id + ' request timed out (' + this.timeout + 'ms)');
-        }
-        throw new NetworkError(this.id + ' ' + err.message);
-      }
-
-      this._handleResponseHeaders(response.headers);
-
-      if (response.status === 429 || response.status === 418) {
-        const retryAfter = response.headers.get('Retry-After') || '60';
-        throw new RateLimitExceeded(
-          this.id + ' rate limited. Retry after ' + retryAfter + 's'
-        );
-      }
-
-      const text = await response.text();
-      if (!response.ok) {
-        this._handleHttpError(response.status, text);
-      }
-
-      try { return JSON.parse(text); } catch { return text; }
-    }
-
-    // Non-POST or unsigned: use standard BaseExchange flow
-    return super._request(method, path, params, signed, weight);
-  }
-
   // ---------------------------------------------------------------------------
   // Symbol Conversion — BTCUSDT <-> BTC/USDT (concatenated, no separator)
   // ---------------------------------------------------------------------------
@@ -363,6 +297,8 @@ class Cointr extends BaseExchange {
       cost: filledAmount * price,
       average: filledAmount > 0 ? (filledAmount * price) / filledAmount : 0,
       status,
+      timeInForce: { limit: 'GTC', post_only: 'PO', ioc: 'IOC', fok: 'FOK', market: 'IOC' }[ordType],
+      postOnly: ordType === 'post_only',
       timestamp: cTime,
       datetime: iso8601(cTime),
       info: data,
@@ -526,30 +462,39 @@ class Cointr extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const orderType = (type || 'limit').toLowerCase();
     const orderSide = (side || '').toLowerCase();
-    const clOrdId = crypto.randomUUID();
 
     if (orderSide !== 'buy' && orderSide !== 'sell') {
       throw new InvalidOrder(this.id + ' createOrder requires side to be "buy" or "sell"');
     }
 
+    const execution = this._orderExecutionParams(type, params);
+    const client = this._clientOrderIdParams(execution.params);
+    const clOrdId = client.clientOrderId || crypto.randomUUID();
     const request = {
       instId: this._toCointrSymbol(symbol),
       side: orderSide,
       ordType: orderType,
-      sz: String(amount),
+      sz: numberToString(amount),
       clOrdId,
-      ...params,
+      ...client.params,
     };
 
+    // Like OKX, time in force is part of ordType: post_only, ioc, fok
+    if (orderType === 'limit' && execution.timeInForce && execution.timeInForce !== 'GTC') {
+      request.ordType = { PO: 'post_only', IOC: 'ioc', FOK: 'fok' }[execution.timeInForce];
+    }
+
     // Include price for limit orders, omit for market orders
-    if (orderType === 'limit') {
+    if (orderType !== 'market') {
       if (price === undefined || price === null) {
         throw new InvalidOrder(this.id + ' createOrder requires price for limit orders');
       }
-      request.px = String(price);
+      request.px = numberToString(price);
     }
 
     const data = await this._request('POST', '/v1/spot/trade/order', request, true, 1);
@@ -564,7 +509,7 @@ class Cointr extends BaseExchange {
 
     return {
       id: safeString(result, 'ordId'),
-      clientOrderId: safeString(result, 'clOrdId') || clOrdId,
+      clientOrderId: safeString(result, 'clOrdId') || request.clOrdId,
       symbol,
       type: orderType.toUpperCase(),
       side: orderSide.toUpperCase(),
@@ -573,6 +518,8 @@ class Cointr extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: orderType === 'limit' ? (execution.timeInForce || 'GTC') : 'IOC',
+      postOnly: execution.postOnly,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: result,
@@ -586,10 +533,11 @@ class Cointr extends BaseExchange {
       throw new BadRequest(this.id + ' cancelOrder requires symbol argument');
     }
 
+    const ref = this._orderReference('cancelOrder', id, params);
     const request = {
       instId: this._toCointrSymbol(symbol),
-      ordId: String(id),
-      ...params,
+      ...(ref.id !== undefined ? { ordId: String(ref.id) } : { clOrdId: ref.clientOrderId }),
+      ...ref.params,
     };
 
     const data = await this._request('POST', '/v1/spot/trade/cancel-order', request, true, 1);
@@ -603,8 +551,8 @@ class Cointr extends BaseExchange {
     }
 
     return {
-      id: safeString(result, 'ordId') || String(id),
-      clientOrderId: safeString(result, 'clOrdId'),
+      id: safeString(result, 'ordId') || (ref.id !== undefined ? String(ref.id) : undefined),
+      clientOrderId: safeString(result, 'clOrdId') || ref.clientOrderId,
       symbol,
       status: 'canceled',
       info: result,
@@ -652,7 +600,7 @@ class Cointr extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 15000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 15000 }));
     const exchange = this;
 
     // Override default ping to send text 'ping' instead of WebSocket ping frame
@@ -736,80 +684,16 @@ class Cointr extends BaseExchange {
     const cointrSymbol = this._toCointrSymbol(symbol);
 
     return this._subscribeCointr('books', cointrSymbol, (msg) => {
-      const action = msg.action;
       const data = msg.data;
-
       if (!data) return;
-
-      if (action === 'snapshot') {
-        // Full orderbook snapshot — replace stored book
-        const book = this._parseOrderBook(data, symbol);
-        this._orderBooks.set(symbol, book);
-        callback(book);
-      } else if (action === 'update') {
-        // Incremental update — apply to stored book
-        const existing = this._orderBooks.get(symbol);
-        if (existing) {
-          this._applyOrderBookUpdate(existing, data);
-          existing.timestamp = safeInteger(data, 'ts') || Date.now();
-          existing.datetime = iso8601(existing.timestamp);
-          existing.info = data;
-          callback(existing);
-        } else {
-          // No snapshot yet — treat update as snapshot
-          const book = this._parseOrderBook(data, symbol);
-          this._orderBooks.set(symbol, book);
-          callback(book);
-        }
-      }
+      // action: 'snapshot' replaces the local book, 'update' merges into it
+      this._handleOrderBookMessage(symbol, {
+        snapshot: msg.action === 'snapshot',
+        ...this._parseOrderBook(data, symbol),
+      }, callback, { limit });
     });
   }
 
-  /**
-   * Apply incremental orderbook update to existing book.
-   * Entries with amount "0" are removed, others are inserted/updated.
-   */
-  _applyOrderBookUpdate(book, updateData) {
-    const updateAsks = (updateData.asks || []).map(e =>
-      Array.isArray(e) ? [parseFloat(e[0]), parseFloat(e[1])] : [parseFloat(e.px), parseFloat(e.sz)]
-    );
-    const updateBids = (updateData.bids || []).map(e =>
-      Array.isArray(e) ? [parseFloat(e[0]), parseFloat(e[1])] : [parseFloat(e.px), parseFloat(e.sz)]
-    );
-
-    // Apply ask updates
-    for (const [price, amount] of updateAsks) {
-      if (amount === 0) {
-        book.asks = book.asks.filter(a => a[0] !== price);
-      } else {
-        const idx = book.asks.findIndex(a => a[0] === price);
-        if (idx >= 0) {
-          book.asks[idx] = [price, amount];
-        } else {
-          book.asks.push([price, amount]);
-        }
-      }
-    }
-    // Sort asks ascending by price
-    book.asks.sort((a, b) => a[0] - b[0]);
-
-    // Apply bid updates
-    for (const [price, amount] of updateBids) {
-      if (amount === 0) {
-        book.bids = book.bids.filter(b => b[0] !== price);
-      } else {
-        const idx = book.bids.findIndex(b => b[0] === price);
-        if (idx >= 0) {
-          book.bids[idx] = [price, amount];
-        } else {
-          book.bids.push([price, amount]);
-        }
-      }
-    }
-    // Sort bids descending by price
-    book.bids.sort((a, b) => b[0] - a[0]);
-  }
-
   // ---------------------------------------------------------------------------
   // Close WebSocket
   // ---------------------------------------------------------------------------
@@ -5,7 +5,7 @@ const { hmacSHA512Hex } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -258,6 +258,8 @@ class Exmo extends BaseExchange {
       cost,
       average: 0,
       status: 'open',
+      timeInForce: { post_only: 'PO', ioc: 'IOC', fok: 'FOK' }[safeString(o, 'exec_type')],
+      postOnly: safeString(o, 'exec_type') === 'post_only',
       timestamp,
       datetime: iso8601(timestamp),
       info: o,
@@ -427,16 +429,26 @@ class Exmo extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const exmoSymbol = this._toExmoSymbol(symbol);
     const isMarket = type && type.toUpperCase() === 'MARKET';
 
+    const execution = this._orderExecutionParams(type, params);
+    const client = this._clientOrderIdParams(execution.params);
     const request = {
       pair: exmoSymbol,
-      quantity: String(amount),
+      quantity: numberToString(amount),
       type: side.toLowerCase(),
-      ...params,
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.client_id = client.clientOrderId;
+
+    // exec_type: post_only, ioc or fok; omitted for good-till-canceled
+    if (!isMarket && execution.timeInForce && execution.timeInForce !== 'GTC') {
+      request.exec_type = { PO: 'post_only', IOC: 'ioc', FOK: 'fok' }[execution.timeInForce];
+    }
 
     if (isMarket) {
       request.price = '0';
@@ -444,7 +456,7 @@ class Exmo extends BaseExchange {
       if (price === undefined || price === null) {
         throw new InvalidOrder(this.id + ' createOrder requires price for limit orders');
       }
-      request.price = String(price);
+      request.price = numberToString(price);
     }
 
     const data = await this._request('POST', '/v1.1/order_create', request, true, 1);
@@ -452,6 +464,7 @@ class Exmo extends BaseExchange {
 
     return {
       id: safeString(data, 'order_id') ? String(data.order_id) : undefined,
+      clientOrderId: client.clientOrderId,
       symbol,
       type: type ? type.toUpperCase() : 'LIMIT',
       side: side.toUpperCase(),
@@ -460,14 +473,25 @@ class Exmo extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: isMarket ? 'IOC' : (execution.timeInForce || 'GTC'),
+      postOnly: execution.postOnly,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: data,
     };
   }
 
+  // client_id must be a positive integer, so generated ids skip clientOrderIdPrefix
+  _generateClientOrderId() {
+    return String(Date.now() * 1000 + Math.floor(Math.random() * 1000));
+  }
+
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    // order_cancel takes the EXMO order id only
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
+    params = ref.params;
 
     const request = {
       order_id: String(id),
@@ -532,7 +556,7 @@ class Exmo extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 30000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 30000 }));
 
     // EXMO: client sends {"method":"ping"}, server responds {"method":"pong"}
     client._startPing = function () {
@@ -583,7 +607,11 @@ class Exmo extends BaseExchange {
     const topic = 'spot/order_book_snapshots:' + exmoSymbol;
 
     return this._subscribeExmo(topic, symbol, (msg) => {
-      callback(this._parseWsOrderBook(msg, symbol));
+      // order_book_snapshots pushes the full book on every event
+      this._handleOrderBookMessage(symbol, {
+        snapshot: true,
+        ...this._parseWsOrderBook(msg, symbol),
+      }, callback);
     });
   }
 
@@ -629,6 +657,7 @@ class Exmo extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -1,12 +1,12 @@
 'use strict';
 
 const BaseExchange = require('./BaseExchange');
-const { sha512, hmacSHA512Hex } = require('./utils/crypto');
+const { sha512, hmacSHA512Hex, crc32 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, sleep,
+  iso8601, sleep, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -14,6 +14,9 @@ const {
   BadSymbol, BadRequest, ExchangeNotAvailable,
 } = require('./utils/errors');
 
+// Unified margin mode → spot order `account`
+const GATE_MARGIN_ACCOUNTS = { cross: 'cross_margin', isolated: 'margin' };
+
 class Gateio extends BaseExchange {
 
   describe() {
@@ -37,27 +40,68 @@ class Gateio extends BaseExchange {
         createOrder: true,
         createLimitOrder: true,
         createMarketOrder: true,
+        createStopLossOrder: true,
+        createTakeProfitOrder: true,
+        createTrailingStopOrder: false,
+        createTriggerOrder: true,
         cancelOrder: true,
         cancelAllOrders: true,
         amendOrder: false,
+        createOrders: true,
+        cancelOrders: true,
         fetchOrder: true,
         fetchOpenOrders: true,
         fetchClosedOrders: true,
         fetchMyTrades: true,
         fetchBalance: true,
         fetchTradingFees: true,
+        // Funding
+        fetchDepositAddress: true,
+        fetchDeposits: true,
+        fetchWithdrawals: true,
+        withdraw: true,
+        fetchDepositWithdrawFees: true,
+        transfer: true,
+        fetchTransfers: true,
+        // Margin
+        borrowMargin: true,
+        repayMargin: true,
+        fetchBorrowRate: true,
+        fetchBorrowInterest: true,
+        // Derivatives
+        fetchFundingRate: true,
+        fetchFundingRates: true,
+        fetchFundingRateHistory: true,
+        fetchMarkOHLCV: true,
+        fetchIndexOHLCV: true,
+        fetchOpenInterest: true,
+        fetchPositions: true,
+        fetchPosition: true,
+        closePosition: true,
+        setLeverage: true,
+        fetchLeverage: true,
+        setMarginMode: true,
+        setPositionMode: true,
+        addMargin: true,
+        reduceMargin: true,
+        fetchLeverageTiers: true,
+        fetchMarketLeverageTiers: true,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
         watchTrades: true,
         watchKlines: true,
+        watchFundingRate: true,
+        watchMarkPrice: true,
         watchBalance: true,
         watchOrders: true,
+        watchPositions: true,
       },
       urls: {
         api: 'https://api.gateio.ws',
         ws: 'wss://api.gateio.ws/ws/v4/',
         wsPrivate: 'wss://api.gateio.ws/ws/v4/',
+        wsFutures: 'wss://fx-ws.gateio.ws/v4/ws/',
         doc: 'https://www.gate.io/docs/developers/apiv4/',
       },
       timeframes: {
@@ -68,6 +112,13 @@ class Gateio extends BaseExchange {
       fees: {
         trading: { maker: 0.002, taker: 0.002 },
       },
+      networks: {
+        ERC20: 'ETH', TRC20: 'TRX', BEP20: 'BSC', SOL: 'SOL', BTC: 'BTC',
+        ARBITRUM: 'ARBEVM', OPTIMISM: 'OPETH', POLYGON: 'MATIC',
+      },
+      accounts: {
+        spot: 'spot', margin: 'margin', futures: 'futures', delivery: 'delivery',
+      },
     };
   }
 
@@ -78,6 +129,7 @@ class Gateio extends BaseExchange {
     this._wsClients = new Map();
     this._wsPrivateAuthenticated = false;
     this._pingTimers = new Map();
+    this._userId = undefined;
   }
 
   // ===========================================================================
@@ -89,9 +141,11 @@ class Gateio extends BaseExchange {
 
     const timestamp = String(Math.floor(Date.now() / 1000));
 
-    // Build body string and query string based on method
+    // Build body string and query string based on method. Some futures POSTs take
+    // their arguments in the query string, which arrives as part of `path`.
+    const [signPath, pathQuery = ''] = path.split('?');
     let bodyStr = '';
-    let queryStr = '';
+    let queryStr = pathQuery;
 
     if (method === 'GET' || method === 'DELETE') {
       queryStr = new URLSearchParams(params).toString();
@@ -103,7 +157,7 @@ class Gateio extends BaseExchange {
     const bodyHash = sha512(bodyStr);
 
     // Signing payload: METHOD\nPATH\nQUERY\nBODY_HASH\nTIMESTAMP
-    const payload = method + '\n' + path + '\n' + queryStr + '\n' + bodyHash + '\n' + timestamp;
+    const payload = method + '\n' + signPath + '\n' + queryStr + '\n' + bodyHash + '\n' + timestamp;
 
     const signature = hmacSHA512Hex(payload, this.secret);
 
@@ -264,6 +318,25 @@ class Gateio extends BaseExchange {
     return pair.replace('_', '/');
   }
 
+  /**
+   * Convert a unified contract symbol to a Gate.io futures contract.
+   * BTC/USDT:USDT → BTC_USDT
+   */
+  _toGateContract(symbol) {
+    const parts = this._symbolParts(symbol);
+    return parts ? parts.base + '_' + parts.quote : this._toGateSymbol(symbol);
+  }
+
+  /**
+   * Convert a Gate.io futures contract to unified format, settled in this.settle.
+   * BTC_USDT → BTC/USDT:USDT (settle usdt), BTC_USD → BTC/USD:BTC (settle btc)
+   */
+  _fromGateContract(contract) {
+    if (!contract || !contract.includes('_')) return contract;
+    const [base, quote] = contract.split('_');
+    return this._contractSymbol(base, quote, this.settle.toUpperCase());
+  }
+
   // ===========================================================================
   // GENERAL ENDPOINTS
   // ===========================================================================
@@ -371,14 +444,22 @@ class Gateio extends BaseExchange {
     if (limit) request.limit = limit;
 
     const data = await this._request('GET', '/api/v4/spot/order_book', request, false, 1);
+    return this._parseOrderBook(data, symbol);
+  }
 
+  /**
+   * keepRaw adds the original "price:size" string as a third element of each level,
+   * which the local book needs to verify stream checksums.
+   */
+  _parseOrderBook(data, symbol, keepRaw = false) {
+    const level = ([p, q]) => (keepRaw ? [parseFloat(p), parseFloat(q), p + ':' + q] : [parseFloat(p), parseFloat(q)]);
     return {
       symbol,
-      bids: (data.bids || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
-      asks: (data.asks || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+      bids: (data.bids || []).map(level),
+      asks: (data.asks || []).map(level),
       timestamp: safeInteger(data, 'current') || Date.now(),
       datetime: iso8601(safeInteger(data, 'current') || Date.now()),
-      nonce: undefined,
+      nonce: safeInteger(data, 'id'), // only returned with with_id=true
     };
   }
 
@@ -419,31 +500,163 @@ class Gateio extends BaseExchange {
   }
 
   // ===========================================================================
-  // TRADING — PRIVATE (7 endpoints)
+  // DERIVATIVES MARKET DATA — PUBLIC (5 endpoints) — futures in the configured settle currency
   // ===========================================================================
 
+  /**
+   * Funding of a perpetual contract. GET /api/v4/futures/{settle}/contracts/{contract}
+   */
+  async fetchFundingRate(symbol, params = {}) {
+    const contract = this._toGateContract(symbol);
+    const data = await this._request('GET', '/api/v4/futures/' + this.settle + '/contracts/' + contract, params, false, 1);
+    return this._parseFundingRate(this._unwrapResponse(data) || {});
+  }
+
+  /**
+   * Funding of every contract in the settle currency. GET /api/v4/futures/{settle}/contracts
+   */
+  async fetchFundingRates(symbols = undefined, params = {}) {
+    const data = await this._request('GET', '/api/v4/futures/' + this.settle + '/contracts', params, false, 1);
+    const rates = {};
+    for (const c of (this._unwrapResponse(data) || [])) {
+      const rate = this._parseFundingRate(c);
+      if (!symbols || symbols.includes(rate.symbol)) rates[rate.symbol] = rate;
+    }
+    return rates;
+  }
+
+  /**
+   * Settled funding rates. GET /api/v4/futures/{settle}/funding_rate — [{ t, r }], t in seconds
+   */
+  async fetchFundingRateHistory(symbol, since = undefined, limit = undefined, params = {}) {
+    const contract = this._toGateContract(symbol);
+    const request = { contract, ...params };
+    if (since) request.from = Math.floor(since / 1000);
+    if (limit) request.limit = limit;
+    const data = await this._request('GET', '/api/v4/futures/' + this.settle + '/funding_rate', request, false, 1);
+    const unified = this._fromGateContract(contract);
+    return (this._unwrapResponse(data) || [])
+      .map((r) => {
+        const timestamp = safeInteger(r, 't') * 1000;
+        return { info: r, symbol: unified, fundingRate: safeFloat(r, 'r'), timestamp, datetime: iso8601(timestamp) };
+      })
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Mark price candles: futures candlesticks of the mark_ contract.
+   */
+  async fetchMarkOHLCV(symbol, timeframe = '1m', since = undefined, limit = 100, params = {}) {
+    return this._fetchFuturesCandles('mark_' + this._toGateContract(symbol), timeframe, since, limit, params);
+  }
+
+  /**
+   * Index price candles: futures candlesticks of the index_ contract.
+   */
+  async fetchIndexOHLCV(symbol, timeframe = '1m', since = undefined, limit = 100, params = {}) {
+    return this._fetchFuturesCandles('index_' + this._toGateContract(symbol), timeframe, since, limit, params);
+  }
+
+  /**
+   * GET /api/v4/futures/{settle}/candlesticks — objects { t, o, h, l, c, v }.
+   * limit cannot be combined with from, so a since query is trimmed locally.
+   */
+  async _fetchFuturesCandles(contract, timeframe, since, limit, params) {
+    const request = { contract, interval: this.timeframes[timeframe] || timeframe, ...params };
+    if (since) request.from = Math.floor(since / 1000);
+    else if (limit) request.limit = limit;
+    const data = await this._request('GET', '/api/v4/futures/' + this.settle + '/candlesticks', request, false, 1);
+    const candles = (this._unwrapResponse(data) || []).map((k) => ([
+      safeInteger(k, 't') * 1000,
+      safeFloat(k, 'o'),
+      safeFloat(k, 'h'),
+      safeFloat(k, 'l'),
+      safeFloat(k, 'c'),
+      safeFloat(k, 'v'),
+    ]));
+    return since && limit ? candles.slice(0, limit) : candles;
+  }
+
+  /**
+   * Open interest from the contract: position_size contracts valued at the mark price.
+   * GET /api/v4/futures/{settle}/contracts/{contract}
+   */
+  async fetchOpenInterest(symbol, params = {}) {
+    const contract = this._toGateContract(symbol);
+    const data = await this._request('GET', '/api/v4/futures/' + this.settle + '/contracts/' + contract, params, false, 1);
+    const c = this._unwrapResponse(data) || {};
+    const size = safeFloat(c, 'position_size');
+    const multiplier = safeFloat(c, 'quanto_multiplier') || 1;
+    const mark = safeFloat(c, 'mark_price');
+    return this._openInterest({
+      info: c,
+      symbol: this._fromGateContract(safeString(c, 'name') || contract),
+      openInterestAmount: size,
+      openInterestValue: size !== undefined && mark !== undefined ? size * multiplier * mark : undefined,
+      timestamp: Date.now(),
+    });
+  }
+
+  // ===========================================================================
+  // TRADING — PRIVATE (9 endpoints)
+  // ===========================================================================
+
+  /**
+   * Place a spot order. params.marginMode trades on cross margin (account cross_margin)
+   * or the isolated pair (account margin); auto_borrow / auto_repay pass through.
+   */
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+
+    const margin = this._marginOrderParams(params);
+    const conditional = this._conditionalOrderParams(side, margin.params);
+    if (conditional.kind === 'trailing') {
+      throw new InvalidOrder(this.id + ' createOrder() does not support trailing stops');
+    }
+    if (conditional.kind) {
+      if (margin.marginMode) conditional.params = { account: GATE_MARGIN_ACCOUNTS[margin.marginMode], ...conditional.params };
+      return this._createPriceOrder(symbol, type, side, amount, price, conditional);
+    }
+    const request = this._createOrderRequest(symbol, type, side, amount, price, params);
+    const data = await this._request('POST', '/api/v4/spot/orders', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result);
+  }
+
+  /**
+   * Build the body of a plain (non-triggered) spot order; batch_orders takes the same.
+   */
+  _createOrderRequest(symbol, type, side, amount, price, params) {
+    const margin = this._marginOrderParams(params);
+    const execution = this._orderExecutionParams(type, margin.params);
+    const client = this._clientOrderIdParams(execution.params);
+    params = client.params;
 
     const pair = this._toGateSymbol(symbol);
     const request = {
       currency_pair: pair,
       side: side.toLowerCase(),
       type: type.toLowerCase(),
-      amount: String(amount),
-      account: 'spot',
+      amount: numberToString(amount),
+      account: margin.marginMode ? GATE_MARGIN_ACCOUNTS[margin.marginMode] : 'spot',
     };
 
     if (price !== undefined && price !== null) {
-      request.price = String(price);
+      request.price = numberToString(price);
     }
 
-    if (params.timeInForce) {
+    // Gate spells post-only 'poc' (pending or cancelled)
+    if (execution.timeInForce) {
+      request.time_in_force = execution.timeInForce === 'PO' ? 'poc' : execution.timeInForce.toLowerCase();
+    } else if (params.timeInForce) {
       request.time_in_force = params.timeInForce;
     }
 
-    if (params.text) {
-      request.text = params.text;
+    const text = client.clientOrderId !== undefined ? this._gateText(client.clientOrderId) : params.text;
+    if (text) {
+      request.text = text;
     }
 
     // Spread remaining params
@@ -453,24 +666,130 @@ class Gateio extends BaseExchange {
         request[k] = v;
       }
     }
+    return request;
+  }
 
-    const data = await this._request('POST', '/api/v4/spot/orders', request, true, 1);
+  /**
+   * Gate client order ids live in `text`, which must start with "t-" and stay within
+   * 28 characters; the prefix is added when missing.
+   */
+  _gateText(clientOrderId) {
+    return clientOrderId.startsWith('t-') ? clientOrderId : 't-' + clientOrderId;
+  }
+
+  _generateClientOrderId() {
+    return ('t-' + super._generateClientOrderId()).slice(0, 28);
+  }
+
+  /**
+   * Place up to 10 orders per request. POST /api/v4/spot/batch_orders
+   * Each result carries succeeded plus label/message when it failed. Price-triggered
+   * orders have their own endpoint and are rejected here.
+   */
+  async createOrders(orders, params = {}) {
+    this.checkRequiredCredentials();
+    return this._sendBatch(orders, 10, (o) => {
+      let { amount, price } = o;
+      [amount, price] = this._applyPrecision(o.symbol, amount, price);
+      this._validateOrder(o.symbol, o.type, amount, price);
+      const orderParams = { ...params, ...(o.params || {}) };
+      if (this._conditionalOrderParams(o.side, orderParams).kind) {
+        throw new InvalidOrder(this.id + ' createOrders() cannot batch price-triggered orders');
+      }
+      return this._createOrderRequest(o.symbol, o.type, o.side, amount, price, orderParams);
+    }, async (entries) => {
+      const data = await this._request('POST', '/api/v4/spot/batch_orders', entries, true, 1);
+      return this._parseBatchResults(data, entries, (item) => this._parseOrderCreateResult(item));
+    });
+  }
+
+  /**
+   * Cancel up to 20 orders per request. POST /api/v4/spot/cancel_batch_orders
+   */
+  async cancelOrders(ids, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' cancelOrders() requires symbol');
+    const pair = this._toGateSymbol(symbol);
+    return this._sendBatch(ids, 20, (id) => ({ currency_pair: pair, id: String(id), ...params }), async (entries) => {
+      const data = await this._request('POST', '/api/v4/spot/cancel_batch_orders', entries, true, 1);
+      return this._parseBatchResults(data, entries, (item) => ({
+        id: safeString(item, 'id'),
+        symbol,
+        status: 'CANCELED',
+        info: item,
+      }));
+    });
+  }
+
+  _parseBatchResults(data, entries, parse) {
+    const list = Array.isArray(data) ? data : this._unwrapResponse(data);
+    return entries.map((entry, i) => {
+      const item = (list && list[i]) || {};
+      if (item.succeeded === false) {
+        return { success: false, error: this._batchError(() => this._handleGateError(item.label, item.message || '')) };
+      }
+      return { success: true, order: parse(item) };
+    });
+  }
+
+  /**
+   * Conditional orders go to POST /api/v4/spot/price_orders: `trigger` holds the
+   * trigger price and rule (>= fires on a rise, <= on a fall), `put` the order placed
+   * when it fires. Market orders are placed as IOC. Orders expire after 30 days
+   * unless params.expiration (seconds) says otherwise.
+   */
+  async _createPriceOrder(symbol, type, side, amount, price, conditional) {
+    const client = this._clientOrderIdParams(conditional.params);
+    const { params } = client;
+    const text = client.clientOrderId !== undefined ? this._gateText(client.clientOrderId) : params.text;
+    const market = type.toLowerCase() === 'market';
+    const request = {
+      market: this._toGateSymbol(symbol),
+      trigger: {
+        price: String(conditional.triggerPrice),
+        rule: conditional.direction === 'up' ? '>=' : '<=',
+        expiration: params.expiration || 86400 * 30,
+      },
+      put: {
+        type: market ? 'market' : 'limit',
+        side: side.toLowerCase(),
+        amount: numberToString(amount),
+        account: params.account || 'normal',
+        time_in_force: params.timeInForce || (market ? 'ioc' : 'gtc'),
+      },
+    };
+    // put.price is required even for market orders, which execute at the best price
+    request.put.price = String(market ? conditional.triggerPrice : price);
+    if (text) request.put.text = text;
+
+    const data = await this._request('POST', '/api/v4/spot/price_orders', request, true, 1);
     const result = this._unwrapResponse(data);
-    return this._parseOrderCreateResult(result);
+    return {
+      id: safeString(result, 'id'),
+      clientOrderId: text,
+      symbol,
+      status: 'NEW',
+      info: result,
+    };
   }
 
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder() requires symbol');
 
+    // The order_id path segment also takes the order's text (client order id)
+    const margin = this._marginOrderParams(params);
+    const ref = this._orderReference('cancelOrder', id, margin.params);
     const pair = this._toGateSymbol(symbol);
-    const path = '/api/v4/spot/orders/' + id;
-    const request = { currency_pair: pair, ...params };
+    const path = '/api/v4/spot/orders/' + (ref.id !== undefined ? ref.id : encodeURIComponent(this._gateText(ref.clientOrderId)));
+    const request = { currency_pair: pair, ...ref.params };
+    // Cross margin orders live in their own account; spot and isolated share the default
+    if (margin.marginMode === 'cross') request.account = 'cross_margin';
 
     const data = await this._request('DELETE', path, request, true, 1);
     const result = this._unwrapResponse(data);
     return {
-      id: safeString(result, 'id') || id,
+      id: safeString(result, 'id') || ref.id,
       symbol,
       status: 'CANCELED',
       info: result,
@@ -491,9 +810,11 @@ class Gateio extends BaseExchange {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' fetchOrder() requires symbol');
 
+    // The order_id path segment also takes the order's text (client order id)
+    const ref = this._orderReference('fetchOrder', id, params);
     const pair = this._toGateSymbol(symbol);
-    const path = '/api/v4/spot/orders/' + id;
-    const request = { currency_pair: pair, ...params };
+    const path = '/api/v4/spot/orders/' + (ref.id !== undefined ? ref.id : encodeURIComponent(this._gateText(ref.clientOrderId)));
+    const request = { currency_pair: pair, ...ref.params };
 
     const data = await this._request('GET', path, request, true, 1);
     const result = this._unwrapResponse(data);
@@ -540,9 +861,15 @@ class Gateio extends BaseExchange {
   // ACCOUNT — PRIVATE (2 endpoints)
   // ===========================================================================
 
+  /**
+   * Spot balances. params.type (or account) 'margin' reads the margin account with
+   * debts; see _fetchMarginBalance().
+   */
   async fetchBalance(params = {}) {
     this.checkRequiredCredentials();
-    const data = await this._request('GET', '/api/v4/spot/accounts', params, true, 1);
+    const target = this._balanceParams(params);
+    if (target.marginMode) return this._fetchMarginBalance(target.marginMode, target.params);
+    const data = await this._request('GET', '/api/v4/spot/accounts', target.params, true, 1);
     const result = this._unwrapResponse(data);
 
     const balance = {
@@ -594,7 +921,504 @@ class Gateio extends BaseExchange {
   }
 
   // ===========================================================================
-  // WEBSOCKET V4 — Public (4) + Private (2)
+  // FUNDING — PRIVATE (5 endpoints)
+  // ===========================================================================
+
+  /**
+   * Deposit address. GET /api/v4/wallet/deposit_address
+   * Gate.io answers with one address per chain; params.network picks it.
+   */
+  async fetchDepositAddress(code, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...rest } = params;
+    const chain = this._networkId(network);
+    const data = await this._request('GET', '/api/v4/wallet/deposit_address', {
+      currency: String(code).toUpperCase(),
+      ...rest,
+    }, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    const chains = (result.multichain_addresses || []).filter((a) => !a.obtain_failed);
+    const entry = chain ? chains.find((a) => a.chain === chain) : chains[0];
+    if (!entry) throw new BadRequest(this.id + ' fetchDepositAddress() found no ' + code + ' address' + (chain ? ' on ' + chain : ''));
+    return {
+      info: result,
+      currency: safeString(result, 'currency'),
+      network: this._networkCode(entry.chain),
+      address: safeString(entry, 'address'),
+      tag: safeString(entry, 'payment_id') || undefined,
+    };
+  }
+
+  /**
+   * Deposit records. GET /api/v4/wallet/deposits
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/api/v4/wallet/deposits',
+      this._fundingHistoryRequest(code, since, limit, params), true, 1);
+    return (this._unwrapResponse(data) || []).map((d) => this._parseTransaction(d, 'deposit'));
+  }
+
+  /**
+   * Withdrawal records. GET /api/v4/wallet/withdrawals
+   */
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/api/v4/wallet/withdrawals',
+      this._fundingHistoryRequest(code, since, limit, params), true, 1);
+    return (this._unwrapResponse(data) || []).map((w) => this._parseTransaction(w, 'withdrawal'));
+  }
+
+  // Gate.io filters by from/to in seconds
+  _fundingHistoryRequest(code, since, limit, params) {
+    const request = { ...params };
+    if (code) request.currency = String(code).toUpperCase();
+    if (since) request.from = Math.floor(since / 1000);
+    if (limit) request.limit = limit;
+    return request;
+  }
+
+  /**
+   * Withdraw. POST /api/v4/withdrawals — chain is required, so is params.network.
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._withdrawArgs(code, amount, address, tag, params);
+    if (!args.network) throw new BadRequest(this.id + ' withdraw() requires params.network');
+    const request = {
+      currency: String(code).toUpperCase(),
+      address,
+      amount: numberToString(amount),
+      chain: args.network,
+      ...args.params,
+    };
+    if (args.tag) request.memo = args.tag;
+    const data = await this._request('POST', '/api/v4/withdrawals', request, true, 1);
+    return this._parseTransaction(this._unwrapResponse(data) || {}, 'withdrawal');
+  }
+
+  /**
+   * Fixed withdrawal fee per chain and deposit fee. GET /api/v4/wallet/withdraw_status
+   */
+  async fetchDepositWithdrawFees(codes = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (codes && codes.length === 1) request.currency = String(codes[0]).toUpperCase();
+    const data = await this._request('GET', '/api/v4/wallet/withdraw_status', request, true, 1);
+    const wanted = codes ? codes.map((c) => String(c).toUpperCase()) : undefined;
+    const fees = {};
+    for (const c of this._unwrapResponse(data) || []) {
+      if (wanted && !wanted.includes(c.currency)) continue;
+      const deposit = { fee: safeFloat(c, 'deposit'), percentage: false };
+      const networks = {};
+      for (const [chain, fee] of Object.entries(c.withdraw_fix_on_chains || {})) {
+        networks[this._networkCode(chain)] = {
+          withdraw: { fee: parseFloat(fee), percentage: false },
+          deposit,
+        };
+      }
+      fees[c.currency] = {
+        info: c,
+        withdraw: { fee: safeFloat(c, 'withdraw_fix'), percentage: false },
+        deposit,
+        networks,
+      };
+    }
+    return fees;
+  }
+
+  // ===========================================================================
+  // TRANSFERS — PRIVATE (3 endpoints)
+  // ===========================================================================
+
+  /**
+   * Move funds between spot, margin, futures and delivery. POST /api/v4/wallet/transfers
+   * Futures/delivery legs use the configured settle currency; margin legs need params.symbol.
+   * params.toSubAccount / fromSubAccount (sub-account UID) route through
+   * POST /api/v4/wallet/sub_account_transfers instead.
+   */
+  async transfer(code, amount, fromAccount, toAccount, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._transferArgs(code, amount, fromAccount, toAccount, params);
+    const { symbol, ...rest } = args.params;
+    const currency = String(code).toUpperCase();
+    if (args.fromSubAccount || args.toSubAccount) {
+      if (args.fromSubAccount && args.toSubAccount) {
+        throw new BadRequest(this.id + ' transfer() cannot move funds between two sub-accounts');
+      }
+      const request = {
+        sub_account: args.toSubAccount || args.fromSubAccount,
+        direction: args.toSubAccount ? 'to' : 'from',
+        sub_account_type: args.toSubAccount ? args.to : args.from,
+        currency,
+        amount: numberToString(amount),
+        ...rest,
+      };
+      const data = await this._request('POST', '/api/v4/wallet/sub_account_transfers', request, true, 1);
+      return this._parseTransfer({ ...request, ...(this._unwrapResponse(data) || {}) });
+    }
+    const request = { currency, from: args.from, to: args.to, amount: numberToString(amount) };
+    for (const account of [args.from, args.to]) {
+      if (account === 'futures' || account === 'delivery') request.settle = this.settle;
+      if (account === 'margin') {
+        if (!symbol) throw new BadRequest(this.id + ' transfer() requires params.symbol for margin');
+        request.currency_pair = this._toGateSymbol(symbol);
+      }
+    }
+    Object.assign(request, rest);
+    const data = await this._request('POST', '/api/v4/wallet/transfers', request, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return {
+      id: safeString(result, 'tx_id'),
+      currency,
+      amount: Number(amount),
+      fromAccount: this._accountName(args.from),
+      toAccount: this._accountName(args.to),
+      fromSubAccount: undefined,
+      toSubAccount: undefined,
+      status: 'ok',
+      timestamp: undefined,
+      datetime: undefined,
+      info: result,
+    };
+  }
+
+  /**
+   * Main/sub-account transfer history. GET /api/v4/wallet/sub_account_transfers
+   * Gate.io has no history endpoint for transfers between the caller's own accounts.
+   */
+  async fetchTransfers(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const { subAccount, ...rest } = params;
+    const request = { ...rest };
+    if (subAccount) request.sub_uid = String(subAccount);
+    if (since) request.from = Math.floor(since / 1000);
+    if (limit) request.limit = limit;
+    const data = await this._request('GET', '/api/v4/wallet/sub_account_transfers', request, true, 1);
+    const wanted = code ? String(code).toUpperCase() : undefined;
+    return (this._unwrapResponse(data) || [])
+      .filter((t) => !wanted || t.currency === wanted)
+      .map((t) => this._parseTransfer(t));
+  }
+
+  // ===========================================================================
+  // SPOT MARGIN — PRIVATE (9 endpoints) — cross margin and isolated pairs
+  // ===========================================================================
+
+  /**
+   * Borrow for the isolated pair `symbol` (POST /api/v4/margin/uni/loans, type borrow) or
+   * on cross margin (POST /api/v4/margin/cross/loans, which returns the loan record).
+   */
+  async borrowMargin(code, amount, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const currency = this._marginLoanArgs('borrowMargin', code, amount);
+    if (symbol) return this._uniLoan('borrow', currency, amount, symbol, params);
+    const data = await this._request('POST', '/api/v4/margin/cross/loans', {
+      currency,
+      amount: numberToString(amount),
+      ...params,
+    }, true, 1);
+    const loan = this._unwrapResponse(data) || {};
+    return this._marginLoan({
+      info: loan,
+      id: safeString(loan, 'id'),
+      currency,
+      amount: safeFloat(loan, 'amount') || amount,
+      timestamp: safeInteger(loan, 'create_time') || Date.now(),
+    });
+  }
+
+  /**
+   * Repay an isolated (POST /api/v4/margin/uni/loans, type repay) or cross loan
+   * (POST /api/v4/margin/cross/repayments). params.repaid_all settles an isolated loan
+   * with its interest.
+   */
+  async repayMargin(code, amount, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const currency = this._marginLoanArgs('repayMargin', code, amount);
+    if (symbol) return this._uniLoan('repay', currency, amount, symbol, params);
+    const data = await this._request('POST', '/api/v4/margin/cross/repayments', {
+      currency,
+      amount: numberToString(amount),
+      ...params,
+    }, true, 1);
+    const loans = this._unwrapResponse(data) || [];
+    return this._marginLoan({
+      info: loans,
+      id: safeString(loans[0], 'id'),
+      currency,
+      amount,
+      timestamp: Date.now(),
+    });
+  }
+
+  async _uniLoan(type, currency, amount, symbol, params) {
+    const request = {
+      currency,
+      type,
+      amount: numberToString(amount),
+      currency_pair: this._toGateSymbol(symbol),
+      ...params,
+    };
+    // Answers 204 with no body
+    const data = await this._request('POST', '/api/v4/margin/uni/loans', request, true, 1);
+    return this._marginLoan({
+      info: this._unwrapResponse(data),
+      currency,
+      amount,
+      symbol,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Estimated hourly rate of isolated margin loans. GET /api/v4/margin/uni/estimate_rate
+   */
+  async fetchBorrowRate(code, params = {}) {
+    this.checkRequiredCredentials();
+    const currency = String(code).toUpperCase();
+    const data = await this._request('GET', '/api/v4/margin/uni/estimate_rate', {
+      currencies: currency,
+      ...params,
+    }, true, 1);
+    const rates = this._unwrapResponse(data) || {};
+    return this._borrowRate({
+      info: rates,
+      currency,
+      rate: safeFloat(rates, currency),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Interest records of isolated loans on `symbol` (GET /api/v4/margin/uni/interest_records)
+   * or of cross loans (GET /api/v4/margin/cross/interest_records). Newest first upstream.
+   */
+  async fetchBorrowInterest(code = undefined, symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.currency = String(code).toUpperCase();
+    if (symbol) request.currency_pair = this._toGateSymbol(symbol);
+    if (since) request.from = Math.floor(since / 1000);
+    if (limit) request.limit = Math.min(limit, 100);
+    const path = symbol ? '/api/v4/margin/uni/interest_records' : '/api/v4/margin/cross/interest_records';
+    const data = await this._request('GET', path, request, true, 1);
+    return (this._unwrapResponse(data) || [])
+      .map((r) => this._borrowInterest({
+        info: r,
+        currency: safeString(r, 'currency'),
+        symbol: symbol ? this._fromGateSymbol(safeString(r, 'currency_pair') || request.currency_pair) : undefined,
+        interest: safeFloat(r, 'interest'),
+        interestRate: safeFloat(r, 'actual_rate'),
+        timestamp: safeInteger(r, 'create_time'),
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Margin balances with borrowed + interest as debt.
+   * Cross: GET /api/v4/margin/cross/accounts. Isolated: GET /api/v4/margin/accounts, for
+   * params.symbol or every pair (a currency held in several pairs is summed).
+   */
+  async _fetchMarginBalance(marginMode, params = {}) {
+    const { symbol, ...rest } = params;
+    let rows;
+    let result;
+    if (marginMode === 'isolated') {
+      const request = { ...rest };
+      if (symbol) request.currency_pair = this._toGateSymbol(symbol);
+      const data = await this._request('GET', '/api/v4/margin/accounts', request, true, 1);
+      result = this._unwrapResponse(data) || [];
+      rows = result.flatMap((a) => [a.base, a.quote]).filter(Boolean);
+    } else {
+      const data = await this._request('GET', '/api/v4/margin/cross/accounts', rest, true, 1);
+      result = this._unwrapResponse(data) || {};
+      rows = Object.entries(result.balances || {}).map(([currency, b]) => ({ currency, ...b, locked: b.freeze }));
+    }
+    const balance = {
+      info: result,
+      timestamp: Date.now(),
+      datetime: iso8601(Date.now()),
+    };
+    for (const row of rows) {
+      const free = parseFloat(row.available || '0');
+      const used = parseFloat(row.locked || '0');
+      const debt = parseFloat(row.borrowed || '0') + parseFloat(row.interest || '0');
+      if (free === 0 && used === 0 && debt === 0) continue;
+      const prev = balance[row.currency] || { free: 0, used: 0, total: 0, debt: 0 };
+      balance[row.currency] = {
+        free: prev.free + free,
+        used: prev.used + used,
+        total: prev.total + free + used,
+        debt: prev.debt + debt,
+      };
+    }
+    return balance;
+  }
+
+  // ===========================================================================
+  // POSITIONS — PRIVATE (2 endpoints) — futures in the configured settle currency
+  // ===========================================================================
+
+  /**
+   * Open futures positions. GET /api/v4/futures/{settle}/positions?holding=true
+   */
+  async fetchPositions(symbols = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/api/v4/futures/' + this.settle + '/positions', {
+      holding: 'true',
+      ...params,
+    }, true, 1);
+    const positions = (this._unwrapResponse(data) || [])
+      .map((p) => this._parsePosition(p))
+      .filter((p) => p.contracts);
+    return symbols ? positions.filter((p) => symbols.includes(p.symbol)) : positions;
+  }
+
+  /**
+   * Close a position with a reduce-only IOC market order. POST /api/v4/futures/{settle}/orders
+   * size 0 + close closes a single-mode position; in dual mode `side` picks the leg
+   * through auto_size (close_long / close_short).
+   */
+  async closePosition(symbol, side = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { contract: this._toGateContract(symbol), size: 0, price: '0', tif: 'ioc' };
+    if (side) {
+      request.auto_size = side === 'long' ? 'close_long' : 'close_short';
+      request.reduce_only = true;
+    } else {
+      request.close = true;
+    }
+    Object.assign(request, params);
+    const data = await this._request('POST', '/api/v4/futures/' + this.settle + '/orders', request, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return {
+      id: safeString(result, 'id'),
+      clientOrderId: safeString(result, 'text'),
+      symbol: this._fromGateContract(safeString(result, 'contract') || request.contract),
+      status: 'NEW',
+      info: result,
+    };
+  }
+
+  /**
+   * Account user id, needed by the futures position stream. GET /api/v4/account/detail
+   */
+  async _fetchUserId() {
+    if (this._userId === undefined) {
+      const data = await this._request('GET', '/api/v4/account/detail', {}, true, 1);
+      this._userId = safeString(this._unwrapResponse(data), 'user_id');
+    }
+    return this._userId;
+  }
+
+  // ===========================================================================
+  // LEVERAGE & MARGIN — PRIVATE (6 endpoints) — futures in the configured settle currency
+  // ===========================================================================
+
+  /**
+   * Set leverage. POST /api/v4/futures/{settle}/positions/{contract}/leverage?leverage=
+   * Leverage 0 is cross margin, capped by params.cross_leverage_limit.
+   */
+  async setLeverage(leverage, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' setLeverage() requires symbol');
+    const query = new URLSearchParams({ leverage: String(leverage), ...params }).toString();
+    const path = '/api/v4/futures/' + this.settle + '/positions/' + this._toGateContract(symbol) + '/leverage?' + query;
+    const data = await this._request('POST', path, {}, true, 1);
+    return this._leverageFromPosition(this._unwrapResponse(data) || {});
+  }
+
+  /**
+   * Leverage of the single-mode position. GET /api/v4/futures/{settle}/positions/{contract}
+   */
+  async fetchLeverage(symbol, params = {}) {
+    this.checkRequiredCredentials();
+    const path = '/api/v4/futures/' + this.settle + '/positions/' + this._toGateContract(symbol);
+    const data = await this._request('GET', path, params, true, 1);
+    return this._leverageFromPosition(this._unwrapResponse(data) || {});
+  }
+
+  /**
+   * Switch a contract between cross and isolated margin.
+   * POST /api/v4/futures/{settle}/positions/cross_mode
+   */
+  async setMarginMode(marginMode, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' setMarginMode() requires symbol');
+    const mode = this._checkMarginMode(marginMode);
+    const request = { contract: this._toGateContract(symbol), mode: mode.toUpperCase(), ...params };
+    const data = await this._request('POST', '/api/v4/futures/' + this.settle + '/positions/cross_mode', request, true, 1);
+    return { info: this._unwrapResponse(data), symbol, marginMode: mode };
+  }
+
+  /**
+   * Dual (hedge) mode for the whole settle-currency account; `symbol` is ignored.
+   * POST /api/v4/futures/{settle}/dual_mode?dual_mode=
+   */
+  async setPositionMode(hedged, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const query = new URLSearchParams({ dual_mode: String(Boolean(hedged)), ...params }).toString();
+    const data = await this._request('POST', '/api/v4/futures/' + this.settle + '/dual_mode?' + query, {}, true, 1);
+    return { info: this._unwrapResponse(data), hedged };
+  }
+
+  /**
+   * Isolated margin change. POST /api/v4/futures/{settle}/positions/{contract}/margin?change=
+   * (negative change reduces). Returns the position, whose margin becomes `total`.
+   */
+  async _modifyMargin(symbol, amount, type, params) {
+    this.checkRequiredCredentials();
+    const change = type === 'reduce' ? -amount : amount;
+    const query = new URLSearchParams({ change: String(change), ...params }).toString();
+    const path = '/api/v4/futures/' + this.settle + '/positions/' + this._toGateContract(symbol) + '/margin?' + query;
+    const data = await this._request('POST', path, {}, true, 1);
+    const position = this._unwrapResponse(data) || {};
+    return this._marginModification({
+      info: position,
+      symbol: this._fromGateContract(safeString(position, 'contract') || this._toGateContract(symbol)),
+      type,
+      amount,
+      total: safeFloat(position, 'margin'),
+      code: this.settle.toUpperCase(),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Risk limit tiers. GET /api/v4/futures/{settle}/risk_limit_tiers?contract=
+   * risk_limit is the largest position value of a tier, in the settle currency.
+   */
+  async fetchMarketLeverageTiers(symbol, params = {}) {
+    const contract = this._toGateContract(symbol);
+    const data = await this._request('GET', '/api/v4/futures/' + this.settle + '/risk_limit_tiers', {
+      contract,
+      ...params,
+    }, false, 1);
+    const tiers = (this._unwrapResponse(data) || []).slice().sort((a, b) => safeInteger(a, 'tier') - safeInteger(b, 'tier'));
+    return this._leverageTiers(this._fromGateContract(contract), tiers.map((t) => ({
+      info: t,
+      tier: safeInteger(t, 'tier'),
+      currency: this.settle.toUpperCase(),
+      maxNotional: safeFloat(t, 'risk_limit'),
+      maintenanceMarginRate: safeFloat(t, 'maintenance_rate'),
+      maxLeverage: safeFloat(t, 'leverage_max'),
+    })));
+  }
+
+  _leverageFromPosition(data) {
+    const position = this._parsePosition(data);
+    return this._leverage({
+      info: data,
+      symbol: position.symbol,
+      marginMode: position.marginMode,
+      longLeverage: position.leverage,
+      shortLeverage: position.leverage,
+    });
+  }
+
+  // ===========================================================================
+  // WEBSOCKET V4 — Public (6) + Private (3)
   // ===========================================================================
 
   _getWsClient(url = undefined) {
@@ -602,10 +1426,10 @@ class Gateio extends BaseExchange {
     if (this._wsClients.has(wsUrl)) {
       return this._wsClients.get(wsUrl);
     }
-    const client = new WsClient({
+    const client = new WsClient(this._wsClientOptions({
       url: wsUrl,
       pingInterval: 0, // Disable native ping — Gate.io uses app-level
-    });
+    }));
     this._wsClients.set(wsUrl, client);
     return client;
   }
@@ -622,11 +1446,12 @@ class Gateio extends BaseExchange {
 
   _startGatePing(wsUrl, client) {
     if (this._pingTimers.has(wsUrl)) return;
+    const channel = wsUrl.startsWith(this.urls.wsFutures) ? 'futures.ping' : 'spot.ping';
     const timer = setInterval(() => {
       if (client.connected) {
         client.send({
           time: Math.floor(Date.now() / 1000),
-          channel: 'spot.ping',
+          channel,
         });
       }
     }, 20000);
@@ -638,8 +1463,8 @@ class Gateio extends BaseExchange {
     return hmacSHA512Hex(payload, this.secret);
   }
 
-  async _subscribePublic(channel, payload, callback) {
-    const client = await this._ensureWsConnected(this.urls.ws);
+  async _subscribePublic(channel, payload, callback, wsUrl = this.urls.ws) {
+    const client = await this._ensureWsConnected(wsUrl);
     const time = Math.floor(Date.now() / 1000);
 
     client.send({
@@ -662,9 +1487,9 @@ class Gateio extends BaseExchange {
     return key;
   }
 
-  async _subscribePrivate(channel, payload, callback) {
+  async _subscribePrivate(channel, payload, callback, wsUrl = this.urls.wsPrivate) {
     this.checkRequiredCredentials();
-    const client = await this._ensureWsConnected(this.urls.wsPrivate);
+    const client = await this._ensureWsConnected(wsUrl);
     const time = Math.floor(Date.now() / 1000);
 
     const sign = this._wsSign(channel, 'subscribe', String(time));
@@ -703,17 +1528,53 @@ class Gateio extends BaseExchange {
     });
   }
 
+  /**
+   * Gate.io order book checksum: CRC32 (signed) of the top 50 levels interleaved as
+   * bidPx:bidSz:askPx:askSz:..., using the original price/size strings. Undefined when a
+   * level has none (a book seeded outside _fetchOrderBookSnapshot).
+   */
+  _gateBookChecksum(book) {
+    const parts = [];
+    for (let i = 0; i < 50; i++) {
+      const bid = book.bids.levels[i];
+      const ask = book.asks.levels[i];
+      if ((bid && !bid[2]) || (ask && !ask[2])) return undefined;
+      if (bid) parts.push(bid[2]);
+      if (ask) parts.push(ask[2]);
+    }
+    return crc32(parts.join(':')) | 0;
+  }
+
+  /**
+   * REST seed for the local book: with_id for the U/u check, raw level strings for the checksum.
+   */
+  async _fetchOrderBookSnapshot(symbol) {
+    const request = { currency_pair: this._toGateSymbol(symbol), limit: 100, with_id: true };
+    const data = await this._request('GET', '/api/v4/spot/order_book', request, false, 1);
+    return this._parseOrderBook(data, symbol, true);
+  }
+
   async watchOrderBook(symbol, callback, depth = 20) {
     const pair = this._toGateSymbol(symbol);
-    return this._subscribePublic('spot.order_book_update', [pair, String(depth), '100ms'], (msg) => {
+    // Delta-only channel: seeded from a REST snapshot (with_id), validated by U/u update ids
+    // and the top-level checksum. The channel never pushes a snapshot, so a mismatch
+    // rebuilds from REST rather than resubscribing.
+    return this._subscribePublic('spot.order_book_update', [pair, '100ms'], (msg) => {
       if (msg.result) {
-        callback({
-          symbol,
-          type: msg.result.e === 'depthUpdate' ? 'update' : 'snapshot',
-          bids: (msg.result.bids || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
-          asks: (msg.result.asks || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
-          timestamp: safeInteger(msg.result, 't') || Date.now(),
-          nonce: undefined,
+        const r = msg.result;
+        // Raw "px:sz" strings are kept on each level for the checksum
+        this._handleOrderBookMessage(symbol, {
+          snapshot: false,
+          bids: (r.b || []).map(([p, q]) => [parseFloat(p), parseFloat(q), p + ':' + q]),
+          asks: (r.a || []).map(([p, q]) => [parseFloat(p), parseFloat(q), p + ':' + q]),
+          timestamp: safeInteger(r, 't') || Date.now(),
+          firstNonce: safeInteger(r, 'U'),
+          nonce: safeInteger(r, 'u'),
+          checksum: safeInteger(r, 'checksum'),
+        }, callback, {
+          limit: depth,
+          fetchSnapshot: () => this._fetchOrderBookSnapshot(symbol),
+          checksum: (book) => this._gateBookChecksum(book),
         });
       }
     });
@@ -798,12 +1659,57 @@ class Gateio extends BaseExchange {
     });
   }
 
+  /**
+   * Futures positions in the configured settle currency. Channel futures.positions on
+   * wss://fx-ws.gateio.ws/v4/ws/{settle}, subscribed with the account user id.
+   */
+  async watchPositions(callback) {
+    this.checkRequiredCredentials();
+    const userId = await this._fetchUserId();
+    return this._subscribePrivate('futures.positions', [userId, '!all'], (msg) => {
+      if (msg.result) {
+        const list = Array.isArray(msg.result) ? msg.result : [msg.result];
+        for (const p of list) callback(this._parsePosition(p));
+      }
+    }, this.urls.wsFutures + this.settle);
+  }
+
+  /**
+   * Funding from the futures ticker channel. futures.tickers carries the current and
+   * indicative rates but no settlement time, so fundingTimestamp stays undefined.
+   */
+  async watchFundingRate(symbol, callback) {
+    return this._subscribePublic('futures.tickers', [this._toGateContract(symbol)], (msg) => {
+      for (const t of (Array.isArray(msg.result) ? msg.result : [msg.result])) {
+        if (t) callback(this._parseFundingRate(t, safeInteger(msg, 'time_ms')));
+      }
+    }, this.urls.wsFutures + this.settle);
+  }
+
+  async watchMarkPrice(symbol, callback) {
+    return this._subscribePublic('futures.tickers', [this._toGateContract(symbol)], (msg) => {
+      for (const t of (Array.isArray(msg.result) ? msg.result : [msg.result])) {
+        if (!t) continue;
+        const timestamp = safeInteger(msg, 'time_ms');
+        callback({
+          symbol: this._fromGateContract(safeString(t, 'contract')),
+          markPrice: safeFloat(t, 'mark_price'),
+          indexPrice: safeFloat(t, 'index_price'),
+          timestamp,
+          datetime: iso8601(timestamp),
+          info: t,
+        });
+      }
+    }, this.urls.wsFutures + this.settle);
+  }
+
   async closeAllWs() {
     for (const [, client] of this._wsClients) {
       await client.close();
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
     this._wsPrivateAuthenticated = false;
     for (const [, timer] of this._pingTimers) {
       clearInterval(timer);
@@ -872,6 +1778,26 @@ class Gateio extends BaseExchange {
     };
   }
 
+  /**
+   * Futures contract or futures.tickers entry → funding rate. Contracts name themselves
+   * in `name`, tickers in `contract`; funding_next_apply and funding_interval are seconds.
+   */
+  _parseFundingRate(data, timestamp = Date.now()) {
+    const next = safeInteger(data, 'funding_next_apply');
+    const interval = safeInteger(data, 'funding_interval');
+    return this._fundingRate({
+      info: data,
+      symbol: this._fromGateContract(safeString(data, 'name') || safeString(data, 'contract')),
+      markPrice: safeFloat(data, 'mark_price'),
+      indexPrice: safeFloat(data, 'index_price'),
+      fundingRate: safeFloat(data, 'funding_rate'),
+      fundingTimestamp: next ? next * 1000 : undefined,
+      nextFundingRate: safeFloat(data, 'funding_rate_indicative'),
+      interval: interval ? (interval / 3600) + 'h' : undefined,
+      timestamp,
+    });
+  }
+
   _parseOrder(data) {
     const amount = safeFloat(data, 'amount') || 0;
     const left = safeFloat(data, 'left') || 0;
@@ -897,7 +1823,8 @@ class Gateio extends BaseExchange {
       cost: filledTotal,
       average: avgPrice,
       status: this._normalizeStatus(rawStatus),
-      timeInForce: safeString(data, 'time_in_force'),
+      timeInForce: safeString(data, 'time_in_force') === 'poc' ? 'PO' : safeStringUpper(data, 'time_in_force'),
+      postOnly: safeString(data, 'time_in_force') === 'poc',
       timestamp: ts,
       datetime: ts ? iso8601(ts) : undefined,
       trades: [],
@@ -960,6 +1887,94 @@ class Gateio extends BaseExchange {
       info: data,
     };
   }
+
+  /**
+   * Deposit or withdrawal record; `timestamp` is in seconds.
+   */
+  _parseTransaction(data, type) {
+    const statuses = {
+      DONE: 'ok', CANCEL: 'canceled', FAIL: 'failed', INVALID: 'failed',
+      REQUEST: 'pending', MANUAL: 'pending', BCODE: 'pending', EXTPEND: 'pending',
+      PEND: 'pending', PROCES: 'pending', VERIFY: 'pending', DMOVE: 'pending', REVIEW: 'pending',
+    };
+    const raw = safeString(data, 'status');
+    const seconds = safeInteger(data, 'timestamp');
+    const timestamp = seconds !== undefined ? seconds * 1000 : undefined;
+    const currency = safeString(data, 'currency');
+    const fee = safeFloat(data, 'fee');
+    return {
+      id: safeString(data, 'id'),
+      txid: safeString(data, 'txid') || undefined,
+      type,
+      currency,
+      network: this._networkCode(safeString(data, 'chain')),
+      amount: safeFloat(data, 'amount'),
+      address: safeString(data, 'address'),
+      tag: safeString(data, 'memo') || undefined,
+      status: raw !== undefined ? (statuses[raw] || raw) : undefined,
+      fee: fee !== undefined ? { cost: fee, currency } : undefined,
+      timestamp,
+      datetime: iso8601(timestamp),
+      updated: undefined,
+      info: data,
+    };
+  }
+
+  /**
+   * Sub-account transfer record; direction is seen from the main account.
+   */
+  _parseTransfer(data) {
+    const toSub = safeString(data, 'direction') === 'to';
+    const sub = safeString(data, 'sub_account');
+    const account = this._accountName(safeString(data, 'sub_account_type') || 'spot');
+    const timest = safeInteger(data, 'timest');
+    const timestamp = timest !== undefined ? timest * 1000 : undefined;
+    const status = safeStringLower(data, 'status');
+    return {
+      id: safeString2(data, 'tx_id', 'id'),
+      currency: safeString(data, 'currency'),
+      amount: safeFloat(data, 'amount'),
+      fromAccount: account,
+      toAccount: account,
+      fromSubAccount: toSub ? undefined : sub,
+      toSubAccount: toSub ? sub : undefined,
+      status: (!status || status === 'success') ? 'ok' : status === 'fail' ? 'failed' : 'pending',
+      timestamp,
+      datetime: timestamp !== undefined ? iso8601(timestamp) : undefined,
+      info: data,
+    };
+  }
+
+  /**
+   * Futures position (REST or futures.positions). size is signed; leverage 0 means cross
+   * margin; dual_long / dual_short modes are hedge-mode legs. Times are in seconds.
+   */
+  _parsePosition(data) {
+    const mode = safeString(data, 'mode');
+    const leverage = safeFloat(data, 'leverage');
+    const ts = safeInteger(data, 'time_ms') || (safeInteger(data, 'update_time') ? safeInteger(data, 'update_time') * 1000 : undefined);
+    let side;
+    if (mode === 'dual_long') side = 'long';
+    if (mode === 'dual_short') side = 'short';
+    return this._position({
+      info: data,
+      symbol: this._fromGateContract(safeString(data, 'contract')),
+      side,
+      contracts: safeFloat(data, 'size'),
+      entryPrice: safeFloat(data, 'entry_price'),
+      markPrice: safeFloat(data, 'mark_price'),
+      notional: safeFloat(data, 'value'),
+      unrealizedPnl: safeFloat(data, 'unrealised_pnl'),
+      realizedPnl: safeFloat(data, 'realised_pnl'),
+      liquidationPrice: safeFloat(data, 'liq_price'),
+      leverage: leverage || safeFloat(data, 'cross_leverage_limit'),
+      marginMode: leverage === undefined ? undefined : (leverage === 0 ? 'cross' : 'isolated'),
+      initialMargin: safeFloat(data, 'initial_margin') || safeFloat(data, 'margin'),
+      maintenanceMargin: safeFloat(data, 'maintenance_margin'),
+      hedged: side !== undefined,
+      timestamp: ts,
+    });
+  }
 }
 
 module.exports = Gateio;
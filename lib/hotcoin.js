@@ -6,7 +6,7 @@ const WsClient = require('./utils/ws');
 const zlib = require('zlib');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -126,7 +126,8 @@ class HotCoin extends BaseExchange {
     } else {
       // For POST: auth params + signature go into _authQuery, trade params stay in body
       const authQuery = sortedQuery + '&Signature=' + encodeURIComponent(signature);
-      return { params, headers: {}, _authQuery: authQuery };
+      const url = this._getBaseUrl() + path + '?' + authQuery;
+      return { params, headers: {}, url, _authQuery: authQuery };
     }
   }
 
@@ -134,61 +135,6 @@ class HotCoin extends BaseExchange {
     return this.urls.api;
   }
 
-  // ---------------------------------------------------------------------------
-  // Request Override — POST with auth in query string, params in JSON body
-  // ---------------------------------------------------------------------------
-
-  /**
-   * HotCoin puts auth params in the URL query string for ALL signed requests,
-   * while POST trade params go in the JSON body. BaseExchange can't do this
-   * natively, so we override _request() for signed POST.
-   */
-  async _request(method, path, params = {}, signed = false, weight = 1) {
-    if (method === 'POST' && signed) {
-      if (this.enableRateLimit && this._throttler) {
-        await this._throttler.consume(weight);
-      }
-
-      const signResult = this._sign(path, 'POST', { ...params });
-      const baseUrl = this._getBaseUrl();
-      const url = baseUrl + path + '?' + signResult._authQuery;
-
-      const headers = { 'Content-Type': 'application/json' };
-      const fetchOptions = {
-        method: 'POST',
-        headers,
-        signal: AbortSignal.timeout(this.timeout),
-      };
-
-      if (Object.keys(signResult.params).length > 0) {
-        fetchOptions.body = JSON.stringify(signResult.params);
-      }
-
-      const response = await fetch(url, fetchOptions);
-      const text = await response.text();
-
-      if (!response.ok) {
-        this._handleHttpError(response.status, text);
-      }
-
-      let data;
-      try { data = JSON.parse(text); } catch { data = text; }
-
-      if (data && typeof data === 'object' && !Array.isArray(data)) {
-        const code = safeString(data, 'code') || safeString(data, 'status');
-        if (code && code !== '200' && code !== '0') {
-          const msg = safeString(data, 'msg') || safeString(data, 'message') || 'Unknown error';
-          this._handleHotCoinError(code, msg);
-        }
-      }
-
-      return data;
-    }
-
-    // For non-POST or non-signed, use BaseExchange default
-    return super._request(method, path, params, signed, weight);
-  }
-
   // ---------------------------------------------------------------------------
   // Symbol Conversion — btc_usdt <-> BTC/USDT (lowercase underscore)
   // ---------------------------------------------------------------------------
@@ -338,6 +284,8 @@ class HotCoin extends BaseExchange {
       cost: filled * price,
       average: filled > 0 ? price : 0,
       status,
+      timeInForce: type === 'market' ? 'IOC' : 'GTC',
+      postOnly: false,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -474,16 +422,23 @@ class HotCoin extends BaseExchange {
   // Private REST API — Trading & Account
   // ---------------------------------------------------------------------------
 
-  async createOrder(symbol, type, side, amount, price = undefined) {
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const hotcoinSymbol = this._toHotCoinSymbol(symbol);
+    // matchType only distinguishes limit from market — limit orders are always GTC
+    this._orderExecutionParams(type, params, { timeInForce: ['GTC'] });
+    if (params.clientOrderId !== undefined) {
+      throw new InvalidOrder(this.id + ' createOrder() does not support clientOrderId');
+    }
 
     const request = {
       symbol: hotcoinSymbol,
       type: side.toLowerCase(),
-      tradeAmount: String(amount),
-      tradePrice: price !== undefined && price !== null ? String(price) : '0',
+      tradeAmount: numberToString(amount),
+      tradePrice: price !== undefined && price !== null ? numberToString(price) : '0',
       matchType: type === 'market' ? '1' : '0',
     };
 
@@ -500,14 +455,17 @@ class HotCoin extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: type === 'market' ? 'IOC' : 'GTC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: result,
     };
   }
 
-  async cancelOrder(id, symbol = undefined) {
+  async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    id = this._orderReference('cancelOrder', id, params, false).id;
 
     const request = { id: String(id) };
     const data = await this._request('POST', '/v1/order/cancel', request, true, 1);
@@ -561,7 +519,7 @@ class HotCoin extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 5000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 5000 }));
     const exchange = this;
 
     const originalConnect = client.connect.bind(client);
@@ -641,7 +599,10 @@ class HotCoin extends BaseExchange {
     const hotcoinSymbol = this._toHotCoinSymbol(symbol);
     return this._subscribeHotCoin('trade.depth', hotcoinSymbol, (msg) => {
       if (msg && msg.tick) {
-        callback(this._parseWsOrderBook(msg.tick, symbol));
+        this._handleOrderBookMessage(symbol, {
+          snapshot: true,
+          ...this._parseWsOrderBook(msg.tick, symbol),
+        }, callback);
       }
     });
   }
@@ -681,6 +642,7 @@ class HotCoin extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -5,7 +5,7 @@ const { hmacSHA256Base64 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -263,6 +263,8 @@ class Icrypex extends BaseExchange {
       cost: filled * price,
       average: filled > 0 ? price : 0,
       status,
+      timeInForce: type === 'limit' ? 'GTC' : 'IOC',
+      postOnly: false,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -427,23 +429,30 @@ class Icrypex extends BaseExchange {
   // Private REST API — Trading & Account
   // ---------------------------------------------------------------------------
 
-  async createOrder(symbol, type, side, amount, price = undefined) {
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const icrypexSymbol = this._toIcrypexSymbol(symbol);
+    // iCrypex takes no timeInForce — limit orders rest until filled or canceled
+    this._orderExecutionParams(type, params, { timeInForce: ['GTC'] });
+    if (params.clientOrderId !== undefined) {
+      throw new InvalidOrder(this.id + ' createOrder() does not support clientOrderId');
+    }
 
     const request = {
       symbol: icrypexSymbol,
       type: type.toUpperCase(),
       side: side.toUpperCase(),
-      quantity: String(amount),
+      quantity: numberToString(amount),
     };
 
     if (type.toLowerCase() === 'limit') {
       if (price === undefined || price === null) {
         throw new InvalidOrder(this.id + ' createOrder() requires a price for limit orders');
       }
-      request.price = String(price);
+      request.price = numberToString(price);
     }
 
     const data = await this._request('POST', '/sapi/v1/orders', request, true, 1);
@@ -458,14 +467,17 @@ class Icrypex extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: type.toLowerCase() === 'limit' ? 'GTC' : 'IOC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: data,
     };
   }
 
-  async cancelOrder(id, symbol = undefined) {
+  async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    id = this._orderReference('cancelOrder', id, params, false).id;
 
     // DELETE /sapi/v1/orders?orderId={id}
     const request = { orderId: String(id) };
@@ -520,7 +532,7 @@ class Icrypex extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 30000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 30000 }));
     const exchange = this;
 
     const originalConnect = client.connect.bind(client);
@@ -590,7 +602,10 @@ class Icrypex extends BaseExchange {
     const channel = 'orderbook@' + icrypexSymbol;
 
     return this._subscribeIcrypex(channel, (data) => {
-      callback(this._parseWsOrderBook(data, symbol));
+      this._handleOrderBookMessage(symbol, {
+        snapshot: true,
+        ...this._parseWsOrderBook(data, symbol),
+      }, callback);
     });
   }
 
@@ -630,6 +645,7 @@ class Icrypex extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -1,17 +1,17 @@
 'use strict';
 
 const BaseExchange = require('./BaseExchange');
-const { krakenSign } = require('./utils/crypto');
+const { krakenSign, crc32 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, sleep,
+  iso8601, parseDate, sleep, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
   InsufficientFunds, InvalidOrder, OrderNotFound,
-  BadSymbol, BadRequest, ExchangeNotAvailable,
+  BadSymbol, BadRequest, ExchangeNotAvailable, NetworkError,
 } = require('./utils/errors');
 
 class Kraken extends BaseExchange {
@@ -37,15 +37,27 @@ class Kraken extends BaseExchange {
         createOrder: true,
         createLimitOrder: true,
         createMarketOrder: true,
+        createStopLossOrder: true,
+        createTakeProfitOrder: true,
+        createTrailingStopOrder: true,
+        createTriggerOrder: true,
         cancelOrder: true,
         cancelAllOrders: true,
         amendOrder: false,
+        editOrder: true,
         fetchOrder: true,
         fetchOpenOrders: true,
         fetchClosedOrders: true,
         fetchMyTrades: true,
         fetchBalance: true,
+        fetchLedger: true,
         fetchTradingFees: true,
+        // Funding
+        fetchDepositAddress: true,
+        createDepositAddress: true,
+        fetchDeposits: true,
+        fetchWithdrawals: true,
+        withdraw: true,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
@@ -53,6 +65,10 @@ class Kraken extends BaseExchange {
         watchKlines: true,
         watchBalance: true,
         watchOrders: true,
+        createOrderWs: true,
+        editOrderWs: true,
+        cancelOrderWs: true,
+        cancelAllOrdersWs: true,
       },
       urls: {
         api: 'https://api.kraken.com',
@@ -67,6 +83,10 @@ class Kraken extends BaseExchange {
       fees: {
         trading: { maker: 0.0016, taker: 0.0026 },
       },
+      networks: {
+        BTC: 'Bitcoin', ERC20: 'ERC20', TRC20: 'TRC20', BEP20: 'BEP20', SOL: 'SPL',
+        ARBITRUM: 'Arbitrum One', OPTIMISM: 'Optimism', POLYGON: 'Polygon',
+      },
     };
   }
 
@@ -77,6 +97,7 @@ class Kraken extends BaseExchange {
     this._wsClients = new Map();
     this._wsPrivateAuthenticated = false;
     this._wsToken = null;
+    this._wsTradeClient = null;     // private socket whose replies are routed to pending WS requests
     this._pingTimers = new Map();
   }
 
@@ -133,6 +154,19 @@ class Kraken extends BaseExchange {
     // Kraken does not expose rate limit headers; throttler handles client-side
   }
 
+  /**
+   * Every Kraken private call is a POST. Reads are safe to retry; order placement and
+   * funding never are (cl_ord_id is unique only among open orders).
+   */
+  _canRetryRequest(method, path, params = {}) {
+    const unsafe = [
+      '/0/private/AddOrder', '/0/private/AddOrderBatch', '/0/private/EditOrder',
+      '/0/private/Withdraw', '/0/private/WalletTransfer',
+    ];
+    if (path.startsWith('/0/private/') && !unsafe.includes(path)) return true;
+    return super._canRetryRequest(method, path, params);
+  }
+
   _handleHttpError(status, body) {
     let parsed;
     try { parsed = JSON.parse(body); } catch { /* ignore */ }
@@ -255,6 +289,23 @@ class Kraken extends BaseExchange {
     return code;
   }
 
+  /**
+   * Unified currency → Kraken asset for the funding endpoints: BTC → XBT.
+   */
+  _toKrakenAsset(code) {
+    const upper = String(code).toUpperCase();
+    return upper === 'BTC' ? 'XBT' : upper;
+  }
+
+  /**
+   * Unified network of a funding method: 'Tether USD (TRC20)' → TRC20, 'Bitcoin' → BTC.
+   */
+  _krakenNetwork(method) {
+    if (!method) return undefined;
+    const match = /\(([^)]+)\)\s*$/.exec(method);
+    return this._networkCode(match ? match[1] : method);
+  }
+
   // ===========================================================================
   // GENERAL ENDPOINTS
   // ===========================================================================
@@ -445,49 +496,170 @@ class Kraken extends BaseExchange {
   }
 
   // ===========================================================================
-  // TRADING — PRIVATE (7 endpoints)
+  // TRADING — PRIVATE (8 endpoints)
   // NOTE: ALL Kraken private endpoints are POST (even queries)
   // ===========================================================================
 
+  /**
+   * Place an order. POST /0/private/AddOrder
+   * Margin orders carry params.leverage (e.g. 2); the unified marginMode 'cross' only
+   * checks that it is there, since Kraken margin always borrows against the whole account.
+   */
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+
+    const margin = this._marginOrderParams(params);
+    if (margin.marginMode === 'isolated') {
+      throw new InvalidOrder(this.id + ' createOrder() has no isolated margin; use marginMode cross with params.leverage');
+    }
+    if (margin.marginMode && margin.params.leverage === undefined) {
+      throw new InvalidOrder(this.id + ' createOrder() margin orders require params.leverage');
+    }
+    const conditional = this._conditionalOrderParams(side, margin.params);
+    // GTC and IOC via timeinforce, post-only via oflags; reduce_only applies to margin orders
+    const execution = this._orderExecutionParams(type, conditional.params, {
+      timeInForce: ['GTC', 'IOC', 'PO'],
+      reduceOnly: conditional.params.leverage !== undefined,
+    });
+    params = execution.params;
 
     const pair = this._getMarketId(symbol);
     const request = {
       pair,
       type: side.toLowerCase(),          // "buy" or "sell"
       ordertype: type.toLowerCase(),     // "market" or "limit"
-      volume: String(amount),
+      volume: numberToString(amount),
     };
 
-    if (price !== undefined && price !== null) {
-      request.price = String(price);
+    if (conditional.kind) {
+      this._applyConditionalOrder(request, price, conditional);
+    } else if (price !== undefined && price !== null) {
+      request.price = numberToString(price);
+    }
+
+    const client = this._clientOrderIdParams(params);
+    params = client.params;
+    if (client.clientOrderId !== undefined) {
+      request[this._clientOrderIdField(client.clientOrderId)] = client.clientOrderId;
     }
 
-    if (params.clientOrderId) {
-      request.userref = params.clientOrderId;
+    if (execution.postOnly) {
+      request.oflags = params.oflags ? params.oflags + ',post' : 'post';
+    } else if (execution.timeInForce) {
+      request.timeinforce = execution.timeInForce;
     }
+    if (execution.reduceOnly) request.reduce_only = true;
 
     // Spread remaining params
-    const skip = new Set(['clientOrderId']);
     for (const [k, v] of Object.entries(params)) {
-      if (!skip.has(k) && !(k in request)) {
+      if (!(k in request)) {
         request[k] = v;
       }
     }
 
     const data = await this._request('POST', '/0/private/AddOrder', request, true, 1);
     const result = this._unwrapResponse(data);
-    return this._parseOrderCreateResult(result);
+    return this._parseOrderCreateResult(result, client.clientOrderId);
+  }
+
+  /**
+   * Kraken has two client ids: userref, a 32-bit integer that several orders may share,
+   * and cl_ord_id, a UUID or up to 18 characters of free text. Integers keep going out
+   * as userref; everything else is a cl_ord_id.
+   */
+  _clientOrderIdField(clientOrderId) {
+    const integer = /^-?\d+$/.test(clientOrderId) && Math.abs(Number(clientOrderId)) <= 2147483647;
+    return integer ? 'userref' : 'cl_ord_id';
+  }
+
+  // Without a prefix this is a 32-hex-digit short UUID; with one, free text of 18 characters
+  _generateClientOrderId() {
+    const id = super._generateClientOrderId();
+    return this.clientOrderIdPrefix ? id.slice(0, 18) : id;
   }
 
+  /**
+   * Map unified conditional params onto AddOrder ordertype/price/price2:
+   *   stop-loss(-limit), take-profit(-limit): price = trigger, price2 = limit price
+   *   trailing-stop: price = '+' offset, with a '%' suffix for trailingPercent
+   */
+  _applyConditionalOrder(request, price, conditional) {
+    const limit = request.ordertype === 'limit';
+    if (conditional.kind === 'trailing') {
+      if (limit) throw new InvalidOrder(this.id + ' trailing stops execute at market — use type market');
+      if (conditional.trailingTriggerPrice !== undefined) {
+        throw new InvalidOrder(this.id + ' trailing stops do not support trailingTriggerPrice');
+      }
+      request.ordertype = 'trailing-stop';
+      request.price = conditional.trailingPercent !== undefined
+        ? '+' + conditional.trailingPercent + '%'
+        : '+' + conditional.trailingAmount;
+      return;
+    }
+    const base = conditional.kind === 'takeProfit' ? 'take-profit' : 'stop-loss';
+    request.ordertype = limit ? base + '-limit' : base;
+    request.price = String(conditional.triggerPrice);
+    if (limit) request.price2 = numberToString(price);
+  }
+
+  /**
+   * Edit an open order. POST /0/private/EditOrder
+   * Kraken replaces the order and answers with the new txid (originaltxid is the old
+   * one). Volume, price and oflags (postOnly → post) can change; an omitted amount or
+   * price keeps its current value.
+   */
+  async editOrder(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC', 'PO'] });
+    params = execution.params;
+    const request = {
+      txid: id,
+      pair: this._getMarketId(symbol),
+    };
+    if (amount !== undefined && amount !== null) request.volume = numberToString(amount);
+    if (price !== undefined && price !== null) request.price = numberToString(price);
+    if (execution.postOnly) {
+      request.oflags = params.oflags ? params.oflags + ',post' : 'post';
+    }
+    for (const [k, v] of Object.entries(params)) {
+      if (!(k in request)) request[k] = v;
+    }
+
+    const data = await this._request('POST', '/0/private/EditOrder', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return this._editedOrder({
+      id: result.txid,
+      clientOrderId: undefined,
+      description: result.descr?.order || undefined,
+      symbol,
+      status: 'NEW',
+      info: result,
+    }, type, side, amount, price);
+  }
+
+  /**
+   * Cancel by txid, or by params.clientOrderId: a userref goes in the txid field (and
+   * cancels every order carrying it), a cl_ord_id in its own field.
+   */
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
-    const request = { txid: id, ...params };
+    const ref = this._orderReference('cancelOrder', id, params);
+    let request;
+    if (ref.id !== undefined) {
+      request = { txid: ref.id, ...ref.params };
+    } else if (this._clientOrderIdField(ref.clientOrderId) === 'userref') {
+      request = { txid: ref.clientOrderId, ...ref.params };
+    } else {
+      request = { cl_ord_id: ref.clientOrderId, ...ref.params };
+    }
     const data = await this._request('POST', '/0/private/CancelOrder', request, true, 1);
     const result = this._unwrapResponse(data);
     return {
-      id,
+      id: ref.id,
+      clientOrderId: ref.clientOrderId,
       symbol,
       status: 'CANCELED',
       count: result.count || 0,
@@ -507,7 +679,10 @@ class Kraken extends BaseExchange {
 
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
-    const request = { txid: id, ...params };
+    const ref = this._orderReference('fetchOrder', id, params);
+    if (ref.clientOrderId !== undefined) return this._fetchOrderByClientId(ref.clientOrderId, ref.params);
+    id = ref.id;
+    const request = { txid: id, ...ref.params };
     const data = await this._request('POST', '/0/private/QueryOrders', request, true, 1);
     const result = this._unwrapResponse(data);
 
@@ -518,6 +693,21 @@ class Kraken extends BaseExchange {
     return this._parseOrder(result[keys[0]], keys[0]);
   }
 
+  /**
+   * QueryOrders only takes txids. An order named by its client id is looked for in
+   * OpenOrders, then ClosedOrders — both filter on userref and cl_ord_id.
+   */
+  async _fetchOrderByClientId(clientOrderId, params) {
+    const request = { [this._clientOrderIdField(clientOrderId)]: clientOrderId, ...params };
+    for (const [path, key] of [['/0/private/OpenOrders', 'open'], ['/0/private/ClosedOrders', 'closed']]) {
+      const data = await this._request('POST', path, request, true, 1);
+      const result = this._unwrapResponse(data);
+      const entries = Object.entries((result && result[key]) || {});
+      if (entries.length > 0) return this._parseOrder(entries[0][1], entries[0][0]);
+    }
+    throw new OrderNotFound(this.id + ' order not found: ' + clientOrderId);
+  }
+
   async fetchOpenOrders(symbol = undefined, since = undefined, limit = undefined, params = {}) {
     this.checkRequiredCredentials();
     const request = { ...params };
@@ -587,9 +777,14 @@ class Kraken extends BaseExchange {
   // ACCOUNT — PRIVATE (2 endpoints)
   // ===========================================================================
 
+  /**
+   * Account balances. POST /0/private/Balance
+   * Margin trades use the same balances as collateral, so { type: 'margin' } reads them too.
+   */
   async fetchBalance(params = {}) {
     this.checkRequiredCredentials();
-    const data = await this._request('POST', '/0/private/Balance', params, true, 1);
+    const { params: rest } = this._balanceParams(params);
+    const data = await this._request('POST', '/0/private/Balance', rest, true, 1);
     const result = this._unwrapResponse(data);
 
     const balance = {
@@ -647,6 +842,132 @@ class Kraken extends BaseExchange {
     return symbol ? (fees[symbol] || {}) : fees;
   }
 
+  // ===========================================================================
+  // FUNDING — PRIVATE (5 endpoints)
+  // Deposits are keyed by method name ('Bitcoin', 'Tether USD (TRC20)', ...) and
+  // withdrawals by the name of a withdrawal key set up on kraken.com.
+  // ===========================================================================
+
+  async fetchDepositAddress(code, params = {}) {
+    return this._depositAddress('fetchDepositAddress', code, false, params);
+  }
+
+  /**
+   * Ask Kraken for a fresh address on the method. Kraken caps how many can exist.
+   */
+  async createDepositAddress(code, params = {}) {
+    return this._depositAddress('createDepositAddress', code, true, params);
+  }
+
+  async _depositAddress(method, code, fresh, params) {
+    this.checkRequiredCredentials();
+    const { network, ...rest } = params;
+    const asset = this._toKrakenAsset(code);
+    const depositMethod = rest.method || await this._depositMethod(method, asset, network);
+    const request = { asset, method: depositMethod, ...rest };
+    if (fresh) request.new = true;
+    const data = await this._request('POST', '/0/private/DepositAddresses', request, true, 1);
+    const result = this._unwrapResponse(data) || [];
+    const entry = result[0];
+    if (!entry) throw new BadRequest(this.id + ' ' + method + '() got no ' + code + ' address for ' + depositMethod);
+    return {
+      info: entry,
+      currency: this._cleanCurrency(asset),
+      network: this._krakenNetwork(depositMethod),
+      address: safeString(entry, 'address'),
+      tag: safeString(entry, 'tag') || safeString(entry, 'memo') || undefined,
+    };
+  }
+
+  /**
+   * Method name for params.network: the method whose name is the network id or ends
+   * with it in parentheses. Without a network, the first method Kraken lists.
+   */
+  async _depositMethod(method, asset, network) {
+    const data = await this._request('POST', '/0/private/DepositMethods', { asset }, true, 1);
+    const methods = (this._unwrapResponse(data) || []).map((m) => m.method);
+    const id = this._networkId(network);
+    const found = id
+      ? methods.find((m) => m.toLowerCase() === String(id).toLowerCase()
+        || m.toLowerCase().endsWith('(' + String(id).toLowerCase() + ')'))
+      : methods[0];
+    if (!found) {
+      throw new BadRequest(this.id + ' ' + method + '() has no ' + asset + ' deposit method'
+        + (id ? ' for network ' + network : ''));
+    }
+    return found;
+  }
+
+  /**
+   * Recent deposits. POST /0/private/DepositStatus
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    return this._fundingStatus('/0/private/DepositStatus', 'deposit', code, since, limit, params);
+  }
+
+  /**
+   * Recent withdrawals. POST /0/private/WithdrawStatus
+   */
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    return this._fundingStatus('/0/private/WithdrawStatus', 'withdrawal', code, since, limit, params);
+  }
+
+  async _fundingStatus(path, type, code, since, limit, params) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.asset = this._toKrakenAsset(code);
+    if (since) request.start = String(Math.floor(since / 1000));
+    const data = await this._request('POST', path, request, true, 1);
+    const result = this._unwrapResponse(data) || [];
+    const list = Array.isArray(result) ? result : (result.deposit || result.withdrawal || []);
+    const parsed = list.map((t) => this._parseTransaction(t, type));
+    return limit ? parsed.slice(0, limit) : parsed;
+  }
+
+  /**
+   * Withdraw to a saved withdrawal key. POST /0/private/Withdraw
+   * params.key (the key's name) is required; Kraken checks `address` against it. The
+   * network and memo come from the key, so `tag` is not sent.
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._withdrawArgs(code, amount, address, tag, params);
+    const { key, ...rest } = args.params;
+    if (!key) throw new BadRequest(this.id + ' withdraw() requires params.key, the name of a Kraken withdrawal key');
+    const asset = this._toKrakenAsset(code);
+    const request = { asset, key, amount: numberToString(amount), address, ...rest };
+    const data = await this._request('POST', '/0/private/Withdraw', request, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return {
+      ...this._parseTransaction({ refid: result.refid, asset, amount, info: address, status: 'Initial' }, 'withdrawal'),
+      info: result,
+    };
+  }
+
+  // ===========================================================================
+  // LEDGER — PRIVATE (1 endpoint)
+  // ===========================================================================
+
+  /**
+   * Account ledger. POST /0/private/Ledgers
+   * Kraken returns the newest 50 entries after `start`; when there are more, the call is
+   * repeated with an offset so the page starts at `since`.
+   */
+  async fetchLedger(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.asset = this._toKrakenAsset(code);
+    if (since) request.start = String(Math.floor(since / 1000) - 1);
+    let result = this._unwrapResponse(await this._request('POST', '/0/private/Ledgers', request, true, 2)) || {};
+    const page = Object.keys(result.ledger || {}).length;
+    if (since && request.ofs === undefined && result.count > page) {
+      request.ofs = result.count - page;
+      result = this._unwrapResponse(await this._request('POST', '/0/private/Ledgers', request, true, 2)) || {};
+    }
+    const entries = Object.entries(result.ledger || {}).map(([id, entry]) => this._parseLedgerEntry(entry, id)).reverse();
+    return this._ledgerPage(entries, since, limit);
+  }
+
   // ===========================================================================
   // WEBSOCKET V2 — Public (4) + Private (2)
   // ===========================================================================
@@ -656,10 +977,10 @@ class Kraken extends BaseExchange {
     if (this._wsClients.has(wsUrl)) {
       return this._wsClients.get(wsUrl);
     }
-    const client = new WsClient({
+    const client = new WsClient(this._wsClientOptions({
       url: wsUrl,
       pingInterval: 0, // Disable native ping — Kraken V2 uses app-level
-    });
+    }));
     this._wsClients.set(wsUrl, client);
     return client;
   }
@@ -705,6 +1026,15 @@ class Kraken extends BaseExchange {
     return key;
   }
 
+  /**
+   * Re-send a public subscription so Kraken pushes a fresh snapshot. Handlers stay registered.
+   */
+  async _resubscribePublic(channel, params) {
+    const client = await this._ensureWsConnected(this.urls.ws);
+    client.send({ method: 'unsubscribe', params: { channel, ...params } });
+    client.send({ method: 'subscribe', params: { channel, ...params } });
+  }
+
   async _getWsToken() {
     if (this._wsToken) return this._wsToken;
     this.checkRequiredCredentials();
@@ -752,13 +1082,16 @@ class Kraken extends BaseExchange {
     return this._subscribePublic('book', { symbol: [wsSymbol], depth }, (msg) => {
       if (msg.data) {
         for (const d of msg.data) {
-          callback({
-            symbol,
-            type: msg.type || 'snapshot',
+          this._handleOrderBookMessage(symbol, {
+            snapshot: (msg.type || 'snapshot') === 'snapshot',
             bids: (d.bids || []).map((b) => [parseFloat(b.price), parseFloat(b.qty)]),
             asks: (d.asks || []).map((a) => [parseFloat(a.price), parseFloat(a.qty)]),
-            timestamp: Date.now(),
-            nonce: undefined,
+            timestamp: parseDate(d.timestamp) || Date.now(),
+            checksum: d.checksum,
+          }, callback, {
+            depth,
+            checksum: (book) => this._krakenBookChecksum(book, symbol),
+            resubscribe: () => this._resubscribePublic('book', { symbol: [wsSymbol], depth }),
           });
         }
       }
@@ -854,20 +1187,224 @@ class Kraken extends BaseExchange {
     return symbol;
   }
 
+  /**
+   * Kraken book checksum: CRC32 of the top 10 asks then top 10 bids, each level as
+   * price + qty formatted to the pair precision with the '.' and leading zeros removed.
+   * Needs loadMarkets() for the precision; returns undefined otherwise.
+   */
+  _krakenBookChecksum(book, symbol) {
+    const market = this._marketsLoaded ? this.markets[symbol] : undefined;
+    if (!market) return undefined;
+    const fmt = (value, decimals) => value.toFixed(decimals).replace('.', '').replace(/^0+/, '');
+    let payload = '';
+    for (const [price, qty] of book.asks.levels.slice(0, 10)) {
+      payload += fmt(price, market.precision.price) + fmt(qty, market.precision.amount);
+    }
+    for (const [price, qty] of book.bids.levels.slice(0, 10)) {
+      payload += fmt(price, market.precision.price) + fmt(qty, market.precision.amount);
+    }
+    return crc32(payload);
+  }
+
   async closeAllWs() {
     for (const [, client] of this._wsClients) {
       await client.close();
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
     this._wsPrivateAuthenticated = false;
     this._wsToken = null;
+    this._wsTradeClient = null;
     for (const [, timer] of this._pingTimers) {
       clearInterval(timer);
     }
     this._pingTimers.clear();
   }
 
+  // ===========================================================================
+  // WEBSOCKET V2 — Trading (add_order, amend_order, cancel_order, cancel_all)
+  // ===========================================================================
+
+  /**
+   * Send a trading request on the authenticated socket and resolve with the reply
+   * (matched by req_id) in the REST { error, result } shape for _unwrapResponse().
+   */
+  async _wsTradeRequest(method, params) {
+    this.checkRequiredCredentials();
+    const token = await this._getWsToken();
+    const client = await this._ensureWsConnected(this.urls.wsPrivate);
+    if (this._wsTradeClient !== client) {
+      this._wsTradeClient = client;
+      client.on('message', (msg) => {
+        if (msg && msg.req_id !== undefined && msg.success !== undefined) {
+          this._resolveWsRequest(msg.req_id, undefined, {
+            error: msg.success ? [] : [msg.error],
+            result: msg.result,
+          });
+        }
+      });
+      client.on('close', () => this._rejectWsRequests(new NetworkError(this.id + ' WebSocket closed before the reply')));
+    }
+    const id = this._nextWsRequestId();
+    return this._wsRequest(client, id, { method, params: { ...params, token }, req_id: id });
+  }
+
+  /**
+   * createOrder() over WS v2 add_order. Same unified params; margin orders (marginMode
+   * cross) go out with margin: true, which borrows at the pair's maximum leverage.
+   */
+  async createOrderWs(symbol, type, side, amount, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+
+    const margin = this._marginOrderParams(params);
+    if (margin.marginMode === 'isolated') {
+      throw new InvalidOrder(this.id + ' createOrderWs() has no isolated margin; use marginMode cross');
+    }
+    if (margin.params.leverage !== undefined) {
+      throw new InvalidOrder(this.id + ' createOrderWs() cannot choose the leverage; use createOrder() for params.leverage');
+    }
+    const conditional = this._conditionalOrderParams(side, margin.params);
+    const execution = this._orderExecutionParams(type, conditional.params, {
+      timeInForce: ['GTC', 'IOC', 'PO'],
+      reduceOnly: margin.marginMode !== undefined,
+    });
+    const client = this._clientOrderIdParams(execution.params);
+
+    const request = {
+      order_type: type.toLowerCase(),
+      side: side.toLowerCase(),
+      order_qty: Number(amount),
+      symbol: this._getWsSymbol(symbol),
+    };
+    if (conditional.kind) {
+      this._applyWsConditionalOrder(request, price, conditional);
+    } else if (price !== undefined && price !== null) {
+      request.limit_price = Number(price);
+    }
+    if (client.clientOrderId !== undefined) {
+      if (this._clientOrderIdField(client.clientOrderId) === 'userref') {
+        request.order_userref = Number(client.clientOrderId);
+      } else {
+        request.cl_ord_id = client.clientOrderId;
+      }
+    }
+    if (execution.postOnly) {
+      request.post_only = true;
+    } else if (execution.timeInForce) {
+      request.time_in_force = execution.timeInForce.toLowerCase();
+    }
+    if (execution.reduceOnly) request.reduce_only = true;
+    if (margin.marginMode) request.margin = true;
+    for (const [k, v] of Object.entries(client.params)) {
+      if (!(k in request)) request[k] = v;
+    }
+
+    const data = await this._wsTradeRequest('add_order', request);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result, client.clientOrderId);
+  }
+
+  /**
+   * WS v2 counterpart of _applyConditionalOrder(): the trigger goes in triggers.price
+   * (static, or a pct / quote offset for trailing stops) and the limit price in limit_price.
+   */
+  _applyWsConditionalOrder(request, price, conditional) {
+    const limit = request.order_type === 'limit';
+    if (conditional.kind === 'trailing') {
+      if (limit) throw new InvalidOrder(this.id + ' trailing stops execute at market — use type market');
+      if (conditional.trailingTriggerPrice !== undefined) {
+        throw new InvalidOrder(this.id + ' trailing stops do not support trailingTriggerPrice');
+      }
+      request.order_type = 'trailing-stop';
+      request.triggers = conditional.trailingPercent !== undefined
+        ? { reference: 'last', price: Number(conditional.trailingPercent), price_type: 'pct' }
+        : { reference: 'last', price: Number(conditional.trailingAmount), price_type: 'quote' };
+      return;
+    }
+    const base = conditional.kind === 'takeProfit' ? 'take-profit' : 'stop-loss';
+    request.order_type = limit ? base + '-limit' : base;
+    request.triggers = { reference: 'last', price: Number(conditional.triggerPrice), price_type: 'static' };
+    if (limit) request.limit_price = Number(price);
+  }
+
+  /**
+   * editOrder() over WS v2 amend_order. Unlike EditOrder on REST, an amend keeps the
+   * order id and its queue priority; only the quantity, limit price and post-only change.
+   */
+  async editOrderWs(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC', 'PO'] });
+    const request = { order_id: id };
+    if (amount !== undefined && amount !== null) request.order_qty = Number(amount);
+    if (price !== undefined && price !== null) request.limit_price = Number(price);
+    if (execution.postOnly) request.post_only = true;
+    for (const [k, v] of Object.entries(execution.params)) {
+      if (!(k in request)) request[k] = v;
+    }
+
+    const data = await this._wsTradeRequest('amend_order', request);
+    const result = this._unwrapResponse(data);
+    return this._editedOrder({
+      id: result.order_id || id,
+      clientOrderId: result.cl_ord_id,
+      description: undefined,
+      symbol,
+      status: 'NEW',
+      info: result,
+    }, type, side, amount, price);
+  }
+
+  /**
+   * cancelOrder() over WS v2 cancel_order, by order_id or by params.clientOrderId
+   * (order_userref or cl_ord_id).
+   */
+  async cancelOrderWs(id, symbol = undefined, params = {}) {
+    const ref = this._orderReference('cancelOrder', id, params);
+    let request;
+    if (ref.id !== undefined) {
+      request = { order_id: [ref.id], ...ref.params };
+    } else if (this._clientOrderIdField(ref.clientOrderId) === 'userref') {
+      request = { order_userref: [Number(ref.clientOrderId)], ...ref.params };
+    } else {
+      request = { cl_ord_id: [ref.clientOrderId], ...ref.params };
+    }
+    const data = await this._wsTradeRequest('cancel_order', request);
+    const result = this._unwrapResponse(data);
+    return {
+      id: ref.id,
+      clientOrderId: ref.clientOrderId,
+      symbol,
+      status: 'CANCELED',
+      info: result,
+    };
+  }
+
+  /**
+   * cancelAllOrders() over WS v2. Without a symbol, cancel_all cancels every open order
+   * like CancelAll on REST. cancel_all cannot filter by pair, so with a symbol the open
+   * orders are read over REST and that pair's orders are cancelled by id with cancel_order.
+   */
+  async cancelAllOrdersWs(symbol = undefined, params = {}) {
+    if (symbol === undefined) {
+      const data = await this._wsTradeRequest('cancel_all', params);
+      const result = this._unwrapResponse(data);
+      return {
+        count: result.count || 0,
+        info: result,
+      };
+    }
+    const open = await this.fetchOpenOrders(symbol);
+    if (open.length === 0) return { count: 0, info: {} };
+    const data = await this._wsTradeRequest('cancel_order', { order_id: open.map((o) => o.id), ...params });
+    const result = this._unwrapResponse(data);
+    return {
+      count: open.length,
+      info: result,
+    };
+  }
+
   // ===========================================================================
   // PARSERS — Normalize Kraken responses to unified format
   // ===========================================================================
@@ -963,7 +1500,7 @@ class Kraken extends BaseExchange {
 
     return {
       id: txid || safeString(data, 'txid'),
-      clientOrderId: safeString(data, 'userref'),
+      clientOrderId: safeString(data, 'cl_ord_id') || safeString(data, 'userref'),
       symbol,
       type: (descr.ordertype || '').toUpperCase(),
       side: (descr.type || '').toUpperCase(),
@@ -974,7 +1511,8 @@ class Kraken extends BaseExchange {
       cost,
       average: avgPrice,
       status: this._normalizeStatus(rawStatus),
-      timeInForce: undefined,
+      timeInForce: (data.oflags || '').split(',').includes('post') ? 'PO' : undefined,
+      postOnly: (data.oflags || '').split(',').includes('post'),
       timestamp: ts,
       datetime: ts ? iso8601(ts) : undefined,
       trades: [],
@@ -1014,6 +1552,8 @@ class Kraken extends BaseExchange {
         : data.exec_type === 'partial' ? 'PARTIALLY_FILLED'
         : data.exec_type === 'expired' ? 'EXPIRED'
         : safeStringUpper(data, 'exec_type'),
+      timeInForce: data.post_only ? 'PO' : safeString(data, 'time_in_force'),
+      postOnly: data.post_only === true,
       event: 'order',
       timestamp: ts,
       datetime: iso8601(ts),
@@ -1023,13 +1563,14 @@ class Kraken extends BaseExchange {
 
   /**
    * Parse AddOrder result. Result format:
-   * { descr: { order: "..." }, txid: ["TXID1"] }
+   * { descr: { order: "..." }, txid: ["TXID1"] } — the client id is the one we sent.
+   * WS v2 add_order answers { order_id, cl_ord_id } instead.
    */
-  _parseOrderCreateResult(data) {
-    const txids = data.txid || [];
+  _parseOrderCreateResult(data, clientOrderId = undefined) {
+    const txids = data.txid || (data.order_id ? [data.order_id] : []);
     return {
       id: txids[0] || undefined,
-      clientOrderId: undefined,
+      clientOrderId,
       description: data.descr?.order || undefined,
       symbol: undefined,
       status: 'NEW',
@@ -1087,6 +1628,68 @@ class Kraken extends BaseExchange {
       info: data,
     };
   }
+
+  /**
+   * DepositStatus / WithdrawStatus entry. `info` is the address, `time` in seconds;
+   * status-prop marks returns, holds and cancellations.
+   */
+  _parseTransaction(data, type) {
+    const statuses = { Initial: 'pending', Pending: 'pending', Settled: 'pending', Success: 'ok', Failure: 'failed' };
+    const raw = safeString(data, 'status');
+    const prop = safeString(data, 'status-prop');
+    let status = raw !== undefined ? (statuses[raw] || raw) : undefined;
+    if (prop === 'canceled') status = 'canceled';
+    else if (prop === 'return') status = 'failed';
+    const time = safeFloat(data, 'time');
+    const timestamp = time !== undefined ? Math.round(time * 1000) : undefined;
+    const currency = this._cleanCurrency(safeString(data, 'asset'));
+    const fee = safeFloat(data, 'fee');
+    return {
+      id: safeString(data, 'refid'),
+      txid: safeString(data, 'txid') || undefined,
+      type,
+      currency,
+      network: this._krakenNetwork(safeString(data, 'method')),
+      amount: safeFloat(data, 'amount'),
+      address: safeString(data, 'info'),
+      tag: undefined,
+      status,
+      fee: fee !== undefined ? { cost: fee, currency } : undefined,
+      timestamp,
+      datetime: iso8601(timestamp),
+      updated: undefined,
+      info: data,
+    };
+  }
+
+  /**
+   * Ledger entry { refid, time, type, subtype, asset, amount, fee, balance }. `amount` is
+   * signed and `balance` is after both amount and fee.
+   */
+  _parseLedgerEntry(data, id) {
+    const types = {
+      trade: 'trade', spend: 'trade', receive: 'trade', margin: 'trade', rollover: 'fee',
+      deposit: 'deposit', withdrawal: 'withdrawal', transfer: 'transfer', credit: 'rebate',
+    };
+    const time = safeFloat(data, 'time');
+    const currency = this._cleanCurrency(safeString(data, 'asset'));
+    const amount = safeFloat(data, 'amount');
+    const fee = safeFloat(data, 'fee');
+    const after = safeFloat(data, 'balance');
+    return this._ledgerEntry({
+      id,
+      referenceId: safeString(data, 'refid'),
+      type: types[safeString(data, 'type')] || 'other',
+      currency,
+      amount,
+      direction: amount < 0 || (amount === 0 && fee > 0) ? 'out' : 'in',
+      after,
+      before: after !== undefined && amount !== undefined ? after - amount + (fee || 0) : undefined,
+      fee: fee ? { cost: fee, currency } : undefined,
+      timestamp: time !== undefined ? Math.round(time * 1000) : undefined,
+      info: data,
+    });
+  }
 }
 
 module.exports = Kraken;
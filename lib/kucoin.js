@@ -7,7 +7,7 @@ const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, sleep,
+  iso8601, sleep, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -38,25 +38,67 @@ class KuCoin extends BaseExchange {
         createOrder: true,
         createLimitOrder: true,
         createMarketOrder: true,
+        createStopLossOrder: true,
+        createTakeProfitOrder: true,
+        createTrailingStopOrder: false,
+        createTriggerOrder: true,
         cancelOrder: true,
         cancelAllOrders: true,
         amendOrder: false,
+        editOrder: true,
+        createOrders: true,
         fetchOrder: true,
         fetchOpenOrders: true,
         fetchClosedOrders: true,
         fetchMyTrades: true,
         fetchBalance: true,
+        fetchLedger: true,
+        fetchFundingRate: true,
+        fetchFundingRates: true,
+        fetchFundingRateHistory: true,
+        fetchMarkOHLCV: false,
+        fetchIndexOHLCV: false,
+        fetchOpenInterest: true,
+        fetchPositions: true,
+        fetchPosition: true,
+        closePosition: true,
+        setLeverage: true,
+        fetchLeverage: true,
+        setMarginMode: true,
+        setPositionMode: false,
+        addMargin: true,
+        reduceMargin: true,
+        fetchLeverageTiers: true,
+        fetchMarketLeverageTiers: true,
         fetchTradingFees: true,
+        // Funding
+        fetchDepositAddress: true,
+        createDepositAddress: true,
+        fetchDeposits: true,
+        fetchWithdrawals: true,
+        withdraw: true,
+        fetchDepositWithdrawFees: true,
+        transfer: true,
+        fetchTransfers: true,
+        // Margin
+        borrowMargin: true,
+        repayMargin: true,
+        fetchBorrowRate: true,
+        fetchBorrowInterest: true,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
         watchTrades: true,
         watchKlines: true,
+        watchFundingRate: true,
+        watchMarkPrice: true,
         watchBalance: true,
         watchOrders: true,
+        watchPositions: true,
       },
       urls: {
         api: 'https://api.kucoin.com',
+        futures: 'https://api-futures.kucoin.com',
         ws: null,        // Token-based, determined at runtime
         wsPrivate: null,  // Token-based, determined at runtime
         doc: 'https://www.kucoin.com/docs/beginners/introduction',
@@ -70,6 +112,13 @@ class KuCoin extends BaseExchange {
       fees: {
         trading: { maker: 0.001, taker: 0.001 },
       },
+      networks: {
+        ERC20: 'eth', TRC20: 'trx', BEP20: 'bsc', SOL: 'sol', BTC: 'btc',
+        ARBITRUM: 'arbitrum', OPTIMISM: 'optimism', POLYGON: 'matic',
+      },
+      accounts: {
+        spot: 'TRADE', funding: 'MAIN', margin: 'MARGIN', futures: 'CONTRACT', isolated: 'ISOLATED',
+      },
     };
   }
 
@@ -81,6 +130,8 @@ class KuCoin extends BaseExchange {
     this._wsPrivateAuthenticated = false;
     this._wsToken = null;
     this._wsPrivateToken = null;
+    this._wsFuturesToken = null;
+    this._wsFuturesPublicToken = null;
     this._pingTimers = new Map();
   }
 
@@ -98,6 +149,9 @@ class KuCoin extends BaseExchange {
   _sign(path, method, params) {
     this.checkRequiredCredentials();
 
+    // Futures calls arrive as absolute URLs (see _futuresRequest); sign the path only
+    if (path.startsWith(this.urls.futures)) path = path.slice(this.urls.futures.length);
+
     const timestamp = String(Date.now());
 
     // Build prehash: timestamp + METHOD + path (+ query or body)
@@ -254,6 +308,30 @@ class KuCoin extends BaseExchange {
     return symbol.replace('-', '/');
   }
 
+  /**
+   * Convert a unified contract symbol to a KuCoin Futures symbol (BTC is XBT there).
+   * BTC/USDT:USDT → XBTUSDTM, BTC/USD:BTC → XBTUSDM
+   */
+  _toKucoinContract(symbol) {
+    const parts = this._symbolParts(symbol);
+    if (!parts) return symbol;
+    return (parts.base === 'BTC' ? 'XBT' : parts.base) + parts.quote + 'M';
+  }
+
+  /**
+   * Convert a KuCoin Futures symbol to unified format.
+   * XBTUSDTM → BTC/USDT:USDT, ETHUSDM → ETH/USD:ETH
+   */
+  _fromKucoinContract(id, settle = undefined) {
+    if (!id || !id.endsWith('M')) return id;
+    const core = id.slice(0, -1);
+    const quote = ['USDT', 'USDC', 'USD'].find((q) => core.endsWith(q) && core.length > q.length);
+    if (!quote) return id;
+    const code = (c) => (c === 'XBT' ? 'BTC' : c);
+    const base = code(core.slice(0, -quote.length));
+    return this._contractSymbol(base, quote, settle ? code(settle) : (quote === 'USD' ? base : quote));
+  }
+
   /**
    * Generate unique clientOid for orders.
    */
@@ -378,7 +456,7 @@ class KuCoin extends BaseExchange {
       asks: (result.asks || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
       timestamp: safeInteger(result, 'time') || Date.now(),
       datetime: iso8601(safeInteger(result, 'time') || Date.now()),
-      nonce: safeString(result, 'sequence'),
+      nonce: safeInteger(result, 'sequence'),
     };
   }
 
@@ -427,14 +505,48 @@ class KuCoin extends BaseExchange {
   }
 
   // ===========================================================================
-  // TRADING — PRIVATE (7 endpoints)
+  // TRADING — PRIVATE (11 endpoints)
   // ===========================================================================
 
+  /**
+   * Place an order: POST /api/v1/orders, or /api/v1/stop-order for triggers. With
+   * params.marginMode it goes to /api/v1/margin/order (marginModel cross / isolated;
+   * autoBorrow / autoRepay pass through), or to stop-order with a margin tradeType.
+   */
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    const margin = this._marginOrderParams(params);
+    const request = this._createOrderRequest(symbol, type, side, amount, price, margin.params);
+    let path = request.stop ? '/api/v1/stop-order' : '/api/v1/orders';
+    if (margin.marginMode && request.stop) {
+      request.tradeType = margin.marginMode === 'isolated' ? 'MARGIN_ISOLATED_TRADE' : 'MARGIN_TRADE';
+    } else if (margin.marginMode) {
+      path = '/api/v1/margin/order';
+      request.marginModel = margin.marginMode;
+    }
+    const data = await this._request('POST', path, request, true, 1);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result, request.clientOid);
+  }
+
+  /**
+   * Build an order body: /api/v1/orders, or /api/v1/stop-order when it carries `stop`.
+   */
+  _createOrderRequest(symbol, type, side, amount, price, params) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+
+    const conditional = this._conditionalOrderParams(side, params);
+    if (conditional.kind === 'trailing') {
+      throw new InvalidOrder(this.id + ' createOrder() does not support trailing stops');
+    }
+    const execution = this._orderExecutionParams(type, conditional.params);
+    const client = this._clientOrderIdParams(execution.params);
+    params = client.params;
 
     const kcSymbol = this._toKucoinSymbol(symbol);
-    const clientOid = params.clientOid || this._generateClientOid();
+    // clientOid is mandatory: the unified clientOrderId, a raw clientOid, or a fresh UUID
+    const clientOid = client.clientOrderId || params.clientOid || this._generateClientOid();
 
     const request = {
       clientOid,
@@ -444,17 +556,27 @@ class KuCoin extends BaseExchange {
     };
 
     if (type.toLowerCase() === 'limit') {
-      request.size = String(amount);
+      request.size = numberToString(amount);
       if (price !== undefined && price !== null) {
-        request.price = String(price);
+        request.price = numberToString(price);
       }
     } else {
       // Market order — size is in base currency for sell, funds for buy
-      request.size = String(amount);
+      request.size = numberToString(amount);
     }
 
-    if (params.timeInForce) {
-      request.timeInForce = params.timeInForce;
+    // Limit orders: timeInForce GTC/GTT/IOC/FOK; post-only is a separate flag on GTC
+    if (execution.postOnly) {
+      request.timeInForce = 'GTC';
+      request.postOnly = true;
+    } else if (execution.timeInForce || params.timeInForce) {
+      request.timeInForce = execution.timeInForce || params.timeInForce;
+    }
+
+    // Stop orders: stop=loss triggers when the price falls to stopPrice, stop=entry when it rises
+    if (conditional.kind) {
+      request.stop = conditional.direction === 'down' ? 'loss' : 'entry';
+      request.stopPrice = String(conditional.triggerPrice);
     }
 
     // Spread remaining params
@@ -464,16 +586,78 @@ class KuCoin extends BaseExchange {
         request[k] = v;
       }
     }
+    return request;
+  }
 
-    const data = await this._request('POST', '/api/v1/orders', request, true, 1);
+  /**
+   * Place up to 5 orders per request. POST /api/v1/hf/orders/multi
+   * Orders may mix symbols; each result has success and, on failure, failMsg.
+   * Stop orders are rejected here. There is no batch cancel by id, so cancelOrders()
+   * sends single cancels.
+   */
+  async createOrders(orders, params = {}) {
+    this.checkRequiredCredentials();
+    return this._sendBatch(orders, 5, (o) => {
+      const request = this._createOrderRequest(o.symbol, o.type, o.side, o.amount, o.price, { ...params, ...(o.params || {}) });
+      if (request.stop) throw new InvalidOrder(this.id + ' createOrders() cannot batch stop orders');
+      return request;
+    }, async (entries) => {
+      const data = await this._request('POST', '/api/v1/hf/orders/multi', { orderList: entries }, true, 1);
+      const list = this._unwrapResponse(data) || [];
+      return entries.map((entry, i) => {
+        const item = list[i] || {};
+        if (item.success === false) {
+          return { success: false, error: new InvalidOrder(this.id + ' ' + (item.failMsg || 'order rejected')) };
+        }
+        const order = this._parseOrderCreateResult(item, item.clientOid || entry.clientOid);
+        return { success: true, order: { ...order, symbol: this._fromKucoinSymbol(entry.symbol) } };
+      });
+    });
+  }
+
+  /**
+   * Modify an order. POST /api/v1/hf/orders/alter
+   * KuCoin HF cancels the original and places a new order with newSize/newPrice, so
+   * the returned id is the new order's (newOrderId). Omitted amount or price are kept.
+   */
+  async editOrder(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    const request = {
+      symbol: this._toKucoinSymbol(symbol),
+      orderId: id,
+      ...params,
+    };
+    if (amount !== undefined && amount !== null) request.newSize = numberToString(amount);
+    if (price !== undefined && price !== null) request.newPrice = numberToString(price);
+
+    const data = await this._request('POST', '/api/v1/hf/orders/alter', request, true, 1);
     const result = this._unwrapResponse(data);
-    return this._parseOrderCreateResult(result, clientOid);
+    const order = this._parseOrderCreateResult({ orderId: result.newOrderId }, result.clientOid);
+    return this._editedOrder({ ...order, symbol, info: result }, type, side, amount, price);
   }
 
+  /**
+   * Cancel by order id, or by params.clientOrderId via /api/v1/order/client-order/{clientOid}.
+   */
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    const ref = this._orderReference('cancelOrder', id, params);
+    if (ref.clientOrderId !== undefined) {
+      const data = await this._request('DELETE', '/api/v1/order/client-order/' + encodeURIComponent(ref.clientOrderId), ref.params, true, 1);
+      const result = this._unwrapResponse(data);
+      return {
+        id: result?.cancelledOrderId,
+        clientOrderId: ref.clientOrderId,
+        symbol,
+        status: 'CANCELED',
+        cancelledOrderIds: result?.cancelledOrderId ? [result.cancelledOrderId] : [],
+        info: result,
+      };
+    }
+    id = ref.id;
     const path = '/api/v1/orders/' + id;
-    const data = await this._request('DELETE', path, params, true, 1);
+    const data = await this._request('DELETE', path, ref.params, true, 1);
     const result = this._unwrapResponse(data);
     return {
       id,
@@ -498,14 +682,20 @@ class KuCoin extends BaseExchange {
     };
   }
 
+  /**
+   * Fetch by order id, or by params.clientOrderId via /api/v1/order/client-order/{clientOid}.
+   */
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
-    const path = '/api/v1/orders/' + id;
-    const data = await this._request('GET', path, params, true, 1);
+    const ref = this._orderReference('fetchOrder', id, params);
+    const path = ref.id !== undefined
+      ? '/api/v1/orders/' + ref.id
+      : '/api/v1/order/client-order/' + encodeURIComponent(ref.clientOrderId);
+    const data = await this._request('GET', path, ref.params, true, 1);
     const result = this._unwrapResponse(data);
 
     if (!result) {
-      throw new OrderNotFound(this.id + ' order not found: ' + id);
+      throw new OrderNotFound(this.id + ' order not found: ' + (ref.id || ref.clientOrderId));
     }
     return this._parseOrder(result);
   }
@@ -552,9 +742,16 @@ class KuCoin extends BaseExchange {
   // ACCOUNT — PRIVATE (2 endpoints)
   // ===========================================================================
 
+  /**
+   * Balances of one account type: the trade account unless params.account (or type) names
+   * another. The margin account is read with debts; see _fetchMarginBalance().
+   */
   async fetchBalance(params = {}) {
     this.checkRequiredCredentials();
-    const request = { type: 'trade', ...params };
+    const target = this._balanceParams(params);
+    if (target.marginMode) return this._fetchMarginBalance(target.marginMode, target.params);
+    const account = target.account;
+    const request = { type: account ? String(this._accountId(account)).toLowerCase() : 'trade', ...target.params };
     const data = await this._request('GET', '/api/v1/accounts', request, true, 1);
     const result = this._unwrapResponse(data);
 
@@ -608,6 +805,546 @@ class KuCoin extends BaseExchange {
     return symbol ? (fees[symbol] || fees[this._fromKucoinSymbol(symbol)] || {}) : fees;
   }
 
+  // ===========================================================================
+  // FUNDING — PRIVATE (6 endpoints)
+  // ===========================================================================
+
+  /**
+   * Deposit address on a chain. GET /api/v3/deposit-addresses
+   * Without params.network the first chain KuCoin returns is used.
+   */
+  async fetchDepositAddress(code, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...rest } = params;
+    const chain = this._networkId(network);
+    const request = { currency: String(code).toUpperCase(), ...rest };
+    if (chain) request.chain = chain;
+    const data = await this._request('GET', '/api/v3/deposit-addresses', request, true, 1);
+    const result = this._unwrapResponse(data);
+    const list = Array.isArray(result) ? result : (result ? [result] : []);
+    if (list.length === 0) {
+      throw new BadRequest(this.id + ' fetchDepositAddress() found no ' + code + ' address, call createDepositAddress() first');
+    }
+    return this._parseDepositAddress(list[0], code);
+  }
+
+  /**
+   * Create a deposit address for the main account. POST /api/v3/deposit-address/create
+   */
+  async createDepositAddress(code, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...rest } = params;
+    const chain = this._networkId(network);
+    const request = { currency: String(code).toUpperCase(), to: 'main', ...rest };
+    if (chain) request.chain = chain;
+    const data = await this._request('POST', '/api/v3/deposit-address/create', request, true, 1);
+    return this._parseDepositAddress(this._unwrapResponse(data) || {}, code);
+  }
+
+  /**
+   * Deposit history. GET /api/v1/deposits
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/api/v1/deposits',
+      this._fundingHistoryRequest(code, since, limit, params), true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return (result.items || []).map((d) => this._parseTransaction(d, 'deposit'));
+  }
+
+  /**
+   * Withdrawal history. GET /api/v1/withdrawals
+   */
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/api/v1/withdrawals',
+      this._fundingHistoryRequest(code, since, limit, params), true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return (result.items || []).map((w) => this._parseTransaction(w, 'withdrawal'));
+  }
+
+  _fundingHistoryRequest(code, since, limit, params) {
+    const request = { ...params };
+    if (code) request.currency = String(code).toUpperCase();
+    if (since) request.startAt = since;
+    if (limit) request.pageSize = limit;
+    return request;
+  }
+
+  /**
+   * Withdraw to an address. POST /api/v3/withdrawals
+   * Without params.network KuCoin uses the currency's default chain.
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._withdrawArgs(code, amount, address, tag, params);
+    const request = {
+      currency: String(code).toUpperCase(),
+      toAddress: address,
+      amount: numberToString(amount),
+      withdrawType: 'ADDRESS',
+      ...args.params,
+    };
+    if (args.tag) request.memo = args.tag;
+    if (args.network) request.chain = args.network;
+    const data = await this._request('POST', '/api/v3/withdrawals', request, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return {
+      ...this._parseTransaction({
+        id: result.withdrawalId,
+        currency: request.currency,
+        chain: request.chain,
+        address,
+        memo: request.memo,
+        amount: request.amount,
+        status: 'PROCESSING',
+      }, 'withdrawal'),
+      info: result,
+    };
+  }
+
+  /**
+   * Withdrawal fee per chain. GET /api/v3/currencies
+   */
+  async fetchDepositWithdrawFees(codes = undefined, params = {}) {
+    const data = await this._request('GET', '/api/v3/currencies', { ...params }, false, 1);
+    const wanted = codes ? codes.map((c) => String(c).toUpperCase()) : undefined;
+    const fees = {};
+    for (const c of this._unwrapResponse(data) || []) {
+      if (wanted && !wanted.includes(c.currency)) continue;
+      const networks = {};
+      for (const chain of c.chains || []) {
+        networks[this._networkCode(chain.chainId)] = {
+          withdraw: { fee: safeFloat(chain, 'withdrawalMinFee'), percentage: false },
+          deposit: { fee: undefined, percentage: undefined },
+        };
+      }
+      const only = Object.values(networks);
+      fees[c.currency] = {
+        info: c,
+        withdraw: only.length === 1 ? only[0].withdraw : { fee: undefined, percentage: undefined },
+        deposit: { fee: undefined, percentage: undefined },
+        networks,
+      };
+    }
+    return fees;
+  }
+
+  // ===========================================================================
+  // TRANSFERS — PRIVATE (2 endpoints)
+  // ===========================================================================
+
+  /**
+   * Move funds between account types. POST /api/v3/accounts/universal-transfer
+   * params.toSubAccount (sub-account UID) makes it PARENT_TO_SUB, params.fromSubAccount
+   * SUB_TO_PARENT.
+   */
+  async transfer(code, amount, fromAccount, toAccount, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._transferArgs(code, amount, fromAccount, toAccount, params);
+    const request = {
+      clientOid: crypto.randomUUID(),
+      type: 'INTERNAL',
+      currency: String(code).toUpperCase(),
+      amount: numberToString(amount),
+      fromAccountType: args.from,
+      toAccountType: args.to,
+    };
+    if (args.fromSubAccount && args.toSubAccount) {
+      throw new BadRequest(this.id + ' transfer() cannot move funds between two sub-accounts');
+    } else if (args.toSubAccount) {
+      request.type = 'PARENT_TO_SUB';
+      request.toUserId = args.toSubAccount;
+    } else if (args.fromSubAccount) {
+      request.type = 'SUB_TO_PARENT';
+      request.fromUserId = args.fromSubAccount;
+    }
+    Object.assign(request, args.params);
+    const data = await this._request('POST', '/api/v3/accounts/universal-transfer', request, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return {
+      id: safeString(result, 'orderId'),
+      currency: request.currency,
+      amount: Number(amount),
+      fromAccount: this._accountName(request.fromAccountType),
+      toAccount: this._accountName(request.toAccountType),
+      fromSubAccount: request.fromUserId,
+      toSubAccount: request.toUserId,
+      status: 'ok',
+      timestamp: undefined,
+      datetime: undefined,
+      info: result,
+    };
+  }
+
+  /**
+   * Transfer entries from the account ledger (bizType TRANSFER). GET /api/v1/accounts/ledgers
+   * Each entry is one side of a transfer, so only the account it touched is known.
+   */
+  async fetchTransfers(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { bizType: 'TRANSFER', ...params };
+    if (code) request.currency = String(code).toUpperCase();
+    if (since) request.startAt = since;
+    if (limit) request.pageSize = limit;
+    const data = await this._request('GET', '/api/v1/accounts/ledgers', request, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return (result.items || []).map((t) => this._parseTransfer(t));
+  }
+
+  // ===========================================================================
+  // LEDGER — PRIVATE (1 endpoint)
+  // ===========================================================================
+
+  /**
+   * Account ledgers of all account types. GET /api/v1/accounts/ledgers
+   */
+  async fetchLedger(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.currency = String(code).toUpperCase();
+    if (since) request.startAt = since;
+    if (limit) request.pageSize = Math.min(limit, 500);
+    const data = await this._request('GET', '/api/v1/accounts/ledgers', request, true, 2);
+    const result = this._unwrapResponse(data) || {};
+    const entries = (result.items || []).map((e) => this._parseLedgerEntry(e)).reverse();
+    return this._ledgerPage(entries, since, limit);
+  }
+
+  // ===========================================================================
+  // MARGIN — PRIVATE (6 endpoints)
+  // ===========================================================================
+
+  /**
+   * Borrow on cross margin, or for the isolated pair `symbol`. POST /api/v3/margin/borrow
+   * Borrowing is an IOC order against the lending market; `amount` is what it filled.
+   */
+  async borrowMargin(code, amount, symbol = undefined, params = {}) {
+    const currency = this._marginLoanArgs('borrowMargin', code, amount);
+    return this._marginLoanRequest('/api/v3/margin/borrow', currency, amount, symbol, { timeInForce: 'IOC', ...params });
+  }
+
+  /**
+   * Repay a cross or isolated loan. POST /api/v3/margin/repay
+   */
+  async repayMargin(code, amount, symbol = undefined, params = {}) {
+    const currency = this._marginLoanArgs('repayMargin', code, amount);
+    return this._marginLoanRequest('/api/v3/margin/repay', currency, amount, symbol, params);
+  }
+
+  async _marginLoanRequest(path, currency, amount, symbol, params) {
+    this.checkRequiredCredentials();
+    const request = { currency, size: numberToString(amount), isIsolated: Boolean(symbol), ...params };
+    if (symbol) request.symbol = this._toKucoinSymbol(symbol);
+    const data = await this._request('POST', path, request, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    return this._marginLoan({
+      info: result,
+      id: safeString(result, 'orderNo'),
+      currency,
+      amount: safeFloat(result, 'actualSize') || amount,
+      symbol,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Hourly borrow rate at the account's VIP level. GET /api/v3/margin/borrowRate
+   */
+  async fetchBorrowRate(code, params = {}) {
+    this.checkRequiredCredentials();
+    const currency = String(code).toUpperCase();
+    const data = await this._request('GET', '/api/v3/margin/borrowRate', { currency, ...params }, true, 1);
+    const result = this._unwrapResponse(data) || {};
+    const entry = (result.items || []).find((i) => i.currency === currency) || {};
+    return this._borrowRate({
+      info: entry,
+      currency,
+      rate: safeFloat(entry, 'hourlyBorrowRate'),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Interest charged on cross loans, or on the isolated pair `symbol`.
+   * GET /api/v3/margin/interest — interestRate is KuCoin's daily rate (dayRatio).
+   */
+  async fetchBorrowInterest(code = undefined, symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { isIsolated: Boolean(symbol), ...params };
+    if (code) request.currency = String(code).toUpperCase();
+    if (symbol) request.symbol = this._toKucoinSymbol(symbol);
+    if (since) request.startTime = since;
+    if (limit) request.pageSize = Math.min(limit, 500);
+    const data = await this._request('GET', '/api/v3/margin/interest', request, true, 2);
+    const result = this._unwrapResponse(data) || {};
+    return (result.items || [])
+      .map((i) => this._borrowInterest({
+        info: i,
+        currency: safeString(i, 'currency'),
+        symbol,
+        interest: safeFloat(i, 'interestAmount'),
+        interestRate: safeFloat(i, 'dayRatio'),
+        timestamp: safeInteger(i, 'createdTime'),
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Margin balances with each currency's liability as debt.
+   * Cross: GET /api/v3/margin/accounts. Isolated: GET /api/v3/isolated/accounts, for
+   * params.symbol or every pair (a currency held in several pairs is summed).
+   */
+  async _fetchMarginBalance(marginMode, params = {}) {
+    const { symbol, ...rest } = params;
+    let rows;
+    let result;
+    if (marginMode === 'isolated') {
+      const request = { ...rest };
+      if (symbol) request.symbol = this._toKucoinSymbol(symbol);
+      const data = await this._request('GET', '/api/v3/isolated/accounts', request, true, 15);
+      result = this._unwrapResponse(data) || {};
+      rows = (result.assets || []).flatMap((a) => [a.baseAsset, a.quoteAsset]).filter(Boolean);
+    } else {
+      const data = await this._request('GET', '/api/v3/margin/accounts', rest, true, 15);
+      result = this._unwrapResponse(data) || {};
+      rows = result.accounts || [];
+    }
+    const balance = {
+      info: result,
+      timestamp: Date.now(),
+      datetime: iso8601(Date.now()),
+    };
+    for (const row of rows) {
+      const free = parseFloat(row.available || '0');
+      const used = parseFloat(row.hold || '0');
+      const debt = parseFloat(row.liability || '0');
+      if (free === 0 && used === 0 && debt === 0) continue;
+      const prev = balance[row.currency] || { free: 0, used: 0, total: 0, debt: 0 };
+      balance[row.currency] = {
+        free: prev.free + free,
+        used: prev.used + used,
+        total: prev.total + free + used,
+        debt: prev.debt + debt,
+      };
+    }
+    return balance;
+  }
+
+  // ===========================================================================
+  // DERIVATIVES MARKET DATA — PUBLIC (4 endpoints) — KuCoin Futures
+  // ===========================================================================
+
+  /**
+   * Funding of a perpetual from its contract details. GET /api/v1/contracts/{symbol}
+   */
+  async fetchFundingRate(symbol, params = {}) {
+    const data = await this._futuresRequest('GET', '/api/v1/contracts/' + this._toKucoinContract(symbol), params, 1, false);
+    return this._parseFundingRate(this._unwrapResponse(data) || {});
+  }
+
+  /**
+   * Funding of every active perpetual. GET /api/v1/contracts/active
+   */
+  async fetchFundingRates(symbols = undefined, params = {}) {
+    const data = await this._futuresRequest('GET', '/api/v1/contracts/active', params, 1, false);
+    const rates = {};
+    for (const c of (this._unwrapResponse(data) || [])) {
+      if (safeFloat(c, 'fundingFeeRate') === undefined) continue;
+      const rate = this._parseFundingRate(c);
+      if (!symbols || symbols.includes(rate.symbol)) rates[rate.symbol] = rate;
+    }
+    return rates;
+  }
+
+  /**
+   * Settled funding rates. GET /api/v1/contract/funding-rates
+   * KuCoin needs both from and to; without since the last seven days are queried.
+   */
+  async fetchFundingRateHistory(symbol, since = undefined, limit = undefined, params = {}) {
+    const id = this._toKucoinContract(symbol);
+    const to = params.to || Date.now();
+    const request = { symbol: id, from: since || to - 7 * 86400000, to, ...params };
+    const data = await this._futuresRequest('GET', '/api/v1/contract/funding-rates', request, 1, false);
+    const unified = this._fromKucoinContract(id);
+    const history = (this._unwrapResponse(data) || [])
+      .map((r) => {
+        const timestamp = safeInteger(r, 'timepoint');
+        return { info: r, symbol: unified, fundingRate: safeFloat(r, 'fundingRate'), timestamp, datetime: iso8601(timestamp) };
+      })
+      .sort((a, b) => a.timestamp - b.timestamp);
+    return limit ? history.slice(0, limit) : history;
+  }
+
+  /**
+   * Open interest from the contract details; openInterest counts contracts of
+   * `multiplier` base units each. GET /api/v1/contracts/{symbol}
+   */
+  async fetchOpenInterest(symbol, params = {}) {
+    const data = await this._futuresRequest('GET', '/api/v1/contracts/' + this._toKucoinContract(symbol), params, 1, false);
+    const c = this._unwrapResponse(data) || {};
+    const amount = safeFloat(c, 'openInterest');
+    const multiplier = safeFloat(c, 'multiplier') || 1;
+    const mark = safeFloat(c, 'markPrice');
+    return this._openInterest({
+      info: c,
+      symbol: this._fromKucoinContract(safeString(c, 'symbol'), safeString(c, 'settleCurrency')),
+      openInterestAmount: amount,
+      openInterestValue: amount !== undefined && mark !== undefined ? amount * multiplier * mark : undefined,
+      timestamp: Date.now(),
+    });
+  }
+
+  // ===========================================================================
+  // POSITIONS — PRIVATE (2 endpoints) — KuCoin Futures
+  // ===========================================================================
+
+  /**
+   * Call to the KuCoin Futures API. Same keys and signing as spot on another host, so
+   * the path goes out as an absolute URL; _sign() signs the path part.
+   */
+  async _futuresRequest(method, path, params = {}, weight = 1, signed = true) {
+    return this._request(method, this.urls.futures + path, params, signed, weight);
+  }
+
+  /**
+   * Open futures positions. GET /api/v1/positions on api-futures.kucoin.com
+   */
+  async fetchPositions(symbols = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._futuresRequest('GET', '/api/v1/positions', { ...params }, 2);
+    const positions = (this._unwrapResponse(data) || [])
+      .map((p) => this._parsePosition(p))
+      .filter((p) => p.contracts);
+    return symbols ? positions.filter((p) => symbols.includes(p.symbol)) : positions;
+  }
+
+  /**
+   * Close a position at market. POST /api/v1/orders with closeOrder=true, which closes
+   * the whole position; side and size are ignored by KuCoin.
+   */
+  async closePosition(symbol, side = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = {
+      clientOid: this._generateClientOid(),
+      symbol: this._toKucoinContract(symbol),
+      type: 'market',
+      closeOrder: true,
+      ...params,
+    };
+    const data = await this._futuresRequest('POST', '/api/v1/orders', request, 2);
+    const result = this._unwrapResponse(data) || {};
+    return {
+      id: safeString(result, 'orderId'),
+      clientOrderId: safeString(result, 'clientOid') || request.clientOid,
+      symbol,
+      status: 'NEW',
+      info: result,
+    };
+  }
+
+  // ===========================================================================
+  // LEVERAGE & MARGIN — PRIVATE (6 endpoints) — KuCoin Futures
+  // ===========================================================================
+
+  /**
+   * Set cross-margin leverage. POST /api/v2/changeCrossUserLeverage
+   * Isolated positions take their leverage per order (params.leverage on createOrder).
+   */
+  async setLeverage(leverage, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' setLeverage() requires symbol');
+    const request = { symbol: this._toKucoinContract(symbol), leverage: String(leverage), ...params };
+    const data = await this._futuresRequest('POST', '/api/v2/changeCrossUserLeverage', request);
+    return this._leverage({
+      info: this._unwrapResponse(data),
+      symbol,
+      marginMode: 'cross',
+      longLeverage: parseFloat(request.leverage),
+      shortLeverage: parseFloat(request.leverage),
+    });
+  }
+
+  /**
+   * Margin mode (GET /api/v2/position/getMarginMode) and, in cross mode, the leverage
+   * from GET /api/v2/getCrossUserLeverage. Isolated leverage is per order, so undefined.
+   */
+  async fetchLeverage(symbol, params = {}) {
+    this.checkRequiredCredentials();
+    const id = this._toKucoinContract(symbol);
+    const modeData = await this._futuresRequest('GET', '/api/v2/position/getMarginMode', { symbol: id, ...params });
+    const mode = this._unwrapResponse(modeData) || {};
+    const marginMode = safeStringLower(mode, 'marginMode');
+    let info = mode;
+    let leverage;
+    if (marginMode === 'cross') {
+      const data = await this._futuresRequest('GET', '/api/v2/getCrossUserLeverage', { symbol: id, ...params });
+      info = this._unwrapResponse(data) || {};
+      leverage = safeFloat(info, 'leverage');
+    }
+    return this._leverage({ info, symbol, marginMode, longLeverage: leverage, shortLeverage: leverage });
+  }
+
+  /**
+   * Switch a contract between cross and isolated margin. POST /api/v2/position/changeMarginMode
+   */
+  async setMarginMode(marginMode, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' setMarginMode() requires symbol');
+    const mode = this._checkMarginMode(marginMode);
+    const request = { symbol: this._toKucoinContract(symbol), marginMode: mode.toUpperCase(), ...params };
+    const data = await this._futuresRequest('POST', '/api/v2/position/changeMarginMode', request);
+    return { info: this._unwrapResponse(data), symbol, marginMode: mode };
+  }
+
+  /**
+   * Isolated margin. Adding uses POST /api/v1/position/margin/deposit-margin (returns the
+   * position); reducing uses POST /api/v1/margin/withdrawMargin (returns the amount).
+   */
+  async _modifyMargin(symbol, amount, type, params) {
+    this.checkRequiredCredentials();
+    const id = this._toKucoinContract(symbol);
+    let result;
+    let total;
+    if (type === 'add') {
+      const request = { symbol: id, margin: amount, bizNo: this._generateClientOid(), ...params };
+      const data = await this._futuresRequest('POST', '/api/v1/position/margin/deposit-margin', request);
+      result = this._unwrapResponse(data) || {};
+      total = safeFloat(result, 'posMargin');
+    } else {
+      const request = { symbol: id, withdrawAmount: numberToString(amount), ...params };
+      const data = await this._futuresRequest('POST', '/api/v1/margin/withdrawMargin', request);
+      result = this._unwrapResponse(data);
+    }
+    return this._marginModification({
+      info: result,
+      symbol,
+      type,
+      amount,
+      total,
+      code: safeString(result, 'settleCurrency'),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Risk limit levels. GET /api/v1/contracts/risk-limit/{symbol}
+   * Bounds are position values in the settle currency.
+   */
+  async fetchMarketLeverageTiers(symbol, params = {}) {
+    const id = this._toKucoinContract(symbol);
+    const data = await this._futuresRequest('GET', '/api/v1/contracts/risk-limit/' + id, params, 1, false);
+    const levels = (this._unwrapResponse(data) || []).slice().sort((a, b) => safeInteger(a, 'level') - safeInteger(b, 'level'));
+    return this._leverageTiers(symbol, levels.map((l) => ({
+      info: l,
+      tier: safeInteger(l, 'level'),
+      minNotional: safeFloat(l, 'minRiskLimit'),
+      maxNotional: safeFloat(l, 'maxRiskLimit'),
+      maintenanceMarginRate: safeFloat(l, 'maintainMargin'),
+      maxLeverage: safeFloat(l, 'maxLeverage'),
+    })));
+  }
+
   // ===========================================================================
   // WEBSOCKET — Token-based (Public + Private)
   // ===========================================================================
@@ -616,10 +1353,10 @@ class KuCoin extends BaseExchange {
     if (this._wsClients.has(url)) {
       return this._wsClients.get(url);
     }
-    const client = new WsClient({
+    const client = new WsClient(this._wsClientOptions({
       url,
       pingInterval: 0, // Disable native ping — KuCoin uses app-level
-    });
+    }));
     this._wsClients.set(url, client);
     return client;
   }
@@ -669,8 +1406,8 @@ class KuCoin extends BaseExchange {
     return this._wsPrivateToken;
   }
 
-  async _subscribePublic(topic, callback) {
-    const wsUrl = await this._getPublicWsUrl();
+  async _subscribePublic(topic, callback, url = undefined) {
+    const wsUrl = url || await this._getPublicWsUrl();
     const client = await this._ensureWsConnected(wsUrl);
     const id = String(Date.now());
 
@@ -694,8 +1431,35 @@ class KuCoin extends BaseExchange {
     return key;
   }
 
-  async _subscribePrivate(topic, callback) {
-    const wsUrl = await this._getPrivateWsUrl();
+  /**
+   * Public token for the futures stream: POST /api/v1/bullet-public on the futures host.
+   */
+  async _getFuturesPublicWsUrl() {
+    if (this._wsFuturesPublicToken) return this._wsFuturesPublicToken;
+    const data = await this._futuresRequest('POST', '/api/v1/bullet-public', {}, 1, false);
+    const result = this._unwrapResponse(data);
+    const server = result.instanceServers[0];
+    const connectId = String(Date.now());
+    this._wsFuturesPublicToken = server.endpoint + '?token=' + result.token + '&connectId=' + connectId;
+    return this._wsFuturesPublicToken;
+  }
+
+  /**
+   * Private token for the futures stream: POST /api/v1/bullet-private on the futures host.
+   */
+  async _getFuturesPrivateWsUrl() {
+    if (this._wsFuturesToken) return this._wsFuturesToken;
+    this.checkRequiredCredentials();
+    const data = await this._futuresRequest('POST', '/api/v1/bullet-private', {}, 1);
+    const result = this._unwrapResponse(data);
+    const server = result.instanceServers[0];
+    const connectId = String(Date.now());
+    this._wsFuturesToken = server.endpoint + '?token=' + result.token + '&connectId=' + connectId;
+    return this._wsFuturesToken;
+  }
+
+  async _subscribePrivate(topic, callback, url = undefined) {
+    const wsUrl = url || await this._getPrivateWsUrl();
     const client = await this._ensureWsConnected(wsUrl);
     const id = String(Date.now());
 
@@ -732,15 +1496,18 @@ class KuCoin extends BaseExchange {
   async watchOrderBook(symbol, callback, depth = 5) {
     const kcSymbol = this._toKucoinSymbol(symbol);
     const topic = '/market/level2:' + kcSymbol;
+    // Delta-only channel: seeded from a REST snapshot and validated by sequenceStart/sequenceEnd
     return this._subscribePublic(topic, (msg) => {
       if (msg.data) {
-        callback({
-          symbol,
-          type: msg.subject === 'trade.l2update' ? 'update' : 'snapshot',
-          changes: msg.data.changes || {},
-          timestamp: safeInteger(msg.data, 'sequenceStart') || Date.now(),
-          nonce: safeString(msg.data, 'sequenceEnd'),
-        });
+        const changes = msg.data.changes || {};
+        this._handleOrderBookMessage(symbol, {
+          snapshot: false,
+          bids: (changes.bids || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+          asks: (changes.asks || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+          timestamp: safeInteger(msg.data, 'time') || Date.now(),
+          firstNonce: safeInteger(msg.data, 'sequenceStart'),
+          nonce: safeInteger(msg.data, 'sequenceEnd'),
+        }, callback, { limit: depth, fetchSnapshot: true, snapshotLimit: 100 });
       }
     });
   }
@@ -822,15 +1589,68 @@ class KuCoin extends BaseExchange {
     });
   }
 
+  /**
+   * Futures position changes. Topic /contract/positionAll on the futures stream; only
+   * position.change messages carry a position (settlements carry funding fees).
+   */
+  async watchPositions(callback) {
+    this.checkRequiredCredentials();
+    const wsUrl = await this._getFuturesPrivateWsUrl();
+    return this._subscribePrivate('/contract/positionAll', (msg) => {
+      if (msg.data && msg.subject === 'position.change') {
+        callback(this._parsePosition(msg.data));
+      }
+    }, wsUrl);
+  }
+
+  /**
+   * Funding updates of a perpetual. Topic: /contract/instrument:{symbol}, subject
+   * funding.rate — the push has the rate and its granularity but no settlement time.
+   */
+  async watchFundingRate(symbol, callback) {
+    const id = this._toKucoinContract(symbol);
+    const wsUrl = await this._getFuturesPublicWsUrl();
+    return this._subscribePublic('/contract/instrument:' + id, (msg) => {
+      if (msg.data && msg.subject === 'funding.rate') {
+        callback(this._parseFundingRate({ symbol: id, ...msg.data }));
+      }
+    }, wsUrl);
+  }
+
+  /**
+   * Mark and index price. Topic: /contract/instrument:{symbol}, subject mark.index.price
+   */
+  async watchMarkPrice(symbol, callback) {
+    const id = this._toKucoinContract(symbol);
+    const unified = this._fromKucoinContract(id);
+    const wsUrl = await this._getFuturesPublicWsUrl();
+    return this._subscribePublic('/contract/instrument:' + id, (msg) => {
+      if (msg.data && msg.subject === 'mark.index.price') {
+        const timestamp = safeInteger(msg.data, 'timestamp');
+        callback({
+          symbol: unified,
+          markPrice: safeFloat(msg.data, 'markPrice'),
+          indexPrice: safeFloat(msg.data, 'indexPrice'),
+          timestamp,
+          datetime: iso8601(timestamp),
+          info: msg.data,
+        });
+      }
+    }, wsUrl);
+  }
+
   async closeAllWs() {
     for (const [, client] of this._wsClients) {
       await client.close();
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
     this._wsPrivateAuthenticated = false;
     this._wsToken = null;
     this._wsPrivateToken = null;
+    this._wsFuturesToken = null;
+    this._wsFuturesPublicToken = null;
     for (const [, timer] of this._pingTimers) {
       clearInterval(timer);
     }
@@ -939,7 +1759,8 @@ class KuCoin extends BaseExchange {
       cost: dealFunds,
       average: avgPrice,
       status: this._normalizeStatus(isActive, data.dealSize),
-      timeInForce: safeString(data, 'timeInForce'),
+      timeInForce: data.postOnly === true ? 'PO' : safeString(data, 'timeInForce'),
+      postOnly: data.postOnly === true,
       timestamp: ts,
       datetime: ts ? iso8601(ts) : undefined,
       trades: [],
@@ -1027,6 +1848,152 @@ class KuCoin extends BaseExchange {
       info: data,
     };
   }
+
+  _parseDepositAddress(data, code) {
+    return {
+      info: data,
+      currency: safeString(data, 'currency') || String(code).toUpperCase(),
+      network: this._networkCode(safeString2(data, 'chainId', 'chain')),
+      address: safeString(data, 'address'),
+      tag: safeString(data, 'memo') || undefined,
+    };
+  }
+
+  /**
+   * Deposit or withdrawal item. walletTxId carries '@<output index>' on some chains.
+   */
+  _parseTransaction(data, type) {
+    const statuses = { PROCESSING: 'pending', WALLET_PROCESSING: 'pending', REVIEW: 'pending', SUCCESS: 'ok', FAILURE: 'failed' };
+    const raw = safeString(data, 'status');
+    const walletTxId = safeString(data, 'walletTxId');
+    const timestamp = safeInteger(data, 'createdAt');
+    const currency = safeString(data, 'currency');
+    const fee = safeFloat(data, 'fee');
+    return {
+      id: safeString(data, 'id'),
+      txid: walletTxId ? walletTxId.split('@')[0] : undefined,
+      type,
+      currency,
+      network: this._networkCode(safeString(data, 'chain')),
+      amount: safeFloat(data, 'amount'),
+      address: safeString(data, 'address'),
+      tag: safeString(data, 'memo') || undefined,
+      status: raw !== undefined ? (statuses[raw] || raw) : undefined,
+      fee: fee !== undefined ? { cost: fee, currency } : undefined,
+      timestamp,
+      datetime: iso8601(timestamp),
+      updated: safeInteger(data, 'updatedAt'),
+      info: data,
+    };
+  }
+
+  /**
+   * Ledger entry of a transfer: direction 'out' left accountType, 'in' arrived there.
+   */
+  _parseTransfer(data) {
+    const account = this._accountName(safeString(data, 'accountType'));
+    const out = safeString(data, 'direction') === 'out';
+    const timestamp = safeInteger(data, 'createdAt');
+    return {
+      id: safeString(data, 'id'),
+      currency: safeString(data, 'currency'),
+      amount: safeFloat(data, 'amount'),
+      fromAccount: out ? account : undefined,
+      toAccount: out ? undefined : account,
+      fromSubAccount: undefined,
+      toSubAccount: undefined,
+      status: 'ok',
+      timestamp,
+      datetime: iso8601(timestamp),
+      info: data,
+    };
+  }
+
+  /**
+   * Ledger item { id, currency, amount, fee, balance, accountType, bizType, direction,
+   * createdAt }. The amount is unsigned; bizType is a display name such as 'Deposit',
+   * 'Exchange' or 'Refunded Fees'.
+   */
+  _parseLedgerEntry(data) {
+    const biz = (safeString(data, 'bizType') || '').toLowerCase();
+    const patterns = [
+      [/rebate|refund|bonus|reward/, 'rebate'],
+      [/transfer/, 'transfer'],
+      [/deposit/, 'deposit'],
+      [/withdraw/, 'withdrawal'],
+      [/fee/, 'fee'],
+      [/exchange|trade|convert/, 'trade'],
+      [/funding|interest/, 'funding'],
+    ];
+    const match = patterns.find(([pattern]) => pattern.test(biz));
+    const currency = safeString(data, 'currency');
+    const fee = safeFloat(data, 'fee');
+    return this._ledgerEntry({
+      id: safeString(data, 'id'),
+      account: this._accountName(safeString(data, 'accountType')),
+      type: match ? match[1] : 'other',
+      currency,
+      amount: safeFloat(data, 'amount'),
+      direction: safeString(data, 'direction') === 'out' ? 'out' : 'in',
+      after: safeFloat(data, 'balance'),
+      fee: fee ? { cost: fee, currency } : undefined,
+      timestamp: safeInteger(data, 'createdAt'),
+      info: data,
+    });
+  }
+
+  /**
+   * Contract details or a funding.rate push → funding rate. nextFundingRateTime is the
+   * time left until settlement in ms; the rate granularity is the interval in ms.
+   */
+  _parseFundingRate(data) {
+    const untilNext = safeInteger(data, 'nextFundingRateTime');
+    const granularity = safeInteger(data, 'fundingRateGranularity') || safeInteger(data, 'granularity');
+    const timestamp = safeInteger(data, 'timestamp') || Date.now();
+    return this._fundingRate({
+      info: data,
+      symbol: this._fromKucoinContract(safeString(data, 'symbol'), safeString(data, 'settleCurrency')),
+      markPrice: safeFloat(data, 'markPrice'),
+      indexPrice: safeFloat(data, 'indexPrice'),
+      fundingRate: safeFloat2(data, 'fundingFeeRate', 'fundingRate'),
+      fundingTimestamp: safeInteger(data, 'nextFundingRateDateTime') || (untilNext !== undefined ? timestamp + untilNext : undefined),
+      nextFundingRate: safeFloat(data, 'predictedFundingFeeRate'),
+      interval: granularity ? (granularity / 3600000) + 'h' : undefined,
+      timestamp,
+    });
+  }
+
+  /**
+   * Futures position (REST or /contract/positionAll). currentQty is signed; positionSide
+   * LONG / SHORT marks hedge-mode legs (BOTH in one-way mode).
+   */
+  _parsePosition(data) {
+    const positionSide = safeString(data, 'positionSide');
+    const hedged = positionSide === 'LONG' || positionSide === 'SHORT';
+    const marginMode = safeString(data, 'marginMode');
+    let mode = marginMode ? marginMode.toLowerCase() : undefined;
+    if (!mode && safeValue(data, 'crossMode') !== undefined) mode = data.crossMode ? 'cross' : 'isolated';
+    return this._position({
+      info: data,
+      id: safeString(data, 'id'),
+      symbol: this._fromKucoinContract(safeString(data, 'symbol'), safeString(data, 'settleCurrency')),
+      side: hedged ? positionSide.toLowerCase() : undefined,
+      contracts: safeFloat(data, 'currentQty'),
+      contractSize: safeFloat(data, 'multiplier'),
+      entryPrice: safeFloat(data, 'avgEntryPrice'),
+      markPrice: safeFloat(data, 'markPrice'),
+      notional: safeFloat(data, 'markValue'),
+      unrealizedPnl: safeFloat(data, 'unrealisedPnl'),
+      realizedPnl: safeFloat(data, 'realisedPnl'),
+      liquidationPrice: safeFloat(data, 'liquidationPrice'),
+      leverage: safeFloat(data, 'realLeverage') || safeFloat(data, 'leverage'),
+      marginMode: mode,
+      initialMargin: safeFloat(data, 'posInit'),
+      maintenanceMargin: safeFloat(data, 'posMaint') || safeFloat(data, 'maintMargin'),
+      hedged,
+      timestamp: safeInteger(data, 'currentTimestamp'),
+    });
+  }
 }
 
 module.exports = KuCoin;
@@ -6,7 +6,7 @@ const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, parseDate,
+  iso8601, parseDate, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -298,29 +298,38 @@ class LBank extends BaseExchange {
   // PRIVATE — Trading
   // ===========================================================================
 
-  async createOrder(symbol, type, side, amount, price = undefined) {
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
     const pair = this._toLBankSymbol(symbol);
+    const execution = this._orderExecutionParams(type, params);
+    const { clientOrderId } = this._clientOrderIdParams(execution.params);
     let orderType;
 
     if (type === 'limit') {
-      orderType = side; // 'buy' or 'sell'
+      // 'buy' / 'sell', or with a suffix for post-only (_maker), IOC (_ioc) and FOK (_fok)
+      const suffix = { PO: '_maker', IOC: '_ioc', FOK: '_fok' }[execution.timeInForce];
+      orderType = side + (suffix || '');
     } else if (type === 'market') {
       orderType = side + '_market'; // 'buy_market' or 'sell_market'
     } else {
       orderType = side;
     }
 
-    const params = {
+    const request = {
       symbol: pair,
       type: orderType,
-      amount: amount.toString(),
+      amount: numberToString(amount),
     };
 
     if (type === 'limit' && price !== undefined) {
-      params.price = price.toString();
+      request.price = numberToString(price);
+    }
+    if (clientOrderId !== undefined) {
+      request.custom_id = clientOrderId;
     }
 
-    const response = await this._request('POST', '/v2/supplement/create_order.do', params, true);
+    const response = await this._request('POST', '/v2/supplement/create_order.do', request, true);
 
     if (response.result === 'false' || response.result === false) {
       this._handleLBankError(response.error_code, response);
@@ -329,39 +338,43 @@ class LBank extends BaseExchange {
     const data = response.data || response;
     return {
       id: safeString(data, 'order_id', safeString(data, 'orderId')),
-      clientOrderId: safeString(data, 'custom_id'),
+      clientOrderId: safeString(data, 'custom_id') || clientOrderId,
       symbol,
       type,
       side,
       amount: parseFloat(amount),
       price: price ? parseFloat(price) : undefined,
       status: 'open',
+      timeInForce: type === 'limit' ? (execution.timeInForce || 'GTC') : 'IOC',
+      postOnly: execution.postOnly,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: response,
     };
   }
 
-  async createLimitOrder(symbol, side, amount, price) {
-    return this.createOrder(symbol, 'limit', side, amount, price);
+  async createLimitOrder(symbol, side, amount, price, params = {}) {
+    return this.createOrder(symbol, 'limit', side, amount, price, params);
   }
 
-  async createMarketOrder(symbol, side, amount) {
-    return this.createOrder(symbol, 'market', side, amount);
+  async createMarketOrder(symbol, side, amount, params = {}) {
+    return this.createOrder(symbol, 'market', side, amount, undefined, params);
   }
 
-  async cancelOrder(id, symbol) {
+  async cancelOrder(id, symbol, params = {}) {
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder requires symbol');
     const pair = this._toLBankSymbol(symbol);
-    const params = { symbol: pair, orderId: id };
-    const response = await this._request('POST', '/v2/supplement/cancel_order.do', params, true);
+    const ref = this._orderReference('cancelOrder', id, params);
+    const request = { symbol: pair, ...this._orderIdRequest(ref) };
+    const response = await this._request('POST', '/v2/supplement/cancel_order.do', request, true);
 
     if (response.result === 'false' || response.result === false) {
       this._handleLBankError(response.error_code, response);
     }
 
     return {
-      id,
+      id: ref.id,
+      clientOrderId: ref.clientOrderId,
       symbol,
       info: response,
     };
@@ -380,11 +393,12 @@ class LBank extends BaseExchange {
     return response;
   }
 
-  async fetchOrder(id, symbol) {
+  async fetchOrder(id, symbol, params = {}) {
     if (!symbol) throw new BadRequest(this.id + ' fetchOrder requires symbol');
     const pair = this._toLBankSymbol(symbol);
-    const params = { symbol: pair, orderId: id };
-    const response = await this._request('POST', '/v2/spot/trade/orders_info.do', params, true);
+    const ref = this._orderReference('fetchOrder', id, params);
+    const request = { symbol: pair, ...this._orderIdRequest(ref) };
+    const response = await this._request('POST', '/v2/spot/trade/orders_info.do', request, true);
 
     if (response.result === 'false' || response.result === false) {
       this._handleLBankError(response.error_code, response);
@@ -394,6 +408,11 @@ class LBank extends BaseExchange {
     return this._parseOrder(data, symbol);
   }
 
+  // An order placed with custom_id is found again through origClientOrderId
+  _orderIdRequest(ref) {
+    return ref.id !== undefined ? { orderId: ref.id } : { origClientOrderId: ref.clientOrderId };
+  }
+
   async fetchOpenOrders(symbol = undefined) {
     if (!symbol) throw new BadRequest(this.id + ' fetchOpenOrders requires symbol');
     const pair = this._toLBankSymbol(symbol);
@@ -524,6 +543,8 @@ class LBank extends BaseExchange {
     const isMarket = typeStr.includes('market');
     const side = typeStr.includes('buy') ? 'buy' : 'sell';
     const type = isMarket ? 'market' : 'limit';
+    const suffix = typeStr.split('_')[1];
+    const timeInForce = isMarket ? 'IOC' : ({ maker: 'PO', ioc: 'IOC', fok: 'FOK' }[suffix] || 'GTC');
 
     const amount = safeFloat(data, 'amount');
     const price = safeFloat(data, 'price');
@@ -546,6 +567,8 @@ class LBank extends BaseExchange {
       cost,
       average: avgPrice,
       status,
+      timeInForce,
+      postOnly: timeInForce === 'PO',
       timestamp: createTime,
       datetime: iso8601(createTime),
       info: data,
@@ -636,10 +659,11 @@ class LBank extends BaseExchange {
     if (this._wsClients.has(url)) {
       return this._wsClients.get(url);
     }
-    const client = new WsClient(url, {
+    const client = new WsClient(this._wsClientOptions({
+      url,
       pingInterval: 15000,
       reconnect: true,
-    });
+    }));
 
     // Handle LBank ping: server sends {"ping":"uuid","action":"ping"}, echo back same
     client.on('message', (data) => {
@@ -714,8 +738,10 @@ class LBank extends BaseExchange {
   async watchOrderBook(symbol, callback, limit = 50) {
     const pair = this._toLBankSymbol(symbol);
     return this._subscribeLBank('depth', pair, { depth: String(limit) }, (data) => {
-      const orderBook = this._parseWsOrderBook(data, symbol);
-      callback(orderBook);
+      this._handleOrderBookMessage(symbol, {
+        snapshot: true,
+        ...this._parseWsOrderBook(data, symbol),
+      }, callback);
     });
   }
 
@@ -754,6 +780,7 @@ class LBank extends BaseExchange {
     }
     this._wsClients.clear();
     if (this._wsHandlers) this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 
   // ===========================================================================
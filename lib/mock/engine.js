@@ -0,0 +1,404 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+// Resting liquidity seeded by the mock itself has no balance limits
+const HOUSE = '__house__';
+
+function round(value) {
+  return Number(value.toFixed(10));
+}
+
+/**
+ * Error raised by the engine; venue adapters translate `code` into the exchange's own
+ * error format (Binance -2010, Bybit 170131, OKX 51008, Kraken EOrder:Insufficient funds...).
+ * Codes: invalid_key, bad_symbol, invalid_order, insufficient_funds, order_not_found,
+ * duplicate_order, would_take (post-only order crossing the book)
+ */
+class MockEngineError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'MockEngineError';
+    this.code = code;
+  }
+}
+
+/**
+ * In-memory price-time priority matching engine with per-account balances.
+ * Venue-agnostic: symbols are unified ('BTC/USDT'), sides 'buy'/'sell', types 'limit'/'market'.
+ *
+ * timeInForce: GTC, IOC, FOK or PO (post-only).
+ *
+ * Events:
+ *   - 'order'  (order, execType)  → every change of a user order; execType 'new' | 'trade' | 'canceled'
+ *   - 'trade'  (trade)            → every match
+ *   - 'book'   (symbol, sequence) → the symbol's book changed
+ */
+class MatchingEngine extends EventEmitter {
+  constructor({ markets = {} } = {}) {
+    super();
+    this.markets = {};
+    this.accounts = new Map(); // apiKey → { apiKey, secret, passphrase, balances }
+    this.orders = new Map();   // id → order
+    this._books = new Map();   // symbol → { bids, asks, sequence, last }
+    this._nextOrderId = 1;
+    this._nextTradeId = 1;
+    for (const [symbol, market] of Object.entries(markets)) this.addMarket(symbol, market);
+  }
+
+  /**
+   * Register a market. tickSize/stepSize/minAmount are enforced on orders.
+   */
+  addMarket(symbol, { tickSize = 0.01, stepSize = 0.00001, minAmount = 0, price = undefined } = {}) {
+    const [base, quote] = symbol.split('/');
+    this.markets[symbol] = { symbol, base, quote, tickSize, stepSize, minAmount };
+    if (!this._books.has(symbol)) {
+      this._books.set(symbol, { bids: [], asks: [], sequence: 1, last: price });
+    }
+    return this.markets[symbol];
+  }
+
+  addAccount({ apiKey, secret, passphrase = undefined, balances = {} }) {
+    const account = { apiKey, secret, passphrase, balances: {} };
+    for (const [asset, amount] of Object.entries(balances)) {
+      account.balances[asset] = { free: amount, used: 0 };
+    }
+    this.accounts.set(apiKey, account);
+    return account;
+  }
+
+  account(apiKey) {
+    return this.accounts.get(apiKey);
+  }
+
+  /**
+   * Free/used balances of an account: { USDT: { free, used, total } }
+   */
+  balances(apiKey) {
+    const account = this._requireAccount(apiKey);
+    const result = {};
+    for (const [asset, { free, used }] of Object.entries(account.balances)) {
+      result[asset] = { free, used, total: round(free + used) };
+    }
+    return result;
+  }
+
+  /**
+   * Add resting liquidity that does not belong to any account: { bids: [[price, amount]], asks }
+   */
+  seedBook(symbol, { bids = [], asks = [] } = {}) {
+    this._market(symbol);
+    for (const [price, amount] of bids) this._rest(this._newOrder(HOUSE, { symbol, side: 'buy', type: 'limit', price, amount }));
+    for (const [price, amount] of asks) this._rest(this._newOrder(HOUSE, { symbol, side: 'sell', type: 'limit', price, amount }));
+    this._bookChanged(symbol);
+  }
+
+  /**
+   * Aggregated depth: { bids: [[price, amount]], asks, sequence, last }
+   */
+  depth(symbol, limit = undefined) {
+    const book = this._book(symbol);
+    const aggregate = (orders) => {
+      const levels = [];
+      for (const order of orders) {
+        const remaining = round(order.amount - order.filled);
+        const top = levels[levels.length - 1];
+        if (top && top[0] === order.price) top[1] = round(top[1] + remaining);
+        else levels.push([order.price, remaining]);
+      }
+      return limit ? levels.slice(0, limit) : levels;
+    };
+    return { bids: aggregate(book.bids), asks: aggregate(book.asks), sequence: book.sequence, last: book.last };
+  }
+
+  /**
+   * Place an order for an account. Limit orders rest unless timeInForce is IOC/FOK;
+   * market orders fill against the book and cancel any remainder. Funds are checked and
+   * reserved before matching.
+   * @returns {object} the order after matching
+   */
+  placeOrder(apiKey, { symbol, side, type = 'limit', amount, price = undefined, clientOrderId = undefined, timeInForce = 'GTC' }) {
+    const account = this._requireAccount(apiKey);
+    const market = this._market(symbol);
+    side = String(side).toLowerCase();
+    type = String(type).toLowerCase();
+    timeInForce = String(timeInForce || 'GTC').toUpperCase();
+    amount = Number(amount);
+    price = price === undefined || price === null || price === '' ? undefined : Number(price);
+
+    if (side !== 'buy' && side !== 'sell') throw new MockEngineError('invalid_order', 'Invalid side: ' + side);
+    if (type !== 'limit' && type !== 'market') throw new MockEngineError('invalid_order', 'Unsupported order type: ' + type);
+    if (!(amount > 0)) throw new MockEngineError('invalid_order', 'Invalid amount');
+    if (amount < market.minAmount) throw new MockEngineError('invalid_order', 'Amount below minimum ' + market.minAmount);
+    if (!this._onStep(amount, market.stepSize)) throw new MockEngineError('invalid_order', 'Amount not a multiple of step size ' + market.stepSize);
+    if (type === 'limit') {
+      if (!(price > 0)) throw new MockEngineError('invalid_order', 'Limit orders require a price');
+      if (!this._onStep(price, market.tickSize)) throw new MockEngineError('invalid_order', 'Price not a multiple of tick size ' + market.tickSize);
+    }
+    if (clientOrderId !== undefined && this._findByClientOrderId(apiKey, clientOrderId, true)) {
+      throw new MockEngineError('duplicate_order', 'Duplicate client order id: ' + clientOrderId);
+    }
+
+    const book = this._book(symbol);
+    const opposite = side === 'buy' ? book.asks : book.bids;
+    const crosses = (maker) => type === 'market'
+      || (side === 'buy' ? maker.price <= price : maker.price >= price);
+
+    // Reserve what the order can spend: limit orders their full notional, market orders
+    // what they would take from the book right now
+    let reserve;
+    if (side === 'sell') {
+      reserve = amount;
+    } else if (type === 'limit') {
+      reserve = round(amount * price);
+    } else {
+      reserve = 0;
+      let left = amount;
+      for (const maker of opposite) {
+        if (left <= 0) break;
+        const qty = Math.min(left, round(maker.amount - maker.filled));
+        reserve = round(reserve + qty * maker.price);
+        left = round(left - qty);
+      }
+    }
+    const spendAsset = side === 'buy' ? market.quote : market.base;
+    const wallet = this._wallet(account, spendAsset);
+    if (wallet.free < reserve) {
+      throw new MockEngineError('insufficient_funds', 'Insufficient ' + spendAsset + ' balance');
+    }
+
+    if (timeInForce === 'PO' && opposite.length > 0 && crosses(opposite[0])) {
+      throw new MockEngineError('would_take', 'Post-only order would immediately match');
+    }
+    let fillable = true;
+    if (timeInForce === 'FOK') {
+      let available = 0;
+      for (const maker of opposite) {
+        if (!crosses(maker)) break;
+        available = round(available + maker.amount - maker.filled);
+      }
+      fillable = available >= amount;
+    }
+
+    const order = this._newOrder(apiKey, { symbol, side, type, amount, price, clientOrderId, timeInForce });
+    this.orders.set(order.id, order);
+    if (!fillable) {
+      this.emit('order', { ...order }, 'new');
+      this._close(order, 'canceled');
+      return { ...order };
+    }
+    wallet.free = round(wallet.free - reserve);
+    wallet.used = round(wallet.used + reserve);
+    order.reserved = reserve;
+    this.emit('order', { ...order }, 'new');
+
+    // Match against the opposite side in price-time priority
+    while (order.filled < order.amount && opposite.length > 0 && crosses(opposite[0])) {
+      const maker = opposite[0];
+      const qty = Math.min(round(order.amount - order.filled), round(maker.amount - maker.filled));
+      this._fill(order, maker, qty, maker.price);
+      if (maker.filled >= maker.amount) opposite.shift();
+    }
+
+    if (order.filled < order.amount) {
+      if (type === 'limit' && (timeInForce === 'GTC' || timeInForce === 'PO')) {
+        this._rest(order);
+      } else {
+        this._close(order, 'canceled');
+      }
+    }
+    this._bookChanged(symbol);
+    return { ...order };
+  }
+
+  /**
+   * Cancel an open order by id or client order id.
+   */
+  cancelOrder(apiKey, { id = undefined, clientOrderId = undefined } = {}) {
+    const order = this._findOrder(apiKey, { id, clientOrderId });
+    if (order.status !== 'new' && order.status !== 'partially_filled') {
+      throw new MockEngineError('order_not_found', 'Order is not open: ' + order.id);
+    }
+    const book = this._book(order.symbol);
+    const side = order.side === 'buy' ? book.bids : book.asks;
+    const index = side.indexOf(order);
+    if (index !== -1) side.splice(index, 1);
+    this._close(order, 'canceled');
+    this._bookChanged(order.symbol);
+    return { ...order };
+  }
+
+  cancelAllOrders(apiKey, symbol = undefined) {
+    return this.openOrders(apiKey, symbol).map((order) => this.cancelOrder(apiKey, { id: order.id }));
+  }
+
+  getOrder(apiKey, { id = undefined, clientOrderId = undefined } = {}) {
+    return { ...this._findOrder(apiKey, { id, clientOrderId }) };
+  }
+
+  openOrders(apiKey, symbol = undefined) {
+    const result = [];
+    for (const order of this.orders.values()) {
+      if (order.account !== apiKey) continue;
+      if (symbol && order.symbol !== symbol) continue;
+      if (order.status === 'new' || order.status === 'partially_filled') result.push({ ...order });
+    }
+    return result;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internals
+  // ---------------------------------------------------------------------------
+
+  _newOrder(account, { symbol, side, type, amount, price, clientOrderId = undefined, timeInForce = 'GTC' }) {
+    const now = Date.now();
+    return {
+      id: String(this._nextOrderId++),
+      clientOrderId,
+      account,
+      symbol,
+      side,
+      type,
+      price,
+      amount: Number(amount),
+      filled: 0,
+      cost: 0,
+      status: 'new',
+      timeInForce,
+      reserved: 0,
+      lastFill: undefined,
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  _rest(order) {
+    const book = this._book(order.symbol);
+    const side = order.side === 'buy' ? book.bids : book.asks;
+    const better = order.side === 'buy'
+      ? (other) => other.price < order.price
+      : (other) => other.price > order.price;
+    const index = side.findIndex(better);
+    if (index === -1) side.push(order);
+    else side.splice(index, 0, order);
+  }
+
+  _fill(taker, maker, qty, price) {
+    const trade = {
+      id: String(this._nextTradeId++),
+      symbol: taker.symbol,
+      price,
+      amount: qty,
+      side: taker.side,
+      takerOrderId: taker.id,
+      makerOrderId: maker.id,
+      timestamp: Date.now(),
+    };
+    this._book(taker.symbol).last = price;
+    for (const order of [taker, maker]) {
+      order.filled = round(order.filled + qty);
+      order.cost = round(order.cost + qty * price);
+      order.lastFill = { price, amount: qty, tradeId: trade.id, maker: order === maker };
+      order.status = order.filled >= order.amount ? 'filled' : 'partially_filled';
+      order.updatedAt = trade.timestamp;
+      this._settle(order, qty, price);
+      if (order.account !== HOUSE) this.emit('order', { ...order }, 'trade');
+    }
+    this.emit('trade', trade);
+  }
+
+  /**
+   * Move balances for one fill: release the reserve it consumed and credit the proceeds.
+   */
+  _settle(order, qty, price) {
+    if (order.account === HOUSE) return;
+    const account = this.accounts.get(order.account);
+    const market = this.markets[order.symbol];
+    if (order.side === 'buy') {
+      const spent = round(qty * price);
+      // Limit buys reserved at their limit price; a better fill releases the difference
+      const released = order.type === 'limit' ? round(qty * order.price) : spent;
+      const quote = this._wallet(account, market.quote);
+      quote.used = round(quote.used - released);
+      quote.free = round(quote.free + released - spent);
+      order.reserved = round(order.reserved - released);
+      const base = this._wallet(account, market.base);
+      base.free = round(base.free + qty);
+    } else {
+      const base = this._wallet(account, market.base);
+      base.used = round(base.used - qty);
+      order.reserved = round(order.reserved - qty);
+      const quote = this._wallet(account, market.quote);
+      quote.free = round(quote.free + qty * price);
+    }
+  }
+
+  _close(order, status) {
+    order.status = status;
+    order.updatedAt = Date.now();
+    if (order.account !== HOUSE && order.reserved > 0) {
+      const market = this.markets[order.symbol];
+      const wallet = this._wallet(this.accounts.get(order.account), order.side === 'buy' ? market.quote : market.base);
+      wallet.used = round(wallet.used - order.reserved);
+      wallet.free = round(wallet.free + order.reserved);
+      order.reserved = 0;
+    }
+    if (order.account !== HOUSE) this.emit('order', { ...order }, 'canceled');
+  }
+
+  _bookChanged(symbol) {
+    const book = this._book(symbol);
+    book.sequence += 1;
+    this.emit('book', symbol, book.sequence);
+  }
+
+  _findOrder(apiKey, { id, clientOrderId }) {
+    let order;
+    if (id !== undefined && id !== null && id !== '') order = this.orders.get(String(id));
+    else if (clientOrderId !== undefined) order = this._findByClientOrderId(apiKey, clientOrderId, false);
+    if (!order || order.account !== apiKey) {
+      throw new MockEngineError('order_not_found', 'Order does not exist');
+    }
+    return order;
+  }
+
+  _findByClientOrderId(apiKey, clientOrderId, openOnly) {
+    for (const order of this.orders.values()) {
+      if (order.account !== apiKey || String(order.clientOrderId) !== String(clientOrderId)) continue;
+      if (!openOnly || order.status === 'new' || order.status === 'partially_filled') return order;
+    }
+    return undefined;
+  }
+
+  _onStep(value, step) {
+    if (!step) return true;
+    const ratio = value / step;
+    return Math.abs(ratio - Math.round(ratio)) < 1e-6;
+  }
+
+  _wallet(account, asset) {
+    if (!account.balances[asset]) account.balances[asset] = { free: 0, used: 0 };
+    return account.balances[asset];
+  }
+
+  _requireAccount(apiKey) {
+    const account = this.accounts.get(apiKey);
+    if (!account) throw new MockEngineError('invalid_key', 'Unknown API key');
+    return account;
+  }
+
+  _market(symbol) {
+    const market = this.markets[symbol];
+    if (!market) throw new MockEngineError('bad_symbol', 'Unknown symbol: ' + symbol);
+    return market;
+  }
+
+  _book(symbol) {
+    this._market(symbol);
+    return this._books.get(symbol);
+  }
+}
+
+MatchingEngine.MockEngineError = MockEngineError;
+
+module.exports = MatchingEngine;
@@ -0,0 +1,175 @@
+'use strict';
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const MatchingEngine = require('./engine');
+const BinanceVenue = require('./venues/binance');
+const BybitVenue = require('./venues/bybit');
+const OkxVenue = require('./venues/okx');
+const KrakenVenue = require('./venues/kraken');
+const { ExchangeError } = require('../utils/errors');
+
+const VENUES = {
+  binance: BinanceVenue,
+  bybit: BybitVenue,
+  okx: OkxVenue,
+  kraken: KrakenVenue,
+};
+
+const DEFAULT_MARKETS = {
+  'BTC/USDT': { tickSize: 0.01, stepSize: 0.00001, minAmount: 0.00001 },
+  'ETH/USDT': { tickSize: 0.01, stepSize: 0.0001, minAmount: 0.0001 },
+};
+
+function parseBody(req, raw) {
+  if (!raw) return {};
+  const type = req.headers['content-type'] || '';
+  if (type.includes('application/json')) {
+    try { return JSON.parse(raw); } catch { return {}; }
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+}
+
+/**
+ * Local HTTP + WebSocket server that speaks the Binance, Bybit, OKX and Kraken APIs the
+ * library uses, backed by one in-memory MatchingEngine. Each exchange lives under its own
+ * path prefix (http://127.0.0.1:<port>/binance/api/v3/..., ws://127.0.0.1:<port>/okx/ws/v5/public).
+ *
+ *   const server = new MockExchangeServer({
+ *     accounts: [{ apiKey: 'key', secret: 'secret', passphrase: 'pass', balances: { USDT: 10000 } }],
+ *     books: { 'BTC/USDT': { bids: [[29990, 1]], asks: [[30010, 1]] } },
+ *   });
+ *   await server.start();
+ *   const exchange = server.attach(new Binance({ apiKey: 'key', secret: 'secret' }));
+ *
+ * Options:
+ *   - port, host  → listen address (default 127.0.0.1, random free port)
+ *   - markets     → { 'BTC/USDT': { tickSize, stepSize, minAmount } } (default BTC/USDT, ETH/USDT)
+ *   - accounts    → [{ apiKey, secret, passphrase?, balances }]; one account works on every exchange
+ *   - books       → resting liquidity per symbol { bids: [[price, amount]], asks }
+ */
+class MockExchangeServer {
+  constructor({ port = 0, host = '127.0.0.1', markets = DEFAULT_MARKETS, accounts = [], books = {} } = {}) {
+    this.port = port;
+    this.host = host;
+    this.engine = new MatchingEngine({ markets });
+    for (const account of accounts) this.engine.addAccount(account);
+    for (const [symbol, book] of Object.entries(books)) this.engine.seedBook(symbol, book);
+
+    this.venues = {};
+    for (const [id, Venue] of Object.entries(VENUES)) this.venues[id] = new Venue(this.engine);
+
+    this._server = http.createServer((req, res) => this._handleHttp(req, res));
+    this._wss = new WebSocketServer({ noServer: true });
+    this._server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+  }
+
+  get url() {
+    return 'http://' + this.host + ':' + this.port;
+  }
+
+  async start() {
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this.port, this.host, () => {
+        this._server.removeListener('error', reject);
+        resolve();
+      });
+    });
+    this.port = this._server.address().port;
+    return this;
+  }
+
+  async stop() {
+    for (const venue of Object.values(this.venues)) {
+      venue.close();
+      for (const socket of venue.sockets) socket.terminate();
+    }
+    this._wss.close();
+    this._server.closeAllConnections();
+    await new Promise((resolve) => this._server.close(() => resolve()));
+  }
+
+  /**
+   * URLs to use as `exchange.urls` for one exchange id ('binance', 'bybit', 'okx', 'kraken').
+   */
+  urls(id) {
+    const venue = this.venues[id];
+    if (!venue) throw new ExchangeError('MockExchangeServer does not support ' + id);
+    return venue.urls(this.url + '/' + id, 'ws://' + this.host + ':' + this.port + '/' + id);
+  }
+
+  /**
+   * Point an exchange instance at this server. Returns the exchange.
+   */
+  attach(exchange) {
+    Object.assign(exchange.urls, this.urls(exchange.id));
+    return exchange;
+  }
+
+  /**
+   * Split '/binance/api/v3/order?x=1' into the venue and its own path.
+   */
+  _route(url) {
+    const [pathname, rawQuery = ''] = url.split(/\?(.*)/s);
+    const match = /^\/([^/]+)(\/.*)?$/.exec(pathname);
+    const venue = match && this.venues[match[1]];
+    if (!venue) return undefined;
+    return { venue, path: match[2] || '/', rawQuery };
+  }
+
+  _handleHttp(req, res) {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      let status = 200;
+      let body;
+      const route = this._route(req.url);
+      if (!route) {
+        status = 404;
+        body = { error: 'Unknown exchange: ' + req.url };
+      } else {
+        const rawBody = Buffer.concat(chunks).toString();
+        try {
+          const result = await route.venue.handleHttp({
+            method: req.method,
+            path: route.path,
+            rawQuery: route.rawQuery,
+            query: Object.fromEntries(new URLSearchParams(route.rawQuery)),
+            rawBody,
+            body: parseBody(req, rawBody),
+            headers: req.headers,
+          });
+          status = result.status || 200;
+          body = result.body;
+        } catch (err) {
+          status = 500;
+          body = { error: err.message };
+        }
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  }
+
+  _handleUpgrade(req, socket, head) {
+    const route = this._route(req.url);
+    if (!route) {
+      socket.destroy();
+      return;
+    }
+    this._wss.handleUpgrade(req, socket, head, (ws) => {
+      route.venue.handleConnection(ws, {
+        path: route.path,
+        rawQuery: route.rawQuery,
+        query: Object.fromEntries(new URLSearchParams(route.rawQuery)),
+        headers: req.headers,
+      });
+    });
+  }
+}
+
+MockExchangeServer.MatchingEngine = MatchingEngine;
+MockExchangeServer.DEFAULT_MARKETS = DEFAULT_MARKETS;
+
+module.exports = MockExchangeServer;
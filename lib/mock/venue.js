@@ -0,0 +1,217 @@
+'use strict';
+
+const WebSocket = require('ws');
+const { MockEngineError } = require('./engine');
+
+/**
+ * Format a number the way exchanges print decimals: no exponent, no trailing zeros.
+ */
+function fmt(value) {
+  if (value === undefined || value === null) return value;
+  return Number(value).toFixed(10).replace(/\.?0+$/, '');
+}
+
+function decimals(step) {
+  const text = fmt(step);
+  const i = text.indexOf('.');
+  return i === -1 ? 0 : text.length - i - 1;
+}
+
+/**
+ * Changed levels between two views of one side: [price, amount], amount 0 for removed levels.
+ */
+function diffSide(previous, next, descending) {
+  const before = new Map(previous);
+  const after = new Map(next);
+  const changes = [];
+  for (const [price, amount] of next) {
+    if (before.get(price) !== amount) changes.push([price, amount]);
+  }
+  for (const [price] of previous) {
+    if (!after.has(price)) changes.push([price, 0]);
+  }
+  return changes.sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]));
+}
+
+/**
+ * Base class for one mocked exchange API. Subclasses fill `this.routes`
+ * ('GET /api/v3/time' → handler(req)) and implement onConnection(socket, req) and
+ * formatError(err, req) to speak the exchange's own REST/WebSocket dialect.
+ *
+ * req: { method, path, query, rawQuery, body, rawBody, headers }
+ * Handlers return { status?, body } or throw MockEngineError.
+ */
+class MockVenue {
+  constructor(engine) {
+    this.engine = engine;
+    this.routes = {};
+    this.sockets = new Set();
+    this._bookSubscriptions = new Set(); // { socket, symbol, depth, view, send }
+    this._tradeSubscriptions = new Set(); // { socket, symbol, send }
+    this._sessions = new Set();          // { socket, apiKey, onOrder }
+
+    this._onBook = (symbol) => this._pushBooks(symbol);
+    this._onTrade = (trade) => {
+      for (const sub of this._tradeSubscriptions) {
+        if (sub.symbol === trade.symbol) sub.send(trade);
+      }
+    };
+    this._onOrder = (order, execType) => {
+      for (const session of this._sessions) {
+        if (session.apiKey === order.account && session.onOrder) session.onOrder(order, execType);
+      }
+    };
+    engine.on('book', this._onBook);
+    engine.on('trade', this._onTrade);
+    engine.on('order', this._onOrder);
+  }
+
+  /**
+   * Exchange URLs relative to this venue's base: { api: 'http://…/binance', ws: 'ws://…/binance/ws' }
+   */
+  urls(httpBase, wsBase) {
+    return { api: httpBase, ws: wsBase };
+  }
+
+  async handleHttp(req) {
+    const handler = this.routes[req.method + ' ' + req.path];
+    if (!handler) return this.notFound(req);
+    try {
+      return await handler.call(this, req);
+    } catch (err) {
+      if (err instanceof MockEngineError) return this.formatError(err, req);
+      throw err;
+    }
+  }
+
+  notFound(req) {
+    return { status: 404, body: { error: 'Not found: ' + req.method + ' ' + req.path } };
+  }
+
+  formatError(err, req) {
+    return { status: 400, body: { error: err.message } };
+  }
+
+  handleConnection(socket, req) {
+    this.sockets.add(socket);
+    socket.on('close', () => this._dropSocket(socket));
+    socket.on('message', (raw) => {
+      const text = raw.toString();
+      let message = text;
+      try { message = JSON.parse(text); } catch { /* plain-text ping */ }
+      this.onMessage(socket, message, req);
+    });
+    this.onConnection(socket, req);
+  }
+
+  onConnection(socket, req) {
+    // Override in subclass
+  }
+
+  onMessage(socket, message, req) {
+    // Override in subclass
+  }
+
+  send(socket, data) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+  }
+
+  close() {
+    this.engine.removeListener('book', this._onBook);
+    this.engine.removeListener('trade', this._onTrade);
+    this.engine.removeListener('order', this._onOrder);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Streams shared by all venues
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Stream a symbol's top `depth` levels. send(view, changes) is called once with
+   * changes === undefined (snapshot) and then with the levels that changed in the view.
+   */
+  subscribeBook(socket, symbol, depth, send) {
+    const view = this.engine.depth(symbol, depth);
+    const sub = { socket, symbol, depth, view, send };
+    this._bookSubscriptions.add(sub);
+    send(view, undefined);
+    return sub;
+  }
+
+  subscribeTrades(socket, symbol, send) {
+    const sub = { socket, symbol, send };
+    this._tradeSubscriptions.add(sub);
+    return sub;
+  }
+
+  /**
+   * Private stream of one account. onOrder(order, execType) receives its order updates.
+   */
+  openSession(socket, apiKey, onOrder = undefined) {
+    const session = { socket, apiKey, onOrder };
+    this._sessions.add(session);
+    return session;
+  }
+
+  unsubscribe(socket, predicate = () => true) {
+    for (const set of [this._bookSubscriptions, this._tradeSubscriptions]) {
+      for (const sub of set) {
+        if (sub.socket === socket && predicate(sub)) set.delete(sub);
+      }
+    }
+  }
+
+  _pushBooks(symbol) {
+    for (const sub of this._bookSubscriptions) {
+      if (sub.symbol !== symbol) continue;
+      const view = this.engine.depth(symbol, sub.depth);
+      const changes = {
+        bids: diffSide(sub.view.bids, view.bids, true),
+        asks: diffSide(sub.view.asks, view.asks, false),
+      };
+      sub.view = view;
+      if (changes.bids.length > 0 || changes.asks.length > 0) sub.send(view, changes);
+    }
+  }
+
+  _dropSocket(socket) {
+    this.sockets.delete(socket);
+    this.unsubscribe(socket);
+    for (const session of this._sessions) {
+      if (session.socket === socket) this._sessions.delete(session);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Account for an API key, or undefined.
+   */
+  account(apiKey) {
+    return apiKey ? this.engine.account(apiKey) : undefined;
+  }
+
+  /**
+   * Unified symbol for an exchange market id (reverse of marketId()).
+   */
+  symbolOf(id) {
+    for (const symbol of Object.keys(this.engine.markets)) {
+      if (this.marketId(symbol) === id) return symbol;
+    }
+    return undefined;
+  }
+
+  marketId(symbol) {
+    return symbol.replace('/', '');
+  }
+}
+
+MockVenue.fmt = fmt;
+MockVenue.decimals = decimals;
+MockVenue.diffSide = diffSide;
+
+module.exports = MockVenue;
@@ -0,0 +1,343 @@
+'use strict';
+
+const crypto = require('crypto');
+const MockVenue = require('../venue');
+const { hmacSHA256 } = require('../../utils/crypto');
+
+const { fmt } = MockVenue;
+
+const STATUS = { new: 'NEW', partially_filled: 'PARTIALLY_FILLED', filled: 'FILLED', canceled: 'CANCELED' };
+const EXEC_TYPE = { new: 'NEW', trade: 'TRADE', canceled: 'CANCELED' };
+
+/**
+ * Binance spot API (/api/v3, /ws) on top of the shared matching engine.
+ * Signed endpoints check X-MBX-APIKEY, timestamp/recvWindow and the HMAC-SHA256 signature
+ * over the query string + body, exactly as the library builds them.
+ */
+class BinanceVenue extends MockVenue {
+  constructor(engine) {
+    super(engine);
+    this._listenKeys = new Map(); // listenKey → apiKey
+    this.routes = {
+      'GET /api/v3/ping': () => ({ body: {} }),
+      'GET /api/v3/time': () => ({ body: { serverTime: Date.now() } }),
+      'GET /api/v3/exchangeInfo': this.exchangeInfo,
+      'GET /api/v3/depth': this.depth,
+      'GET /api/v3/ticker/24hr': this.ticker,
+      'POST /api/v3/order': this.signed(this.createOrder),
+      'DELETE /api/v3/order': this.signed(this.cancelOrder),
+      'GET /api/v3/order': this.signed(this.fetchOrder),
+      'DELETE /api/v3/openOrders': this.signed(this.cancelAllOrders),
+      'GET /api/v3/openOrders': this.signed(this.fetchOpenOrders),
+      'GET /api/v3/account': this.signed(this.fetchBalance),
+      'POST /api/v3/userDataStream': this.createListenKey,
+      'PUT /api/v3/userDataStream': () => ({ body: {} }),
+      'DELETE /api/v3/userDataStream': (req) => {
+        this._listenKeys.delete(req.query.listenKey);
+        return { body: {} };
+      },
+    };
+  }
+
+  urls(httpBase, wsBase) {
+    return { api: httpBase, ws: wsBase + '/ws', wsCombined: wsBase + '/stream' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Authentication & errors
+  // ---------------------------------------------------------------------------
+
+  signed(handler) {
+    return (req) => {
+      const account = this.account(req.headers['x-mbx-apikey']);
+      if (!account) return this.error(401, -2015, 'Invalid API-key, IP, or permissions for action.');
+
+      const params = new URLSearchParams(req.rawQuery);
+      const signature = params.get('signature');
+      params.delete('signature');
+      // totalParams = query string + body, as in Binance's signing docs
+      const payload = [...params].map(([k, v]) => k + '=' + v).join('&') + req.rawBody;
+      if (!signature || hmacSHA256(payload, account.secret) !== signature) {
+        return this.error(400, -1022, 'Signature for this request is not valid.');
+      }
+      const recvWindow = Number(req.query.recvWindow || 5000);
+      if (Math.abs(Date.now() - Number(req.query.timestamp)) > recvWindow) {
+        return this.error(400, -1021, 'Timestamp for this request is outside of the recvWindow.');
+      }
+      return handler.call(this, req, account);
+    };
+  }
+
+  error(status, code, msg) {
+    return { status, body: { code, msg } };
+  }
+
+  formatError(err, req) {
+    switch (err.code) {
+      case 'invalid_key': return this.error(401, -2015, 'Invalid API-key, IP, or permissions for action.');
+      case 'bad_symbol': return this.error(400, -1121, 'Invalid symbol.');
+      case 'insufficient_funds': return this.error(400, -2010, 'Account has insufficient balance for requested action.');
+      case 'duplicate_order': return this.error(400, -2010, 'Duplicate order sent.');
+      case 'would_take': return this.error(400, -2010, 'Order would immediately match and take.');
+      case 'order_not_found':
+        return req.method === 'DELETE'
+          ? this.error(400, -2011, 'Unknown order sent.')
+          : this.error(400, -2013, 'Order does not exist.');
+      default: return this.error(400, -1013, err.message);
+    }
+  }
+
+  symbolFrom(req) {
+    return this.symbolOf(req.query.symbol);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public REST
+  // ---------------------------------------------------------------------------
+
+  exchangeInfo() {
+    const symbols = Object.values(this.engine.markets).map((m) => ({
+      symbol: this.marketId(m.symbol),
+      status: 'TRADING',
+      baseAsset: m.base,
+      baseAssetPrecision: 8,
+      quoteAsset: m.quote,
+      quotePrecision: 8,
+      orderTypes: ['LIMIT', 'LIMIT_MAKER', 'MARKET'],
+      permissions: ['SPOT'],
+      filters: [
+        { filterType: 'PRICE_FILTER', minPrice: fmt(m.tickSize), maxPrice: '1000000', tickSize: fmt(m.tickSize) },
+        { filterType: 'LOT_SIZE', minQty: fmt(m.minAmount || m.stepSize), maxQty: '9000', stepSize: fmt(m.stepSize) },
+        { filterType: 'NOTIONAL', minNotional: '0' },
+      ],
+    }));
+    return { body: { timezone: 'UTC', serverTime: Date.now(), rateLimits: [], symbols } };
+  }
+
+  depth(req) {
+    const symbol = this.symbolFrom(req);
+    if (!symbol) return this.error(400, -1121, 'Invalid symbol.');
+    const book = this.engine.depth(symbol, Number(req.query.limit || 100));
+    return { body: { lastUpdateId: book.sequence, bids: this.levels(book.bids), asks: this.levels(book.asks) } };
+  }
+
+  ticker(req) {
+    const symbol = this.symbolFrom(req);
+    if (!symbol) return this.error(400, -1121, 'Invalid symbol.');
+    const book = this.engine.depth(symbol, 1);
+    const [bid = []] = book.bids;
+    const [ask = []] = book.asks;
+    const now = Date.now();
+    return {
+      body: {
+        symbol: req.query.symbol,
+        lastPrice: fmt(book.last || 0),
+        bidPrice: fmt(bid[0] || 0),
+        bidQty: fmt(bid[1] || 0),
+        askPrice: fmt(ask[0] || 0),
+        askQty: fmt(ask[1] || 0),
+        openTime: now - 86400000,
+        closeTime: now,
+      },
+    };
+  }
+
+  levels(side) {
+    return side.map(([price, amount]) => [fmt(price), fmt(amount)]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private REST
+  // ---------------------------------------------------------------------------
+
+  createOrder(req, account) {
+    const q = req.query;
+    const symbol = this.symbolFrom(req);
+    if (!symbol) return this.error(400, -1121, 'Invalid symbol.');
+    if (!['LIMIT', 'LIMIT_MAKER', 'MARKET'].includes(q.type)) {
+      return this.error(400, -1116, 'Invalid orderType.');
+    }
+    const trades = [];
+    const onTrade = (trade) => trades.push(trade);
+    this.engine.on('trade', onTrade);
+    let order;
+    try {
+      order = this.engine.placeOrder(account.apiKey, {
+        symbol,
+        side: q.side,
+        type: q.type === 'MARKET' ? 'market' : 'limit',
+        amount: q.quantity,
+        price: q.price,
+        clientOrderId: q.newClientOrderId || 'mock' + crypto.randomBytes(8).toString('hex'),
+        timeInForce: q.type === 'LIMIT_MAKER' ? 'PO' : q.timeInForce,
+      });
+    } finally {
+      this.engine.removeListener('trade', onTrade);
+    }
+    const body = this.order(order);
+    body.type = q.type;
+    body.transactTime = order.createdAt;
+    body.fills = trades.map((t) => ({
+      price: fmt(t.price), qty: fmt(t.amount), commission: '0', commissionAsset: this.engine.markets[symbol].quote, tradeId: Number(t.id),
+    }));
+    return { body };
+  }
+
+  cancelOrder(req, account) {
+    const order = this.engine.cancelOrder(account.apiKey, this.orderRef(req));
+    return { body: this.order(order) };
+  }
+
+  fetchOrder(req, account) {
+    return { body: this.order(this.engine.getOrder(account.apiKey, this.orderRef(req))) };
+  }
+
+  cancelAllOrders(req, account) {
+    const symbol = this.symbolFrom(req);
+    if (!symbol) return this.error(400, -1121, 'Invalid symbol.');
+    return { body: this.engine.cancelAllOrders(account.apiKey, symbol).map((o) => this.order(o)) };
+  }
+
+  fetchOpenOrders(req, account) {
+    const symbol = req.query.symbol ? this.symbolFrom(req) : undefined;
+    if (req.query.symbol && !symbol) return this.error(400, -1121, 'Invalid symbol.');
+    return { body: this.engine.openOrders(account.apiKey, symbol).map((o) => this.order(o)) };
+  }
+
+  fetchBalance(req, account) {
+    const balances = Object.entries(this.engine.balances(account.apiKey))
+      .map(([asset, b]) => ({ asset, free: fmt(b.free), locked: fmt(b.used) }));
+    return { body: { makerCommission: 0, takerCommission: 0, canTrade: true, accountType: 'SPOT', balances, permissions: ['SPOT'] } };
+  }
+
+  /**
+   * The library sends no API key with userDataStream requests; fall back to the only account.
+   */
+  createListenKey(req) {
+    let apiKey = req.headers['x-mbx-apikey'];
+    if (!apiKey && this.engine.accounts.size === 1) [apiKey] = this.engine.accounts.keys();
+    if (!this.account(apiKey)) return this.error(401, -2014, 'API-key format invalid.');
+    const listenKey = crypto.randomBytes(30).toString('hex');
+    this._listenKeys.set(listenKey, apiKey);
+    return { body: { listenKey } };
+  }
+
+  orderRef(req) {
+    return { id: req.query.orderId, clientOrderId: req.query.origClientOrderId };
+  }
+
+  order(order) {
+    return {
+      symbol: this.marketId(order.symbol),
+      orderId: Number(order.id),
+      clientOrderId: order.clientOrderId,
+      price: fmt(order.price || 0),
+      origQty: fmt(order.amount),
+      executedQty: fmt(order.filled),
+      cummulativeQuoteQty: fmt(order.cost),
+      status: STATUS[order.status],
+      timeInForce: order.timeInForce === 'PO' ? 'GTC' : order.timeInForce,
+      type: order.type.toUpperCase(),
+      side: order.side.toUpperCase(),
+      time: order.createdAt,
+      updateTime: order.updatedAt,
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // WebSocket — /ws (SUBSCRIBE) and /ws/<listenKey> (user data)
+  // ---------------------------------------------------------------------------
+
+  onConnection(socket, req) {
+    const listenKey = req.path.startsWith('/ws/') ? req.path.slice(4) : undefined;
+    if (!listenKey) return;
+    const apiKey = this._listenKeys.get(listenKey);
+    if (!apiKey) {
+      socket.close(4001, 'Invalid listen key');
+      return;
+    }
+    this.openSession(socket, apiKey, (order, execType) => {
+      this.send(socket, this.executionReport(order, execType));
+      this.send(socket, this.accountPosition(apiKey));
+    });
+  }
+
+  onMessage(socket, message) {
+    if (!message || !Array.isArray(message.params)) return;
+    if (message.method === 'SUBSCRIBE') {
+      for (const stream of message.params) this.subscribeStream(socket, stream);
+    } else if (message.method === 'UNSUBSCRIBE') {
+      for (const stream of message.params) this.unsubscribe(socket, (sub) => sub.stream === stream);
+    }
+    this.send(socket, { result: null, id: message.id });
+  }
+
+  subscribeStream(socket, stream) {
+    const match = /^([a-z0-9]+)@(depth(\d+)?(?:@100ms)?|trade)$/.exec(stream);
+    const symbol = match && this.symbolOf(match[1].toUpperCase());
+    if (!symbol) return;
+    const id = this.marketId(symbol);
+
+    if (match[2] === 'trade') {
+      this.subscribeTrades(socket, symbol, (t) => this.send(socket, {
+        e: 'trade', E: t.timestamp, s: id, t: Number(t.id), p: fmt(t.price), q: fmt(t.amount), T: t.timestamp, m: t.side === 'sell',
+      })).stream = stream;
+      return;
+    }
+
+    const levels = match[3] ? Number(match[3]) : undefined;
+    let lastSequence;
+    this.subscribeBook(socket, symbol, levels, (view, changes) => {
+      if (levels) {
+        // Partial book stream: every message is the top N
+        this.send(socket, { lastUpdateId: view.sequence, bids: this.levels(view.bids), asks: this.levels(view.asks) });
+      } else if (changes) {
+        this.send(socket, {
+          e: 'depthUpdate', E: Date.now(), s: id, U: lastSequence + 1, u: view.sequence,
+          b: this.levels(changes.bids), a: this.levels(changes.asks),
+        });
+      }
+      lastSequence = view.sequence;
+    }).stream = stream;
+  }
+
+  executionReport(order, execType) {
+    const fill = execType === 'trade' ? order.lastFill : undefined;
+    return {
+      e: 'executionReport',
+      E: order.updatedAt,
+      s: this.marketId(order.symbol),
+      c: order.clientOrderId,
+      S: order.side.toUpperCase(),
+      o: order.type.toUpperCase(),
+      f: order.timeInForce === 'PO' ? 'GTC' : order.timeInForce,
+      q: fmt(order.amount),
+      p: fmt(order.price || 0),
+      x: EXEC_TYPE[execType],
+      X: STATUS[order.status],
+      i: Number(order.id),
+      l: fmt(fill ? fill.amount : 0),
+      z: fmt(order.filled),
+      L: fmt(fill ? fill.price : 0),
+      n: '0',
+      N: null,
+      T: order.updatedAt,
+      t: fill ? Number(fill.tradeId) : -1,
+      m: fill ? fill.maker : false,
+      O: order.createdAt,
+      Z: fmt(order.cost),
+    };
+  }
+
+  accountPosition(apiKey) {
+    const now = Date.now();
+    return {
+      e: 'outboundAccountPosition',
+      E: now,
+      u: now,
+      B: Object.entries(this.engine.balances(apiKey)).map(([a, b]) => ({ a, f: fmt(b.free), l: fmt(b.used) })),
+    };
+  }
+}
+
+module.exports = BinanceVenue;
@@ -0,0 +1,292 @@
+'use strict';
+
+const crypto = require('crypto');
+const MockVenue = require('../venue');
+const { hmacSHA256 } = require('../../utils/crypto');
+
+const { fmt } = MockVenue;
+
+const STATUS = { new: 'New', partially_filled: 'PartiallyFilled', filled: 'Filled', canceled: 'Cancelled' };
+
+function titleCase(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+/**
+ * Bybit V5 spot API (/v5/...) plus the public and private V5 WebSockets.
+ * Every response uses the { retCode, retMsg, result } envelope with HTTP 200, like Bybit.
+ */
+class BybitVenue extends MockVenue {
+  constructor(engine) {
+    super(engine);
+    this.routes = {
+      'GET /v5/market/time': () => this.ok({ timeSecond: String(Math.floor(Date.now() / 1000)), timeNano: String(Date.now() * 1e6) }),
+      'GET /v5/market/instruments-info': this.instruments,
+      'GET /v5/market/orderbook': this.orderBook,
+      'GET /v5/market/tickers': this.tickers,
+      'POST /v5/order/create': this.signed(this.createOrder),
+      'POST /v5/order/cancel': this.signed(this.cancelOrder),
+      'POST /v5/order/cancel-all': this.signed(this.cancelAllOrders),
+      'GET /v5/order/realtime': this.signed(this.fetchOrders),
+      'GET /v5/account/wallet-balance': this.signed(this.fetchBalance),
+    };
+  }
+
+  urls(httpBase, wsBase) {
+    return { api: httpBase, ws: wsBase + '/v5/public/spot', wsPrivate: wsBase + '/v5/private' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Authentication & errors
+  // ---------------------------------------------------------------------------
+
+  signed(handler) {
+    return (req) => {
+      const account = this.account(req.headers['x-bapi-api-key']);
+      if (!account) return this.error(10003, 'API key is invalid.');
+      const timestamp = req.headers['x-bapi-timestamp'];
+      const recvWindow = req.headers['x-bapi-recv-window'] || '5000';
+      const payload = req.method === 'GET' ? req.rawQuery : req.rawBody;
+      if (hmacSHA256(timestamp + account.apiKey + recvWindow + payload, account.secret) !== req.headers['x-bapi-sign']) {
+        return this.error(10004, 'error sign! origin_string[' + timestamp + account.apiKey + recvWindow + payload + ']');
+      }
+      if (Math.abs(Date.now() - Number(timestamp)) > Number(recvWindow)) {
+        return this.error(10002, 'invalid request, please check your server timestamp or recv_window param');
+      }
+      return handler.call(this, req, account, req.method === 'GET' ? req.query : req.body);
+    };
+  }
+
+  ok(result) {
+    return { body: { retCode: 0, retMsg: 'OK', result, retExtInfo: {}, time: Date.now() } };
+  }
+
+  error(retCode, retMsg) {
+    return { body: { retCode, retMsg, result: {}, retExtInfo: {}, time: Date.now() } };
+  }
+
+  formatError(err) {
+    switch (err.code) {
+      case 'invalid_key': return this.error(10003, 'API key is invalid.');
+      case 'bad_symbol': return this.error(170121, 'Invalid symbol.');
+      case 'insufficient_funds': return this.error(170131, 'Insufficient balance.');
+      case 'order_not_found': return this.error(110001, 'Order does not exist.');
+      case 'duplicate_order': return this.error(170141, 'Duplicate clientOrderId.');
+      case 'would_take': return this.error(170210, 'The post-only order would be filled immediately.');
+      default: return this.error(170140, err.message);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public REST
+  // ---------------------------------------------------------------------------
+
+  instruments() {
+    const list = Object.values(this.engine.markets).map((m) => ({
+      symbol: this.marketId(m.symbol),
+      baseCoin: m.base,
+      quoteCoin: m.quote,
+      status: 'Trading',
+      lotSizeFilter: {
+        basePrecision: fmt(m.stepSize),
+        minOrderQty: fmt(m.minAmount || m.stepSize),
+        maxOrderQty: '9000',
+        minOrderAmt: '1',
+        maxOrderAmt: '10000000',
+      },
+      priceFilter: { tickSize: fmt(m.tickSize) },
+    }));
+    return this.ok({ category: 'spot', list });
+  }
+
+  orderBook(req) {
+    const symbol = this.symbolOf(req.query.symbol);
+    if (!symbol) return this.error(10001, 'params error: symbol invalid');
+    const book = this.engine.depth(symbol, Number(req.query.limit || 1));
+    return this.ok({ s: req.query.symbol, b: this.levels(book.bids), a: this.levels(book.asks), ts: Date.now(), u: book.sequence });
+  }
+
+  tickers(req) {
+    const symbols = req.query.symbol ? [this.symbolOf(req.query.symbol)] : Object.keys(this.engine.markets);
+    if (!symbols[0]) return this.error(10001, 'params error: symbol invalid');
+    const list = symbols.map((symbol) => {
+      const book = this.engine.depth(symbol, 1);
+      const [bid = []] = book.bids;
+      const [ask = []] = book.asks;
+      return {
+        symbol: this.marketId(symbol),
+        lastPrice: fmt(book.last || 0),
+        bid1Price: fmt(bid[0] || 0),
+        bid1Size: fmt(bid[1] || 0),
+        ask1Price: fmt(ask[0] || 0),
+        ask1Size: fmt(ask[1] || 0),
+      };
+    });
+    return this.ok({ category: 'spot', list });
+  }
+
+  levels(side) {
+    return side.map(([price, amount]) => [fmt(price), fmt(amount)]);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private REST
+  // ---------------------------------------------------------------------------
+
+  createOrder(req, account, params) {
+    const symbol = this.symbolOf(params.symbol);
+    if (!symbol) return this.error(170121, 'Invalid symbol.');
+    if (params.orderType !== 'Limit' && params.orderType !== 'Market') {
+      return this.error(170140, 'Order type is not supported.');
+    }
+    const timeInForce = params.timeInForce === 'PostOnly' ? 'PO' : params.timeInForce;
+    const order = this.engine.placeOrder(account.apiKey, {
+      symbol,
+      side: params.side,
+      type: params.orderType,
+      amount: params.qty,
+      price: params.price,
+      clientOrderId: params.orderLinkId || crypto.randomUUID(),
+      timeInForce: params.orderType === 'Market' ? 'IOC' : timeInForce,
+    });
+    return this.ok({ orderId: order.id, orderLinkId: order.clientOrderId });
+  }
+
+  cancelOrder(req, account, params) {
+    const order = this.engine.cancelOrder(account.apiKey, { id: params.orderId, clientOrderId: params.orderLinkId });
+    return this.ok({ orderId: order.id, orderLinkId: order.clientOrderId });
+  }
+
+  cancelAllOrders(req, account, params) {
+    const symbol = params.symbol ? this.symbolOf(params.symbol) : undefined;
+    if (params.symbol && !symbol) return this.error(170121, 'Invalid symbol.');
+    const list = this.engine.cancelAllOrders(account.apiKey, symbol)
+      .map((o) => ({ orderId: o.id, orderLinkId: o.clientOrderId }));
+    return this.ok({ list, success: '1' });
+  }
+
+  /**
+   * Open orders, or one order (any status) when orderId/orderLinkId is given.
+   */
+  fetchOrders(req, account, params) {
+    let orders;
+    if (params.orderId || params.orderLinkId) {
+      orders = [this.engine.getOrder(account.apiKey, { id: params.orderId, clientOrderId: params.orderLinkId })];
+    } else {
+      const symbol = params.symbol ? this.symbolOf(params.symbol) : undefined;
+      orders = this.engine.openOrders(account.apiKey, symbol);
+    }
+    return this.ok({ category: 'spot', list: orders.map((o) => this.order(o)), nextPageCursor: '' });
+  }
+
+  fetchBalance(req, account) {
+    return this.ok({ list: [this.wallet(account.apiKey)] });
+  }
+
+  wallet(apiKey) {
+    const coin = Object.entries(this.engine.balances(apiKey)).map(([asset, b]) => ({
+      coin: asset,
+      walletBalance: fmt(b.total),
+      equity: fmt(b.total),
+      availableToWithdraw: fmt(b.free),
+      locked: fmt(b.used),
+    }));
+    return { accountType: 'UNIFIED', coin };
+  }
+
+  order(order) {
+    return {
+      orderId: order.id,
+      orderLinkId: order.clientOrderId,
+      symbol: this.marketId(order.symbol),
+      orderType: titleCase(order.type),
+      side: titleCase(order.side),
+      price: fmt(order.price || 0),
+      qty: fmt(order.amount),
+      cumExecQty: fmt(order.filled),
+      cumExecValue: fmt(order.cost),
+      avgPrice: order.filled > 0 ? fmt(order.cost / order.filled) : '',
+      leavesQty: fmt(order.status === 'canceled' ? 0 : order.amount - order.filled),
+      orderStatus: STATUS[order.status],
+      timeInForce: order.timeInForce === 'PO' ? 'PostOnly' : order.timeInForce,
+      category: 'spot',
+      createdTime: String(order.createdAt),
+      updatedTime: String(order.updatedAt),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // WebSocket — /v5/public/spot and /v5/private
+  // ---------------------------------------------------------------------------
+
+  onMessage(socket, message, req) {
+    if (!message || typeof message !== 'object') return;
+    const reply = (success, retMsg = '') => this.send(socket, {
+      success, ret_msg: retMsg, conn_id: 'mock', req_id: message.req_id, op: message.op,
+    });
+
+    if (message.op === 'ping') {
+      this.send(socket, { success: true, ret_msg: 'pong', conn_id: 'mock', op: 'ping' });
+    } else if (message.op === 'auth') {
+      const [apiKey, expires, signature] = message.args || [];
+      const account = this.account(apiKey);
+      if (!account || hmacSHA256('GET/realtime' + expires, account.secret) !== signature) {
+        reply(false, 'Request not authorized');
+        return;
+      }
+      socket.apiKey = apiKey;
+      reply(true);
+    } else if (message.op === 'subscribe') {
+      for (const topic of message.args || []) this.subscribeTopic(socket, topic, req);
+      reply(true);
+    } else if (message.op === 'unsubscribe') {
+      for (const topic of message.args || []) {
+        this.unsubscribe(socket, (sub) => sub.topic === topic);
+        if (topic === 'order' || topic === 'wallet') {
+          for (const session of this._sessions) {
+            if (session.socket === socket && session.topic === topic) this._sessions.delete(session);
+          }
+        }
+      }
+      reply(true);
+    }
+  }
+
+  subscribeTopic(socket, topic, req) {
+    if (req.path === '/v5/private') {
+      if (!socket.apiKey || (topic !== 'order' && topic !== 'wallet')) return;
+      const apiKey = socket.apiKey;
+      const onOrder = topic === 'order'
+        ? (order) => this.send(socket, { id: crypto.randomUUID(), topic, creationTime: Date.now(), data: [this.order(order)] })
+        : () => this.send(socket, { id: crypto.randomUUID(), topic, creationTime: Date.now(), data: [this.wallet(apiKey)] });
+      this.openSession(socket, apiKey, onOrder).topic = topic;
+      return;
+    }
+
+    const [channel, ...rest] = topic.split('.');
+    const symbol = this.symbolOf(rest[rest.length - 1]);
+    if (!symbol) return;
+    const id = this.marketId(symbol);
+
+    if (channel === 'publicTrade') {
+      this.subscribeTrades(socket, symbol, (t) => this.send(socket, {
+        topic, type: 'snapshot', ts: t.timestamp,
+        data: [{ T: t.timestamp, s: id, S: titleCase(t.side), v: fmt(t.amount), p: fmt(t.price), i: t.id, BT: false }],
+      })).topic = topic;
+    } else if (channel === 'orderbook') {
+      const depth = Number(rest[0]);
+      this.subscribeBook(socket, symbol, depth, (view, changes) => {
+        const levels = changes || view;
+        this.send(socket, {
+          topic,
+          type: changes ? 'delta' : 'snapshot',
+          ts: Date.now(),
+          data: { s: id, b: this.levels(levels.bids), a: this.levels(levels.asks), u: view.sequence, seq: view.sequence },
+          cts: Date.now(),
+        });
+      }).topic = topic;
+    }
+  }
+}
+
+module.exports = BybitVenue;
@@ -0,0 +1,394 @@
+'use strict';
+
+const crypto = require('crypto');
+const MockVenue = require('../venue');
+const { krakenSign, crc32 } = require('../../utils/crypto');
+
+const { fmt, decimals } = MockVenue;
+
+const STATUS = { new: 'open', partially_filled: 'open', filled: 'closed', canceled: 'canceled' };
+
+function txid(id) {
+  return 'O' + id.padStart(5, '0') + '-MOCK0-KRAKEN';
+}
+
+function orderId(txidOrId) {
+  const match = /^O(\d+)-/.exec(String(txidOrId));
+  return match ? String(Number(match[1])) : undefined;
+}
+
+/**
+ * Kraken spot REST (/0/public, /0/private) and WebSocket v2 (public + authenticated).
+ * Private calls check API-Key and the two-step API-Sign over the form body and nonce.
+ * Errors come back as HTTP 200 with { error: ['EOrder:...'] }, like Kraken.
+ */
+class KrakenVenue extends MockVenue {
+  constructor(engine) {
+    super(engine);
+    this._tokens = new Map();   // WebSocket token → apiKey
+    this._userrefs = new Map(); // engine order id → userref
+    this.routes = {
+      'GET /0/public/Time': () => this.ok({ unixtime: Math.floor(Date.now() / 1000), rfc1123: new Date().toUTCString() }),
+      'GET /0/public/AssetPairs': this.assetPairs,
+      'GET /0/public/Depth': this.depth,
+      'GET /0/public/Ticker': this.ticker,
+      'POST /0/private/AddOrder': this.signed(this.addOrder),
+      'POST /0/private/CancelOrder': this.signed(this.cancelOrder),
+      'POST /0/private/CancelAll': this.signed(this.cancelAll),
+      'POST /0/private/QueryOrders': this.signed(this.queryOrders),
+      'POST /0/private/OpenOrders': this.signed(this.openOrders),
+      'POST /0/private/Balance': this.signed(this.balance),
+      'POST /0/private/GetWebSocketsToken': this.signed(this.webSocketsToken),
+    };
+  }
+
+  urls(httpBase, wsBase) {
+    return { api: httpBase, ws: wsBase + '/v2', wsPrivate: wsBase + '/auth/v2' };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Authentication & errors
+  // ---------------------------------------------------------------------------
+
+  signed(handler) {
+    return (req) => {
+      const account = this.account(req.headers['api-key']);
+      if (!account) return this.error('EAPI:Invalid key');
+      const nonce = req.body.nonce;
+      if (!nonce || krakenSign(req.path, nonce, req.rawBody, account.secret) !== req.headers['api-sign']) {
+        return this.error('EAPI:Invalid signature');
+      }
+      return handler.call(this, req, account, req.body);
+    };
+  }
+
+  ok(result) {
+    return { body: { error: [], result } };
+  }
+
+  error(message) {
+    return { body: { error: [message] } };
+  }
+
+  formatError(err) {
+    switch (err.code) {
+      case 'invalid_key': return this.error('EAPI:Invalid key');
+      case 'bad_symbol': return this.error('EQuery:Unknown asset pair');
+      case 'insufficient_funds': return this.error('EOrder:Insufficient funds');
+      case 'order_not_found': return this.error('EOrder:Unknown order');
+      case 'duplicate_order': return this.error('EOrder:Duplicate order');
+      case 'would_take': return this.error('EOrder:Post only order');
+      default: return this.error('EOrder:Invalid order: ' + err.message);
+    }
+  }
+
+  pairSymbol(pair) {
+    for (const symbol of Object.keys(this.engine.markets)) {
+      if (pair === this.marketId(symbol) || pair === symbol) return symbol;
+    }
+    return undefined;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public REST
+  // ---------------------------------------------------------------------------
+
+  assetPairs() {
+    const result = {};
+    for (const m of Object.values(this.engine.markets)) {
+      const id = this.marketId(m.symbol);
+      result[id] = {
+        altname: id,
+        wsname: m.symbol,
+        base: m.base,
+        quote: m.quote,
+        pair_decimals: decimals(m.tickSize),
+        lot_decimals: decimals(m.stepSize),
+        cost_decimals: decimals(m.tickSize),
+        ordermin: fmt(m.minAmount || m.stepSize),
+        costmin: '0',
+        tick_size: fmt(m.tickSize),
+        status: 'online',
+      };
+    }
+    return this.ok(result);
+  }
+
+  depth(req) {
+    const symbol = this.pairSymbol(req.query.pair);
+    if (!symbol) return this.error('EQuery:Unknown asset pair');
+    const book = this.engine.depth(symbol, Number(req.query.count || 100));
+    const now = Math.floor(Date.now() / 1000);
+    const levels = (side) => side.map(([price, amount]) => [fmt(price), fmt(amount), now]);
+    return this.ok({ [this.marketId(symbol)]: { asks: levels(book.asks), bids: levels(book.bids) } });
+  }
+
+  ticker(req) {
+    const symbol = this.pairSymbol(req.query.pair);
+    if (!symbol) return this.error('EQuery:Unknown asset pair');
+    const book = this.engine.depth(symbol, 1);
+    const [bid = []] = book.bids;
+    const [ask = []] = book.asks;
+    const last = fmt(book.last || 0);
+    return this.ok({
+      [this.marketId(symbol)]: {
+        a: [fmt(ask[0] || 0), '1', fmt(ask[1] || 0)],
+        b: [fmt(bid[0] || 0), '1', fmt(bid[1] || 0)],
+        c: [last, '0'],
+        o: last,
+      },
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private REST
+  // ---------------------------------------------------------------------------
+
+  addOrder(req, account, params) {
+    const symbol = this.pairSymbol(params.pair);
+    if (!symbol) return this.error('EQuery:Unknown asset pair');
+    if (params.ordertype !== 'limit' && params.ordertype !== 'market') {
+      return this.error('EOrder:Order type not supported');
+    }
+    const oflags = String(params.oflags || '').split(',');
+    const request = {
+      symbol,
+      side: params.type,
+      type: params.ordertype,
+      amount: params.volume,
+      price: params.price,
+      clientOrderId: params.cl_ord_id,
+      timeInForce: params.ordertype === 'market' ? 'IOC' : (oflags.includes('post') ? 'PO' : params.timeinforce),
+    };
+    const descr = { order: params.type + ' ' + params.volume + ' ' + this.marketId(symbol) + ' @ ' + params.ordertype + (params.price ? ' ' + params.price : '') };
+    if (params.validate === 'true' || params.validate === true) return this.ok({ descr });
+
+    const order = this.engine.placeOrder(account.apiKey, request);
+    if (params.userref !== undefined) this._userrefs.set(order.id, Number(params.userref));
+    return this.ok({ descr, txid: [txid(order.id)] });
+  }
+
+  orderRef(apiKey, ref) {
+    const id = orderId(ref);
+    if (id) return { id };
+    // Not a txid: cl_ord_id, else userref of an open order
+    const open = this.engine.openOrders(apiKey).find((o) => String(this._userrefs.get(o.id)) === String(ref));
+    return open ? { id: open.id } : { clientOrderId: ref };
+  }
+
+  cancelOrder(req, account, params) {
+    this.engine.cancelOrder(account.apiKey, this.orderRef(account.apiKey, params.txid));
+    return this.ok({ count: 1 });
+  }
+
+  cancelAll(req, account) {
+    return this.ok({ count: this.engine.cancelAllOrders(account.apiKey).length });
+  }
+
+  queryOrders(req, account, params) {
+    const result = {};
+    for (const ref of String(params.txid || '').split(',')) {
+      const order = this.engine.getOrder(account.apiKey, this.orderRef(account.apiKey, ref));
+      result[txid(order.id)] = this.order(order);
+    }
+    return this.ok(result);
+  }
+
+  openOrders(req, account) {
+    const open = {};
+    for (const order of this.engine.openOrders(account.apiKey)) open[txid(order.id)] = this.order(order);
+    return this.ok({ open });
+  }
+
+  balance(req, account) {
+    const result = {};
+    for (const [asset, b] of Object.entries(this.engine.balances(account.apiKey))) result[asset] = fmt(b.total);
+    return this.ok(result);
+  }
+
+  webSocketsToken(req, account) {
+    const token = crypto.randomBytes(24).toString('base64');
+    this._tokens.set(token, account.apiKey);
+    return this.ok({ token, expires: 900 });
+  }
+
+  order(order) {
+    return {
+      refid: null,
+      userref: this._userrefs.get(order.id) || 0,
+      cl_ord_id: order.clientOrderId,
+      status: STATUS[order.status],
+      opentm: order.createdAt / 1000,
+      closetm: order.status === 'filled' || order.status === 'canceled' ? order.updatedAt / 1000 : undefined,
+      starttm: 0,
+      expiretm: 0,
+      descr: {
+        pair: this.marketId(order.symbol),
+        type: order.side,
+        ordertype: order.type,
+        price: fmt(order.price || 0),
+        price2: '0',
+        leverage: 'none',
+        order: order.side + ' ' + fmt(order.amount) + ' ' + this.marketId(order.symbol) + ' @ ' + order.type + ' ' + fmt(order.price || 0),
+        close: '',
+      },
+      vol: fmt(order.amount),
+      vol_exec: fmt(order.filled),
+      cost: fmt(order.cost),
+      fee: '0',
+      price: order.filled > 0 ? fmt(order.cost / order.filled) : '0',
+      stopprice: '0',
+      limitprice: '0',
+      misc: '',
+      oflags: order.timeInForce === 'PO' ? 'post,fciq' : 'fciq',
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // WebSocket v2 — /v2 (public) and /auth/v2 (private)
+  // ---------------------------------------------------------------------------
+
+  onConnection(socket) {
+    this.send(socket, {
+      channel: 'status',
+      type: 'update',
+      data: [{ version: '2.0.0', system: 'online', api_version: 'v2', connection_id: Date.now() }],
+    });
+  }
+
+  onMessage(socket, message, req) {
+    if (!message || typeof message !== 'object') return;
+    const timeIn = new Date().toISOString();
+    const reply = (body) => this.send(socket, {
+      method: message.method, req_id: message.req_id, ...body, time_in: timeIn, time_out: new Date().toISOString(),
+    });
+    const params = message.params || {};
+
+    if (message.method === 'ping') {
+      this.send(socket, { method: 'pong', req_id: message.req_id, time_in: timeIn, time_out: new Date().toISOString() });
+    } else if (message.method === 'subscribe') {
+      const error = this.subscribeChannel(socket, params, req);
+      reply(error ? { success: false, error } : { success: true, result: { channel: params.channel, snapshot: true } });
+    } else if (message.method === 'unsubscribe') {
+      const symbols = params.symbol || [];
+      this.unsubscribe(socket, (sub) => sub.channel === params.channel && (!symbols.length || symbols.includes(sub.symbol)));
+      for (const session of this._sessions) {
+        if (session.socket === socket && session.channel === params.channel) this._sessions.delete(session);
+      }
+      reply({ success: true, result: { channel: params.channel } });
+    }
+  }
+
+  subscribeChannel(socket, params, req) {
+    const { channel } = params;
+
+    if (req.path === '/auth/v2') {
+      const apiKey = this._tokens.get(params.token);
+      if (!apiKey) return 'EAccount:Invalid permissions';
+      if (channel === 'executions') {
+        if (params.snap_orders !== false) {
+          const data = this.engine.openOrders(apiKey).map((o) => this.execution(o, o.status === 'new' ? 'new' : 'trade'));
+          this.send(socket, { channel, type: 'snapshot', data, sequence: 1 });
+        }
+        this.openSession(socket, apiKey, (order, execType) => {
+          this.send(socket, { channel, type: 'update', data: [this.execution(order, execType)] });
+          if (execType === 'trade' && order.status === 'filled') {
+            this.send(socket, { channel, type: 'update', data: [this.execution(order, 'filled')] });
+          }
+        }).channel = channel;
+        return undefined;
+      }
+      if (channel === 'balances') {
+        const balances = () => Object.entries(this.engine.balances(apiKey)).map(([asset, b]) => ({
+          asset, asset_class: 'currency', balance: b.total, hold_trade: b.used,
+        }));
+        this.send(socket, { channel, type: 'snapshot', data: balances() });
+        this.openSession(socket, apiKey, () => this.send(socket, { channel, type: 'update', data: balances() })).channel = channel;
+        return undefined;
+      }
+      return 'EGeneral:Invalid arguments:channel';
+    }
+
+    const symbols = (params.symbol || []).map((s) => this.pairSymbol(s));
+    if (symbols.length === 0 || symbols.includes(undefined)) return 'EQuery:Unknown asset pair';
+
+    for (const symbol of symbols) {
+      if (channel === 'book') {
+        const depth = Number(params.depth || 10);
+        if (![10, 25, 100, 500, 1000].includes(depth)) return 'EGeneral:Invalid arguments:depth';
+        this.subscribeBook(socket, symbol, depth, (view, changes) => {
+          const levels = (side) => side.map(([price, qty]) => ({ price, qty }));
+          const data = changes || { bids: view.bids, asks: view.asks };
+          this.send(socket, {
+            channel,
+            type: changes ? 'update' : 'snapshot',
+            data: [{
+              symbol,
+              bids: levels(data.bids),
+              asks: levels(data.asks),
+              checksum: this.checksum(symbol, view),
+              timestamp: new Date().toISOString(),
+            }],
+          });
+        }).channel = channel;
+      } else if (channel === 'trade') {
+        this.subscribeTrades(socket, symbol, (t) => this.send(socket, {
+          channel,
+          type: 'update',
+          data: [{
+            symbol, side: t.side, price: t.price, qty: t.amount, ord_type: 'limit', trade_id: Number(t.id), timestamp: new Date(t.timestamp).toISOString(),
+          }],
+        })).channel = channel;
+      } else {
+        return 'EGeneral:Invalid arguments:channel';
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * CRC32 of the top 10 asks then bids, each level as price + qty at the pair precision
+   * with the '.' and leading zeros removed.
+   */
+  checksum(symbol, view) {
+    const market = this.engine.markets[symbol];
+    const format = (value, places) => value.toFixed(places).replace('.', '').replace(/^0+/, '');
+    let payload = '';
+    for (const [price, qty] of view.asks.slice(0, 10)) {
+      payload += format(price, decimals(market.tickSize)) + format(qty, decimals(market.stepSize));
+    }
+    for (const [price, qty] of view.bids.slice(0, 10)) {
+      payload += format(price, decimals(market.tickSize)) + format(qty, decimals(market.stepSize));
+    }
+    return crc32(payload);
+  }
+
+  execution(order, execType) {
+    const fill = execType === 'trade' ? order.lastFill : undefined;
+    const status = { new: 'new', partially_filled: 'partially_filled', filled: 'filled', canceled: 'canceled' };
+    return {
+      order_id: txid(order.id),
+      cl_ord_id: order.clientOrderId,
+      order_userref: this._userrefs.get(order.id) || 0,
+      symbol: order.symbol,
+      side: order.side,
+      order_type: order.type,
+      order_qty: order.amount,
+      limit_price: order.price,
+      time_in_force: order.timeInForce === 'PO' ? 'GTC' : order.timeInForce,
+      post_only: order.timeInForce === 'PO',
+      cum_qty: order.filled,
+      cum_cost: order.cost,
+      avg_price: order.filled > 0 ? order.cost / order.filled : 0,
+      last_qty: fill ? fill.amount : undefined,
+      last_price: fill ? fill.price : undefined,
+      liquidity_ind: fill ? (fill.maker ? 'm' : 't') : undefined,
+      exec_id: fill ? 'T' + fill.tradeId : undefined,
+      exec_type: execType,
+      order_status: status[order.status],
+      timestamp: new Date(order.updatedAt).toISOString(),
+    };
+  }
+}
+
+module.exports = KrakenVenue;
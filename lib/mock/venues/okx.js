@@ -0,0 +1,363 @@
+'use strict';
+
+const MockVenue = require('../venue');
+const { hmacSHA256Base64, crc32 } = require('../../utils/crypto');
+
+const { fmt } = MockVenue;
+
+const STATE = { new: 'live', partially_filled: 'partially_filled', filled: 'filled', canceled: 'canceled' };
+
+/**
+ * OKX V5 spot API (/api/v5/...) plus the public and private V5 WebSockets.
+ * REST responses use { code, msg, data: [] }; signed requests check the OK-ACCESS-*
+ * headers, passphrase and Base64 HMAC-SHA256 of timestamp + method + path + body.
+ */
+class OkxVenue extends MockVenue {
+  constructor(engine) {
+    super(engine);
+    this.routes = {
+      'GET /api/v5/public/time': () => this.ok([{ ts: String(Date.now()) }]),
+      'GET /api/v5/public/instruments': this.instruments,
+      'GET /api/v5/market/books': this.orderBook,
+      'GET /api/v5/market/ticker': this.ticker,
+      'POST /api/v5/trade/order': this.signed(this.createOrder),
+      'POST /api/v5/trade/cancel-order': this.signed(this.cancelOrder),
+      'POST /api/v5/trade/cancel-batch-orders': this.signed(this.cancelBatchOrders),
+      'GET /api/v5/trade/order': this.signed(this.fetchOrder),
+      'GET /api/v5/trade/orders-pending': this.signed(this.fetchOpenOrders),
+      'GET /api/v5/account/balance': this.signed(this.fetchBalance),
+    };
+  }
+
+  urls(httpBase, wsBase) {
+    return {
+      api: httpBase,
+      ws: wsBase + '/ws/v5/public',
+      wsBusiness: wsBase + '/ws/v5/business',
+      wsPrivate: wsBase + '/ws/v5/private',
+    };
+  }
+
+  marketId(symbol) {
+    return symbol.replace('/', '-');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Authentication & errors
+  // ---------------------------------------------------------------------------
+
+  signed(handler) {
+    return (req) => {
+      const account = this.account(req.headers['ok-access-key']);
+      if (!account) return this.error(50111, 'Invalid OK-ACCESS-KEY', 401);
+      if (account.passphrase !== undefined && req.headers['ok-access-passphrase'] !== account.passphrase) {
+        return this.error(50105, 'Invalid OK-ACCESS-PASSPHRASE', 401);
+      }
+      const timestamp = req.headers['ok-access-timestamp'];
+      const requestPath = req.rawQuery ? req.path + '?' + req.rawQuery : req.path;
+      const prehash = timestamp + req.method + requestPath + req.rawBody;
+      if (hmacSHA256Base64(prehash, account.secret) !== req.headers['ok-access-sign']) {
+        return this.error(50113, 'Invalid Sign', 401);
+      }
+      if (Math.abs(Date.now() - Date.parse(timestamp)) > 30000) {
+        return this.error(50102, 'Timestamp request expired', 401);
+      }
+      return handler.call(this, req, account, req.method === 'GET' ? req.query : req.body);
+    };
+  }
+
+  ok(data) {
+    return { body: { code: '0', msg: '', data } };
+  }
+
+  error(code, msg, status = 200) {
+    return { status, body: { code: String(code), msg, data: [] } };
+  }
+
+  /**
+   * Order endpoints report failures per order: code 1 with sCode/sMsg in data[0].
+   */
+  orderError(code, msg) {
+    return { body: { code: '1', msg: 'Operation failed.', data: [{ ordId: '', clOrdId: '', sCode: String(code), sMsg: msg }] } };
+  }
+
+  formatError(err) {
+    switch (err.code) {
+      case 'invalid_key': return this.error(50111, 'Invalid OK-ACCESS-KEY', 401);
+      case 'bad_symbol': return this.error(51001, 'Instrument ID doesn\'t exist.');
+      case 'insufficient_funds': return this.error(51008, 'Order failed. Insufficient balance.');
+      case 'order_not_found': return this.error(51603, 'Order does not exist');
+      case 'duplicate_order': return this.error(51016, 'Duplicated clOrdId');
+      case 'would_take': return this.error(51400, 'Post-only order would take liquidity');
+      default: return this.error(51000, 'Parameter error: ' + err.message);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public REST
+  // ---------------------------------------------------------------------------
+
+  instruments() {
+    return this.ok(Object.values(this.engine.markets).map((m) => ({
+      instType: 'SPOT',
+      instId: this.marketId(m.symbol),
+      baseCcy: m.base,
+      quoteCcy: m.quote,
+      state: 'live',
+      tickSz: fmt(m.tickSize),
+      lotSz: fmt(m.stepSize),
+      minSz: fmt(m.minAmount || m.stepSize),
+      maxLmtSz: '9000',
+    })));
+  }
+
+  orderBook(req) {
+    const symbol = this.symbolOf(req.query.instId);
+    if (!symbol) return this.error(51001, 'Instrument ID doesn\'t exist.');
+    const book = this.engine.depth(symbol, Number(req.query.sz || 1));
+    return this.ok([{ bids: this.levels(book.bids), asks: this.levels(book.asks), ts: String(Date.now()) }]);
+  }
+
+  ticker(req) {
+    const symbol = this.symbolOf(req.query.instId);
+    if (!symbol) return this.error(51001, 'Instrument ID doesn\'t exist.');
+    const book = this.engine.depth(symbol, 1);
+    const [bid = []] = book.bids;
+    const [ask = []] = book.asks;
+    return this.ok([{
+      instType: 'SPOT',
+      instId: req.query.instId,
+      last: fmt(book.last || 0),
+      bidPx: fmt(bid[0] || 0),
+      bidSz: fmt(bid[1] || 0),
+      askPx: fmt(ask[0] || 0),
+      askSz: fmt(ask[1] || 0),
+      ts: String(Date.now()),
+    }]);
+  }
+
+  /**
+   * OKX levels: [price, size, deprecated, orders]
+   */
+  levels(side) {
+    return side.map(([price, amount]) => [fmt(price), fmt(amount), '0', amount > 0 ? '1' : '0']);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private REST
+  // ---------------------------------------------------------------------------
+
+  createOrder(req, account, params) {
+    const symbol = this.symbolOf(params.instId);
+    if (!symbol) return this.orderError(51001, 'Instrument ID doesn\'t exist.');
+    const types = { limit: 'GTC', market: 'IOC', post_only: 'PO', fok: 'FOK', ioc: 'IOC' };
+    if (!types[params.ordType]) return this.orderError(51000, 'Parameter ordType error');
+    try {
+      const order = this.engine.placeOrder(account.apiKey, {
+        symbol,
+        side: params.side,
+        type: params.ordType === 'market' ? 'market' : 'limit',
+        amount: params.sz,
+        price: params.px,
+        clientOrderId: params.clOrdId || undefined,
+        timeInForce: types[params.ordType],
+      });
+      return this.ok([{ ordId: order.id, clOrdId: order.clientOrderId || '', tag: '', sCode: '0', sMsg: 'Order placed' }]);
+    } catch (err) {
+      const { body } = this.formatError(err);
+      if (body.code === '51000' || body.code === '51001') return { body };
+      return this.orderError(body.code, body.msg);
+    }
+  }
+
+  cancelOrder(req, account, params) {
+    try {
+      const order = this.engine.cancelOrder(account.apiKey, { id: params.ordId, clientOrderId: params.clOrdId });
+      return this.ok([{ ordId: order.id, clOrdId: order.clientOrderId || '', sCode: '0', sMsg: '' }]);
+    } catch (err) {
+      const { body } = this.formatError(err);
+      return this.orderError(body.code, body.msg);
+    }
+  }
+
+  /**
+   * Accepts the documented array body and the { "0": {...} } object the library sends.
+   */
+  cancelBatchOrders(req, account, params) {
+    const data = Object.values(params || {}).map((item) => {
+      try {
+        const order = this.engine.cancelOrder(account.apiKey, { id: item.ordId, clientOrderId: item.clOrdId });
+        return { ordId: order.id, clOrdId: order.clientOrderId || '', sCode: '0', sMsg: '' };
+      } catch (err) {
+        const { body } = this.formatError(err);
+        return { ordId: item.ordId || '', clOrdId: item.clOrdId || '', sCode: body.code, sMsg: body.msg };
+      }
+    });
+    const failed = data.filter((d) => d.sCode !== '0').length;
+    const code = failed === 0 ? '0' : failed === data.length ? '1' : '2';
+    return { body: { code, msg: '', data } };
+  }
+
+  fetchOrder(req, account, params) {
+    return this.ok([this.order(this.engine.getOrder(account.apiKey, { id: params.ordId, clientOrderId: params.clOrdId }))]);
+  }
+
+  fetchOpenOrders(req, account, params) {
+    const symbol = params.instId ? this.symbolOf(params.instId) : undefined;
+    return this.ok(this.engine.openOrders(account.apiKey, symbol).map((o) => this.order(o)));
+  }
+
+  fetchBalance(req, account) {
+    return this.ok([this.balance(account.apiKey)]);
+  }
+
+  balance(apiKey) {
+    const details = Object.entries(this.engine.balances(apiKey)).map(([ccy, b]) => ({
+      ccy,
+      availBal: fmt(b.free),
+      frozenBal: fmt(b.used),
+      cashBal: fmt(b.total),
+      eq: fmt(b.total),
+    }));
+    return { uTime: String(Date.now()), totalEq: '0', details };
+  }
+
+  order(order) {
+    const types = { GTC: order.type, IOC: 'ioc', FOK: 'fok', PO: 'post_only' };
+    return {
+      instType: 'SPOT',
+      instId: this.marketId(order.symbol),
+      ordId: order.id,
+      clOrdId: order.clientOrderId || '',
+      ordType: order.type === 'market' ? 'market' : types[order.timeInForce],
+      side: order.side,
+      px: order.price === undefined ? '' : fmt(order.price),
+      sz: fmt(order.amount),
+      accFillSz: fmt(order.filled),
+      avgPx: order.filled > 0 ? fmt(order.cost / order.filled) : '',
+      fillPx: order.lastFill ? fmt(order.lastFill.price) : '',
+      fillSz: order.lastFill ? fmt(order.lastFill.amount) : '0',
+      state: STATE[order.status],
+      tdMode: 'cash',
+      fee: '0',
+      feeCcy: this.engine.markets[order.symbol].quote,
+      cTime: String(order.createdAt),
+      uTime: String(order.updatedAt),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // WebSocket — /ws/v5/public and /ws/v5/private
+  // ---------------------------------------------------------------------------
+
+  onMessage(socket, message, req) {
+    if (message === 'ping') {
+      this.send(socket, 'pong');
+      return;
+    }
+    if (!message || typeof message !== 'object') return;
+
+    if (message.op === 'login') {
+      const [args = {}] = message.args || [];
+      const account = this.account(args.apiKey);
+      const sign = account && hmacSHA256Base64(args.timestamp + 'GET' + '/users/self/verify', account.secret);
+      if (!account || sign !== args.sign || (account.passphrase !== undefined && account.passphrase !== args.passphrase)) {
+        this.send(socket, { event: 'error', code: '60009', msg: 'Login failed.', connId: 'mock' });
+        return;
+      }
+      socket.apiKey = args.apiKey;
+      this.send(socket, { event: 'login', code: '0', msg: '', connId: 'mock' });
+    } else if (message.op === 'subscribe') {
+      for (const arg of message.args || []) {
+        if (this.subscribeChannel(socket, arg, req)) {
+          this.send(socket, { event: 'subscribe', arg, connId: 'mock' });
+        } else {
+          this.send(socket, { event: 'error', code: '60018', msg: 'Wrong URL or channel:' + arg.channel + ' doesn\'t exist.', connId: 'mock' });
+        }
+      }
+    } else if (message.op === 'unsubscribe') {
+      for (const arg of message.args || []) {
+        const key = JSON.stringify(arg);
+        this.unsubscribe(socket, (sub) => sub.key === key);
+        for (const session of this._sessions) {
+          if (session.socket === socket && session.key === key) this._sessions.delete(session);
+        }
+        this.send(socket, { event: 'unsubscribe', arg, connId: 'mock' });
+      }
+    }
+  }
+
+  subscribeChannel(socket, arg, req) {
+    const key = JSON.stringify(arg);
+
+    if (req.path === '/ws/v5/private') {
+      if (!socket.apiKey || (arg.channel !== 'orders' && arg.channel !== 'account')) return false;
+      const apiKey = socket.apiKey;
+      const onOrder = arg.channel === 'orders'
+        ? (order) => this.send(socket, { arg, data: [this.order(order)] })
+        : () => this.send(socket, { arg, data: [this.balance(apiKey)] });
+      this.openSession(socket, apiKey, onOrder).key = key;
+      return true;
+    }
+
+    const symbol = this.symbolOf(arg.instId);
+    if (!symbol) return false;
+
+    if (arg.channel === 'trades') {
+      this.subscribeTrades(socket, symbol, (t) => this.send(socket, {
+        arg,
+        data: [{ instId: arg.instId, tradeId: t.id, px: fmt(t.price), sz: fmt(t.amount), side: t.side, ts: String(t.timestamp) }],
+      })).key = key;
+      return true;
+    }
+
+    if (arg.channel === 'books5') {
+      this.subscribeBook(socket, symbol, 5, (view) => {
+        this.send(socket, {
+          arg,
+          data: [{ bids: this.levels(view.bids), asks: this.levels(view.asks), instId: arg.instId, ts: String(Date.now()), seqId: view.sequence }],
+        });
+      }).key = key;
+      return true;
+    }
+
+    if (arg.channel === 'books') {
+      let prevSeqId = -1;
+      this.subscribeBook(socket, symbol, 400, (view, changes) => {
+        const levels = changes || view;
+        this.send(socket, {
+          arg,
+          action: changes ? 'update' : 'snapshot',
+          data: [{
+            bids: this.levels(levels.bids),
+            asks: this.levels(levels.asks),
+            ts: String(Date.now()),
+            checksum: this.checksum(view),
+            prevSeqId,
+            seqId: view.sequence,
+          }],
+        });
+        prevSeqId = view.sequence;
+      }).key = key;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Signed CRC32 of the top 25 levels interleaved as bidPx:bidSz:askPx:askSz.
+   */
+  checksum(view) {
+    const parts = [];
+    for (let i = 0; i < 25; i++) {
+      const bid = view.bids[i];
+      const ask = view.asks[i];
+      if (bid) parts.push(fmt(bid[0]) + ':' + fmt(bid[1]));
+      if (ask) parts.push(fmt(ask[0]) + ':' + fmt(ask[1]));
+    }
+    return crc32(parts.join(':')) | 0;
+  }
+}
+
+
+module.exports = OkxVenue;
@@ -1,19 +1,25 @@
 'use strict';
 
 const BaseExchange = require('./BaseExchange');
-const { hmacSHA256Base64 } = require('./utils/crypto');
+const { hmacSHA256Base64, crc32 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
   safeStringUpper, safeStringLower, safeFloat2, safeString2,
-  iso8601, sleep,
+  iso8601, sleep, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
   InsufficientFunds, InvalidOrder, OrderNotFound,
-  BadSymbol, BadRequest, ExchangeNotAvailable,
+  BadSymbol, BadRequest, ExchangeNotAvailable, NetworkError,
 } = require('./utils/errors');
 
+// Unified timeInForce → OKX ordType for limit orders, and back when parsing
+const OKX_TIME_IN_FORCE_TYPES = { PO: 'post_only', IOC: 'ioc', FOK: 'fok' };
+const OKX_ORDER_TYPE_TIME_IN_FORCE = {
+  limit: 'GTC', post_only: 'PO', ioc: 'IOC', fok: 'FOK', optimal_limit_ioc: 'IOC', market: 'IOC',
+};
+
 class Okx extends BaseExchange {
 
   describe() {
@@ -37,22 +43,67 @@ class Okx extends BaseExchange {
         createOrder: true,
         createLimitOrder: true,
         createMarketOrder: true,
+        createStopLossOrder: true,
+        createTakeProfitOrder: true,
+        createTrailingStopOrder: true,
+        createTriggerOrder: true,
         cancelOrder: true,
         cancelAllOrders: true,
         amendOrder: true,
+        editOrder: true,
+        createOrders: true,
+        cancelOrders: true,
         fetchOrder: true,
         fetchOpenOrders: true,
         fetchClosedOrders: true,
         fetchMyTrades: true,
         fetchBalance: true,
+        fetchLedger: true,
+        fetchFundingRate: true,
+        fetchFundingRates: true,
+        fetchFundingRateHistory: true,
+        fetchMarkOHLCV: true,
+        fetchIndexOHLCV: true,
+        fetchOpenInterest: true,
+        fetchPositions: true,
+        fetchPosition: true,
+        closePosition: true,
+        setLeverage: true,
+        fetchLeverage: true,
+        setMarginMode: true,
+        setPositionMode: true,
+        addMargin: true,
+        reduceMargin: true,
+        fetchLeverageTiers: true,
+        fetchMarketLeverageTiers: true,
         fetchTradingFees: true,
+        // Funding
+        fetchDepositAddress: true,
+        fetchDeposits: true,
+        fetchWithdrawals: true,
+        withdraw: true,
+        fetchDepositWithdrawFees: true,
+        transfer: true,
+        fetchTransfers: true,
+        // Margin
+        borrowMargin: true,
+        repayMargin: true,
+        fetchBorrowRate: true,
+        fetchBorrowInterest: true,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
         watchTrades: true,
         watchKlines: true,
+        watchFundingRate: true,
+        watchMarkPrice: true,
         watchBalance: true,
         watchOrders: true,
+        watchPositions: true,
+        createOrderWs: true,
+        editOrderWs: true,
+        cancelOrderWs: true,
+        cancelAllOrdersWs: true,
       },
       urls: {
         api: 'https://www.okx.com',
@@ -76,6 +127,14 @@ class Okx extends BaseExchange {
       fees: {
         trading: { maker: 0.001, taker: 0.0015 },
       },
+      networks: {
+        ERC20: 'ERC20', TRC20: 'TRC20', BEP20: 'BSC', SOL: 'Solana', BTC: 'Bitcoin',
+        ARBITRUM: 'Arbitrum One', OPTIMISM: 'Optimism', POLYGON: 'Polygon',
+      },
+      // Spot, margin and derivatives all trade from the trading account (18)
+      accounts: {
+        spot: '18', margin: '18', futures: '18', funding: '6',
+      },
     };
   }
 
@@ -85,8 +144,11 @@ class Okx extends BaseExchange {
     this.passphrase = config.passphrase || '';
     this._defaultInstType = this.options.instType || 'SPOT';
     this._defaultTdMode = this.options.tdMode || 'cash';
+    this._marginModes = {}; // symbol → 'cross' | 'isolated', from setMarginMode()
+    this._defaultMarginMode = undefined;
     this._wsClients = new Map();
     this._wsPrivateAuthenticated = false;
+    this._wsTradeClient = null;     // private socket whose replies are routed to pending WS requests
     this._pingTimers = new Map();
 
     // OKX demo/sandbox mode uses header for REST, separate URLs for WS
@@ -156,6 +218,9 @@ class Okx extends BaseExchange {
   _unwrapResponse(data) {
     if (data && typeof data === 'object' && 'code' in data) {
       if (data.code !== '0') {
+        // Order endpoints fail with code 1/2 and the real reason in data[].sCode
+        const failed = Array.isArray(data.data) && data.data.find((d) => d && d.sCode && d.sCode !== '0');
+        if (failed) this._handleOkxError(failed.sCode, failed.sMsg || data.msg || '');
         this._handleOkxError(data.code, data.msg || '');
       }
       return data.data;
@@ -217,6 +282,8 @@ class Okx extends BaseExchange {
       '50104': AuthenticationError,
       '50105': AuthenticationError,
       '50110': AuthenticationError,
+      '50111': AuthenticationError,
+      '50113': AuthenticationError,
 
       // Rate limiting
       '50011': RateLimitExceeded,
@@ -246,6 +313,7 @@ class Okx extends BaseExchange {
       '51006': OrderNotFound,
       '51020': OrderNotFound,
       '51501': OrderNotFound,
+      '51603': OrderNotFound,
     };
 
     const ErrorClass = errorMap[String(code)] || ExchangeError;
@@ -256,6 +324,105 @@ class Okx extends BaseExchange {
   // HELPERS
   // ===========================================================================
 
+  /**
+   * Convert unified symbol to OKX instId: BTC/USDT → BTC-USDT,
+   * BTC/USDT:USDT → BTC-USDT-SWAP, BTC/USD:BTC-250328 → BTC-USD-250328.
+   * Raw instIds (BTC-USDT) are passed through unchanged.
+   */
+  _toOkxSymbol(symbol) {
+    if (this.markets && this.markets[symbol]) {
+      return this.markets[symbol].id;
+    }
+    const parts = this._symbolParts(symbol);
+    if (parts && parts.settle) return parts.base + '-' + parts.quote + '-' + (parts.expiry || 'SWAP');
+    return symbol.replace('/', '-');
+  }
+
+  /**
+   * Convert OKX instId to unified format: BTC-USDT → BTC/USDT. Before loadMarkets()
+   * USD contracts are taken as coin-margined (BTC-USD-SWAP → BTC/USD:BTC), the rest
+   * as settled in the quote currency.
+   */
+  _fromOkxSymbol(instId) {
+    if (!instId) return instId;
+    if (this.marketsById && this.marketsById[instId]) {
+      return this.marketsById[instId].symbol;
+    }
+    const parts = instId.split('-');
+    if (parts.length === 2) return parts[0] + '/' + parts[1];
+    if (parts.length === 3 && (parts[2] === 'SWAP' || /^\d{6}$/.test(parts[2]))) {
+      const [base, quote, suffix] = parts;
+      const symbol = this._contractSymbol(base, quote, quote === 'USD' ? base : quote);
+      return suffix === 'SWAP' ? symbol : symbol + '-' + suffix;
+    }
+    return instId;
+  }
+
+  /**
+   * instType of a request: params.instType, else the market's, else SWAP / FUTURES for
+   * contract symbols. Spot-style symbols use options.instType.
+   */
+  _instType(symbol = undefined, params = {}) {
+    if (params.instType) return params.instType;
+    const market = symbol && this.markets ? this.markets[symbol] : undefined;
+    if (market && market.instType) return market.instType;
+    const parts = symbol ? this._symbolParts(symbol) : undefined;
+    if (!parts || !parts.settle) return this._defaultInstType;
+    return parts.expiry ? 'FUTURES' : 'SWAP';
+  }
+
+  /**
+   * Trade mode of an order: params.tdMode, else the unified params.marginMode (spot
+   * margin orders), else for contracts the mode given to setMarginMode(), else
+   * options.tdMode, else cash for spot and cross otherwise.
+   */
+  _tdMode(symbol, params = {}) {
+    if (params.tdMode) return params.tdMode;
+    if (params.marginMode) return this._checkMarginMode(params.marginMode);
+    const spot = this._instType(symbol, params) === 'SPOT';
+    const chosen = this._marginModes[symbol] || this._defaultMarginMode;
+    if (!spot && chosen) return chosen;
+    if (this.options.tdMode) return this.options.tdMode;
+    return spot ? this._defaultTdMode : 'cross';
+  }
+
+  /**
+   * Loaded market for an instId, if any.
+   */
+  _okxMarket(instId) {
+    return instId && this.marketsById ? this.marketsById[instId] : undefined;
+  }
+
+  /**
+   * Index of a contract's underlying (BTC-USDT for BTC-USDT-SWAP and its futures).
+   * Spot-style symbols map to the index of the same pair.
+   */
+  _okxIndexId(symbol) {
+    const market = this.markets ? this.markets[symbol] : undefined;
+    if (market && market.info && market.info.uly) return market.info.uly;
+    const parts = this._symbolParts(symbol);
+    return parts ? parts.base + '-' + parts.quote : symbol.replace('/', '-');
+  }
+
+  /**
+   * OKX chains are named after the currency: network TRC20 for USDT → 'USDT-TRC20'.
+   * A full chain name (anything containing '-') is passed through.
+   */
+  _toOkxChain(code, network) {
+    const id = this._networkId(network);
+    if (!id) return undefined;
+    return String(id).includes('-') ? id : String(code).toUpperCase() + '-' + id;
+  }
+
+  /**
+   * Unified network code of an OKX chain: 'USDT-TRC20' → TRC20.
+   */
+  _fromOkxChain(chain) {
+    if (!chain) return undefined;
+    const dash = chain.indexOf('-');
+    return this._networkCode(dash >= 0 ? chain.slice(dash + 1) : chain);
+  }
+
   _normalizeStatus(status) {
     const map = {
       'live': 'NEW',
@@ -301,15 +468,30 @@ class Okx extends BaseExchange {
 
     for (const inst of (result || [])) {
       const instId = inst.instId;
-      const base = inst.baseCcy || '';
-      const quote = inst.quoteCcy || '';
+      const contract = inst.instType === 'SWAP' || inst.instType === 'FUTURES';
+      // Contracts leave baseCcy/quoteCcy empty; the underlying (uly) is BASE-QUOTE
+      const [ulyBase, ulyQuote] = (inst.uly || '').split('-');
+      const base = (contract ? ulyBase : inst.baseCcy) || '';
+      const quote = (contract ? ulyQuote : inst.quoteCcy) || '';
+      const settle = contract ? inst.settleCcy : undefined;
+      const expiry = contract ? (safeInteger(inst, 'expTime') || undefined) : undefined;
+      let symbol = (base && quote) ? base + '/' + quote : instId;
+      if (contract && base && quote && settle) symbol = this._contractSymbol(base, quote, settle, expiry);
       const state = inst.state;
 
       const market = {
         id: instId,
-        symbol: instId,
+        symbol,
         base,
         quote,
+        settle,
+        type: contract ? (inst.instType === 'FUTURES' ? 'future' : 'swap') : 'spot',
+        contract,
+        linear: contract ? inst.ctType === 'linear' : undefined,
+        inverse: contract ? inst.ctType === 'inverse' : undefined,
+        contractSize: contract ? safeFloat(inst, 'ctVal') : undefined,
+        expiry,
+        expiryDatetime: iso8601(expiry),
         status: state,
         active: state === 'live',
         precision: {
@@ -338,9 +520,9 @@ class Okx extends BaseExchange {
         info: inst,
       };
 
-      this.markets[instId] = market;
+      this.markets[symbol] = market;
       this.marketsById[instId] = market;
-      this.symbols.push(instId);
+      this.symbols.push(symbol);
     }
 
     this._marketsLoaded = true;
@@ -349,7 +531,7 @@ class Okx extends BaseExchange {
 
   async fetchTicker(symbol, params = {}) {
     const data = await this._request('GET', '/api/v5/market/ticker', {
-      instId: symbol,
+      instId: this._toOkxSymbol(symbol),
       ...params,
     }, false, 1);
     const result = this._unwrapResponse(data);
@@ -361,14 +543,15 @@ class Okx extends BaseExchange {
 
   async fetchTickers(symbols = undefined, params = {}) {
     const data = await this._request('GET', '/api/v5/market/tickers', {
-      instType: params.instType || this._defaultInstType,
+      instType: this._instType(undefined, params),
       ...params,
     }, false, 1);
     const result = this._unwrapResponse(data);
+    const wanted = symbols ? symbols.map((s) => this._fromOkxSymbol(this._toOkxSymbol(s))) : undefined;
     const tickers = {};
     for (const t of (result || [])) {
       const ticker = this._parseTicker(t);
-      if (!symbols || symbols.includes(ticker.symbol)) {
+      if (!wanted || wanted.includes(ticker.symbol)) {
         tickers[ticker.symbol] = ticker;
       }
     }
@@ -376,7 +559,7 @@ class Okx extends BaseExchange {
   }
 
   async fetchOrderBook(symbol, limit = 20, params = {}) {
-    const request = { instId: symbol, ...params };
+    const request = { instId: this._toOkxSymbol(symbol), ...params };
     if (limit) request.sz = String(limit);
 
     const data = await this._request('GET', '/api/v5/market/books', request, false, 1);
@@ -388,7 +571,7 @@ class Okx extends BaseExchange {
 
     const book = result[0];
     return {
-      symbol,
+      symbol: this._fromOkxSymbol(request.instId),
       bids: (book.bids || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
       asks: (book.asks || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
       timestamp: safeInteger(book, 'ts'),
@@ -398,18 +581,18 @@ class Okx extends BaseExchange {
   }
 
   async fetchTrades(symbol, since = undefined, limit = 100, params = {}) {
-    const request = { instId: symbol, ...params };
+    const request = { instId: this._toOkxSymbol(symbol), ...params };
     if (limit) request.limit = String(limit);
 
     const data = await this._request('GET', '/api/v5/market/trades', request, false, 1);
     const result = this._unwrapResponse(data);
-    return (result || []).map((t) => this._parseTrade(t, symbol));
+    return (result || []).map((t) => this._parseTrade(t, this._fromOkxSymbol(request.instId)));
   }
 
   async fetchOHLCV(symbol, timeframe = '1h', since = undefined, limit = 100, params = {}) {
     const bar = this.timeframes[timeframe] || timeframe;
     const request = {
-      instId: symbol,
+      instId: this._toOkxSymbol(symbol),
       bar,
       limit: String(limit),
       ...params,
@@ -432,65 +615,322 @@ class Okx extends BaseExchange {
   }
 
   // ===========================================================================
-  // TRADING — PRIVATE (8 endpoints)
+  // DERIVATIVES MARKET DATA — PUBLIC (5 endpoints)
+  // ===========================================================================
+
+  /**
+   * Funding of a perpetual swap. GET /api/v5/public/funding-rate
+   * fundingTime is the next settlement and nextFundingTime the one after it.
+   */
+  async fetchFundingRate(symbol, params = {}) {
+    const data = await this._request('GET', '/api/v5/public/funding-rate', {
+      instId: this._toOkxSymbol(symbol),
+      ...params,
+    }, false, 1);
+    const result = this._unwrapResponse(data);
+    if (!result || result.length === 0) {
+      throw new BadSymbol(this.id + ' no funding rate for: ' + symbol);
+    }
+    return this._parseFundingRate(result[0]);
+  }
+
+  /**
+   * Settled funding rates. GET /api/v5/public/funding-rate-history (max 100, newest first)
+   */
+  async fetchFundingRateHistory(symbol, since = undefined, limit = undefined, params = {}) {
+    const request = { instId: this._toOkxSymbol(symbol), ...params };
+    if (limit) request.limit = String(Math.min(limit, 100));
+    if (since) request.before = String(since - 1);
+    const data = await this._request('GET', '/api/v5/public/funding-rate-history', request, false, 1);
+    const result = this._unwrapResponse(data);
+    return (result || []).reverse().map((r) => {
+      const timestamp = safeInteger(r, 'fundingTime');
+      return {
+        info: r,
+        symbol: this._fromOkxSymbol(safeString(r, 'instId')),
+        // realizedRate is what was charged; fundingRate the rate published beforehand
+        fundingRate: safeFloat2(r, 'realizedRate', 'fundingRate'),
+        timestamp,
+        datetime: iso8601(timestamp),
+      };
+    });
+  }
+
+  /**
+   * Mark price candles. GET /api/v5/market/mark-price-candles
+   */
+  async fetchMarkOHLCV(symbol, timeframe = '1m', since = undefined, limit = 100, params = {}) {
+    return this._fetchPriceCandles('/api/v5/market/mark-price-candles', this._toOkxSymbol(symbol), timeframe, since, limit, params);
+  }
+
+  /**
+   * Index price candles. GET /api/v5/market/index-candles
+   * Indexes are named after the underlying: BTC/USDT:USDT → BTC-USDT.
+   */
+  async fetchIndexOHLCV(symbol, timeframe = '1m', since = undefined, limit = 100, params = {}) {
+    return this._fetchPriceCandles('/api/v5/market/index-candles', this._okxIndexId(symbol), timeframe, since, limit, params);
+  }
+
+  async _fetchPriceCandles(path, instId, timeframe, since, limit, params) {
+    const request = {
+      instId,
+      bar: this.timeframes[timeframe] || timeframe,
+      limit: String(limit || 100),
+      ...params,
+    };
+    // `before` returns candles newer than the timestamp
+    if (since) request.before = String(since - 1);
+    const data = await this._request('GET', path, request, false, 1);
+    const result = this._unwrapResponse(data);
+    // [ts, o, h, l, c, confirm] — no volume, newest first
+    return (result || []).reverse().map((k) => ([
+      parseInt(k[0], 10),
+      parseFloat(k[1]),
+      parseFloat(k[2]),
+      parseFloat(k[3]),
+      parseFloat(k[4]),
+      undefined,
+    ]));
+  }
+
+  /**
+   * Open interest. GET /api/v5/public/open-interest
+   * oi counts contracts; oiUsd is the USD value.
+   */
+  async fetchOpenInterest(symbol, params = {}) {
+    const request = {
+      instType: this._instType(symbol, params),
+      instId: this._toOkxSymbol(symbol),
+      ...params,
+    };
+    const data = await this._request('GET', '/api/v5/public/open-interest', request, false, 1);
+    const result = this._unwrapResponse(data);
+    if (!result || result.length === 0) {
+      throw new BadSymbol(this.id + ' no open interest for: ' + symbol);
+    }
+    const oi = result[0];
+    return this._openInterest({
+      info: oi,
+      symbol: this._fromOkxSymbol(safeString(oi, 'instId')),
+      openInterestAmount: safeFloat(oi, 'oi'),
+      openInterestValue: safeFloat(oi, 'oiUsd'),
+      timestamp: safeInteger(oi, 'ts'),
+    });
+  }
+
+  // ===========================================================================
+  // TRADING — PRIVATE (10 endpoints)
   // ===========================================================================
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+    const conditional = this._conditionalOrderParams(side, params);
+    if (conditional.kind) return this._createAlgoOrder(symbol, type, side, amount, price, conditional);
+    const request = this._createOrderRequest(symbol, type, side, amount, price, params);
+    const data = await this._request('POST', '/api/v5/trade/order', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result[0], this._fromOkxSymbol(request.instId));
+  }
+
+  /**
+   * Build a /api/v5/trade/order body (or one /batch-orders entry) from an already
+   * precision-checked, non-conditional order.
+   */
+  _createOrderRequest(symbol, type, side, amount, price, params) {
+    const tdMode = this._tdMode(symbol, params);
+    const execution = this._orderExecutionParams(type, params, { reduceOnly: tdMode !== 'cash' });
+    const client = this._clientOrderIdParams(execution.params);
+    params = client.params;
     const request = {
-      instId: symbol,
-      tdMode: params.tdMode || this._defaultTdMode,
+      instId: this._toOkxSymbol(symbol),
+      tdMode,
       side: side.toLowerCase(),
       ordType: type.toLowerCase(),
-      sz: String(amount),
+      sz: numberToString(amount),
     };
 
+    // OKX encodes time in force in ordType: post_only, ioc, fok (limit orders only)
+    if (request.ordType === 'limit' && execution.timeInForce && execution.timeInForce !== 'GTC') {
+      request.ordType = OKX_TIME_IN_FORCE_TYPES[execution.timeInForce];
+    }
+    if (execution.reduceOnly) request.reduceOnly = true;
+
     if (price !== undefined && price !== null) {
-      request.px = String(price);
+      request.px = numberToString(price);
     }
 
-    if (params.clientOrderId) {
-      request.clOrdId = params.clientOrderId;
+    if (client.clientOrderId !== undefined) {
+      request.clOrdId = client.clientOrderId;
     }
 
     // Spread remaining params (excluding internal ones)
-    const skip = new Set(['tdMode', 'clientOrderId']);
+    const skip = new Set(['tdMode', 'marginMode']);
     for (const [k, v] of Object.entries(params)) {
       if (!skip.has(k) && !(k in request)) {
         request[k] = v;
       }
     }
+    return request;
+  }
 
-    const data = await this._request('POST', '/api/v5/trade/order', request, true, 1);
+  /**
+   * Place up to 20 orders per request. POST /api/v5/trade/batch-orders
+   * Conditional (algo) orders cannot be batched and are rejected individually.
+   */
+  async createOrders(orders, params = {}) {
+    this.checkRequiredCredentials();
+    return this._sendBatch(orders, 20, (o) => {
+      let { amount, price } = o;
+      [amount, price] = this._applyPrecision(o.symbol, amount, price);
+      this._validateOrder(o.symbol, o.type, amount, price);
+      const orderParams = { ...params, ...(o.params || {}) };
+      if (this._conditionalOrderParams(o.side, orderParams).kind) {
+        throw new InvalidOrder(this.id + ' createOrders() cannot batch conditional orders');
+      }
+      return this._createOrderRequest(o.symbol, o.type, o.side, amount, price, orderParams);
+    }, (entries) => this._postBatch('/api/v5/trade/batch-orders', entries));
+  }
+
+  /**
+   * Cancel up to 20 orders per request. POST /api/v5/trade/cancel-batch-orders
+   */
+  async cancelOrders(ids, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' cancelOrders() requires symbol (instId)');
+    const instId = this._toOkxSymbol(symbol);
+    return this._sendBatch(ids, 20, (id) => ({ instId, ordId: String(id), ...params }), async (entries) => {
+      const results = await this._postBatch('/api/v5/trade/cancel-batch-orders', entries);
+      return results.map((r) => (r.success ? { success: true, order: { ...r.order, status: 'CANCELED' } } : r));
+    });
+  }
+
+  async _postBatch(path, entries) {
+    const data = await this._request('POST', path, entries, true, 1);
+    return this._parseBatchResponse(data, entries);
+  }
+
+  /**
+   * Batch endpoints (and the batch WebSocket ops) answer code 0 (all ok), 1 (all failed)
+   * or 2 (partial), with each order's own sCode/sMsg in data[i].
+   */
+  _parseBatchResponse(data, entries) {
+    if (!data || !['0', '1', '2'].includes(data.code) || !Array.isArray(data.data)) {
+      this._unwrapResponse(data);
+    }
+    return entries.map((entry, i) => {
+      const item = data.data[i] || {};
+      if (item.sCode !== undefined && item.sCode !== '0') {
+        return { success: false, error: this._batchError(() => this._handleOkxError(item.sCode, item.sMsg || '')) };
+      }
+      return { success: true, order: this._parseOrderCreateResult(item, this._fromOkxSymbol(entry.instId)) };
+    });
+  }
+
+  /**
+   * Conditional orders go to POST /api/v5/trade/order-algo:
+   *   triggerPrice → ordType trigger (triggerPx / orderPx)
+   *   stopLossPrice / takeProfitPrice → ordType conditional (slTriggerPx / tpTriggerPx)
+   *   trailingPercent / trailingAmount → ordType move_order_stop (callbackRatio / callbackSpread, activePx)
+   * Market orders send an order price of -1. The returned id is the algoId.
+   */
+  async _createAlgoOrder(symbol, type, side, amount, price, conditional) {
+    const { clientOrderId, params } = this._clientOrderIdParams(conditional.params);
+    const market = type.toLowerCase() === 'market';
+    const orderPx = market ? '-1' : numberToString(price);
+    const request = {
+      instId: this._toOkxSymbol(symbol),
+      tdMode: this._tdMode(symbol, params),
+      side: side.toLowerCase(),
+      sz: numberToString(amount),
+    };
+
+    if (conditional.kind === 'trigger') {
+      request.ordType = 'trigger';
+      request.triggerPx = String(conditional.triggerPrice);
+      request.orderPx = orderPx;
+    } else if (conditional.kind === 'stopLoss') {
+      request.ordType = 'conditional';
+      request.slTriggerPx = String(conditional.triggerPrice);
+      request.slOrdPx = orderPx;
+    } else if (conditional.kind === 'takeProfit') {
+      request.ordType = 'conditional';
+      request.tpTriggerPx = String(conditional.triggerPrice);
+      request.tpOrdPx = orderPx;
+    } else {
+      if (!market) throw new InvalidOrder(this.id + ' trailing stops execute at market — use type market');
+      request.ordType = 'move_order_stop';
+      if (conditional.trailingPercent !== undefined) {
+        request.callbackRatio = String(conditional.trailingPercent / 100);
+      } else {
+        request.callbackSpread = String(conditional.trailingAmount);
+      }
+      if (conditional.trailingTriggerPrice !== undefined) {
+        request.activePx = String(conditional.trailingTriggerPrice);
+      }
+    }
+
+    if (clientOrderId !== undefined) {
+      request.algoClOrdId = clientOrderId;
+    }
+
+    const skip = new Set(['tdMode', 'marginMode']);
+    for (const [k, v] of Object.entries(params)) {
+      if (!skip.has(k) && !(k in request)) {
+        request[k] = v;
+      }
+    }
+
+    const data = await this._request('POST', '/api/v5/trade/order-algo', request, true, 1);
     const result = this._unwrapResponse(data);
-    return this._parseOrderCreateResult(result[0]);
+    return this._parseOrderCreateResult(result[0], this._fromOkxSymbol(request.instId));
+  }
+
+  // clOrdId / algoClOrdId take letters and digits only, at most 32 of them
+  _generateClientOrderId() {
+    return super._generateClientOrderId().replace(/[^A-Za-z0-9]/g, '').slice(0, 32);
   }
 
   async amendOrder(id, symbol, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      instId: symbol,
+      instId: this._toOkxSymbol(symbol),
       ordId: id,
       ...params,
     };
     const data = await this._request('POST', '/api/v5/trade/amend-order', request, true, 1);
     const result = this._unwrapResponse(data);
-    return result[0];
+    return this._parseOrderCreateResult(result[0], this._fromOkxSymbol(request.instId));
+  }
+
+  /**
+   * Unified edit via amend-order: amount → newSz, price → newPx. The order keeps its
+   * type and side; whatever is omitted stays as it was.
+   */
+  async editOrder(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    const request = { ...params };
+    if (amount !== undefined && amount !== null) request.newSz = numberToString(amount);
+    if (price !== undefined && price !== null) request.newPx = numberToString(price);
+    const order = await this.amendOrder(id, symbol, request);
+    return this._editedOrder(order, type, side, amount, price);
   }
 
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder() requires symbol (instId)');
+    const ref = this._orderReference('cancelOrder', id, params);
     const request = {
-      instId: symbol,
-      ordId: id,
-      ...params,
+      instId: this._toOkxSymbol(symbol),
+      ...(ref.id !== undefined ? { ordId: ref.id } : { clOrdId: ref.clientOrderId }),
+      ...ref.params,
     };
     const data = await this._request('POST', '/api/v5/trade/cancel-order', request, true, 1);
     const result = this._unwrapResponse(data);
     return {
       id: result[0].ordId,
-      symbol,
+      symbol: this._fromOkxSymbol(request.instId),
       status: 'CANCELED',
       info: result[0],
     };
@@ -503,7 +943,7 @@ class Okx extends BaseExchange {
     if (pending.length === 0) return [];
 
     const cancelRequests = pending.map((o) => ({
-      instId: o.symbol,
+      instId: this._toOkxSymbol(o.symbol),
       ordId: o.id,
     }));
     const data = await this._request('POST', '/api/v5/trade/cancel-batch-orders', cancelRequests, true, 1);
@@ -513,15 +953,16 @@ class Okx extends BaseExchange {
   async fetchOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' fetchOrder() requires symbol (instId)');
+    const ref = this._orderReference('fetchOrder', id, params);
     const request = {
-      instId: symbol,
-      ordId: id,
-      ...params,
+      instId: this._toOkxSymbol(symbol),
+      ...(ref.id !== undefined ? { ordId: ref.id } : { clOrdId: ref.clientOrderId }),
+      ...ref.params,
     };
     const data = await this._request('GET', '/api/v5/trade/order', request, true, 1);
     const result = this._unwrapResponse(data);
     if (!result || result.length === 0) {
-      throw new OrderNotFound(this.id + ' order not found: ' + id);
+      throw new OrderNotFound(this.id + ' order not found: ' + (ref.id || ref.clientOrderId));
     }
     return this._parseOrder(result[0]);
   }
@@ -529,7 +970,7 @@ class Okx extends BaseExchange {
   async fetchOpenOrders(symbol = undefined, since = undefined, limit = 100, params = {}) {
     this.checkRequiredCredentials();
     const request = { ...params };
-    if (symbol) request.instId = symbol;
+    if (symbol) request.instId = this._toOkxSymbol(symbol);
     if (limit) request.limit = String(limit);
 
     const data = await this._request('GET', '/api/v5/trade/orders-pending', request, true, 1);
@@ -540,10 +981,10 @@ class Okx extends BaseExchange {
   async fetchClosedOrders(symbol = undefined, since = undefined, limit = 100, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      instType: params.instType || this._defaultInstType,
+      instType: this._instType(symbol, params),
       ...params,
     };
-    if (symbol) request.instId = symbol;
+    if (symbol) request.instId = this._toOkxSymbol(symbol);
     if (since) request.begin = String(since);
     if (limit) request.limit = String(limit);
 
@@ -555,10 +996,10 @@ class Okx extends BaseExchange {
   async fetchMyTrades(symbol = undefined, since = undefined, limit = 100, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      instType: params.instType || this._defaultInstType,
+      instType: this._instType(symbol, params),
       ...params,
     };
-    if (symbol) request.instId = symbol;
+    if (symbol) request.instId = this._toOkxSymbol(symbol);
     if (since) request.begin = String(since);
     if (limit) request.limit = String(limit);
 
@@ -571,9 +1012,18 @@ class Okx extends BaseExchange {
   // ACCOUNT — PRIVATE (2 endpoints)
   // ===========================================================================
 
+  /**
+   * Trading account balances. params.account = 'funding' reads the funding account
+   * instead (GET /api/v5/asset/balances), whose rows carry the same ccy/availBal/frozenBal.
+   * Margin shares the trading account; { type: 'margin' } adds each currency's cross
+   * (or, with marginMode 'isolated', isolated) liability as debt.
+   */
   async fetchBalance(params = {}) {
     this.checkRequiredCredentials();
-    const data = await this._request('GET', '/api/v5/account/balance', params, true, 1);
+    const { account, marginMode, params: rest } = this._balanceParams(params);
+    const funding = account !== undefined && this._accountId(account) === '6';
+    const path = funding ? '/api/v5/asset/balances' : '/api/v5/account/balance';
+    const data = await this._request('GET', path, rest, true, 1);
     const result = this._unwrapResponse(data);
 
     const balance = {
@@ -583,19 +1033,22 @@ class Okx extends BaseExchange {
     };
 
     if (result && result.length > 0) {
-      const details = result[0].details || [];
+      const details = funding ? result : (result[0].details || []);
       for (const d of details) {
         const currency = d.ccy;
         const free = parseFloat(d.availBal || d.availEq || '0');
         const frozen = parseFloat(d.frozenBal || '0');
-        const total = parseFloat(d.eq || d.cashBal || '0') || (free + frozen);
+        const total = parseFloat(d.eq || d.cashBal || d.bal || '0') || (free + frozen);
+
+        const debt = marginMode ? parseFloat((marginMode === 'isolated' ? d.isoLiab : d.crossLiab || d.liab) || '0') : 0;
 
-        if (total > 0 || free > 0) {
+        if (total > 0 || free > 0 || debt > 0) {
           balance[currency] = {
             free,
             used: frozen,
             total,
           };
+          if (marginMode) balance[currency].debt = debt;
         }
       }
     }
@@ -606,10 +1059,10 @@ class Okx extends BaseExchange {
   async fetchTradingFees(symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
     const request = {
-      instType: params.instType || this._defaultInstType,
+      instType: this._instType(symbol, params),
       ...params,
     };
-    if (symbol) request.instId = symbol;
+    if (symbol) request.instId = this._toOkxSymbol(symbol);
 
     const data = await this._request('GET', '/api/v5/account/trade-fee', request, true, 1);
     const result = this._unwrapResponse(data);
@@ -618,18 +1071,464 @@ class Okx extends BaseExchange {
 
     const fees = {};
     for (const f of result) {
-      const key = f.instId || f.instType || 'default';
+      const key = f.instId ? this._fromOkxSymbol(f.instId) : (f.instType || 'default');
       fees[key] = {
-        symbol: f.instId,
+        symbol: this._fromOkxSymbol(f.instId),
         maker: parseFloat(f.maker || '0'),
         taker: parseFloat(f.taker || '0'),
       };
     }
-    return symbol ? fees[symbol] : fees;
+    return symbol ? fees[this._fromOkxSymbol(request.instId)] : fees;
   }
 
   // ===========================================================================
-  // WEBSOCKET STREAMS — Public (4) + Private (2)
+  // FUNDING — PRIVATE (5 endpoints)
+  // ===========================================================================
+
+  /**
+   * Fetch a deposit address. GET /api/v5/asset/deposit-address
+   * Without params.network the address OKX marks as selected is returned.
+   */
+  async fetchDepositAddress(code, params = {}) {
+    this.checkRequiredCredentials();
+    const { network, ...rest } = params;
+    const chain = this._toOkxChain(code, network);
+    const data = await this._request('GET', '/api/v5/asset/deposit-address', {
+      ccy: String(code).toUpperCase(),
+      ...rest,
+    }, true, 1);
+    const result = this._unwrapResponse(data) || [];
+    const entry = chain
+      ? result.find((a) => a.chain === chain)
+      : result.find((a) => a.selected) || result[0];
+    if (!entry) throw new BadRequest(this.id + ' fetchDepositAddress() found no ' + (chain || code) + ' address');
+    return {
+      info: entry,
+      currency: safeString(entry, 'ccy'),
+      network: this._fromOkxChain(entry.chain),
+      address: safeString(entry, 'addr'),
+      tag: safeString(entry, 'tag') || safeString(entry, 'memo') || safeString(entry, 'pmtId') || undefined,
+    };
+  }
+
+  /**
+   * Fetch deposit history. GET /api/v5/asset/deposit-history
+   */
+  async fetchDeposits(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/api/v5/asset/deposit-history',
+      this._fundingHistoryRequest(code, since, limit, params), true, 1);
+    return (this._unwrapResponse(data) || []).map((d) => this._parseTransaction(d, 'deposit'));
+  }
+
+  /**
+   * Fetch withdrawal history. GET /api/v5/asset/withdrawal-history
+   */
+  async fetchWithdrawals(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/api/v5/asset/withdrawal-history',
+      this._fundingHistoryRequest(code, since, limit, params), true, 1);
+    return (this._unwrapResponse(data) || []).map((w) => this._parseTransaction(w, 'withdrawal'));
+  }
+
+  // OKX pages backwards from `after`; `before` bounds the oldest record returned.
+  _fundingHistoryRequest(code, since, limit, params) {
+    const request = { ...params };
+    if (code) request.ccy = String(code).toUpperCase();
+    if (since) request.before = String(since);
+    if (limit) request.limit = String(limit);
+    return request;
+  }
+
+  /**
+   * On-chain withdrawal (dest 4). POST /api/v5/asset/withdrawal
+   * Chains with a memo take the address as 'address:tag'. params.network is required
+   * because OKX needs the chain.
+   */
+  async withdraw(code, amount, address, tag = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._withdrawArgs(code, amount, address, tag, params);
+    const chain = this._toOkxChain(code, args.network);
+    if (!chain) throw new BadRequest(this.id + ' withdraw() requires params.network');
+    const request = {
+      ccy: String(code).toUpperCase(),
+      amt: numberToString(amount),
+      dest: '4',
+      toAddr: args.tag ? address + ':' + args.tag : address,
+      chain,
+      ...args.params,
+    };
+    const data = await this._request('POST', '/api/v5/asset/withdrawal', request, true, 1);
+    const result = (this._unwrapResponse(data) || [])[0] || {};
+    return {
+      ...this._parseTransaction({ ...result, to: address, tag: args.tag, state: '0' }, 'withdrawal'),
+      info: result,
+    };
+  }
+
+  /**
+   * Withdrawal fee per chain. GET /api/v5/asset/currencies
+   */
+  async fetchDepositWithdrawFees(codes = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (codes) request.ccy = codes.map((c) => String(c).toUpperCase()).join(',');
+    const data = await this._request('GET', '/api/v5/asset/currencies', request, true, 1);
+    const fees = {};
+    for (const c of this._unwrapResponse(data) || []) {
+      const entry = fees[c.ccy] || (fees[c.ccy] = {
+        info: [],
+        withdraw: { fee: undefined, percentage: undefined },
+        deposit: { fee: undefined, percentage: undefined },
+        networks: {},
+      });
+      entry.info.push(c);
+      entry.networks[this._fromOkxChain(c.chain)] = {
+        withdraw: { fee: safeFloat2(c, 'fee', 'minFee'), percentage: false },
+        deposit: { fee: undefined, percentage: undefined },
+      };
+    }
+    for (const entry of Object.values(fees)) {
+      const only = Object.values(entry.networks);
+      if (only.length === 1) entry.withdraw = only[0].withdraw;
+    }
+    return fees;
+  }
+
+  // ===========================================================================
+  // TRANSFERS — PRIVATE (2 endpoints)
+  // ===========================================================================
+
+  /**
+   * Move funds between the funding (6) and trading (18) accounts. POST /api/v5/asset/transfer
+   * params.toSubAccount sends from the master to that sub-account (type 1),
+   * params.fromSubAccount pulls from it back to the master (type 2).
+   */
+  async transfer(code, amount, fromAccount, toAccount, params = {}) {
+    this.checkRequiredCredentials();
+    const args = this._transferArgs(code, amount, fromAccount, toAccount, params);
+    const request = {
+      ccy: String(code).toUpperCase(),
+      amt: numberToString(amount),
+      from: args.from,
+      to: args.to,
+      type: '0',
+    };
+    if (args.fromSubAccount && args.toSubAccount) {
+      throw new BadRequest(this.id + ' transfer() cannot move funds between two sub-accounts with a master key');
+    } else if (args.toSubAccount) {
+      request.type = '1';
+      request.subAcct = args.toSubAccount;
+    } else if (args.fromSubAccount) {
+      request.type = '2';
+      request.subAcct = args.fromSubAccount;
+    }
+    const data = await this._request('POST', '/api/v5/asset/transfer', { ...request, ...args.params }, true, 1);
+    const result = (this._unwrapResponse(data) || [])[0] || {};
+    return {
+      id: safeString(result, 'transId'),
+      currency: request.ccy,
+      amount: Number(amount),
+      fromAccount: this._accountName(request.from),
+      toAccount: this._accountName(request.to),
+      fromSubAccount: args.fromSubAccount,
+      toSubAccount: args.toSubAccount,
+      status: 'ok',
+      timestamp: undefined,
+      datetime: undefined,
+      info: result,
+    };
+  }
+
+  /**
+   * Transfers between funding and trading, from the funding bills (types 130/131).
+   * GET /api/v5/asset/bills
+   */
+  async fetchTransfers(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const data = await this._request('GET', '/api/v5/asset/bills',
+      this._fundingHistoryRequest(code, since, limit, params), true, 1);
+    return (this._unwrapResponse(data) || [])
+      .filter((b) => b.type === '130' || b.type === '131')
+      .map((b) => this._parseTransfer(b));
+  }
+
+  // ===========================================================================
+  // LEDGER — PRIVATE (2 endpoints)
+  // ===========================================================================
+
+  /**
+   * Trading account bills. GET /api/v5/account/bills covers the last 7 days;
+   * an older `since` switches to /api/v5/account/bills-archive (3 months).
+   */
+  async fetchLedger(code = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.ccy = String(code).toUpperCase();
+    if (since) request.begin = String(since);
+    if (limit) request.limit = String(Math.min(limit, 100));
+    const archive = since && since < Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const path = archive ? '/api/v5/account/bills-archive' : '/api/v5/account/bills';
+    const data = await this._request('GET', path, request, true, 1);
+    const entries = (this._unwrapResponse(data) || []).map((b) => this._parseLedgerEntry(b)).reverse();
+    return this._ledgerPage(entries, since, limit);
+  }
+
+  // ===========================================================================
+  // SPOT MARGIN — PRIVATE (3 endpoints)
+  // ===========================================================================
+
+  /**
+   * Borrow on cross margin in Spot mode. POST /api/v5/account/spot-manual-borrow-repay
+   * Isolated margin has no manual loans — OKX borrows with each isolated order.
+   */
+  async borrowMargin(code, amount, symbol = undefined, params = {}) {
+    return this._spotBorrowRepay('borrowMargin', 'borrow', code, amount, symbol, params);
+  }
+
+  /**
+   * Repay a cross margin loan. POST /api/v5/account/spot-manual-borrow-repay
+   */
+  async repayMargin(code, amount, symbol = undefined, params = {}) {
+    return this._spotBorrowRepay('repayMargin', 'repay', code, amount, symbol, params);
+  }
+
+  async _spotBorrowRepay(method, side, code, amount, symbol, params) {
+    this.checkRequiredCredentials();
+    const ccy = this._marginLoanArgs(method, code, amount);
+    if (symbol) throw new BadRequest(this.id + ' ' + method + '() supports cross margin only; isolated loans follow orders');
+    const request = { ccy, side, amt: numberToString(amount), ...params };
+    const data = await this._request('POST', '/api/v5/account/spot-manual-borrow-repay', request, true, 1);
+    const entry = (this._unwrapResponse(data) || [])[0] || {};
+    return this._marginLoan({
+      info: entry,
+      currency: ccy,
+      amount: safeFloat(entry, 'amt') || amount,
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Hourly borrow rate at the account's level. GET /api/v5/account/interest-rate
+   */
+  async fetchBorrowRate(code, params = {}) {
+    this.checkRequiredCredentials();
+    const ccy = String(code).toUpperCase();
+    const data = await this._request('GET', '/api/v5/account/interest-rate', { ccy, ...params }, true, 1);
+    const entry = (this._unwrapResponse(data) || []).find((r) => r.ccy === ccy) || {};
+    return this._borrowRate({
+      info: entry,
+      currency: ccy,
+      rate: safeFloat(entry, 'interestRate'),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Accrued interest. GET /api/v5/account/interest-accrued — `symbol` reads isolated
+   * loans on that instrument; pages backwards like the funding history.
+   */
+  async fetchBorrowInterest(code = undefined, symbol = undefined, since = undefined, limit = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (code) request.ccy = String(code).toUpperCase();
+    if (symbol) {
+      request.instId = this._toOkxSymbol(symbol);
+      request.mgnMode = 'isolated';
+    }
+    if (since) request.before = String(since - 1);
+    if (limit) request.limit = String(Math.min(limit, 100));
+    const data = await this._request('GET', '/api/v5/account/interest-accrued', request, true, 1);
+    return (this._unwrapResponse(data) || [])
+      .map((r) => this._borrowInterest({
+        info: r,
+        currency: safeString(r, 'ccy'),
+        symbol: r.instId ? this._fromOkxSymbol(r.instId) : undefined,
+        marginMode: safeString(r, 'mgnMode') || (symbol ? 'isolated' : 'cross'),
+        interest: safeFloat(r, 'interest'),
+        interestRate: safeFloat(r, 'interestRate'),
+        amountBorrowed: safeFloat(r, 'liab'),
+        timestamp: safeInteger(r, 'ts'),
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // ===========================================================================
+  // POSITIONS — PRIVATE (2 endpoints)
+  // ===========================================================================
+
+  /**
+   * Open positions. GET /api/v5/account/positions
+   * Symbols become a comma-separated instId filter (OKX accepts up to 10).
+   */
+  async fetchPositions(symbols = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { ...params };
+    if (symbols && symbols.length) request.instId = symbols.map((s) => this._toOkxSymbol(s)).join(',');
+    const data = await this._request('GET', '/api/v5/account/positions', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return (result || []).map((p) => this._parsePosition(p)).filter((p) => p.contracts);
+  }
+
+  /**
+   * Close a position at market. POST /api/v5/trade/close-position
+   * mgnMode is params.marginMode or the symbol's trade mode; `side` names the leg in
+   * long/short (hedge) position mode. OKX returns no order id.
+   */
+  async closePosition(symbol, side = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const { marginMode, ...rest } = params;
+    const request = {
+      instId: this._toOkxSymbol(symbol),
+      mgnMode: marginMode || this._tdMode(symbol),
+      ...rest,
+    };
+    if (side) request.posSide = side;
+    const data = await this._request('POST', '/api/v5/trade/close-position', request, true, 1);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result[0], this._fromOkxSymbol(request.instId));
+  }
+
+  // ===========================================================================
+  // LEVERAGE & MARGIN — PRIVATE (5 endpoints)
+  // ===========================================================================
+
+  /**
+   * Set leverage. POST /api/v5/account/set-leverage
+   * mgnMode is params.marginMode or the symbol's trade mode. Isolated leverage in
+   * long/short mode is set per leg with params.posSide.
+   */
+  async setLeverage(leverage, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    if (!symbol) throw new BadRequest(this.id + ' setLeverage() requires symbol');
+    const { marginMode, ...rest } = params;
+    const request = {
+      instId: this._toOkxSymbol(symbol),
+      lever: String(leverage),
+      mgnMode: marginMode ? this._checkMarginMode(marginMode) : this._tdMode(symbol),
+      ...rest,
+    };
+    const data = await this._request('POST', '/api/v5/account/set-leverage', request, true, 1);
+    const result = this._unwrapResponse(data) || [];
+    const entry = result[0] || {};
+    const lever = safeFloat(entry, 'lever') || parseFloat(request.lever);
+    const posSide = safeString(entry, 'posSide') || request.posSide;
+    return this._leverage({
+      info: result,
+      symbol: this._fromOkxSymbol(request.instId),
+      marginMode: safeString(entry, 'mgnMode') || request.mgnMode,
+      longLeverage: posSide === 'short' ? undefined : lever,
+      shortLeverage: posSide === 'long' ? undefined : lever,
+    });
+  }
+
+  /**
+   * Leverage in the symbol's margin mode. GET /api/v5/account/leverage-info
+   * Isolated long/short mode returns one entry per leg.
+   */
+  async fetchLeverage(symbol, params = {}) {
+    this.checkRequiredCredentials();
+    const { marginMode, ...rest } = params;
+    const request = {
+      instId: this._toOkxSymbol(symbol),
+      mgnMode: marginMode ? this._checkMarginMode(marginMode) : this._tdMode(symbol),
+      ...rest,
+    };
+    const data = await this._request('GET', '/api/v5/account/leverage-info', request, true, 1);
+    const result = this._unwrapResponse(data) || [];
+    const leg = (side) => result.find((e) => e.posSide === side) || result.find((e) => e.posSide === 'net') || result[0];
+    return this._leverage({
+      info: result,
+      symbol: this._fromOkxSymbol(request.instId),
+      marginMode: request.mgnMode,
+      longLeverage: safeFloat(leg('long'), 'lever'),
+      shortLeverage: safeFloat(leg('short'), 'lever'),
+    });
+  }
+
+  /**
+   * OKX picks the margin mode per order (tdMode), so this records the mode for later
+   * orders on `symbol` (or all contracts without one). With params.leverage it also sets
+   * that mode's leverage, which OKX keeps separately for cross and isolated.
+   */
+  async setMarginMode(marginMode, symbol = undefined, params = {}) {
+    const mode = this._checkMarginMode(marginMode);
+    const { leverage, ...rest } = params;
+    if (symbol) this._marginModes[symbol] = mode;
+    else this._defaultMarginMode = mode;
+    let info;
+    if (leverage !== undefined && symbol) {
+      info = (await this.setLeverage(leverage, symbol, { ...rest, marginMode: mode })).info;
+    }
+    return { info, symbol, marginMode: mode };
+  }
+
+  /**
+   * Account position mode. POST /api/v5/account/set-position-mode
+   * long_short_mode (hedged) or net_mode; `symbol` is ignored.
+   */
+  async setPositionMode(hedged, symbol = undefined, params = {}) {
+    this.checkRequiredCredentials();
+    const request = { posMode: hedged ? 'long_short_mode' : 'net_mode', ...params };
+    const data = await this._request('POST', '/api/v5/account/set-position-mode', request, true, 1);
+    return { info: this._unwrapResponse(data), hedged };
+  }
+
+  /**
+   * Isolated margin change. POST /api/v5/account/position/margin-balance
+   * posSide defaults to net; long/short mode needs params.posSide.
+   */
+  async _modifyMargin(symbol, amount, type, params) {
+    this.checkRequiredCredentials();
+    const request = {
+      instId: this._toOkxSymbol(symbol),
+      posSide: 'net',
+      type,
+      amt: numberToString(amount),
+      ...params,
+    };
+    const data = await this._request('POST', '/api/v5/account/position/margin-balance', request, true, 1);
+    const result = this._unwrapResponse(data) || [];
+    const entry = result[0] || {};
+    const market = this._okxMarket(request.instId);
+    return this._marginModification({
+      info: result,
+      symbol: this._fromOkxSymbol(request.instId),
+      type,
+      amount: safeFloat(entry, 'amt') || amount,
+      code: safeString(entry, 'ccy') || (market ? market.settle : undefined),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Position tiers of a contract's instrument family. GET /api/v5/public/position-tiers
+   * OKX bounds contract tiers in contracts (minSz / maxSz), so the notional fields hold
+   * contract counts here.
+   */
+  async fetchMarketLeverageTiers(symbol, params = {}) {
+    const request = {
+      instType: this._instType(symbol, params),
+      tdMode: this._tdMode(symbol, params),
+      instFamily: this._okxIndexId(symbol),
+      ...params,
+    };
+    const data = await this._request('GET', '/api/v5/public/position-tiers', request, false, 1);
+    const result = this._unwrapResponse(data) || [];
+    const parts = this._symbolParts(symbol) || {};
+    return this._leverageTiers(symbol, result.map((t) => ({
+      info: t,
+      tier: safeInteger(t, 'tier'),
+      currency: parts.settle,
+      minNotional: safeFloat(t, 'minSz'),
+      maxNotional: safeFloat(t, 'maxSz'),
+      maintenanceMarginRate: safeFloat(t, 'mmr'),
+      maxLeverage: safeFloat(t, 'maxLever'),
+    })));
+  }
+
+  // ===========================================================================
+  // WEBSOCKET STREAMS — Public (6) + Private (3)
   // ===========================================================================
 
   _getWsClient(url = undefined) {
@@ -637,10 +1536,10 @@ class Okx extends BaseExchange {
     if (this._wsClients.has(wsUrl)) {
       return this._wsClients.get(wsUrl);
     }
-    const client = new WsClient({
+    const client = new WsClient(this._wsClientOptions({
       url: wsUrl,
       pingInterval: 0, // Disable native ping — OKX uses app-level
-    });
+    }));
     this._wsClients.set(wsUrl, client);
     return client;
   }
@@ -706,8 +1605,32 @@ class Okx extends BaseExchange {
     }
   }
 
+  /**
+   * Re-send a subscription so OKX pushes a fresh snapshot. Handlers stay registered.
+   */
+  async _resubscribeStream(args, wsUrl = undefined) {
+    const client = await this._ensureWsConnected(wsUrl);
+    client.send({ op: 'unsubscribe', args: [args] });
+    client.send({ op: 'subscribe', args: [args] });
+  }
+
+  /**
+   * OKX order book checksum: CRC32 (signed) of the top 25 levels interleaved as
+   * bidPx:bidSz:askPx:askSz:..., using the original price/size strings.
+   */
+  _okxBookChecksum(book) {
+    const parts = [];
+    for (let i = 0; i < 25; i++) {
+      const bid = book.bids.levels[i];
+      const ask = book.asks.levels[i];
+      if (bid) parts.push(bid[2] || bid[0] + ':' + bid[1]);
+      if (ask) parts.push(ask[2] || ask[0] + ':' + ask[1]);
+    }
+    return crc32(parts.join(':')) | 0;
+  }
+
   async watchTicker(symbol, callback) {
-    const args = { channel: 'tickers', instId: symbol };
+    const args = { channel: 'tickers', instId: this._toOkxSymbol(symbol) };
     return this._subscribeStream('tickers', args, (msg) => {
       if (msg.data) {
         for (const t of msg.data) {
@@ -719,17 +1642,25 @@ class Okx extends BaseExchange {
 
   async watchOrderBook(symbol, callback, depth = 5) {
     const channel = depth <= 5 ? 'books5' : 'books';
-    const args = { channel, instId: symbol };
+    const args = { channel, instId: this._toOkxSymbol(symbol) };
+    const unified = this._fromOkxSymbol(args.instId);
     return this._subscribeStream(channel, args, (msg) => {
       if (msg.data) {
         for (const d of msg.data) {
-          callback({
-            symbol,
-            type: msg.action || 'snapshot',
-            bids: (d.bids || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
-            asks: (d.asks || []).map(([p, q]) => [parseFloat(p), parseFloat(q)]),
+          // books5 pushes full snapshots without an action; books sends snapshot + update
+          // Raw "px:sz" strings are kept on each level for the checksum
+          this._handleOrderBookMessage(unified, {
+            snapshot: (msg.action || 'snapshot') === 'snapshot',
+            bids: (d.bids || []).map(([p, q]) => [parseFloat(p), parseFloat(q), p + ':' + q]),
+            asks: (d.asks || []).map(([p, q]) => [parseFloat(p), parseFloat(q), p + ':' + q]),
             timestamp: safeInteger(d, 'ts'),
-            nonce: undefined,
+            nonce: safeInteger(d, 'seqId'),
+            prevNonce: safeInteger(d, 'prevSeqId'),
+            checksum: safeInteger(d, 'checksum'),
+          }, callback, {
+            limit: depth,
+            checksum: (book) => this._okxBookChecksum(book),
+            resubscribe: () => this._resubscribeStream(args),
           });
         }
       }
@@ -737,16 +1668,16 @@ class Okx extends BaseExchange {
   }
 
   async watchTrades(symbol, callback) {
-    const args = { channel: 'trades', instId: symbol };
+    const args = { channel: 'trades', instId: this._toOkxSymbol(symbol) };
     return this._subscribeStream('trades', args, (msg) => {
       if (msg.data) {
         for (const t of msg.data) {
           callback({
             id: t.tradeId,
-            symbol: t.instId,
+            symbol: this._fromOkxSymbol(t.instId),
             price: parseFloat(t.px),
             amount: parseFloat(t.sz),
-            cost: parseFloat(t.px) * parseFloat(t.sz),
+            cost: this._contractCost(this._okxMarket(t.instId), parseFloat(t.sz), parseFloat(t.px)),
             side: t.side,
             timestamp: parseInt(t.ts, 10),
             datetime: iso8601(parseInt(t.ts, 10)),
@@ -759,12 +1690,13 @@ class Okx extends BaseExchange {
   async watchKlines(symbol, interval, callback) {
     const bar = this.timeframes[interval] || interval;
     const channel = 'candle' + bar;
-    const args = { channel, instId: symbol };
+    const args = { channel, instId: this._toOkxSymbol(symbol) };
+    const unified = this._fromOkxSymbol(args.instId);
     return this._subscribeStream(channel, args, (msg) => {
       if (msg.data) {
         for (const k of msg.data) {
           callback({
-            symbol,
+            symbol: unified,
             interval: bar,
             timestamp: parseInt(k[0], 10),
             open: parseFloat(k[1]),
@@ -779,6 +1711,35 @@ class Okx extends BaseExchange {
     }, this.urls.wsBusiness);
   }
 
+  async watchFundingRate(symbol, callback) {
+    const args = { channel: 'funding-rate', instId: this._toOkxSymbol(symbol) };
+    return this._subscribeStream('funding-rate', args, (msg) => {
+      for (const f of (msg.data || [])) {
+        callback(this._parseFundingRate(f));
+      }
+    });
+  }
+
+  /**
+   * The mark-price channel carries no index price; indexPrice stays undefined.
+   */
+  async watchMarkPrice(symbol, callback) {
+    const args = { channel: 'mark-price', instId: this._toOkxSymbol(symbol) };
+    return this._subscribeStream('mark-price', args, (msg) => {
+      for (const m of (msg.data || [])) {
+        const timestamp = safeInteger(m, 'ts');
+        callback({
+          symbol: this._fromOkxSymbol(safeString(m, 'instId')),
+          markPrice: safeFloat(m, 'markPx'),
+          indexPrice: undefined,
+          timestamp,
+          datetime: iso8601(timestamp),
+          info: m,
+        });
+      }
+    });
+  }
+
   async _authenticateWsPrivate() {
     if (this._wsPrivateAuthenticated) return;
 
@@ -817,6 +1778,19 @@ class Okx extends BaseExchange {
     }, this.urls.wsPrivate);
   }
 
+  async watchPositions(callback) {
+    this.checkRequiredCredentials();
+    await this._authenticateWsPrivate();
+
+    // Flat positions are pushed too (pos '0') so a close is visible
+    const args = { channel: 'positions', instType: 'ANY' };
+    return this._subscribeStream('positions', args, (msg) => {
+      for (const p of (msg.data || [])) {
+        callback(this._parsePosition(p));
+      }
+    }, this.urls.wsPrivate);
+  }
+
   async watchBalance(callback) {
     this.checkRequiredCredentials();
     await this._authenticateWsPrivate();
@@ -849,13 +1823,134 @@ class Okx extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
     this._wsPrivateAuthenticated = false;
+    this._wsTradeClient = null;
     for (const [, timer] of this._pingTimers) {
       clearInterval(timer);
     }
     this._pingTimers.clear();
   }
 
+  // ===========================================================================
+  // WEBSOCKET TRADING — Private (order, batch-orders, amend-order, cancel-order,
+  // batch-cancel-orders)
+  // ===========================================================================
+
+  /**
+   * Send an op on the logged-in private socket. Resolves with the reply carrying the
+   * same id — { code, msg, data } like a REST response, for _unwrapResponse().
+   */
+  async _wsTradeRequest(op, args) {
+    this.checkRequiredCredentials();
+    await this._authenticateWsPrivate();
+    const client = await this._ensureWsConnected(this.urls.wsPrivate);
+    if (this._wsTradeClient !== client) {
+      this._wsTradeClient = client;
+      client.on('message', (msg) => {
+        if (msg && msg.id !== undefined && msg.op !== undefined) this._resolveWsRequest(msg.id, undefined, msg);
+      });
+      client.on('close', () => this._rejectWsRequests(new NetworkError(this.id + ' WebSocket closed before the reply')));
+    }
+    const id = String(this._nextWsRequestId());
+    return this._wsRequest(client, id, { id, op, args });
+  }
+
+  /**
+   * createOrder() over the private socket (op order). Conditional orders need the
+   * order-algo endpoint, which has no WebSocket op: use createOrder() for them.
+   */
+  async createOrderWs(symbol, type, side, amount, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
+    if (this._conditionalOrderParams(side, params).kind) {
+      throw new InvalidOrder(this.id + ' createOrderWs() cannot place conditional orders; use createOrder()');
+    }
+    const request = this._createOrderRequest(symbol, type, side, amount, price, params);
+    const data = await this._wsTradeRequest('order', [request]);
+    const result = this._unwrapResponse(data);
+    return this._parseOrderCreateResult(result[0], this._fromOkxSymbol(request.instId));
+  }
+
+  /**
+   * createOrders() over the private socket (op batch-orders), up to 20 orders per op.
+   */
+  async createOrdersWs(orders, params = {}) {
+    return this._sendBatch(orders, 20, (o) => {
+      let { amount, price } = o;
+      [amount, price] = this._applyPrecision(o.symbol, amount, price);
+      this._validateOrder(o.symbol, o.type, amount, price);
+      const orderParams = { ...params, ...(o.params || {}) };
+      if (this._conditionalOrderParams(o.side, orderParams).kind) {
+        throw new InvalidOrder(this.id + ' createOrdersWs() cannot batch conditional orders');
+      }
+      return this._createOrderRequest(o.symbol, o.type, o.side, amount, price, orderParams);
+    }, async (entries) => this._parseBatchResponse(await this._wsTradeRequest('batch-orders', entries), entries));
+  }
+
+  /**
+   * editOrder() over the private socket (op amend-order): amount → newSz, price → newPx.
+   */
+  async editOrderWs(id, symbol, type, side, amount = undefined, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    const request = {
+      instId: this._toOkxSymbol(symbol),
+      ordId: id,
+      ...params,
+    };
+    if (amount !== undefined && amount !== null) request.newSz = numberToString(amount);
+    if (price !== undefined && price !== null) request.newPx = numberToString(price);
+    const data = await this._wsTradeRequest('amend-order', [request]);
+    const result = this._unwrapResponse(data);
+    const order = this._parseOrderCreateResult(result[0], this._fromOkxSymbol(request.instId));
+    return this._editedOrder(order, type, side, amount, price);
+  }
+
+  /**
+   * cancelOrder() over the private socket (op cancel-order), by ordId or clOrdId.
+   */
+  async cancelOrderWs(id, symbol = undefined, params = {}) {
+    if (!symbol) throw new BadRequest(this.id + ' cancelOrderWs() requires symbol (instId)');
+    const ref = this._orderReference('cancelOrder', id, params);
+    const request = {
+      instId: this._toOkxSymbol(symbol),
+      ...(ref.id !== undefined ? { ordId: ref.id } : { clOrdId: ref.clientOrderId }),
+      ...ref.params,
+    };
+    const data = await this._wsTradeRequest('cancel-order', [request]);
+    const result = this._unwrapResponse(data);
+    return {
+      id: result[0].ordId,
+      symbol: this._fromOkxSymbol(request.instId),
+      status: 'CANCELED',
+      info: result[0],
+    };
+  }
+
+  /**
+   * cancelAllOrders() with the cancels on the socket: the open orders are read over REST,
+   * then cancelled 20 at a time with op batch-cancel-orders. orders-pending returns at
+   * most 100 orders, so pages are re-read until none are left; orders already cancelled
+   * but still listed end the loop.
+   */
+  async cancelAllOrdersWs(symbol = undefined, params = {}) {
+    const pageSize = 100;
+    const canceled = new Set();
+    const results = [];
+    for (;;) {
+      const page = await this.fetchOpenOrders(symbol, undefined, pageSize);
+      const pending = page.filter((o) => !canceled.has(o.id));
+      for (let i = 0; i < pending.length; i += 20) {
+        const args = pending.slice(i, i + 20).map((o) => ({ instId: this._toOkxSymbol(o.symbol), ordId: o.id }));
+        const data = await this._wsTradeRequest('batch-cancel-orders', args);
+        results.push(...this._unwrapResponse(data));
+        for (const o of args) canceled.add(o.ordId);
+      }
+      if (page.length < pageSize || pending.length === 0) break;
+    }
+    return results;
+  }
+
   // ===========================================================================
   // PARSERS — Normalize OKX responses to unified format
   // ===========================================================================
@@ -867,7 +1962,7 @@ class Okx extends BaseExchange {
     const percentage = (change && open) ? (change / open) * 100 : undefined;
 
     return {
-      symbol: safeString(data, 'instId'),
+      symbol: this._fromOkxSymbol(safeString(data, 'instId')),
       last,
       high: safeFloat(data, 'high24h'),
       low: safeFloat(data, 'low24h'),
@@ -888,17 +1983,38 @@ class Okx extends BaseExchange {
     };
   }
 
+  /**
+   * public/funding-rate entry or funding-rate channel push. The settlement interval is
+   * the gap between fundingTime and nextFundingTime.
+   */
+  _parseFundingRate(data) {
+    const fundingTime = safeInteger(data, 'fundingTime');
+    const nextTime = safeInteger(data, 'nextFundingTime');
+    const hours = fundingTime && nextTime ? Math.round((nextTime - fundingTime) / 3600000) : undefined;
+    return this._fundingRate({
+      info: data,
+      symbol: this._fromOkxSymbol(safeString(data, 'instId')),
+      fundingRate: safeFloat(data, 'fundingRate'),
+      fundingTimestamp: fundingTime,
+      nextFundingRate: safeFloat(data, 'nextFundingRate'),
+      interval: hours ? hours + 'h' : undefined,
+      timestamp: safeInteger(data, 'ts'),
+    });
+  }
+
   _parseOrder(data) {
     const filled = safeFloat(data, 'accFillSz') || 0;
     const amount = safeFloat(data, 'sz') || 0;
     const avgPx = safeFloat(data, 'avgPx') || 0;
-    const cost = filled * avgPx;
+    const instId = safeString(data, 'instId');
+    // Contract sizes count contracts; cost follows ctVal (and inverts for coin-margined)
+    const cost = this._contractCost(this._okxMarket(instId), filled, avgPx);
     const rawStatus = safeString(data, 'state');
 
     return {
       id: safeString(data, 'ordId'),
       clientOrderId: safeString(data, 'clOrdId'),
-      symbol: safeString(data, 'instId'),
+      symbol: this._fromOkxSymbol(instId),
       type: safeStringUpper(data, 'ordType'),
       side: safeStringUpper(data, 'side'),
       price: safeFloat(data, 'px') || 0,
@@ -908,7 +2024,9 @@ class Okx extends BaseExchange {
       cost,
       average: avgPx,
       status: this._normalizeStatus(rawStatus),
-      timeInForce: undefined,
+      timeInForce: OKX_ORDER_TYPE_TIME_IN_FORCE[safeString(data, 'ordType')],
+      postOnly: safeString(data, 'ordType') === 'post_only',
+      reduceOnly: safeString(data, 'reduceOnly') === 'true',
       timestamp: safeInteger(data, 'cTime'),
       datetime: iso8601(safeInteger(data, 'cTime')),
       trades: [],
@@ -920,11 +2038,11 @@ class Okx extends BaseExchange {
     };
   }
 
-  _parseOrderCreateResult(data) {
+  _parseOrderCreateResult(data, symbol = undefined) {
     return {
-      id: safeString(data, 'ordId'),
-      clientOrderId: safeString(data, 'clOrdId'),
-      symbol: undefined,
+      id: safeString(data, 'ordId') || safeString(data, 'algoId'),
+      clientOrderId: safeString(data, 'clOrdId') || safeString(data, 'algoClOrdId'),
+      symbol,
       status: 'NEW',
       info: data,
     };
@@ -932,12 +2050,14 @@ class Okx extends BaseExchange {
 
   _parseTrade(data, symbol) {
     const ts = safeInteger(data, 'ts');
+    symbol = symbol || this._fromOkxSymbol(safeString(data, 'instId'));
+    const market = this.markets ? this.markets[symbol] : undefined;
     return {
       id: safeString(data, 'tradeId'),
-      symbol: symbol || safeString(data, 'instId'),
+      symbol,
       price: safeFloat(data, 'px'),
       amount: safeFloat(data, 'sz'),
-      cost: (safeFloat(data, 'px') || 0) * (safeFloat(data, 'sz') || 0),
+      cost: this._contractCost(market, safeFloat(data, 'sz') || 0, safeFloat(data, 'px') || 0),
       side: safeStringLower(data, 'side'),
       timestamp: ts,
       datetime: iso8601(ts),
@@ -950,10 +2070,10 @@ class Okx extends BaseExchange {
     return {
       id: safeString(data, 'tradeId'),
       orderId: safeString(data, 'ordId'),
-      symbol: safeString(data, 'instId'),
+      symbol: this._fromOkxSymbol(safeString(data, 'instId')),
       price: safeFloat(data, 'fillPx'),
       amount: safeFloat(data, 'fillSz'),
-      cost: (safeFloat(data, 'fillPx') || 0) * (safeFloat(data, 'fillSz') || 0),
+      cost: this._contractCost(this._okxMarket(safeString(data, 'instId')), safeFloat(data, 'fillSz') || 0, safeFloat(data, 'fillPx') || 0),
       fee: {
         cost: safeFloat(data, 'fee'),
         currency: safeString(data, 'feeCcy'),
@@ -965,6 +2085,115 @@ class Okx extends BaseExchange {
       info: data,
     };
   }
+
+  /**
+   * Deposit or withdrawal record. States are numeric strings; a deposit's '1' means
+   * credited, a withdrawal's '1' that it is being broadcast.
+   */
+  _parseTransaction(data, type) {
+    const state = safeString(data, 'state');
+    let status;
+    if (state !== undefined) {
+      status = type === 'deposit'
+        ? ({ 1: 'ok', 2: 'ok', 11: 'failed' })[state] || 'pending'
+        : ({ 2: 'ok', '-2': 'canceled', '-1': 'failed' })[state] || 'pending';
+    }
+    const timestamp = safeInteger(data, 'ts');
+    const currency = safeString(data, 'ccy');
+    const fee = safeFloat(data, 'fee');
+    return {
+      id: safeString2(data, 'wdId', 'depId'),
+      txid: safeString(data, 'txId') || undefined,
+      type,
+      currency,
+      network: this._fromOkxChain(safeString(data, 'chain')),
+      amount: safeFloat(data, 'amt'),
+      address: safeString(data, 'to'),
+      tag: safeString(data, 'tag') || safeString(data, 'memo') || safeString(data, 'pmtId') || undefined,
+      status,
+      fee: fee !== undefined ? { cost: fee, currency: safeString(data, 'feeCcy') || currency } : undefined,
+      timestamp,
+      datetime: iso8601(timestamp),
+      updated: undefined,
+      info: data,
+    };
+  }
+
+  /**
+   * Funding bill of a transfer: 130 came in from trading, 131 went out to trading.
+   */
+  _parseTransfer(data) {
+    const inbound = safeString(data, 'type') === '130';
+    const amount = safeFloat(data, 'balChg');
+    const timestamp = safeInteger(data, 'ts');
+    return {
+      id: safeString(data, 'billId'),
+      currency: safeString(data, 'ccy'),
+      amount: amount !== undefined ? Math.abs(amount) : undefined,
+      fromAccount: this._accountName(inbound ? '18' : '6'),
+      toAccount: this._accountName(inbound ? '6' : '18'),
+      fromSubAccount: undefined,
+      toSubAccount: undefined,
+      status: 'ok',
+      timestamp,
+      datetime: iso8601(timestamp),
+      info: data,
+    };
+  }
+
+  /**
+   * Bill { billId, ccy, balChg, bal, type, fee, ts, ordId }. balChg already includes
+   * the fee; OKX reports fees as negative numbers and maker rebates as positive ones.
+   */
+  _parseLedgerEntry(data) {
+    const types = { 1: 'transfer', 2: 'trade', 3: 'trade', 5: 'trade', 6: 'transfer', 7: 'fee', 8: 'funding' };
+    const currency = safeString(data, 'ccy');
+    const fee = safeFloat(data, 'fee');
+    return this._ledgerEntry({
+      id: safeString(data, 'billId'),
+      account: this._accountName('18'),
+      referenceId: safeString(data, 'ordId') || undefined,
+      type: types[safeString(data, 'type')] || 'other',
+      currency,
+      amount: safeFloat(data, 'balChg'),
+      after: safeFloat(data, 'bal'),
+      fee: fee ? { cost: -fee, currency } : undefined,
+      timestamp: safeInteger(data, 'ts'),
+      info: data,
+    });
+  }
+
+  /**
+   * Position from account/positions or the positions channel. In net mode pos is signed;
+   * in long/short mode posSide names the leg and pos is unsigned.
+   */
+  _parsePosition(data) {
+    const instId = safeString(data, 'instId');
+    const market = this._okxMarket(instId);
+    const posSide = safeString(data, 'posSide');
+    const hedged = posSide === 'long' || posSide === 'short';
+    const mgnMode = safeString(data, 'mgnMode');
+    return this._position({
+      info: data,
+      id: safeString(data, 'posId'),
+      symbol: this._fromOkxSymbol(instId),
+      side: hedged ? posSide : undefined,
+      contracts: safeFloat(data, 'pos'),
+      contractSize: market ? market.contractSize : undefined,
+      entryPrice: safeFloat(data, 'avgPx'),
+      markPrice: safeFloat(data, 'markPx'),
+      notional: safeFloat(data, 'notionalUsd'),
+      unrealizedPnl: safeFloat(data, 'upl'),
+      realizedPnl: safeFloat(data, 'realizedPnl'),
+      liquidationPrice: safeFloat(data, 'liqPx'),
+      leverage: safeFloat(data, 'lever'),
+      marginMode: mgnMode,
+      initialMargin: mgnMode === 'isolated' ? safeFloat(data, 'margin') : safeFloat(data, 'imr'),
+      maintenanceMargin: safeFloat(data, 'mmr'),
+      hedged,
+      timestamp: safeInteger(data, 'uTime') || safeInteger(data, 'cTime'),
+    });
+  }
 }
 
 module.exports = Okx;
@@ -14,6 +14,16 @@ const {
   BadSymbol, BadRequest, ExchangeNotAvailable,
 } = require('./utils/errors');
 
+const PHEMEX_TIME_IN_FORCE = {
+  GTC: 'GoodTillCancel',
+  IOC: 'ImmediateOrCancel',
+  FOK: 'FillOrKill',
+  PO: 'PostOnly',
+};
+const PHEMEX_TIME_IN_FORCE_UNIFIED = Object.fromEntries(
+  Object.entries(PHEMEX_TIME_IN_FORCE).map(([unified, native]) => [native, unified]),
+);
+
 class Phemex extends BaseExchange {
 
   describe() {
@@ -31,6 +41,10 @@ class Phemex extends BaseExchange {
         fetchTrades: true,
         fetchOHLCV: true,
         fetchTime: true,
+        fetchFundingRate: true,
+        fetchFundingRates: true,
+        fetchFundingRateHistory: true,
+        fetchOpenInterest: true,
         // Private
         createOrder: true,
         createLimitOrder: true,
@@ -44,6 +58,16 @@ class Phemex extends BaseExchange {
         fetchMyTrades: true,
         fetchBalance: true,
         fetchTradingFees: false,
+        fetchPositions: true,
+        fetchPosition: true,
+        closePosition: true,
+        setLeverage: true,
+        fetchLeverage: true,
+        setMarginMode: true,
+        setPositionMode: true,
+        addMargin: true,
+        reduceMargin: true,
+        fetchLeverageTiers: false,
         // WebSocket
         watchTicker: true,
         watchOrderBook: true,
@@ -87,8 +111,8 @@ class Phemex extends BaseExchange {
    * Phemex authentication.
    *
    * Signing flow:
-   * - GET/DELETE: message = path + queryString + expiry
-   * - POST/PUT: message = path + expiry + body
+   * - GET/DELETE/PUT: message = path + queryString + expiry
+   * - POST: message = path + queryString + expiry + body (query only when `path` carries one)
    * - Secret key is Base64-decoded before use as HMAC key
    * - Expiry is Unix epoch in SECONDS (not milliseconds)
    * - Signature: HMAC-SHA256(message, base64decode(secret)).hex()
@@ -97,19 +121,21 @@ class Phemex extends BaseExchange {
     this.checkRequiredCredentials();
 
     const expiry = Math.floor(Date.now() / 1000) + 60;
+    const [signPath, pathQuery = ''] = path.split('?');
     let message;
     let signedParams = params;
 
-    if (method === 'GET' || method === 'DELETE') {
-      // Sort params alphabetically for consistent signing
+    if (method === 'GET' || method === 'DELETE' || method === 'PUT') {
+      // Sort params alphabetically for consistent signing; send them in the same order
       const sorted = Object.keys(params).sort();
       const qs = sorted.map((k) => `${k}=${params[k]}`).join('&');
-      message = path + qs + expiry;
+      signedParams = Object.fromEntries(sorted.map((k) => [k, params[k]]));
+      message = signPath + qs + expiry;
     } else {
-      // POST/PUT: sign path + expiry + JSON body
+      // POST: sign path + query + expiry + JSON body
       const body = (params && Object.keys(params).length > 0)
         ? JSON.stringify(params) : '';
-      message = path + expiry + body;
+      message = signPath + pathQuery + expiry + body;
     }
 
     // Secret is Base64-encoded, decode before HMAC
@@ -174,6 +200,22 @@ class Phemex extends BaseExchange {
     return raw;
   }
 
+  /**
+   * Convert a unified contract symbol to a Phemex perpetual: BTC/USDT:USDT → BTCUSDT
+   */
+  _toPhemexContract(symbol) {
+    const parts = this._symbolParts(symbol);
+    return parts ? parts.base + parts.quote : symbol;
+  }
+
+  /**
+   * Convert a Phemex perpetual to unified format: BTCUSDT → BTC/USDT:USDT
+   */
+  _fromPhemexContract(id, settle = 'USDT') {
+    const spot = this._fromPhemexSymbol(id);
+    return spot.includes('/') ? spot + ':' + settle : spot;
+  }
+
   /**
    * Convert unified order side to Phemex PascalCase: buy → Buy, sell → Sell
    */
@@ -352,53 +394,126 @@ class Phemex extends BaseExchange {
     return rows.map((r) => this._parseCandle(r));
   }
 
+  // ===========================================================================
+  // PUBLIC — Derivatives Market Data (USDT-M perpetuals)
+  // ===========================================================================
+
+  /**
+   * Funding of a USDT-M perpetual from its ticker. GET /md/v3/ticker/24hr
+   * The ticker has the current and predicted rates but no settlement time.
+   */
+  async fetchFundingRate(symbol, params = {}) {
+    const response = await this._request('GET', '/md/v3/ticker/24hr', { symbol: this._toPhemexContract(symbol), ...params });
+    return this._parseFundingRate(this._unwrapResponse(response) || {});
+  }
+
+  /**
+   * Funding of every USDT-M perpetual. GET /md/v3/ticker/24hr/all
+   */
+  async fetchFundingRates(symbols = undefined, params = {}) {
+    const response = await this._request('GET', '/md/v3/ticker/24hr/all', params);
+    const output = {};
+    for (const item of (this._unwrapResponse(response) || [])) {
+      const rate = this._parseFundingRate(item);
+      if (symbols && !symbols.includes(rate.symbol)) continue;
+      output[rate.symbol] = rate;
+    }
+    return output;
+  }
+
+  /**
+   * Settled funding rates. GET /api-data/public/data/funding-rate-history
+   * History is keyed by the funding index symbol, .{SYMBOL}FR8H for the 8-hour rate.
+   */
+  async fetchFundingRateHistory(symbol, since = undefined, limit = undefined, params = {}) {
+    const id = this._toPhemexContract(symbol);
+    const request = { symbol: '.' + id + 'FR8H', ...params };
+    if (since) request.start = since;
+    if (limit) request.limit = limit;
+    const response = await this._request('GET', '/api-data/public/data/funding-rate-history', request);
+    const data = this._unwrapResponse(response) || {};
+    const unified = this._fromPhemexContract(id);
+    return (data.rows || [])
+      .map((r) => {
+        const timestamp = safeInteger(r, 'fundingTime');
+        return { info: r, symbol: unified, fundingRate: safeFloat(r, 'fundingRate'), timestamp, datetime: iso8601(timestamp) };
+      })
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Open interest from the ticker: openInterestRv contracts (1 base unit each) valued at
+   * the mark price. GET /md/v3/ticker/24hr
+   */
+  async fetchOpenInterest(symbol, params = {}) {
+    const response = await this._request('GET', '/md/v3/ticker/24hr', { symbol: this._toPhemexContract(symbol), ...params });
+    const data = this._unwrapResponse(response) || {};
+    const amount = safeFloat(data, 'openInterestRv');
+    const mark = safeFloat(data, 'markPriceRp');
+    const ns = safeInteger(data, 'timestamp');
+    return this._openInterest({
+      info: data,
+      symbol: this._fromPhemexContract(safeString(data, 'symbol')),
+      openInterestAmount: amount,
+      openInterestValue: amount !== undefined && mark !== undefined ? amount * mark : undefined,
+      timestamp: ns ? Math.floor(ns / 1e6) : undefined,
+    });
+  }
+
   // ===========================================================================
   // PRIVATE — Trading
   // ===========================================================================
 
-  async createOrder(symbol, type, side, amount, price = undefined) {
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
     const phemexSymbol = this._toPhemexSymbol(symbol);
     const phemexSide = this._toPhemexSide(side);
+    const execution = this._orderExecutionParams(type, params);
+    const { clientOrderId } = this._clientOrderIdParams(execution.params);
 
-    const params = {
+    const request = {
       symbol: phemexSymbol,
       side: phemexSide,
       ordType: type.charAt(0).toUpperCase() + type.slice(1).toLowerCase(), // Limit or Market
     };
+    if (clientOrderId !== undefined) request.clOrdID = clientOrderId;
 
     if (type === 'limit') {
-      params.ordType = 'Limit';
-      params.qtyType = 'ByBase';
-      params.baseQtyEv = this._scaleToEp(amount);
+      request.ordType = 'Limit';
+      request.qtyType = 'ByBase';
+      request.baseQtyEv = this._scaleToEp(amount);
       if (price !== undefined) {
-        params.priceEp = this._scaleToEp(price);
+        request.priceEp = this._scaleToEp(price);
       }
-      params.timeInForce = 'GoodTillCancel';
+      request.timeInForce = PHEMEX_TIME_IN_FORCE[execution.timeInForce || 'GTC'];
     } else if (type === 'market') {
-      params.ordType = 'Market';
+      request.ordType = 'Market';
       if (side === 'buy') {
         // Market buy: specify quote quantity
-        params.qtyType = 'ByQuote';
-        params.quoteQtyEv = this._scaleToEp(amount);
+        request.qtyType = 'ByQuote';
+        request.quoteQtyEv = this._scaleToEp(amount);
       } else {
         // Market sell: specify base quantity
-        params.qtyType = 'ByBase';
-        params.baseQtyEv = this._scaleToEp(amount);
+        request.qtyType = 'ByBase';
+        request.baseQtyEv = this._scaleToEp(amount);
       }
     }
 
-    const response = await this._request('POST', '/spot/orders', params, true);
+    const response = await this._request('POST', '/spot/orders', request, true);
     const data = this._unwrapResponse(response);
 
     return {
       id: safeString(data, 'orderID'),
-      clientOrderId: safeString(data, 'clOrdID'),
+      clientOrderId: safeString(data, 'clOrdID') || clientOrderId,
       symbol,
       type,
       side,
       amount: parseFloat(amount),
       price: price ? parseFloat(price) : undefined,
       status: 'open',
+      timeInForce: type === 'limit' ? (execution.timeInForce || 'GTC') : 'IOC',
+      postOnly: execution.postOnly,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: response,
@@ -413,15 +528,17 @@ class Phemex extends BaseExchange {
     return this.createOrder(symbol, 'market', side, amount, undefined, params);
   }
 
-  async cancelOrder(id, symbol = undefined) {
+  async cancelOrder(id, symbol = undefined, params = {}) {
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder requires symbol');
     const phemexSymbol = this._toPhemexSymbol(symbol);
-    const params = { symbol: phemexSymbol, orderID: id };
-    const response = await this._request('DELETE', '/spot/orders', params, true);
+    const ref = this._orderReference('cancelOrder', id, params);
+    const request = { symbol: phemexSymbol, ...this._orderIdRequest(ref) };
+    const response = await this._request('DELETE', '/spot/orders', request, true);
     const data = this._unwrapResponse(response);
 
     return {
-      id,
+      id: ref.id,
+      clientOrderId: ref.clientOrderId,
       symbol,
       info: response,
     };
@@ -436,15 +553,21 @@ class Phemex extends BaseExchange {
     return response;
   }
 
-  async fetchOrder(id, symbol = undefined) {
+  async fetchOrder(id, symbol = undefined, params = {}) {
     if (!symbol) throw new BadRequest(this.id + ' fetchOrder requires symbol');
     const phemexSymbol = this._toPhemexSymbol(symbol);
-    const params = { symbol: phemexSymbol, orderID: id };
-    const response = await this._request('GET', '/spot/orders/active', params, true);
+    const ref = this._orderReference('fetchOrder', id, params);
+    const request = { symbol: phemexSymbol, ...this._orderIdRequest(ref) };
+    const response = await this._request('GET', '/spot/orders/active', request, true);
     const data = this._unwrapResponse(response);
     return this._parseOrder(data, symbol);
   }
 
+  // Spot order endpoints take either orderID or the clOrdID given at placement
+  _orderIdRequest(ref) {
+    return ref.id !== undefined ? { orderID: ref.id } : { clOrdID: ref.clientOrderId };
+  }
+
   async fetchOpenOrders(symbol = undefined) {
     if (!symbol) throw new BadRequest(this.id + ' fetchOpenOrders requires symbol');
     const phemexSymbol = this._toPhemexSymbol(symbol);
@@ -504,6 +627,173 @@ class Phemex extends BaseExchange {
     return trades.map((t) => this._parseHistTrade(t, symbol));
   }
 
+  // ===========================================================================
+  // PRIVATE — Positions (USDT-M perpetuals)
+  // ===========================================================================
+
+  /**
+   * Open USDT-M perpetual positions. GET /g-accounts/positions?currency=USDT
+   * (params.currency picks another settle currency). Values come as real-number strings
+   * (Rp / Rv / Rq), not the 10^8-scaled Ep/Ev of spot.
+   */
+  async fetchPositions(symbols = undefined, params = {}) {
+    const positions = (await this._fetchRawPositions(params))
+      .map((p) => this._parsePosition(p))
+      .filter((p) => p.contracts);
+    return symbols ? positions.filter((p) => symbols.includes(p.symbol)) : positions;
+  }
+
+  async _fetchRawPositions(params = {}) {
+    const request = { currency: 'USDT', ...params };
+    const response = await this._request('GET', '/g-accounts/positions', request, true);
+    const data = this._unwrapResponse(response) || {};
+    return data.positions || [];
+  }
+
+  /**
+   * Close a position with a reduce-only market order on the hedged-contract endpoint.
+   * POST /g-orders — posSide follows the position (Long / Short, or Merged in one-way mode).
+   */
+  async closePosition(symbol, side = undefined, params = {}) {
+    const position = await this.fetchPosition(symbol, side ? { side } : {});
+    if (!position) throw new BadRequest(this.id + ' closePosition() found no open ' + symbol + ' position');
+    const request = {
+      clOrdID: this._generateClientOrderId(),
+      symbol: this._toPhemexContract(symbol),
+      side: position.side === 'long' ? 'Sell' : 'Buy',
+      posSide: safeString(position.info, 'posSide') || 'Merged',
+      ordType: 'Market',
+      orderQtyRq: String(position.contracts),
+      reduceOnly: true,
+      timeInForce: 'ImmediateOrCancel',
+      ...params,
+    };
+    const response = await this._request('POST', '/g-orders', request, true);
+    const data = this._unwrapResponse(response);
+    return {
+      id: safeString(data, 'orderID'),
+      clientOrderId: safeString(data, 'clOrdID') || request.clOrdID,
+      symbol,
+      type: 'market',
+      side: request.side.toLowerCase(),
+      amount: position.contracts,
+      status: 'open',
+      reduceOnly: true,
+      timestamp: Date.now(),
+      datetime: iso8601(Date.now()),
+      info: response,
+    };
+  }
+
+  // ===========================================================================
+  // PRIVATE — Leverage & Margin (USDT-M perpetuals)
+  // ===========================================================================
+
+  /**
+   * Set leverage. PUT /g-positions/leverage — leverageRr is signed: negative (or
+   * params.marginMode 'cross') selects cross margin. Hedged accounts pass
+   * longLeverageRr / shortLeverageRr in params instead.
+   */
+  async setLeverage(leverage, symbol = undefined, params = {}) {
+    if (!symbol) throw new BadRequest(this.id + ' setLeverage() requires symbol');
+    const { marginMode, ...rest } = params;
+    const value = marginMode !== undefined && this._checkMarginMode(marginMode) === 'cross'
+      ? -Math.abs(leverage) : leverage;
+    const request = { symbol: this._toPhemexContract(symbol), leverageRr: String(value), ...rest };
+    const response = await this._request('PUT', '/g-positions/leverage', request, true);
+    this._unwrapResponse(response);
+    const long = parseFloat(request.longLeverageRr || request.leverageRr);
+    const short = parseFloat(request.shortLeverageRr || request.leverageRr);
+    return this._leverage({
+      info: response,
+      symbol,
+      marginMode: long <= 0 ? 'cross' : 'isolated',
+      longLeverage: Math.abs(long),
+      shortLeverage: Math.abs(short),
+    });
+  }
+
+  /**
+   * Leverage from the position list; each leg (Long / Short, or Merged in one-way mode)
+   * carries its own signed leverageRr.
+   */
+  async fetchLeverage(symbol, params = {}) {
+    const id = this._toPhemexContract(symbol);
+    const rows = (await this._fetchRawPositions(params)).filter((p) => safeString(p, 'symbol') === id);
+    const legs = {};
+    for (const p of rows) legs[safeString(p, 'posSide')] = safeFloat(p, 'leverageRr');
+    const long = legs.Long !== undefined ? legs.Long : legs.Merged;
+    const short = legs.Short !== undefined ? legs.Short : legs.Merged;
+    const sample = long !== undefined ? long : short;
+    return this._leverage({
+      info: rows,
+      symbol,
+      marginMode: sample === undefined ? undefined : (sample <= 0 ? 'cross' : 'isolated'),
+      longLeverage: long !== undefined ? Math.abs(long) : undefined,
+      shortLeverage: short !== undefined ? Math.abs(short) : undefined,
+    });
+  }
+
+  /**
+   * Phemex has no margin mode endpoint — the mode is the sign of the leverage, so the
+   * current leverage (or params.leverage) is set again with the matching sign.
+   */
+  async setMarginMode(marginMode, symbol = undefined, params = {}) {
+    if (!symbol) throw new BadRequest(this.id + ' setMarginMode() requires symbol');
+    const mode = this._checkMarginMode(marginMode);
+    const { leverage, ...rest } = params;
+    let value = leverage;
+    if (value === undefined) {
+      const current = await this.fetchLeverage(symbol);
+      value = current.longLeverage || current.shortLeverage;
+    }
+    if (!value) throw new BadRequest(this.id + ' setMarginMode() requires params.leverage when the leverage is unknown');
+    const result = await this.setLeverage(value, symbol, { ...rest, marginMode: mode });
+    return { info: result.info, symbol, marginMode: mode };
+  }
+
+  /**
+   * One-way or hedged positions for a contract. PUT /g-positions/switch-pos-mode-sync
+   */
+  async setPositionMode(hedged, symbol = undefined, params = {}) {
+    if (!symbol) throw new BadRequest(this.id + ' setPositionMode() requires symbol');
+    const request = {
+      symbol: this._toPhemexContract(symbol),
+      targetPosMode: hedged ? 'Hedged' : 'OneWay',
+      ...params,
+    };
+    const response = await this._request('PUT', '/g-positions/switch-pos-mode-sync', request, true);
+    return { info: this._unwrapResponse(response), hedged };
+  }
+
+  /**
+   * Isolated margin. POST /g-positions/assign takes the target balance (posBalanceRv), so
+   * the change is applied to the position's current margin. params.side picks the leg.
+   */
+  async _modifyMargin(symbol, amount, type, params) {
+    const { side, ...rest } = params;
+    const position = await this.fetchPosition(symbol, side ? { side } : {});
+    if (!position) throw new BadRequest(this.id + ' ' + type + 'Margin() found no open ' + symbol + ' position');
+    const current = position.initialMargin || 0;
+    const total = type === 'reduce' ? current - amount : current + amount;
+    const query = new URLSearchParams({
+      symbol: this._toPhemexContract(symbol),
+      posSide: safeString(position.info, 'posSide') || 'Merged',
+      posBalanceRv: String(total),
+      ...rest,
+    }).toString();
+    const response = await this._request('POST', '/g-positions/assign?' + query, {}, true);
+    return this._marginModification({
+      info: this._unwrapResponse(response),
+      symbol,
+      type,
+      amount,
+      total,
+      code: safeString(position.info, 'currency') || 'USDT',
+      timestamp: Date.now(),
+    });
+  }
+
   // ===========================================================================
   // PARSERS
   // ===========================================================================
@@ -577,6 +867,8 @@ class Phemex extends BaseExchange {
       cost,
       average: avgPrice,
       status,
+      timeInForce: PHEMEX_TIME_IN_FORCE_UNIFIED[safeString(data, 'timeInForce')],
+      postOnly: safeString(data, 'timeInForce') === 'PostOnly',
       timestamp: createTime,
       datetime: iso8601(createTime),
       info: data,
@@ -671,6 +963,53 @@ class Phemex extends BaseExchange {
     };
   }
 
+  /**
+   * USDT-M ticker → funding rate. Rates are real-number strings (Rr) and the timestamp
+   * is in nanoseconds.
+   */
+  _parseFundingRate(data) {
+    const ns = safeInteger(data, 'timestamp');
+    return this._fundingRate({
+      info: data,
+      symbol: this._fromPhemexContract(safeString(data, 'symbol')),
+      markPrice: safeFloat(data, 'markPriceRp'),
+      indexPrice: safeFloat(data, 'indexPriceRp'),
+      fundingRate: safeFloat(data, 'fundingRateRr'),
+      nextFundingRate: safeFloat(data, 'predFundingRateRr'),
+      timestamp: ns ? Math.floor(ns / 1e6) : undefined,
+    });
+  }
+
+  /**
+   * Hedged-contract position. side is None once flat; a negative leverageRr means cross
+   * margin at that leverage.
+   */
+  _parsePosition(data) {
+    const side = safeString(data, 'side');
+    const posSide = safeString(data, 'posSide');
+    const leverage = safeFloat(data, 'leverageRr');
+    const ns = safeInteger(data, 'transactTimeNs');
+    return this._position({
+      info: data,
+      symbol: this._fromPhemexContract(safeString(data, 'symbol'), safeString(data, 'currency')),
+      side: side === 'Buy' ? 'long' : (side === 'Sell' ? 'short' : undefined),
+      contracts: safeFloat(data, 'sizeRq'),
+      contractSize: 1,
+      entryPrice: safeFloat(data, 'avgEntryPriceRp'),
+      markPrice: safeFloat(data, 'markPriceRp'),
+      notional: safeFloat(data, 'valueRv'),
+      unrealizedPnl: safeFloat(data, 'unRealisedPnlRv'),
+      realizedPnl: safeFloat(data, 'curTermRealisedPnlRv'),
+      liquidationPrice: safeFloat(data, 'liquidationPriceRp'),
+      leverage: leverage !== undefined ? Math.abs(leverage) : undefined,
+      marginMode: leverage === undefined ? undefined : (leverage <= 0 ? 'cross' : 'isolated'),
+      initialMargin: safeFloat(data, 'positionMarginRv'),
+      maintenanceMargin: undefined,
+      hedged: posSide === 'Long' || posSide === 'Short',
+      timestamp: ns ? Math.floor(ns / 1e6) : undefined,
+    });
+  }
+
   // ===========================================================================
   // ERROR HANDLING
   // ===========================================================================
@@ -725,10 +1064,11 @@ class Phemex extends BaseExchange {
     if (this._wsClients.has(url)) {
       return this._wsClients.get(url);
     }
-    const client = new WsClient(url, {
+    const client = new WsClient(this._wsClientOptions({
+      url,
       pingInterval: 5000,
       reconnect: true,
-    });
+    }));
 
     // Phemex WS ping: client sends {"id": N, "method": "server.ping", "params": []}
     const self = this;
@@ -795,7 +1135,11 @@ class Phemex extends BaseExchange {
     const channel = `spot.book.${phemexSymbol}`;
     return this._subscribePhemex(channel, (data) => {
       const orderBook = this._parseWsOrderBook(data, symbol);
-      callback(orderBook);
+      // type: 'snapshot' or 'incremental'; sequence is carried as nonce
+      this._handleOrderBookMessage(symbol, {
+        ...orderBook,
+        snapshot: orderBook.type !== 'incremental',
+      }, callback);
     });
   }
 
@@ -827,6 +1171,7 @@ class Phemex extends BaseExchange {
     }
     this._wsClients.clear();
     if (this._wsHandlers) this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 
   // ===========================================================================
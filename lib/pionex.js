@@ -5,13 +5,12 @@ const { hmacSHA256 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
   InsufficientFunds, InvalidOrder, OrderNotFound,
   BadSymbol, BadRequest, ExchangeNotAvailable,
-  NetworkError, RequestTimeout,
 } = require('./utils/errors');
 
 class Pionex extends BaseExchange {
@@ -111,9 +110,10 @@ class Pionex extends BaseExchange {
     url = baseUrl + path + '?timestamp=' + timestamp;
 
     if (method === 'DELETE') {
-      // Empty params — _request override handles the JSON body
+      // Empty params — BaseExchange sends body as JSON instead of a query string
       return {
         params: {},
+        body: params,
         headers: {
           'PIONEX-KEY': this.apiKey,
           'PIONEX-SIGNATURE': hmacSHA256(signingString, this.secret),
@@ -137,68 +137,6 @@ class Pionex extends BaseExchange {
     return this.urls.api;
   }
 
-  // ---------------------------------------------------------------------------
-  // Request Override — DELETE with JSON body
-  // ---------------------------------------------------------------------------
-
-  /**
-   * BaseExchange._request() line 224 treats DELETE like GET (params → query string).
-   * Pionex DELETE needs a JSON body — we handle it entirely here.
-   */
-  async _request(method, path, params = {}, signed = false, weight = 1) {
-    if (method === 'DELETE' && signed) {
-      // Rate limiting
-      if (this.enableRateLimit && this._throttler) {
-        await this._throttler.consume(weight);
-      }
-
-      // Sign with a COPY of params (don't mutate the original)
-      const signResult = this._sign(path, 'DELETE', { ...params });
-      const url = signResult.url;
-      const headers = { ...signResult.headers, 'Content-Type': 'application/json' };
-
-      const fetchOptions = {
-        method: 'DELETE',
-        headers,
-        signal: AbortSignal.timeout(this.timeout),
-      };
-
-      // Use ORIGINAL params for the JSON body
-      if (Object.keys(params).length > 0) {
-        fetchOptions.body = JSON.stringify(params);
-      }
-
-      if (this.verbose) console.log('DELETE', url);
-
-      let response;
-      try {
-        response = await fetch(url, fetchOptions);
-      } catch (err) {
-        if (err.name === 'TimeoutError' || err.name === 'AbortError') {
-          throw new RequestTimeout(this.id + ' request timed out (' + this.timeout + 'ms)');
-        }
-        throw new NetworkError(this.id + ' ' + err.message);
-      }
-
-      this._handleResponseHeaders(response.headers);
-
-      if (response.status === 429 || response.status === 418) {
-        const retryAfter = response.headers.get('Retry-After') || '60';
-        throw new RateLimitExceeded(
-          this.id + ' rate limited. Retry after ' + retryAfter + 's'
-        );
-      }
-
-      const text = await response.text();
-      if (!response.ok) this._handleHttpError(response.status, text);
-
-      try { return JSON.parse(text); } catch { return text; }
-    }
-
-    // All other methods delegate to BaseExchange
-    return super._request(method, path, params, signed, weight);
-  }
-
   // ---------------------------------------------------------------------------
   // Symbol Conversion — BTC_USDT <-> BTC/USDT
   // ---------------------------------------------------------------------------
@@ -316,6 +254,8 @@ class Pionex extends BaseExchange {
       status,
       fee: fee > 0 ? { cost: fee, currency: feeCoin } : undefined,
       IOC: ioc,
+      timeInForce: type === 'LIMIT' && ioc !== true ? 'GTC' : 'IOC',
+      postOnly: false,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -424,30 +364,37 @@ class Pionex extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const upperType = type.toUpperCase();
     const upperSide = side.toUpperCase();
     const pionexSymbol = this._toPionexSymbol(symbol);
+    // Limit orders are GTC unless the IOC flag is set; there is no FOK or post-only
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC', 'IOC'] });
+    const client = this._clientOrderIdParams(execution.params);
 
     const request = {
       symbol: pionexSymbol,
       side: upperSide,
       type: upperType,
-      ...params,
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.clientOrderId = client.clientOrderId;
 
     if (upperType === 'LIMIT') {
       if (price === undefined || price === null) {
         throw new InvalidOrder(this.id + ' createOrder LIMIT requires price');
       }
-      request.size = String(amount);
-      request.price = String(price);
+      request.size = numberToString(amount);
+      request.price = numberToString(price);
+      if (execution.timeInForce === 'IOC') request.IOC = true;
     } else if (upperType === 'MARKET') {
       // Pionex market order quirk: BUY uses amount (quote), SELL uses size (base)
       if (upperSide === 'BUY') {
-        request.amount = String(amount);
+        request.amount = numberToString(amount);
       } else {
-        request.size = String(amount);
+        request.size = numberToString(amount);
       }
     }
 
@@ -456,7 +403,7 @@ class Pionex extends BaseExchange {
 
     return {
       id: safeString(result, 'orderId'),
-      clientOrderId: safeString(result, 'clientOrderId'),
+      clientOrderId: safeString(result, 'clientOrderId') || client.clientOrderId,
       symbol,
       type: upperType,
       side: upperSide,
@@ -465,6 +412,8 @@ class Pionex extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: upperType === 'LIMIT' && !request.IOC ? 'GTC' : 'IOC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: result,
@@ -473,6 +422,10 @@ class Pionex extends BaseExchange {
 
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    // DELETE /api/v1/trade/order takes orderId only
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
+    params = ref.params;
     if (!symbol) throw new BadRequest(this.id + ' cancelOrder requires symbol');
 
     const request = {
@@ -515,13 +468,16 @@ class Pionex extends BaseExchange {
     this.checkRequiredCredentials();
     if (!symbol) throw new BadRequest(this.id + ' fetchOrder requires symbol');
 
+    // Orders placed with a clientOrderId are looked up through orderByClientOrderId
+    const ref = this._orderReference('fetchOrder', id, params);
     const request = {
-      orderId: id,
+      ...(ref.id !== undefined ? { orderId: ref.id } : { clientOrderId: ref.clientOrderId }),
       symbol: this._toPionexSymbol(symbol),
-      ...params,
+      ...ref.params,
     };
+    const path = ref.id !== undefined ? '/api/v1/trade/order' : '/api/v1/trade/orderByClientOrderId';
 
-    const data = await this._request('GET', '/api/v1/trade/order', request, true, 1);
+    const data = await this._request('GET', path, request, true, 1);
     const result = this._unwrapResponse(data);
     return this._parseOrder(result, symbol);
   }
@@ -609,7 +565,7 @@ class Pionex extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 15000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 15000 }));
 
     // Pionex: server sends PING → client responds with PONG
     // Disable default WebSocket protocol-level pings
@@ -684,7 +640,10 @@ class Pionex extends BaseExchange {
     const pionexSymbol = this._toPionexSymbol(symbol);
     return this._subscribePionex('DEPTH', pionexSymbol, (msg) => {
       if (msg.data) {
-        callback(this._parseWsOrderBook(msg.data, symbol));
+        this._handleOrderBookMessage(symbol, {
+          snapshot: true,
+          ...this._parseWsOrderBook(msg.data, symbol),
+        }, callback);
       }
     }, { limit });
   }
@@ -745,6 +704,7 @@ class Pionex extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -5,7 +5,7 @@ const { hmacSHA512Hex } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -252,6 +252,8 @@ class PointPay extends BaseExchange {
       cost: dealMoney,
       average: filled > 0 ? dealMoney / filled : 0,
       status,
+      timeInForce: type === 'limit' ? 'GTC' : 'IOC',
+      postOnly: false,
       timestamp: ts * 1000 < Date.now() * 100 ? ts * 1000 : ts,
       datetime: iso8601(ts * 1000 < Date.now() * 100 ? ts * 1000 : ts),
       info: data,
@@ -382,8 +384,10 @@ class PointPay extends BaseExchange {
   // Private REST API — Trading & Account (all use POST)
   // ---------------------------------------------------------------------------
 
-  async createOrder(symbol, type, side, amount, price = undefined) {
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     if (type !== 'limit') {
       throw new InvalidOrder(this.id + ' createOrder() only supports limit orders');
@@ -392,13 +396,19 @@ class PointPay extends BaseExchange {
       throw new InvalidOrder(this.id + ' createOrder() requires a price for limit orders');
     }
 
+    // Orders stay on the book until filled or canceled
+    this._orderExecutionParams(type, params, { timeInForce: ['GTC'] });
+    if (params.clientOrderId !== undefined) {
+      throw new InvalidOrder(this.id + ' createOrder() does not support clientOrderId');
+    }
+
     const ppSymbol = this._toPointPaySymbol(symbol);
 
     const request = {
       market: ppSymbol,
       side: side.toLowerCase(),
-      amount: String(amount),
-      price: String(price),
+      amount: numberToString(amount),
+      price: numberToString(price),
     };
 
     const data = await this._request('POST', '/api/v1/order/new', request, true, 1);
@@ -414,14 +424,17 @@ class PointPay extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: 'GTC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: result,
     };
   }
 
-  async cancelOrder(id, symbol = undefined) {
+  async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    id = this._orderReference('cancelOrder', id, params, false).id;
 
     const request = {
       orderId: Number(id),
@@ -481,7 +494,7 @@ class PointPay extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 30000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 30000 }));
 
     const originalConnect = client.connect.bind(client);
     client.connect = async function (connectUrl) {
@@ -551,7 +564,10 @@ class PointPay extends BaseExchange {
         if (marketName === ppSymbol) {
           const isSnapshot = msg.params[0];
           const depthData = msg.params[1];
-          callback(this._parseWsOrderBook(depthData, symbol));
+          this._handleOrderBookMessage(symbol, {
+            ...this._parseWsOrderBook(depthData, symbol),
+            snapshot: isSnapshot === true,
+          }, callback, { depth: limit || 100 });
         }
       }
     };
@@ -595,6 +611,7 @@ class PointPay extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -3,7 +3,7 @@
 const BaseExchange = require('./BaseExchange');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -236,6 +236,8 @@ class TradeOgre extends BaseExchange {
       cost: price * amount,
       average: 0,
       status: 'open',
+      timeInForce: 'GTC',
+      postOnly: false,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -366,8 +368,10 @@ class TradeOgre extends BaseExchange {
   // Private REST API — Trading & Account
   // ---------------------------------------------------------------------------
 
-  async createOrder(symbol, type, side, amount, price = undefined) {
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     if (type !== 'limit') {
       throw new InvalidOrder(this.id + ' createOrder() only supports limit orders');
@@ -379,13 +383,19 @@ class TradeOgre extends BaseExchange {
       throw new InvalidOrder(this.id + ' createOrder() side must be "buy" or "sell"');
     }
 
+    // TradeOgre's buy/sell endpoints only take market, quantity and price
+    this._orderExecutionParams(type, params, { timeInForce: ['GTC'] });
+    if (params.clientOrderId !== undefined) {
+      throw new InvalidOrder(this.id + ' createOrder() does not support clientOrderId');
+    }
+
     const toSymbol = this._toTradeOgreSymbol(symbol);
     const endpoint = side === 'buy' ? '/order/buy' : '/order/sell';
 
     const request = {
       market: toSymbol,
-      quantity: String(amount),
-      price: String(price),
+      quantity: numberToString(amount),
+      price: numberToString(price),
     };
 
     const data = await this._request('POST', endpoint, request, true, 1);
@@ -401,14 +411,17 @@ class TradeOgre extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: 'GTC',
+      postOnly: false,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: data,
     };
   }
 
-  async cancelOrder(id, symbol = undefined) {
+  async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    id = this._orderReference('cancelOrder', id, params, false).id;
 
     const request = { uuid: String(id) };
     const data = await this._request('POST', '/order/cancel', request, true, 1);
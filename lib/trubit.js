@@ -5,7 +5,7 @@ const { hmacSHA256 } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -267,6 +267,8 @@ class Trubit extends BaseExchange {
       cost: filled * price,
       average: filled > 0 ? price : 0,
       status,
+      timeInForce: type === 'limit_maker' ? 'PO' : safeString(data, 'timeInForce'),
+      postOnly: type === 'limit_maker',
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -423,41 +425,54 @@ class Trubit extends BaseExchange {
   // Private REST API — Trading & Account
   // ---------------------------------------------------------------------------
 
-  async createOrder(symbol, type, side, amount, price = undefined) {
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const trubitSymbol = this._toTrubitSymbol(symbol);
+    const execution = this._orderExecutionParams(type, params);
+    const { clientOrderId } = this._clientOrderIdParams(execution.params);
 
-    const params = {
+    const request = {
       symbol: trubitSymbol,
       side: side.toUpperCase(),
       type: type.toUpperCase(),
-      quantity: String(amount),
+      quantity: numberToString(amount),
     };
+    if (clientOrderId !== undefined) request.newClientOrderId = clientOrderId;
 
     if (type.toLowerCase() === 'limit') {
       if (price === undefined || price === null) {
         throw new InvalidOrder(this.id + ' createOrder() requires a price for limit orders');
       }
-      params.price = String(price);
-      params.timeInForce = 'GTC';
+      request.price = numberToString(price);
+      // LIMIT_MAKER is the post-only order type
+      if (execution.postOnly) {
+        request.type = 'LIMIT_MAKER';
+      } else {
+        request.timeInForce = execution.timeInForce || 'GTC';
+      }
     }
 
-    const data = await this._request('POST', '/openapi/v1/order', params, true, 1);
+    const data = await this._request('POST', '/openapi/v1/order', request, true, 1);
     const result = this._unwrapResponse(data);
 
     return this._parseOrder(result, symbol);
   }
 
-  async cancelOrder(id, symbol = undefined) {
+  async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
-    const params = { orderId: String(id) };
-    const data = await this._request('DELETE', '/openapi/v1/order', params, true, 1);
+    // The order may be named by params.clientOrderId instead of the exchange id
+    const ref = this._orderReference('cancelOrder', id, params);
+    const request = ref.id !== undefined ? { orderId: String(ref.id) } : { clientOrderId: ref.clientOrderId };
+    const data = await this._request('DELETE', '/openapi/v1/order', request, true, 1);
     const result = this._unwrapResponse(data);
 
     return {
-      id: String(id),
+      id: ref.id !== undefined ? String(ref.id) : safeString(result, 'orderId'),
+      clientOrderId: ref.clientOrderId,
       symbol,
       status: 'canceled',
       info: result,
@@ -504,7 +519,7 @@ class Trubit extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 30000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 30000 }));
 
     const originalConnect = client.connect.bind(client);
     client.connect = async function (connectUrl) {
@@ -567,7 +582,10 @@ class Trubit extends BaseExchange {
       if (msg && msg.topic === 'depth' && msg.data) {
         const msgSymbol = safeString(msg, 'symbol') || safeString(msg.data, 's');
         if (!msgSymbol || msgSymbol === trubitSymbol) {
-          callback(this._parseWsOrderBook(msg.data, symbol));
+          this._handleOrderBookMessage(symbol, {
+            snapshot: true,
+            ...this._parseWsOrderBook(msg.data, symbol),
+          }, callback);
         }
       }
     };
@@ -613,6 +631,7 @@ class Trubit extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
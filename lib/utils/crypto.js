@@ -40,6 +40,11 @@ function hmacSHA384Hex(data, secret) {
   return crypto.createHmac('sha384', secret).update(data).digest('hex');
 }
 
+// Ed25519 signature (base64) with a PEM private key — Binance Ed25519 API keys
+function ed25519Sign(data, privateKey) {
+  return crypto.sign(null, Buffer.from(data), privateKey).toString('base64');
+}
+
 function base64UrlEncode(buffer) {
   return buffer.toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
 }
@@ -58,4 +63,23 @@ function signJWT(apiKey, secret, uri, issuer = 'coinbase-cloud') {
   return signingInput + '.' + base64UrlEncode(sig);
 }
 
-module.exports = { hmacSHA256, hmacSHA256Base64, sha256, md5, hmacMD5, krakenSign, sha512, hmacSHA512Hex, hmacSHA384Hex, base64UrlEncode, signJWT };
+let crcTable;
+
+// CRC-32 (IEEE) as an unsigned 32-bit integer — order book checksums (Kraken, OKX, Bitfinex, Gate.io)
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (const byte of Buffer.from(data)) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+module.exports = { hmacSHA256, hmacSHA256Base64, sha256, md5, hmacMD5, krakenSign, sha512, hmacSHA512Hex, hmacSHA384Hex, ed25519Sign, base64UrlEncode, signJWT, crc32 };
@@ -18,6 +18,21 @@ class BadRequest extends ExchangeError {}
 class ExchangeNotAvailable extends ExchangeError {}
 class RequestTimeout extends NetworkError {}
 
+/**
+ * Order rejected before sending by pre-trade validation (validateOrders). `limit` names
+ * the violated bound: 'active', 'amount.min', 'amount.max', 'price.min', 'price.max',
+ * 'cost.min' or 'cost.max'; `value` is the order's value and `bound` the market limit.
+ */
+class OrderLimitViolation extends InvalidOrder {
+  constructor(message, { symbol = undefined, limit = undefined, value = undefined, bound = undefined } = {}) {
+    super(message);
+    this.symbol = symbol;
+    this.limit = limit;
+    this.value = value;
+    this.bound = bound;
+  }
+}
+
 module.exports = {
   ExchangeError,
   AuthenticationError,
@@ -30,4 +45,5 @@ module.exports = {
   BadRequest,
   ExchangeNotAvailable,
   RequestTimeout,
+  OrderLimitViolation,
 };
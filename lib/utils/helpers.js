@@ -100,6 +100,56 @@ function deepMerge(target, source) {
   return result;
 }
 
+/**
+ * Number of decimal places in a step or tick size (0.001 → 3, 1e-8 → 8, 25 → 0).
+ */
+function precisionFromStep(step) {
+  const str = String(step);
+  const exp = /e-(\d+)$/.exec(str);
+  if (exp) {
+    const mantissa = str.split('e')[0].split('.')[1] || '';
+    return Number(exp[1]) + mantissa.length;
+  }
+  const dot = str.indexOf('.');
+  return dot === -1 ? 0 : str.length - dot - 1;
+}
+
+/**
+ * Snap a value to a multiple of `step` and format it with the step's decimals.
+ * mode 'truncate' rounds toward zero, 'round' to the nearest step. Float artifacts
+ * (0.30000000000000004, 2.9999999999999996 steps) are absorbed before truncating.
+ * @returns {string}
+ */
+function decimalToPrecision(value, step, mode = 'truncate') {
+  const n = Number(value);
+  if (!isFinite(n)) throw new TypeError('decimalToPrecision() value must be a finite number, got ' + value);
+  if (!(step > 0)) throw new TypeError('decimalToPrecision() step must be positive, got ' + step);
+  if (mode !== 'truncate' && mode !== 'round') {
+    throw new TypeError('decimalToPrecision() mode must be "truncate" or "round", got ' + mode);
+  }
+  const steps = Number((Math.abs(n) / step).toPrecision(15));
+  const count = mode === 'truncate' ? Math.floor(steps) : Math.round(steps);
+  const result = (Math.sign(n) * count * step).toFixed(precisionFromStep(step));
+  return Number(result) === 0 ? result.replace('-', '') : result;
+}
+
+/**
+ * Format a number for a request parameter without exponent notation: String(1e-7) is
+ * '1e-7', which venues reject, numberToString(1e-7) is '0.0000001'. Strings pass through.
+ * @returns {string}
+ */
+function numberToString(value) {
+  const str = String(value);
+  const match = /^(-?)(\d+)(?:\.(\d+))?e([+-]\d+)$/i.exec(str);
+  if (!match) return str;
+  const [, sign, int, frac = '', exp] = match;
+  const digits = int + frac;
+  const point = int.length + Number(exp);
+  if (point <= 0) return sign + '0.' + '0'.repeat(-point) + digits;
+  if (point >= digits.length) return sign + digits + '0'.repeat(point - digits.length);
+  return sign + digits.slice(0, point) + '.' + digits.slice(point);
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -118,5 +168,8 @@ module.exports = {
   iso8601,
   parseDate,
   deepMerge,
+  precisionFromStep,
+  decimalToPrecision,
+  numberToString,
   sleep,
 };
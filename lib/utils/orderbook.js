@@ -0,0 +1,147 @@
+'use strict';
+
+const { iso8601 } = require('./helpers');
+
+function toNonce(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isNaN(n) ? undefined : n;
+}
+
+/**
+ * One side of a local order book.
+ * Levels are [price, amount] kept best-first: bids descending, asks ascending.
+ * An optional third element is kept as the raw level (e.g. the exchange's original
+ * price/size strings, needed to recompute checksums).
+ * Lookups use binary search, so a level update costs O(log n) + one splice.
+ */
+class OrderBookSide {
+  constructor(descending = false) {
+    this.descending = descending;
+    this.levels = [];
+  }
+
+  _indexOf(price) {
+    let lo = 0;
+    let hi = this.levels.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >>> 1;
+      const p = this.levels[mid][0];
+      if (this.descending ? p > price : p < price) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Set the amount at a price level. An amount of 0 removes the level.
+   */
+  store(price, amount, raw = undefined) {
+    const i = this._indexOf(price);
+    const exists = i < this.levels.length && this.levels[i][0] === price;
+    if (amount > 0) {
+      const level = raw === undefined ? [price, amount] : [price, amount, raw];
+      if (exists) this.levels[i] = level;
+      else this.levels.splice(i, 0, level);
+    } else if (exists) {
+      this.levels.splice(i, 1);
+    }
+  }
+
+  clear() {
+    this.levels = [];
+  }
+
+  truncate(depth) {
+    if (depth && this.levels.length > depth) this.levels.length = depth;
+  }
+
+  toArray(limit = undefined) {
+    const levels = limit ? this.levels.slice(0, limit) : this.levels;
+    return levels.map(([price, amount]) => [price, amount]);
+  }
+}
+
+/**
+ * Local order book for a single symbol.
+ * Applies a snapshot followed by deltas and tracks the exchange sequence (nonce)
+ * so out-of-order or missing updates are detected instead of silently merged.
+ *
+ * Deltas may carry:
+ *   - nonce       → sequence of the last change in the message (Binance u, KuCoin sequenceEnd)
+ *   - firstNonce  → sequence of the first change (Binance U, KuCoin sequenceStart)
+ *   - prevNonce   → sequence the message builds on (OKX prevSeqId, BTSE prevSeqNum)
+ */
+class OrderBook {
+  constructor({ symbol = undefined, depth = undefined } = {}) {
+    this.symbol = symbol;
+    this.depth = depth;
+    this.bids = new OrderBookSide(true);
+    this.asks = new OrderBookSide(false);
+    this.nonce = undefined;
+    this.timestamp = undefined;
+    this.synced = false;     // true once a snapshot has been applied
+    this.resyncing = false;  // true while a fresh snapshot (REST or resubscribe) is pending
+    this.cache = [];         // deltas buffered while not synced
+  }
+
+  /**
+   * Replace the book with a full snapshot { bids, asks, nonce, timestamp }.
+   */
+  reset(snapshot = {}) {
+    this.bids.clear();
+    this.asks.clear();
+    for (const [price, amount, raw] of snapshot.bids || []) this.bids.store(price, amount, raw);
+    for (const [price, amount, raw] of snapshot.asks || []) this.asks.store(price, amount, raw);
+    this.bids.truncate(this.depth);
+    this.asks.truncate(this.depth);
+    this.nonce = toNonce(snapshot.nonce);
+    this.timestamp = snapshot.timestamp || Date.now();
+    this.synced = true;
+    return this;
+  }
+
+  /**
+   * Apply a delta { bids, asks, nonce, firstNonce?, prevNonce?, timestamp }.
+   * Levels with amount 0 are removed.
+   * @returns {'applied'|'stale'|'gap'} 'stale' deltas are ignored; on 'gap' the book is left untouched
+   */
+  update(delta = {}) {
+    const nonce = toNonce(delta.nonce);
+    if (this.nonce !== undefined && nonce !== undefined) {
+      const prevNonce = toNonce(delta.prevNonce);
+      const firstNonce = toNonce(delta.firstNonce);
+      if (prevNonce !== undefined) {
+        if (prevNonce !== this.nonce) return nonce <= this.nonce ? 'stale' : 'gap';
+      } else {
+        if (nonce <= this.nonce) return 'stale';
+        if (firstNonce !== undefined && firstNonce > this.nonce + 1) return 'gap';
+      }
+    }
+    for (const [price, amount, raw] of delta.bids || []) this.bids.store(price, amount, raw);
+    for (const [price, amount, raw] of delta.asks || []) this.asks.store(price, amount, raw);
+    this.bids.truncate(this.depth);
+    this.asks.truncate(this.depth);
+    if (nonce !== undefined) this.nonce = nonce;
+    this.timestamp = delta.timestamp || Date.now();
+    return 'applied';
+  }
+
+  /**
+   * Unified order book structure, optionally limited to the top N levels per side.
+   */
+  toObject(limit = undefined) {
+    return {
+      symbol: this.symbol,
+      bids: this.bids.toArray(limit),
+      asks: this.asks.toArray(limit),
+      timestamp: this.timestamp,
+      datetime: iso8601(this.timestamp),
+      nonce: this.nonce,
+    };
+  }
+}
+
+OrderBook.OrderBookSide = OrderBookSide;
+
+module.exports = OrderBook;
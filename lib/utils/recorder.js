@@ -0,0 +1,252 @@
+'use strict';
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const errors = require('./errors');
+
+const { ExchangeError } = errors;
+
+/**
+ * JSON with sorted object keys, so equal params always produce the same key.
+ */
+function canonical(value) {
+  if (Array.isArray(value)) return '[' + value.map(canonical).join(',') + ']';
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return '{' + keys.map((k) => JSON.stringify(k) + ':' + canonical(value[k])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+function plain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function stripQuery(url) {
+  const i = url.indexOf('?');
+  return i === -1 ? url : url.slice(0, i);
+}
+
+// WebSocket frame fields that carry credentials (Gate.io sends KEY/SIGN, Bitfinex authSig)
+const CREDENTIAL_KEYS = new Set([
+  'apiKey', 'api_key', 'KEY', 'passphrase', 'sign', 'SIGN', 'signature', 'token', 'authSig',
+]);
+const REDACTED = '[REDACTED]';
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const [key, field] of Object.entries(value)) {
+    out[key] = CREDENTIAL_KEYS.has(key) && field !== null && typeof field !== 'object' ? REDACTED : redact(field);
+  }
+  // Positional login args (Bybit: { op: 'auth', args: [apiKey, expires, signature] })
+  if ((value.op === 'auth' || value.op === 'login') && Array.isArray(value.args)) {
+    out.args = out.args.map((arg) => (typeof arg === 'string' ? REDACTED : arg));
+  }
+  return out;
+}
+
+/**
+ * Text frame with credential fields replaced, so fixtures are safe to commit.
+ * Non-JSON frames are kept as they are.
+ */
+function redactFrame(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  if (!parsed || typeof parsed !== 'object') return text;
+  const redacted = redact(parsed);
+  return canonical(redacted) === canonical(parsed) ? text : JSON.stringify(redacted);
+}
+
+function requestParams(params = {}) {
+  const copy = { ...params };
+  delete copy.retry;
+  return plain(copy);
+}
+
+/**
+ * Stand-in for a `ws` WebSocket that plays back one recorded connection.
+ * Recorded frames arriving before the first client send are emitted after 'open';
+ * each client send releases the frames recorded up to the next send.
+ */
+class ReplaySocket extends EventEmitter {
+  constructor(url, frames = []) {
+    super();
+    this.url = url;
+    this.readyState = WebSocket.CONNECTING;
+    this._frames = frames;
+    this._cursor = 0;
+    setImmediate(() => {
+      if (this.readyState !== WebSocket.CONNECTING) return;
+      this.readyState = WebSocket.OPEN;
+      this.emit('open');
+      this._flush();
+    });
+  }
+
+  _flush() {
+    while (this._cursor < this._frames.length && this._frames[this._cursor].type === 'recv') {
+      const frame = this._frames[this._cursor++];
+      // Each frame gets its own macrotask so handlers attached after `await connect()` see it
+      setImmediate(() => {
+        if (this.readyState !== WebSocket.OPEN) return;
+        const raw = Buffer.from(frame.data, frame.binary ? 'base64' : 'utf8');
+        this.emit('message', raw, !!frame.binary);
+      });
+    }
+  }
+
+  send(data) {
+    if (this._cursor < this._frames.length && this._frames[this._cursor].type === 'send') {
+      this._cursor++;
+    }
+    this._flush();
+  }
+
+  ping() {
+    setImmediate(() => this.emit('pong'));
+  }
+
+  close(code = 1000) {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    setImmediate(() => this.emit('close', code));
+  }
+
+  terminate() {
+    this.close(1006);
+  }
+}
+
+/**
+ * Records every _request() call and WebSocket frame of an exchange to a fixture, or
+ * serves a fixture back so full flows run without the network.
+ *
+ *   record: new Recorder({ mode: 'record', path })   → call save() when done
+ *   replay: new Recorder({ mode: 'replay', path })   or { mode: 'replay', fixtures }
+ *
+ * REST responses are matched on method + path + params; when params differ (generated
+ * client order ids, timestamps) the next unused response for the same method + path is
+ * used. WebSocket connections are replayed in the order they were opened per URL
+ * (query string ignored). Credential fields in WebSocket frames (apiKey, passphrase,
+ * sign, signature, token, ...) are redacted as they are recorded.
+ */
+class Recorder {
+  constructor({ mode = 'record', path = undefined, fixtures = undefined } = {}) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new ExchangeError('Recorder mode must be "record" or "replay", got ' + mode);
+    }
+    this.mode = mode;
+    this.path = path;
+    if (mode === 'replay' && !fixtures) {
+      if (!path) throw new ExchangeError('Recorder replay needs a fixture path or fixtures object');
+      fixtures = JSON.parse(fs.readFileSync(path, 'utf8'));
+    }
+    this.requests = (fixtures && fixtures.requests) || [];
+    this.connections = (fixtures && fixtures.ws) || [];
+    this._usedRequests = new Set();
+    this._usedConnections = new Set();
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Record the outcome of send() or, in replay mode, return the recorded one.
+   */
+  async request({ method, path, params = {}, signed = false }, send) {
+    if (this.replaying) return this._replayRequest(method, path, requestParams(params));
+
+    const entry = { method, path, params: requestParams(params), signed };
+    try {
+      entry.response = plain(await send());
+      return entry.response;
+    } catch (err) {
+      entry.error = { name: err.name, message: err.message };
+      throw err;
+    } finally {
+      this.requests.push(entry);
+    }
+  }
+
+  _replayRequest(method, path, params) {
+    const key = canonical(params);
+    let index = this.requests.findIndex((entry, i) => !this._usedRequests.has(i)
+      && entry.method === method && entry.path === path && canonical(entry.params || {}) === key);
+    if (index === -1) {
+      index = this.requests.findIndex((entry, i) => !this._usedRequests.has(i)
+        && entry.method === method && entry.path === path);
+    }
+    if (index === -1) {
+      throw new ExchangeError('No recorded response for ' + method + ' ' + path + ' ' + key);
+    }
+    this._usedRequests.add(index);
+    const entry = this.requests[index];
+    if (entry.error) {
+      const ErrorClass = errors[entry.error.name] || ExchangeError;
+      const err = new ErrorClass(entry.error.message);
+      if (!errors[entry.error.name]) err.name = entry.error.name;
+      throw err;
+    }
+    return plain(entry.response);
+  }
+
+  /**
+   * Socket factory for WsClient: a recording `ws` WebSocket, or a ReplaySocket.
+   */
+  createSocket(url, options = undefined) {
+    if (this.replaying) {
+      const index = this.connections.findIndex((conn, i) => !this._usedConnections.has(i)
+        && stripQuery(conn.url) === stripQuery(url));
+      if (index === -1) throw new ExchangeError('No recorded WebSocket connection for ' + url);
+      this._usedConnections.add(index);
+      return new ReplaySocket(url, this.connections[index].frames);
+    }
+
+    const connection = { url, frames: [] };
+    this.connections.push(connection);
+    const socket = new WebSocket(url, options);
+    // Intercept at emit/send so frames are captured even when an exchange swaps the
+    // socket's message listeners (e.g., zlib-compressed streams)
+    const emit = socket.emit.bind(socket);
+    socket.emit = (event, ...args) => {
+      if (event === 'message') {
+        const [raw, isBinary] = args;
+        connection.frames.push(isBinary
+          ? { type: 'recv', data: Buffer.from(raw).toString('base64'), binary: true }
+          : { type: 'recv', data: redactFrame(raw.toString()) });
+      }
+      return emit(event, ...args);
+    };
+    const send = socket.send.bind(socket);
+    socket.send = (data, ...rest) => {
+      connection.frames.push({ type: 'send', data: redactFrame(data.toString()) });
+      return send(data, ...rest);
+    };
+    return socket;
+  }
+
+  toJSON() {
+    return { version: 1, requests: this.requests, ws: this.connections };
+  }
+
+  /**
+   * Write the recording as a JSON fixture.
+   */
+  save(path = this.path) {
+    if (!path) throw new ExchangeError('Recorder save() needs a path');
+    fs.writeFileSync(path, JSON.stringify(this.toJSON(), null, 2) + '\n');
+    return path;
+  }
+}
+
+Recorder.ReplaySocket = ReplaySocket;
+
+module.exports = Recorder;
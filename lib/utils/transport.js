@@ -0,0 +1,115 @@
+'use strict';
+
+const { ExchangeError } = require('./errors');
+
+function optionalRequire(name, feature) {
+  try {
+    return require(name);
+  } catch {
+    throw new ExchangeError(feature + ' requires the optional "' + name + '" package (npm install ' + name + ')');
+  }
+}
+
+function isSocksProxy(proxy) {
+  return /^socks[45]?[ah]?:/i.test(proxy);
+}
+
+function isSocks5Proxy(proxy) {
+  return /^socks5?h?:/i.test(proxy);
+}
+
+/**
+ * HTTP/WebSocket transport shared by every request an exchange makes.
+ *
+ * Options (all optional, usually passed straight from the exchange config):
+ *   - fetch  → fetch-compatible function used instead of the global fetch
+ *   - agent  → http(s).Agent for WebSocket connections and agent-aware fetch
+ *              implementations (node-fetch); an undici Dispatcher is passed to the
+ *              built-in fetch as `dispatcher`. The built-in fetch cannot use an
+ *              http(s).Agent, so REST calls reject one unless `fetch` is also set.
+ *   - proxy  → proxy URL ('http://host:port', 'socks5://host:port'). REST uses undici's
+ *              ProxyAgent or Socks5ProxyAgent (undici >= 7.23); WebSocket uses
+ *              https-proxy-agent or socks-proxy-agent. These optional peer packages
+ *              are loaded on first use.
+ */
+class Transport {
+  constructor({ fetch = undefined, agent = undefined, proxy = undefined } = {}) {
+    this.fetchImplementation = fetch;
+    this.agent = agent;
+    this.proxy = proxy;
+    this._proxyAgent = undefined;
+    this._proxyDispatcher = undefined;
+  }
+
+  /**
+   * Agent for agent-aware clients (ws, node-fetch): the configured agent, else one built
+   * from the proxy URL.
+   */
+  get httpAgent() {
+    if (this.agent && typeof this.agent.dispatch !== 'function') return this.agent;
+    if (!this.proxy) return undefined;
+    if (!this._proxyAgent) {
+      if (isSocksProxy(this.proxy)) {
+        const { SocksProxyAgent } = optionalRequire('socks-proxy-agent', 'SOCKS proxy');
+        this._proxyAgent = new SocksProxyAgent(this.proxy);
+      } else {
+        const { HttpsProxyAgent } = optionalRequire('https-proxy-agent', 'HTTP proxy agent');
+        this._proxyAgent = new HttpsProxyAgent(this.proxy);
+      }
+    }
+    return this._proxyAgent;
+  }
+
+  /**
+   * Dispatcher for the built-in (undici) fetch.
+   */
+  get dispatcher() {
+    if (this.agent && typeof this.agent.dispatch === 'function') return this.agent;
+    if (!this.proxy) return undefined;
+    if (!this._proxyDispatcher) {
+      if (isSocksProxy(this.proxy)) {
+        this._proxyDispatcher = this._socksDispatcher();
+      } else {
+        const { ProxyAgent } = optionalRequire('undici', 'HTTP proxy');
+        this._proxyDispatcher = new ProxyAgent(this.proxy);
+      }
+    }
+    return this._proxyDispatcher;
+  }
+
+  /**
+   * undici Socks5ProxyAgent for the configured SOCKS proxy. socks5h:// maps to socks5://
+   * (undici always lets the proxy resolve hostnames); SOCKS4 has no undici dispatcher.
+   */
+  _socksDispatcher() {
+    if (!isSocks5Proxy(this.proxy)) {
+      throw new ExchangeError('SOCKS4 proxies for REST need config.fetch with agent support (e.g. node-fetch)');
+    }
+    const { Socks5ProxyAgent } = optionalRequire('undici', 'SOCKS proxy');
+    if (typeof Socks5ProxyAgent !== 'function') {
+      throw new ExchangeError('SOCKS proxy requires undici >= 7.23.0 (npm install undici@latest)');
+    }
+    return new Socks5ProxyAgent(this.proxy.replace(/^socks5?h?:/i, 'socks5:'));
+  }
+
+  /**
+   * Send an HTTP request through the configured fetch, agent and proxy.
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, options = {}) {
+    if (this.fetchImplementation) {
+      const agent = this.httpAgent;
+      return this.fetchImplementation(url, agent ? { ...options, agent } : options);
+    }
+    if (this.agent && typeof this.agent.dispatch !== 'function') {
+      throw new ExchangeError(
+        'config.agent is an http(s).Agent, which the built-in fetch ignores — pass an undici '
+        + 'Dispatcher, use config.proxy, or set config.fetch to an agent-aware fetch (e.g. node-fetch)'
+      );
+    }
+    const dispatcher = this.dispatcher;
+    return fetch(url, dispatcher ? { ...options, dispatcher } : options);
+  }
+}
+
+module.exports = Transport;
@@ -15,6 +15,8 @@ class WsClient extends EventEmitter {
     this.pongTimeout = options.pongTimeout || 10000;
     this.maxReconnectDelay = options.maxReconnectDelay || 60000;
     this.maxReconnectAttempts = options.maxReconnectAttempts || Infinity;
+    this.agent = options.agent; // http(s).Agent, e.g. a proxy agent
+    this.createSocket = options.createSocket; // (url, wsOptions) → WebSocket-like, e.g. a replay socket
 
     this._ws = null;
     this._connected = false;
@@ -32,7 +34,10 @@ class WsClient extends EventEmitter {
     if (url) this.url = url;
     this._intentionalClose = false;
     return new Promise((resolve, reject) => {
-      this._ws = new WebSocket(this.url);
+      const wsOptions = this.agent ? { agent: this.agent } : undefined;
+      this._ws = this.createSocket
+        ? this.createSocket(this.url, wsOptions)
+        : new WebSocket(this.url, wsOptions);
 
       this._ws.on('open', () => {
         this._connected = true;
@@ -5,13 +5,12 @@ const { hmacSHA512Hex } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
   InsufficientFunds, InvalidOrder, OrderNotFound,
   BadSymbol, BadRequest, ExchangeNotAvailable,
-  NetworkError, RequestTimeout,
 } = require('./utils/errors');
 
 class Valr extends BaseExchange {
@@ -91,7 +90,8 @@ class Valr extends BaseExchange {
     const signingString = timestamp + method + path + body;
     const signature = hmacSHA512Hex(signingString, this.secret);
     return {
-      params,
+      // DELETE (cancelOrder) carries its params as a JSON body, not a query string
+      ...(method === 'DELETE' ? { params: {}, body: params } : { params }),
       headers: {
         'X-VALR-API-KEY': this.apiKey,
         'X-VALR-SIGNATURE': signature,
@@ -104,70 +104,6 @@ class Valr extends BaseExchange {
     return this.urls.api;
   }
 
-  // ---------------------------------------------------------------------------
-  // Request Override — DELETE with JSON body + HTTP 202 acceptance
-  // ---------------------------------------------------------------------------
-
-  /**
-   * BaseExchange._request() treats DELETE like GET (params to query string).
-   * VALR DELETE needs a JSON body — we handle it entirely here.
-   * VALR also returns HTTP 202 for accepted order operations (create/cancel).
-   */
-  async _request(method, path, params = {}, signed = false, weight = 1) {
-    if (method === 'DELETE' && signed) {
-      // Rate limiting
-      if (this.enableRateLimit && this._throttler) {
-        await this._throttler.consume(weight);
-      }
-
-      const signResult = this._sign(path, 'DELETE', { ...params });
-      const url = this.urls.api + path;
-      const headers = { ...signResult.headers, 'Content-Type': 'application/json' };
-
-      const fetchOptions = {
-        method: 'DELETE',
-        headers,
-        signal: AbortSignal.timeout(this.timeout),
-      };
-
-      if (Object.keys(params).length > 0) {
-        fetchOptions.body = JSON.stringify(params);
-      }
-
-      if (this.verbose) console.log('DELETE', url);
-
-      let response;
-      try {
-        response = await fetch(url, fetchOptions);
-      } catch (err) {
-        if (err.name === 'TimeoutError' || err.name === 'AbortError') {
-          throw new RequestTimeout(this.id + ' request timed out (' + this.timeout + 'ms)');
-        }
-        throw new NetworkError(this.id + ' ' + err.message);
-      }
-
-      this._handleResponseHeaders(response.headers);
-
-      if (response.status === 429 || response.status === 418) {
-        const retryAfter = response.headers.get('Retry-After') || '60';
-        throw new RateLimitExceeded(
-          this.id + ' rate limited. Retry after ' + retryAfter + 's'
-        );
-      }
-
-      const text = await response.text();
-      // VALR returns 202 for accepted orders and 200 for success — both are OK
-      if (!response.ok && response.status !== 202) {
-        this._handleHttpError(response.status, text);
-      }
-
-      try { return JSON.parse(text); } catch { return text; }
-    }
-
-    // Non-DELETE: use standard BaseExchange flow, but handle 202 as success
-    return super._request(method, path, params, signed, weight);
-  }
-
   // ---------------------------------------------------------------------------
   // Symbol Conversion — BTCZAR <-> BTC/ZAR (concatenated, no separator)
   // ---------------------------------------------------------------------------
@@ -298,6 +234,8 @@ class Valr extends BaseExchange {
       cost: filledAmount * price,
       average: filledAmount > 0 ? (filledAmount * price) / filledAmount : 0,
       status: status ? status.toLowerCase() : 'open',
+      timeInForce: safeValue(data, 'postOnly') === true ? 'PO' : safeStringUpper(data, 'timeInForce'),
+      postOnly: safeValue(data, 'postOnly') === true,
       timestamp: ts,
       datetime: iso8601(ts),
       info: data,
@@ -396,10 +334,14 @@ class Valr extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const upperType = type.toUpperCase();
     const upperSide = side.toUpperCase();
     const valrSymbol = this._toValrSymbol(symbol);
+    const execution = this._orderExecutionParams(type, params);
+    const client = this._clientOrderIdParams(execution.params);
 
     let path;
     let request;
@@ -412,33 +354,40 @@ class Valr extends BaseExchange {
       request = {
         pair: valrSymbol,
         side: upperSide,
-        quantity: String(amount),
-        price: String(price),
-        ...params,
+        quantity: numberToString(amount),
+        price: numberToString(price),
+        ...client.params,
       };
+      // timeInForce GTC/IOC/FOK; post-only is the postOnly flag on a GTC order
+      if (execution.postOnly) {
+        request.postOnly = true;
+      } else if (execution.timeInForce) {
+        request.timeInForce = execution.timeInForce;
+      }
     } else if (upperType === 'MARKET') {
       path = '/v1/orders/market';
       request = {
         pair: valrSymbol,
         side: upperSide,
-        ...params,
+        ...client.params,
       };
       // VALR market orders: BUY uses quoteAmount, SELL uses baseAmount
       if (upperSide === 'BUY') {
-        request.quoteAmount = String(amount);
+        request.quoteAmount = numberToString(amount);
       } else {
-        request.baseAmount = String(amount);
+        request.baseAmount = numberToString(amount);
       }
     } else {
       throw new InvalidOrder(this.id + ' createOrder unsupported order type: ' + type);
     }
+    if (client.clientOrderId !== undefined) request.customerOrderId = client.clientOrderId;
 
     const data = await this._request('POST', path, request, true, 1);
     const result = this._unwrapResponse(data);
 
     return {
       id: safeString(result, 'id') || safeString(data, 'id'),
-      clientOrderId: safeString(result, 'customerOrderId'),
+      clientOrderId: safeString(result, 'customerOrderId') || request.customerOrderId,
       symbol,
       type: upperType,
       side: upperSide,
@@ -447,6 +396,8 @@ class Valr extends BaseExchange {
       filled: 0,
       remaining: parseFloat(amount),
       status: 'open',
+      timeInForce: upperType === 'LIMIT' ? (execution.timeInForce || 'GTC') : 'IOC',
+      postOnly: execution.postOnly,
       timestamp: Date.now(),
       datetime: iso8601(Date.now()),
       info: result,
@@ -456,9 +407,11 @@ class Valr extends BaseExchange {
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
 
+    // DELETE /v1/orders/order takes orderId or customerOrderId
+    const ref = this._orderReference('cancelOrder', id, params);
     const request = {
-      orderId: id,
-      ...params,
+      ...(ref.id !== undefined ? { orderId: ref.id } : { customerOrderId: ref.clientOrderId }),
+      ...ref.params,
     };
 
     // VALR cancel: if symbol is provided, include pair in request
@@ -470,7 +423,8 @@ class Valr extends BaseExchange {
     this._unwrapResponse(data);
 
     return {
-      id,
+      id: ref.id,
+      clientOrderId: ref.clientOrderId,
       symbol,
       status: 'canceled',
       info: data,
@@ -509,7 +463,7 @@ class Valr extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 0 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 0 }));
 
     // VALR: no client-initiated ping needed (server handles keepalive)
     client._startPing = function () {
@@ -581,7 +535,10 @@ class Valr extends BaseExchange {
     const valrSymbol = this._toValrSymbol(symbol);
     return this._subscribeValr('AGGREGATED_ORDERBOOK_UPDATE', valrSymbol, (msg) => {
       if (msg.data) {
-        callback(this._parseWsOrderBook(msg.data, symbol));
+        this._handleOrderBookMessage(symbol, {
+          snapshot: true,
+          ...this._parseWsOrderBook(msg.data, symbol),
+        }, callback);
       }
     });
   }
@@ -619,6 +576,7 @@ class Valr extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -6,7 +6,7 @@ const { hmacSHA512Hex } = require('./utils/crypto');
 const WsClient = require('./utils/ws');
 const {
   safeFloat, safeString, safeInteger, safeValue,
-  safeStringUpper, iso8601,
+  safeStringUpper, iso8601, numberToString,
 } = require('./utils/helpers');
 const {
   ExchangeError, AuthenticationError, RateLimitExceeded,
@@ -275,6 +275,9 @@ class WhiteBit extends BaseExchange {
       cost: dealMoney,
       average: dealStock > 0 ? dealMoney / dealStock : 0,
       status: 'open',
+      timeInForce: safeValue(data, 'postOnly') === true ? 'PO'
+        : safeValue(data, 'ioc') === true || type === 'MARKET' ? 'IOC' : 'GTC',
+      postOnly: safeValue(data, 'postOnly') === true,
       timestamp,
       datetime: iso8601(timestamp),
       info: data,
@@ -392,17 +395,22 @@ class WhiteBit extends BaseExchange {
 
   async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
     this.checkRequiredCredentials();
+    [amount, price] = this._applyPrecision(symbol, amount, price);
+    this._validateOrder(symbol, type, amount, price);
 
     const wbSymbol = this._toWhiteBitSymbol(symbol);
     const isMarket = type && type.toUpperCase() === 'MARKET';
+    const execution = this._orderExecutionParams(type, params, { timeInForce: ['GTC', 'IOC', 'PO'] });
+    const client = this._clientOrderIdParams(execution.params);
 
     let path;
     const request = {
       market: wbSymbol,
       side: side.toLowerCase(),
-      amount: String(amount),
-      ...params,
+      amount: numberToString(amount),
+      ...client.params,
     };
+    if (client.clientOrderId !== undefined) request.clientOrderId = client.clientOrderId;
 
     if (isMarket) {
       path = '/api/v4/order/market';
@@ -411,7 +419,10 @@ class WhiteBit extends BaseExchange {
       if (price === undefined || price === null) {
         throw new InvalidOrder(this.id + ' createOrder requires price for limit orders');
       }
-      request.price = String(price);
+      request.price = numberToString(price);
+      // Limit orders take postOnly and ioc booleans
+      if (execution.postOnly) request.postOnly = true;
+      if (execution.timeInForce === 'IOC') request.ioc = true;
     }
 
     const data = await this._request('POST', path, request, true, 1);
@@ -420,6 +431,9 @@ class WhiteBit extends BaseExchange {
 
   async cancelOrder(id, symbol = undefined, params = {}) {
     this.checkRequiredCredentials();
+    const ref = this._orderReference('cancelOrder', id, params, false);
+    id = ref.id;
+    params = ref.params;
 
     const request = {
       orderId: parseInt(id),
@@ -471,7 +485,7 @@ class WhiteBit extends BaseExchange {
       return this._wsClients.get(wsUrl);
     }
 
-    const client = new WsClient({ url: wsUrl, pingInterval: 50000 });
+    const client = new WsClient(this._wsClientOptions({ url: wsUrl, pingInterval: 50000 }));
 
     // WhiteBit: client sends {"method":"server.ping","id":0,"params":[]} every 50s
     client._startPing = function () {
@@ -559,7 +573,12 @@ class WhiteBit extends BaseExchange {
     const wbSymbol = this._toWhiteBitSymbol(symbol);
     const depth = limit || 50;
     return this._subscribeWhiteBit('depth', wbSymbol, (msg) => {
-      callback(this._parseWsOrderBook(msg, symbol));
+      // params[0]: true = full snapshot, false = changed levels (amount "0" removes)
+      const orderBook = this._parseWsOrderBook(msg, symbol);
+      this._handleOrderBookMessage(symbol, {
+        ...orderBook,
+        snapshot: orderBook.isSnapshot,
+      }, callback, { depth });
     }, [wbSymbol, depth, '0', true]);
   }
 
@@ -604,6 +623,7 @@ class WhiteBit extends BaseExchange {
     }
     this._wsClients.clear();
     this._wsHandlers.clear();
+    this._orderBooks.clear();
   }
 }
 
@@ -200,7 +200,7 @@ describe('Binance Parsers', () => {
       };
 
       const ticker = ex._parseTicker(raw);
-      assert.strictEqual(ticker.symbol, 'BTCUSDT');
+      assert.strictEqual(ticker.symbol, 'BTC/USDT');
       assert.strictEqual(ticker.last, 97500);
       assert.strictEqual(ticker.high, 98200);
       assert.strictEqual(ticker.low, 96800);
@@ -224,7 +224,7 @@ describe('Binance Parsers', () => {
       };
 
       const ticker = ex._parseWsTicker(ws);
-      assert.strictEqual(ticker.symbol, 'ETHUSDT');
+      assert.strictEqual(ticker.symbol, 'ETH/USDT');
       assert.strictEqual(ticker.last, 3500);
       assert.strictEqual(ticker.bid, 3499.9);
       assert.strictEqual(ticker.ask, 3500.1);
@@ -255,7 +255,7 @@ describe('Binance Parsers', () => {
       const order = ex._parseOrder(raw);
       assert.strictEqual(order.id, '12345678');
       assert.strictEqual(order.clientOrderId, 'myOrder1');
-      assert.strictEqual(order.symbol, 'BTCUSDT');
+      assert.strictEqual(order.symbol, 'BTC/USDT');
       assert.strictEqual(order.type, 'LIMIT');
       assert.strictEqual(order.side, 'BUY');
       assert.strictEqual(order.price, 95000);
@@ -305,7 +305,7 @@ describe('Binance Parsers', () => {
       const order = ex._parseWsOrder(data);
       assert.strictEqual(order.event, 'order');
       assert.strictEqual(order.id, '12345');
-      assert.strictEqual(order.symbol, 'BTCUSDT');
+      assert.strictEqual(order.symbol, 'BTC/USDT');
       assert.strictEqual(order.status, 'FILLED');
       assert.strictEqual(order.executionType, 'TRADE');
       assert.strictEqual(order.filled, 0.01);
@@ -516,12 +516,12 @@ describe('Binance API Methods (mocked)', () => {
 
       const markets = await ex.loadMarkets();
 
-      assert.ok(markets.BTCUSDT);
-      assert.ok(markets.ETHUSDT);
+      assert.ok(markets['BTC/USDT']);
+      assert.ok(markets['ETH/USDT']);
       assert.strictEqual(ex.symbols.length, 2);
       assert.ok(ex._marketsLoaded);
 
-      const btc = markets.BTCUSDT;
+      const btc = markets['BTC/USDT'];
       assert.strictEqual(btc.base, 'BTC');
       assert.strictEqual(btc.quote, 'USDT');
       assert.strictEqual(btc.active, true);
@@ -571,7 +571,7 @@ describe('Binance API Methods (mocked)', () => {
       };
 
       const book = await ex.fetchOrderBook('BTCUSDT', 5);
-      assert.strictEqual(book.symbol, 'BTCUSDT');
+      assert.strictEqual(book.symbol, 'BTC/USDT');
       assert.strictEqual(book.nonce, 123456789);
       assert.strictEqual(book.bids[0][0], 97500);
       assert.strictEqual(book.bids[0][1], 1.5);
@@ -697,7 +697,7 @@ describe('Binance API Methods (mocked)', () => {
       });
 
       const ticker = await ex.fetchTicker('BTCUSDT');
-      assert.strictEqual(ticker.symbol, 'BTCUSDT');
+      assert.strictEqual(ticker.symbol, 'BTC/USDT');
       assert.strictEqual(ticker.last, 97500);
       assert.strictEqual(ticker.bid, 97499);
       assert.strictEqual(ticker.ask, 97501);
@@ -1020,5 +1020,1654 @@ describe('Binance market() lookup', () => {
     const m = ex.market('BTCUSDT');
     assert.strictEqual(m.base, 'BTC');
     assert.strictEqual(m.quote, 'USDT');
+    assert.strictEqual(ex.market('BTC/USDT'), m);
+    assert.strictEqual(m.symbol, 'BTC/USDT');
+  });
+
+  it('converts between unified and Binance symbols', async () => {
+    const ex = new Binance();
+    assert.strictEqual(ex._toBinanceSymbol('BTC/USDT'), 'BTCUSDT');
+    assert.strictEqual(ex._toBinanceSymbol('btcusdt'), 'BTCUSDT');
+    assert.strictEqual(ex._fromBinanceSymbol('ETHBTC'), 'ETH/BTC');
+    assert.strictEqual(ex._fromBinanceSymbol('BTC/USDT'), 'BTC/USDT');
+  });
+
+  it('sends exchange IDs and returns unified symbols for unified input', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let captured;
+    ex._request = async (method, path, params) => {
+      captured = params;
+      return {
+        orderId: 1, symbol: 'BTCUSDT', type: 'LIMIT', side: 'BUY', price: '95000',
+        origQty: '0.001', executedQty: '0', cummulativeQuoteQty: '0', status: 'NEW',
+      };
+    };
+    const order = await ex.createOrder('BTC/USDT', 'LIMIT', 'BUY', 0.001, 95000);
+    assert.strictEqual(captured.symbol, 'BTCUSDT');
+    assert.strictEqual(order.symbol, 'BTC/USDT');
+  });
+});
+
+// =====================================================================
+// 14. OrderBook (Local Order Book)
+// =====================================================================
+
+describe('OrderBook', () => {
+  const OrderBook = require('../lib/utils/orderbook');
+
+  it('is exported from the package', () => {
+    assert.strictEqual(require('../').OrderBook, OrderBook);
+  });
+
+  it('reset sorts bids descending and asks ascending', () => {
+    const book = new OrderBook({ symbol: 'BTC/USDT' }).reset({
+      bids: [[99, 1], [101, 2], [100, 3]],
+      asks: [[103, 1], [102, 2]],
+      nonce: 10,
+    });
+    const ob = book.toObject();
+    assert.deepStrictEqual(ob.bids, [[101, 2], [100, 3], [99, 1]]);
+    assert.deepStrictEqual(ob.asks, [[102, 2], [103, 1]]);
+    assert.strictEqual(ob.nonce, 10);
+    assert.strictEqual(ob.symbol, 'BTC/USDT');
+  });
+
+  it('update inserts, replaces and removes levels', () => {
+    const book = new OrderBook().reset({ bids: [[100, 1], [99, 1]], asks: [[101, 1]], nonce: 1 });
+    assert.strictEqual(book.update({ bids: [[99.5, 2], [99, 0]], asks: [[101, 3]], nonce: 2 }), 'applied');
+    assert.deepStrictEqual(book.toObject().bids, [[100, 1], [99.5, 2]]);
+    assert.deepStrictEqual(book.toObject().asks, [[101, 3]]);
+    assert.strictEqual(book.nonce, 2);
+  });
+
+  it('caps stored levels at depth and emitted levels at limit', () => {
+    const book = new OrderBook({ depth: 3 }).reset({ bids: [[1, 1], [2, 1], [3, 1], [4, 1]], asks: [] });
+    assert.deepStrictEqual(book.toObject().bids, [[4, 1], [3, 1], [2, 1]]);
+    assert.deepStrictEqual(book.toObject(1).bids, [[4, 1]]);
+  });
+
+  it('ignores stale deltas and reports firstNonce gaps', () => {
+    const book = new OrderBook().reset({ bids: [[100, 1]], asks: [], nonce: 100 });
+    assert.strictEqual(book.update({ bids: [[100, 5]], firstNonce: 90, nonce: 100 }), 'stale');
+    assert.strictEqual(book.update({ bids: [[100, 2]], firstNonce: 95, nonce: 105 }), 'applied');
+    assert.strictEqual(book.update({ bids: [[100, 3]], firstNonce: 107, nonce: 110 }), 'gap');
+    assert.deepStrictEqual(book.toObject().bids, [[100, 2]]);
+  });
+
+  it('validates prevNonce chains', () => {
+    const book = new OrderBook().reset({ bids: [], asks: [[10, 1]], nonce: 5 });
+    assert.strictEqual(book.update({ asks: [[10, 2]], prevNonce: 5, nonce: 6 }), 'applied');
+    assert.strictEqual(book.update({ asks: [[10, 3]], prevNonce: 7, nonce: 8 }), 'gap');
+    assert.strictEqual(book.update({ asks: [[10, 3]], prevNonce: 4, nonce: 5 }), 'stale');
+  });
+
+  it('coerces string nonces', () => {
+    const book = new OrderBook().reset({ bids: [], asks: [], nonce: '100' });
+    assert.strictEqual(book.nonce, 100);
+    assert.strictEqual(book.update({ bids: [[1, 1]], firstNonce: '101', nonce: '102' }), 'applied');
+    assert.strictEqual(book.nonce, 102);
+  });
+});
+
+// =====================================================================
+// 15. Binance watchOrderBook (local book + resync)
+// =====================================================================
+
+describe('Binance watchOrderBook', () => {
+  const { Binance } = require('../');
+
+  function setup() {
+    const ex = new Binance();
+    const streams = {};
+    ex._subscribeStream = async (stream, cb) => { streams[stream] = cb; return stream; };
+    return { ex, streams };
+  }
+
+  it('uses the partial depth stream for 5/10/20 levels', async () => {
+    const { ex, streams } = setup();
+    const books = [];
+    await ex.watchOrderBook('BTC/USDT', (b) => books.push(b), 5);
+    streams['btcusdt@depth5@100ms']({ lastUpdateId: 7, bids: [['100', '1']], asks: [['101', '2']] });
+    assert.strictEqual(books.length, 1);
+    assert.deepStrictEqual(books[0].bids, [[100, 1]]);
+    assert.strictEqual(books[0].symbol, 'BTC/USDT');
+    assert.strictEqual(books[0].nonce, 7);
+  });
+
+  it('buffers diff events, seeds from fetchOrderBook and replays newer ones', async () => {
+    const { ex, streams } = setup();
+    let fetched = 0;
+    ex.fetchOrderBook = async (symbol, limit) => {
+      fetched++;
+      assert.strictEqual(limit, 1000);
+      return { symbol, bids: [[100, 1]], asks: [[101, 1]], nonce: 10 };
+    };
+    const books = [];
+    await ex.watchOrderBook('BTC/USDT', (b) => books.push(b), 100);
+    const diff = streams['btcusdt@depth@100ms'];
+    diff({ E: 1, U: 5, u: 9, b: [['100', '9']], a: [] });     // older than snapshot
+    diff({ E: 2, U: 10, u: 12, b: [['99', '2']], a: [] });    // straddles snapshot
+    await new Promise((r) => setImmediate(r));
+    assert.strictEqual(fetched, 1);
+    assert.strictEqual(books.length, 1);
+    assert.deepStrictEqual(books[0].bids, [[100, 1], [99, 2]]);
+    assert.strictEqual(books[0].nonce, 12);
+
+    diff({ E: 3, U: 13, u: 13, b: [], a: [['101', '0'], ['102', '1']] });
+    assert.deepStrictEqual(books[1].asks, [[102, 1]]);
+  });
+
+  it('resyncs from REST when U/u ids show a gap', async () => {
+    const { ex, streams } = setup();
+    const snapshots = [
+      { bids: [[100, 1]], asks: [], nonce: 10 },
+      { bids: [[100, 4]], asks: [], nonce: 20 },
+    ];
+    ex.fetchOrderBook = async () => snapshots.shift();
+    const books = [];
+    const resyncs = [];
+    ex.on('orderBookResync', (e) => resyncs.push(e));
+    await ex.watchOrderBook('BTC/USDT', (b) => books.push(b), 100);
+    const diff = streams['btcusdt@depth@100ms'];
+    diff({ E: 1, U: 11, u: 11, b: [['100', '2']], a: [] });
+    await new Promise((r) => setImmediate(r));
+    diff({ E: 2, U: 15, u: 21, b: [['100', '3']], a: [] }); // 12..14 missing
+    await new Promise((r) => setImmediate(r));
+    assert.strictEqual(resyncs.length, 2);
+    assert.strictEqual(books.length, 2);
+    assert.deepStrictEqual(books[1].bids, [[100, 3]]);
+    assert.strictEqual(books[1].nonce, 21);
+  });
+
+  it('closeAllWs drops local books', async () => {
+    const ex = new Binance();
+    ex._getOrderBook('BTC/USDT');
+    await ex.closeAllWs();
+    assert.strictEqual(ex._orderBooks.size, 0);
+  });
+});
+
+// =====================================================================
+// 16. Transport — config.fetch / agent / proxy
+// =====================================================================
+
+describe('Transport', () => {
+  const {
+    Binance, Btse, Cointr, Transport, WsClient, ExchangeError, NetworkError,
+  } = require('../');
+
+  function recordingFetch(body = '{}') {
+    const calls = [];
+    const fn = async (url, options) => {
+      calls.push({ url, options });
+      return new Response(body, { status: 200 });
+    };
+    fn.calls = calls;
+    return fn;
+  }
+
+  it('routes _request through config.fetch', async () => {
+    const fetch = recordingFetch('{"serverTime":1}');
+    const ex = new Binance({ fetch });
+    const result = await ex._request('GET', '/api/v3/time', { a: 1 });
+    assert.deepStrictEqual(result, { serverTime: 1 });
+    assert.strictEqual(fetch.calls.length, 1);
+    assert.ok(fetch.calls[0].url.endsWith('/api/v3/time?a=1'));
+    assert.strictEqual(fetch.calls[0].options.method, 'GET');
+    assert.ok(fetch.calls[0].options.signal);
+  });
+
+  it('passes config.agent to a custom fetch', async () => {
+    const fetch = recordingFetch();
+    const agent = { name: 'agent' };
+    const ex = new Binance({ fetch, agent, retry: false });
+    await ex._request('GET', '/api/v3/time');
+    assert.strictEqual(fetch.calls[0].options.agent, agent);
+  });
+
+  it('passes an undici Dispatcher to the built-in fetch', async () => {
+    const dispatcher = { dispatch() {} };
+    const ex = new Binance({ agent: dispatcher, retry: false });
+    const originalFetch = globalThis.fetch;
+    let seen;
+    globalThis.fetch = async (url, options) => {
+      seen = options;
+      return new Response('{}', { status: 200 });
+    };
+    try {
+      await ex._request('GET', '/api/v3/time');
+      assert.strictEqual(seen.dispatcher, dispatcher);
+      assert.strictEqual(seen.agent, undefined);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('rejects an http(s).Agent with the built-in fetch', async () => {
+    const http = require('http');
+    const ex = new Binance({ agent: new http.Agent(), retry: false });
+    const originalFetch = globalThis.fetch;
+    let called = false;
+    globalThis.fetch = async () => {
+      called = true;
+      return new Response('{}', { status: 200 });
+    };
+    try {
+      await assert.rejects(() => ex._request('GET', '/api/v3/time'), (err) => {
+        assert.ok(err instanceof ExchangeError);
+        assert.ok(!(err instanceof NetworkError));
+        assert.match(err.message, /built-in fetch ignores/);
+        return true;
+      });
+      assert.strictEqual(called, false);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('SOCKS4 proxies for REST ask for an agent-aware fetch', () => {
+    const transport = new Transport({ proxy: 'socks4://127.0.0.1:1080' });
+    assert.throws(() => transport.dispatcher, /SOCKS4 proxies for REST need config.fetch/);
+  });
+
+  it('maps custom fetch failures to NetworkError', async () => {
+    const ex = new Binance({ retry: false, fetch: async () => { throw new TypeError('socket hang up'); } });
+    await assert.rejects(() => ex._request('GET', '/api/v3/time'), NetworkError);
+  });
+
+  it('BTSE signed DELETE sends a JSON body through the shared transport', async () => {
+    const fetch = recordingFetch('{"status":6}');
+    const ex = new Btse({ apiKey: 'k', secret: 's', fetch });
+    await ex._request('DELETE', '/api/v3.2/order', { symbol: 'BTC-USD', orderID: '1' }, true);
+    const { url, options } = fetch.calls[0];
+    assert.ok(url.endsWith('/api/v3.2/order'));
+    assert.strictEqual(options.method, 'DELETE');
+    assert.strictEqual(options.headers['Content-Type'], 'application/json');
+    assert.deepStrictEqual(JSON.parse(options.body), { symbol: 'BTC-USD', orderID: '1' });
+    assert.ok(options.headers['request-sign']);
+  });
+
+  it('CoinTR signed POST keeps the timestamp in the URL and params in the body', async () => {
+    const fetch = recordingFetch('{"code":"0","data":{}}');
+    const ex = new Cointr({ apiKey: 'k', secret: 's', fetch });
+    await ex._request('POST', '/v1/spot/trade/order', { instId: 'BTCUSDT' }, true);
+    const { url, options } = fetch.calls[0];
+    assert.match(url, /\/v1\/spot\/trade\/order\?timestamp=\d+$/);
+    assert.deepStrictEqual(JSON.parse(options.body), { instId: 'BTCUSDT' });
+  });
+
+  it('hands the agent to every WsClient the exchange creates', () => {
+    const agent = { name: 'agent' };
+    const ex = new Binance({ agent });
+    assert.deepStrictEqual(ex._wsClientOptions({ url: 'wss://x' }), { url: 'wss://x', agent });
+    assert.deepStrictEqual(new Binance()._wsClientOptions({ url: 'wss://x' }), { url: 'wss://x' });
+    assert.strictEqual(new WsClient({ url: 'wss://x', agent }).agent, agent);
+  });
+
+  it('uses the global fetch when nothing is configured', () => {
+    const transport = new Transport();
+    assert.strictEqual(transport.httpAgent, undefined);
+    assert.strictEqual(transport.dispatcher, undefined);
+  });
+});
+
+// =====================================================================
+// 17. Precision — amount/price/cost formatting from market metadata
+// =====================================================================
+
+describe('Precision', () => {
+  const { Binance, PaperExchange, ExchangeError } = require('../');
+  const { decimalToPrecision, precisionFromStep, numberToString } = require('../lib/utils/helpers');
+
+  function exchange(config = {}) {
+    const ex = new Binance({ apiKey: 'k', secret: 's', ...config });
+    const btc = {
+      id: 'BTCUSDT', symbol: 'BTC/USDT', base: 'BTC', quote: 'USDT',
+      precision: { base: 8, quote: 8, price: 8, amount: 8 }, stepSize: 0.00001, tickSize: 0.01,
+    };
+    const xrp = { id: 'XRPUSDT', symbol: 'XRP/USDT', base: 'XRP', quote: 'USDT', precision: { price: 4, amount: 1, quote: 6 } };
+    const pepe = { id: 'PEPEBTC', symbol: 'PEPE/BTC', base: 'PEPE', quote: 'BTC', stepSize: 1e-8, tickSize: 1e-8 };
+    ex.markets = { 'BTC/USDT': btc, 'XRP/USDT': xrp, 'PEPE/BTC': pepe };
+    ex.marketsById = { BTCUSDT: btc, XRPUSDT: xrp, PEPEBTC: pepe };
+    ex._marketsLoaded = true;
+    return ex;
+  }
+
+  it('decimalToPrecision truncates or rounds to the step', () => {
+    assert.strictEqual(decimalToPrecision(1.23456, 0.001), '1.234');
+    assert.strictEqual(decimalToPrecision(1.2345, 0.001, 'round'), '1.235');
+    assert.strictEqual(decimalToPrecision(1.26, 0.05), '1.25');
+    assert.strictEqual(decimalToPrecision(130, 25, 'round'), '125');
+    assert.strictEqual(decimalToPrecision(3e-7, 1e-8), '0.00000030');
+    assert.throws(() => decimalToPrecision(1, 0.01, 'ceil'), TypeError);
+  });
+
+  it('decimalToPrecision absorbs float artifacts', () => {
+    assert.strictEqual(decimalToPrecision(0.1 + 0.2, 0.1), '0.3');
+    assert.strictEqual(decimalToPrecision(0.3 / 0.1 * 0.1, 0.1), '0.3');
+    assert.strictEqual(decimalToPrecision(0.30000000000000004, 0.00001), '0.30000');
+  });
+
+  it('precisionFromStep counts decimals, including exponent notation', () => {
+    assert.strictEqual(precisionFromStep(0.001), 3);
+    assert.strictEqual(precisionFromStep(1e-8), 8);
+    assert.strictEqual(precisionFromStep(2.5e-7), 8);
+    assert.strictEqual(precisionFromStep(25), 0);
+  });
+
+  it('uses stepSize/tickSize when the market has them', () => {
+    const ex = exchange();
+    assert.strictEqual(ex.amountToPrecision('BTC/USDT', 0.123456789), '0.12345');
+    assert.strictEqual(ex.amountToPrecision('BTC/USDT', 0.123456789, 'round'), '0.12346');
+    assert.strictEqual(ex.priceToPrecision('BTC/USDT', 62000.126), '62000.13');
+    assert.strictEqual(ex.priceToPrecision('BTC/USDT', 62000.126, 'truncate'), '62000.12');
+    assert.strictEqual(ex.costToPrecision('BTCUSDT', 10.123456789), '10.12345678');
+  });
+
+  it('falls back to precision decimals without step metadata', () => {
+    const ex = exchange();
+    assert.strictEqual(ex.amountToPrecision('XRP/USDT', 12.39), '12.3');
+    assert.strictEqual(ex.priceToPrecision('XRP/USDT', 0.512345), '0.5123');
+    assert.strictEqual(ex.costToPrecision('XRP/USDT', 1.1234567), '1.123456');
+  });
+
+  it('numberToString never uses exponent notation', () => {
+    assert.strictEqual(numberToString(1e-7), '0.0000001');
+    assert.strictEqual(numberToString(Number('0.00000010')), '0.0000001');
+    assert.strictEqual(numberToString(-1.25e-8), '-0.0000000125');
+    assert.strictEqual(numberToString(1.5e21), '1500000000000000000000');
+    assert.strictEqual(numberToString(0.5), '0.5');
+    assert.strictEqual(numberToString('0.00000010'), '0.00000010');
+  });
+
+  it('requires loaded markets', () => {
+    const ex = new Binance();
+    assert.throws(() => ex.amountToPrecision('BTC/USDT', 1), ExchangeError);
+  });
+
+  it('applies precision inside createOrder only when applyPrecision is set', async () => {
+    for (const [applyPrecision, quantity, price] of [[true, '0.3', '30000.01'], [false, '0.30000000000000004', '30000.0123']]) {
+      const ex = exchange({ applyPrecision });
+      let sent;
+      ex._request = async (method, path, params) => {
+        sent = params;
+        return { orderId: 1, symbol: 'BTCUSDT', status: 'NEW' };
+      };
+      await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1 + 0.2, 30000.0123);
+      assert.strictEqual(sent.quantity, quantity);
+      assert.strictEqual(sent.price, price);
+    }
+  });
+
+  it('sends amounts and prices on a 1e-8 tick without exponent notation', async () => {
+    const ex = exchange({ applyPrecision: true });
+    let sent;
+    ex._request = async (method, path, params) => {
+      sent = params;
+      return { orderId: 1, symbol: 'PEPEBTC', status: 'NEW' };
+    };
+    await ex.createOrder('PEPE/BTC', 'limit', 'buy', 0.000000104, 0.000000123);
+    assert.strictEqual(sent.quantity, '0.0000001');
+    assert.strictEqual(sent.price, '0.00000012');
+  });
+
+  it('leaves unknown symbols untouched', () => {
+    const ex = exchange({ applyPrecision: true });
+    assert.deepStrictEqual(ex._applyPrecision('DOGE/USDT', 0.123456789, 0.1234567), [0.123456789, 0.1234567]);
+    assert.deepStrictEqual(ex._applyPrecision('BTC/USDT', 0.123456789, undefined), [0.12345, undefined]);
+  });
+
+  it('PaperExchange orders follow the wrapped exchange precision', async () => {
+    const ex = exchange({ applyPrecision: true });
+    ex.fetchOrderBook = async () => ({ bids: [], asks: [] });
+    const paper = new PaperExchange(ex, { balances: { USDT: 100000 } });
+    const order = await paper.createOrder('BTC/USDT', 'limit', 'buy', 0.123456, 20000.005);
+    assert.strictEqual(order.amount, 0.12345);
+    assert.strictEqual(order.price, 20000.01);
+  });
+});
+
+// =====================================================================
+// 18. Pre-Trade Validation — market limits checked before sending
+// =====================================================================
+
+describe('Pre-Trade Validation', () => {
+  const { Binance, PaperExchange, InvalidOrder, BadSymbol, OrderLimitViolation } = require('../');
+
+  function exchange(config = {}) {
+    const ex = new Binance({ apiKey: 'k', secret: 's', validateOrders: true, ...config });
+    const market = (symbol, id, active, limits) => ({ id, symbol, active, status: active ? 'TRADING' : 'BREAK', limits });
+    const btc = market('BTC/USDT', 'BTCUSDT', true, {
+      price: { min: 0.01, max: 1000000 },
+      amount: { min: 0.00001, max: 9000 },
+      cost: { min: 5 },
+    });
+    const eth = market('ETH/USDT', 'ETHUSDT', false, {});
+    const xrp = market('XRP/USDT', 'XRPUSDT', true, { price: { min: 0, max: 0 }, amount: { min: 0.1 }, cost: {} });
+    ex.markets = { 'BTC/USDT': btc, 'ETH/USDT': eth, 'XRP/USDT': xrp };
+    ex.marketsById = { BTCUSDT: btc, ETHUSDT: eth, XRPUSDT: xrp };
+    ex._marketsLoaded = true;
+    ex._request = async () => {
+      ex.sent = true;
+      return { orderId: 1, symbol: 'BTCUSDT', status: 'NEW' };
+    };
+    return ex;
+  }
+
+  async function violation(ex, ...args) {
+    try {
+      await ex.createOrder(...args);
+    } catch (err) {
+      assert.strictEqual(ex.sent, undefined, 'no request should be sent');
+      return err;
+    }
+    assert.fail('expected createOrder to throw');
+  }
+
+  it('OrderLimitViolation is an InvalidOrder', () => {
+    const err = new OrderLimitViolation('too small', { symbol: 'BTC/USDT', limit: 'amount.min', value: 1, bound: 2 });
+    assert.ok(err instanceof InvalidOrder);
+    assert.strictEqual(err.name, 'OrderLimitViolation');
+    assert.strictEqual(err.limit, 'amount.min');
+    assert.strictEqual(err.bound, 2);
+  });
+
+  it('rejects orders on inactive markets', async () => {
+    const err = await violation(exchange(), 'ETH/USDT', 'limit', 'buy', 1, 2000);
+    assert.ok(err instanceof OrderLimitViolation);
+    assert.strictEqual(err.limit, 'active');
+    assert.strictEqual(err.value, 'BREAK');
+  });
+
+  it('names the violated amount, price and cost limit', async () => {
+    const cases = [
+      [['BTC/USDT', 'limit', 'buy', 0.000001, 30000], 'amount.min', 0.000001, 0.00001],
+      [['BTC/USDT', 'limit', 'buy', 10000, 30000], 'amount.max', 10000, 9000],
+      [['BTC/USDT', 'limit', 'sell', 1, 2000000], 'price.max', 2000000, 1000000],
+      [['BTC/USDT', 'limit', 'buy', 0.0001, 30000], 'cost.min', 3, 5],
+    ];
+    for (const [args, limit, value, bound] of cases) {
+      const err = await violation(exchange(), ...args);
+      assert.ok(err instanceof OrderLimitViolation, limit);
+      assert.deepStrictEqual([err.limit, err.value, err.bound, err.symbol], [limit, value, bound, 'BTC/USDT']);
+      assert.match(err.message, new RegExp('limits\\.' + limit.replace('.', '\\.')));
+    }
+  });
+
+  it('skips missing or zero bounds and the notional of market orders', async () => {
+    const ex = exchange();
+    await ex.createOrder('XRP/USDT', 'limit', 'buy', 1, 0.00001);
+    await exchange().createOrder('BTC/USDT', 'market', 'buy', 0.0001);
+    assert.strictEqual(ex.sent, true);
+  });
+
+  it('throws BadSymbol for unknown symbols and is off by default', async () => {
+    assert.ok(await violation(exchange(), 'DOGE/USDT', 'limit', 'buy', 1, 1) instanceof BadSymbol);
+    const ex = exchange({ validateOrders: false });
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.000001, 30000);
+    assert.strictEqual(ex.sent, true);
+  });
+
+  it('validates after applyPrecision', async () => {
+    const ex = exchange({ applyPrecision: true });
+    ex.markets['BTC/USDT'].stepSize = 0.0001;
+    const err = await violation(ex, 'BTC/USDT', 'limit', 'buy', 0.00019, 30000);
+    assert.strictEqual(err.limit, 'cost.min');
+    assert.strictEqual(err.value, 3);
+  });
+
+  it('PaperExchange orders are validated too', async () => {
+    const ex = exchange();
+    ex.fetchOrderBook = async () => ({ bids: [], asks: [] });
+    const paper = new PaperExchange(ex, { balances: { USDT: 1000 } });
+    await assert.rejects(() => paper.createOrder('BTC/USDT', 'limit', 'buy', 0.0001, 30000), OrderLimitViolation);
+  });
+});
+
+// =====================================================================
+// 19. Conditional Orders — stop-loss, take-profit and trailing stops
+// =====================================================================
+
+describe('Conditional Orders', () => {
+  const { Binance, Bitstamp, PaperExchange, InvalidOrder, ExchangeError } = require('../');
+
+  function exchange() {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    ex._request = async (method, path, params) => {
+      ex.sent = params;
+      return { orderId: 1, symbol: 'BTCUSDT', status: 'NEW' };
+    };
+    return ex;
+  }
+
+  it('_conditionalOrderParams resolves the kind, trigger and direction', () => {
+    const ex = exchange();
+    const sl = ex._conditionalOrderParams('sell', { stopLossPrice: 90, foo: 1 });
+    assert.deepStrictEqual([sl.kind, sl.triggerPrice, sl.direction, sl.params], ['stopLoss', 90, 'down', { foo: 1 }]);
+    const tp = ex._conditionalOrderParams('sell', { takeProfitPrice: 110 });
+    assert.deepStrictEqual([tp.kind, tp.triggerPrice, tp.direction], ['takeProfit', 110, 'up']);
+    assert.strictEqual(ex._conditionalOrderParams('buy', { stopLossPrice: 110 }).direction, 'up');
+    assert.strictEqual(ex._conditionalOrderParams('buy', { takeProfitPrice: 90 }).direction, 'down');
+    assert.strictEqual(ex._conditionalOrderParams('buy', { triggerPrice: 110 }).kind, 'trigger');
+    assert.strictEqual(ex._conditionalOrderParams('sell', { trailingAmount: 5 }).kind, 'trailing');
+    assert.deepStrictEqual(ex._conditionalOrderParams('buy', { stopLossPrice: null, x: 2 }), { kind: undefined, params: { x: 2 } });
+  });
+
+  it('_conditionalOrderParams rejects ambiguous combinations', () => {
+    const ex = exchange();
+    assert.throws(() => ex._conditionalOrderParams('sell', { stopLossPrice: 90, takeProfitPrice: 110 }), InvalidOrder);
+    assert.throws(() => ex._conditionalOrderParams('sell', { trailingPercent: 1, trailingAmount: 5 }), InvalidOrder);
+    assert.throws(() => ex._conditionalOrderParams('sell', { trailingTriggerPrice: 100 }), InvalidOrder);
+  });
+
+  it('maps stop loss and take profit to STOP_LOSS(_LIMIT) / TAKE_PROFIT(_LIMIT) with stopPrice', async () => {
+    const ex = exchange();
+    await ex.createStopLossOrder('BTC/USDT', 'limit', 'sell', 0.01, 89900, 90000);
+    assert.strictEqual(ex.sent.type, 'STOP_LOSS_LIMIT');
+    assert.strictEqual(ex.sent.stopPrice, '90000');
+    assert.strictEqual(ex.sent.price, '89900');
+    assert.strictEqual(ex.sent.timeInForce, 'GTC');
+    assert.strictEqual(ex.sent.stopLossPrice, undefined);
+    await ex.createTakeProfitOrder('BTC/USDT', 'market', 'sell', 0.01, undefined, 110000);
+    assert.strictEqual(ex.sent.type, 'TAKE_PROFIT');
+    assert.strictEqual(ex.sent.stopPrice, '110000');
+    assert.strictEqual(ex.sent.timeInForce, undefined);
+  });
+
+  it('maps trailing stops to trailingDelta in BIPS', async () => {
+    const ex = exchange();
+    await ex.createTrailingStopOrder('BTC/USDT', 'market', 'sell', 0.01, undefined, 1.5, 95000);
+    assert.strictEqual(ex.sent.type, 'STOP_LOSS');
+    assert.strictEqual(ex.sent.trailingDelta, 150);
+    assert.strictEqual(ex.sent.stopPrice, '95000');
+    await assert.rejects(
+      () => ex.createTrailingStopOrder('BTC/USDT', 'market', 'sell', 0.01, undefined, undefined, undefined, { trailingAmount: 50 }),
+      InvalidOrder,
+    );
+  });
+
+  it('requires the trigger and throws for unsupported exchanges', async () => {
+    await assert.rejects(() => exchange().createStopLossOrder('BTC/USDT', 'market', 'sell', 0.01), InvalidOrder);
+    await assert.rejects(() => exchange().createTrailingStopOrder('BTC/USDT', 'market', 'sell', 0.01), InvalidOrder);
+    const bitstamp = new Bitstamp({ apiKey: 'k', secret: 's' });
+    await assert.rejects(() => bitstamp.createStopLossOrder('BTC/USD', 'market', 'sell', 1, undefined, 90), ExchangeError);
+  });
+
+  it('PaperExchange rejects conditional orders', async () => {
+    const paper = new PaperExchange(exchange(), { balances: { BTC: 1 } });
+    assert.strictEqual(paper.has.createStopLossOrder, false);
+    await assert.rejects(
+      () => paper.createOrder('BTC/USDT', 'market', 'sell', 0.01, undefined, { stopLossPrice: 90000 }),
+      /paper trading does not simulate/,
+    );
+  });
+});
+
+// =====================================================================
+// 20. Time in Force — timeInForce, postOnly and reduceOnly
+// =====================================================================
+
+describe('Time in Force', () => {
+  const { Binance, PaperExchange, InvalidOrder } = require('../');
+
+  const book = {
+    symbol: 'BTC/USDT',
+    bids: [[29990, 1], [29980, 2]],
+    asks: [[30010, 1], [30020, 2]],
+  };
+
+  function exchange() {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    ex._request = async (method, path, params) => {
+      ex.sent = params;
+      return { orderId: 1, symbol: 'BTCUSDT', status: 'NEW', type: params.type, timeInForce: params.timeInForce };
+    };
+    return ex;
+  }
+
+  function paper() {
+    const ex = new Binance();
+    ex.fetchOrderBook = async () => book;
+    return new PaperExchange(ex, { balances: { USDT: 100000, BTC: 1 } });
+  }
+
+  it('_orderExecutionParams normalizes unified values', () => {
+    const ex = exchange();
+    assert.deepStrictEqual(ex._orderExecutionParams('limit', { timeInForce: 'ioc', foo: 1 }),
+      { timeInForce: 'IOC', postOnly: false, reduceOnly: false, params: { foo: 1 } });
+    assert.strictEqual(ex._orderExecutionParams('limit', { postOnly: true }).timeInForce, 'PO');
+    assert.strictEqual(ex._orderExecutionParams('limit', { timeInForce: 'PO' }).postOnly, true);
+    assert.strictEqual(ex._orderExecutionParams('limit', {}).timeInForce, undefined);
+    // exchange-native values are left in params for the exchange to send as-is
+    assert.deepStrictEqual(ex._orderExecutionParams('limit', { timeInForce: 'GTX' }).params, { timeInForce: 'GTX' });
+  });
+
+  it('_orderExecutionParams rejects conflicts and unsupported options', () => {
+    const ex = exchange();
+    assert.throws(() => ex._orderExecutionParams('limit', { postOnly: true, timeInForce: 'IOC' }), InvalidOrder);
+    assert.throws(() => ex._orderExecutionParams('market', { postOnly: true }), /requires a limit order/);
+    assert.throws(() => ex._orderExecutionParams('limit', { timeInForce: 'FOK' }, { timeInForce: ['GTC', 'IOC'] }), /does not support timeInForce FOK/);
+    assert.throws(() => ex._orderExecutionParams('market', { reduceOnly: true }), /does not support reduceOnly/);
+    assert.strictEqual(ex._orderExecutionParams('market', { reduceOnly: true }, { reduceOnly: true }).reduceOnly, true);
+  });
+
+  it('Binance sends timeInForce on limit orders and LIMIT_MAKER for postOnly', async () => {
+    const ex = exchange();
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 30000, { timeInForce: 'FOK' });
+    assert.strictEqual(ex.sent.type, 'LIMIT');
+    assert.strictEqual(ex.sent.timeInForce, 'FOK');
+    const order = await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 30000, { postOnly: true });
+    assert.strictEqual(ex.sent.type, 'LIMIT_MAKER');
+    assert.strictEqual(ex.sent.timeInForce, undefined);
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    await assert.rejects(
+      () => ex.createOrder('BTC/USDT', 'limit', 'sell', 0.01, 29900, { stopLossPrice: 30000, postOnly: true }),
+      InvalidOrder,
+    );
+  });
+
+  it('PaperExchange cancels the unfilled rest of IOC orders', async () => {
+    const p = paper();
+    const order = await p.createOrder('BTC/USDT', 'limit', 'buy', 1.5, 30010, { timeInForce: 'IOC' });
+    assert.strictEqual(order.filled, 1);
+    assert.strictEqual(order.status, 'CANCELED');
+    assert.strictEqual(order.timeInForce, 'IOC');
+    assert.strictEqual((await p.fetchBalance()).USDT.used, 0);
+  });
+
+  it('PaperExchange fills FOK orders completely or not at all', async () => {
+    const p = paper();
+    const killed = await p.createOrder('BTC/USDT', 'limit', 'buy', 1.5, 30010, { timeInForce: 'FOK' });
+    assert.strictEqual(killed.filled, 0);
+    assert.strictEqual(killed.status, 'CANCELED');
+    const filled = await p.createOrder('BTC/USDT', 'limit', 'buy', 1.5, 30020, { timeInForce: 'FOK' });
+    assert.strictEqual(filled.status, 'FILLED');
+  });
+
+  it('PaperExchange rejects post-only orders that would take liquidity', async () => {
+    const p = paper();
+    await assert.rejects(
+      () => p.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 30010, { postOnly: true }),
+      /would take liquidity/,
+    );
+    const resting = await p.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 30000, { postOnly: true });
+    assert.strictEqual(resting.status, 'NEW');
+    assert.strictEqual(resting.postOnly, true);
+  });
+});
+
+// =====================================================================
+// 21. Editing Orders — editOrder() native and cancel + create
+// =====================================================================
+
+describe('Editing Orders', () => {
+  const { Binance, Bitstamp, PaperExchange, InvalidOrder, InsufficientFunds } = require('../');
+
+  it('Binance edits through cancelReplace with STOP_ON_FAILURE', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let sent;
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return {
+        cancelResult: 'SUCCESS',
+        newOrderResult: 'SUCCESS',
+        cancelResponse: { orderId: 1, status: 'CANCELED' },
+        newOrderResponse: { orderId: 2, symbol: 'BTCUSDT', type: 'LIMIT', side: 'BUY', price: '29000', origQty: '0.02', status: 'NEW' },
+      };
+    };
+    const order = await ex.editOrder('1', 'BTC/USDT', 'limit', 'buy', 0.02, 29000);
+    assert.strictEqual(sent.path, '/api/v3/order/cancelReplace');
+    assert.strictEqual(sent.params.cancelOrderId, '1');
+    assert.strictEqual(sent.params.cancelReplaceMode, 'STOP_ON_FAILURE');
+    assert.strictEqual(sent.params.quantity, '0.02');
+    assert.strictEqual(sent.params.price, '29000');
+    assert.strictEqual(sent.params.timeInForce, 'GTC');
+    assert.strictEqual(order.id, '2');
+    assert.strictEqual(order.price, 29000);
+  });
+
+  it('Binance reads an omitted amount from the original order', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    ex.fetchOrder = async () => ({ id: '1', amount: 0.05, remaining: 0.03, price: 30000 });
+    let sent;
+    ex._request = async (method, path, params) => {
+      sent = params;
+      return { newOrderResponse: { orderId: 3, status: 'NEW' } };
+    };
+    await ex.editOrder('1', 'BTC/USDT', 'limit', 'buy', undefined, 29500);
+    assert.strictEqual(sent.quantity, '0.03');
+    assert.strictEqual(sent.price, '29500');
+  });
+
+  function fallback() {
+    const ex = new Bitstamp({ apiKey: 'k', secret: 's' });
+    ex.calls = [];
+    ex.fetchOrder = async (id) => { ex.calls.push(['fetchOrder', id]); return { id, remaining: 0.5, price: 100 }; };
+    ex.cancelOrder = async (id) => { ex.calls.push(['cancelOrder', id]); return { id, status: 'CANCELED' }; };
+    ex.createOrder = async (symbol, type, side, amount, price) => {
+      ex.calls.push(['createOrder', amount, price]);
+      return { id: 'new', symbol, type: type.toUpperCase(), side: side.toUpperCase(), amount, price, status: 'NEW' };
+    };
+    return ex;
+  }
+
+  it('falls back to cancel + create, filling in missing values', async () => {
+    const ex = fallback();
+    const order = await ex.editOrder('old', 'BTC/USD', 'limit', 'sell', undefined, 105);
+    assert.deepStrictEqual(ex.calls, [['fetchOrder', 'old'], ['cancelOrder', 'old'], ['createOrder', 0.5, 105]]);
+    assert.strictEqual(order.id, 'new');
+  });
+
+  it('checks the replacement before canceling the original', async () => {
+    const ex = fallback();
+    ex.validateOrders = true;
+    ex._marketsLoaded = true;
+    ex.markets = { 'BTC/USD': { symbol: 'BTC/USD', active: true, limits: { amount: { min: 1 } } } };
+    await assert.rejects(() => ex.editOrder('old', 'BTC/USD', 'limit', 'sell', 0.5, 105), InvalidOrder);
+    assert.deepStrictEqual(ex.calls, []);
+  });
+
+  it('reports a replacement failure after the cancel', async () => {
+    const ex = fallback();
+    ex.createOrder = async () => { throw new InsufficientFunds('bitstamp insufficient balance'); };
+    await assert.rejects(
+      () => ex.editOrder('old', 'BTC/USD', 'limit', 'sell', 0.5, 105),
+      (err) => err instanceof InsufficientFunds && /canceled order old but the replacement failed/.test(err.message),
+    );
+  });
+
+  it('PaperExchange edits by cancel + create', async () => {
+    const ex = new Binance();
+    ex.fetchOrderBook = async () => ({ symbol: 'BTC/USDT', bids: [[29990, 1]], asks: [[30010, 1]] });
+    const paper = new PaperExchange(ex, { balances: { USDT: 100000 } });
+    assert.strictEqual(paper.has.editOrder, true);
+    const original = await paper.createOrder('BTC/USDT', 'limit', 'buy', 0.5, 29000);
+    const edited = await paper.editOrder(original.id, 'BTC/USDT', 'limit', 'buy', undefined, 29500);
+    assert.strictEqual((await paper.fetchOrder(original.id)).status, 'CANCELED');
+    assert.strictEqual(edited.amount, 0.5);
+    assert.strictEqual(edited.price, 29500);
+    assert.strictEqual((await paper.fetchOpenOrders('BTC/USDT')).length, 1);
+    await assert.rejects(() => paper.editOrder(original.id, 'BTC/USDT', 'limit', 'buy', 1, 29000), /not found/);
+  });
+});
+
+// =====================================================================
+// 22. Batch Orders — createOrders / cancelOrders
+// =====================================================================
+
+describe('Batch Orders', () => {
+  const { Binance, PaperExchange, InsufficientFunds, OrderNotFound, InvalidOrder } = require('../');
+
+  it('Binance falls back to single calls with per-order results', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    const sent = [];
+    ex._request = async (method, path, params) => {
+      sent.push(params);
+      if (params.side === 'SELL') throw new InsufficientFunds('binance -2010: Account has insufficient balance');
+      return { orderId: sent.length, symbol: 'BTCUSDT', status: 'NEW' };
+    };
+    const results = await ex.createOrders([
+      { symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 0.01, price: 30000 },
+      { symbol: 'BTC/USDT', type: 'limit', side: 'sell', amount: 0.01, price: 31000 },
+      { symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 0.01, price: 29000, params: { postOnly: true } },
+    ], { newOrderRespType: 'ACK' });
+    assert.strictEqual(sent.length, 3);
+    assert.ok(sent.every((p) => p.newOrderRespType === 'ACK'));
+    assert.strictEqual(sent[2].type, 'LIMIT_MAKER');
+    assert.deepStrictEqual(results.map((r) => r.success), [true, false, true]);
+    assert.ok(results[1].error instanceof InsufficientFunds);
+    assert.ok(results[0].order.id);
+  });
+
+  it('fallback cancelOrders keeps input order and limits concurrency', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let inFlight = 0;
+    let peak = 0;
+    ex.cancelOrder = async (id) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight--;
+      if (id === '3') throw new OrderNotFound('binance order 3 not found');
+      return { id, status: 'CANCELED' };
+    };
+    const ids = ['1', '2', '3', '4', '5', '6', '7'];
+    const results = await ex.cancelOrders(ids, 'BTC/USDT');
+    assert.ok(peak <= 5);
+    assert.deepStrictEqual(results.map((r) => (r.success ? r.order.id : 'x')), ['1', '2', 'x', '4', '5', '6', '7']);
+    assert.ok(results[2].error instanceof OrderNotFound);
+  });
+
+  it('_sendBatch chunks, rejects bad items locally and fails whole chunks', async () => {
+    const ex = new Binance();
+    const chunks = [];
+    const results = await ex._sendBatch([1, 2, -1, 3, 4], 2, (n) => {
+      if (n < 0) throw new InvalidOrder('negative');
+      return n * 10;
+    }, async (entries) => {
+      chunks.push(entries);
+      if (entries.includes(40)) throw new Error('chunk failed');
+      return entries.map((e) => ({ success: true, order: { id: String(e) } }));
+    });
+    assert.deepStrictEqual(chunks, [[10, 20], [30, 40]]);
+    assert.deepStrictEqual(results.map((r) => r.success), [true, true, false, false, false]);
+    assert.ok(results[2].error instanceof InvalidOrder);
+    assert.strictEqual(results[3].error.message, 'chunk failed');
+  });
+
+  it('sends JSON array bodies as arrays', async () => {
+    const { Okx } = require('../');
+    const ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    let body;
+    ex._fetch = async (url, options) => {
+      body = options.body;
+      return { ok: true, status: 200, headers: new Map(), text: async () => '{"code":"0","data":[]}' };
+    };
+    await ex._performRequest('POST', '/api/v5/trade/batch-orders', [{ instId: 'BTC-USDT' }], true).catch(() => {});
+    assert.strictEqual(body, '[{"instId":"BTC-USDT"}]');
+  });
+
+  it('PaperExchange batches report per-order results', async () => {
+    const ex = new Binance();
+    ex.fetchOrderBook = async () => ({ symbol: 'BTC/USDT', bids: [[29990, 1]], asks: [[30010, 1]] });
+    const paper = new PaperExchange(ex, { balances: { USDT: 1000 } });
+    const results = await paper.createOrders([
+      { symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 0.01, price: 29000 },
+      { symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 1, price: 29000 },
+    ]);
+    assert.strictEqual(results[0].success, true);
+    assert.ok(results[1].error instanceof InsufficientFunds);
+    const canceled = await paper.cancelOrders([results[0].order.id, '999']);
+    assert.strictEqual(canceled[0].order.status, 'CANCELED');
+    assert.ok(canceled[1].error instanceof OrderNotFound);
+  });
+});
+
+// =====================================================================
+// 23. Client Order IDs — clientOrderId, generation, fetch/cancel by it
+// =====================================================================
+
+describe('Client Order IDs', () => {
+  const { Binance, Coinbase, PaperExchange, BadRequest, InvalidOrder } = require('../');
+
+  it('sends the unified clientOrderId as newClientOrderId', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let sent;
+    ex._request = async (method, path, params) => {
+      sent = params;
+      return { orderId: 1, clientOrderId: params.newClientOrderId, symbol: 'BTCUSDT', status: 'NEW' };
+    };
+    const order = await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 30000, { clientOrderId: 'my-order-1' });
+    assert.strictEqual(sent.newClientOrderId, 'my-order-1');
+    assert.strictEqual(sent.clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'my-order-1');
+  });
+
+  it('generates prefixed ids when generateClientOrderIds is on', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's', generateClientOrderIds: true, clientOrderIdPrefix: 'bot1-' });
+    const sent = [];
+    ex._request = async (method, path, params) => {
+      sent.push(params);
+      return { orderId: sent.length, symbol: 'BTCUSDT', status: 'NEW' };
+    };
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 30000);
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 30000);
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 30000, { newClientOrderId: 'native' });
+    assert.match(sent[0].newClientOrderId, /^bot1-[0-9a-f]{27}$/);
+    assert.notStrictEqual(sent[0].newClientOrderId, sent[1].newClientOrderId);
+    assert.strictEqual(sent[2].newClientOrderId, 'native');
+    // newClientOrderId is unique only among open orders, so it does not make the POST retryable
+    assert.strictEqual(ex._canRetryRequest('POST', '/api/v3/order', sent[0]), false);
+  });
+
+  it('does not generate ids by default', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let sent;
+    ex._request = async (method, path, params) => {
+      sent = params;
+      return { orderId: 1, symbol: 'BTCUSDT', status: 'NEW' };
+    };
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 30000);
+    assert.strictEqual(sent.newClientOrderId, undefined);
+  });
+
+  it('fetchOrder and cancelOrder accept { clientOrderId }', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    const sent = [];
+    ex._request = async (method, path, params) => {
+      sent.push({ method, params });
+      return { orderId: 7, clientOrderId: 'my-order-1', symbol: 'BTCUSDT', status: 'CANCELED' };
+    };
+    const fetched = await ex.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'my-order-1' });
+    await ex.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'my-order-1' });
+    await ex.cancelOrder('7', 'BTC/USDT', { clientOrderId: 'ignored' });
+    assert.strictEqual(fetched.id, '7');
+    assert.deepStrictEqual(sent[0].params, { symbol: 'BTCUSDT', origClientOrderId: 'my-order-1' });
+    assert.deepStrictEqual(sent[1].params, { symbol: 'BTCUSDT', origClientOrderId: 'my-order-1' });
+    assert.deepStrictEqual(sent[2].params, { symbol: 'BTCUSDT', orderId: '7' });
+  });
+
+  it('requires an id or a clientOrderId, and venues without lookup by it say so', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    await assert.rejects(() => ex.fetchOrder(undefined, 'BTC/USDT'), BadRequest);
+    const cb = new Coinbase({ apiKey: 'k', secret: 's' });
+    await assert.rejects(() => cb.cancelOrder(undefined, 'BTC/USD', { clientOrderId: 'x' }), /cannot look orders up by clientOrderId/);
+  });
+
+  it('PaperExchange keeps client ids, finds orders by them and rejects duplicates', async () => {
+    const ex = new Binance();
+    ex.fetchOrderBook = async () => ({ symbol: 'BTC/USDT', bids: [[29990, 1]], asks: [[30010, 1]] });
+    const paper = new PaperExchange(ex, { balances: { USDT: 1000 } });
+    const order = await paper.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 29000, { clientOrderId: 'c1' });
+    assert.strictEqual(order.clientOrderId, 'c1');
+    await assert.rejects(() => paper.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 29000, { clientOrderId: 'c1' }), InvalidOrder);
+    assert.strictEqual((await paper.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'c1' })).id, order.id);
+    const canceled = await paper.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'c1' });
+    assert.strictEqual(canceled.status, 'CANCELED');
+  });
+});
+
+// =====================================================================
+// 24. Funding — deposit addresses, deposits, withdrawals, fees
+// =====================================================================
+
+describe('Funding', () => {
+  const { Binance, Bybit, HotCoin, BadRequest } = require('../');
+
+  it('maps unified networks both ways and passes native ids through', () => {
+    const ex = new Binance();
+    assert.strictEqual(ex._networkId('TRC20'), 'TRX');
+    assert.strictEqual(ex._networkId('trc20'), 'TRX');
+    assert.strictEqual(ex._networkId('AVAXC'), 'AVAXC');
+    assert.strictEqual(ex._networkId(undefined), undefined);
+    assert.strictEqual(ex._networkCode('BSC'), 'BEP20');
+    assert.strictEqual(ex._networkCode('avaxc'), 'AVAXC');
+  });
+
+  it('withdraw() arguments are checked before anything is sent', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    ex._request = async () => { throw new Error('should not be called'); };
+    await assert.rejects(() => ex.withdraw('USDT', 10, ''), BadRequest);
+    await assert.rejects(() => ex.withdraw('USDT', 0, 'addr'), BadRequest);
+    await assert.rejects(() => ex.withdraw('USDT', -1, 'addr'), BadRequest);
+    assert.deepStrictEqual(ex._withdrawArgs('XRP', 5, 'r1', undefined, { tag: 123, network: 'BEP20', x: 1 }),
+      { tag: '123', network: 'BSC', params: { x: 1 } });
+  });
+
+  it('has flags mark the supported funding methods', async () => {
+    const ex = new Binance();
+    assert.strictEqual(ex.has.withdraw, true);
+    assert.strictEqual(ex.has.fetchDepositWithdrawFees, true);
+    assert.ok(!ex.has.createDepositAddress);
+    assert.strictEqual(new Bybit().has.fetchDeposits, true);
+    const hc = new HotCoin();
+    assert.ok(!hc.has.withdraw);
+    await assert.rejects(() => hc.withdraw('USDT', 1, 'addr'), /withdraw\(\) not implemented/);
+  });
+
+  it('fetchDepositAddress sends coin and network', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let call;
+    ex._request = async (method, path, params) => {
+      call = { method, path, params };
+      return { coin: 'USDT', address: 'TXyz', tag: '', url: '' };
+    };
+    const addr = await ex.fetchDepositAddress('usdt', { network: 'TRC20' });
+    assert.strictEqual(call.path, '/sapi/v1/capital/deposit/address');
+    assert.deepStrictEqual(call.params, { coin: 'USDT', network: 'TRX' });
+    assert.strictEqual(addr.address, 'TXyz');
+    assert.strictEqual(addr.network, 'TRC20');
+    assert.strictEqual(addr.tag, undefined);
+  });
+
+  it('fetchDeposits and fetchWithdrawals normalize history records', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    ex._request = async (method, path) => {
+      if (path === '/sapi/v1/capital/deposit/hisrec') {
+        return [{ id: 'd1', amount: '100', coin: 'USDT', network: 'TRX', status: 1, address: 'TXyz', addressTag: '', txId: '0xabc', insertTime: 1700000000000 }];
+      }
+      return [{ id: 'w1', amount: '50', transactionFee: '1', coin: 'USDT', status: 1, address: '0xdef', txId: '', applyTime: '2023-11-14 22:13:20', network: 'ETH' }];
+    };
+    const [deposit] = await ex.fetchDeposits('USDT', 1690000000000, 10);
+    assert.strictEqual(deposit.type, 'deposit');
+    assert.strictEqual(deposit.status, 'ok');
+    assert.strictEqual(deposit.network, 'TRC20');
+    assert.strictEqual(deposit.txid, '0xabc');
+    assert.strictEqual(deposit.amount, 100);
+    assert.strictEqual(deposit.fee, undefined);
+    const [withdrawal] = await ex.fetchWithdrawals('USDT');
+    assert.strictEqual(withdrawal.type, 'withdrawal');
+    assert.strictEqual(withdrawal.status, 'canceled');
+    assert.strictEqual(withdrawal.network, 'ERC20');
+    assert.strictEqual(withdrawal.txid, undefined);
+    assert.strictEqual(withdrawal.timestamp, 1700000000000);
+    assert.deepStrictEqual(withdrawal.fee, { cost: 1, currency: 'USDT' });
+  });
+
+  it('withdraw posts coin, address, tag and network', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let call;
+    ex._request = async (method, path, params) => {
+      call = { method, path, params };
+      return { id: 'w-7' };
+    };
+    const tx = await ex.withdraw('XRP', 25, 'rAddr', '12345', { network: 'XRP' });
+    assert.strictEqual(call.method, 'POST');
+    assert.strictEqual(call.path, '/sapi/v1/capital/withdraw/apply');
+    assert.deepStrictEqual(call.params, { coin: 'XRP', address: 'rAddr', amount: 25, addressTag: '12345', network: 'XRP' });
+    assert.strictEqual(tx.id, 'w-7');
+    assert.strictEqual(tx.status, 'pending');
+    assert.strictEqual(tx.tag, '12345');
+  });
+
+  it('fetchDepositWithdrawFees reports the fee per network and the default', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    ex._request = async () => [
+      { coin: 'USDT', networkList: [
+        { network: 'ETH', withdrawFee: '4', isDefault: true },
+        { network: 'TRX', withdrawFee: '1', isDefault: false },
+      ] },
+      { coin: 'BTC', networkList: [{ network: 'BTC', withdrawFee: '0.0002', isDefault: true }] },
+    ];
+    const fees = await ex.fetchDepositWithdrawFees(['USDT']);
+    assert.deepStrictEqual(Object.keys(fees), ['USDT']);
+    assert.deepStrictEqual(fees.USDT.withdraw, { fee: 4, percentage: false });
+    assert.deepStrictEqual(fees.USDT.networks.TRC20.withdraw, { fee: 1, percentage: false });
+  });
+});
+
+// =====================================================================
+// 25. Transfers — account names, sub-accounts, history
+// =====================================================================
+
+describe('Transfers', () => {
+  const { Binance, Bybit, HotCoin, BadRequest } = require('../');
+
+  it('maps unified account names both ways and passes native ids through', () => {
+    const ex = new Binance();
+    assert.strictEqual(ex._accountId('futures'), 'UMFUTURE');
+    assert.strictEqual(ex._accountId('Funding'), 'FUNDING');
+    assert.strictEqual(ex._accountId('ISOLATED_MARGIN'), 'ISOLATED_MARGIN');
+    assert.strictEqual(ex._accountName('MAIN'), 'spot');
+    assert.strictEqual(ex._accountName('cmfuture'), 'delivery');
+    assert.strictEqual(ex._accountName('OPTION'), 'option');
+  });
+
+  it('transfer() arguments are checked before anything is sent', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    ex._request = async () => { throw new Error('should not be called'); };
+    await assert.rejects(() => ex.transfer('USDT', 0, 'spot', 'futures'), BadRequest);
+    await assert.rejects(() => ex.transfer('USDT', 10, 'spot'), BadRequest);
+    await assert.rejects(() => ex.transfer('USDT', 10, 'spot', 'SPOT'), /same account/);
+    await assert.rejects(() => ex.transfer('USDT', 10, 'funding', 'spot', { toSubAccount: 'a@b.c' }), BadRequest);
+    assert.deepStrictEqual(ex._transferArgs('USDT', 1, 'spot', 'spot', { toSubAccount: 'a@b.c', x: 1 }),
+      { from: 'MAIN', to: 'MAIN', fromSubAccount: undefined, toSubAccount: 'a@b.c', params: { x: 1 } });
+  });
+
+  it('has flags mark the supported transfer methods', async () => {
+    assert.strictEqual(new Binance().has.transfer, true);
+    assert.strictEqual(new Bybit().has.fetchTransfers, true);
+    const hc = new HotCoin();
+    assert.ok(!hc.has.transfer);
+    await assert.rejects(() => hc.transfer('USDT', 1, 'spot', 'futures'), /transfer\(\) not implemented/);
+  });
+
+  it('transfer posts a FROM_TO type between own wallets', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let call;
+    ex._request = async (method, path, params) => {
+      call = { method, path, params };
+      return { tranId: 13526853623 };
+    };
+    const t = await ex.transfer('usdt', 100, 'spot', 'futures');
+    assert.strictEqual(call.method, 'POST');
+    assert.strictEqual(call.path, '/sapi/v1/asset/transfer');
+    assert.deepStrictEqual(call.params, { type: 'MAIN_UMFUTURE', asset: 'USDT', amount: 100 });
+    assert.strictEqual(t.id, '13526853623');
+    assert.strictEqual(t.fromAccount, 'spot');
+    assert.strictEqual(t.toAccount, 'futures');
+    assert.strictEqual(t.status, 'ok');
+  });
+
+  it('transfer to a sub-account uses the universal transfer endpoint', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    let call;
+    ex._request = async (method, path, params) => {
+      call = { method, path, params };
+      return { tranId: 11945860693, clientTranId: 'test' };
+    };
+    const t = await ex.transfer('BTC', 0.5, 'spot', 'futures', { toSubAccount: 'sub@x.io' });
+    assert.strictEqual(call.path, '/sapi/v1/sub-account/universalTransfer');
+    assert.deepStrictEqual(call.params, {
+      fromAccountType: 'SPOT', toAccountType: 'USDT_FUTURE', asset: 'BTC', amount: 0.5, toEmail: 'sub@x.io',
+    });
+    assert.strictEqual(t.toSubAccount, 'sub@x.io');
+    assert.strictEqual(t.fromSubAccount, undefined);
+    assert.strictEqual(t.toAccount, 'futures');
+  });
+
+  it('fetchTransfers needs a direction and normalizes history rows', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    await assert.rejects(() => ex.fetchTransfers('USDT'), BadRequest);
+    let call;
+    ex._request = async (method, path, params) => {
+      call = { method, path, params };
+      return { total: 2, rows: [
+        { asset: 'USDT', amount: '1', type: 'UMFUTURE_MAIN', status: 'CONFIRMED', tranId: 11415955596, timestamp: 1544433328000 },
+        { asset: 'BTC', amount: '2', type: 'UMFUTURE_MAIN', status: 'CONFIRMED', tranId: 11366865406, timestamp: 1544433328000 },
+      ] };
+    };
+    const list = await ex.fetchTransfers('USDT', 1544000000000, 10, { fromAccount: 'futures', toAccount: 'spot' });
+    assert.strictEqual(call.path, '/sapi/v1/asset/transfer');
+    assert.deepStrictEqual(call.params, { type: 'UMFUTURE_MAIN', startTime: 1544000000000, size: 10 });
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].fromAccount, 'futures');
+    assert.strictEqual(list[0].toAccount, 'spot');
+    assert.strictEqual(list[0].amount, 1);
+    assert.strictEqual(list[0].status, 'ok');
+    assert.strictEqual(list[0].datetime, '2018-12-10T09:15:28.000Z');
+  });
+});
+
+// =====================================================================
+// 26. Ledger — unified entries and since-based paging
+// =====================================================================
+
+describe('Ledger', () => {
+  const { Binance, HotCoin } = require('../');
+
+  it('_ledgerEntry derives direction, unsigned amount and the balance before', () => {
+    const ex = new Binance();
+    const out = ex._ledgerEntry({ id: '1', currency: 'USDT', amount: -5, after: 95, timestamp: 1700000000000 });
+    assert.strictEqual(out.direction, 'out');
+    assert.strictEqual(out.amount, 5);
+    assert.strictEqual(out.before, 100);
+    assert.strictEqual(out.type, 'other');
+    assert.strictEqual(out.status, 'ok');
+    assert.strictEqual(out.datetime, '2023-11-14T22:13:20.000Z');
+    const inbound = ex._ledgerEntry({ amount: 5, after: 105, type: 'deposit', direction: 'in' });
+    assert.strictEqual(inbound.before, 100);
+    assert.strictEqual(inbound.type, 'deposit');
+  });
+
+  it('_ledgerPage sorts oldest first, drops entries before since and keeps the oldest `limit`', () => {
+    const ex = new Binance();
+    const entries = [3, 1, 4, 2].map((t) => ex._ledgerEntry({ id: String(t), amount: 1, timestamp: t * 1000 }));
+    assert.deepStrictEqual(ex._ledgerPage(entries).map((e) => e.id), ['1', '2', '3', '4']);
+    assert.deepStrictEqual(ex._ledgerPage(entries, 2000, 2).map((e) => e.id), ['2', '3']);
+  });
+
+  it('exchanges without a ledger throw', async () => {
+    const hc = new HotCoin();
+    assert.ok(!hc.has.fetchLedger);
+    await assert.rejects(() => hc.fetchLedger(), /fetchLedger\(\) not implemented/);
+  });
+
+  it('Binance assembles deposits, withdrawals, distributions and fills', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's' });
+    assert.strictEqual(ex.has.fetchLedger, true);
+    const calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params });
+      if (path === '/sapi/v1/capital/deposit/hisrec') {
+        return [{ id: 'd1', amount: '100', coin: 'USDT', network: 'TRX', status: 1, txId: '0xa', insertTime: 1700000000000 }];
+      }
+      if (path === '/sapi/v1/capital/withdraw/history') {
+        return [{ id: 'w1', amount: '50', transactionFee: '1', coin: 'USDT', status: 6, txId: '0xb', applyTime: '2023-11-14 22:13:30' }];
+      }
+      if (path === '/sapi/v1/asset/assetDividend') {
+        return { rows: [{ id: 1637366104, amount: '0.2', asset: 'USDT', divTime: 1700000005000, enInfo: 'BNB Vault', tranId: 2968885920 }], total: 1 };
+      }
+      return [{ symbol: 'BTCUSDT', id: 28457, orderId: 100234, price: '30000', qty: '0.01', quoteQty: '300', commission: '0.0004', commissionAsset: 'BNB', time: 1700000020000, isBuyer: true, isMaker: false }];
+    };
+    const all = await ex.fetchLedger(undefined, undefined, undefined, { symbol: 'BTC/USDT' });
+    assert.deepStrictEqual(all.map((e) => [e.type, e.currency, e.direction, e.amount]), [
+      ['deposit', 'USDT', 'in', 100],
+      ['rebate', 'USDT', 'in', 0.2],
+      ['withdrawal', 'USDT', 'out', 50],
+      ['trade', 'BTC', 'in', 0.01],
+      ['trade', 'USDT', 'out', 300],
+      ['fee', 'BNB', 'out', 0.0004],
+    ]);
+    assert.deepStrictEqual(all[2].fee, { cost: 1, currency: 'USDT' });
+    assert.strictEqual(all[3].referenceId, '100234');
+
+    calls.length = 0;
+    const usdt = await ex.fetchLedger('USDT', 1700000001000, 2);
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual(calls.find((c) => c.path === '/sapi/v1/asset/assetDividend').params,
+      { asset: 'USDT', startTime: 1700000001000, limit: 2 });
+    assert.deepStrictEqual(usdt.map((e) => e.type), ['rebate', 'withdrawal']);
+  });
+});
+
+// =====================================================================
+// 27. Contract Symbols — settle/expiry suffixes and contract cost
+// =====================================================================
+
+describe('Contract Symbols', () => {
+  const { Binance } = require('../');
+
+  it('_contractSymbol appends the settle currency and a YYMMDD expiry', () => {
+    const ex = new Binance();
+    assert.strictEqual(ex._contractSymbol('BTC', 'USDT', 'USDT'), 'BTC/USDT:USDT');
+    assert.strictEqual(ex._contractSymbol('BTC', 'USD', 'BTC', Date.UTC(2025, 2, 28, 8)), 'BTC/USD:BTC-250328');
+  });
+
+  it('_symbolParts splits spot, perpetual and dated symbols', () => {
+    const ex = new Binance();
+    assert.deepStrictEqual(ex._symbolParts('BTC/USDT'), { base: 'BTC', quote: 'USDT', settle: undefined, expiry: undefined });
+    assert.deepStrictEqual(ex._symbolParts('BTC/USD:BTC-250328'), { base: 'BTC', quote: 'USD', settle: 'BTC', expiry: '250328' });
+    assert.strictEqual(ex._symbolParts('BTCUSDT'), undefined);
+  });
+
+  it('_contractCost uses contractSize and inverts for inverse contracts', () => {
+    const ex = new Binance();
+    assert.strictEqual(ex._contractCost(undefined, 2, 100), 200);
+    assert.strictEqual(ex._contractCost({ contract: true, linear: true, contractSize: 0.01 }, 10, 50000), 5000);
+    assert.strictEqual(ex._contractCost({ contract: true, inverse: true, contractSize: 100 }, 10, 50000), 0.02);
+    assert.strictEqual(ex._contractCost({ contract: true }, undefined, 100), undefined);
+  });
+});
+
+// =====================================================================
+// 28. Positions — unified position shape and closePosition()
+// =====================================================================
+
+describe('Positions', () => {
+  const { Binance } = require('../');
+
+  it('_position derives side from signed contracts and PnL percentage from margin', () => {
+    const ex = new Binance();
+    const p = ex._position({ symbol: 'BTC/USDT:USDT', contracts: -2, unrealizedPnl: 5, initialMargin: 50, timestamp: 1700000000000 });
+    assert.strictEqual(p.side, 'short');
+    assert.strictEqual(p.contracts, 2);
+    assert.strictEqual(p.percentage, 10);
+    assert.strictEqual(p.datetime, '2023-11-14T22:13:20.000Z');
+    assert.strictEqual(p.liquidationPrice, undefined);
+    assert.strictEqual(ex._position({ contracts: 1, side: 'short' }).side, 'short');
+  });
+
+  it('fetchPosition picks the symbol, and params.side the hedge-mode leg', async () => {
+    const ex = new Binance();
+    ex.fetchPositions = async () => [
+      ex._position({ symbol: 'BTC/USDT:USDT', side: 'long', contracts: 1 }),
+      ex._position({ symbol: 'BTC/USDT:USDT', side: 'short', contracts: 3 }),
+    ];
+    assert.strictEqual((await ex.fetchPosition('BTC/USDT:USDT')).side, 'long');
+    assert.strictEqual((await ex.fetchPosition('BTC/USDT:USDT', { side: 'short' })).contracts, 3);
+    assert.strictEqual(await ex.fetchPosition('ETH/USDT:USDT'), undefined);
+  });
+
+  it('closePosition sends a reduce-only market order for the position size', async () => {
+    const ex = new Binance();
+    const orders = [];
+    ex.fetchPositions = async () => [ex._position({ symbol: 'ETH/USDT:USDT', contracts: -4 })];
+    ex.createOrder = async (...args) => { orders.push(args); return { id: '1' }; };
+    await ex.closePosition('ETH/USDT:USDT');
+    assert.deepStrictEqual(orders[0], ['ETH/USDT:USDT', 'market', 'buy', 4, undefined, { reduceOnly: true }]);
+    await assert.rejects(() => ex.closePosition('BTC/USDT:USDT'), /no open BTC\/USDT:USDT position/);
+  });
+
+  it('exchanges without derivatives reject fetchPositions()', async () => {
+    await assert.rejects(() => new Binance().fetchPositions(), /fetchPositions\(\) not implemented/);
+  });
+});
+
+// =====================================================================
+// 29. Derivatives market data — unified funding rate and open interest
+// =====================================================================
+
+describe('Derivatives market data', () => {
+  const { Binance } = require('../');
+
+  it('_fundingRate fills defaults and both datetimes', () => {
+    const ex = new Binance();
+    const rate = ex._fundingRate({ symbol: 'BTC/USDT:USDT', fundingRate: 0.0001, fundingTimestamp: 1700006400000, timestamp: 1700000000000 });
+    assert.strictEqual(rate.fundingDatetime, '2023-11-15T00:00:00.000Z');
+    assert.strictEqual(rate.datetime, '2023-11-14T22:13:20.000Z');
+    assert.strictEqual(rate.nextFundingRate, undefined);
+    assert.strictEqual(rate.interval, undefined);
+    assert.strictEqual(ex._openInterest({ symbol: 'BTC/USDT:USDT', openInterestAmount: 5 }).openInterestValue, undefined);
+  });
+
+  it('fetchFundingRates falls back to one fetchFundingRate per symbol', async () => {
+    const ex = new Binance();
+    ex.fetchFundingRate = async (symbol) => ex._fundingRate({ symbol, fundingRate: 0.0001 });
+    const rates = await ex.fetchFundingRates(['BTC/USDT:USDT', 'ETH/USDT:USDT']);
+    assert.deepStrictEqual(Object.keys(rates), ['BTC/USDT:USDT', 'ETH/USDT:USDT']);
+    await assert.rejects(() => ex.fetchFundingRates(), /fetchFundingRates\(\) requires symbols/);
+  });
+
+  it('exchanges without derivatives reject the derivatives endpoints', async () => {
+    const ex = new Binance();
+    await assert.rejects(() => ex.fetchFundingRate('BTC/USDT:USDT'), /fetchFundingRate\(\) not implemented/);
+    await assert.rejects(() => ex.fetchOpenInterest('BTC/USDT:USDT'), /fetchOpenInterest\(\) not implemented/);
+    await assert.rejects(() => ex.fetchMarkOHLCV('BTC/USDT:USDT'), /fetchMarkOHLCV\(\) not implemented/);
+    await assert.rejects(() => ex.watchFundingRate('BTC/USDT:USDT', () => {}), /watchFundingRate\(\) not implemented/);
+  });
+
+  it('absolute request paths bypass the base URL', async () => {
+    const ex = new Binance();
+    let sent;
+    ex._fetch = async (url) => {
+      sent = url;
+      return { ok: true, status: 200, headers: new Map(), text: async () => '{}' };
+    };
+    await ex._performRequest('GET', 'https://fapi.example.com/v1/premiumIndex', { symbol: 'BTCUSDT' }, false);
+    assert.strictEqual(sent, 'https://fapi.example.com/v1/premiumIndex?symbol=BTCUSDT');
+  });
+});
+
+// =====================================================================
+// 30. Leverage & margin — unified leverage, margin change and risk tiers
+// =====================================================================
+
+describe('Leverage and margin', () => {
+  const { Binance, BadRequest } = require('../');
+
+  it('_leverageTiers numbers tiers and chains their bounds', () => {
+    const ex = new Binance();
+    const tiers = ex._leverageTiers('BTC/USDT:USDT', [
+      { maxNotional: 100000, maxLeverage: 100 },
+      { maxNotional: 500000, maxLeverage: 50 },
+      { minNotional: 600000, maxNotional: 1000000, maxLeverage: 20 },
+    ]);
+    assert.deepStrictEqual(tiers.map((t) => t.tier), [1, 2, 3]);
+    assert.deepStrictEqual(tiers.map((t) => t.minNotional), [0, 100000, 600000]);
+    assert.strictEqual(tiers[1].symbol, 'BTC/USDT:USDT');
+  });
+
+  it('_marginModification defaults to ok and fills the datetime', () => {
+    const ex = new Binance();
+    const m = ex._marginModification({ symbol: 'BTC/USDT:USDT', type: 'add', amount: 10, timestamp: 1700000000000 });
+    assert.strictEqual(m.status, 'ok');
+    assert.strictEqual(m.datetime, '2023-11-14T22:13:20.000Z');
+    assert.strictEqual(m.total, undefined);
+    assert.strictEqual(ex._leverage({ symbol: 'BTC/USDT:USDT' }).longLeverage, undefined);
+  });
+
+  it('_checkMarginMode accepts cross and isolated only', () => {
+    const ex = new Binance();
+    assert.strictEqual(ex._checkMarginMode('ISOLATED'), 'isolated');
+    assert.throws(() => ex._checkMarginMode('portfolio'), BadRequest);
+  });
+
+  it('fetchLeverageTiers falls back to one fetchMarketLeverageTiers per symbol', async () => {
+    const ex = new Binance();
+    ex.fetchMarketLeverageTiers = async (symbol) => ex._leverageTiers(symbol, [{ maxNotional: 1 }]);
+    const tiers = await ex.fetchLeverageTiers(['BTC/USDT:USDT', 'ETH/USDT:USDT']);
+    assert.deepStrictEqual(Object.keys(tiers), ['BTC/USDT:USDT', 'ETH/USDT:USDT']);
+    await assert.rejects(() => ex.fetchLeverageTiers(), /fetchLeverageTiers\(\) requires symbols/);
+  });
+
+  it('exchanges without derivatives reject the leverage endpoints', async () => {
+    const ex = new Binance();
+    await assert.rejects(() => ex.setLeverage(10, 'BTC/USDT:USDT'), /setLeverage\(\) not implemented/);
+    await assert.rejects(() => ex.addMargin('BTC/USDT:USDT', 10), /addMargin\(\) not implemented/);
+    await assert.rejects(() => ex.reduceMargin('BTC/USDT:USDT', 10), /reduceMargin\(\) not implemented/);
+    await assert.rejects(() => ex.setPositionMode(true), /setPositionMode\(\) not implemented/);
+  });
+});
+
+// =====================================================================
+// 31. Spot margin — borrow/repay, borrow rates, interest and margin balances
+// =====================================================================
+
+describe('Spot margin', () => {
+  const { Binance, BadRequest } = require('../');
+  let ex;
+  let calls;
+  let replies;
+
+  beforeEach(() => {
+    ex = new Binance({ apiKey: 'k', secret: 's' });
+    calls = [];
+    replies = [];
+    ex._request = async (method, path, params, signed, weight) => {
+      calls.push({ method, path, params, weight });
+      return replies.shift();
+    };
+  });
+
+  it('_balanceParams treats type margin and a marginMode as the margin account', () => {
+    assert.deepStrictEqual(ex._balanceParams({ type: 'margin', recvWindow: 1 }), { account: 'margin', marginMode: 'cross', params: { recvWindow: 1 } });
+    assert.strictEqual(ex._balanceParams({ marginMode: 'ISOLATED' }).marginMode, 'isolated');
+    assert.deepStrictEqual(ex._balanceParams({ account: 'funding' }), { account: 'funding', marginMode: undefined, params: {} });
+    assert.deepStrictEqual(ex._marginOrderParams({ marginMode: 'cross', a: 1 }), { marginMode: 'cross', params: { a: 1 } });
+    assert.throws(() => ex._marginOrderParams({ marginMode: 'portfolio' }), BadRequest);
+  });
+
+  it('_borrowInterest derives the margin mode from the symbol', () => {
+    assert.strictEqual(ex._borrowInterest({ currency: 'BTC' }).marginMode, 'cross');
+    assert.strictEqual(ex._borrowInterest({ currency: 'BTC', symbol: 'BTC/USDT' }).marginMode, 'isolated');
+    assert.strictEqual(ex._borrowRate({ currency: 'BTC', timestamp: 1700000000000 }).period, 3600000);
+  });
+
+  it('borrowMargin and repayMargin use borrow-repay with isIsolated', async () => {
+    replies.push({ tranId: 100 }, { tranId: 101 });
+    const loan = await ex.borrowMargin('btc', 0.5);
+    const repay = await ex.repayMargin('USDT', 100, 'BTC/USDT');
+    assert.strictEqual(calls[0].path, '/sapi/v1/margin/borrow-repay');
+    assert.deepStrictEqual(calls[0].params, { asset: 'BTC', amount: '0.5', type: 'BORROW', isIsolated: 'FALSE' });
+    assert.deepStrictEqual(calls[1].params, { asset: 'USDT', amount: '100', type: 'REPAY', isIsolated: 'TRUE', symbol: 'BTCUSDT' });
+    assert.deepStrictEqual([loan.id, loan.currency, loan.amount, loan.symbol], ['100', 'BTC', 0.5, undefined]);
+    assert.strictEqual(repay.symbol, 'BTC/USDT');
+    await assert.rejects(() => ex.borrowMargin('BTC', 0), /requires a positive amount/);
+  });
+
+  it('fetchBorrowRate and fetchBorrowInterest read the SAPI margin endpoints', async () => {
+    replies.push([{ asset: 'BTC', nextHourlyInterestRate: '0.00000208' }]);
+    replies.push({ rows: [
+      { asset: 'BTC', interest: '0.0002', interestRate: '0.00000208', principal: '1', interestAccuredTime: 1700003600000, isolatedSymbol: 'BTCUSDT' },
+      { asset: 'BTC', interest: '0.0001', interestRate: '0.00000208', principal: '1', interestAccuredTime: 1700000000000, isolatedSymbol: 'BTCUSDT' },
+    ] });
+    const rate = await ex.fetchBorrowRate('BTC');
+    const interest = await ex.fetchBorrowInterest('BTC', 'BTC/USDT', 1699999999999, 500);
+    assert.strictEqual(calls[0].weight, 100);
+    assert.deepStrictEqual([rate.currency, rate.rate, rate.period], ['BTC', 0.00000208, 3600000]);
+    assert.deepStrictEqual(calls[1].params, { asset: 'BTC', isolatedSymbol: 'BTCUSDT', startTime: 1699999999999, size: 100 });
+    assert.deepStrictEqual(interest.map((i) => i.interest), [0.0001, 0.0002]);
+    assert.deepStrictEqual([interest[0].symbol, interest[0].marginMode, interest[0].amountBorrowed], ['BTC/USDT', 'isolated', 1]);
+  });
+
+  it('fetchBalance({ type: margin }) reports debts; isolated needs a symbol', async () => {
+    replies.push({ userAssets: [
+      { asset: 'BTC', free: '0.1', locked: '0.5', borrowed: '0.2', interest: '0.001' },
+      { asset: 'ETH', free: '0', locked: '0', borrowed: '0', interest: '0' },
+    ] });
+    replies.push({ assets: [{ symbol: 'BTCUSDT',
+      baseAsset: { asset: 'BTC', free: '1', locked: '0', borrowed: '0', interest: '0' },
+      quoteAsset: { asset: 'USDT', free: '0', locked: '0', borrowed: '500', interest: '1' } }] });
+    const cross = await ex.fetchBalance({ type: 'margin' });
+    const isolated = await ex.fetchBalance({ type: 'margin', marginMode: 'isolated', symbol: 'BTC/USDT' });
+    assert.strictEqual(calls[0].path, '/sapi/v1/margin/account');
+    assert.deepStrictEqual(cross.BTC, { free: 0.1, used: 0.5, total: 0.6, debt: 0.201 });
+    assert.strictEqual(cross.ETH, undefined);
+    assert.deepStrictEqual(calls[1].params, { symbols: 'BTCUSDT' });
+    assert.deepStrictEqual(isolated.USDT, { free: 0, used: 0, total: 0, debt: 501 });
+    await assert.rejects(() => ex.fetchBalance({ marginMode: 'isolated' }), /requires params.symbol/);
+  });
+
+  it('createOrder and cancelOrder route margin orders to the SAPI endpoints', async () => {
+    replies.push({ symbol: 'BTCUSDT', orderId: 1, status: 'NEW', side: 'SELL', type: 'LIMIT' }, { symbol: 'BTCUSDT', orderId: 1, status: 'CANCELED' });
+    await ex.createOrder('BTC/USDT', 'limit', 'sell', 0.01, 60000, { marginMode: 'isolated', sideEffectType: 'MARGIN_BUY' });
+    await ex.cancelOrder('1', 'BTC/USDT', { marginMode: 'isolated' });
+    assert.strictEqual(calls[0].path, '/sapi/v1/margin/order');
+    assert.strictEqual(calls[0].params.isIsolated, 'TRUE');
+    assert.strictEqual(calls[0].params.sideEffectType, 'MARGIN_BUY');
+    assert.strictEqual(calls[0].params.marginMode, undefined);
+    assert.strictEqual(calls[1].method, 'DELETE');
+    assert.strictEqual(calls[1].path, '/sapi/v1/margin/order');
+    assert.deepStrictEqual([calls[1].params.orderId, calls[1].params.isIsolated], ['1', 'TRUE']);
+  });
+});
+
+// =====================================================================
+// 32. WebSocket API — opt-in trading over wsApi with request ids
+// =====================================================================
+
+describe('WebSocket API trading', () => {
+  const { afterEach } = require('node:test');
+  const crypto = require('crypto');
+  const { WebSocketServer } = require('ws');
+  const { Binance, InsufficientFunds, RequestTimeout } = require('../');
+
+  const order = {
+    symbol: 'BTCUSDT', orderId: 42, clientOrderId: 'abc', price: '50000.00', origQty: '0.01',
+    executedQty: '0', status: 'NEW', type: 'LIMIT', side: 'BUY', transactTime: 1700000000000,
+  };
+  let server;
+  let received;
+  let reply;
+
+  beforeEach(async () => {
+    received = [];
+    reply = (msg) => ({ id: msg.id, status: 200, result: order, rateLimits: [{ rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: 6000, count: 7 }] });
+    server = new WebSocketServer({ port: 0 });
+    await new Promise((resolve) => server.on('listening', resolve));
+    server.on('connection', (socket) => {
+      socket.on('message', (raw) => {
+        const msg = JSON.parse(raw.toString());
+        received.push(msg);
+        const response = reply(msg, socket);
+        if (response) socket.send(JSON.stringify(response));
+      });
+    });
+  });
+
+  afterEach(() => new Promise((resolve) => server.close(resolve)));
+
+  function exchange(config = {}) {
+    const ex = new Binance({ apiKey: 'k', secret: 's', enableRateLimit: false, options: { wsApi: true }, ...config });
+    ex.urls.wsApi = 'ws://127.0.0.1:' + server.address().port + '/ws-api/v3';
+    ex._request = async (method, path) => { throw new Error('unexpected REST call ' + method + ' ' + path); };
+    return ex;
+  }
+
+  it('sends orders over the WS API with an HMAC signature on each request', async () => {
+    const ex = exchange();
+    try {
+      const created = await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 50000);
+      await ex.fetchOrder('42', 'BTC/USDT');
+      assert.strictEqual(created.id, '42');
+      assert.deepStrictEqual(received.map((m) => m.method), ['order.place', 'order.status']);
+      assert.notStrictEqual(received[0].id, received[1].id);
+      const { signature, ...signed } = received[0].params;
+      const payload = Object.keys(signed).sort().map((key) => key + '=' + signed[key]).join('&');
+      assert.strictEqual(signature, crypto.createHmac('sha256', 's').update(payload).digest('hex'));
+      assert.strictEqual(signed.apiKey, 'k');
+      assert.strictEqual(ex._weightUsed, 7);
+    } finally {
+      await ex.closeAllWs();
+    }
+  });
+
+  it('routes cancel, cancelReplace, open orders and balance to their WS API methods', async () => {
+    reply = (msg) => {
+      const results = {
+        'order.cancel': { ...order, status: 'CANCELED' },
+        'order.cancelReplace': { cancelResult: 'SUCCESS', newOrderResult: 'SUCCESS', newOrderResponse: { ...order, orderId: 43 } },
+        'openOrders.status': [order],
+        'account.status': { balances: [{ asset: 'BTC', free: '0.5', locked: '0.25' }] },
+      };
+      return { id: msg.id, status: 200, result: results[msg.method] };
+    };
+    const ex = exchange();
+    try {
+      assert.strictEqual((await ex.cancelOrder('42', 'BTC/USDT')).status, 'CANCELED');
+      assert.strictEqual((await ex.editOrder('42', 'BTC/USDT', 'limit', 'buy', 0.01, 50100)).id, '43');
+      assert.strictEqual((await ex.fetchOpenOrders('BTC/USDT')).length, 1);
+      assert.strictEqual((await ex.fetchBalance()).BTC.total, 0.75);
+      assert.deepStrictEqual(received.map((m) => m.method), ['order.cancel', 'order.cancelReplace', 'openOrders.status', 'account.status']);
+      assert.strictEqual(received[1].params.cancelOrderId, '42');
+      assert.strictEqual(received[3].params.omitZeroBalances, true);
+    } finally {
+      await ex.closeAllWs();
+    }
+  });
+
+  it('maps WS API errors like REST errors', async () => {
+    reply = (msg) => ({ id: msg.id, status: 400, error: { code: -2010, msg: 'Account has insufficient balance for requested action.' } });
+    const ex = exchange();
+    try {
+      await assert.rejects(() => ex.createOrder('BTC/USDT', 'limit', 'buy', 1, 50000), InsufficientFunds);
+    } finally {
+      await ex.closeAllWs();
+    }
+  });
+
+  it('logs an Ed25519 session on once and subscribes to user data without a listen key', async () => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    reply = (msg, socket) => {
+      if (msg.method === 'userDataStream.subscribe') {
+        setTimeout(() => socket.send(JSON.stringify({
+          subscriptionId: 0,
+          event: { e: 'executionReport', E: 1700000000100, s: 'BTCUSDT', c: 'abc', S: 'BUY', o: 'LIMIT', q: '0.01', p: '50000.00', X: 'FILLED', i: 42, z: '0.01', T: 1700000000100 },
+        })), 20);
+        return { id: msg.id, status: 200, result: { subscriptionId: 0 } };
+      }
+      return { id: msg.id, status: 200, result: msg.method === 'session.logon' ? { apiKey: 'k' } : order };
+    };
+    const ex = exchange({ secret: privateKey.export({ type: 'pkcs8', format: 'pem' }) });
+    ex.createListenKey = async () => { throw new Error('listen key requested'); };
+    try {
+      const update = new Promise((resolve) => { ex.watchOrders(resolve); });
+      assert.strictEqual((await update).status, 'FILLED');
+      await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 50000);
+      assert.deepStrictEqual(received.map((m) => m.method), ['session.logon', 'userDataStream.subscribe', 'order.place']);
+
+      const { signature, ...logon } = received[0].params;
+      const payload = Object.keys(logon).sort().map((key) => key + '=' + logon[key]).join('&');
+      assert.ok(crypto.verify(null, Buffer.from(payload), publicKey, Buffer.from(signature, 'base64')));
+      assert.deepStrictEqual(received[1].params, {});
+      assert.strictEqual(received[2].params.signature, undefined);
+      assert.strictEqual(received[2].params.apiKey, undefined);
+      assert.ok(received[2].params.timestamp > 0);
+    } finally {
+      await ex.closeAllWs();
+    }
+  });
+
+  it('reports a failed user data resubscribe on reconnect only to error listeners', async () => {
+    const ex = exchange();
+    try {
+      const client = await ex._wsApiConnect();
+      ex._wsApiUserData = true;
+      ex._subscribeWsApiUserData = async () => { throw new Error('resubscribe failed'); };
+      client.emit('open');
+      await new Promise(setImmediate);
+
+      const errors = [];
+      ex.on('error', (err) => errors.push(err.message));
+      client.emit('open');
+      await new Promise(setImmediate);
+      assert.deepStrictEqual(errors, ['resubscribe failed']);
+    } finally {
+      await ex.closeAllWs();
+    }
+  });
+
+  it('rejects with RequestTimeout when no reply arrives', async () => {
+    reply = () => undefined;
+    const ex = exchange({ timeout: 100 });
+    try {
+      await assert.rejects(() => ex.fetchBalance(), RequestTimeout);
+      assert.strictEqual(ex._wsRequests.size, 0);
+    } finally {
+      await ex.closeAllWs();
+    }
+  });
+
+  it('keeps REST when wsApi is off and for margin orders', async () => {
+    const ex = new Binance({ apiKey: 'k', secret: 's', options: { wsApi: true } });
+    const calls = [];
+    ex._request = async (method, path) => { calls.push(path); return order; };
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 50000, { marginMode: 'cross' });
+    const rest = new Binance({ apiKey: 'k', secret: 's' });
+    rest._request = async (method, path) => { calls.push(path); return order; };
+    await rest.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 50000);
+    assert.deepStrictEqual(calls, ['/sapi/v1/margin/order', '/api/v3/order']);
   });
 });
@@ -740,6 +740,93 @@ describe('Bitfinex Mocked API Calls', () => {
     assert.strictEqual(params.price, '50000');
   });
 
+  it('editOrder posts order/update with signed amount', async () => {
+    const orderArray = new Array(32).fill(null);
+    orderArray[0] = 88888;
+    orderArray[3] = 'tBTCUSD';
+    orderArray[6] = -0.2;
+    orderArray[7] = -0.2;
+    orderArray[8] = 'EXCHANGE LIMIT';
+    orderArray[13] = 'ACTIVE';
+    orderArray[16] = 51000;
+
+    ex._request = mock.fn(async () => [1700000000000, 'ou-req', null, null, orderArray, null, 'SUCCESS', 'Submitting update']);
+
+    const result = await ex.editOrder('88888', 'BTC/USD', 'limit', 'sell', 0.2, 51000, { postOnly: true });
+    assert.strictEqual(result.id, '88888');
+    assert.strictEqual(result.price, 51000);
+
+    const call = ex._request.mock.calls[0];
+    assert.ok(call.arguments[1].includes('order/update'));
+    const params = call.arguments[2];
+    assert.strictEqual(params.id, 88888);
+    assert.strictEqual(params.amount, '-0.2');
+    assert.strictEqual(params.price, '51000');
+    assert.strictEqual(params.flags, 4096);
+  });
+
+  it('createOrders sends on ops to order/multi with per-order status', async () => {
+    const orderArray = new Array(32).fill(null);
+    orderArray[0] = 55555;
+    orderArray[3] = 'tBTCUSD';
+    orderArray[6] = 0.1;
+    orderArray[7] = 0.1;
+    orderArray[8] = 'EXCHANGE LIMIT';
+    orderArray[13] = 'ACTIVE';
+    orderArray[16] = 50000;
+    ex._request = mock.fn(async () => [1700000000000, 'ox_multi-req', null, null, [
+      [1700000000000, 'on-req', null, null, orderArray, null, 'SUCCESS', 'Submitting exchange limit buy order'],
+      [1700000000000, 'on-req', null, null, [], null, 'ERROR', 'Invalid order: not enough exchange balance'],
+    ], null, 'SUCCESS', 'Submitting 2 orders']);
+
+    const results = await ex.createOrders([
+      { symbol: 'BTC/USD', type: 'limit', side: 'buy', amount: 0.1, price: 50000 },
+      { symbol: 'BTC/USD', type: 'limit', side: 'sell', amount: 100, price: 60000 },
+    ]);
+    const params = ex._request.mock.calls[0].arguments[2];
+    assert.ok(ex._request.mock.calls[0].arguments[1].includes('order/multi'));
+    assert.deepStrictEqual(params.ops.map((op) => op[0]), ['on', 'on']);
+    assert.strictEqual(params.ops[1][1].amount, '-100');
+    assert.strictEqual(results[0].order.id, '55555');
+    assert.strictEqual(results[1].success, false);
+    assert.ok(results[1].error instanceof InvalidOrder);
+  });
+
+  it('cancelOrders marks ids missing from the cancel reply as not found', async () => {
+    const orderArray = new Array(32).fill(null);
+    orderArray[0] = 111;
+    orderArray[3] = 'tBTCUSD';
+    ex._request = mock.fn(async () => [1700000000000, 'oc_multi-req', null, null, [orderArray], null, 'SUCCESS', '']);
+    const results = await ex.cancelOrders(['111', '222']);
+    assert.deepStrictEqual(ex._request.mock.calls[0].arguments[2].id, [111, 222]);
+    assert.strictEqual(results[0].order.status, 'CANCELED');
+    assert.ok(results[1].error instanceof OrderNotFound);
+  });
+
+  it('createOrder sends an integer clientOrderId as cid and rejects other ids', async () => {
+    ex._request = mock.fn(async () => [1700000000000, 'on-req', null, null, [], null, 'SUCCESS', 'OK']);
+    await ex.createOrder('BTC/USD', 'limit', 'buy', 0.1, 40000, { clientOrderId: '123456' });
+    const params = ex._request.mock.calls[0].arguments[2];
+    assert.strictEqual(params.cid, 123456);
+    assert.strictEqual(params.clientOrderId, undefined);
+    await assert.rejects(() => ex.createOrder('BTC/USD', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'bot-1' }), InvalidOrder);
+  });
+
+  it('fetchOrder and cancelOrder find orders by cid', async () => {
+    const orderArray = new Array(32).fill(null);
+    orderArray[0] = 111;
+    orderArray[2] = 123456;
+    orderArray[3] = 'tBTCUSD';
+    orderArray[13] = 'ACTIVE';
+    ex._request = mock.fn(async (method, path) => (path === '/v2/auth/r/orders' ? [orderArray] : [0, 'oc-req', null, null, orderArray, null, 'SUCCESS', '']));
+    const order = await ex.fetchOrder(undefined, 'BTC/USD', { clientOrderId: '123456' });
+    assert.strictEqual(order.id, '111');
+    assert.strictEqual(order.clientOrderId, '123456');
+    const canceled = await ex.cancelOrder(undefined, 'BTC/USD', { clientOrderId: '123456', cidDate: '2026-01-02' });
+    assert.deepStrictEqual(ex._request.mock.calls[1].arguments[2], { cid: 123456, cid_date: '2026-01-02' });
+    assert.strictEqual(canceled.clientOrderId, '123456');
+  });
+
   it('createOrder uses negative amount for sell', async () => {
     const orderArray = new Array(32).fill(null);
     orderArray[0] = 77777;
@@ -998,3 +1085,371 @@ describe('Crypto — hmacSHA384Hex', () => {
     assert.strictEqual(result, hmacSHA384Hex('', ''));
   });
 });
+
+// =============================================================================
+// 14. WEBSOCKET — LOCAL ORDER BOOK
+// =============================================================================
+
+describe('Bitfinex watchOrderBook', () => {
+  it('applies single-level updates to the snapshot', async () => {
+    const exchange = new Bitfinex();
+    let handler;
+    exchange._ensureWsConnected = async () => ({ send: () => {} });
+    exchange._subscribePublic = async (channel, symbol, cb) => { handler = cb; };
+    const books = [];
+    await exchange.watchOrderBook('BTC/USD', (b) => books.push(b));
+
+    handler([1, [[100, 1, 2], [99, 1, 1], [101, 1, -3]]]);
+    handler([1, [99.5, 2, 0.5]]);   // new bid
+    handler([1, [100, 0, 1]]);      // remove bid 100
+    handler([1, [101, 2, -1.5]]);   // change ask 101
+
+    const book = books[books.length - 1];
+    assert.strictEqual(books.length, 4);
+    assert.deepStrictEqual(book.bids, [[99.5, 0.5], [99, 1]]);
+    assert.deepStrictEqual(book.asks, [[101, 1.5]]);
+  });
+  it('verifies cs messages and resubscribes on mismatch', async () => {
+    const exchange = new Bitfinex();
+    const sent = [];
+    let handler;
+    exchange._ensureWsConnected = async () => ({ send: (m) => sent.push(m) });
+    exchange._subscribePublic = async (channel, symbol, cb) => { handler = cb; };
+    exchange._wsChannelMap.set(7, { channel: 'book', symbol: 'BTC/USD', key: 'book:tBTCUSD' });
+    const mismatches = [];
+    exchange.on('checksumMismatch', (e) => mismatches.push(e));
+    await exchange.watchOrderBook('BTC/USD', () => {});
+    assert.deepStrictEqual(sent[0], { event: 'conf', flags: 131072 });
+
+    handler([7, [[100, 1, 2], [101, 1, -3]]]);
+    handler([7, 'cs', ygcc.crc32('100:2:101:-3') | 0]);
+    assert.strictEqual(mismatches.length, 0);
+
+    handler([7, [100, 1, 2.5]]);
+    handler([7, 'cs', 42]);
+    await new Promise((r) => setImmediate(r));
+    assert.strictEqual(mismatches.length, 1);
+    assert.deepStrictEqual(sent.slice(1), [
+      { event: 'unsubscribe', chanId: 7 },
+      { event: 'subscribe', channel: 'book', symbol: 'tBTCUSD', prec: 'P0', len: '25' },
+    ]);
+  });
+});
+
+// =============================================================================
+// 15. FUNDING — deposit address, movements, withdraw, fee config
+// =============================================================================
+
+describe('Bitfinex funding', () => {
+  let exchange;
+  let calls;
+
+  beforeEach(() => {
+    exchange = new Bitfinex({ apiKey: 'k', secret: 's' });
+    calls = [];
+    exchange._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      if (path === '/v2/conf/pub:map:tx:method') return [[['BITCOIN', ['BTC']], ['TETHERUSE', ['UST']]]];
+      if (path === '/v2/conf/pub:map:currency:tx:fee') return [[['BTC', [0, 0.0004]], ['UST', [0, 1]]]];
+      if (path === '/v2/auth/w/deposit/address') {
+        return [1700000000000, 'acc_dep', null, null, [null, 'BITCOIN', 'BTC', null, 'bc1qaddr', null], null, 'SUCCESS', 'ok'];
+      }
+      if (path === '/v2/auth/w/withdraw') {
+        return [1700000000000, 'acc_wd-req', null, null, [13080092, null, 'tetherusx', null, 'exchange', 25, null, null, 1], null, 'SUCCESS', 'ok'];
+      }
+      return [
+        [13105603, 'UST', 'TETHERUSX', null, null, 1700000000000, 1700000100000, null, null, 'COMPLETED', null, null, -25, -1, null, null, 'TXyz', null, null, null, '0xh', null],
+        [13105604, 'UST', 'TETHERUSE', null, null, 1700000200000, 1700000300000, null, null, 'PENDING REVIEW', null, null, 100, 0, null, null, '0xa', null, null, null, null, null],
+      ];
+    };
+  });
+
+  it('looks up the default method and parses the address', async () => {
+    const addr = await exchange.fetchDepositAddress('BTC');
+    await exchange.fetchDepositAddress('BTC');
+    assert.strictEqual(calls.filter((c) => c.path === '/v2/conf/pub:map:tx:method').length, 1);
+    assert.deepStrictEqual(calls[1].params, { wallet: 'exchange', method: 'bitcoin', op_renew: 0 });
+    assert.strictEqual(addr.address, 'bc1qaddr');
+    assert.strictEqual(addr.network, 'BTC');
+    await exchange.createDepositAddress('USDT', { network: 'TRC20' });
+    assert.deepStrictEqual(calls[3].params, { wallet: 'exchange', method: 'tetherusx', op_renew: 1 });
+  });
+
+  it('splits movements into deposits and withdrawals', async () => {
+    const withdrawals = await exchange.fetchWithdrawals('USDT', 1690000000000, 50);
+    assert.strictEqual(calls[0].path, '/v2/auth/r/movements/UST/hist');
+    assert.deepStrictEqual(calls[0].params, { start: 1690000000000, limit: 50 });
+    assert.strictEqual(withdrawals.length, 1);
+    assert.strictEqual(withdrawals[0].currency, 'USDT');
+    assert.strictEqual(withdrawals[0].network, 'TRC20');
+    assert.strictEqual(withdrawals[0].amount, 25);
+    assert.deepStrictEqual(withdrawals[0].fee, { cost: 1, currency: 'USDT' });
+    const [deposit] = await exchange.fetchDeposits();
+    assert.strictEqual(calls[1].path, '/v2/auth/r/movements/hist');
+    assert.strictEqual(deposit.status, 'pending');
+    assert.strictEqual(deposit.network, 'ERC20');
+  });
+
+  it('withdraw sends the method and surfaces notification errors', async () => {
+    const tx = await exchange.withdraw('USDT', 25, 'TXyz', undefined, { network: 'TRC20' });
+    assert.deepStrictEqual(calls[0].params, { wallet: 'exchange', method: 'tetherusx', amount: '25', address: 'TXyz' });
+    assert.strictEqual(tx.id, '13080092');
+    assert.deepStrictEqual(tx.fee, { cost: 1, currency: 'USDT' });
+    exchange._request = async () => [1700000000000, 'acc_wd-req', null, null, [], null, 'ERROR', 'Invalid address'];
+    await assert.rejects(() => exchange.withdraw('USDT', 25, 'bad', undefined, { network: 'TRC20' }), /Invalid address/);
+  });
+
+  it('fetchDepositWithdrawFees reads the public fee map', async () => {
+    const fees = await exchange.fetchDepositWithdrawFees(['USDT']);
+    assert.deepStrictEqual(Object.keys(fees), ['USDT']);
+    assert.deepStrictEqual(fees.USDT.withdraw, { fee: 1, percentage: false });
+  });
+});
+
+// =============================================================================
+// 16. TRANSFERS — wallet transfer and ledger history
+// =============================================================================
+
+describe('Bitfinex transfers', () => {
+  let exchange;
+  let calls;
+
+  beforeEach(() => {
+    exchange = new Bitfinex({ apiKey: 'k', secret: 's' });
+    calls = [];
+    exchange._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      if (path === '/v2/auth/w/transfer') {
+        return [1700000000000, 'acc_tf', null, null, [1700000000000, 'exchange', 'margin', null, 'UST', 'UST', null, 50], null, 'SUCCESS', '50.0 Tether USDt transfered from Exchange to Margin'];
+      }
+      return [
+        [2531822314, 'UST', null, 1700000000000, null, -50, 950, null, 'Transfer of 50.0 UST from wallet Exchange to Margin on wallet exchange'],
+        [2531822315, 'UST', null, 1700000000000, null, 50, 50, null, 'Transfer of 50.0 UST from wallet Exchange to Margin on wallet margin'],
+        [2531822316, 'UST', null, 1700000100000, null, -10, 40, null, 'Transfer of 10.0 UST from wallet Margin to Deposit on wallet margin'],
+      ];
+    };
+  });
+
+  it('transfer posts wallets and the short currency', async () => {
+    const t = await exchange.transfer('USDT', 50, 'spot', 'margin');
+    assert.strictEqual(calls[0].path, '/v2/auth/w/transfer');
+    assert.deepStrictEqual(calls[0].params, { from: 'exchange', to: 'margin', currency: 'UST', currency_to: 'UST', amount: '50' });
+    assert.strictEqual(t.currency, 'USDT');
+    assert.strictEqual(t.fromAccount, 'spot');
+    assert.strictEqual(t.toAccount, 'margin');
+    assert.strictEqual(t.timestamp, 1700000000000);
+  });
+
+  it('transfer to another account sets email_dst; from one is refused', async () => {
+    const t = await exchange.transfer('BTC', 1, 'spot', 'spot', { toSubAccount: 'sub@x.io' });
+    assert.strictEqual(calls[0].params.email_dst, 'sub@x.io');
+    assert.strictEqual(t.toSubAccount, 'sub@x.io');
+    await assert.rejects(() => exchange.transfer('BTC', 1, 'spot', 'spot', { fromSubAccount: 'sub@x.io' }), BadRequest);
+  });
+
+  it('transfer surfaces an ERROR notification', async () => {
+    exchange._request = async () => [1700000000000, 'acc_tf', null, null, [], null, 'ERROR', 'insufficient balance'];
+    await assert.rejects(() => exchange.transfer('BTC', 1, 'spot', 'funding'), /insufficient balance/);
+  });
+
+  it('fetchTransfers returns the debit side of ledger transfers', async () => {
+    const list = await exchange.fetchTransfers('USDT', 1690000000000, 25);
+    assert.strictEqual(calls[0].path, '/v2/auth/r/ledgers/UST/hist');
+    assert.deepStrictEqual(calls[0].params, { category: 51, start: 1690000000000, limit: 25 });
+    assert.deepStrictEqual(list.map((t) => t.id), ['2531822314', '2531822316']);
+    assert.strictEqual(list[0].currency, 'USDT');
+    assert.strictEqual(list[0].amount, 50);
+    assert.strictEqual(list[0].fromAccount, 'spot');
+    assert.strictEqual(list[0].toAccount, 'margin');
+    assert.strictEqual(list[1].toAccount, 'funding');
+    await exchange.fetchTransfers();
+    assert.strictEqual(calls[1].path, '/v2/auth/r/ledgers/hist');
+  });
+
+  it('fetchBalance keeps the wallet named by params.account', async () => {
+    exchange._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return [['exchange', 'UST', 100, 0, 100], ['margin', 'UST', 40, 0, 30]];
+    };
+    const margin = await exchange.fetchBalance({ account: 'margin' });
+    assert.deepStrictEqual(calls[0].params, {});
+    assert.deepStrictEqual(margin.USDT, { free: 30, used: 10, total: 40 });
+    const spot = await exchange.fetchBalance();
+    assert.strictEqual(spot.USDT.total, 100);
+  });
+});
+
+// =============================================================================
+// 17. LEDGER — ledgers/hist with types read from the description
+// =============================================================================
+
+describe('Bitfinex ledger', () => {
+  let exchange;
+  let calls;
+
+  beforeEach(() => {
+    exchange = new Bitfinex({ apiKey: 'k', secret: 's' });
+    calls = [];
+    exchange._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return [
+        [6, 'UST', 'funding', 1700000500000, null, 0.8, 500.8, null, 'Margin Funding Payment on wallet funding'],
+        [5, 'UST', 'exchange', 1700000400000, null, -0.6, 699.4, null, 'Trading fees for 0.01 BTC (BTCUST) @ 30000 on BFX (0.2%) on wallet exchange'],
+        [4, 'UST', 'exchange', 1700000400000, null, -300, 700, null, 'Exchange 0.01 BTC for UST @ 30000 on wallet exchange'],
+        [3, 'UST', 'exchange', 1700000300000, null, -500, 1000, null, 'Transfer of 500.0 UST from wallet Exchange to Deposit on wallet exchange'],
+        [2, 'UST', 'exchange', 1700000200000, null, 0.1, 1500, null, 'Affiliate Rebate on wallet exchange'],
+        [1, 'UST', 'exchange', 1700000000000, null, 1499.9, 1499.9, null, 'Deposit (TETHERUSE) #13105604 on wallet exchange'],
+      ];
+    };
+  });
+
+  it('fetchLedger maps descriptions to types and wallets to accounts', async () => {
+    const list = await exchange.fetchLedger('USDT', 1690000000000, 25);
+    assert.strictEqual(calls[0].path, '/v2/auth/r/ledgers/UST/hist');
+    assert.deepStrictEqual(calls[0].params, { start: 1690000000000, limit: 25 });
+    assert.deepStrictEqual(list.map((e) => e.type), ['deposit', 'rebate', 'transfer', 'trade', 'fee', 'funding']);
+    assert.strictEqual(list[0].currency, 'USDT');
+    assert.strictEqual(list[0].account, 'spot');
+    assert.strictEqual(list[3].direction, 'out');
+    assert.strictEqual(list[3].amount, 300);
+    assert.strictEqual(list[3].before, 1000);
+    assert.strictEqual(list[5].account, 'funding');
+  });
+});
+
+// =============================================================================
+// 18. DERIVATIVES — perpetual status: funding, open interest, status channel
+// =============================================================================
+
+describe('Bitfinex derivatives', () => {
+  let exchange;
+  let calls;
+
+  // [KEY, MTS, _, DERIV_PRICE, SPOT_PRICE, _, INSURANCE, _, NEXT_FUNDING_EVT_MTS, ACCRUED, STEP, _,
+  //  CURRENT_FUNDING, _, _, MARK_PRICE, _, _, OPEN_INTEREST, ...]
+  const status = [
+    'tBTCF0:USTF0', 1700000000000, null, 60010, 59990, null, 100000, null, 1700006400000, 0.00005, 10, null,
+    0.0001, null, null, 60000, null, null, 1250.5, null, null, null, 0.0025, 0.005,
+  ];
+
+  beforeEach(() => {
+    exchange = new Bitfinex();
+    calls = [];
+    exchange._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return path.endsWith('/hist') ? [status.slice(1)] : [status];
+    };
+  });
+
+  it('maps perpetual symbols to F0 pairs and back', () => {
+    assert.strictEqual(exchange._toBitfinexSymbol('BTC/USDT:USDT'), 'tBTCF0:USTF0');
+    assert.strictEqual(exchange._fromBitfinexSymbol('tETHF0:USTF0'), 'ETH/USDT:USDT');
+    assert.strictEqual(exchange._toBitfinexSymbol('BTC/USDT'), 'tBTCUST');
+  });
+
+  it('fetchFundingRate reads the derivatives status', async () => {
+    const rate = await exchange.fetchFundingRate('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/v2/status/deriv');
+    assert.deepStrictEqual(calls[0].params, { keys: 'tBTCF0:USTF0' });
+    assert.strictEqual(rate.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(rate.fundingRate, 0.0001);
+    assert.strictEqual(rate.markPrice, 60000);
+    assert.strictEqual(rate.indexPrice, 59990);
+    assert.strictEqual(rate.fundingTimestamp, 1700006400000);
+    assert.strictEqual(rate.interval, '8h');
+    assert.strictEqual(rate.timestamp, 1700000000000);
+  });
+
+  it('fetchFundingRates asks for every key without symbols', async () => {
+    const rates = await exchange.fetchFundingRates();
+    assert.deepStrictEqual(calls[0].params, { keys: 'ALL' });
+    assert.deepStrictEqual(Object.keys(rates), ['BTC/USDT:USDT']);
+  });
+
+  it('fetchFundingRateHistory reads status snapshots in order', async () => {
+    const history = await exchange.fetchFundingRateHistory('BTC/USDT:USDT', 1690000000000, 10);
+    assert.strictEqual(calls[0].path, '/v2/status/deriv/tBTCF0:USTF0/hist');
+    assert.deepStrictEqual(calls[0].params, { limit: 10, start: 1690000000000, sort: 1 });
+    assert.deepStrictEqual([history[0].symbol, history[0].fundingRate, history[0].timestamp], ['BTC/USDT:USDT', 0.0001, 1700000000000]);
+  });
+
+  it('fetchOpenInterest values contracts at the mark price', async () => {
+    const oi = await exchange.fetchOpenInterest('BTC/USDT:USDT');
+    assert.strictEqual(oi.openInterestAmount, 1250.5);
+    assert.strictEqual(oi.openInterestValue, 1250.5 * 60000);
+  });
+
+  it('watchFundingRate and watchMarkPrice subscribe to the status channel by key', async () => {
+    const sent = [];
+    const handlers = [];
+    exchange._ensureWsConnected = async () => ({
+      send: (msg) => sent.push(msg),
+      on: (event, handler) => handlers.push(handler),
+    });
+    const funding = [];
+    const marks = [];
+    await exchange.watchFundingRate('BTC/USDT:USDT', (r) => funding.push(r));
+    await exchange.watchMarkPrice('BTC/USDT:USDT', (m) => marks.push(m));
+    assert.deepStrictEqual(sent[0], { event: 'subscribe', channel: 'status', key: 'deriv:tBTCF0:USTF0' });
+    for (const h of handlers) h({ event: 'subscribed', channel: 'status', chanId: 7, key: 'deriv:tBTCF0:USTF0' });
+    for (const h of handlers) h([7, status.slice(1)]);
+    assert.strictEqual(funding[0].fundingRate, 0.0001);
+    assert.deepStrictEqual([marks[0].symbol, marks[0].markPrice, marks[0].indexPrice], ['BTC/USDT:USDT', 60000, 59990]);
+  });
+});
+
+// =============================================================================
+// 19. MARGIN — margin wallet, margin order types, funding rate and interest
+// =============================================================================
+
+describe('Bitfinex margin', () => {
+  let ex;
+  let calls;
+  let replies;
+
+  beforeEach(() => {
+    ex = new Bitfinex({ apiKey: testApiKey, secret: testSecret });
+    calls = [];
+    replies = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return replies.shift();
+    };
+  });
+
+  it('fetchBalance({ type: margin }) reads the margin wallet', async () => {
+    replies.push([['exchange', 'USD', 100, 0, 100], ['margin', 'UST', 500, 0, 450]]);
+    const balance = await ex.fetchBalance({ type: 'margin' });
+    assert.deepStrictEqual(calls[0].params, {});
+    assert.deepStrictEqual(balance.USDT, { free: 450, used: 50, total: 500 });
+    assert.strictEqual(balance.USD, undefined);
+  });
+
+  it('margin orders drop the EXCHANGE prefix; isolated margin is rejected', async () => {
+    const request = ex._createOrderRequest('BTC/USD', 'limit', 'sell', 0.1, 60000, { marginMode: 'cross', timeInForce: 'IOC' });
+    assert.strictEqual(request.type, 'IOC');
+    assert.strictEqual(request.marginMode, undefined);
+    assert.strictEqual(ex._createOrderRequest('BTC/USD', 'market', 'buy', 0.1, undefined, {}).type, 'EXCHANGE MARKET');
+    assert.throws(() => ex._createOrderRequest('BTC/USD', 'limit', 'sell', 0.1, 60000, { marginMode: 'isolated' }), InvalidOrder);
+    assert.strictEqual(ex.has.borrowMargin, false);
+  });
+
+  it('fetchBorrowRate reads the flash return rate as a daily rate', async () => {
+    replies.push([0.0002, 0.00019, 30, 1000, 0.00021, 2, 500, 0, 0, 0.0002, 1e6, 0.0003, 0.0001, null, null, 5e5]);
+    const rate = await ex.fetchBorrowRate('USDT');
+    assert.strictEqual(calls[0].path, '/v2/ticker/fUST');
+    assert.deepStrictEqual([rate.currency, rate.rate, rate.period], ['USDT', 0.0002, 86400000]);
+  });
+
+  it('fetchBorrowInterest reads interest payments from the ledger', async () => {
+    replies.push([
+      [2, 'UST', 'margin', 1700086400000, null, -0.2, 499.6, null, 'Margin Funding Charge on wallet margin'],
+      [1, 'UST', 'margin', 1700000000000, null, -0.2, 499.8, null, 'Margin Funding Charge on wallet margin'],
+    ]);
+    const interest = await ex.fetchBorrowInterest('USDT', undefined, 1700000000000, 2);
+    assert.strictEqual(calls[0].path, '/v2/auth/r/ledgers/UST/hist');
+    assert.deepStrictEqual(calls[0].params, { category: 28, start: 1700000000000, limit: 2 });
+    assert.deepStrictEqual(interest.map((i) => i.timestamp), [1700000000000, 1700086400000]);
+    assert.deepStrictEqual([interest[0].currency, interest[0].interest, interest[0].marginMode], ['USDT', 0.2, 'cross']);
+  });
+});
@@ -510,6 +510,19 @@ describe('Bitforex Mocked API Calls', () => {
     );
   });
 
+  it('createOrder sends clientOrderId; orderInfo parses it', async () => {
+    let capturedParams;
+    mock.method(exchange, '_request', async (method, path, params) => {
+      capturedParams = params;
+      return { success: true, data: { orderId: 'ord-1', clientOrderId: 'mine' } };
+    });
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    assert.strictEqual(capturedParams.clientOrderId, 'mine');
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.strictEqual(exchange._parseOrder({ orderId: 'ord-1', clientOrderId: 'mine' }).clientOrderId, 'mine');
+    await assert.rejects(() => exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' }), /clientOrderId/);
+  });
+
   it('cancelOrder sends symbol and orderId', async () => {
     let capturedParams;
     mock.method(exchange, '_request', async (method, path, params) => {
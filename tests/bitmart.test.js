@@ -540,6 +540,41 @@ describe('BitMart Mocked API Calls', () => {
     assert.strictEqual(capturedParams.type, 'market');
   });
 
+  it('createOrder maps postOnly to limit_maker and IOC to ioc type', async () => {
+    let capturedParams;
+    mock.method(exchange, '_request', async (method, path, params) => {
+      capturedParams = params;
+      return { code: 1000, data: { order_id: '12347' } };
+    });
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.001, 50000, { postOnly: true });
+    assert.strictEqual(capturedParams.type, 'limit_maker');
+    assert.strictEqual(capturedParams.price, '50000');
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.001, 50000, { timeInForce: 'IOC' });
+    assert.strictEqual(capturedParams.type, 'ioc');
+    await assert.rejects(
+      () => exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.001, 50000, { timeInForce: 'FOK' }),
+      /does not support timeInForce FOK/
+    );
+  });
+
+  it('unified clientOrderId maps to client_order_id everywhere', async () => {
+    const calls = [];
+    mock.method(exchange, '_request', async (method, path, params) => {
+      calls.push({ path, params });
+      return { code: 1000, data: { order_id: '1', client_order_id: 'mine', symbol: 'BTC_USDT' } };
+    });
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    await exchange.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    await exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    assert.strictEqual(calls[0].params.client_order_id, 'mine');
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.strictEqual(calls[1].path, '/spot/v4/query/client-order');
+    assert.deepStrictEqual(calls[1].params, { clientOrderId: 'mine' });
+    assert.deepStrictEqual(calls[2].params, { symbol: 'BTC_USDT', client_order_id: 'mine' });
+  });
+
   it('cancelOrder sends POST to cancel_order', async () => {
     let capturedParams;
     mock.method(exchange, '_request', async (method, path, params) => {
@@ -532,6 +532,21 @@ describe('Bitrue Mocked API Calls', () => {
     assert.strictEqual(order.status, 'open');
   });
 
+  it('clientOrderId goes out as newClientOrderId and back as origClientOrderId', async () => {
+    const calls = [];
+    mock.method(exchange, '_request', async (method, path, params) => {
+      calls.push(params);
+      return { orderId: '123', clientOrderId: 'mine', symbol: 'BTCUSDT', status: 'NEW' };
+    });
+    await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    await exchange.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    await exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    assert.strictEqual(calls[0].newClientOrderId, 'mine');
+    assert.strictEqual(calls[0].clientOrderId, undefined);
+    assert.deepStrictEqual(calls[1], { symbol: 'BTCUSDT', origClientOrderId: 'mine' });
+    assert.deepStrictEqual(calls[2], { symbol: 'BTCUSDT', origClientOrderId: 'mine' });
+  });
+
   it('cancelOrder sends symbol and orderId', async () => {
     let capturedParams;
     mock.method(exchange, '_request', async (method, path, params) => {
@@ -654,6 +654,30 @@ describe('Bitstamp — Mocked API Calls', () => {
     assert.strictEqual(capturedParams.price, undefined);
   });
 
+  it('createOrder sends clientOrderId as client_order_id', async () => {
+    let capturedParams;
+    exchange._request = async (method, path, params) => {
+      capturedParams = params;
+      return { id: '1', price: '49500', amount: '0.1', client_order_id: params.client_order_id };
+    };
+    const order = await exchange.createOrder('BTC/USD', 'limit', 'buy', 0.1, 49500, { clientOrderId: 'mine' });
+    assert.strictEqual(capturedParams.client_order_id, 'mine');
+    assert.strictEqual(capturedParams.clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'mine');
+  });
+
+  it('fetchOrder looks orders up by client_order_id; cancelOrder cannot', async () => {
+    let capturedParams;
+    exchange._request = async (method, path, params) => {
+      capturedParams = params;
+      return { id: '1', status: 'Open', client_order_id: 'mine' };
+    };
+    const order = await exchange.fetchOrder(undefined, 'BTC/USD', { clientOrderId: 'mine' });
+    assert.deepStrictEqual(capturedParams, { client_order_id: 'mine' });
+    assert.strictEqual(order.clientOrderId, 'mine');
+    await assert.rejects(() => exchange.cancelOrder(undefined, 'BTC/USD', { clientOrderId: 'mine' }), /clientOrderId/);
+  });
+
   it('cancelOrder sends id in body', async () => {
     let capturedParams;
     exchange._request = async (method, path, params, signed) => {
@@ -646,6 +646,23 @@ describe('Bittrex — Mocked API Calls', () => {
     assert.strictEqual(capturedParams.limit, undefined);
   });
 
+  it('createOrder sends clientOrderId and parses it back', async () => {
+    let capturedParams;
+    exchange._request = async (method, path, params) => {
+      capturedParams = params;
+      return { id: 'uuid-1', marketSymbol: 'BTC-USDT', clientOrderId: params.clientOrderId, status: 'OPEN' };
+    };
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: '8a1f2c3d-0000-4000-8000-000000000001' });
+    assert.strictEqual(capturedParams.clientOrderId, '8a1f2c3d-0000-4000-8000-000000000001');
+    assert.strictEqual(order.clientOrderId, '8a1f2c3d-0000-4000-8000-000000000001');
+  });
+
+  it('generated clientOrderIds are UUIDs; lookups by them are refused', async () => {
+    assert.match(exchange._generateClientOrderId(), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    await assert.rejects(() => exchange.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'x' }), /clientOrderId/);
+    await assert.rejects(() => exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'x' }), /clientOrderId/);
+  });
+
   it('cancelOrder uses DELETE method with orderId in path', async () => {
     let capturedMethod, capturedPath;
     exchange._request = async (method, path, params, signed) => {
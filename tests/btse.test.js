@@ -497,6 +497,21 @@ describe('Btse Mocked API Calls', () => {
     );
   });
 
+  it('clientOrderId is sent and canceled by as clOrderID', async () => {
+    const calls = [];
+    mock.method(exchange, '_request', async (method, path, params) => {
+      calls.push(params);
+      return [{ orderID: 'order-1', clOrderID: 'mine' }];
+    });
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    const result = await exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    assert.strictEqual(calls[0].clOrderID, 'mine');
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.strictEqual(calls[1].orderID, '');
+    assert.strictEqual(calls[1].clOrderID, 'mine');
+    assert.strictEqual(result.clientOrderId, 'mine');
+  });
+
   it('cancelOrder sends DELETE with orderID in body', async () => {
     let capturedMethod, capturedPath, capturedParams;
     mock.method(exchange, '_request', async (method, path, params) => {
@@ -265,7 +265,7 @@ describe('Bybit Parsers', () => {
       };
 
       const ticker = ex._parseTicker(raw);
-      assert.strictEqual(ticker.symbol, 'BTCUSDT');
+      assert.strictEqual(ticker.symbol, 'BTC/USDT');
       assert.strictEqual(ticker.last, 97500);
       assert.strictEqual(ticker.high, 98200);
       assert.strictEqual(ticker.low, 96800);
@@ -293,7 +293,7 @@ describe('Bybit Parsers', () => {
         prevPrice24h: '3450.00', price24hPcnt: '0.01449',
       };
       const ticker = ex._parseWsTicker(raw);
-      assert.strictEqual(ticker.symbol, 'ETHUSDT');
+      assert.strictEqual(ticker.symbol, 'ETH/USDT');
       assert.strictEqual(ticker.last, 3500);
       assert.strictEqual(ticker.bid, 3499.9);
     });
@@ -320,7 +320,7 @@ describe('Bybit Parsers', () => {
       const order = ex._parseOrder(raw);
       assert.strictEqual(order.id, 'abcdef123456');
       assert.strictEqual(order.clientOrderId, 'myOrder1');
-      assert.strictEqual(order.symbol, 'BTCUSDT');
+      assert.strictEqual(order.symbol, 'BTC/USDT');
       assert.strictEqual(order.type, 'LIMIT');    // Normalized to UPPER
       assert.strictEqual(order.side, 'BUY');       // Normalized to UPPER
       assert.strictEqual(order.price, 95000);
@@ -453,7 +453,7 @@ describe('Bybit Parsers', () => {
       const trade = ex._parseMyTrade(raw);
       assert.strictEqual(trade.id, 'e-111');
       assert.strictEqual(trade.orderId, 'o-222');
-      assert.strictEqual(trade.symbol, 'BTCUSDT');
+      assert.strictEqual(trade.symbol, 'BTC/USDT');
       assert.strictEqual(trade.price, 97500);
       assert.strictEqual(trade.amount, 0.01);
       assert.strictEqual(trade.cost, 975);
@@ -498,6 +498,21 @@ describe('Bybit Helper Methods', () => {
     assert.strictEqual(ex._countDecimals('1'), 0);
     assert.strictEqual(ex._countDecimals('0.00000001'), 8);
   });
+
+  it('_toBybitSymbol accepts unified and raw symbols', () => {
+    const ex = new Bybit();
+    assert.strictEqual(ex._toBybitSymbol('BTC/USDT'), 'BTCUSDT');
+    assert.strictEqual(ex._toBybitSymbol('BTCUSDT'), 'BTCUSDT');
+    assert.strictEqual(ex._toBybitSymbol('ethusdt'), 'ETHUSDT');
+  });
+
+  it('_fromBybitSymbol prefers loaded markets, falls back to quote detection', () => {
+    const ex = new Bybit();
+    assert.strictEqual(ex._fromBybitSymbol('SOLUSDC'), 'SOL/USDC');
+    ex.marketsById = { ABCBTC: { symbol: 'ABC/BTC' } };
+    assert.strictEqual(ex._fromBybitSymbol('ABCBTC'), 'ABC/BTC');
+    assert.strictEqual(ex._fromBybitSymbol(undefined), undefined);
+  });
 });
 
 // =====================================================================
@@ -784,12 +799,12 @@ describe('Bybit API Methods (mocked)', () => {
 
       const markets = await ex.loadMarkets();
 
-      assert.ok(markets.BTCUSDT);
-      assert.ok(markets.ETHUSDT);
+      assert.ok(markets['BTC/USDT']);
+      assert.ok(markets['ETH/USDT']);
       assert.strictEqual(ex.symbols.length, 2);
       assert.ok(ex._marketsLoaded);
 
-      const btc = markets.BTCUSDT;
+      const btc = markets['BTC/USDT'];
       assert.strictEqual(btc.base, 'BTC');
       assert.strictEqual(btc.quote, 'USDT');
       assert.strictEqual(btc.active, true);
@@ -852,7 +867,7 @@ describe('Bybit API Methods (mocked)', () => {
       };
 
       const ticker = await ex.fetchTicker('BTCUSDT');
-      assert.strictEqual(ticker.symbol, 'BTCUSDT');
+      assert.strictEqual(ticker.symbol, 'BTC/USDT');
       assert.strictEqual(ticker.last, 97500);
       assert.strictEqual(ticker.bid, 97499);
       assert.strictEqual(ticker.ask, 97501);
@@ -887,7 +902,7 @@ describe('Bybit API Methods (mocked)', () => {
       };
 
       const book = await ex.fetchOrderBook('BTCUSDT', 50);
-      assert.strictEqual(book.symbol, 'BTCUSDT');
+      assert.strictEqual(book.symbol, 'BTC/USDT');
       assert.strictEqual(book.bids[0][0], 97500);
       assert.strictEqual(book.bids[0][1], 1.5);
       assert.strictEqual(book.asks[0][0], 97501);
@@ -1054,7 +1069,7 @@ describe('Bybit API Methods (mocked)', () => {
       });
 
       const fees = await ex.fetchTradingFees('BTCUSDT');
-      assert.strictEqual(fees.symbol, 'BTCUSDT');
+      assert.strictEqual(fees.symbol, 'BTC/USDT');
       assert.strictEqual(fees.maker, 0.001);
       assert.strictEqual(fees.taker, 0.001);
     });
@@ -1262,3 +1277,897 @@ describe('Bybit vs Binance — Key Architectural Differences', () => {
     }
   });
 });
+
+// =====================================================================
+// 13. Conditional orders — triggerPrice / stopLossPrice / takeProfitPrice
+// =====================================================================
+
+describe('Bybit conditional orders', () => {
+  const { Bybit, InvalidOrder } = require('../');
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'key', secret: 'secret' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { retCode: 0, retMsg: 'OK', result: { orderId: 'cond-1', orderLinkId: '' } };
+    };
+  });
+
+  it('reports stop-loss, take-profit and trigger support', () => {
+    assert.strictEqual(ex.has.createStopLossOrder, true);
+    assert.strictEqual(ex.has.createTakeProfitOrder, true);
+    assert.strictEqual(ex.has.createTriggerOrder, true);
+    assert.strictEqual(ex.has.createTrailingStopOrder, false);
+  });
+
+  it('spot stop loss uses triggerPrice with orderFilter tpslOrder', async () => {
+    const order = await ex.createStopLossOrder('BTCUSDT', 'limit', 'sell', 0.01, 89900, 90000);
+    assert.strictEqual(sent.path, '/v5/order/create');
+    assert.strictEqual(sent.params.triggerPrice, '90000');
+    assert.strictEqual(sent.params.orderFilter, 'tpslOrder');
+    assert.strictEqual(sent.params.price, '89900');
+    assert.strictEqual(sent.params.stopLossPrice, undefined);
+    assert.strictEqual(order.id, 'cond-1');
+  });
+
+  it('spot triggerPrice uses orderFilter StopOrder', async () => {
+    await ex.createOrder('BTCUSDT', 'market', 'buy', 0.01, undefined, { triggerPrice: 100000 });
+    assert.strictEqual(sent.params.triggerPrice, '100000');
+    assert.strictEqual(sent.params.orderFilter, 'StopOrder');
+  });
+
+  it('derivatives set triggerDirection from the order side', async () => {
+    await ex.createTakeProfitOrder('BTCUSDT', 'market', 'sell', 0.01, undefined, 110000, { category: 'linear' });
+    assert.strictEqual(sent.params.triggerDirection, 1); // rises to the trigger
+    await ex.createStopLossOrder('BTCUSDT', 'market', 'sell', 0.01, undefined, 90000, { category: 'linear' });
+    assert.strictEqual(sent.params.triggerDirection, 2); // falls to the trigger
+    assert.strictEqual(sent.params.orderFilter, undefined);
+  });
+
+  it('rejects trailing stops before sending', async () => {
+    sent = undefined;
+    await assert.rejects(() => ex.createTrailingStopOrder('BTCUSDT', 'market', 'sell', 0.01, undefined, 1), /not supported/);
+    await assert.rejects(() => ex.createOrder('BTCUSDT', 'market', 'sell', 0.01, undefined, { trailingPercent: 1 }), InvalidOrder);
+    assert.strictEqual(sent, undefined);
+  });
+});
+
+// =====================================================================
+// 14. Time in force — PostOnly / IOC / FOK and reduceOnly
+// =====================================================================
+
+describe('Bybit time in force', () => {
+  const { Bybit, InvalidOrder } = require('../');
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'key', secret: 'secret' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { retCode: 0, retMsg: 'OK', result: { orderId: 'tif-1', orderLinkId: '' } };
+    };
+  });
+
+  it('postOnly → timeInForce PostOnly, IOC passes through', async () => {
+    await ex.createOrder('BTCUSDT', 'limit', 'buy', 0.001, 95000, { postOnly: true });
+    assert.strictEqual(sent.params.timeInForce, 'PostOnly');
+    await ex.createOrder('BTCUSDT', 'limit', 'buy', 0.001, 95000, { timeInForce: 'ioc' });
+    assert.strictEqual(sent.params.timeInForce, 'IOC');
+  });
+
+  it('reduceOnly only outside spot', async () => {
+    await assert.rejects(() => ex.createOrder('BTCUSDT', 'market', 'sell', 0.001, undefined, { reduceOnly: true }), InvalidOrder);
+    await ex.createOrder('BTCUSDT', 'market', 'sell', 0.001, undefined, { reduceOnly: true, category: 'linear' });
+    assert.strictEqual(sent.params.reduceOnly, true);
+    assert.strictEqual(sent.params.category, 'linear');
+  });
+
+  it('parses PostOnly back to PO', () => {
+    const order = ex._parseOrder({ orderId: '1', symbol: 'BTCUSDT', side: 'Buy', orderType: 'Limit', orderStatus: 'New', timeInForce: 'PostOnly', reduceOnly: false });
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    assert.strictEqual(order.reduceOnly, false);
+  });
+});
+
+// =====================================================================
+// 15. editOrder — /v5/order/amend
+// =====================================================================
+
+describe('Bybit editOrder', () => {
+  const { Bybit } = require('../');
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'key', secret: 'secret' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { retCode: 0, retMsg: 'OK', result: { orderId: 'amend-1', orderLinkId: 'link-1' } };
+    };
+  });
+
+  it('maps amount/price to qty/price and returns a unified order', async () => {
+    const order = await ex.editOrder('amend-1', 'BTCUSDT', 'limit', 'sell', 0.002, 96000);
+    assert.strictEqual(sent.path, '/v5/order/amend');
+    assert.strictEqual(sent.params.orderId, 'amend-1');
+    assert.strictEqual(sent.params.qty, '0.002');
+    assert.strictEqual(sent.params.price, '96000');
+    assert.strictEqual(order.id, 'amend-1');
+    assert.strictEqual(order.clientOrderId, 'link-1');
+    assert.strictEqual(order.side, 'SELL');
+    assert.strictEqual(order.amount, 0.002);
+  });
+
+  it('amendOrder returns a parsed order', async () => {
+    const order = await ex.amendOrder('amend-1', 'BTCUSDT', { price: '95000' });
+    assert.strictEqual(order.id, 'amend-1');
+    assert.strictEqual(order.status, 'NEW');
+  });
+});
+
+// =====================================================================
+// 16. Batch orders — /v5/order/create-batch and /v5/order/cancel-batch
+// =====================================================================
+
+describe('Bybit batch orders', () => {
+  const { Bybit, InvalidOrder, InsufficientFunds } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'key', secret: 'secret' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params });
+      return {
+        retCode: 0,
+        retMsg: 'OK',
+        result: { list: params.request.map((r, i) => ({ orderId: 'b-' + i, orderLinkId: '', symbol: r.symbol })) },
+        retExtInfo: { list: params.request.map((r, i) => (i === 1 ? { code: 170131, msg: 'Insufficient balance.' } : { code: 0, msg: 'OK' })) },
+      };
+    };
+  });
+
+  it('createOrders sends the category once and reads retExtInfo per order', async () => {
+    const results = await ex.createOrders([
+      { symbol: 'BTCUSDT', type: 'limit', side: 'buy', amount: 0.001, price: 90000 },
+      { symbol: 'BTCUSDT', type: 'limit', side: 'buy', amount: 10, price: 90000 },
+    ]);
+    assert.strictEqual(calls[0].path, '/v5/order/create-batch');
+    assert.strictEqual(calls[0].params.category, 'spot');
+    assert.strictEqual(calls[0].params.request[0].category, undefined);
+    assert.strictEqual(calls[0].params.request[0].orderType, 'Limit');
+    assert.strictEqual(results[0].order.id, 'b-0');
+    assert.ok(results[1].error instanceof InsufficientFunds);
+  });
+
+  it('chunks 10 per request on spot and rejects a mismatched category', async () => {
+    const orders = Array.from({ length: 12 }, () => ({ symbol: 'BTCUSDT', type: 'market', side: 'buy', amount: 0.001 }));
+    orders.push({ symbol: 'BTCUSDT', type: 'market', side: 'buy', amount: 0.001, params: { category: 'linear' } });
+    const results = await ex.createOrders(orders);
+    assert.deepStrictEqual(calls.map((c) => c.params.request.length), [10, 2]);
+    assert.ok(results[12].error instanceof InvalidOrder);
+  });
+
+  it('cancelOrders → /v5/order/cancel-batch', async () => {
+    const results = await ex.cancelOrders(['x', 'y'], 'BTCUSDT');
+    assert.strictEqual(calls[0].path, '/v5/order/cancel-batch');
+    assert.deepStrictEqual(calls[0].params.request, [{ symbol: 'BTCUSDT', orderId: 'x' }, { symbol: 'BTCUSDT', orderId: 'y' }]);
+    assert.strictEqual(results[0].order.status, 'CANCELED');
+    assert.strictEqual(results[1].success, false);
+  });
+});
+
+// =====================================================================
+// 17. Client order ids — orderLinkId
+// =====================================================================
+
+describe('Bybit client order ids', () => {
+  const { Bybit } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'key', secret: 'secret' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params });
+      return {
+        retCode: 0,
+        retMsg: 'OK',
+        result: { orderId: 'o1', orderLinkId: params.orderLinkId, list: [{ orderId: 'o1', orderLinkId: 'link-1', symbol: 'BTCUSDT', orderStatus: 'New' }] },
+      };
+    };
+  });
+
+  it('sends clientOrderId as orderLinkId', async () => {
+    const order = await ex.createOrder('BTCUSDT', 'limit', 'buy', 0.001, 40000, { clientOrderId: 'link-1' });
+    assert.strictEqual(calls[0].params.orderLinkId, 'link-1');
+    assert.strictEqual(calls[0].params.clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'link-1');
+  });
+
+  it('fetchOrder and cancelOrder take { clientOrderId }', async () => {
+    const order = await ex.fetchOrder(undefined, 'BTCUSDT', { clientOrderId: 'link-1' });
+    await ex.cancelOrder(undefined, 'BTCUSDT', { clientOrderId: 'link-1' });
+    assert.strictEqual(calls[0].params.orderLinkId, 'link-1');
+    assert.strictEqual(calls[0].params.orderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'link-1');
+    assert.strictEqual(calls[1].path, '/v5/order/cancel');
+    assert.strictEqual(calls[1].params.orderLinkId, 'link-1');
+  });
+});
+
+// =============================================================================
+// 18. Funding — /v5/asset deposit, withdraw and coin info
+// =============================================================================
+
+describe('Bybit funding', () => {
+  const { Bybit } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'k', secret: 's' });
+    calls = [];
+  });
+
+  const respond = (result) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { retCode: 0, retMsg: 'OK', result };
+  };
+
+  it('fetchDepositAddress returns the chain asked for', async () => {
+    ex._request = respond({ coin: 'USDT', chains: [{ chainType: 'TRX', chain: 'TRX', addressDeposit: 'TXyz', tagDeposit: '' }] });
+    const addr = await ex.fetchDepositAddress('USDT', { network: 'TRC20' });
+    assert.deepStrictEqual(calls[0].params, { coin: 'USDT', chainType: 'TRX' });
+    assert.strictEqual(addr.currency, 'USDT');
+    assert.strictEqual(addr.network, 'TRC20');
+    assert.strictEqual(addr.address, 'TXyz');
+    assert.strictEqual(addr.tag, undefined);
+  });
+
+  it('parses deposit and withdrawal records', async () => {
+    ex._request = respond({ rows: [{ coin: 'USDT', chain: 'ETH', amount: '50', txID: '0x1', status: 3, toAddress: '0xa', tag: '', depositFee: '', successAt: '1700000000000', id: 'd1' }] });
+    const [deposit] = await ex.fetchDeposits('USDT', 1690000000000);
+    assert.deepStrictEqual(calls[0].params, { coin: 'USDT', startTime: 1690000000000 });
+    assert.strictEqual(deposit.status, 'ok');
+    assert.strictEqual(deposit.network, 'ERC20');
+    assert.strictEqual(deposit.timestamp, 1700000000000);
+
+    ex._request = respond({ rows: [{ coin: 'USDT', chain: 'TRX', amount: '20', txID: '', status: 'CancelByUser', toAddress: 'TXyz', withdrawFee: '1', createTime: '1700000000000', withdrawId: 'w1' }] });
+    const [withdrawal] = await ex.fetchWithdrawals('USDT');
+    assert.strictEqual(withdrawal.id, 'w1');
+    assert.strictEqual(withdrawal.status, 'canceled');
+    assert.deepStrictEqual(withdrawal.fee, { cost: 1, currency: 'USDT' });
+  });
+
+  it('withdraw requires a network and posts the chain', async () => {
+    ex._request = respond({ id: 'w2' });
+    await assert.rejects(() => ex.withdraw('USDT', 20, 'TXyz'), /requires params.network/);
+    const tx = await ex.withdraw('USDT', 20, 'TXyz', undefined, { network: 'TRC20' });
+    assert.strictEqual(calls[0].path, '/v5/asset/withdraw/create');
+    assert.strictEqual(calls[0].params.chain, 'TRX');
+    assert.strictEqual(calls[0].params.amount, '20');
+    assert.strictEqual(typeof calls[0].params.timestamp, 'number');
+    assert.strictEqual(tx.id, 'w2');
+    assert.strictEqual(tx.status, 'pending');
+  });
+
+  it('fetchDepositWithdrawFees reads fixed and percentage fees per chain', async () => {
+    ex._request = respond({ rows: [{ coin: 'USDT', chains: [
+      { chain: 'ETH', withdrawFee: '4', withdrawPercentageFee: '0' },
+      { chain: 'XYZ', withdrawFee: '', withdrawPercentageFee: '0.001' },
+    ] }] });
+    const fees = await ex.fetchDepositWithdrawFees(['USDT']);
+    assert.deepStrictEqual(calls[0].params, { coin: 'USDT' });
+    assert.deepStrictEqual(fees.USDT.networks.ERC20.withdraw, { fee: 4, percentage: false });
+    assert.deepStrictEqual(fees.USDT.networks.XYZ.withdraw, { fee: 0.001, percentage: true });
+  });
+});
+
+// =============================================================================
+// 19. Transfers — inter-transfer and universal (sub-account) transfer
+// =============================================================================
+
+describe('Bybit transfers', () => {
+  const { Bybit } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'k', secret: 's' });
+    calls = [];
+  });
+
+  const respond = (result) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { retCode: 0, retMsg: 'OK', result };
+  };
+
+  it('spot, margin and futures share the unified account', async () => {
+    assert.strictEqual(ex._accountId('futures'), 'UNIFIED');
+    assert.strictEqual(ex._accountName('UNIFIED'), 'spot');
+    await assert.rejects(() => ex.transfer('USDT', 10, 'spot', 'futures'), /same account/);
+    const classic = new Bybit({ apiKey: 'k', secret: 's', options: { accountType: 'CONTRACT' } });
+    assert.strictEqual(classic._accountId('futures'), 'CONTRACT');
+    assert.strictEqual(classic._accountId('spot'), 'SPOT');
+  });
+
+  it('transfer posts an inter-transfer with a generated transferId', async () => {
+    ex._request = respond({ transferId: 'srv-1', status: 'SUCCESS' });
+    const t = await ex.transfer('usdt', 25, 'funding', 'spot');
+    assert.strictEqual(calls[0].method, 'POST');
+    assert.strictEqual(calls[0].path, '/v5/asset/transfer/inter-transfer');
+    assert.match(calls[0].params.transferId, /^[0-9a-f-]{36}$/);
+    assert.strictEqual(calls[0].params.coin, 'USDT');
+    assert.strictEqual(calls[0].params.amount, '25');
+    assert.strictEqual(calls[0].params.fromAccountType, 'FUND');
+    assert.strictEqual(calls[0].params.toAccountType, 'UNIFIED');
+    assert.strictEqual(t.id, 'srv-1');
+    assert.strictEqual(t.status, 'ok');
+    assert.strictEqual(t.fromAccount, 'funding');
+  });
+
+  it('sub-account transfers need both member ids', async () => {
+    ex._request = respond({ transferId: 'u-1', status: 'SUCCESS' });
+    await assert.rejects(() => ex.transfer('USDT', 5, 'funding', 'funding', { toSubAccount: '592334' }), /fromSubAccount/);
+    const t = await ex.transfer('USDT', 5, 'funding', 'funding', { fromSubAccount: '100', toSubAccount: '592334' });
+    assert.strictEqual(calls[0].path, '/v5/asset/transfer/universal-transfer');
+    assert.strictEqual(calls[0].params.fromMemberId, 100);
+    assert.strictEqual(calls[0].params.toMemberId, 592334);
+    assert.strictEqual(t.toSubAccount, '592334');
+  });
+
+  it('fetchTransfers picks the list and parses records', async () => {
+    ex._request = respond({ list: [{ transferId: 't1', coin: 'USDT', amount: '8', fromAccountType: 'UNIFIED', toAccountType: 'FUND', timestamp: '1700000000000', status: 'SUCCESS' }] });
+    const [t] = await ex.fetchTransfers('USDT', 1690000000000, 20);
+    assert.strictEqual(calls[0].path, '/v5/asset/transfer/query-inter-transfer-list');
+    assert.deepStrictEqual(calls[0].params, { coin: 'USDT', startTime: 1690000000000, limit: 20 });
+    assert.strictEqual(t.fromAccount, 'spot');
+    assert.strictEqual(t.toAccount, 'funding');
+    assert.strictEqual(t.timestamp, 1700000000000);
+    await ex.fetchTransfers(undefined, undefined, undefined, { subAccounts: true });
+    assert.strictEqual(calls[1].path, '/v5/asset/transfer/query-universal-transfer-list');
+    assert.deepStrictEqual(calls[1].params, {});
+  });
+
+  it('fetchBalance reads the funding account from the asset endpoint', async () => {
+    ex._request = respond({ accountType: 'FUND', balance: [{ coin: 'USDT', walletBalance: '12', transferBalance: '10' }] });
+    const balance = await ex.fetchBalance({ account: 'funding' });
+    assert.strictEqual(calls[0].path, '/v5/asset/transfer/query-account-coins-balance');
+    assert.deepStrictEqual(calls[0].params, { accountType: 'FUND' });
+    assert.deepStrictEqual(balance.USDT, { free: 10, used: 2, total: 12 });
+  });
+});
+
+// =============================================================================
+// 20. Ledger — /v5/account/transaction-log
+// =============================================================================
+
+describe('Bybit ledger', () => {
+  const { Bybit } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'k', secret: 's' });
+    calls = [];
+  });
+
+  const respond = (result) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { retCode: 0, retMsg: 'OK', result };
+  };
+
+  it('fetchLedger reads the unified transaction log', async () => {
+    ex._request = respond({ nextPageCursor: '', list: [
+      { id: 't2', currency: 'USDT', type: 'SETTLEMENT', change: '-0.05', cashBalance: '999.65', fee: '0', transactionTime: '1700000100000', orderId: '' },
+      { id: 't1', currency: 'USDT', type: 'TRADE', change: '-0.3', cashBalance: '999.7', fee: '0.3', transactionTime: '1700000000000', orderId: 'o1' },
+    ] });
+    const [trade, funding] = await ex.fetchLedger('USDT', 1690000000000, 100);
+    assert.strictEqual(calls[0].path, '/v5/account/transaction-log');
+    assert.deepStrictEqual(calls[0].params, { accountType: 'UNIFIED', currency: 'USDT', startTime: 1690000000000, limit: 50 });
+    assert.strictEqual(trade.type, 'trade');
+    assert.strictEqual(trade.referenceId, 'o1');
+    assert.deepStrictEqual(trade.fee, { cost: 0.3, currency: 'USDT' });
+    assert.strictEqual(trade.before, 1000);
+    assert.strictEqual(trade.account, 'spot');
+    assert.strictEqual(funding.type, 'funding');
+    assert.strictEqual(funding.direction, 'out');
+  });
+
+  it('classic accounts use the contract transaction log', async () => {
+    ex = new Bybit({ apiKey: 'k', secret: 's', options: { accountType: 'CONTRACT' } });
+    ex._request = respond({ list: [] });
+    await ex.fetchLedger();
+    assert.strictEqual(calls[0].path, '/v5/account/contract-transaction-log');
+    assert.deepStrictEqual(calls[0].params, {});
+  });
+});
+
+// =============================================================================
+// 21. Derivatives — linear / inverse categories and contract markets
+// =============================================================================
+
+describe('Bybit derivatives', () => {
+  const { Bybit } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'k', secret: 's' });
+    calls = [];
+  });
+
+  const respond = (...results) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { retCode: 0, retMsg: 'OK', result: results[Math.min(calls.length, results.length) - 1] };
+  };
+
+  it('loadMarkets builds linear contract markets across cursor pages', async () => {
+    ex = new Bybit({ options: { category: 'linear' } });
+    ex._request = respond(
+      { category: 'linear', nextPageCursor: 'p2', list: [
+        { symbol: 'BTCUSDT', baseCoin: 'BTC', quoteCoin: 'USDT', settleCoin: 'USDT', status: 'Trading', deliveryTime: '0',
+          lotSizeFilter: { qtyStep: '0.001', minOrderQty: '0.001', maxOrderQty: '100', minNotionalValue: '5' }, priceFilter: { tickSize: '0.10' } },
+      ] },
+      { category: 'linear', nextPageCursor: '', list: [
+        { symbol: 'BTC-28MAR25', baseCoin: 'BTC', quoteCoin: 'USDC', settleCoin: 'USDC', status: 'Trading', deliveryTime: String(Date.UTC(2025, 2, 28, 8)),
+          lotSizeFilter: { qtyStep: '0.001' }, priceFilter: { tickSize: '0.5' } },
+      ] },
+    );
+    await ex.loadMarkets();
+    assert.strictEqual(calls[1].params.cursor, 'p2');
+    const swap = ex.markets['BTC/USDT:USDT'];
+    assert.strictEqual(swap.type, 'swap');
+    assert.strictEqual(swap.linear, true);
+    assert.strictEqual(swap.inverse, false);
+    assert.strictEqual(swap.settle, 'USDT');
+    assert.strictEqual(swap.contractSize, 1);
+    assert.strictEqual(swap.expiry, undefined);
+    assert.strictEqual(swap.stepSize, 0.001);
+    assert.strictEqual(swap.limits.cost.min, 5);
+    const future = ex.markets['BTC/USDC:USDC-250328'];
+    assert.strictEqual(future.type, 'future');
+    assert.strictEqual(future.expiryDatetime, '2025-03-28T08:00:00.000Z');
+    assert.strictEqual(ex._toBybitSymbol('BTC/USDC:USDC-250328'), 'BTC-28MAR25');
+  });
+
+  it('derives the category from contract symbols and keeps spot as the default', () => {
+    assert.strictEqual(ex._category('BTC/USDT'), 'spot');
+    assert.strictEqual(ex._category('BTC/USDT:USDT'), 'linear');
+    assert.strictEqual(ex._category('BTC/USD:BTC'), 'inverse');
+    assert.strictEqual(ex._category('BTC/USDT:USDT', { category: 'spot' }), 'spot');
+    assert.strictEqual(ex._toBybitSymbol('BTC/USDT:USDT'), 'BTCUSDT');
+    assert.strictEqual(ex._fromBybitSymbol('BTCUSD', 'inverse'), 'BTC/USD:BTC');
+  });
+
+  it('createOrder on a contract symbol sends its category', async () => {
+    ex._request = respond({ orderId: 'o1', orderLinkId: '' });
+    const order = await ex.createOrder('ETH/USDT:USDT', 'limit', 'buy', 1, 2000, { reduceOnly: true });
+    assert.strictEqual(calls[0].params.category, 'linear');
+    assert.strictEqual(calls[0].params.symbol, 'ETHUSDT');
+    assert.strictEqual(calls[0].params.reduceOnly, true);
+    assert.strictEqual(order.symbol, 'ETH/USDT:USDT');
+  });
+
+  it('parses orders and trades with contract semantics', async () => {
+    ex._request = respond({ category: 'inverse', list: [
+      { orderId: 'o1', symbol: 'BTCUSD', orderType: 'Limit', side: 'Buy', qty: '100', cumExecQty: '100', cumExecValue: '0.002', price: '50000', orderStatus: 'Filled' },
+    ] });
+    const [order] = await ex.fetchOpenOrders('BTC/USD:BTC');
+    assert.strictEqual(calls[0].params.category, 'inverse');
+    assert.strictEqual(order.symbol, 'BTC/USD:BTC');
+    assert.strictEqual(order.cost, 0.002);
+    ex.markets = { 'BTC/USD:BTC': { symbol: 'BTC/USD:BTC', category: 'inverse', contract: true, inverse: true, contractSize: 1 } };
+    const trade = ex._parseTrade({ execId: 't1', price: '50000', size: '100', side: 'Buy', time: '1700000000000' }, 'BTC/USD:BTC');
+    assert.strictEqual(trade.cost, 0.002);
+  });
+
+  it('subscribes to the public stream of the symbol category', async () => {
+    const urls = [];
+    ex._subscribeStream = async (topic, callback, wsUrl) => { urls.push(wsUrl); return topic; };
+    await ex.watchTicker('BTC/USDT:USDT', () => {});
+    await ex.watchTrades('BTC/USD:BTC', () => {});
+    await ex.watchOrderBook('BTC/USDT', () => {});
+    assert.deepStrictEqual(urls, [
+      'wss://stream.bybit.com/v5/public/linear',
+      'wss://stream.bybit.com/v5/public/inverse',
+      'wss://stream.bybit.com/v5/public/spot',
+    ]);
+  });
+
+  it('fetchBalance derives free from initial margin when availableToWithdraw is empty', async () => {
+    ex._request = respond({ list: [{ coin: [
+      { coin: 'USDT', walletBalance: '1000', availableToWithdraw: '', locked: '0', totalOrderIM: '50', totalPositionIM: '150' },
+    ] }] });
+    const balance = await ex.fetchBalance();
+    assert.deepStrictEqual(balance.USDT, { free: 800, used: 200, total: 1000 });
+  });
+});
+
+// =============================================================================
+// 22. Positions — /v5/position/list and the position stream
+// =============================================================================
+
+describe('Bybit positions', () => {
+  const { Bybit } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'k', secret: 's' });
+    calls = [];
+  });
+
+  const respond = (result) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { retCode: 0, retMsg: 'OK', result };
+  };
+
+  const position = {
+    positionIdx: 0, symbol: 'BTCUSDT', side: 'Sell', size: '0.5', avgPrice: '60000', positionValue: '30000',
+    tradeMode: 0, leverage: '10', markPrice: '59000', liqPrice: '65000', positionIM: '3000', positionMM: '150',
+    unrealisedPnl: '500', cumRealisedPnl: '-12', createdTime: '1700000000000', updatedTime: '1700000100000',
+  };
+
+  it('fetchPositions lists USDT linear positions and skips flat ones', async () => {
+    ex._request = respond({ category: 'linear', nextPageCursor: '', list: [
+      position,
+      { ...position, symbol: 'ETHUSDT', side: '', size: '0' },
+    ] });
+    const positions = await ex.fetchPositions();
+    assert.strictEqual(calls[0].path, '/v5/position/list');
+    assert.deepStrictEqual(calls[0].params, { limit: 200, category: 'linear', settleCoin: 'USDT' });
+    assert.strictEqual(positions.length, 1);
+    const p = positions[0];
+    assert.strictEqual(p.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(p.side, 'short');
+    assert.strictEqual(p.contracts, 0.5);
+    assert.strictEqual(p.entryPrice, 60000);
+    assert.strictEqual(p.liquidationPrice, 65000);
+    assert.strictEqual(p.marginMode, 'cross');
+    assert.strictEqual(p.percentage, 500 / 3000 * 100);
+    assert.strictEqual(p.hedged, false);
+    assert.strictEqual(p.timestamp, 1700000100000);
+  });
+
+  it('fetchPosition queries the symbol in its category', async () => {
+    ex._request = respond({ list: [{ ...position, symbol: 'BTCUSD', side: 'Buy', size: '100' }] });
+    const p = await ex.fetchPosition('BTC/USD:BTC');
+    assert.deepStrictEqual(calls[0].params, { limit: 200, category: 'inverse', symbol: 'BTCUSD' });
+    assert.strictEqual(p.side, 'long');
+  });
+
+  it('closePosition keeps the hedge-mode positionIdx', async () => {
+    ex._request = respond({ list: [{ ...position, positionIdx: 2 }] });
+    const orders = [];
+    ex.createOrder = async (...args) => { orders.push(args); return {}; };
+    await ex.closePosition('BTC/USDT:USDT', 'short');
+    assert.deepStrictEqual(orders[0], ['BTC/USDT:USDT', 'market', 'buy', 0.5, undefined, { reduceOnly: true, positionIdx: 2 }]);
+  });
+
+  it('watchPositions parses position stream updates', async () => {
+    const seen = [];
+    ex._authenticateWsPrivate = async () => {};
+    ex._subscribeStream = async (topic, callback, wsUrl) => {
+      assert.strictEqual(topic, 'position');
+      assert.strictEqual(wsUrl, ex.urls.wsPrivate);
+      callback({ topic, data: [{ ...position, category: 'inverse', symbol: 'ETHUSD', side: 'Buy', size: '10' }] });
+      return topic;
+    };
+    await ex.watchPositions((p) => seen.push(p));
+    assert.strictEqual(seen[0].symbol, 'ETH/USD:ETH');
+    assert.strictEqual(seen[0].side, 'long');
+  });
+});
+
+// =============================================================================
+// 23. Derivatives market data — funding, mark/index klines, open interest
+// =============================================================================
+
+describe('Bybit derivatives market data', () => {
+  const { Bybit } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit();
+    calls = [];
+  });
+
+  const respond = (result, time = 1700000000500) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { retCode: 0, retMsg: 'OK', result, time };
+  };
+
+  const ticker = {
+    symbol: 'BTCUSDT', lastPrice: '60010', markPrice: '60000', indexPrice: '59990', fundingRate: '0.0001',
+    nextFundingTime: '1700006400000', fundingIntervalHour: '8', openInterest: '1200', openInterestValue: '72000000',
+  };
+
+  it('fetchFundingRate reads the linear ticker', async () => {
+    ex._request = respond({ category: 'linear', list: [ticker] });
+    const rate = await ex.fetchFundingRate('BTC/USDT:USDT');
+    assert.deepStrictEqual(calls[0].params, { category: 'linear', symbol: 'BTCUSDT' });
+    assert.strictEqual(rate.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(rate.fundingRate, 0.0001);
+    assert.strictEqual(rate.markPrice, 60000);
+    assert.strictEqual(rate.indexPrice, 59990);
+    assert.strictEqual(rate.fundingTimestamp, 1700006400000);
+    assert.strictEqual(rate.fundingDatetime, '2023-11-15T00:00:00.000Z');
+    assert.strictEqual(rate.interval, '8h');
+    assert.strictEqual(rate.timestamp, 1700000000500);
+  });
+
+  it('fetchFundingRates skips dated futures without a rate', async () => {
+    ex._request = respond({ list: [ticker, { ...ticker, symbol: 'BTC-27DEC24', fundingRate: '' }] });
+    const rates = await ex.fetchFundingRates();
+    assert.deepStrictEqual(Object.keys(rates), ['BTC/USDT:USDT']);
+    assert.strictEqual(calls[0].params.category, 'linear');
+  });
+
+  it('fetchFundingRateHistory sends an end time with since and returns oldest first', async () => {
+    ex._request = respond({ list: [
+      { symbol: 'BTCUSD', fundingRate: '0.0002', fundingRateTimestamp: '1700028800000' },
+      { symbol: 'BTCUSD', fundingRate: '0.0001', fundingRateTimestamp: '1700000000000' },
+    ] });
+    const history = await ex.fetchFundingRateHistory('BTC/USD:BTC', 1699999999999, 500);
+    assert.strictEqual(calls[0].path, '/v5/market/funding/history');
+    assert.strictEqual(calls[0].params.category, 'inverse');
+    assert.strictEqual(calls[0].params.limit, 200);
+    assert.strictEqual(calls[0].params.startTime, 1699999999999);
+    assert.ok(calls[0].params.endTime >= 1699999999999);
+    assert.deepStrictEqual(history.map((h) => h.fundingRate), [0.0001, 0.0002]);
+    assert.strictEqual(history[0].symbol, 'BTC/USD:BTC');
+  });
+
+  it('fetchMarkOHLCV and fetchIndexOHLCV use the price kline endpoints', async () => {
+    ex._request = respond({ list: [['1700000060000', '2', '3', '1', '2.5'], ['1700000000000', '1', '2', '0.5', '2']] });
+    const mark = await ex.fetchMarkOHLCV('BTC/USDT:USDT', '1m', 1700000000000);
+    await ex.fetchIndexOHLCV('BTC/USDT:USDT', '1h');
+    assert.strictEqual(calls[0].path, '/v5/market/mark-price-kline');
+    assert.strictEqual(calls[0].params.start, 1700000000000);
+    assert.strictEqual(calls[1].path, '/v5/market/index-price-kline');
+    assert.strictEqual(calls[1].params.interval, '60');
+    assert.deepStrictEqual(mark[0], [1700000000000, 1, 2, 0.5, 2, undefined]);
+  });
+
+  it('fetchOpenInterest reports amount and value from the ticker', async () => {
+    ex._request = respond({ list: [ticker] });
+    const oi = await ex.fetchOpenInterest('BTC/USDT:USDT');
+    assert.strictEqual(oi.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(oi.openInterestAmount, 1200);
+    assert.strictEqual(oi.openInterestValue, 72000000);
+    assert.strictEqual(oi.datetime, '2023-11-14T22:13:20.500Z');
+  });
+
+  it('watchFundingRate merges ticker deltas on the linear stream', async () => {
+    const seen = [];
+    ex._subscribeStream = async (topic, callback, wsUrl) => {
+      assert.strictEqual(topic, 'tickers.BTCUSDT');
+      assert.strictEqual(wsUrl, ex._publicWsUrl('linear'));
+      callback({ topic, type: 'snapshot', ts: 1, data: ticker });
+      callback({ topic, type: 'delta', ts: 2, data: { symbol: 'BTCUSDT', fundingRate: '0.0003' } });
+      return topic;
+    };
+    await ex.watchFundingRate('BTC/USDT:USDT', (r) => seen.push(r));
+    assert.strictEqual(seen.length, 2);
+    assert.strictEqual(seen[1].fundingRate, 0.0003);
+    assert.strictEqual(seen[1].markPrice, 60000);
+    assert.strictEqual(seen[1].timestamp, 2);
+  });
+
+  it('watchMarkPrice emits mark and index prices', async () => {
+    const seen = [];
+    ex._subscribeStream = async (topic, callback) => {
+      callback({ topic, type: 'snapshot', ts: 5, data: ticker });
+      callback({ topic, type: 'delta', ts: 6, data: { symbol: 'BTCUSDT', markPrice: '60100' } });
+      return topic;
+    };
+    await ex.watchMarkPrice('BTC/USDT:USDT', (m) => seen.push(m));
+    assert.deepStrictEqual([seen[1].symbol, seen[1].markPrice, seen[1].indexPrice], ['BTC/USDT:USDT', 60100, 59990]);
+  });
+});
+
+// =============================================================================
+// 24. Leverage & margin — leverage, margin/position mode, margin, risk limits
+// =============================================================================
+
+describe('Bybit leverage and margin', () => {
+  const { Bybit, BadRequest } = require('../');
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'key', secret: 'secret' });
+    calls = [];
+  });
+
+  const respond = (result) => async (method, path, params, signed) => {
+    calls.push({ method, path, params, signed });
+    return { retCode: 0, retMsg: 'OK', result, time: 1700000000500 };
+  };
+
+  it('setLeverage sets buy and sell leverage in the contract category', async () => {
+    ex._request = respond({});
+    const lev = await ex.setLeverage(10, 'BTC/USD:BTC');
+    assert.strictEqual(calls[0].path, '/v5/position/set-leverage');
+    assert.deepStrictEqual(calls[0].params, { category: 'inverse', symbol: 'BTCUSD', buyLeverage: '10', sellLeverage: '10' });
+    assert.deepStrictEqual([lev.symbol, lev.longLeverage, lev.shortLeverage], ['BTC/USD:BTC', 10, 10]);
+    await assert.rejects(() => ex.setLeverage(10), /requires symbol/);
+  });
+
+  it('fetchLeverage reads both hedge-mode legs from the position list', async () => {
+    ex._request = respond({ list: [
+      { symbol: 'BTCUSDT', positionIdx: 1, leverage: '10', tradeMode: 1 },
+      { symbol: 'BTCUSDT', positionIdx: 2, leverage: '5', tradeMode: 1 },
+    ] });
+    const lev = await ex.fetchLeverage('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].params.category, 'linear');
+    assert.strictEqual(lev.marginMode, 'isolated');
+    assert.strictEqual(lev.longLeverage, 10);
+    assert.strictEqual(lev.shortLeverage, 5);
+  });
+
+  it('setMarginMode and setPositionMode map to the account and switch-mode endpoints', async () => {
+    ex._request = respond({});
+    const mode = await ex.setMarginMode('cross', 'BTC/USDT:USDT');
+    await ex.setPositionMode(true);
+    await ex.setPositionMode(false, 'ETH/USDT:USDT');
+    assert.deepStrictEqual(calls[0].params, { setMarginMode: 'REGULAR_MARGIN' });
+    assert.strictEqual(mode.marginMode, 'cross');
+    assert.deepStrictEqual(calls[1].params, { category: 'linear', mode: 3, coin: 'USDT' });
+    assert.deepStrictEqual(calls[2].params, { category: 'linear', mode: 0, symbol: 'ETHUSDT' });
+    await assert.rejects(() => ex.setMarginMode('portfolio'), BadRequest);
+  });
+
+  it('reduceMargin sends a negative margin and reports the new position margin', async () => {
+    ex._request = respond({ symbol: 'BTCUSDT', positionIM: '90', updatedTime: '1700000000000' });
+    const m = await ex.reduceMargin('BTC/USDT:USDT', 10);
+    assert.strictEqual(calls[0].path, '/v5/position/add-margin');
+    assert.strictEqual(calls[0].params.margin, '-10');
+    assert.deepStrictEqual([m.type, m.amount, m.total, m.code, m.status], ['reduce', 10, 90, 'USDT', 'ok']);
+    assert.strictEqual(m.datetime, '2023-11-14T22:13:20.000Z');
+  });
+
+  it('fetchMarketLeverageTiers sorts risk limits and chains the bounds', async () => {
+    ex._request = respond({ list: [
+      { symbol: 'BTCUSDT', riskLimitValue: '4000000', maintenanceMargin: '0.01', maxLeverage: '50' },
+      { symbol: 'BTCUSDT', riskLimitValue: '2000000', maintenanceMargin: '0.005', maxLeverage: '100' },
+    ] });
+    const tiers = await ex.fetchMarketLeverageTiers('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].signed, false);
+    assert.deepStrictEqual(tiers.map((t) => [t.tier, t.minNotional, t.maxNotional, t.maxLeverage]), [
+      [1, 0, 2000000, 100],
+      [2, 2000000, 4000000, 50],
+    ]);
+    assert.strictEqual(tiers[0].currency, 'USDT');
+  });
+});
+
+// =============================================================================
+// 25. WebSocket trading — /v5/trade order.create, order.amend, order.cancel
+// =============================================================================
+
+describe('Bybit WebSocket trading', () => {
+  const EventEmitter = require('events');
+  const { Bybit, AuthenticationError, InsufficientFunds, RequestTimeout } = require('../');
+  let ex;
+  let sent;
+  let urls;
+  let reply;
+
+  beforeEach(() => {
+    ex = new Bybit({ apiKey: 'key', secret: 'secret' });
+    sent = [];
+    urls = [];
+    reply = (msg) => ({ reqId: msg.reqId, retCode: 0, retMsg: 'OK', op: msg.op, data: { orderId: 'o1', orderLinkId: '' } });
+    const client = new EventEmitter();
+    client.send = (msg) => {
+      sent.push(msg);
+      const response = msg.op === 'auth' ? { retCode: 0, retMsg: 'OK', op: 'auth', connId: 'c1' } : reply(msg);
+      if (response) setImmediate(() => client.emit('message', response));
+    };
+    ex._ensureWsConnected = async (url) => { urls.push(url); return client; };
+  });
+
+  it('authenticates the trade socket once and sends order.create with a reqId and header', async () => {
+    const order = await ex.createOrderWs('BTC/USDT', 'limit', 'buy', 0.01, 60000);
+    await ex.createOrderWs('BTC/USDT', 'market', 'sell', 0.01);
+    assert.deepStrictEqual(sent.map((m) => m.op), ['auth', 'order.create', 'order.create']);
+    assert.strictEqual(urls[0], 'wss://stream.bybit.com/v5/trade');
+    assert.strictEqual(sent[0].args[0], 'key');
+    assert.strictEqual(sent[1].header['X-BAPI-RECV-WINDOW'], '5000');
+    assert.deepStrictEqual(sent[1].args, [{ symbol: 'BTCUSDT', side: 'Buy', orderType: 'Limit', qty: '0.01', category: 'spot', price: '60000', timeInForce: 'GTC' }]);
+    assert.deepStrictEqual([order.id, order.symbol, order.status], ['o1', 'BTC/USDT', 'NEW']);
+  });
+
+  it('editOrderWs amends, cancelOrderWs cancels and cancelAllOrdersWs batch-cancels the open orders', async () => {
+    ex.fetchOpenOrders = async (symbol, since, limit, params) => {
+      assert.deepStrictEqual(params, { category: 'linear' });
+      return [{ id: 'a', symbol: 'BTC/USDT:USDT' }, { id: 'b', symbol: 'BTC/USDT:USDT' }];
+    };
+    reply = (msg) => ({
+      reqId: msg.reqId, retCode: 0, retMsg: 'OK', op: msg.op,
+      data: msg.op === 'order.cancel-batch' ? { list: [{ orderId: 'a' }, { orderId: 'b' }] } : { orderId: 'o1', orderLinkId: '' },
+      retExtInfo: msg.op === 'order.cancel-batch' ? { list: [{ code: 0, msg: 'OK' }, { code: 0, msg: 'OK' }] } : undefined,
+    });
+    const edited = await ex.editOrderWs('o1', 'BTC/USDT', 'limit', 'buy', 0.02);
+    const canceled = await ex.cancelOrderWs(undefined, 'BTC/USDT', { clientOrderId: 'link-1' });
+    const all = await ex.cancelAllOrdersWs('BTC/USDT:USDT');
+    assert.deepStrictEqual(sent.slice(1).map((m) => m.op), ['order.amend', 'order.cancel', 'order.cancel-batch']);
+    assert.deepStrictEqual(sent[1].args[0], { category: 'spot', symbol: 'BTCUSDT', orderId: 'o1', qty: '0.02' });
+    assert.strictEqual(edited.amount, 0.02);
+    assert.strictEqual(sent[2].args[0].orderLinkId, 'link-1');
+    assert.strictEqual(canceled.status, 'CANCELED');
+    assert.deepStrictEqual(sent[3].args[0], { category: 'linear', request: [{ symbol: 'BTCUSDT', orderId: 'a' }, { symbol: 'BTCUSDT', orderId: 'b' }] });
+    assert.deepStrictEqual(all.list.map((o) => o.orderId), ['a', 'b']);
+  });
+
+  it('cancelAllOrdersWs re-reads open orders until none are left', async () => {
+    const open = Array.from({ length: 70 }, (_, i) => ({ id: 'o' + i, symbol: 'BTC/USDT:USDT' }));
+    const fetches = [];
+    ex.fetchOpenOrders = async (symbol, since, limit) => {
+      fetches.push(limit);
+      return open.slice(0, limit);
+    };
+    reply = (msg) => {
+      const ids = msg.args[0].request.map((o) => o.orderId);
+      for (const id of ids) open.splice(open.findIndex((o) => o.id === id), 1);
+      return {
+        reqId: msg.reqId, retCode: 0, retMsg: 'OK', op: msg.op,
+        data: { list: ids.map((orderId) => ({ orderId })) },
+        retExtInfo: { list: ids.map(() => ({ code: 0, msg: 'OK' })) },
+      };
+    };
+    const all = await ex.cancelAllOrdersWs('BTC/USDT:USDT');
+    assert.strictEqual(all.list.length, 70);
+    assert.strictEqual(open.length, 0);
+    assert.deepStrictEqual(fetches, [50, 50]);
+    assert.deepStrictEqual(sent.slice(1).map((m) => m.args[0].request.length), [20, 20, 10, 20]);
+  });
+
+  it('cancelAllOrdersWs stops when the listed orders were already cancelled', async () => {
+    const page = Array.from({ length: 50 }, (_, i) => ({ id: 'o' + i, symbol: 'BTC/USDT:USDT' }));
+    let fetches = 0;
+    ex.fetchOpenOrders = async () => {
+      fetches++;
+      return page;
+    };
+    reply = (msg) => ({
+      reqId: msg.reqId, retCode: 0, retMsg: 'OK', op: msg.op,
+      data: { list: msg.args[0].request.map((o) => ({ orderId: o.orderId })) },
+      retExtInfo: { list: msg.args[0].request.map(() => ({ code: 0, msg: 'OK' })) },
+    });
+    const all = await ex.cancelAllOrdersWs('BTC/USDT:USDT');
+    assert.strictEqual(all.list.length, 50);
+    assert.strictEqual(fetches, 2);
+  });
+
+  it('maps error replies to typed errors and a missing reply to RequestTimeout', async () => {
+    reply = (msg) => ({ reqId: msg.reqId, retCode: 170131, retMsg: 'Insufficient balance.', op: msg.op, data: {} });
+    await assert.rejects(() => ex.createOrderWs('BTC/USDT', 'limit', 'buy', 1, 60000), InsufficientFunds);
+    reply = () => undefined;
+    ex.timeout = 50;
+    await assert.rejects(() => ex.cancelOrderWs('o1', 'BTC/USDT'), RequestTimeout);
+  });
+
+  it('rejects when the trade socket authentication fails, and retries it on the next call', async () => {
+    const client = new EventEmitter();
+    let attempts = 0;
+    client.send = (msg) => {
+      attempts += 1;
+      setImmediate(() => client.emit('message', { retCode: 10004, retMsg: 'Invalid sign', op: 'auth' }));
+    };
+    ex._ensureWsConnected = async () => client;
+    await assert.rejects(() => ex.createOrderWs('BTC/USDT', 'limit', 'buy', 0.01, 60000), AuthenticationError);
+    await assert.rejects(() => ex.createOrderWs('BTC/USDT', 'limit', 'buy', 0.01, 60000), AuthenticationError);
+    assert.strictEqual(attempts, 2);
+  });
+});
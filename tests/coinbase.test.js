@@ -943,3 +943,249 @@ describe('Crypto — signJWT + base64UrlEncode for Coinbase', () => {
     assert.strictEqual(sigBuffer.length, 64, 'ES256 ieee-p1363 signature should be 64 bytes');
   });
 });
+
+// =============================================================================
+// 14. CONDITIONAL ORDERS — stop_limit_stop_limit_gtc
+// =============================================================================
+
+describe('Coinbase stop-limit orders', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Coinbase({ apiKey: testApiKey, secret: testPrivateKeyPem });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { success: true, success_response: { order_id: 'cb-stop-1' } };
+    };
+  });
+
+  it('stop loss sell → STOP_DIRECTION_STOP_DOWN', async () => {
+    await ex.createStopLossOrder('BTC/USD', 'limit', 'sell', 0.1, 39900, 40000);
+    assert.strictEqual(sent.path, '/api/v3/brokerage/orders');
+    assert.deepStrictEqual(sent.params.order_configuration, {
+      stop_limit_stop_limit_gtc: {
+        base_size: '0.1', limit_price: '39900', stop_price: '40000', stop_direction: 'STOP_DIRECTION_STOP_DOWN',
+      },
+    });
+    assert.strictEqual(sent.params.stopLossPrice, undefined);
+  });
+
+  it('take profit sell → STOP_DIRECTION_STOP_UP', async () => {
+    await ex.createTakeProfitOrder('BTC/USD', 'limit', 'sell', 0.1, 60100, 60000);
+    assert.strictEqual(sent.params.order_configuration.stop_limit_stop_limit_gtc.stop_direction, 'STOP_DIRECTION_STOP_UP');
+  });
+
+  it('requires limit orders and rejects trailing stops', async () => {
+    await assert.rejects(() => ex.createStopLossOrder('BTC/USD', 'market', 'sell', 0.1, undefined, 40000), InvalidOrder);
+    await assert.rejects(() => ex.createOrder('BTC/USD', 'market', 'sell', 0.1, undefined, { trailingAmount: 100 }), InvalidOrder);
+  });
+});
+
+// =============================================================================
+// 15. TIME IN FORCE — limit_limit_gtc post_only / sor_limit_ioc / limit_limit_fok
+// =============================================================================
+
+describe('Coinbase time in force', () => {
+  let ex;
+
+  beforeEach(() => {
+    ex = new Coinbase({ apiKey: testApiKey, secret: testPrivateKeyPem });
+  });
+
+  it('builds the order_configuration for each time in force', () => {
+    assert.deepStrictEqual(ex._buildOrderConfig('LIMIT', 'BUY', 0.1, 50000, 'PO'), {
+      limit_limit_gtc: { base_size: '0.1', limit_price: '50000', post_only: true },
+    });
+    assert.ok(ex._buildOrderConfig('LIMIT', 'BUY', 0.1, 50000, 'IOC').sor_limit_ioc);
+    assert.ok(ex._buildOrderConfig('LIMIT', 'BUY', 0.1, 50000, 'FOK').limit_limit_fok);
+  });
+
+  it('parses timeInForce and postOnly from the configuration key', () => {
+    const order = ex._parseOrder({
+      order_id: '1', product_id: 'BTC-USD', side: 'BUY', status: 'OPEN',
+      order_configuration: { limit_limit_gtc: { base_size: '0.1', limit_price: '50000', post_only: true } },
+    });
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    const ioc = ex._parseOrder({
+      order_id: '2', product_id: 'BTC-USD', side: 'BUY', status: 'FILLED',
+      order_configuration: { sor_limit_ioc: { base_size: '0.1', limit_price: '50000' } },
+    });
+    assert.strictEqual(ioc.timeInForce, 'IOC');
+  });
+});
+
+// =============================================================================
+// 16. BATCH CANCEL — batch_cancel with many order_ids
+// =============================================================================
+
+describe('Coinbase cancelOrders', () => {
+  it('batch_cancel reports success or failure_reason per order', async () => {
+    const ex = new Coinbase({ apiKey: testApiKey, secret: testPrivateKeyPem });
+    let sent;
+    ex._request = async (method, path, params) => {
+      sent = { path, params };
+      return {
+        results: [
+          { success: true, failure_reason: 'UNKNOWN_CANCEL_FAILURE_REASON', order_id: 'a' },
+          { success: false, failure_reason: 'UNKNOWN_CANCEL_ORDER', order_id: 'b' },
+        ],
+      };
+    };
+    assert.strictEqual(ex.has.cancelOrders, true);
+    const results = await ex.cancelOrders(['a', 'b'], 'BTC/USD');
+    assert.strictEqual(sent.path, '/api/v3/brokerage/orders/batch_cancel');
+    assert.deepStrictEqual(sent.params.order_ids, ['a', 'b']);
+    assert.strictEqual(results[0].order.status, 'CANCELED');
+    assert.ok(results[1].error instanceof OrderNotFound);
+  });
+});
+
+// =============================================================================
+// 17. CLIENT ORDER IDS — client_order_id
+// =============================================================================
+
+describe('Coinbase client order ids', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Coinbase({ apiKey: testApiKey, secret: testPrivateKeyPem });
+    sent = undefined;
+    ex._request = async (method, path, params) => {
+      sent = params;
+      return { success: true, success_response: { order_id: 'o1', client_order_id: params.client_order_id } };
+    };
+  });
+
+  it('sends the unified clientOrderId as client_order_id', async () => {
+    const order = await ex.createOrder('BTC/USD', 'limit', 'buy', 0.01, 40000, { clientOrderId: 'mine' });
+    assert.strictEqual(sent.client_order_id, 'mine');
+    assert.strictEqual(sent.clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'mine');
+  });
+
+  it('generated client_order_ids carry clientOrderIdPrefix', async () => {
+    ex.clientOrderIdPrefix = 'bot-';
+    await ex.createOrder('BTC/USD', 'limit', 'buy', 0.01, 40000);
+    assert.match(sent.client_order_id, /^bot-[0-9a-f-]{36}$/);
+  });
+
+  it('fetchOrder and cancelOrder cannot look orders up by clientOrderId', async () => {
+    await assert.rejects(() => ex.fetchOrder(undefined, 'BTC/USD', { clientOrderId: 'mine' }), BadRequest);
+    await assert.rejects(() => ex.cancelOrder(undefined, 'BTC/USD', { clientOrderId: 'mine' }), BadRequest);
+    assert.strictEqual(sent, undefined);
+  });
+});
+
+// =============================================================================
+// 18. FUNDING — v2 account addresses and send transactions
+// =============================================================================
+
+describe('Coinbase funding', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Coinbase({ apiKey: 'k', secret: 's' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      if (path === '/api/v3/brokerage/accounts') {
+        return { accounts: [{ uuid: 'acc-usdc', currency: 'USDC' }, { uuid: 'acc-btc', currency: 'BTC' }] };
+      }
+      if (path.endsWith('/addresses')) {
+        return { data: method === 'POST'
+          ? { id: 'a2', address: '0xnew', network: 'ethereum' }
+          : [{ id: 'a1', address: '0xold', network: 'ethereum' }] };
+      }
+      if (method === 'POST') {
+        return { data: { id: 't9', type: 'send', status: 'pending', amount: { amount: '-25', currency: 'USDC' },
+          to: { resource: 'ethereum_address', address: '0xdest' }, network: { status: 'pending', network_name: 'ethereum' } } };
+      }
+      return { data: [
+        { id: 't1', type: 'send', status: 'completed', amount: { amount: '100', currency: 'USDC' },
+          from: { address_info: { address: '0xsrc' } }, network: { hash: 'h1', network_name: 'ethereum' },
+          created_at: '2023-11-14T22:13:20Z' },
+        { id: 't2', type: 'send', status: 'completed', amount: { amount: '-40', currency: 'USDC' },
+          to: { address_info: { address: '0xdest' } }, network: { hash: 'h2', network_name: 'ethereum',
+            transaction_fee: { amount: '0.5', currency: 'USDC' } }, created_at: '2023-11-15T00:00:00Z' },
+        { id: 't3', type: 'buy', status: 'completed', amount: { amount: '1', currency: 'USDC' } },
+      ] };
+    };
+  });
+
+  it('finds the account by currency for addresses', async () => {
+    const addr = await ex.fetchDepositAddress('USDC', { network: 'ERC20' });
+    const created = await ex.createDepositAddress('USDC', { network: 'ERC20' });
+    assert.strictEqual(calls[1].path, '/v2/accounts/acc-usdc/addresses');
+    assert.strictEqual(addr.address, '0xold');
+    assert.strictEqual(addr.network, 'ERC20');
+    assert.deepStrictEqual(calls[3].params, { network: 'ethereum' });
+    assert.strictEqual(created.address, '0xnew');
+  });
+
+  it('splits send transactions into deposits and withdrawals', async () => {
+    const deposits = await ex.fetchDeposits('USDC');
+    const withdrawals = await ex.fetchWithdrawals('USDC', undefined, undefined, { accountId: 'acc-usdc' });
+    assert.deepStrictEqual(deposits.map((t) => t.id), ['t1']);
+    assert.strictEqual(deposits[0].address, '0xsrc');
+    assert.strictEqual(deposits[0].timestamp, 1700000000000);
+    assert.strictEqual(withdrawals[0].amount, 40);
+    assert.strictEqual(withdrawals[0].status, 'ok');
+    assert.deepStrictEqual(withdrawals[0].fee, { cost: 0.5, currency: 'USDC' });
+    assert.strictEqual(calls[2].path, '/v2/accounts/acc-usdc/transactions');
+    await assert.rejects(() => ex.fetchDeposits(), /requires a currency code/);
+  });
+
+  it('withdraw sends crypto with an idempotency key', async () => {
+    const tx = await ex.withdraw('USDC', 25, '0xdest', undefined, { network: 'ERC20' });
+    const send = calls[1];
+    assert.strictEqual(send.path, '/v2/accounts/acc-usdc/transactions');
+    assert.strictEqual(send.params.type, 'send');
+    assert.strictEqual(send.params.network, 'ethereum');
+    assert.match(send.params.idem, /^[0-9a-f-]{36}$/);
+    assert.strictEqual(tx.type, 'withdrawal');
+    assert.strictEqual(tx.amount, 25);
+    assert.strictEqual(tx.status, 'pending');
+  });
+});
+
+// =============================================================================
+// 19. LEDGER — v2 account transactions
+// =============================================================================
+
+describe('Coinbase ledger', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Coinbase({ apiKey: 'k', secret: 's' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      if (path === '/api/v3/brokerage/accounts') return { accounts: [{ uuid: 'acc-btc', currency: 'BTC' }] };
+      return { data: [
+        { id: 'c3', type: 'staking_reward', status: 'completed', amount: { amount: '0.00001', currency: 'BTC' }, created_at: '2023-11-14T22:20:00Z' },
+        { id: 'c2', type: 'send', status: 'completed', amount: { amount: '-0.1', currency: 'BTC' },
+          network: { network_name: 'bitcoin', transaction_fee: { amount: '0.0001', currency: 'BTC' } }, created_at: '2023-11-14T22:15:00Z' },
+        { id: 'c1', type: 'advanced_trade_fill', status: 'completed', amount: { amount: '0.5', currency: 'BTC' }, created_at: '2023-11-14T22:13:20Z' },
+      ] };
+    };
+  });
+
+  it('fetchLedger requires a code and maps transaction types', async () => {
+    await assert.rejects(() => ex.fetchLedger(), BadRequest);
+    const list = await ex.fetchLedger('BTC', 1700000000000, 10);
+    assert.strictEqual(calls[1].path, '/v2/accounts/acc-btc/transactions');
+    assert.deepStrictEqual(calls[1].params, { limit: 10 });
+    assert.deepStrictEqual(list.map((e) => [e.type, e.direction, e.amount]), [
+      ['trade', 'in', 0.5], ['withdrawal', 'out', 0.1], ['rebate', 'in', 0.00001],
+    ]);
+    assert.strictEqual(list[0].account, 'acc-btc');
+    assert.strictEqual(list[0].timestamp, 1700000000000);
+    assert.deepStrictEqual(list[1].fee, { cost: 0.0001, currency: 'BTC' });
+    assert.strictEqual(list[1].before, undefined);
+  });
+});
@@ -555,6 +555,37 @@ describe('Cointr Mocked API Calls', () => {
     assert.strictEqual(capturedParams.px, undefined);
   });
 
+  it('createOrder maps timeInForce to post_only/ioc/fok ordType', async () => {
+    let capturedParams;
+    mock.method(exchange, '_request', async (method, path, params) => {
+      capturedParams = params;
+      return { code: '0', data: { ordId: 'ORD790', sCode: '0' } };
+    });
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.5, 30000, { postOnly: true });
+    assert.strictEqual(capturedParams.ordType, 'post_only');
+    assert.strictEqual(capturedParams.px, '30000');
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.5, 30000, { timeInForce: 'fok' });
+    assert.strictEqual(capturedParams.ordType, 'fok');
+    assert.strictEqual(capturedParams.timeInForce, undefined);
+  });
+
+  it('clientOrderId replaces the random clOrdId and cancels by it', async () => {
+    const calls = [];
+    mock.method(exchange, '_request', async (method, path, params) => {
+      calls.push(params);
+      return { code: '0', data: { ordId: '12345', clOrdId: params.clOrdId, sCode: '0' } };
+    });
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    const result = await exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    assert.strictEqual(calls[0].clOrdId, 'mine');
+    assert.strictEqual(calls[0].clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.deepStrictEqual(calls[1], { instId: 'BTCUSDT', clOrdId: 'mine' });
+    assert.strictEqual(result.clientOrderId, 'mine');
+  });
+
   it('cancelOrder sends instId + ordId', async () => {
     let capturedMethod, capturedPath, capturedParams;
     mock.method(exchange, '_request', async (method, path, params) => {
@@ -857,19 +888,23 @@ describe('Cointr WS Parsers', () => {
     assert.deepStrictEqual(ob.asks, []);
   });
 
-  it('_applyOrderBookUpdate applies incremental updates', () => {
-    const book = {
-      symbol: 'BTC/USDT',
-      asks: [[30100, 0.8], [30200, 1.2]],
-      bids: [[29900, 1.5], [29800, 2.0]],
-    };
+  it('watchOrderBook merges updates into the snapshot', async () => {
+    let handler;
+    exchange._subscribeCointr = async (channel, instId, cb) => { handler = cb; };
+    const books = [];
+    await exchange.watchOrderBook('BTC/USDT', (b) => books.push(b));
 
+    handler({
+      action: 'snapshot',
+      data: { asks: [['30100', '0.8'], ['30200', '1.2']], bids: [['29900', '1.5'], ['29800', '2.0']] },
+    });
     // Update: modify an ask, remove a bid (amount=0), add new entry
-    exchange._applyOrderBookUpdate(book, {
-      asks: [['30100', '1.0'], ['30300', '0.5']],
-      bids: [['29800', '0']],
+    handler({
+      action: 'update',
+      data: { asks: [['30100', '1.0'], ['30300', '0.5']], bids: [['29800', '0']] },
     });
 
+    const book = books[1];
     // 30100 updated to 1.0
     assert.deepStrictEqual(book.asks[0], [30100, 1.0]);
     // 30300 added
@@ -495,6 +495,22 @@ describe('Exmo Mocked API Calls', () => {
     assert.strictEqual(capturedParams.price, '0');
   });
 
+  it('createOrder sends exec_type for post-only and IOC orders', async () => {
+    let capturedParams;
+    mock.method(exchange, '_request', async (method, path, params) => {
+      capturedParams = params;
+      return { result: true, order_id: 67891 };
+    });
+    const order = await exchange.createOrder('BTC/USD', 'limit', 'buy', 0.5, 50000, { postOnly: true });
+    assert.strictEqual(capturedParams.exec_type, 'post_only');
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    await exchange.createOrder('BTC/USD', 'limit', 'buy', 0.5, 50000, { timeInForce: 'IOC' });
+    assert.strictEqual(capturedParams.exec_type, 'ioc');
+    await exchange.createOrder('BTC/USD', 'limit', 'buy', 0.5, 50000);
+    assert.strictEqual(capturedParams.exec_type, undefined);
+  });
+
   it('cancelOrder sends order_id', async () => {
     let capturedParams;
     mock.method(exchange, '_request', async (method, path, params) => {
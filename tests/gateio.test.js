@@ -803,3 +803,708 @@ describe('Crypto — sha512 & hmacSHA512Hex', () => {
     assert.ok(/^[0-9a-f]+$/.test(mac));
   });
 });
+
+// =============================================================================
+// 14. WEBSOCKET — LOCAL ORDER BOOK (U / u update ids)
+// =============================================================================
+
+describe('Gate.io watchOrderBook', () => {
+  const { crc32 } = ygcc;
+
+  // Stands in for GET /api/v4/spot/order_book, one response per call
+  function snapshots(exchange, responses) {
+    const requests = [];
+    exchange._request = async (method, path, params) => {
+      requests.push({ method, path, params });
+      return responses[Math.min(requests.length, responses.length) - 1];
+    };
+    return requests;
+  }
+
+  it('seeds from REST with_id and applies b/a deltas', async () => {
+    const exchange = new Gateio();
+    let payload, handler;
+    exchange._subscribePublic = async (channel, p, cb) => { payload = p; handler = cb; };
+    const requests = snapshots(exchange, [{ id: 20, current: 1, bids: [['100', '1']], asks: [['101', '1']] }]);
+    const books = [];
+    await exchange.watchOrderBook('BTC/USDT', (b) => books.push(b));
+    assert.deepStrictEqual(payload, ['BTC_USDT', '100ms']);
+
+    handler({ result: { t: 1, e: 'depthUpdate', U: 19, u: 22, b: [['99', '1']], a: [] } });
+    await new Promise((r) => setImmediate(r));
+    assert.strictEqual(requests[0].path, '/api/v4/spot/order_book');
+    assert.deepStrictEqual(requests[0].params, { currency_pair: 'BTC_USDT', limit: 100, with_id: true });
+    assert.deepStrictEqual(books[0].bids, [[100, 1], [99, 1]]);
+    assert.strictEqual(books[0].nonce, 22);
+  });
+
+  it('keeps raw level strings only on the watchOrderBook seed', async () => {
+    const exchange = new Gateio();
+    snapshots(exchange, [{ id: 20, bids: [['100.10', '1.50']], asks: [] }]);
+    const book = await exchange.fetchOrderBook('BTC/USDT');
+    assert.deepStrictEqual(book.bids, [[100.1, 1.5]]);
+    const seed = await exchange._fetchOrderBookSnapshot('BTC/USDT');
+    assert.deepStrictEqual(seed.bids, [[100.1, 1.5, '100.10:1.50']]);
+  });
+
+  it('computes the checksum from the raw top-50 strings', () => {
+    const exchange = new Gateio();
+    const { OrderBook } = ygcc;
+    const book = new OrderBook().reset({
+      bids: [[100.5, 2, '100.5:2'], [100, 1, '100:1']],
+      asks: [[101, 3, '101:3']],
+    });
+    assert.strictEqual(exchange._gateBookChecksum(book), crc32('100.5:2:101:3:100:1') | 0);
+    // A level without its original string cannot be checked
+    book.reset({ bids: [[100, 1]], asks: [[101, 1, '101:1']] });
+    assert.strictEqual(exchange._gateBookChecksum(book), undefined);
+  });
+
+  it('verifies checksums on a book seeded from REST and resyncs on a mismatch', async () => {
+    const exchange = new Gateio();
+    let handler;
+    exchange._subscribePublic = async (channel, p, cb) => { handler = cb; };
+    const requests = snapshots(exchange, [
+      { id: 20, bids: [['100.0', '1.5'], ['99.5', '2']], asks: [['100.5', '0.7']] },
+      { id: 30, bids: [['100.0', '5']], asks: [['100.5', '1']] },
+    ]);
+    const mismatches = [];
+    exchange.on('checksumMismatch', (e) => mismatches.push(e));
+    const books = [];
+    await exchange.watchOrderBook('BTC/USDT', (b) => books.push(b));
+
+    // The seed keeps "100.0" / "1.5" as sent, so the first delta's checksum matches
+    const good = crc32('100.0:1.5:100.5:0.7:99.5:2:100.6:3') | 0;
+    handler({ result: { t: 1, U: 21, u: 21, b: [], a: [['100.6', '3']], checksum: good } });
+    await new Promise((r) => setImmediate(r));
+    assert.strictEqual(books.length, 1);
+    assert.deepStrictEqual(books[0].asks, [[100.5, 0.7], [100.6, 3]]);
+    assert.strictEqual(mismatches.length, 0);
+
+    handler({ result: { t: 2, U: 22, u: 22, b: [['100.0', '2']], a: [], checksum: 12345 } });
+    await new Promise((r) => setImmediate(r));
+    assert.strictEqual(mismatches.length, 1);
+    assert.strictEqual(mismatches[0].symbol, 'BTC/USDT');
+    assert.strictEqual(mismatches[0].expected, 12345);
+    // The corrupt book is never delivered; the REST rebuild is
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(books.length, 2);
+    assert.deepStrictEqual(books[1].bids, [[100, 5]]);
+    assert.strictEqual(books[1].nonce, 30);
+  });
+});
+
+// =============================================================================
+// 15. CONDITIONAL ORDERS — /api/v4/spot/price_orders
+// =============================================================================
+
+describe('Gate.io price orders', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'k', secret: 's' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { id: 1234 };
+    };
+  });
+
+  it('stop loss sell → trigger rule <= with the order in put', async () => {
+    const order = await ex.createStopLossOrder('BTC/USDT', 'limit', 'sell', 0.1, 39900, 40000, { text: 't-1' });
+    assert.strictEqual(sent.path, '/api/v4/spot/price_orders');
+    assert.strictEqual(sent.params.market, 'BTC_USDT');
+    assert.deepStrictEqual(sent.params.trigger, { price: '40000', rule: '<=', expiration: 2592000 });
+    assert.deepStrictEqual(sent.params.put, {
+      type: 'limit', side: 'sell', amount: '0.1', account: 'normal', time_in_force: 'gtc', price: '39900', text: 't-1',
+    });
+    assert.strictEqual(order.id, '1234');
+    assert.strictEqual(order.symbol, 'BTC/USDT');
+  });
+
+  it('take profit sell → rule >=, market orders as IOC', async () => {
+    await ex.createTakeProfitOrder('BTC/USDT', 'market', 'sell', 0.1, undefined, 60000);
+    assert.strictEqual(sent.params.trigger.rule, '>=');
+    assert.strictEqual(sent.params.put.type, 'market');
+    assert.strictEqual(sent.params.put.time_in_force, 'ioc');
+  });
+
+  it('rejects trailing stops', async () => {
+    await assert.rejects(() => ex.createTrailingStopOrder('BTC/USDT', 'market', 'sell', 0.1, undefined, 1), ExchangeError);
+  });
+});
+
+// =============================================================================
+// 16. TIME IN FORCE — time_in_force gtc / ioc / fok / poc
+// =============================================================================
+
+describe('Gate.io time in force', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'k', secret: 's' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { id: '99' };
+    };
+  });
+
+  it('postOnly → poc, IOC → ioc', async () => {
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { postOnly: true });
+    assert.strictEqual(sent.params.time_in_force, 'poc');
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { timeInForce: 'IOC' });
+    assert.strictEqual(sent.params.time_in_force, 'ioc');
+  });
+
+  it('parses poc back to PO', () => {
+    const order = ex._parseOrder({ id: '99', currency_pair: 'BTC_USDT', type: 'limit', side: 'buy', time_in_force: 'poc', status: 'open' });
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    assert.strictEqual(ex._parseOrder({ id: '98', currency_pair: 'BTC_USDT', time_in_force: 'gtc' }).timeInForce, 'GTC');
+  });
+
+  it('postOnly market order is rejected', async () => {
+    await assert.rejects(
+      () => ex.createOrder('BTC/USDT', 'market', 'buy', 0.1, undefined, { postOnly: true }),
+      InvalidOrder,
+    );
+  });
+});
+
+// =============================================================================
+// 17. BATCH ORDERS — batch_orders / cancel_batch_orders
+// =============================================================================
+
+describe('Gate.io batch orders', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'k', secret: 's' });
+  });
+
+  it('createOrders maps succeeded / label per order', async () => {
+    ex._request = async (method, path, params) => {
+      sent = { path, params };
+      return [
+        { id: '1', text: 't-1', currency_pair: 'BTC_USDT', succeeded: true },
+        { succeeded: false, label: 'BALANCE_NOT_ENOUGH', message: 'Not enough balance' },
+      ];
+    };
+    const results = await ex.createOrders([
+      { symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 0.1, price: 40000, params: { text: 't-1' } },
+      { symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 100, price: 40000 },
+    ]);
+    assert.strictEqual(sent.path, '/api/v4/spot/batch_orders');
+    assert.strictEqual(sent.params.length, 2);
+    assert.strictEqual(sent.params[0].text, 't-1');
+    assert.strictEqual(results[0].order.id, '1');
+    assert.strictEqual(results[0].order.symbol, 'BTC/USDT');
+    assert.ok(results[1].error instanceof InsufficientFunds);
+  });
+
+  it('cancelOrders → cancel_batch_orders', async () => {
+    ex._request = async (method, path, params) => {
+      sent = { path, params };
+      return [{ currency_pair: 'BTC_USDT', id: '1', succeeded: true }, { currency_pair: 'BTC_USDT', id: '2', succeeded: false, label: 'ORDER_NOT_FOUND', message: '' }];
+    };
+    const results = await ex.cancelOrders(['1', '2'], 'BTC/USDT');
+    assert.strictEqual(sent.path, '/api/v4/spot/cancel_batch_orders');
+    assert.deepStrictEqual(sent.params[0], { currency_pair: 'BTC_USDT', id: '1' });
+    assert.strictEqual(results[0].order.status, 'CANCELED');
+    assert.ok(results[1].error instanceof OrderNotFound);
+  });
+});
+
+// =============================================================================
+// 18. CLIENT ORDER IDS — text ("t-" prefixed)
+// =============================================================================
+
+describe('Gate.io client order ids', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'k', secret: 's' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return { id: '1', text: 't-abc', currency_pair: 'BTC_USDT', status: 'open' };
+    };
+  });
+
+  it('sends clientOrderId as text with the t- prefix', async () => {
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'abc' });
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 't-abc' });
+    assert.strictEqual(calls[0].params.text, 't-abc');
+    assert.strictEqual(calls[0].params.clientOrderId, undefined);
+    assert.strictEqual(calls[1].params.text, 't-abc');
+  });
+
+  it('generated ids start with t- and fit in 28 characters', () => {
+    ex.clientOrderIdPrefix = 'grid-';
+    const id = ex._generateClientOrderId();
+    assert.match(id, /^t-grid-[0-9a-f]+$/);
+    assert.strictEqual(id.length, 28);
+  });
+
+  it('fetchOrder and cancelOrder put the text in the order path', async () => {
+    const order = await ex.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'abc' });
+    await ex.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'abc' });
+    assert.strictEqual(calls[0].path, '/api/v4/spot/orders/t-abc');
+    assert.strictEqual(calls[1].path, '/api/v4/spot/orders/t-abc');
+    assert.deepStrictEqual(calls[1].params, { currency_pair: 'BTC_USDT' });
+    assert.strictEqual(order.clientOrderId, 't-abc');
+  });
+});
+
+// =============================================================================
+// 19. FUNDING — wallet deposit_address / deposits / withdrawals / withdraw_status
+// =============================================================================
+
+describe('Gate.io funding', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'k', secret: 's' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return data;
+  };
+
+  it('fetchDepositAddress picks the chain and its payment id', async () => {
+    ex._request = respond({ currency: 'XRP', address: 'rAddr 123', multichain_addresses: [
+      { chain: 'XRP', address: 'rAddr', payment_id: '123', payment_name: 'Tag', obtain_failed: 0 },
+    ] });
+    const addr = await ex.fetchDepositAddress('XRP', { network: 'XRP' });
+    assert.deepStrictEqual(calls[0].params, { currency: 'XRP' });
+    assert.strictEqual(addr.address, 'rAddr');
+    assert.strictEqual(addr.tag, '123');
+    await assert.rejects(() => ex.fetchDepositAddress('XRP', { network: 'TRC20' }), /on TRX/);
+  });
+
+  it('parses deposits and withdrawals with second timestamps', async () => {
+    ex._request = respond([{ id: 'w1', timestamp: '1700000000', currency: 'USDT', address: 'TXyz', txid: 'h1', amount: '10', fee: '1', memo: '', status: 'DONE', chain: 'TRX' }]);
+    const [withdrawal] = await ex.fetchWithdrawals('USDT', 1690000000000, 10);
+    assert.deepStrictEqual(calls[0].params, { currency: 'USDT', from: 1690000000, limit: 10 });
+    assert.strictEqual(withdrawal.timestamp, 1700000000000);
+    assert.strictEqual(withdrawal.status, 'ok');
+    assert.strictEqual(withdrawal.network, 'TRC20');
+    assert.deepStrictEqual(withdrawal.fee, { cost: 1, currency: 'USDT' });
+    ex._request = respond([{ id: 'd1', timestamp: '1700000000', currency: 'USDT', amount: '5', status: 'CANCEL', chain: 'ETH' }]);
+    const [deposit] = await ex.fetchDeposits();
+    assert.strictEqual(deposit.status, 'canceled');
+  });
+
+  it('withdraw requires a chain and returns the created record', async () => {
+    ex._request = respond({ id: 'w2', currency: 'USDT', amount: '20', address: 'TXyz', chain: 'TRX', status: 'REQUEST', timestamp: '1700000000' });
+    await assert.rejects(() => ex.withdraw('USDT', 20, 'TXyz'), /requires params.network/);
+    const tx = await ex.withdraw('USDT', 20, 'TXyz', undefined, { network: 'TRC20' });
+    assert.strictEqual(calls[0].path, '/api/v4/withdrawals');
+    assert.deepStrictEqual(calls[0].params, { currency: 'USDT', address: 'TXyz', amount: '20', chain: 'TRX' });
+    assert.strictEqual(tx.id, 'w2');
+    assert.strictEqual(tx.status, 'pending');
+  });
+
+  it('fetchDepositWithdrawFees reads fixed fees per chain', async () => {
+    ex._request = respond([{ currency: 'USDT', deposit: '0', withdraw_fix: '1', withdraw_fix_on_chains: { ETH: '5', TRX: '1' } }]);
+    const fees = await ex.fetchDepositWithdrawFees(['USDT']);
+    assert.deepStrictEqual(calls[0].params, { currency: 'USDT' });
+    assert.deepStrictEqual(fees.USDT.networks.ERC20.withdraw, { fee: 5, percentage: false });
+    assert.deepStrictEqual(fees.USDT.deposit, { fee: 0, percentage: false });
+  });
+});
+
+// =============================================================================
+// 20. TRANSFERS — wallet transfers and sub-account transfers
+// =============================================================================
+
+describe('Gate.io transfers', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'k', secret: 's' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return data;
+  };
+
+  it('transfer to futures adds the settle currency', async () => {
+    ex._request = respond({ tx_id: 59636381286 });
+    const t = await ex.transfer('usdt', 50, 'spot', 'futures');
+    assert.strictEqual(calls[0].method, 'POST');
+    assert.strictEqual(calls[0].path, '/api/v4/wallet/transfers');
+    assert.deepStrictEqual(calls[0].params, { currency: 'USDT', from: 'spot', to: 'futures', amount: '50', settle: 'usdt' });
+    assert.strictEqual(t.id, '59636381286');
+    assert.strictEqual(t.toAccount, 'futures');
+  });
+
+  it('margin transfers need the symbol', async () => {
+    ex._request = respond({ tx_id: 1 });
+    await assert.rejects(() => ex.transfer('USDT', 5, 'spot', 'margin'), /params.symbol/);
+    await ex.transfer('USDT', 5, 'spot', 'margin', { symbol: 'BTC/USDT' });
+    assert.strictEqual(calls[0].params.currency_pair, 'BTC_USDT');
+    assert.strictEqual(calls[0].params.symbol, undefined);
+  });
+
+  it('sub-account transfers post a direction and account type', async () => {
+    ex._request = respond({ tx_id: 2 });
+    const t = await ex.transfer('USDT', 5, 'spot', 'spot', { toSubAccount: '10002' });
+    assert.strictEqual(calls[0].path, '/api/v4/wallet/sub_account_transfers');
+    assert.deepStrictEqual(calls[0].params, {
+      sub_account: '10002', direction: 'to', sub_account_type: 'spot', currency: 'USDT', amount: '5',
+    });
+    assert.strictEqual(t.toSubAccount, '10002');
+    assert.strictEqual(t.fromSubAccount, undefined);
+    assert.strictEqual(t.status, 'ok');
+  });
+
+  it('fetchTransfers lists sub-account transfers', async () => {
+    ex._request = respond([
+      { uid: '10001', timest: '1700000000', currency: 'USDT', sub_account: '10002', direction: 'from', amount: '1', sub_account_type: 'futures', status: 'success' },
+      { uid: '10001', timest: '1700000001', currency: 'BTC', sub_account: '10002', direction: 'to', amount: '1', status: 'success' },
+    ]);
+    const list = await ex.fetchTransfers('USDT', 1690000000000, 10, { subAccount: 10002 });
+    assert.deepStrictEqual(calls[0].params, { sub_uid: '10002', from: 1690000000, limit: 10 });
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].fromSubAccount, '10002');
+    assert.strictEqual(list[0].fromAccount, 'futures');
+    assert.strictEqual(list[0].timestamp, 1700000000000);
+  });
+});
+
+// =============================================================================
+// 21. POSITIONS — futures positions in the configured settle currency
+// =============================================================================
+
+describe('Gate.io positions', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'k', secret: 's' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return data;
+  };
+
+  const position = {
+    user: 10000, contract: 'BTC_USDT', size: -20, leverage: '0', cross_leverage_limit: '10', value: '1180',
+    margin: '118', entry_price: '60000', liq_price: '70000', mark_price: '59000', initial_margin: '118',
+    maintenance_margin: '5.9', unrealised_pnl: '20', realised_pnl: '-0.5', mode: 'single', update_time: 1700000100,
+  };
+
+  it('fetchPositions reads holding positions of the settle currency', async () => {
+    ex._request = respond([position]);
+    const [p] = await ex.fetchPositions();
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/positions');
+    assert.deepStrictEqual(calls[0].params, { holding: 'true' });
+    assert.strictEqual(p.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(p.side, 'short');
+    assert.strictEqual(p.contracts, 20);
+    assert.strictEqual(p.marginMode, 'cross');
+    assert.strictEqual(p.leverage, 10);
+    assert.strictEqual(p.timestamp, 1700000100000);
+  });
+
+  it('maps contracts of a BTC-settled account to inverse symbols', async () => {
+    ex = new Gateio({ apiKey: 'k', secret: 's', settle: 'btc' });
+    ex._request = respond([{ ...position, contract: 'BTC_USD', leverage: '5', mode: 'dual_long', size: 100 }]);
+    const [p] = await ex.fetchPositions(['BTC/USD:BTC']);
+    assert.strictEqual(calls[0].path, '/api/v4/futures/btc/positions');
+    assert.strictEqual(p.symbol, 'BTC/USD:BTC');
+    assert.strictEqual(p.side, 'long');
+    assert.strictEqual(p.hedged, true);
+    assert.strictEqual(p.marginMode, 'isolated');
+  });
+
+  it('closePosition sends a size 0 close order, or auto_size for a dual-mode leg', async () => {
+    ex._request = respond({ id: 123, contract: 'BTC_USDT', text: 't-1' });
+    const order = await ex.closePosition('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/orders');
+    assert.deepStrictEqual(calls[0].params, { contract: 'BTC_USDT', size: 0, price: '0', tif: 'ioc', close: true });
+    assert.strictEqual(order.id, '123');
+    assert.strictEqual(order.symbol, 'BTC/USDT:USDT');
+    await ex.closePosition('BTC/USDT:USDT', 'short');
+    assert.strictEqual(calls[1].params.auto_size, 'close_short');
+    assert.strictEqual(calls[1].params.reduce_only, true);
+  });
+
+  it('watchPositions subscribes with the user id on the futures stream', async () => {
+    ex._request = respond({ user_id: 10000 });
+    const subs = [];
+    ex._subscribePrivate = async (channel, payload, callback, wsUrl) => {
+      subs.push({ channel, payload, wsUrl });
+      callback({ channel, event: 'update', result: [{ ...position, time_ms: 1700000200000 }] });
+      return channel;
+    };
+    const seen = [];
+    await ex.watchPositions((p) => seen.push(p));
+    assert.strictEqual(calls[0].path, '/api/v4/account/detail');
+    assert.deepStrictEqual(subs[0], { channel: 'futures.positions', payload: ['10000', '!all'], wsUrl: 'wss://fx-ws.gateio.ws/v4/ws/usdt' });
+    assert.strictEqual(seen[0].timestamp, 1700000200000);
+  });
+});
+
+// =============================================================================
+// 22. DERIVATIVES MARKET DATA — contract funding, mark/index candles, open interest
+// =============================================================================
+
+describe('Gate.io derivatives market data', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Gateio();
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return data;
+  };
+
+  const contract = {
+    name: 'BTC_USDT', quanto_multiplier: '0.0001', mark_price: '60000', index_price: '59990',
+    funding_rate: '0.0001', funding_rate_indicative: '0.00012', funding_interval: 28800,
+    funding_next_apply: 1700006400, position_size: 500000,
+  };
+
+  it('fetchFundingRate reads the futures contract', async () => {
+    ex._request = respond(contract);
+    const rate = await ex.fetchFundingRate('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/contracts/BTC_USDT');
+    assert.strictEqual(rate.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(rate.fundingRate, 0.0001);
+    assert.strictEqual(rate.nextFundingRate, 0.00012);
+    assert.strictEqual(rate.fundingTimestamp, 1700006400000);
+    assert.strictEqual(rate.interval, '8h');
+    assert.strictEqual(rate.indexPrice, 59990);
+  });
+
+  it('fetchFundingRates lists the settle currency contracts', async () => {
+    ex._request = respond([contract, { ...contract, name: 'ETH_USDT' }]);
+    const rates = await ex.fetchFundingRates(['ETH/USDT:USDT']);
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/contracts');
+    assert.deepStrictEqual(Object.keys(rates), ['ETH/USDT:USDT']);
+  });
+
+  it('fetchFundingRateHistory converts seconds and sorts oldest first', async () => {
+    ex._request = respond([{ t: 1700028800, r: '0.0002' }, { t: 1700000000, r: '0.0001' }]);
+    const history = await ex.fetchFundingRateHistory('BTC/USDT:USDT', 1700000000000, 10);
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/funding_rate');
+    assert.deepStrictEqual(calls[0].params, { contract: 'BTC_USDT', from: 1700000000, limit: 10 });
+    assert.deepStrictEqual(history.map((h) => [h.timestamp, h.fundingRate]), [[1700000000000, 0.0001], [1700028800000, 0.0002]]);
+    assert.strictEqual(history[0].symbol, 'BTC/USDT:USDT');
+  });
+
+  it('fetchMarkOHLCV queries the mark_ contract and trims a since query locally', async () => {
+    ex._request = respond([
+      { t: 1700000000, o: '1', h: '2', l: '0.5', c: '2', v: 0 },
+      { t: 1700000060, o: '2', h: '3', l: '1', c: '2.5', v: 0 },
+    ]);
+    const candles = await ex.fetchMarkOHLCV('BTC/USDT:USDT', '1m', 1700000000000, 1);
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/candlesticks');
+    assert.deepStrictEqual(calls[0].params, { contract: 'mark_BTC_USDT', interval: '1m', from: 1700000000 });
+    assert.deepStrictEqual(candles, [[1700000000000, 1, 2, 0.5, 2, 0]]);
+    await ex.fetchIndexOHLCV('BTC/USDT:USDT', '1h', undefined, 50);
+    assert.deepStrictEqual(calls[1].params, { contract: 'index_BTC_USDT', interval: '1h', limit: 50 });
+  });
+
+  it('fetchOpenInterest values position_size at the mark price', async () => {
+    ex._request = respond(contract);
+    const oi = await ex.fetchOpenInterest('BTC/USDT:USDT');
+    assert.strictEqual(oi.openInterestAmount, 500000);
+    assert.strictEqual(oi.openInterestValue, 500000 * 0.0001 * 60000);
+  });
+
+  it('watchFundingRate and watchMarkPrice use futures.tickers on the futures stream', async () => {
+    const seen = [];
+    const subs = [];
+    ex._subscribePublic = async (channel, payload, callback, wsUrl) => {
+      subs.push([channel, payload, wsUrl]);
+      callback({ channel, event: 'update', time_ms: 1700000000123, result: [{
+        contract: 'BTC_USDT', mark_price: '60000', index_price: '59990', funding_rate: '0.0001', funding_rate_indicative: '0.0001',
+      }] });
+      return channel;
+    };
+    await ex.watchFundingRate('BTC/USDT:USDT', (r) => seen.push(r));
+    await ex.watchMarkPrice('BTC/USDT:USDT', (m) => seen.push(m));
+    assert.deepStrictEqual(subs[0], ['futures.tickers', ['BTC_USDT'], 'wss://fx-ws.gateio.ws/v4/ws/usdt']);
+    assert.strictEqual(seen[0].fundingRate, 0.0001);
+    assert.strictEqual(seen[0].timestamp, 1700000000123);
+    assert.strictEqual(seen[1].symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(seen[1].indexPrice, 59990);
+  });
+});
+
+// =============================================================================
+// 23. LEVERAGE & MARGIN — leverage, margin/dual mode, margin, risk limit tiers
+// =============================================================================
+
+describe('Gate.io leverage and margin', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'test-key', secret: 'test-secret' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params, signed) => {
+    calls.push({ method, path, params, signed });
+    return data;
+  };
+
+  const position = { contract: 'BTC_USDT', size: 0, leverage: '0', cross_leverage_limit: '25', margin: '120', mode: 'single' };
+
+  it('_sign signs the path and its query string for query-style POSTs', () => {
+    const result = ex._sign('/api/v4/futures/usdt/dual_mode?dual_mode=true', 'POST', {});
+    const payload = 'POST\n/api/v4/futures/usdt/dual_mode\ndual_mode=true\n' + sha512('') + '\n' + result.headers.Timestamp;
+    assert.strictEqual(result.headers.SIGN, hmacSHA512Hex(payload, 'test-secret'));
+  });
+
+  it('setLeverage posts the leverage in the query and parses the position', async () => {
+    ex._request = respond({ ...position, leverage: '10' });
+    const lev = await ex.setLeverage(10, 'BTC/USDT:USDT');
+    assert.strictEqual(calls[0].method, 'POST');
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/positions/BTC_USDT/leverage?leverage=10');
+    assert.deepStrictEqual([lev.symbol, lev.marginMode, lev.longLeverage, lev.shortLeverage], ['BTC/USDT:USDT', 'isolated', 10, 10]);
+  });
+
+  it('fetchLeverage reports cross mode with the cross leverage limit', async () => {
+    ex._request = respond(position);
+    const lev = await ex.fetchLeverage('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/positions/BTC_USDT');
+    assert.deepStrictEqual([lev.marginMode, lev.longLeverage], ['cross', 25]);
+  });
+
+  it('setMarginMode and setPositionMode use the cross_mode and dual_mode endpoints', async () => {
+    ex._request = respond({});
+    const mode = await ex.setMarginMode('isolated', 'BTC/USDT:USDT');
+    const pos = await ex.setPositionMode(true);
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/positions/cross_mode');
+    assert.deepStrictEqual(calls[0].params, { contract: 'BTC_USDT', mode: 'ISOLATED' });
+    assert.strictEqual(mode.marginMode, 'isolated');
+    assert.strictEqual(calls[1].path, '/api/v4/futures/usdt/dual_mode?dual_mode=true');
+    assert.strictEqual(pos.hedged, true);
+  });
+
+  it('reduceMargin sends a negative change and reports the position margin', async () => {
+    ex._request = respond({ ...position, leverage: '10', margin: '110' });
+    const m = await ex.reduceMargin('BTC/USDT:USDT', 10);
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/positions/BTC_USDT/margin?change=-10');
+    assert.deepStrictEqual([m.symbol, m.type, m.amount, m.total, m.code], ['BTC/USDT:USDT', 'reduce', 10, 110, 'USDT']);
+  });
+
+  it('fetchMarketLeverageTiers reads the risk limit tiers', async () => {
+    ex._request = respond([
+      { tier: 2, risk_limit: '1000000', maintenance_rate: '0.01', leverage_max: '50', contract: 'BTC_USDT' },
+      { tier: 1, risk_limit: '500000', maintenance_rate: '0.005', leverage_max: '100', contract: 'BTC_USDT' },
+    ]);
+    const tiers = await ex.fetchMarketLeverageTiers('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/api/v4/futures/usdt/risk_limit_tiers');
+    assert.deepStrictEqual(calls[0].params, { contract: 'BTC_USDT' });
+    assert.strictEqual(calls[0].signed, false);
+    assert.deepStrictEqual(tiers.map((t) => [t.tier, t.minNotional, t.maxNotional, t.maintenanceMarginRate]), [
+      [1, 0, 500000, 0.005],
+      [2, 500000, 1000000, 0.01],
+    ]);
+  });
+});
+
+// =============================================================================
+// 24. SPOT MARGIN — cross and isolated loans, rates, interest, balances and orders
+// =============================================================================
+
+describe('Gate.io spot margin', () => {
+  let ex;
+  let calls;
+  let replies;
+
+  beforeEach(() => {
+    ex = new Gateio({ apiKey: 'test-key', secret: 'test-secret' });
+    calls = [];
+    replies = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return replies.shift();
+    };
+  });
+
+  it('borrowMargin uses cross loans without a symbol and uni loans with one', async () => {
+    replies.push({ id: '17', currency: 'USDT', amount: '100', create_time: 1700000000000, status: 2 }, undefined);
+    const cross = await ex.borrowMargin('USDT', 100);
+    const isolated = await ex.borrowMargin('BTC', 0.1, 'BTC/USDT');
+    assert.deepStrictEqual(calls[0], { method: 'POST', path: '/api/v4/margin/cross/loans', params: { currency: 'USDT', amount: '100' } });
+    assert.deepStrictEqual([cross.id, cross.amount, cross.datetime], ['17', 100, '2023-11-14T22:13:20.000Z']);
+    assert.deepStrictEqual(calls[1].params, { currency: 'BTC', type: 'borrow', amount: '0.1', currency_pair: 'BTC_USDT' });
+    assert.deepStrictEqual([isolated.symbol, isolated.amount], ['BTC/USDT', 0.1]);
+  });
+
+  it('repayMargin uses cross repayments or a uni repay', async () => {
+    replies.push([{ id: '17', currency: 'USDT' }], undefined);
+    const cross = await ex.repayMargin('USDT', 50);
+    await ex.repayMargin('BTC', 0.1, 'BTC/USDT', { repaid_all: true });
+    assert.strictEqual(calls[0].path, '/api/v4/margin/cross/repayments');
+    assert.strictEqual(cross.id, '17');
+    assert.strictEqual(calls[1].path, '/api/v4/margin/uni/loans');
+    assert.deepStrictEqual([calls[1].params.type, calls[1].params.repaid_all], ['repay', true]);
+  });
+
+  it('fetchBorrowRate and fetchBorrowInterest read the margin rate and interest records', async () => {
+    replies.push({ BTC: '0.000002' });
+    replies.push([
+      { currency: 'BTC', currency_pair: 'BTC_USDT', actual_rate: '0.000002', interest: '0.0000002', create_time: 1700003600000 },
+      { currency: 'BTC', currency_pair: 'BTC_USDT', actual_rate: '0.000002', interest: '0.0000001', create_time: 1700000000000 },
+    ]);
+    const rate = await ex.fetchBorrowRate('BTC');
+    const interest = await ex.fetchBorrowInterest('BTC', 'BTC/USDT', 1700000000000);
+    assert.deepStrictEqual(calls[0].params, { currencies: 'BTC' });
+    assert.strictEqual(rate.rate, 0.000002);
+    assert.strictEqual(calls[1].path, '/api/v4/margin/uni/interest_records');
+    assert.deepStrictEqual(calls[1].params, { currency: 'BTC', currency_pair: 'BTC_USDT', from: 1700000000 });
+    assert.deepStrictEqual(interest.map((i) => i.interest), [0.0000001, 0.0000002]);
+    assert.deepStrictEqual([interest[0].symbol, interest[0].marginMode], ['BTC/USDT', 'isolated']);
+    replies.push([]);
+    await ex.fetchBorrowInterest();
+    assert.strictEqual(calls[2].path, '/api/v4/margin/cross/interest_records');
+  });
+
+  it('fetchBalance({ type: margin }) reads cross and isolated margin accounts with debts', async () => {
+    replies.push({ balances: { USDT: { available: '900', freeze: '100', borrowed: '50', interest: '0.5' }, ETH: { available: '0', freeze: '0', borrowed: '0', interest: '0' } } });
+    replies.push([{ currency_pair: 'BTC_USDT',
+      base: { currency: 'BTC', available: '1', locked: '0', borrowed: '0', interest: '0' },
+      quote: { currency: 'USDT', available: '10', locked: '0', borrowed: '5', interest: '0' } }]);
+    const cross = await ex.fetchBalance({ type: 'margin' });
+    const isolated = await ex.fetchBalance({ type: 'margin', marginMode: 'isolated', symbol: 'BTC/USDT' });
+    assert.strictEqual(calls[0].path, '/api/v4/margin/cross/accounts');
+    assert.deepStrictEqual(cross.USDT, { free: 900, used: 100, total: 1000, debt: 50.5 });
+    assert.strictEqual(cross.ETH, undefined);
+    assert.deepStrictEqual(calls[1], { method: 'GET', path: '/api/v4/margin/accounts', params: { currency_pair: 'BTC_USDT' } });
+    assert.deepStrictEqual(isolated.USDT, { free: 10, used: 0, total: 10, debt: 5 });
+  });
+
+  it('margin orders set the order account, and cross cancels name cross_margin', async () => {
+    replies.push({ id: '1', status: 'open' }, { id: '2' }, { id: '1' });
+    await ex.createOrder('BTC/USDT', 'limit', 'sell', 0.01, 60000, { marginMode: 'cross', auto_borrow: true });
+    await ex.createOrder('BTC/USDT', 'limit', 'sell', 0.01, 59000, { marginMode: 'isolated', stopLossPrice: 59500 });
+    await ex.cancelOrder('1', 'BTC/USDT', { marginMode: 'cross' });
+    assert.deepStrictEqual([calls[0].params.account, calls[0].params.auto_borrow, calls[0].params.marginMode], ['cross_margin', true, undefined]);
+    assert.strictEqual(calls[1].path, '/api/v4/spot/price_orders');
+    assert.strictEqual(calls[1].params.put.account, 'margin');
+    assert.deepStrictEqual(calls[2].params, { currency_pair: 'BTC_USDT', account: 'cross_margin' });
+  });
+});
@@ -916,3 +916,487 @@ describe('Crypto — krakenSign', () => {
     assert.notStrictEqual(sig1, sig2);
   });
 });
+
+// =============================================================================
+// 14. WEBSOCKET — LOCAL ORDER BOOK
+// =============================================================================
+
+describe('Kraken watchOrderBook', () => {
+  it('merges v2 book updates and caps the book at the subscribed depth', async () => {
+    const exchange = new Kraken();
+    let handler;
+    exchange._subscribePublic = async (channel, params, cb) => { handler = cb; };
+    const books = [];
+    await exchange.watchOrderBook('BTC/USD', (b) => books.push(b), 10);
+
+    const bids = Array.from({ length: 10 }, (_, i) => ({ price: 100 - i, qty: 1 }));
+    handler({ channel: 'book', type: 'snapshot', data: [{ symbol: 'BTC/USD', bids, asks: [{ price: 101, qty: 1 }] }] });
+    handler({ channel: 'book', type: 'update', data: [{ symbol: 'BTC/USD', bids: [{ price: 100.5, qty: 2 }], asks: [{ price: 101, qty: 0 }], timestamp: '2024-01-01T00:00:00.000Z' }] });
+
+    const book = books[1];
+    assert.strictEqual(book.bids.length, 10);
+    assert.deepStrictEqual(book.bids[0], [100.5, 2]);
+    assert.deepStrictEqual(book.asks, []);
+    assert.strictEqual(book.timestamp, Date.parse('2024-01-01T00:00:00.000Z'));
+  });
+  it('checksums top 10 levels formatted to the pair precision', () => {
+    const exchange = new Kraken();
+    exchange._marketsLoaded = true;
+    exchange.markets['BTC/USD'] = { symbol: 'BTC/USD', precision: { price: 1, amount: 8 } };
+    const book = new ygcc.OrderBook().reset({ bids: [[45283.5, 0.1]], asks: [[45285.2, 0.001]] });
+    assert.strictEqual(exchange._krakenBookChecksum(book, 'BTC/USD'), ygcc.crc32('452852' + '100000' + '452835' + '10000000'));
+    assert.strictEqual(exchange._krakenBookChecksum(book, 'ETH/USD'), undefined);
+  });
+
+  it('resubscribes when the checksum does not match', async () => {
+    const exchange = new Kraken();
+    exchange._marketsLoaded = true;
+    exchange.markets['BTC/USD'] = { symbol: 'BTC/USD', wsname: 'XBT/USD', precision: { price: 1, amount: 8 } };
+    const sent = [];
+    let handler;
+    exchange._ensureWsConnected = async () => ({ send: (m) => sent.push(m) });
+    exchange._subscribePublic = async (channel, params, cb) => { handler = cb; };
+    const mismatches = [];
+    exchange.on('checksumMismatch', (e) => mismatches.push(e));
+    const books = [];
+    await exchange.watchOrderBook('BTC/USD', (b) => books.push(b), 10);
+
+    const asks = [{ price: 45285.2, qty: 0.001 }];
+    const bids = [{ price: 45283.5, qty: 0.1 }];
+    const good = exchange._krakenBookChecksum(new ygcc.OrderBook().reset({ bids: [[45283.5, 0.1]], asks: [[45285.2, 0.001]] }), 'BTC/USD');
+    handler({ channel: 'book', type: 'snapshot', data: [{ symbol: 'XBT/USD', bids, asks, checksum: good }] });
+    handler({ channel: 'book', type: 'update', data: [{ symbol: 'XBT/USD', bids: [{ price: 45283.5, qty: 0.2 }], asks: [], checksum: good }] });
+    await new Promise((r) => setImmediate(r));
+
+    assert.strictEqual(books.length, 1);
+    assert.strictEqual(mismatches.length, 1);
+    assert.deepStrictEqual(sent, [
+      { method: 'unsubscribe', params: { channel: 'book', symbol: ['XBT/USD'], depth: 10 } },
+      { method: 'subscribe', params: { channel: 'book', symbol: ['XBT/USD'], depth: 10 } },
+    ]);
+  });
+});
+
+// =============================================================================
+// 15. CONDITIONAL ORDERS — stop-loss / take-profit / trailing-stop ordertypes
+// =============================================================================
+
+describe('Kraken conditional orders', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Kraken({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { error: [], result: { descr: { order: 'stop' }, txid: ['OSTOP1'] } };
+    };
+  });
+
+  it('stop loss market → stop-loss with the trigger as price', async () => {
+    const order = await ex.createStopLossOrder('BTC/USD', 'market', 'sell', 0.5, undefined, 40000);
+    assert.strictEqual(sent.path, '/0/private/AddOrder');
+    assert.strictEqual(sent.params.ordertype, 'stop-loss');
+    assert.strictEqual(sent.params.price, '40000');
+    assert.strictEqual(sent.params.price2, undefined);
+    assert.strictEqual(sent.params.stopLossPrice, undefined);
+    assert.strictEqual(order.id, 'OSTOP1');
+  });
+
+  it('take profit limit → take-profit-limit with price2 as the limit price', async () => {
+    await ex.createTakeProfitOrder('BTC/USD', 'limit', 'sell', 0.5, 50100, 50000);
+    assert.strictEqual(sent.params.ordertype, 'take-profit-limit');
+    assert.strictEqual(sent.params.price, '50000');
+    assert.strictEqual(sent.params.price2, '50100');
+  });
+
+  it('triggerPrice maps to stop-loss and passes the trigger reference through', async () => {
+    await ex.createOrder('BTC/USD', 'market', 'buy', 0.5, undefined, { triggerPrice: 52000, trigger: 'index' });
+    assert.strictEqual(sent.params.ordertype, 'stop-loss');
+    assert.strictEqual(sent.params.trigger, 'index');
+  });
+
+  it('trailing stop → trailing-stop with a + offset', async () => {
+    await ex.createTrailingStopOrder('BTC/USD', 'market', 'sell', 0.5, undefined, 1.5);
+    assert.strictEqual(sent.params.ordertype, 'trailing-stop');
+    assert.strictEqual(sent.params.price, '+1.5%');
+    await ex.createTrailingStopOrder('BTC/USD', 'market', 'sell', 0.5, undefined, undefined, undefined, { trailingAmount: 250 });
+    assert.strictEqual(sent.params.price, '+250');
+    await assert.rejects(() => ex.createTrailingStopOrder('BTC/USD', 'market', 'sell', 0.5, undefined, 1, 45000), InvalidOrder);
+  });
+});
+
+// =============================================================================
+// 16. TIME IN FORCE — timeinforce / oflags=post / reduce_only
+// =============================================================================
+
+describe('Kraken time in force', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Kraken({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { error: [], result: { descr: { order: 'buy' }, txid: ['OTIF1'] } };
+    };
+  });
+
+  it('postOnly → oflags post, IOC → timeinforce', async () => {
+    await ex.createOrder('BTC/USD', 'limit', 'buy', 0.5, 50000, { postOnly: true, oflags: 'fciq' });
+    assert.strictEqual(sent.params.oflags, 'fciq,post');
+    assert.strictEqual(sent.params.timeinforce, undefined);
+    await ex.createOrder('BTC/USD', 'limit', 'buy', 0.5, 50000, { timeInForce: 'ioc' });
+    assert.strictEqual(sent.params.timeinforce, 'IOC');
+  });
+
+  it('rejects FOK and spot reduceOnly', async () => {
+    await assert.rejects(() => ex.createOrder('BTC/USD', 'limit', 'buy', 0.5, 50000, { timeInForce: 'FOK' }), InvalidOrder);
+    await assert.rejects(() => ex.createOrder('BTC/USD', 'market', 'sell', 0.5, undefined, { reduceOnly: true }), InvalidOrder);
+    await ex.createOrder('BTC/USD', 'market', 'sell', 0.5, undefined, { reduceOnly: true, leverage: '2' });
+    assert.strictEqual(sent.params.reduce_only, true);
+  });
+});
+
+// =============================================================================
+// 17. EDIT ORDER — /0/private/EditOrder
+// =============================================================================
+
+describe('Kraken editOrder', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Kraken({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return {
+        error: [],
+        result: { status: 'ok', txid: 'ONEW12-ABCDE-FGHIJK', originaltxid: 'OOLD12-ABCDE-FGHIJK', volume: '0.5', price: '49000', descr: { order: 'buy 0.5 XBTUSD @ limit 49000' } },
+      };
+    };
+  });
+
+  it('sends txid, volume and price and returns the new txid', async () => {
+    assert.strictEqual(ex.has.editOrder, true);
+    const order = await ex.editOrder('OOLD12-ABCDE-FGHIJK', 'BTC/USD', 'limit', 'buy', 0.5, 49000);
+    assert.strictEqual(sent.path, '/0/private/EditOrder');
+    assert.strictEqual(sent.params.txid, 'OOLD12-ABCDE-FGHIJK');
+    assert.strictEqual(sent.params.volume, '0.5');
+    assert.strictEqual(sent.params.price, '49000');
+    assert.strictEqual(order.id, 'ONEW12-ABCDE-FGHIJK');
+    assert.strictEqual(order.symbol, 'BTC/USD');
+    assert.strictEqual(order.type, 'LIMIT');
+  });
+
+  it('postOnly → oflags post', async () => {
+    await ex.editOrder('OOLD12-ABCDE-FGHIJK', 'BTC/USD', 'limit', 'buy', undefined, 48000, { postOnly: true });
+    assert.strictEqual(sent.params.oflags, 'post');
+    assert.strictEqual(sent.params.volume, undefined);
+  });
+});
+
+// =============================================================================
+// 18. CLIENT ORDER IDS — userref and cl_ord_id
+// =============================================================================
+
+describe('Kraken client order ids', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Kraken({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    calls = [];
+  });
+
+  it('sends integer ids as userref and anything else as cl_ord_id', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push(params);
+      return { error: [], result: { txid: ['OTX1'], descr: { order: 'buy' } } };
+    };
+    await ex.createOrder('BTC/USD', 'limit', 'buy', 0.1, 40000, { clientOrderId: 42 });
+    const order = await ex.createOrder('BTC/USD', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'bot-1' });
+    assert.strictEqual(calls[0].userref, '42');
+    assert.strictEqual(calls[0].cl_ord_id, undefined);
+    assert.strictEqual(calls[1].cl_ord_id, 'bot-1');
+    assert.strictEqual(calls[1].clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'bot-1');
+  });
+
+  it('generated ids are short UUIDs, or 18 characters with a prefix', () => {
+    assert.match(ex._generateClientOrderId(), /^[0-9a-f]{32}$/);
+    ex.clientOrderIdPrefix = 'bot-';
+    assert.match(ex._generateClientOrderId(), /^bot-[0-9a-f]{14}$/);
+  });
+
+  it('fetchOrder by clientOrderId searches open, then closed orders', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params });
+      if (path === '/0/private/OpenOrders') return { error: [], result: { open: {} } };
+      return {
+        error: [],
+        result: { closed: { OTX1: { cl_ord_id: 'bot-1', status: 'closed', descr: { pair: 'XBTUSD', type: 'buy', ordertype: 'limit', price: '40000' }, vol: '0.1', vol_exec: '0.1' } } },
+      };
+    };
+    const order = await ex.fetchOrder(undefined, 'BTC/USD', { clientOrderId: 'bot-1' });
+    assert.deepStrictEqual(calls.map((c) => c.path), ['/0/private/OpenOrders', '/0/private/ClosedOrders']);
+    assert.strictEqual(calls[1].params.cl_ord_id, 'bot-1');
+    assert.strictEqual(order.id, 'OTX1');
+    assert.strictEqual(order.clientOrderId, 'bot-1');
+  });
+
+  it('fetchOrder by clientOrderId throws OrderNotFound when neither list has it', async () => {
+    ex._request = async () => ({ error: [], result: {} });
+    await assert.rejects(() => ex.fetchOrder(undefined, 'BTC/USD', { clientOrderId: '7' }), OrderNotFound);
+  });
+
+  it('cancelOrder sends a userref as txid and a cl_ord_id in its own field', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push(params);
+      return { error: [], result: { count: 1 } };
+    };
+    await ex.cancelOrder(undefined, 'BTC/USD', { clientOrderId: '42' });
+    const result = await ex.cancelOrder(undefined, 'BTC/USD', { clientOrderId: 'bot-1' });
+    assert.deepStrictEqual(calls[0], { txid: '42' });
+    assert.deepStrictEqual(calls[1], { cl_ord_id: 'bot-1' });
+    assert.strictEqual(result.clientOrderId, 'bot-1');
+  });
+});
+
+// =============================================================================
+// 19. FUNDING — DepositMethods / DepositAddresses / DepositStatus / Withdraw
+// =============================================================================
+
+describe('Kraken funding', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Kraken({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params });
+      if (path === '/0/private/DepositMethods') {
+        return { error: [], result: [{ method: 'Tether USD (ERC20)' }, { method: 'Tether USD (TRC20)' }] };
+      }
+      if (path === '/0/private/DepositAddresses') {
+        return { error: [], result: [{ address: 'TXyz', expiretm: '0', new: params.new === true }] };
+      }
+      if (path === '/0/private/Withdraw') return { error: [], result: { refid: 'AGBSO6T' } };
+      return { error: [], result: [
+        { method: 'Bitcoin', asset: 'XXBT', refid: 'R1', txid: 'h1', info: 'bc1q', amount: '0.5', fee: '0.0001', time: 1700000000, status: 'Success' },
+        { method: 'Bitcoin', asset: 'XXBT', refid: 'R2', txid: '', info: 'bc1q', amount: '0.1', fee: '0', time: 1700000100, status: 'Pending', 'status-prop': 'canceled' },
+      ] };
+    };
+  });
+
+  it('resolves the deposit method from the network', async () => {
+    const addr = await ex.fetchDepositAddress('USDT', { network: 'TRC20' });
+    assert.deepStrictEqual(calls[1].params, { asset: 'USDT', method: 'Tether USD (TRC20)' });
+    assert.strictEqual(addr.address, 'TXyz');
+    assert.strictEqual(addr.network, 'TRC20');
+    await assert.rejects(() => ex.fetchDepositAddress('USDT', { network: 'SOL' }), /no USDT deposit method for network SOL/);
+  });
+
+  it('createDepositAddress asks for a new address', async () => {
+    await ex.createDepositAddress('BTC', { method: 'Bitcoin' });
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(calls[0].params, { asset: 'XBT', method: 'Bitcoin', new: true });
+  });
+
+  it('parses DepositStatus entries', async () => {
+    const list = await ex.fetchDeposits('BTC', 1690000000000, 1);
+    assert.deepStrictEqual(calls[0].params, { asset: 'XBT', start: '1690000000' });
+    assert.strictEqual(list.length, 1);
+    assert.strictEqual(list[0].currency, 'BTC');
+    assert.strictEqual(list[0].status, 'ok');
+    assert.strictEqual(list[0].network, 'BTC');
+    assert.strictEqual(list[0].timestamp, 1700000000000);
+    assert.deepStrictEqual(list[0].fee, { cost: 0.0001, currency: 'BTC' });
+    const withdrawals = await ex.fetchWithdrawals('BTC');
+    assert.strictEqual(withdrawals[1].status, 'canceled');
+    assert.strictEqual(withdrawals[1].type, 'withdrawal');
+  });
+
+  it('withdraw needs a withdrawal key', async () => {
+    await assert.rejects(() => ex.withdraw('BTC', 0.1, 'bc1q'), /params.key/);
+    const tx = await ex.withdraw('BTC', 0.1, 'bc1q', undefined, { key: 'cold wallet' });
+    assert.deepStrictEqual(calls[0].params, { asset: 'XBT', key: 'cold wallet', amount: '0.1', address: 'bc1q' });
+    assert.strictEqual(tx.id, 'AGBSO6T');
+    assert.strictEqual(tx.status, 'pending');
+  });
+});
+
+// =============================================================================
+// 20. LEDGER — Ledgers with offset paging
+// =============================================================================
+
+describe('Kraken ledger', () => {
+  let ex;
+  let calls;
+  const ledger = {
+    'L4UESK-KG3EQ-UFO4T5': { refid: 'TJKLXX', time: 1700000100.5, type: 'trade', subtype: '', aclass: 'currency', asset: 'ZUSD', amount: '-300.0000', fee: '0.4800', balance: '699.5200' },
+    'LIUGQA-RG4OT-OFNOPY': { refid: 'QGBCOYA', time: 1700000000, type: 'deposit', subtype: '', aclass: 'currency', asset: 'ZUSD', amount: '1000.0000', fee: '0.0000', balance: '1000.0000' },
+  };
+
+  beforeEach(() => {
+    ex = new Kraken({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    calls = [];
+  });
+
+  it('parses entries oldest first with fee and balances', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params: { ...params } });
+      return { error: [], result: { ledger, count: 2 } };
+    };
+    const [deposit, trade] = await ex.fetchLedger('USD');
+    assert.strictEqual(calls[0].path, '/0/private/Ledgers');
+    assert.deepStrictEqual(calls[0].params, { asset: 'USD' });
+    assert.strictEqual(deposit.type, 'deposit');
+    assert.strictEqual(deposit.direction, 'in');
+    assert.strictEqual(deposit.before, 0);
+    assert.strictEqual(trade.id, 'L4UESK-KG3EQ-UFO4T5');
+    assert.strictEqual(trade.referenceId, 'TJKLXX');
+    assert.strictEqual(trade.currency, 'USD');
+    assert.strictEqual(trade.direction, 'out');
+    assert.strictEqual(trade.amount, 300);
+    assert.strictEqual(trade.before, 1000);
+    assert.strictEqual(trade.after, 699.52);
+    assert.deepStrictEqual(trade.fee, { cost: 0.48, currency: 'USD' });
+    assert.strictEqual(trade.timestamp, 1700000100500);
+  });
+
+  it('re-requests with an offset so a page starts at since', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params: { ...params } });
+      return { error: [], result: { ledger, count: 5 } };
+    };
+    const list = await ex.fetchLedger(undefined, 1700000000000);
+    assert.strictEqual(calls.length, 2);
+    assert.deepStrictEqual(calls[0].params, { start: '1699999999' });
+    assert.strictEqual(calls[1].params.ofs, 3);
+    assert.strictEqual(list.length, 2);
+  });
+});
+
+// =============================================================================
+// 21. MARGIN — leveraged orders through the unified marginMode
+// =============================================================================
+
+describe('Kraken margin orders', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Kraken({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params: { ...params } });
+      return { error: [], result: path === '/0/private/Balance' ? { ZUSD: '100.5' } : { txid: ['OABC-1'], descr: { order: 'sell' } } };
+    };
+  });
+
+  it('sends cross margin orders with their leverage', async () => {
+    await ex.createOrder('BTC/USD', 'limit', 'sell', 0.01, 60000, { marginMode: 'cross', leverage: 2 });
+    assert.strictEqual(calls[0].params.leverage, 2);
+    assert.strictEqual(calls[0].params.marginMode, undefined);
+  });
+
+  it('rejects isolated margin and margin orders without leverage', async () => {
+    await assert.rejects(() => ex.createOrder('BTC/USD', 'limit', 'sell', 0.01, 60000, { marginMode: 'isolated', leverage: 2 }), InvalidOrder);
+    await assert.rejects(() => ex.createOrder('BTC/USD', 'limit', 'sell', 0.01, 60000, { marginMode: 'cross' }), /require params.leverage/);
+    assert.strictEqual(calls.length, 0);
+  });
+
+  it('fetchBalance({ type: margin }) reads the collateral balances', async () => {
+    const balance = await ex.fetchBalance({ type: 'margin' });
+    assert.deepStrictEqual(calls[0].params, {});
+    assert.strictEqual(balance.USD.total, 100.5);
+  });
+});
+
+// =============================================================================
+// 22. WEBSOCKET TRADING — add_order, amend_order, cancel_order, cancel_all
+// =============================================================================
+
+describe('Kraken WebSocket trading', () => {
+  const EventEmitter = require('events');
+  const { RequestTimeout } = ygcc;
+  let ex;
+  let sent;
+  let reply;
+
+  beforeEach(() => {
+    ex = new Kraken({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    sent = [];
+    reply = (msg) => ({ method: msg.method, req_id: msg.req_id, success: true, result: { order_id: 'OABC-1' } });
+    const client = new EventEmitter();
+    client.send = (msg) => {
+      sent.push(msg);
+      const response = reply(msg);
+      if (response) setImmediate(() => client.emit('message', response));
+    };
+    ex._getWsToken = async () => 'ws-token';
+    ex._ensureWsConnected = async () => client;
+  });
+
+  it('createOrderWs sends add_order with the token and returns the REST order shape', async () => {
+    const order = await ex.createOrderWs('BTC/USD', 'limit', 'buy', 0.01, 60000, { clientOrderId: 'my-1', postOnly: true });
+    assert.strictEqual(sent[0].method, 'add_order');
+    assert.deepStrictEqual(sent[0].params, {
+      order_type: 'limit', side: 'buy', order_qty: 0.01, symbol: 'BTC/USD', limit_price: 60000,
+      cl_ord_id: 'my-1', post_only: true, token: 'ws-token',
+    });
+    assert.deepStrictEqual([order.id, order.clientOrderId, order.status], ['OABC-1', 'my-1', 'NEW']);
+  });
+
+  it('maps conditional and margin params onto the WS v2 fields', async () => {
+    await ex.createOrderWs('BTC/USD', 'limit', 'sell', 0.01, 59000, { stopLossPrice: 59500, marginMode: 'cross', reduceOnly: true });
+    await ex.createOrderWs('BTC/USD', 'market', 'sell', 0.01, undefined, { trailingPercent: 1.5 });
+    assert.strictEqual(sent[0].params.order_type, 'stop-loss-limit');
+    assert.deepStrictEqual(sent[0].params.triggers, { reference: 'last', price: 59500, price_type: 'static' });
+    assert.deepStrictEqual([sent[0].params.limit_price, sent[0].params.margin, sent[0].params.reduce_only], [59000, true, true]);
+    assert.deepStrictEqual(sent[1].params.triggers, { reference: 'last', price: 1.5, price_type: 'pct' });
+    await assert.rejects(() => ex.createOrderWs('BTC/USD', 'limit', 'buy', 0.01, 60000, { leverage: 2 }), InvalidOrder);
+  });
+
+  it('editOrderWs amends in place; cancelOrderWs and cancelAllOrdersWs cancel over the socket', async () => {
+    reply = (msg) => ({
+      method: msg.method, req_id: msg.req_id, success: true,
+      result: msg.method === 'cancel_all' ? { count: 3 } : { order_id: 'OABC-1' },
+    });
+    const edited = await ex.editOrderWs('OABC-1', 'BTC/USD', 'limit', 'buy', 0.02, 60100);
+    const canceled = await ex.cancelOrderWs(undefined, 'BTC/USD', { clientOrderId: '42' });
+    const all = await ex.cancelAllOrdersWs();
+    assert.deepStrictEqual(sent.map((m) => m.method), ['amend_order', 'cancel_order', 'cancel_all']);
+    assert.deepStrictEqual(sent[0].params, { order_id: 'OABC-1', order_qty: 0.02, limit_price: 60100, token: 'ws-token' });
+    assert.deepStrictEqual([edited.id, edited.price, edited.amount], ['OABC-1', 60100, 0.02]);
+    assert.deepStrictEqual(sent[1].params.order_userref, [42]);
+    assert.strictEqual(canceled.status, 'CANCELED');
+    assert.strictEqual(all.count, 3);
+  });
+
+  it('cancelAllOrdersWs with a symbol cancels only that pair\'s open orders by id', async () => {
+    ex.fetchOpenOrders = async (symbol) => [
+      { id: 'OA', symbol: 'BTC/USD' }, { id: 'OB', symbol: 'BTC/USD' },
+    ].filter((o) => o.symbol === symbol);
+    reply = (msg) => ({ method: msg.method, req_id: msg.req_id, success: true, result: { order_id: 'OA' } });
+    const all = await ex.cancelAllOrdersWs('BTC/USD');
+    assert.deepStrictEqual(sent.map((m) => m.method), ['cancel_order']);
+    assert.deepStrictEqual(sent[0].params.order_id, ['OA', 'OB']);
+    assert.strictEqual(all.count, 2);
+
+    const none = await ex.cancelAllOrdersWs('ETH/USD');
+    assert.strictEqual(none.count, 0);
+    assert.strictEqual(sent.length, 1);
+  });
+
+  it('maps error replies to typed errors and a missing reply to RequestTimeout', async () => {
+    reply = (msg) => ({ method: msg.method, req_id: msg.req_id, success: false, error: 'EOrder:Insufficient funds' });
+    await assert.rejects(() => ex.createOrderWs('BTC/USD', 'limit', 'buy', 1, 60000), InsufficientFunds);
+    reply = () => undefined;
+    ex.timeout = 50;
+    await assert.rejects(() => ex.cancelAllOrdersWs(), RequestTimeout);
+    assert.strictEqual(ex._wsRequests.size, 0);
+  });
+});
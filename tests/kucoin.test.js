@@ -832,3 +832,688 @@ describe('Crypto — hmacSHA256Base64 for KuCoin', () => {
     assert.notStrictEqual(mac1, mac2);
   });
 });
+
+// =============================================================================
+// 14. WEBSOCKET — LOCAL ORDER BOOK (sequenceStart / sequenceEnd)
+// =============================================================================
+
+describe('KuCoin watchOrderBook', () => {
+  it('seeds from REST and applies changes after the snapshot sequence', async () => {
+    const exchange = new KuCoin();
+    let handler;
+    exchange._subscribePublic = async (topic, cb) => { handler = cb; };
+    exchange.fetchOrderBook = async () => ({ bids: [[100, 1]], asks: [[101, 1]], nonce: 50 });
+    const books = [];
+    await exchange.watchOrderBook('BTC/USDT', (b) => books.push(b), 10);
+
+    handler({ subject: 'trade.l2update', data: { sequenceStart: 49, sequenceEnd: 50, changes: { bids: [['100', '9', '50']], asks: [] } } });
+    handler({ subject: 'trade.l2update', data: { sequenceStart: 51, sequenceEnd: 51, changes: { bids: [], asks: [['101', '0', '51']] } } });
+    await new Promise((r) => setImmediate(r));
+
+    const book = books[books.length - 1];
+    assert.deepStrictEqual(book.bids, [[100, 1]]);
+    assert.deepStrictEqual(book.asks, []);
+    assert.strictEqual(book.nonce, 51);
+  });
+});
+
+// =============================================================================
+// 15. CONDITIONAL ORDERS — /api/v1/stop-order
+// =============================================================================
+
+describe('KuCoin stop orders', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { code: '200000', data: { orderId: 'stop-1' } };
+    };
+  });
+
+  it('stop loss sell → stop=loss on the stop-order endpoint', async () => {
+    const order = await ex.createStopLossOrder('BTC/USDT', 'limit', 'sell', 0.1, 39900, 40000);
+    assert.strictEqual(sent.path, '/api/v1/stop-order');
+    assert.strictEqual(sent.params.stop, 'loss');
+    assert.strictEqual(sent.params.stopPrice, '40000');
+    assert.strictEqual(sent.params.price, '39900');
+    assert.strictEqual(order.id, 'stop-1');
+  });
+
+  it('take profit sell and stop loss buy → stop=entry', async () => {
+    await ex.createTakeProfitOrder('BTC/USDT', 'market', 'sell', 0.1, undefined, 60000);
+    assert.strictEqual(sent.params.stop, 'entry');
+    await ex.createOrder('BTC/USDT', 'market', 'buy', 0.1, undefined, { triggerPrice: 60000 });
+    assert.strictEqual(sent.params.stop, 'entry');
+  });
+
+  it('plain orders still use /api/v1/orders and trailing stops are rejected', async () => {
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 50000);
+    assert.strictEqual(sent.path, '/api/v1/orders');
+    assert.strictEqual(ex.has.createTrailingStopOrder, false);
+    await assert.rejects(() => ex.createOrder('BTC/USDT', 'market', 'sell', 0.1, undefined, { trailingPercent: 1 }), InvalidOrder);
+  });
+});
+
+// =============================================================================
+// 16. TIME IN FORCE — timeInForce / postOnly body fields
+// =============================================================================
+
+describe('KuCoin time in force', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { code: '200000', data: { orderId: 'tif-1' } };
+    };
+  });
+
+  it('postOnly → postOnly flag with GTC', async () => {
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { postOnly: true });
+    assert.strictEqual(sent.params.postOnly, true);
+    assert.strictEqual(sent.params.timeInForce, 'GTC');
+  });
+
+  it('IOC / FOK pass through as timeInForce', async () => {
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { timeInForce: 'fok' });
+    assert.strictEqual(sent.params.timeInForce, 'FOK');
+    assert.strictEqual(sent.params.postOnly, undefined);
+    await assert.rejects(
+      () => ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { timeInForce: 'IOC', postOnly: true }),
+      InvalidOrder,
+    );
+  });
+});
+
+// =============================================================================
+// 17. EDIT ORDER — /api/v1/hf/orders/alter
+// =============================================================================
+
+describe('KuCoin editOrder', () => {
+  it('alters newSize/newPrice and returns the new order id', async () => {
+    const ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    let sent;
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { code: '200000', data: { newOrderId: 'new-1', clientOid: 'cid-1' } };
+    };
+    const order = await ex.editOrder('old-1', 'BTC/USDT', 'limit', 'buy', 0.2, 41000);
+    assert.strictEqual(sent.path, '/api/v1/hf/orders/alter');
+    assert.strictEqual(sent.params.orderId, 'old-1');
+    assert.strictEqual(sent.params.symbol, 'BTC-USDT');
+    assert.strictEqual(sent.params.newSize, '0.2');
+    assert.strictEqual(sent.params.newPrice, '41000');
+    assert.strictEqual(order.id, 'new-1');
+    assert.strictEqual(order.clientOrderId, 'cid-1');
+    assert.strictEqual(order.symbol, 'BTC/USDT');
+    assert.strictEqual(order.price, 41000);
+  });
+});
+
+// =============================================================================
+// 18. BATCH ORDERS — /api/v1/hf/orders/multi
+// =============================================================================
+
+describe('KuCoin batch orders', () => {
+  it('createOrders sends orderList in chunks of 5', async () => {
+    const ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    const calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params });
+      return {
+        code: '200000',
+        data: params.orderList.map((o, i) => (i === 0 ? { orderId: 'k-' + calls.length, clientOid: o.clientOid, success: true } : { success: false, failMsg: 'Balance insufficient!' })),
+      };
+    };
+    const orders = Array.from({ length: 6 }, () => ({ symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 0.1, price: 40000 }));
+    orders.push({ symbol: 'BTC/USDT', type: 'limit', side: 'sell', amount: 0.1, price: 39000, params: { stopLossPrice: 39500 } });
+    const results = await ex.createOrders(orders);
+    assert.strictEqual(calls[0].path, '/api/v1/hf/orders/multi');
+    assert.deepStrictEqual(calls.map((c) => c.params.orderList.length), [5, 1]);
+    assert.strictEqual(results[0].order.id, 'k-1');
+    assert.strictEqual(results[0].order.symbol, 'BTC/USDT');
+    assert.ok(results[0].order.clientOrderId);
+    assert.strictEqual(results[5].order.id, 'k-2');
+    assert.ok(results[1].error instanceof InvalidOrder);
+    assert.ok(results[6].error instanceof InvalidOrder);
+  });
+});
+
+// =============================================================================
+// 19. CLIENT ORDER IDS — clientOid and /api/v1/order/client-order
+// =============================================================================
+
+describe('KuCoin client order ids', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return { code: '200000', data: { orderId: 'o1', id: 'o1', clientOid: 'mine', cancelledOrderId: 'o1', symbol: 'BTC-USDT', isActive: true } };
+    };
+  });
+
+  it('sends clientOrderId as clientOid instead of a random UUID', async () => {
+    const order = await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    assert.strictEqual(calls[0].params.clientOid, 'mine');
+    assert.strictEqual(calls[0].params.clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'mine');
+  });
+
+  it('fetchOrder and cancelOrder use the client-order endpoints', async () => {
+    const order = await ex.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    const canceled = await ex.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    assert.deepStrictEqual(calls.map((c) => c.method + ' ' + c.path), [
+      'GET /api/v1/order/client-order/mine',
+      'DELETE /api/v1/order/client-order/mine',
+    ]);
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.strictEqual(canceled.id, 'o1');
+    assert.strictEqual(canceled.clientOrderId, 'mine');
+  });
+});
+
+// =============================================================================
+// 20. FUNDING — deposit addresses, deposits, withdrawals, currencies
+// =============================================================================
+
+describe('KuCoin funding', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '200000', data };
+  };
+
+  it('fetches and creates deposit addresses on a chain', async () => {
+    ex._request = respond([{ address: 'TXyz', memo: '', chainId: 'trx', currency: 'USDT' }]);
+    const addr = await ex.fetchDepositAddress('USDT', { network: 'TRC20' });
+    assert.deepStrictEqual(calls[0].params, { currency: 'USDT', chain: 'trx' });
+    assert.strictEqual(addr.network, 'TRC20');
+    assert.strictEqual(addr.tag, undefined);
+
+    ex._request = respond({ address: 'rAddr', memo: '991', chainId: 'xrp', currency: 'XRP' });
+    const created = await ex.createDepositAddress('XRP');
+    assert.strictEqual(calls[1].method, 'POST');
+    assert.deepStrictEqual(calls[1].params, { currency: 'XRP', to: 'main' });
+    assert.strictEqual(created.tag, '991');
+
+    ex._request = respond([]);
+    await assert.rejects(() => ex.fetchDepositAddress('XRP'), /createDepositAddress/);
+  });
+
+  it('parses deposit and withdrawal items', async () => {
+    ex._request = respond({ items: [{ id: 'w1', currency: 'USDT', chain: 'trx', status: 'SUCCESS', address: 'TXyz', amount: '10', fee: '1', walletTxId: 'abc@0', createdAt: 1700000000000, updatedAt: 1700000100000 }] });
+    const [withdrawal] = await ex.fetchWithdrawals('USDT', 1690000000000, 20);
+    assert.deepStrictEqual(calls[0].params, { currency: 'USDT', startAt: 1690000000000, pageSize: 20 });
+    assert.strictEqual(withdrawal.txid, 'abc');
+    assert.strictEqual(withdrawal.status, 'ok');
+    assert.strictEqual(withdrawal.network, 'TRC20');
+    assert.strictEqual(withdrawal.updated, 1700000100000);
+    const [deposit] = await ex.fetchDeposits();
+    assert.strictEqual(deposit.type, 'deposit');
+  });
+
+  it('withdraw posts toAddress, memo and chain', async () => {
+    ex._request = respond({ withdrawalId: 'w2' });
+    const tx = await ex.withdraw('XRP', 30, 'rAddr', '991', { network: 'xrp' });
+    assert.strictEqual(calls[0].path, '/api/v3/withdrawals');
+    assert.deepStrictEqual(calls[0].params, { currency: 'XRP', toAddress: 'rAddr', amount: '30', withdrawType: 'ADDRESS', memo: '991', chain: 'xrp' });
+    assert.strictEqual(tx.id, 'w2');
+    assert.strictEqual(tx.status, 'pending');
+    assert.strictEqual(tx.tag, '991');
+  });
+
+  it('fetchDepositWithdrawFees reads the chain minimum fee', async () => {
+    ex._request = respond([
+      { currency: 'BTC', chains: [{ chainId: 'btc', withdrawalMinFee: '0.0005' }] },
+      { currency: 'ETH', chains: [{ chainId: 'eth', withdrawalMinFee: '0.002' }] },
+    ]);
+    const fees = await ex.fetchDepositWithdrawFees(['BTC']);
+    assert.deepStrictEqual(Object.keys(fees), ['BTC']);
+    assert.deepStrictEqual(fees.BTC.withdraw, { fee: 0.0005, percentage: false });
+  });
+});
+
+// =============================================================================
+// 21. TRANSFERS — universal transfer and ledger history
+// =============================================================================
+
+describe('KuCoin transfers', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '200000', data };
+  };
+
+  it('transfer posts an INTERNAL universal transfer', async () => {
+    ex._request = respond({ orderId: '6705f7248c6954000733ecac' });
+    const t = await ex.transfer('usdt', 10, 'funding', 'spot');
+    assert.strictEqual(calls[0].method, 'POST');
+    assert.strictEqual(calls[0].path, '/api/v3/accounts/universal-transfer');
+    const { clientOid, ...rest } = calls[0].params;
+    assert.match(clientOid, /^[0-9a-f-]{36}$/);
+    assert.deepStrictEqual(rest, {
+      type: 'INTERNAL', currency: 'USDT', amount: '10', fromAccountType: 'MAIN', toAccountType: 'TRADE',
+    });
+    assert.strictEqual(t.id, '6705f7248c6954000733ecac');
+    assert.strictEqual(t.fromAccount, 'funding');
+    assert.strictEqual(t.toAccount, 'spot');
+  });
+
+  it('sub-account transfers use PARENT_TO_SUB and SUB_TO_PARENT', async () => {
+    ex._request = respond({ orderId: '1' });
+    const t = await ex.transfer('USDT', 2, 'funding', 'funding', { toSubAccount: '6745b7bc890ba20001911363' });
+    assert.strictEqual(calls[0].params.type, 'PARENT_TO_SUB');
+    assert.strictEqual(calls[0].params.toUserId, '6745b7bc890ba20001911363');
+    assert.strictEqual(t.toSubAccount, '6745b7bc890ba20001911363');
+    await ex.transfer('USDT', 2, 'spot', 'funding', { fromSubAccount: 'u2' });
+    assert.strictEqual(calls[1].params.type, 'SUB_TO_PARENT');
+    assert.strictEqual(calls[1].params.fromUserId, 'u2');
+    await assert.rejects(() => ex.transfer('USDT', 2, 'spot', 'spot'), /same account/);
+  });
+
+  it('fetchTransfers reads one side of each transfer from the ledger', async () => {
+    ex._request = respond({ items: [
+      { id: 'l1', currency: 'USDT', amount: '10', direction: 'out', accountType: 'MAIN', bizType: 'Transfer', createdAt: 1700000000000 },
+      { id: 'l2', currency: 'USDT', amount: '10', direction: 'in', accountType: 'TRADE', bizType: 'Transfer', createdAt: 1700000000000 },
+    ] });
+    const list = await ex.fetchTransfers('USDT', 1690000000000, 50);
+    assert.strictEqual(calls[0].path, '/api/v1/accounts/ledgers');
+    assert.deepStrictEqual(calls[0].params, { bizType: 'TRANSFER', currency: 'USDT', startAt: 1690000000000, pageSize: 50 });
+    assert.strictEqual(list[0].fromAccount, 'funding');
+    assert.strictEqual(list[0].toAccount, undefined);
+    assert.strictEqual(list[1].toAccount, 'spot');
+    assert.strictEqual(list[1].amount, 10);
+    assert.strictEqual(list[1].datetime, '2023-11-14T22:13:20.000Z');
+  });
+
+  it('fetchBalance queries the account type named by params.account', async () => {
+    ex._request = respond([{ currency: 'USDT', type: 'main', balance: '5', available: '5', holds: '0' }]);
+    const balance = await ex.fetchBalance({ account: 'funding' });
+    assert.deepStrictEqual(calls[0].params, { type: 'main' });
+    assert.strictEqual(balance.USDT.free, 5);
+  });
+});
+
+// =============================================================================
+// 22. LEDGER — account ledgers
+// =============================================================================
+
+describe('KuCoin ledger', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  it('fetchLedger maps bizType and direction', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return { code: '200000', data: { currentPage: 1, pageSize: 50, totalNum: 3, items: [
+        { id: 'k3', currency: 'USDT', amount: '0.1', fee: '0', balance: '699.8', accountType: 'TRADE', bizType: 'Refunded Fees', direction: 'in', createdAt: 1700000200000 },
+        { id: 'k2', currency: 'USDT', amount: '300', fee: '0.3', balance: '699.7', accountType: 'TRADE', bizType: 'Exchange', direction: 'out', createdAt: 1700000100000 },
+        { id: 'k1', currency: 'USDT', amount: '1000', fee: '0', balance: '1000', accountType: 'MAIN', bizType: 'Deposit', direction: 'in', createdAt: 1700000000000 },
+      ] } };
+    };
+    const list = await ex.fetchLedger('USDT', 1690000000000, 1000);
+    assert.strictEqual(calls[0].path, '/api/v1/accounts/ledgers');
+    assert.deepStrictEqual(calls[0].params, { currency: 'USDT', startAt: 1690000000000, pageSize: 500 });
+    assert.deepStrictEqual(list.map((e) => e.type), ['deposit', 'trade', 'rebate']);
+    assert.strictEqual(list[0].account, 'funding');
+    assert.strictEqual(list[1].direction, 'out');
+    assert.strictEqual(list[1].before, 999.7);
+    assert.deepStrictEqual(list[1].fee, { cost: 0.3, currency: 'USDT' });
+  });
+});
+
+// =============================================================================
+// 23. POSITIONS — KuCoin Futures positions and close orders
+// =============================================================================
+
+describe('KuCoin positions', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '200000', data };
+  };
+
+  const position = {
+    id: '615ba79f83a3410001cde321', symbol: 'XBTUSDTM', crossMode: false, marginMode: 'ISOLATED', realLeverage: 5,
+    currentQty: -2, markPrice: 59000, markValue: -118, posInit: 24, posMaint: 1.2, realisedPnl: -0.1,
+    unrealisedPnl: 2, avgEntryPrice: 60000, liquidationPrice: 70000, settleCurrency: 'USDT',
+    positionSide: 'BOTH', currentTimestamp: 1700000100000, isOpen: true,
+  };
+
+  it('fetchPositions calls the futures host and parses contract symbols', async () => {
+    ex._request = respond([position, { ...position, symbol: 'ETHUSDTM', currentQty: 0 }]);
+    const positions = await ex.fetchPositions();
+    assert.strictEqual(calls[0].method, 'GET');
+    assert.strictEqual(calls[0].path, 'https://api-futures.kucoin.com/api/v1/positions');
+    assert.strictEqual(positions.length, 1);
+    const p = positions[0];
+    assert.strictEqual(p.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(p.side, 'short');
+    assert.strictEqual(p.contracts, 2);
+    assert.strictEqual(p.marginMode, 'isolated');
+    assert.strictEqual(p.leverage, 5);
+  });
+
+  it('converts inverse futures symbols both ways', () => {
+    assert.strictEqual(ex._fromKucoinContract('XBTUSDM', 'XBT'), 'BTC/USD:BTC');
+    assert.strictEqual(ex._fromKucoinContract('ETHUSDM'), 'ETH/USD:ETH');
+    assert.strictEqual(ex._toKucoinContract('BTC/USD:BTC'), 'XBTUSDM');
+    assert.strictEqual(ex._toKucoinContract('SOL/USDT:USDT'), 'SOLUSDTM');
+  });
+
+  it('signs futures requests with the path but sends them to the futures host', async () => {
+    let sent;
+    ex._fetch = async (url, options) => {
+      sent = { url, headers: options.headers };
+      return { ok: true, status: 200, headers: new Map(), text: async () => '{"code":"200000","data":[]}' };
+    };
+    await ex._performRequest('GET', 'https://api-futures.kucoin.com/api/v1/positions', { currency: 'USDT' }, true);
+    assert.strictEqual(sent.url, 'https://api-futures.kucoin.com/api/v1/positions?currency=USDT');
+    const ts = sent.headers['KC-API-TIMESTAMP'];
+    assert.strictEqual(sent.headers['KC-API-SIGN'], hmacSHA256Base64(ts + 'GET/api/v1/positions?currency=USDT', 's'));
+  });
+
+  it('closePosition places a closeOrder market order', async () => {
+    ex._request = respond({ orderId: '5bd6e9286d99522a52e458de' });
+    const order = await ex.closePosition('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, 'https://api-futures.kucoin.com/api/v1/orders');
+    assert.strictEqual(calls[0].params.symbol, 'XBTUSDTM');
+    assert.strictEqual(calls[0].params.closeOrder, true);
+    assert.strictEqual(calls[0].params.type, 'market');
+    assert.ok(calls[0].params.clientOid);
+    assert.strictEqual(order.id, '5bd6e9286d99522a52e458de');
+  });
+
+  it('watchPositions uses the futures token and skips settlement messages', async () => {
+    ex._request = respond({ token: 't', instanceServers: [{ endpoint: 'wss://ws-api-futures.kucoin.com/' }] });
+    const seen = [];
+    ex._subscribePrivate = async (topic, callback, wsUrl) => {
+      assert.strictEqual(topic, '/contract/positionAll');
+      assert.ok(wsUrl.startsWith('wss://ws-api-futures.kucoin.com/?token=t'));
+      callback({ topic, subject: 'position.settlement', data: { fundingFee: -0.1 } });
+      callback({ topic, subject: 'position.change', data: position });
+      return topic;
+    };
+    await ex.watchPositions((p) => seen.push(p));
+    assert.strictEqual(calls[0].path, 'https://api-futures.kucoin.com/api/v1/bullet-private');
+    assert.strictEqual(seen.length, 1);
+    assert.strictEqual(seen[0].symbol, 'BTC/USDT:USDT');
+  });
+});
+
+// =============================================================================
+// 24. DERIVATIVES MARKET DATA — KuCoin Futures funding and open interest
+// =============================================================================
+
+describe('KuCoin derivatives market data', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new KuCoin();
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params, signed) => {
+    calls.push({ method, path, params, signed });
+    return { code: '200000', data };
+  };
+
+  const contract = {
+    symbol: 'XBTUSDTM', settleCurrency: 'USDT', multiplier: 0.001, markPrice: 60000, indexPrice: 59990,
+    fundingFeeRate: 0.0001, predictedFundingFeeRate: 0.00015, fundingRateGranularity: 28800000,
+    nextFundingRateTime: 3600000, openInterest: '2500000',
+  };
+
+  it('fetchFundingRate reads unsigned contract details from the futures host', async () => {
+    ex._request = respond(contract);
+    const before = Date.now();
+    const rate = await ex.fetchFundingRate('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, 'https://api-futures.kucoin.com/api/v1/contracts/XBTUSDTM');
+    assert.strictEqual(calls[0].signed, false);
+    assert.strictEqual(rate.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(rate.fundingRate, 0.0001);
+    assert.strictEqual(rate.nextFundingRate, 0.00015);
+    assert.strictEqual(rate.interval, '8h');
+    assert.ok(rate.fundingTimestamp >= before + 3600000);
+  });
+
+  it('fetchFundingRates lists active contracts with a funding rate', async () => {
+    ex._request = respond([contract, { ...contract, symbol: 'XBTMZ24', fundingFeeRate: null }]);
+    const rates = await ex.fetchFundingRates();
+    assert.strictEqual(calls[0].path, 'https://api-futures.kucoin.com/api/v1/contracts/active');
+    assert.deepStrictEqual(Object.keys(rates), ['BTC/USDT:USDT']);
+  });
+
+  it('fetchFundingRateHistory sends from and to and sorts oldest first', async () => {
+    ex._request = respond([
+      { symbol: 'XBTUSDTM', fundingRate: 0.0002, timepoint: 1700028800000 },
+      { symbol: 'XBTUSDTM', fundingRate: 0.0001, timepoint: 1700000000000 },
+    ]);
+    const history = await ex.fetchFundingRateHistory('BTC/USDT:USDT', 1699990000000, 1);
+    assert.strictEqual(calls[0].path, 'https://api-futures.kucoin.com/api/v1/contract/funding-rates');
+    assert.strictEqual(calls[0].params.symbol, 'XBTUSDTM');
+    assert.strictEqual(calls[0].params.from, 1699990000000);
+    assert.ok(calls[0].params.to >= 1699990000000);
+    assert.deepStrictEqual(history.map((h) => h.fundingRate), [0.0001]);
+  });
+
+  it('fetchOpenInterest values contracts with the multiplier', async () => {
+    ex._request = respond(contract);
+    const oi = await ex.fetchOpenInterest('BTC/USDT:USDT');
+    assert.strictEqual(oi.openInterestAmount, 2500000);
+    assert.strictEqual(oi.openInterestValue, 2500000 * 0.001 * 60000);
+  });
+
+  it('does not offer mark or index candles', async () => {
+    assert.strictEqual(ex.has.fetchMarkOHLCV, false);
+    await assert.rejects(() => ex.fetchMarkOHLCV('BTC/USDT:USDT'), /not implemented/);
+  });
+
+  it('watchFundingRate and watchMarkPrice filter instrument subjects', async () => {
+    const seen = [];
+    const topics = [];
+    ex._getFuturesPublicWsUrl = async () => 'wss://futures.example/?token=t';
+    ex._subscribePublic = async (topic, callback, url) => {
+      topics.push([topic, url]);
+      callback({ topic, type: 'message', subject: 'funding.rate', data: { granularity: 28800000, fundingRate: 0.0002, timestamp: 1700000000000 } });
+      callback({ topic, type: 'message', subject: 'mark.index.price', data: { granularity: 1000, indexPrice: 59990, markPrice: 60000, timestamp: 1700000000001 } });
+      return topic;
+    };
+    const funding = [];
+    await ex.watchFundingRate('BTC/USDT:USDT', (r) => funding.push(r));
+    await ex.watchMarkPrice('BTC/USDT:USDT', (m) => seen.push(m));
+    assert.deepStrictEqual(topics[0], ['/contract/instrument:XBTUSDTM', 'wss://futures.example/?token=t']);
+    assert.strictEqual(funding.length, 1);
+    assert.strictEqual(funding[0].symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(funding[0].fundingRate, 0.0002);
+    assert.strictEqual(funding[0].interval, '8h');
+    assert.strictEqual(seen.length, 1);
+    assert.deepStrictEqual([seen[0].markPrice, seen[0].indexPrice, seen[0].timestamp], [60000, 59990, 1700000000001]);
+  });
+});
+
+// =============================================================================
+// 25. LEVERAGE & MARGIN — KuCoin Futures leverage, margin mode, margin, risk limits
+// =============================================================================
+
+describe('KuCoin leverage and margin', () => {
+  let ex;
+  let calls;
+  let replies;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'test-key', secret: 'test-secret', passphrase: 'test-pass' });
+    calls = [];
+    replies = [];
+    ex._request = async (method, path, params, signed) => {
+      calls.push({ method, path: path.replace(ex.urls.futures, ''), params, signed });
+      return { code: '200000', data: replies.shift() };
+    };
+  });
+
+  it('setLeverage changes the cross leverage on the futures host', async () => {
+    replies.push(true);
+    const lev = await ex.setLeverage(20, 'BTC/USDT:USDT');
+    assert.deepStrictEqual(calls[0], {
+      method: 'POST', path: '/api/v2/changeCrossUserLeverage', params: { symbol: 'XBTUSDTM', leverage: '20' }, signed: true,
+    });
+    assert.deepStrictEqual([lev.symbol, lev.marginMode, lev.longLeverage], ['BTC/USDT:USDT', 'cross', 20]);
+  });
+
+  it('fetchLeverage reads the cross leverage only in cross mode', async () => {
+    replies.push({ symbol: 'XBTUSDTM', marginMode: 'CROSS' }, { symbol: 'XBTUSDTM', leverage: '15' });
+    const cross = await ex.fetchLeverage('BTC/USDT:USDT');
+    assert.deepStrictEqual(calls.map((c) => c.path), ['/api/v2/position/getMarginMode', '/api/v2/getCrossUserLeverage']);
+    assert.deepStrictEqual([cross.marginMode, cross.longLeverage, cross.shortLeverage], ['cross', 15, 15]);
+    replies.push({ symbol: 'XBTUSDTM', marginMode: 'ISOLATED' });
+    const isolated = await ex.fetchLeverage('BTC/USDT:USDT');
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual([isolated.marginMode, isolated.longLeverage], ['isolated', undefined]);
+  });
+
+  it('setMarginMode switches the contract; setPositionMode is unsupported', async () => {
+    replies.push({ symbol: 'XBTUSDTM', marginMode: 'ISOLATED' });
+    const mode = await ex.setMarginMode('isolated', 'BTC/USDT:USDT');
+    assert.deepStrictEqual(calls[0].params, { symbol: 'XBTUSDTM', marginMode: 'ISOLATED' });
+    assert.strictEqual(mode.marginMode, 'isolated');
+    assert.strictEqual(ex.has.setPositionMode, false);
+    await assert.rejects(() => ex.setPositionMode(true), /setPositionMode\(\) not implemented/);
+  });
+
+  it('addMargin deposits with a bizNo and reduceMargin withdraws', async () => {
+    replies.push({ symbol: 'XBTUSDTM', posMargin: 150, settleCurrency: 'USDT' }, '10');
+    const added = await ex.addMargin('BTC/USDT:USDT', 50);
+    const reduced = await ex.reduceMargin('BTC/USDT:USDT', 10);
+    assert.strictEqual(calls[0].path, '/api/v1/position/margin/deposit-margin');
+    assert.strictEqual(calls[0].params.margin, 50);
+    assert.ok(calls[0].params.bizNo);
+    assert.deepStrictEqual([added.type, added.total, added.code], ['add', 150, 'USDT']);
+    assert.deepStrictEqual(calls[1].params, { symbol: 'XBTUSDTM', withdrawAmount: '10' });
+    assert.deepStrictEqual([reduced.type, reduced.amount, reduced.total], ['reduce', 10, undefined]);
+  });
+
+  it('fetchMarketLeverageTiers reads public risk limit levels', async () => {
+    replies.push([
+      { symbol: 'XBTUSDTM', level: 1, minRiskLimit: 0, maxRiskLimit: 500000, maintainMargin: 0.004, maxLeverage: 125 },
+      { symbol: 'XBTUSDTM', level: 2, minRiskLimit: 500000, maxRiskLimit: 1000000, maintainMargin: 0.008, maxLeverage: 75 },
+    ]);
+    const tiers = await ex.fetchMarketLeverageTiers('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/api/v1/contracts/risk-limit/XBTUSDTM');
+    assert.strictEqual(calls[0].signed, false);
+    assert.deepStrictEqual(tiers.map((t) => [t.tier, t.minNotional, t.maxNotional, t.maxLeverage]), [
+      [1, 0, 500000, 125],
+      [2, 500000, 1000000, 75],
+    ]);
+  });
+});
+
+// =============================================================================
+// 26. SPOT MARGIN — borrow/repay, borrow rate, interest, margin balances and orders
+// =============================================================================
+
+describe('KuCoin spot margin', () => {
+  let ex;
+  let calls;
+  let replies;
+
+  beforeEach(() => {
+    ex = new KuCoin({ apiKey: 'test-key', secret: 'test-secret', passphrase: 'test-pass' });
+    calls = [];
+    replies = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return { code: '200000', data: replies.shift() };
+    };
+  });
+
+  it('borrowMargin borrows IOC and reports the filled size', async () => {
+    replies.push({ orderNo: 'b1', actualSize: '0.4' }, { orderNo: 'r1', actualSize: '100' });
+    const loan = await ex.borrowMargin('BTC', 0.5);
+    await ex.repayMargin('USDT', 100, 'BTC/USDT');
+    assert.strictEqual(calls[0].path, '/api/v3/margin/borrow');
+    assert.deepStrictEqual(calls[0].params, { currency: 'BTC', size: '0.5', isIsolated: false, timeInForce: 'IOC' });
+    assert.deepStrictEqual([loan.id, loan.amount], ['b1', 0.4]);
+    assert.strictEqual(calls[1].path, '/api/v3/margin/repay');
+    assert.deepStrictEqual(calls[1].params, { currency: 'USDT', size: '100', isIsolated: true, symbol: 'BTC-USDT' });
+  });
+
+  it('fetchBorrowRate reads the hourly rate and fetchBorrowInterest the daily ratio', async () => {
+    replies.push({ vipLevel: 0, items: [{ currency: 'BTC', hourlyBorrowRate: '0.0000022', annualizedBorrowRate: '0.0192' }] });
+    replies.push({ items: [
+      { currency: 'BTC', dayRatio: '0.0005', interestAmount: '0.00002', createdTime: 1700003600000 },
+      { currency: 'BTC', dayRatio: '0.0005', interestAmount: '0.00001', createdTime: 1700000000000 },
+    ] });
+    const rate = await ex.fetchBorrowRate('btc');
+    const interest = await ex.fetchBorrowInterest('BTC', undefined, 1700000000000, 10);
+    assert.deepStrictEqual([rate.currency, rate.rate, rate.period], ['BTC', 0.0000022, 3600000]);
+    assert.deepStrictEqual(calls[1].params, { isIsolated: false, currency: 'BTC', startTime: 1700000000000, pageSize: 10 });
+    assert.deepStrictEqual(interest.map((i) => i.interest), [0.00001, 0.00002]);
+    assert.deepStrictEqual([interest[0].marginMode, interest[0].interestRate], ['cross', 0.0005]);
+  });
+
+  it('fetchBalance({ type: margin }) reads liabilities as debt; isolated pairs are summed', async () => {
+    replies.push({ accounts: [
+      { currency: 'USDT', total: '1000', available: '900', hold: '100', liability: '50' },
+      { currency: 'ETH', total: '0', available: '0', hold: '0', liability: '0' },
+    ] });
+    replies.push({ assets: [
+      { symbol: 'BTC-USDT', baseAsset: { currency: 'BTC', available: '1', hold: '0', liability: '0' }, quoteAsset: { currency: 'USDT', available: '10', hold: '0', liability: '5' } },
+      { symbol: 'ETH-USDT', baseAsset: { currency: 'ETH', available: '2', hold: '0', liability: '0' }, quoteAsset: { currency: 'USDT', available: '20', hold: '0', liability: '1' } },
+    ] });
+    const cross = await ex.fetchBalance({ type: 'margin' });
+    const isolated = await ex.fetchBalance({ marginMode: 'isolated' });
+    assert.strictEqual(calls[0].path, '/api/v3/margin/accounts');
+    assert.deepStrictEqual(cross.USDT, { free: 900, used: 100, total: 1000, debt: 50 });
+    assert.strictEqual(cross.ETH, undefined);
+    assert.strictEqual(calls[1].path, '/api/v3/isolated/accounts');
+    assert.deepStrictEqual(isolated.USDT, { free: 30, used: 0, total: 30, debt: 6 });
+  });
+
+  it('createOrder sends margin orders with marginModel, stop orders with a margin tradeType', async () => {
+    replies.push({ orderId: 'o1' }, { orderId: 'o2' });
+    await ex.createOrder('BTC/USDT', 'limit', 'sell', 0.01, 60000, { marginMode: 'isolated', autoBorrow: true });
+    await ex.createOrder('BTC/USDT', 'limit', 'sell', 0.01, 59000, { marginMode: 'cross', stopLossPrice: 59500 });
+    assert.strictEqual(calls[0].path, '/api/v1/margin/order');
+    assert.strictEqual(calls[0].params.marginModel, 'isolated');
+    assert.strictEqual(calls[0].params.autoBorrow, true);
+    assert.strictEqual(calls[0].params.marginMode, undefined);
+    assert.strictEqual(calls[1].path, '/api/v1/stop-order');
+    assert.strictEqual(calls[1].params.tradeType, 'MARGIN_TRADE');
+  });
+});
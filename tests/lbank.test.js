@@ -660,6 +660,32 @@ describe('LBank — Mocked API Calls', () => {
     assert.strictEqual(params.type, 'sell_market');
   });
 
+  it('createOrder adds _maker/_ioc/_fok suffix for time in force', async () => {
+    exchange._request = mock.fn(async () => ({
+      result: 'true',
+      data: { order_id: 'ord457' },
+    }));
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'sell', 0.001, 50000, { postOnly: true });
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.001, 50000, { timeInForce: 'FOK' });
+    assert.strictEqual(exchange._request.mock.calls[0].arguments[2].type, 'sell_maker');
+    assert.strictEqual(exchange._request.mock.calls[1].arguments[2].type, 'buy_fok');
+  });
+
+  it('clientOrderId goes out as custom_id and back in as origClientOrderId', async () => {
+    exchange._request = mock.fn(async () => ({ result: 'true', data: { order_id: 'ord1' } }));
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    await exchange.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    const result = await exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    const calls = exchange._request.mock.calls.map((c) => c.arguments[2]);
+    assert.strictEqual(calls[0].custom_id, 'mine');
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.deepStrictEqual(calls[1], { symbol: 'btc_usdt', origClientOrderId: 'mine' });
+    assert.deepStrictEqual(calls[2], { symbol: 'btc_usdt', origClientOrderId: 'mine' });
+    assert.strictEqual(result.clientOrderId, 'mine');
+  });
+
   it('cancelOrder sends orderId and symbol', async () => {
     exchange._request = mock.fn(async () => ({ result: 'true', data: {} }));
     const result = await exchange.cancelOrder('ord789', 'BTC/USDT');
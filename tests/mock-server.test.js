@@ -0,0 +1,173 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// =====================================================================
+// 1. Mock Exchange Server — real clients against a local matching engine
+// =====================================================================
+
+describe('Mock Exchange Server', () => {
+  const { Binance, Bybit, Okx, Kraken, MockExchangeServer, MatchingEngine,
+    InsufficientFunds, AuthenticationError, InvalidOrder } = require('../');
+
+  const credentials = { apiKey: 'mock-key', secret: 'mock-secret', passphrase: 'mock-pass' };
+  let server;
+
+  // Stream callback that records what it receives; until(test) resolves with the latest
+  // item if it passes, else with the next one that does
+  function collector() {
+    const items = [];
+    const waiters = [];
+    const push = (item) => {
+      items.push(item);
+      for (const waiter of waiters.splice(0)) {
+        if (waiter.test(item)) waiter.resolve(item);
+        else waiters.push(waiter);
+      }
+    };
+    push.items = items;
+    push.until = (test, label) => {
+      const latest = items[items.length - 1];
+      if (latest !== undefined && test(latest)) return Promise.resolve(latest);
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('timed out waiting for ' + label)), 5000);
+        waiters.push({ test, resolve: (item) => { clearTimeout(timer); resolve(item); } });
+      });
+    };
+    return push;
+  }
+
+  // Resolves once the venue opens an order stream for the account (after any login)
+  function orderStreamOpened(venue, apiKey) {
+    return new Promise((resolve) => {
+      const { openSession } = venue;
+      venue.openSession = function (socket, key, onOrder) {
+        const session = openSession.call(this, socket, key, onOrder);
+        if (key === apiKey && onOrder) {
+          venue.openSession = openSession;
+          resolve(session);
+        }
+        return session;
+      };
+    });
+  }
+
+  before(async () => {
+    server = await new MockExchangeServer({
+      accounts: [{ ...credentials, balances: { USDT: 100000, BTC: 2 } }],
+      books: { 'BTC/USDT': { bids: [[29990, 5], [29980, 5]], asks: [[30010, 5], [30020, 5]] } },
+    }).start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  describe('MatchingEngine', () => {
+    function engine() {
+      const e = new MatchingEngine({ markets: { 'BTC/USDT': { tickSize: 0.01, stepSize: 0.001 } } });
+      e.addAccount({ apiKey: 'a', secret: 's', balances: { USDT: 1000, BTC: 1 } });
+      e.seedBook('BTC/USDT', { asks: [[100, 1], [101, 1]] });
+      return e;
+    }
+
+    it('fills a market buy across levels and settles balances', () => {
+      const e = engine();
+      const order = e.placeOrder('a', { symbol: 'BTC/USDT', side: 'buy', type: 'market', amount: 1.5 });
+      assert.strictEqual(order.status, 'filled');
+      assert.strictEqual(order.cost, 150.5);
+      assert.strictEqual(e.balances('a').BTC.total, 2.5);
+      assert.strictEqual(e.balances('a').USDT.total, 849.5);
+    });
+
+    it('reserves funds for resting orders and releases them on cancel', () => {
+      const e = engine();
+      const order = e.placeOrder('a', { symbol: 'BTC/USDT', side: 'buy', type: 'limit', amount: 2, price: 90 });
+      assert.strictEqual(e.balances('a').USDT.used, 180);
+      e.cancelOrder('a', { id: order.id });
+      assert.strictEqual(e.balances('a').USDT.used, 0);
+      assert.strictEqual(e.getOrder('a', { id: order.id }).status, 'canceled');
+    });
+
+    it('rejects invalid orders with typed engine errors', () => {
+      const e = engine();
+      const codes = [
+        { amount: 0.0005, price: 90 },
+        { amount: 1, price: 90.001 },
+        { amount: 100, price: 90 },
+        { amount: 1, price: 100, timeInForce: 'PO' },
+      ].map((params) => {
+        try {
+          e.placeOrder('a', { symbol: 'BTC/USDT', side: 'buy', type: 'limit', ...params });
+        } catch (err) {
+          return err.code;
+        }
+      });
+      assert.deepStrictEqual(codes, ['invalid_order', 'invalid_order', 'insufficient_funds', 'would_take']);
+    });
+  });
+
+  for (const [name, Exchange] of [['Binance', Binance], ['Bybit', Bybit], ['OKX', Okx], ['Kraken', Kraken]]) {
+    describe(name, () => {
+      function client(overrides = {}) {
+        return server.attach(new Exchange({ ...credentials, enableRateLimit: false, ...overrides }));
+      }
+
+      it('fills, rests, fetches and cancels orders', async () => {
+        const exchange = client();
+        const markets = await exchange.loadMarkets();
+        assert.ok(markets['BTC/USDT']);
+
+        const before = (await exchange.fetchBalance()).BTC.total;
+        await exchange.createOrder('BTC/USDT', 'market', 'buy', 0.01);
+        assert.strictEqual((await exchange.fetchBalance()).BTC.total, Number((before + 0.01).toFixed(8)));
+
+        const resting = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 20000);
+        const fetched = await exchange.fetchOrder(resting.id, 'BTC/USDT');
+        assert.strictEqual(fetched.status, 'NEW');
+        assert.strictEqual(fetched.price, 20000);
+
+        await exchange.cancelOrder(resting.id, 'BTC/USDT');
+        assert.strictEqual((await exchange.fetchOrder(resting.id, 'BTC/USDT')).status, 'CANCELED');
+        assert.deepStrictEqual(await exchange.fetchOpenOrders('BTC/USDT'), []);
+      });
+
+      it('maps venue errors to typed errors', async () => {
+        const exchange = client();
+        await exchange.loadMarkets();
+        await assert.rejects(() => exchange.createOrder('BTC/USDT', 'limit', 'buy', 100, 29000), InsufficientFunds);
+        await assert.rejects(() => client({ secret: 'wrong' }).fetchBalance(), AuthenticationError);
+      });
+
+      it('streams order book changes and order updates', async () => {
+        const exchange = client();
+        await exchange.loadMarkets();
+        const books = collector();
+        const orders = collector();
+        // Bybit and OKX wait for the login reply before subscribing
+        const streamOpened = orderStreamOpened(server.venues[exchange.id], credentials.apiKey);
+        await exchange.watchOrderBook('BTC/USDT', books);
+        await exchange.watchOrders(orders);
+        await Promise.all([streamOpened, books.until(() => true, 'the first book')]);
+
+        const bestBid = (price, amount) => (book) => book.bids[0][0] === price && book.bids[0][1] === amount;
+        const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.5, 29995);
+        await books.until(bestBid(29995, 0.5), 'the order in the book');
+        await orders.until(() => true, 'an order update');
+
+        await exchange.cancelOrder(order.id, 'BTC/USDT');
+        const restored = await books.until(bestBid(29990, 5), 'the cancel in the book');
+        assert.deepStrictEqual(restored.bids[0], [29990, 5]);
+        assert.ok(orders.items.length > 0);
+        await exchange.closeAllWs();
+      });
+    });
+  }
+
+  it('rejects orders off the tick size as InvalidOrder', async () => {
+    const exchange = server.attach(new Binance({ ...credentials, enableRateLimit: false }));
+    await exchange.loadMarkets();
+    await assert.rejects(() => exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 20000.001), InvalidOrder);
+  });
+});
@@ -205,6 +205,22 @@ describe('OKX Response Unwrapping', () => {
     assert.throws(() => ex._unwrapResponse(data), InsufficientFunds);
   });
 
+  it('maps a failed order through its sCode instead of the generic code 1', () => {
+    const data = { code: '1', msg: 'Operation failed.', data: [{ ordId: '', sCode: '51008', sMsg: 'Insufficient balance' }] };
+    assert.throws(() => ex._unwrapResponse(data), (err) => {
+      assert.ok(err instanceof InsufficientFunds);
+      assert.match(err.message, /Insufficient balance/);
+      return true;
+    });
+  });
+
+  it('uses the first failing sCode and falls back to code without one', () => {
+    const mixed = { code: '2', msg: '', data: [{ ordId: 'a', sCode: '0' }, { ordId: 'b', sCode: '51603', sMsg: 'Order does not exist' }] };
+    assert.throws(() => ex._unwrapResponse(mixed), OrderNotFound);
+    const plain = { code: '1', msg: 'Operation failed.', data: [{ ordId: 'a', sCode: '0' }] };
+    assert.throws(() => ex._unwrapResponse(plain), (err) => err.constructor === ExchangeError);
+  });
+
   it('returns data as-is if no code field', () => {
     const data = { foo: 'bar' };
     assert.deepStrictEqual(ex._unwrapResponse(data), { foo: 'bar' });
@@ -240,7 +256,7 @@ describe('OKX Parsers', () => {
       ts: '1700000000000',
     };
     const t = ex._parseTicker(data);
-    assert.strictEqual(t.symbol, 'BTC-USDT');
+    assert.strictEqual(t.symbol, 'BTC/USDT');
     assert.strictEqual(t.last, 65000.5);
     assert.strictEqual(t.bid, 64999.0);
     assert.strictEqual(t.ask, 65001.0);
@@ -277,7 +293,7 @@ describe('OKX Parsers', () => {
     const o = ex._parseOrder(data);
     assert.strictEqual(o.id, '123456');
     assert.strictEqual(o.clientOrderId, 'my-order-1');
-    assert.strictEqual(o.symbol, 'ETH-USDT');
+    assert.strictEqual(o.symbol, 'ETH/USDT');
     assert.strictEqual(o.type, 'LIMIT');
     assert.strictEqual(o.side, 'BUY');
     assert.strictEqual(o.price, 3500.00);
@@ -369,6 +385,18 @@ describe('OKX Helper Methods', () => {
     assert.strictEqual(ex._countDecimals(null), 8);
   });
 
+  it('_toOkxSymbol: converts unified symbols and passes instIds through', () => {
+    assert.strictEqual(ex._toOkxSymbol('BTC/USDT'), 'BTC-USDT');
+    assert.strictEqual(ex._toOkxSymbol('BTC-USDT'), 'BTC-USDT');
+    assert.strictEqual(ex._toOkxSymbol('BTC-USDT-SWAP'), 'BTC-USDT-SWAP');
+  });
+
+  it('_fromOkxSymbol: converts spot instIds to unified format', () => {
+    assert.strictEqual(ex._fromOkxSymbol('ETH-USDT'), 'ETH/USDT');
+    assert.strictEqual(ex._fromOkxSymbol('BTC-USDT-SWAP'), 'BTC/USDT:USDT');
+    assert.strictEqual(ex._fromOkxSymbol(undefined), undefined);
+  });
+
   it('checkRequiredCredentials: validates all 3 credentials', () => {
     const noKey = new Okx({ secret: 's', passphrase: 'p' });
     assert.throws(() => noKey.checkRequiredCredentials(), /apiKey required/);
@@ -434,6 +462,15 @@ describe('OKX Error Mapping', () => {
     assert.throws(() => ex._handleOkxError('51020', 'Order doesnt exist'), OrderNotFound);
   });
 
+  it('maps 50111 and 50113 to AuthenticationError (invalid key / signature)', () => {
+    assert.throws(() => ex._handleOkxError('50111', 'Invalid OK-ACCESS-KEY'), AuthenticationError);
+    assert.throws(() => ex._handleOkxError('50113', 'Invalid signature'), AuthenticationError);
+  });
+
+  it('maps 51603 to OrderNotFound', () => {
+    assert.throws(() => ex._handleOkxError('51603', 'Order does not exist'), OrderNotFound);
+  });
+
   it('maps 51400 to InvalidOrder (cancel failed)', () => {
     assert.throws(() => ex._handleOkxError('51400', 'Cancel failed'), InvalidOrder);
   });
@@ -545,12 +582,12 @@ describe('OKX API Methods (mocked)', () => {
       ],
     });
     const markets = await ex.loadMarkets();
-    assert.ok(markets['BTC-USDT']);
-    assert.strictEqual(markets['BTC-USDT'].base, 'BTC');
-    assert.strictEqual(markets['BTC-USDT'].quote, 'USDT');
-    assert.strictEqual(markets['BTC-USDT'].active, true);
-    assert.strictEqual(markets['BTC-USDT'].precision.price, 1);
-    assert.strictEqual(markets['BTC-USDT'].precision.amount, 5);
+    assert.ok(markets['BTC/USDT']);
+    assert.strictEqual(markets['BTC/USDT'].base, 'BTC');
+    assert.strictEqual(markets['BTC/USDT'].quote, 'USDT');
+    assert.strictEqual(markets['BTC/USDT'].active, true);
+    assert.strictEqual(markets['BTC/USDT'].precision.price, 1);
+    assert.strictEqual(markets['BTC/USDT'].precision.amount, 5);
   });
 
   it('loadMarkets: returns cached on second call', async () => {
@@ -661,6 +698,24 @@ describe('OKX API Methods (mocked)', () => {
     assert.strictEqual(lastRequest.params.px, undefined);
   });
 
+  it('createOrder: applyPrecision snaps sz/px to lotSz/tickSz', async () => {
+    const market = {
+      id: 'BTC-USDT', symbol: 'BTC/USDT', base: 'BTC', quote: 'USDT',
+      precision: { price: 1, amount: 8 }, stepSize: 0.00000001, tickSize: 0.1,
+    };
+    ex.applyPrecision = true;
+    ex.markets = { 'BTC/USDT': market };
+    ex.marketsById = { 'BTC-USDT': market };
+    ex._marketsLoaded = true;
+    ex._request = async (m, p, params) => {
+      lastRequest = { params };
+      return { code: '0', msg: '', data: [{ ordId: '777' }] };
+    };
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.0012345678912, 50000.06);
+    assert.strictEqual(lastRequest.params.sz, '0.00123456');
+    assert.strictEqual(lastRequest.params.px, '50000.1');
+  });
+
   // cancelOrder
   it('cancelOrder: sends POST with instId + ordId', async () => {
     ex._request = async (m, p, params) => {
@@ -764,9 +819,25 @@ describe('OKX market() lookup', () => {
     });
     await ex.loadMarkets();
     const m = ex.market('BTC-USDT');
-    assert.strictEqual(m.symbol, 'BTC-USDT');
+    assert.strictEqual(m.symbol, 'BTC/USDT');
     assert.strictEqual(m.base, 'BTC');
   });
+
+  it('resolves unified symbols to instIds in requests', async () => {
+    const ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    ex._request = async () => ({
+      code: '0', msg: '', data: [{ instId: 'BTC-USDT', baseCcy: 'BTC', quoteCcy: 'USDT', state: 'live' }],
+    });
+    await ex.loadMarkets();
+    let captured;
+    ex._request = async (method, path, params) => {
+      captured = params;
+      return { code: '0', msg: '', data: [{ ordId: '1', clOrdId: '' }] };
+    };
+    const order = await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 50000);
+    assert.strictEqual(captured.instId, 'BTC-USDT');
+    assert.strictEqual(order.symbol, 'BTC/USDT');
+  });
 });
 
 // =============================================================================
@@ -851,3 +922,1009 @@ describe('Crypto — hmacSHA256Base64', () => {
     assert.strictEqual(base64.length, 44); // base64 is 44 chars
   });
 });
+
+// =============================================================================
+// 14. WEBSOCKET — LOCAL ORDER BOOK (seqId / prevSeqId)
+// =============================================================================
+
+describe('OKX watchOrderBook', () => {
+  let exchange, handler;
+  beforeEach(() => {
+    exchange = new Okx();
+    exchange._subscribeStream = async (channel, args, cb) => { handler = cb; };
+  });
+
+  it('merges updates chained by prevSeqId', async () => {
+    const books = [];
+    await exchange.watchOrderBook('BTC/USDT', (b) => books.push(b), 400);
+    handler({ action: 'snapshot', data: [{ bids: [['100', '1', '0', '1']], asks: [['101', '1', '0', '1']], ts: '1', seqId: 10, prevSeqId: -1 }] });
+    handler({ action: 'update', data: [{ bids: [['100', '0', '0', '0'], ['99', '2', '0', '1']], asks: [], ts: '2', seqId: 11, prevSeqId: 10 }] });
+    assert.strictEqual(books.length, 2);
+    assert.deepStrictEqual(books[1].bids, [[99, 2]]);
+    assert.deepStrictEqual(books[1].asks, [[101, 1]]);
+    assert.strictEqual(books[1].nonce, 11);
+    assert.strictEqual(books[1].symbol, 'BTC/USDT');
+  });
+
+  it('resubscribes when prevSeqId does not match', async () => {
+    const sent = [];
+    exchange._ensureWsConnected = async () => ({ send: (m) => sent.push(m) });
+    const books = [];
+    await exchange.watchOrderBook('BTC/USDT', (b) => books.push(b), 400);
+    handler({ action: 'snapshot', data: [{ bids: [['100', '1', '0', '1']], asks: [], ts: '1', seqId: 10, prevSeqId: -1 }] });
+    handler({ action: 'update', data: [{ bids: [['98', '1', '0', '1']], asks: [], ts: '2', seqId: 15, prevSeqId: 14 }] });
+    await new Promise((r) => setImmediate(r));
+    assert.strictEqual(books.length, 1);
+    assert.deepStrictEqual(sent.map((m) => m.op), ['unsubscribe', 'subscribe']);
+    assert.deepStrictEqual(sent[1].args, [{ channel: 'books', instId: 'BTC-USDT' }]);
+  });
+
+  it('computes the checksum from the raw top-25 strings', () => {
+    const OrderBook = ygcc.OrderBook;
+    const book = new OrderBook().reset({
+      bids: [[3366.1, 7, '3366.1:7'], [3366, 6, '3366:6']],
+      asks: [[3366.8, 9, '3366.8:9'], [3368, 8, '3368:8']],
+    });
+    assert.strictEqual(exchange._okxBookChecksum(book), ygcc.crc32('3366.1:7:3366.8:9:3366:6:3368:8') | 0);
+  });
+
+  it('emits checksumMismatch and resubscribes on a bad checksum', async () => {
+    const sent = [];
+    const mismatches = [];
+    exchange._ensureWsConnected = async () => ({ send: (m) => sent.push(m) });
+    exchange.on('checksumMismatch', (e) => mismatches.push(e));
+    const books = [];
+    await exchange.watchOrderBook('BTC/USDT', (b) => books.push(b), 400);
+    const snapshot = { bids: [['100', '1', '0', '1']], asks: [['101', '2', '0', '1']], ts: '1', seqId: 1, prevSeqId: -1 };
+    snapshot.checksum = ygcc.crc32('100:1:101:2') | 0;
+    handler({ action: 'snapshot', data: [snapshot] });
+    handler({ action: 'update', data: [{ bids: [['100', '3', '0', '1']], asks: [], ts: '2', seqId: 2, prevSeqId: 1, checksum: 12345 }] });
+    await new Promise((r) => setImmediate(r));
+    assert.strictEqual(books.length, 1);
+    assert.strictEqual(mismatches.length, 1);
+    assert.strictEqual(mismatches[0].symbol, 'BTC/USDT');
+    assert.strictEqual(mismatches[0].expected, 12345);
+    assert.deepStrictEqual(sent.map((m) => m.op), ['unsubscribe', 'subscribe']);
+
+    // Fresh snapshot after the resubscribe brings the book back
+    handler({ action: 'snapshot', data: [{ ...snapshot, seqId: 5 }] });
+    assert.strictEqual(books.length, 2);
+  });
+});
+
+// =============================================================================
+// 15. CONDITIONAL ORDERS — /api/v5/trade/order-algo
+// =============================================================================
+
+describe('OKX conditional orders', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { code: '0', msg: '', data: [{ algoId: 'algo-1', algoClOrdId: 'mine', sCode: '0', sMsg: '' }] };
+    };
+  });
+
+  it('reports full conditional order support', () => {
+    for (const flag of ['createStopLossOrder', 'createTakeProfitOrder', 'createTrailingStopOrder', 'createTriggerOrder']) {
+      assert.strictEqual(ex.has[flag], true, flag);
+    }
+  });
+
+  it('stop loss → conditional algo order with slTriggerPx / slOrdPx', async () => {
+    const order = await ex.createStopLossOrder('BTC-USDT', 'market', 'sell', 0.01, undefined, 90000, { clientOrderId: 'mine' });
+    assert.strictEqual(sent.path, '/api/v5/trade/order-algo');
+    assert.strictEqual(sent.params.ordType, 'conditional');
+    assert.strictEqual(sent.params.slTriggerPx, '90000');
+    assert.strictEqual(sent.params.slOrdPx, '-1');
+    assert.strictEqual(sent.params.algoClOrdId, 'mine');
+    assert.strictEqual(sent.params.clientOrderId, undefined);
+    assert.strictEqual(order.id, 'algo-1');
+    assert.strictEqual(order.clientOrderId, 'mine');
+  });
+
+  it('take profit limit → tpTriggerPx / tpOrdPx', async () => {
+    await ex.createTakeProfitOrder('BTC-USDT', 'limit', 'sell', 0.01, 110100, 110000);
+    assert.strictEqual(sent.params.tpTriggerPx, '110000');
+    assert.strictEqual(sent.params.tpOrdPx, '110100');
+  });
+
+  it('triggerPrice → trigger algo order', async () => {
+    await ex.createOrder('BTC-USDT', 'limit', 'buy', 0.01, 100100, { triggerPrice: 100000 });
+    assert.strictEqual(sent.params.ordType, 'trigger');
+    assert.strictEqual(sent.params.triggerPx, '100000');
+    assert.strictEqual(sent.params.orderPx, '100100');
+  });
+
+  it('trailing stop → move_order_stop with callbackRatio or callbackSpread', async () => {
+    await ex.createTrailingStopOrder('BTC-USDT', 'market', 'sell', 0.01, undefined, 2, 105000);
+    assert.strictEqual(sent.params.ordType, 'move_order_stop');
+    assert.strictEqual(sent.params.callbackRatio, '0.02');
+    assert.strictEqual(sent.params.activePx, '105000');
+    await ex.createTrailingStopOrder('BTC-USDT', 'market', 'sell', 0.01, undefined, undefined, undefined, { trailingAmount: 500 });
+    assert.strictEqual(sent.params.callbackSpread, '500');
+    await assert.rejects(() => ex.createTrailingStopOrder('BTC-USDT', 'limit', 'sell', 0.01, 100000, 2), InvalidOrder);
+  });
+
+  it('rejects conflicting conditional params', async () => {
+    await assert.rejects(
+      () => ex.createOrder('BTC-USDT', 'market', 'sell', 0.01, undefined, { stopLossPrice: 1, takeProfitPrice: 2 }),
+      InvalidOrder,
+    );
+  });
+});
+
+// =============================================================================
+// 16. TIME IN FORCE — post_only / ioc / fok ordType, reduceOnly
+// =============================================================================
+
+describe('OKX time in force', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { code: '0', msg: '', data: [{ ordId: 'o-1', clOrdId: '', sCode: '0', sMsg: '' }] };
+    };
+  });
+
+  it('postOnly / IOC / FOK → ordType', async () => {
+    await ex.createOrder('BTC-USDT', 'limit', 'buy', 0.01, 100000, { postOnly: true });
+    assert.strictEqual(sent.params.ordType, 'post_only');
+    assert.strictEqual(sent.params.px, '100000');
+    await ex.createOrder('BTC-USDT', 'limit', 'buy', 0.01, 100000, { timeInForce: 'IOC' });
+    assert.strictEqual(sent.params.ordType, 'ioc');
+    await ex.createOrder('BTC-USDT', 'limit', 'buy', 0.01, 100000, { timeInForce: 'FOK' });
+    assert.strictEqual(sent.params.ordType, 'fok');
+    assert.strictEqual(sent.params.timeInForce, undefined);
+  });
+
+  it('reduceOnly needs a margin tdMode', async () => {
+    await assert.rejects(
+      () => ex.createOrder('BTC-USDT', 'market', 'sell', 0.01, undefined, { reduceOnly: true }),
+      InvalidOrder,
+    );
+    await ex.createOrder('BTC-USDT', 'market', 'sell', 0.01, undefined, { reduceOnly: true, tdMode: 'cross' });
+    assert.strictEqual(sent.params.reduceOnly, true);
+    assert.strictEqual(sent.params.tdMode, 'cross');
+  });
+
+  it('parses ordType back into timeInForce', () => {
+    const order = ex._parseOrder({ ordId: '1', instId: 'BTC-USDT', ordType: 'post_only', side: 'buy', state: 'live', reduceOnly: 'false' });
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    assert.strictEqual(order.reduceOnly, false);
+    assert.strictEqual(ex._parseOrder({ ordType: 'fok', state: 'filled' }).timeInForce, 'FOK');
+  });
+});
+
+// =============================================================================
+// 17. EDIT ORDER — /api/v5/trade/amend-order
+// =============================================================================
+
+describe('OKX editOrder', () => {
+  let ex;
+  let sent;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    ex._request = async (method, path, params) => {
+      sent = { method, path, params };
+      return { code: '0', msg: '', data: [{ ordId: 'o-1', clOrdId: 'c-1', reqId: '', sCode: '0', sMsg: '' }] };
+    };
+  });
+
+  it('amendOrder returns a parsed order', async () => {
+    const order = await ex.amendOrder('o-1', 'BTC-USDT', { newSz: '0.02' });
+    assert.strictEqual(order.id, 'o-1');
+    assert.strictEqual(order.clientOrderId, 'c-1');
+    assert.strictEqual(order.symbol, 'BTC/USDT');
+  });
+
+  it('editOrder maps amount/price to newSz/newPx', async () => {
+    const order = await ex.editOrder('o-1', 'BTC-USDT', 'limit', 'buy', 0.02, 99000);
+    assert.strictEqual(sent.path, '/api/v5/trade/amend-order');
+    assert.strictEqual(sent.params.ordId, 'o-1');
+    assert.strictEqual(sent.params.newSz, '0.02');
+    assert.strictEqual(sent.params.newPx, '99000');
+    assert.strictEqual(order.id, 'o-1');
+    assert.strictEqual(order.type, 'LIMIT');
+    assert.strictEqual(order.side, 'BUY');
+    assert.strictEqual(order.price, 99000);
+    await ex.editOrder('o-1', 'BTC-USDT', 'limit', 'buy', undefined, 98000);
+    assert.strictEqual(sent.params.newSz, undefined);
+  });
+});
+
+// =============================================================================
+// 18. BATCH ORDERS — batch-orders / cancel-batch-orders
+// =============================================================================
+
+describe('OKX batch orders', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  it('createOrders posts an array and maps sCode per order', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params });
+      return {
+        code: '2',
+        msg: '',
+        data: [
+          { ordId: 'o-1', clOrdId: '', sCode: '0', sMsg: '' },
+          { ordId: '', clOrdId: '', sCode: '51008', sMsg: 'Insufficient balance' },
+        ],
+      };
+    };
+    const results = await ex.createOrders([
+      { symbol: 'BTC-USDT', type: 'limit', side: 'buy', amount: 0.01, price: 100000 },
+      { symbol: 'BTC-USDT', type: 'limit', side: 'buy', amount: 10, price: 100000, params: { postOnly: true } },
+      { symbol: 'BTC-USDT', type: 'market', side: 'sell', amount: 0.01, params: { stopLossPrice: 90000 } },
+    ]);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].path, '/api/v5/trade/batch-orders');
+    assert.ok(Array.isArray(calls[0].params));
+    assert.strictEqual(calls[0].params.length, 2);
+    assert.strictEqual(calls[0].params[1].ordType, 'post_only');
+    assert.strictEqual(results[0].order.id, 'o-1');
+    assert.strictEqual(results[0].order.symbol, 'BTC/USDT');
+    assert.ok(results[1].error instanceof InsufficientFunds);
+    assert.ok(results[2].error instanceof InvalidOrder);
+  });
+
+  it('chunks at 20 orders per request', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push(params.length);
+      return { code: '0', msg: '', data: params.map((p, i) => ({ ordId: String(i), sCode: '0' })) };
+    };
+    const orders = Array.from({ length: 45 }, () => ({ symbol: 'BTC-USDT', type: 'limit', side: 'buy', amount: 0.01, price: 1 }));
+    const results = await ex.createOrders(orders);
+    assert.deepStrictEqual(calls, [20, 20, 5]);
+    assert.strictEqual(results.length, 45);
+    assert.ok(results.every((r) => r.success));
+  });
+
+  it('cancelOrders → cancel-batch-orders', async () => {
+    ex._request = async (method, path, params) => {
+      calls.push({ path, params });
+      return { code: '1', msg: '', data: [{ ordId: 'a', sCode: '51400', sMsg: 'Cancel failed' }] };
+    };
+    const results = await ex.cancelOrders(['a'], 'BTC-USDT');
+    assert.strictEqual(calls[0].path, '/api/v5/trade/cancel-batch-orders');
+    assert.deepStrictEqual(calls[0].params, [{ instId: 'BTC-USDT', ordId: 'a' }]);
+    assert.strictEqual(results[0].success, false);
+    assert.ok(results[0].error instanceof InvalidOrder);
+  });
+});
+
+// =============================================================================
+// 19. CLIENT ORDER IDS — clOrdId / algoClOrdId
+// =============================================================================
+
+describe('OKX client order ids', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return { code: '0', msg: '', data: [{ ordId: '1', clOrdId: params.clOrdId || 'abc', sCode: '0', instId: 'BTC-USDT', state: 'live' }] };
+    };
+  });
+
+  it('sends clientOrderId as clOrdId, and as algoClOrdId on conditional orders', async () => {
+    const order = await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 40000, { clientOrderId: 'abc' });
+    await ex.createOrder('BTC/USDT', 'limit', 'sell', 0.01, 39000, { clientOrderId: 'sl1', stopLossPrice: 39500 });
+    assert.strictEqual(calls[0].params.clOrdId, 'abc');
+    assert.strictEqual(calls[0].params.clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'abc');
+    assert.strictEqual(calls[1].params.algoClOrdId, 'sl1');
+  });
+
+  it('generates alphanumeric ids within 32 characters', async () => {
+    ex.generateClientOrderIds = true;
+    ex.clientOrderIdPrefix = 'grid_7-';
+    await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 40000);
+    assert.match(calls[0].params.clOrdId, /^grid7[0-9a-f]+$/);
+    assert.ok(calls[0].params.clOrdId.length <= 32);
+  });
+
+  it('fetchOrder and cancelOrder look orders up by clOrdId', async () => {
+    await ex.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'abc' });
+    await ex.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'abc' });
+    assert.deepStrictEqual(calls[0].params, { instId: 'BTC-USDT', clOrdId: 'abc' });
+    assert.deepStrictEqual(calls[1].params, { instId: 'BTC-USDT', clOrdId: 'abc' });
+  });
+});
+
+// =============================================================================
+// 20. FUNDING — deposit-address / deposit-history / withdrawal / currencies
+// =============================================================================
+
+describe('OKX funding', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '0', msg: '', data };
+  };
+
+  it('fetchDepositAddress picks the chain for the network', async () => {
+    ex._request = respond([
+      { chain: 'USDT-ERC20', ccy: 'USDT', addr: '0xabc', selected: true },
+      { chain: 'USDT-TRC20', ccy: 'USDT', addr: 'TXyz', selected: false },
+    ]);
+    const trc = await ex.fetchDepositAddress('USDT', { network: 'TRC20' });
+    const def = await ex.fetchDepositAddress('USDT');
+    assert.deepStrictEqual(calls[0].params, { ccy: 'USDT' });
+    assert.strictEqual(trc.address, 'TXyz');
+    assert.strictEqual(trc.network, 'TRC20');
+    assert.strictEqual(def.address, '0xabc');
+    await assert.rejects(() => ex.fetchDepositAddress('USDT', { network: 'SOL' }), /no USDT-Solana address/);
+  });
+
+  it('parses deposit and withdrawal states', async () => {
+    ex._request = respond([{ ccy: 'USDT', chain: 'USDT-TRC20', amt: '10', to: 'TXyz', txId: 'h1', ts: '1700000000000', state: '2', depId: 'd1' }]);
+    const [deposit] = await ex.fetchDeposits('USDT', 1690000000000, 5);
+    assert.deepStrictEqual(calls[0].params, { ccy: 'USDT', before: '1690000000000', limit: '5' });
+    assert.strictEqual(deposit.id, 'd1');
+    assert.strictEqual(deposit.status, 'ok');
+    assert.strictEqual(deposit.network, 'TRC20');
+    assert.strictEqual(deposit.timestamp, 1700000000000);
+
+    ex._request = respond([{ ccy: 'USDT', chain: 'USDT-ERC20', amt: '5', to: '0xdef', fee: '1.5', feeCcy: 'USDT', ts: '1700000000000', state: '-2', wdId: 'w1' }]);
+    const [withdrawal] = await ex.fetchWithdrawals('USDT');
+    assert.strictEqual(withdrawal.id, 'w1');
+    assert.strictEqual(withdrawal.status, 'canceled');
+    assert.deepStrictEqual(withdrawal.fee, { cost: 1.5, currency: 'USDT' });
+  });
+
+  it('withdraw sends an on-chain withdrawal with address:tag', async () => {
+    ex._request = respond([{ amt: '20', wdId: 'w9', ccy: 'XRP', chain: 'XRP-Ripple' }]);
+    await assert.rejects(() => ex.withdraw('XRP', 20, 'rAddr', '77'), /requires params.network/);
+    const tx = await ex.withdraw('XRP', 20, 'rAddr', '77', { network: 'XRP-Ripple' });
+    assert.strictEqual(calls[0].path, '/api/v5/asset/withdrawal');
+    assert.deepStrictEqual(calls[0].params, { ccy: 'XRP', amt: '20', dest: '4', toAddr: 'rAddr:77', chain: 'XRP-Ripple' });
+    assert.strictEqual(tx.id, 'w9');
+    assert.strictEqual(tx.status, 'pending');
+    assert.strictEqual(tx.address, 'rAddr');
+    assert.strictEqual(tx.tag, '77');
+  });
+
+  it('fetchDepositWithdrawFees groups chains under their currency', async () => {
+    ex._request = respond([
+      { ccy: 'USDT', chain: 'USDT-ERC20', fee: '3' },
+      { ccy: 'USDT', chain: 'USDT-TRC20', minFee: '0.8' },
+    ]);
+    const fees = await ex.fetchDepositWithdrawFees(['USDT']);
+    assert.deepStrictEqual(calls[0].params, { ccy: 'USDT' });
+    assert.deepStrictEqual(fees.USDT.networks.ERC20.withdraw, { fee: 3, percentage: false });
+    assert.deepStrictEqual(fees.USDT.networks.TRC20.withdraw, { fee: 0.8, percentage: false });
+    assert.strictEqual(fees.USDT.withdraw.fee, undefined);
+  });
+});
+
+// =============================================================================
+// 21. TRANSFERS — funding/trading transfer and sub-account transfer
+// =============================================================================
+
+describe('OKX transfers', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '0', msg: '', data };
+  };
+
+  it('transfer moves funds between funding (6) and trading (18)', async () => {
+    ex._request = respond([{ transId: '754147', ccy: 'USDT', from: '6', to: '18', amt: '1.5' }]);
+    const t = await ex.transfer('usdt', 1.5, 'funding', 'spot');
+    assert.strictEqual(calls[0].method, 'POST');
+    assert.strictEqual(calls[0].path, '/api/v5/asset/transfer');
+    assert.deepStrictEqual(calls[0].params, { ccy: 'USDT', amt: '1.5', from: '6', to: '18', type: '0' });
+    assert.strictEqual(t.id, '754147');
+    assert.strictEqual(t.fromAccount, 'funding');
+    assert.strictEqual(t.toAccount, 'spot');
+    await assert.rejects(() => ex.transfer('USDT', 1, 'spot', 'futures'), /same account/);
+  });
+
+  it('sub-account transfers set the type and subAcct', async () => {
+    ex._request = respond([{ transId: '1' }]);
+    const t = await ex.transfer('USDT', 3, 'funding', 'funding', { toSubAccount: 'bot1' });
+    assert.strictEqual(calls[0].params.type, '1');
+    assert.strictEqual(calls[0].params.subAcct, 'bot1');
+    assert.strictEqual(t.toSubAccount, 'bot1');
+    await ex.transfer('USDT', 3, 'spot', 'funding', { fromSubAccount: 'bot1' });
+    assert.strictEqual(calls[1].params.type, '2');
+    await assert.rejects(
+      () => ex.transfer('USDT', 3, 'funding', 'funding', { fromSubAccount: 'a', toSubAccount: 'b' }),
+      BadRequest,
+    );
+  });
+
+  it('fetchTransfers keeps transfer bills only', async () => {
+    ex._request = respond([
+      { billId: 'b1', ccy: 'USDT', balChg: '-5', type: '131', ts: '1700000000000' },
+      { billId: 'b2', ccy: 'USDT', balChg: '5', type: '130', ts: '1700000001000' },
+      { billId: 'b3', ccy: 'USDT', balChg: '100', type: '1', ts: '1700000002000' },
+    ]);
+    const list = await ex.fetchTransfers('USDT');
+    assert.strictEqual(calls[0].path, '/api/v5/asset/bills');
+    assert.strictEqual(calls[0].params.ccy, 'USDT');
+    assert.deepStrictEqual(list.map((t) => t.id), ['b1', 'b2']);
+    assert.strictEqual(list[0].fromAccount, 'funding');
+    assert.strictEqual(list[0].toAccount, 'spot');
+    assert.strictEqual(list[0].amount, 5);
+    assert.strictEqual(list[1].fromAccount, 'spot');
+    assert.strictEqual(list[1].timestamp, 1700000001000);
+  });
+
+  it('fetchBalance reads the funding account with params.account', async () => {
+    ex._request = respond([{ ccy: 'USDT', bal: '12', availBal: '10', frozenBal: '2' }]);
+    const balance = await ex.fetchBalance({ account: 'funding' });
+    assert.strictEqual(calls[0].path, '/api/v5/asset/balances');
+    assert.deepStrictEqual(calls[0].params, {});
+    assert.deepStrictEqual(balance.USDT, { free: 10, used: 2, total: 12 });
+  });
+});
+
+// =============================================================================
+// 22. LEDGER — account bills and bills-archive
+// =============================================================================
+
+describe('OKX ledger', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '0', msg: '', data };
+  };
+
+  it('parses bills newest-first into an oldest-first page', async () => {
+    const since = Date.now() - 60000;
+    ex._request = respond([
+      { billId: '2', ccy: 'USDT', balChg: '-300.3', bal: '699.7', type: '2', fee: '-0.3', ordId: '680800019749904384', ts: String(since + 2000) },
+      { billId: '1', ccy: 'USDT', balChg: '1000', bal: '1000', type: '1', fee: '0', ordId: '', ts: String(since + 1000) },
+    ]);
+    const [transfer, trade] = await ex.fetchLedger('USDT', since, 10);
+    assert.strictEqual(calls[0].path, '/api/v5/account/bills');
+    assert.deepStrictEqual(calls[0].params, { ccy: 'USDT', begin: String(since), limit: '10' });
+    assert.strictEqual(transfer.type, 'transfer');
+    assert.strictEqual(transfer.referenceId, undefined);
+    assert.strictEqual(transfer.fee, undefined);
+    assert.strictEqual(trade.type, 'trade');
+    assert.strictEqual(trade.direction, 'out');
+    assert.strictEqual(trade.amount, 300.3);
+    assert.strictEqual(trade.before, 1000);
+    assert.deepStrictEqual(trade.fee, { cost: 0.3, currency: 'USDT' });
+    assert.strictEqual(trade.account, 'spot');
+  });
+
+  it('uses the archive for a since older than 7 days', async () => {
+    ex._request = respond([]);
+    await ex.fetchLedger(undefined, Date.now() - 30 * 24 * 60 * 60 * 1000);
+    assert.strictEqual(calls[0].path, '/api/v5/account/bills-archive');
+  });
+});
+
+// =============================================================================
+// 23. DERIVATIVES — SWAP / FUTURES instruments and contract semantics
+// =============================================================================
+
+describe('OKX derivatives', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p', options: { instType: 'SWAP' } });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '0', msg: '', data };
+  };
+
+  const instruments = [
+    { instType: 'SWAP', instId: 'BTC-USDT-SWAP', uly: 'BTC-USDT', baseCcy: '', quoteCcy: '', settleCcy: 'USDT', ctVal: '0.01', ctType: 'linear', expTime: '', lotSz: '1', minSz: '1', tickSz: '0.1', state: 'live' },
+    { instType: 'SWAP', instId: 'BTC-USD-SWAP', uly: 'BTC-USD', baseCcy: '', quoteCcy: '', settleCcy: 'BTC', ctVal: '100', ctType: 'inverse', expTime: '', lotSz: '1', minSz: '1', tickSz: '0.1', state: 'live' },
+  ];
+
+  it('loadMarkets builds linear and inverse swap markets from the underlying', async () => {
+    ex._request = respond(instruments);
+    await ex.loadMarkets();
+    assert.deepStrictEqual(calls[0].params, { instType: 'SWAP' });
+    const linear = ex.markets['BTC/USDT:USDT'];
+    assert.strictEqual(linear.id, 'BTC-USDT-SWAP');
+    assert.strictEqual(linear.type, 'swap');
+    assert.strictEqual(linear.linear, true);
+    assert.strictEqual(linear.contractSize, 0.01);
+    assert.strictEqual(linear.settle, 'USDT');
+    const inverse = ex.markets['BTC/USD:BTC'];
+    assert.strictEqual(inverse.inverse, true);
+    assert.strictEqual(inverse.contractSize, 100);
+  });
+
+  it('loadMarkets adds the expiry to dated futures', async () => {
+    ex = new Okx({ options: { instType: 'FUTURES' } });
+    ex._request = respond([
+      { instType: 'FUTURES', instId: 'BTC-USD-250328', uly: 'BTC-USD', settleCcy: 'BTC', ctVal: '100', ctType: 'inverse', expTime: String(Date.UTC(2025, 2, 28, 8)), lotSz: '1', tickSz: '0.1', state: 'live' },
+    ]);
+    await ex.loadMarkets();
+    const future = ex.markets['BTC/USD:BTC-250328'];
+    assert.strictEqual(future.type, 'future');
+    assert.strictEqual(future.expiry, Date.UTC(2025, 2, 28, 8));
+  });
+
+  it('converts contract symbols before loadMarkets()', () => {
+    assert.strictEqual(ex._toOkxSymbol('BTC/USDT:USDT'), 'BTC-USDT-SWAP');
+    assert.strictEqual(ex._toOkxSymbol('BTC/USD:BTC-250328'), 'BTC-USD-250328');
+    assert.strictEqual(ex._fromOkxSymbol('BTC-USD-SWAP'), 'BTC/USD:BTC');
+    assert.strictEqual(ex._fromOkxSymbol('BTC-USD-250328'), 'BTC/USD:BTC-250328');
+    assert.strictEqual(ex._fromOkxSymbol('BTC-USD-250328-50000-C'), 'BTC-USD-250328-50000-C');
+  });
+
+  it('defaults contract orders to cross margin and spot orders to cash', async () => {
+    ex._request = respond([{ ordId: '1', clOrdId: '', sCode: '0', sMsg: '' }]);
+    await ex.createOrder('BTC/USDT:USDT', 'limit', 'buy', 1, 50000, { reduceOnly: true });
+    assert.strictEqual(calls[0].params.instId, 'BTC-USDT-SWAP');
+    assert.strictEqual(calls[0].params.tdMode, 'cross');
+    assert.strictEqual(calls[0].params.reduceOnly, true);
+    const spot = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    spot._request = ex._request;
+    await spot.createOrder('BTC/USDT', 'limit', 'buy', 1, 50000);
+    assert.strictEqual(calls[1].params.tdMode, 'cash');
+  });
+
+  it('fetchMyTrades takes the instType from the symbol and prices contracts by ctVal', async () => {
+    ex._request = respond(instruments);
+    await ex.loadMarkets();
+    ex._request = respond([{ tradeId: 't1', ordId: 'o1', instId: 'BTC-USD-SWAP', fillPx: '50000', fillSz: '10', side: 'buy', fee: '-0.00001', feeCcy: 'BTC', ts: '1700000000000' }]);
+    const [trade] = await ex.fetchMyTrades('BTC/USD:BTC');
+    assert.strictEqual(calls[1].params.instType, 'SWAP');
+    assert.strictEqual(trade.symbol, 'BTC/USD:BTC');
+    assert.strictEqual(trade.cost, 0.02);
+  });
+});
+
+// =============================================================================
+// 24. POSITIONS — account positions, close-position and the positions channel
+// =============================================================================
+
+describe('OKX positions', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '0', msg: '', data };
+  };
+
+  const position = {
+    instType: 'SWAP', instId: 'BTC-USDT-SWAP', posId: '307173036051017730', posSide: 'net', pos: '-3',
+    avgPx: '60000', markPx: '59000', upl: '30', liqPx: '70000', lever: '5', mgnMode: 'cross',
+    notionalUsd: '1770', imr: '354', mmr: '7', realizedPnl: '-1', uTime: '1700000100000', cTime: '1700000000000',
+  };
+
+  it('fetchPositions filters by instId and reads net-mode signed sizes', async () => {
+    ex._request = respond([position, { ...position, instId: 'ETH-USDT-SWAP', pos: '0' }]);
+    const positions = await ex.fetchPositions(['BTC/USDT:USDT', 'ETH/USDT:USDT']);
+    assert.strictEqual(calls[0].path, '/api/v5/account/positions');
+    assert.deepStrictEqual(calls[0].params, { instId: 'BTC-USDT-SWAP,ETH-USDT-SWAP' });
+    assert.strictEqual(positions.length, 1);
+    const p = positions[0];
+    assert.strictEqual(p.id, '307173036051017730');
+    assert.strictEqual(p.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(p.side, 'short');
+    assert.strictEqual(p.contracts, 3);
+    assert.strictEqual(p.initialMargin, 354);
+    assert.strictEqual(p.marginMode, 'cross');
+    assert.strictEqual(p.hedged, false);
+  });
+
+  it('reads the leg of long/short mode positions from posSide', () => {
+    const p = ex._parsePosition({ ...position, posSide: 'short', pos: '2', mgnMode: 'isolated', margin: '240' });
+    assert.strictEqual(p.side, 'short');
+    assert.strictEqual(p.hedged, true);
+    assert.strictEqual(p.initialMargin, 240);
+  });
+
+  it('closePosition uses close-position with the symbol trade mode', async () => {
+    ex._request = respond([{ instId: 'BTC-USDT-SWAP', posSide: 'long', clOrdId: '' }]);
+    const result = await ex.closePosition('BTC/USDT:USDT', 'long');
+    assert.strictEqual(calls[0].path, '/api/v5/trade/close-position');
+    assert.deepStrictEqual(calls[0].params, { instId: 'BTC-USDT-SWAP', mgnMode: 'cross', posSide: 'long' });
+    assert.strictEqual(result.symbol, 'BTC/USDT:USDT');
+    await ex.closePosition('BTC/USDT:USDT', undefined, { marginMode: 'isolated' });
+    assert.strictEqual(calls[1].params.mgnMode, 'isolated');
+  });
+
+  it('watchPositions subscribes to positions for any instType', async () => {
+    const seen = [];
+    ex._authenticateWsPrivate = async () => {};
+    ex._subscribeStream = async (channel, args, callback) => {
+      assert.deepStrictEqual(args, { channel: 'positions', instType: 'ANY' });
+      callback({ arg: args, data: [position] });
+      return channel;
+    };
+    await ex.watchPositions((p) => seen.push(p));
+    assert.strictEqual(seen[0].contracts, 3);
+  });
+});
+
+// =============================================================================
+// 25. DERIVATIVES MARKET DATA — funding, mark/index candles, open interest
+// =============================================================================
+
+describe('OKX derivatives market data', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx();
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: '0', msg: '', data };
+  };
+
+  const funding = {
+    instType: 'SWAP', instId: 'BTC-USDT-SWAP', fundingRate: '0.0001', nextFundingRate: '0.00015',
+    fundingTime: '1700006400000', nextFundingTime: '1700035200000', ts: '1700000000000',
+  };
+
+  it('fetchFundingRate parses current and predicted rates', async () => {
+    ex._request = respond([funding]);
+    const rate = await ex.fetchFundingRate('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/api/v5/public/funding-rate');
+    assert.deepStrictEqual(calls[0].params, { instId: 'BTC-USDT-SWAP' });
+    assert.strictEqual(rate.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(rate.fundingRate, 0.0001);
+    assert.strictEqual(rate.nextFundingRate, 0.00015);
+    assert.strictEqual(rate.fundingTimestamp, 1700006400000);
+    assert.strictEqual(rate.interval, '8h');
+    assert.strictEqual(rate.timestamp, 1700000000000);
+  });
+
+  it('fetchFundingRates fetches each symbol', async () => {
+    ex._request = async (method, path, params) => respond([{ ...funding, instId: params.instId }])(method, path, params);
+    const rates = await ex.fetchFundingRates(['BTC/USDT:USDT', 'ETH/USDT:USDT']);
+    assert.deepStrictEqual(Object.keys(rates), ['BTC/USDT:USDT', 'ETH/USDT:USDT']);
+    await assert.rejects(() => ex.fetchFundingRates(), /requires symbols/);
+  });
+
+  it('fetchFundingRateHistory pages forward from since and prefers the realized rate', async () => {
+    ex._request = respond([
+      { instId: 'BTC-USDT-SWAP', fundingRate: '0.0002', realizedRate: '0.00019', fundingTime: '1700028800000' },
+      { instId: 'BTC-USDT-SWAP', fundingRate: '0.0001', realizedRate: '0.0001', fundingTime: '1700000000000' },
+    ]);
+    const history = await ex.fetchFundingRateHistory('BTC/USDT:USDT', 1700000000000, 50);
+    assert.deepStrictEqual(calls[0].params, { instId: 'BTC-USDT-SWAP', limit: '50', before: '1699999999999' });
+    assert.deepStrictEqual(history.map((h) => h.fundingRate), [0.0001, 0.00019]);
+    assert.strictEqual(history[1].datetime, '2023-11-15T06:13:20.000Z');
+  });
+
+  it('fetchIndexOHLCV queries the underlying index', async () => {
+    ex._request = respond([['1700000060000', '2', '3', '1', '2.5', '0'], ['1700000000000', '1', '2', '0.5', '2', '1']]);
+    const candles = await ex.fetchIndexOHLCV('ETH/USD:ETH-250328', '1h');
+    assert.strictEqual(calls[0].path, '/api/v5/market/index-candles');
+    assert.deepStrictEqual(calls[0].params, { instId: 'ETH-USD', bar: '1H', limit: '100' });
+    assert.deepStrictEqual(candles[0], [1700000000000, 1, 2, 0.5, 2, undefined]);
+    await ex.fetchMarkOHLCV('BTC/USDT:USDT', '1m');
+    assert.strictEqual(calls[1].path, '/api/v5/market/mark-price-candles');
+    assert.strictEqual(calls[1].params.instId, 'BTC-USDT-SWAP');
+  });
+
+  it('fetchOpenInterest reads contracts and USD value', async () => {
+    ex._request = respond([{ instType: 'SWAP', instId: 'BTC-USDT-SWAP', oi: '25000', oiCcy: '250', oiUsd: '15000000', ts: '1700000000000' }]);
+    const oi = await ex.fetchOpenInterest('BTC/USDT:USDT');
+    assert.deepStrictEqual(calls[0].params, { instType: 'SWAP', instId: 'BTC-USDT-SWAP' });
+    assert.strictEqual(oi.openInterestAmount, 25000);
+    assert.strictEqual(oi.openInterestValue, 15000000);
+    assert.strictEqual(oi.symbol, 'BTC/USDT:USDT');
+  });
+
+  it('watchFundingRate and watchMarkPrice subscribe on the public stream', async () => {
+    const seen = [];
+    const subs = [];
+    ex._subscribeStream = async (channel, args, callback, wsUrl) => {
+      subs.push([channel, args, wsUrl]);
+      if (channel === 'funding-rate') callback({ arg: args, data: [funding] });
+      else callback({ arg: args, data: [{ instType: 'SWAP', instId: 'BTC-USDT-SWAP', markPx: '60000', ts: '1700000000001' }] });
+      return JSON.stringify(args);
+    };
+    await ex.watchFundingRate('BTC/USDT:USDT', (r) => seen.push(r));
+    await ex.watchMarkPrice('BTC/USDT:USDT', (m) => seen.push(m));
+    assert.deepStrictEqual(subs.map((s) => s[1]), [
+      { channel: 'funding-rate', instId: 'BTC-USDT-SWAP' },
+      { channel: 'mark-price', instId: 'BTC-USDT-SWAP' },
+    ]);
+    assert.strictEqual(subs[0][2], undefined);
+    assert.strictEqual(seen[0].fundingRate, 0.0001);
+    assert.strictEqual(seen[1].markPrice, 60000);
+    assert.strictEqual(seen[1].timestamp, 1700000000001);
+  });
+});
+
+// =============================================================================
+// 26. LEVERAGE & MARGIN — leverage, margin/position mode, margin, position tiers
+// =============================================================================
+
+describe('OKX leverage and margin', () => {
+  let ex;
+  let calls;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params, signed) => {
+    calls.push({ method, path, params, signed });
+    return { code: '0', msg: '', data };
+  };
+
+  it('setLeverage uses the contract margin mode', async () => {
+    ex._request = respond([{ instId: 'BTC-USDT-SWAP', lever: '20', mgnMode: 'cross', posSide: '' }]);
+    const lev = await ex.setLeverage(20, 'BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/api/v5/account/set-leverage');
+    assert.deepStrictEqual(calls[0].params, { instId: 'BTC-USDT-SWAP', lever: '20', mgnMode: 'cross' });
+    assert.deepStrictEqual([lev.symbol, lev.marginMode, lev.longLeverage, lev.shortLeverage], ['BTC/USDT:USDT', 'cross', 20, 20]);
+  });
+
+  it('setMarginMode is remembered for later orders and leverage calls', async () => {
+    ex._request = respond([{ instId: 'BTC-USDT-SWAP', lever: '5', mgnMode: 'isolated', posSide: 'long' }]);
+    const mode = await ex.setMarginMode('isolated', 'BTC/USDT:USDT', { leverage: 5, posSide: 'long' });
+    assert.strictEqual(mode.marginMode, 'isolated');
+    assert.deepStrictEqual(calls[0].params, { instId: 'BTC-USDT-SWAP', lever: '5', mgnMode: 'isolated', posSide: 'long' });
+    assert.strictEqual(ex._tdMode('BTC/USDT:USDT'), 'isolated');
+    assert.strictEqual(ex._tdMode('ETH/USDT:USDT'), 'cross');
+    assert.strictEqual(ex._tdMode('BTC/USDT'), 'cash');
+  });
+
+  it('fetchLeverage reads both legs in long/short mode', async () => {
+    ex._marginModes['BTC/USDT:USDT'] = 'isolated';
+    ex._request = respond([
+      { instId: 'BTC-USDT-SWAP', lever: '10', mgnMode: 'isolated', posSide: 'long' },
+      { instId: 'BTC-USDT-SWAP', lever: '3', mgnMode: 'isolated', posSide: 'short' },
+    ]);
+    const lev = await ex.fetchLeverage('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].params.mgnMode, 'isolated');
+    assert.deepStrictEqual([lev.longLeverage, lev.shortLeverage], [10, 3]);
+  });
+
+  it('setPositionMode and addMargin hit the account endpoints', async () => {
+    ex._request = respond([{ instId: 'BTC-USDT-SWAP', posSide: 'net', amt: '25', type: 'add', ccy: 'USDT' }]);
+    const pos = await ex.setPositionMode(true);
+    const m = await ex.addMargin('BTC/USDT:USDT', 25);
+    assert.deepStrictEqual(calls[0].params, { posMode: 'long_short_mode' });
+    assert.strictEqual(pos.hedged, true);
+    assert.strictEqual(calls[1].path, '/api/v5/account/position/margin-balance');
+    assert.deepStrictEqual(calls[1].params, { instId: 'BTC-USDT-SWAP', posSide: 'net', type: 'add', amt: '25' });
+    assert.deepStrictEqual([m.symbol, m.type, m.amount, m.code, m.status], ['BTC/USDT:USDT', 'add', 25, 'USDT', 'ok']);
+  });
+
+  it('fetchMarketLeverageTiers queries the instrument family', async () => {
+    ex._request = respond([
+      { tier: '1', minSz: '0', maxSz: '500', mmr: '0.004', maxLever: '125' },
+      { tier: '2', minSz: '501', maxSz: '1000', mmr: '0.005', maxLever: '100' },
+    ]);
+    const tiers = await ex.fetchMarketLeverageTiers('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/api/v5/public/position-tiers');
+    assert.deepStrictEqual(calls[0].params, { instType: 'SWAP', tdMode: 'cross', instFamily: 'BTC-USDT' });
+    assert.deepStrictEqual(tiers.map((t) => [t.tier, t.minNotional, t.maxNotional, t.maxLeverage]), [
+      [1, 0, 500, 125],
+      [2, 501, 1000, 100],
+    ]);
+    assert.strictEqual(tiers[0].currency, 'USDT');
+  });
+});
+
+// =============================================================================
+// 27. SPOT MARGIN — manual borrow/repay, interest rate, accrued interest, balances
+// =============================================================================
+
+describe('OKX spot margin', () => {
+  let ex;
+  let calls;
+  let replies;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    calls = [];
+    replies = [];
+    ex._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return { code: '0', msg: '', data: replies.shift() };
+    };
+  });
+
+  it('borrowMargin and repayMargin use spot-manual-borrow-repay on cross margin', async () => {
+    replies.push([{ ccy: 'USDT', side: 'borrow', amt: '100' }], [{ ccy: 'USDT', side: 'repay', amt: '100' }]);
+    const loan = await ex.borrowMargin('usdt', 100);
+    await ex.repayMargin('USDT', 100);
+    assert.strictEqual(calls[0].path, '/api/v5/account/spot-manual-borrow-repay');
+    assert.deepStrictEqual(calls[0].params, { ccy: 'USDT', side: 'borrow', amt: '100' });
+    assert.strictEqual(calls[1].params.side, 'repay');
+    assert.deepStrictEqual([loan.currency, loan.amount, loan.symbol], ['USDT', 100, undefined]);
+    await assert.rejects(() => ex.borrowMargin('USDT', 100, 'BTC/USDT'), /cross margin only/);
+  });
+
+  it('fetchBorrowRate and fetchBorrowInterest read the account endpoints', async () => {
+    replies.push([{ ccy: 'BTC', interestRate: '0.0000041' }]);
+    replies.push([
+      { ccy: 'BTC', instId: 'BTC-USDT', mgnMode: 'isolated', interest: '0.00002', interestRate: '0.0000041', liab: '5', ts: '1700003600000' },
+      { ccy: 'BTC', instId: 'BTC-USDT', mgnMode: 'isolated', interest: '0.00001', interestRate: '0.0000041', liab: '4', ts: '1700000000000' },
+    ]);
+    const rate = await ex.fetchBorrowRate('BTC');
+    const interest = await ex.fetchBorrowInterest('BTC', 'BTC/USDT', 1700000000000, 500);
+    assert.deepStrictEqual([rate.rate, rate.period], [0.0000041, 3600000]);
+    assert.deepStrictEqual(calls[1].params, { ccy: 'BTC', instId: 'BTC-USDT', mgnMode: 'isolated', before: '1699999999999', limit: '100' });
+    assert.deepStrictEqual(interest.map((i) => i.amountBorrowed), [4, 5]);
+    assert.deepStrictEqual([interest[0].symbol, interest[0].marginMode], ['BTC/USDT', 'isolated']);
+  });
+
+  it('fetchBalance({ type: margin }) adds cross liabilities as debt', async () => {
+    const details = [
+      { ccy: 'USDT', availBal: '900', frozenBal: '100', eq: '1000', crossLiab: '50', isoLiab: '5', liab: '55' },
+      { ccy: 'BTC', availBal: '0', frozenBal: '0', eq: '0', crossLiab: '0.1', isoLiab: '0', liab: '0.1' },
+    ];
+    replies.push([{ details }], [{ details }], [{ details }]);
+    const cross = await ex.fetchBalance({ type: 'margin' });
+    const isolated = await ex.fetchBalance({ type: 'margin', marginMode: 'isolated' });
+    const spot = await ex.fetchBalance();
+    assert.strictEqual(calls[0].path, '/api/v5/account/balance');
+    assert.deepStrictEqual(calls[0].params, {});
+    assert.deepStrictEqual(cross.USDT, { free: 900, used: 100, total: 1000, debt: 50 });
+    assert.deepStrictEqual(cross.BTC, { free: 0, used: 0, total: 0, debt: 0.1 });
+    assert.strictEqual(isolated.USDT.debt, 5);
+    assert.strictEqual(spot.USDT.debt, undefined);
+    assert.strictEqual(spot.BTC, undefined);
+  });
+
+  it('createOrder turns marginMode into the spot tdMode', async () => {
+    replies.push([{ ordId: '1', clOrdId: '', sCode: '0' }]);
+    await ex.createOrder('BTC/USDT', 'limit', 'sell', 0.01, 60000, { marginMode: 'isolated', ccy: 'USDT' });
+    assert.strictEqual(calls[0].params.tdMode, 'isolated');
+    assert.strictEqual(calls[0].params.ccy, 'USDT');
+    assert.strictEqual(calls[0].params.marginMode, undefined);
+  });
+});
+
+// =============================================================================
+// 28. WEBSOCKET TRADING — order, batch-orders, amend-order, cancel-order
+// =============================================================================
+
+describe('OKX WebSocket trading', () => {
+  const EventEmitter = require('events');
+  const { RequestTimeout } = ygcc;
+  let ex;
+  let sent;
+  let reply;
+
+  beforeEach(() => {
+    ex = new Okx({ apiKey: 'k', secret: 's', passphrase: 'p' });
+    sent = [];
+    reply = (msg) => ({ id: msg.id, op: msg.op, code: '0', msg: '', data: msg.args.map((a, i) => ({ ordId: String(100 + i), clOrdId: a.clOrdId || '', sCode: '0', sMsg: '' })) });
+    const client = new EventEmitter();
+    client.send = (msg) => {
+      sent.push(msg);
+      const response = reply(msg);
+      if (response) setImmediate(() => client.emit('message', response));
+    };
+    ex._authenticateWsPrivate = async () => {};
+    ex._ensureWsConnected = async () => client;
+  });
+
+  it('createOrderWs sends op order with the REST body and parses the result', async () => {
+    const order = await ex.createOrderWs('BTC/USDT', 'limit', 'buy', 0.01, 60000, { clientOrderId: 'abc1' });
+    assert.strictEqual(sent[0].op, 'order');
+    assert.strictEqual(typeof sent[0].id, 'string');
+    assert.deepStrictEqual(sent[0].args, [{ instId: 'BTC-USDT', tdMode: 'cash', side: 'buy', ordType: 'limit', sz: '0.01', px: '60000', clOrdId: 'abc1' }]);
+    assert.deepStrictEqual([order.id, order.symbol], ['100', 'BTC/USDT']);
+    await assert.rejects(() => ex.createOrderWs('BTC/USDT', 'market', 'sell', 0.01, undefined, { stopLossPrice: 50000 }), InvalidOrder);
+  });
+
+  it('createOrdersWs reports batch-orders results per order', async () => {
+    reply = (msg) => ({
+      id: msg.id, op: msg.op, code: '2', msg: '',
+      data: [{ ordId: '1', sCode: '0', sMsg: '' }, { ordId: '', sCode: '51008', sMsg: 'Insufficient balance' }],
+    });
+    const results = await ex.createOrdersWs([
+      { symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 0.01, price: 60000 },
+      { symbol: 'BTC/USDT', type: 'limit', side: 'buy', amount: 100, price: 60000 },
+    ]);
+    assert.strictEqual(sent[0].op, 'batch-orders');
+    assert.strictEqual(sent[0].args.length, 2);
+    assert.deepStrictEqual([results[0].success, results[0].order.id], [true, '1']);
+    assert.ok(results[1].error instanceof InsufficientFunds);
+  });
+
+  it('editOrderWs amends, cancelOrderWs cancels and cancelAllOrdersWs batch-cancels the open orders', async () => {
+    ex.fetchOpenOrders = async () => [{ id: '7', symbol: 'BTC/USDT' }, { id: '8', symbol: 'ETH/USDT' }];
+    const edited = await ex.editOrderWs('100', 'BTC/USDT', 'limit', 'buy', undefined, 60100);
+    const canceled = await ex.cancelOrderWs('100', 'BTC/USDT');
+    const all = await ex.cancelAllOrdersWs();
+    assert.deepStrictEqual(sent.map((m) => m.op), ['amend-order', 'cancel-order', 'batch-cancel-orders']);
+    assert.deepStrictEqual(sent[0].args, [{ instId: 'BTC-USDT', ordId: '100', newPx: '60100' }]);
+    assert.deepStrictEqual([edited.price, edited.type], [60100, 'LIMIT']);
+    assert.deepStrictEqual([canceled.id, canceled.status], ['100', 'CANCELED']);
+    assert.deepStrictEqual(sent[2].args, [{ instId: 'BTC-USDT', ordId: '7' }, { instId: 'ETH-USDT', ordId: '8' }]);
+    assert.strictEqual(all.length, 2);
+  });
+
+  it('cancelAllOrdersWs re-reads open orders until none are left', async () => {
+    const open = Array.from({ length: 130 }, (_, i) => ({ id: 'o' + i, symbol: 'BTC/USDT' }));
+    const fetches = [];
+    ex.fetchOpenOrders = async (symbol, since, limit) => {
+      fetches.push(limit);
+      return open.slice(0, limit);
+    };
+    reply = (msg) => {
+      for (const { ordId } of msg.args) open.splice(open.findIndex((o) => o.id === ordId), 1);
+      return { id: msg.id, op: msg.op, code: '0', msg: '', data: msg.args.map((a) => ({ ordId: a.ordId, clOrdId: '', sCode: '0', sMsg: '' })) };
+    };
+    const all = await ex.cancelAllOrdersWs('BTC/USDT');
+    assert.strictEqual(all.length, 130);
+    assert.strictEqual(open.length, 0);
+    assert.deepStrictEqual(fetches, [100, 100]);
+    assert.deepStrictEqual(sent.map((m) => m.args.length), [20, 20, 20, 20, 20, 20, 10]);
+  });
+
+  it('cancelAllOrdersWs stops when the listed orders were already cancelled', async () => {
+    const page = Array.from({ length: 100 }, (_, i) => ({ id: 'o' + i, symbol: 'BTC/USDT' }));
+    let fetches = 0;
+    ex.fetchOpenOrders = async () => {
+      fetches++;
+      return page;
+    };
+    const all = await ex.cancelAllOrdersWs('BTC/USDT');
+    assert.strictEqual(all.length, 100);
+    assert.strictEqual(fetches, 2);
+  });
+
+  it('maps failed replies to typed errors and a missing reply to RequestTimeout', async () => {
+    reply = (msg) => ({ id: msg.id, op: msg.op, code: '1', msg: '', data: [{ ordId: '', sCode: '51603', sMsg: 'Order does not exist' }] });
+    await assert.rejects(() => ex.cancelOrderWs('1', 'BTC/USDT'), OrderNotFound);
+    reply = () => undefined;
+    ex.timeout = 50;
+    await assert.rejects(() => ex.cancelOrderWs('1', 'BTC/USDT'), RequestTimeout);
+  });
+});
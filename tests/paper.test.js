@@ -0,0 +1,157 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// =====================================================================
+// 1. Paper Trading — simulated orders on real market data
+// =====================================================================
+
+describe('Paper Trading', () => {
+  const { Binance, Kraken, PaperExchange, InsufficientFunds, OrderNotFound, InvalidOrder } = require('../');
+
+  const book = {
+    symbol: 'BTC/USDT',
+    bids: [[29990, 1], [29980, 2]],
+    asks: [[30010, 1], [30020, 2]],
+  };
+
+  function paper(config = { balances: { USDT: 100000, BTC: 1 } }, exchange = new Binance()) {
+    exchange.fetchOrderBook = async () => book;
+    return new PaperExchange(exchange, config);
+  }
+
+  it('forwards market data to the wrapped exchange', async () => {
+    const ex = new Binance();
+    ex.fetchTicker = async (symbol) => ({ symbol, last: 30000 });
+    const p = paper(undefined, ex);
+    assert.strictEqual(p.id, 'binance');
+    assert.deepStrictEqual(await p.fetchTicker('BTC/USDT'), { symbol: 'BTC/USDT', last: 30000 });
+    assert.strictEqual(await p.fetchOrderBook('BTC/USDT'), book);
+  });
+
+  it('fills market orders across book levels at the taker rate', async () => {
+    const p = paper();
+    const order = await p.createOrder('BTC/USDT', 'market', 'buy', 1.5);
+    assert.strictEqual(order.status, 'FILLED');
+    assert.strictEqual(order.cost, 45020);
+    assert.strictEqual(order.fee.cost, 45.02);
+    const balance = await p.fetchBalance();
+    assert.strictEqual(balance.BTC.total, 2.5);
+    assert.strictEqual(balance.USDT.total, 100000 - 45020 - 45.02);
+    assert.strictEqual((await p.fetchMyTrades('BTC/USDT')).length, 2);
+  });
+
+  it('fills a market buy larger than the book up to its depth and cancels the rest', async () => {
+    const p = paper();
+    const order = await p.createOrder('BTC/USDT', 'market', 'buy', 5);
+    assert.strictEqual(order.status, 'CANCELED');
+    assert.strictEqual(order.filled, 3);
+    assert.strictEqual(order.remaining, 2);
+    const balance = await p.fetchBalance();
+    assert.strictEqual(balance.BTC.total, 4);
+    assert.strictEqual(balance.USDT.used, 0);
+    assert.strictEqual(balance.USDT.free, 100000 - 90050 - 90.05);
+  });
+
+  it('reserves a market buy over the liquidity earlier fills left and never overdraws', async () => {
+    const p = paper({ balances: { USDT: 60085 } });
+    await p.createOrder('BTC/USDT', 'market', 'buy', 1);   // takes the whole 30010 level
+    let balance = await p.fetchBalance();
+    assert.strictEqual(balance.USDT.free, 60085 - 30040.01);
+    // The next buy walks to 30020 and needs 30050.02, more than is left
+    await assert.rejects(() => p.createOrder('BTC/USDT', 'market', 'buy', 1), InsufficientFunds);
+    balance = await p.fetchBalance();
+    assert.strictEqual(balance.USDT.free, 60085 - 30040.01);
+    assert.strictEqual(balance.USDT.used, 0);
+    assert.strictEqual(balance.BTC.total, 1);
+  });
+
+  it('uses the exchange maker/taker rates unless overridden', async () => {
+    const kraken = paper(undefined, new Kraken());
+    assert.deepStrictEqual(await kraken.fetchTradingFees(), { maker: 0.0016, taker: 0.0026 });
+    const custom = paper({ balances: { USDT: 100000 }, fees: { taker: 0 } });
+    const order = await custom.createOrder('BTC/USDT', 'market', 'buy', 1);
+    assert.strictEqual(order.fee.cost, 0);
+  });
+
+  it('rests limit orders, reserves funds and fills them when the market crosses', async () => {
+    const p = paper();
+    const updates = [];
+    await p.watchOrders((update) => updates.push(update));
+    p.exchange.watchOrderBook = async (symbol, callback) => { p._push = callback; };
+    await p.watchOrderBook('BTC/USDT', () => {});
+
+    const order = await p.createOrder('BTC/USDT', 'limit', 'buy', 0.5, 29000);
+    assert.strictEqual(order.status, 'NEW');
+    assert.strictEqual((await p.fetchBalance()).USDT.used, 14514.5); // notional + max fee
+    assert.strictEqual((await p.fetchOpenOrders('BTC/USDT')).length, 1);
+
+    p._push({ symbol: 'BTC/USDT', bids: [[28990, 1]], asks: [[28995, 0.2], [29000, 1]] });
+    const filled = await p.fetchOrder(order.id);
+    assert.strictEqual(filled.status, 'FILLED');
+    assert.strictEqual(filled.average, 29000);
+    assert.strictEqual(filled.fee.cost, 14.5);
+
+    const balance = await p.fetchBalance();
+    assert.strictEqual(balance.USDT.used, 0);
+    assert.strictEqual(balance.USDT.total, 100000 - 14500 - 14.5);
+    assert.deepStrictEqual(updates.map((u) => u.executionType), ['NEW', 'TRADE']);
+  });
+
+  it('shares book level liquidity across resting orders and does not refill from it', async () => {
+    const p = paper();
+    p.exchange.watchOrderBook = async (symbol, callback) => { p._push = callback; };
+    await p.watchOrderBook('BTC/USDT', () => {});
+    const first = await p.createOrder('BTC/USDT', 'limit', 'buy', 0.5, 29000);
+    const second = await p.createOrder('BTC/USDT', 'limit', 'buy', 0.5, 29000);
+
+    const level = { symbol: 'BTC/USDT', bids: [[28990, 1]], asks: [[29000, 0.6]] };
+    p._push(level);
+    assert.strictEqual((await p.fetchOrder(first.id)).filled, 0.5);
+    assert.strictEqual((await p.fetchOrder(second.id)).filled, 0.1);
+
+    // The same size again is the liquidity already taken
+    p._push({ ...level });
+    assert.strictEqual((await p.fetchOrder(second.id)).filled, 0.1);
+    assert.strictEqual((await p.fetchMyTrades('BTC/USDT')).length, 2);
+
+    // Only new size at the level fills more
+    p._push({ ...level, asks: [[29000, 0.8]] });
+    const second2 = await p.fetchOrder(second.id);
+    assert.strictEqual(second2.filled, 0.3);
+    assert.strictEqual(second2.status, 'PARTIALLY_FILLED');
+  });
+
+  it('fills resting orders from crossing trades up to the traded amount', async () => {
+    const p = paper();
+    p.exchange.watchTrades = async (symbol, callback) => { p._trade = callback; };
+    await p.watchTrades('BTC/USDT', () => {});
+    const order = await p.createOrder('BTC/USDT', 'limit', 'sell', 1, 31000);
+    p._trade({ symbol: 'BTC/USDT', price: 31005, amount: 0.4 });
+    const partial = await p.fetchOrder(order.id);
+    assert.strictEqual(partial.status, 'PARTIALLY_FILLED');
+    assert.strictEqual(partial.filled, 0.4);
+    assert.strictEqual((await p.fetchBalance()).BTC.used, 0.6);
+  });
+
+  it('cancels orders and releases their reservation', async () => {
+    const p = paper();
+    const order = await p.createOrder('BTC/USDT', 'limit', 'sell', 0.5, 35000);
+    assert.strictEqual((await p.fetchBalance()).BTC.used, 0.5);
+    const canceled = await p.cancelOrder(order.id, 'BTC/USDT');
+    assert.strictEqual(canceled.status, 'CANCELED');
+    assert.deepStrictEqual((await p.fetchBalance()).BTC, { free: 1, used: 0, total: 1 });
+    await assert.rejects(() => p.cancelOrder(order.id), OrderNotFound);
+    assert.strictEqual((await p.fetchClosedOrders('BTC/USDT')).length, 1);
+  });
+
+  it('rejects orders it cannot fund or simulate', async () => {
+    const p = paper({ balances: { USDT: 100 } });
+    await assert.rejects(() => p.createOrder('BTC/USDT', 'limit', 'buy', 1, 29000), InsufficientFunds);
+    await assert.rejects(() => p.createOrder('BTC/USDT', 'market', 'sell', 1), InsufficientFunds);
+    await assert.rejects(() => p.createOrder('BTC/USDT', 'stop', 'buy', 1, 29000), InvalidOrder);
+    await assert.rejects(() => p.createOrder('BTC/USDT', 'limit', 'buy', 1), InvalidOrder);
+    assert.deepStrictEqual((await p.fetchBalance()).USDT, { free: 100, used: 0, total: 100 });
+  });
+});
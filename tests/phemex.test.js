@@ -688,6 +688,33 @@ describe('Phemex — Mocked API Calls', () => {
     assert.strictEqual(params.baseQtyEv, 50000000);
   });
 
+  it('createOrder maps unified timeInForce to Phemex values', async () => {
+    exchange._request = mock.fn(async () => ({
+      code: 0,
+      data: { orderID: 'ord102' },
+    }));
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.001, 50000, { postOnly: true });
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.001, 50000, { timeInForce: 'IOC' });
+    await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.001, 50000);
+    assert.strictEqual(exchange._request.mock.calls[0].arguments[2].timeInForce, 'PostOnly');
+    assert.strictEqual(exchange._request.mock.calls[1].arguments[2].timeInForce, 'ImmediateOrCancel');
+    assert.strictEqual(exchange._request.mock.calls[2].arguments[2].timeInForce, 'GoodTillCancel');
+  });
+
+  it('clientOrderId is sent and looked up as clOrdID', async () => {
+    exchange._request = mock.fn(async () => ({ code: 0, data: { orderID: 'ord-1', clOrdID: 'mine' } }));
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    await exchange.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    await exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    const calls = exchange._request.mock.calls.map((c) => c.arguments[2]);
+    assert.strictEqual(calls[0].clOrdID, 'mine');
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.deepStrictEqual(calls[1], { symbol: 'sBTCUSDT', clOrdID: 'mine' });
+    assert.deepStrictEqual(calls[2], { symbol: 'sBTCUSDT', clOrdID: 'mine' });
+  });
+
   it('cancelOrder sends DELETE with symbol and orderID', async () => {
     exchange._request = mock.fn(async () => ({ code: 0, data: {} }));
     const result = await exchange.cancelOrder('ord-abc', 'BTC/USDT');
@@ -1004,3 +1031,201 @@ describe('Phemex — Version', () => {
     assert.strictEqual(ygcc.version, '2.9.0');
   });
 });
+
+// =============================================================================
+// 17. Positions — USDT-M perpetuals (4 tests)
+// =============================================================================
+
+describe('Phemex — Positions', () => {
+  let exchange;
+  let calls;
+
+  beforeEach(() => {
+    exchange = new Phemex({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    calls = [];
+  });
+
+  const respond = (data) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { code: 0, msg: '', data };
+  };
+
+  const position = {
+    symbol: 'BTCUSDT', currency: 'USDT', side: 'Buy', posSide: 'Merged', sizeRq: '0.2', avgEntryPriceRp: '60000',
+    markPriceRp: '61000', valueRv: '12200', unRealisedPnlRv: '200', curTermRealisedPnlRv: '-1.2',
+    liquidationPriceRp: '45000', leverageRr: '-10', positionMarginRv: '1200', transactTimeNs: '1700000100000000000',
+  };
+
+  it('fetchPositions reads USDT perpetual positions', async () => {
+    exchange._request = respond({ account: {}, positions: [position, { ...position, symbol: 'ETHUSDT', side: 'None', sizeRq: '0' }] });
+    const positions = await exchange.fetchPositions();
+    assert.strictEqual(calls[0].path, '/g-accounts/positions');
+    assert.deepStrictEqual(calls[0].params, { currency: 'USDT' });
+    assert.strictEqual(positions.length, 1);
+    const p = positions[0];
+    assert.strictEqual(p.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(p.side, 'long');
+    assert.strictEqual(p.contracts, 0.2);
+    assert.strictEqual(p.unrealizedPnl, 200);
+    assert.strictEqual(p.timestamp, 1700000100000);
+  });
+
+  it('negative leverageRr is cross margin', () => {
+    const p = exchange._parsePosition(position);
+    assert.strictEqual(p.marginMode, 'cross');
+    assert.strictEqual(p.leverage, 10);
+    assert.strictEqual(exchange._parsePosition({ ...position, leverageRr: '5' }).marginMode, 'isolated');
+  });
+
+  it('closePosition sends a reduce-only market order to /g-orders', async () => {
+    const positions = respond({ account: {}, positions: [{ ...position, side: 'Sell', posSide: 'Short' }] });
+    const placed = respond({ orderID: 'o1' });
+    exchange._request = (method, path, params) => (path === '/g-orders' ? placed : positions)(method, path, params);
+    const order = await exchange.closePosition('BTC/USDT:USDT', 'short');
+    const sent = calls[1];
+    assert.strictEqual(sent.path, '/g-orders');
+    assert.strictEqual(sent.method, 'POST');
+    assert.strictEqual(sent.params.symbol, 'BTCUSDT');
+    assert.strictEqual(sent.params.side, 'Buy');
+    assert.strictEqual(sent.params.posSide, 'Short');
+    assert.strictEqual(sent.params.orderQtyRq, '0.2');
+    assert.strictEqual(sent.params.reduceOnly, true);
+    assert.strictEqual(order.id, 'o1');
+  });
+
+  it('closePosition rejects when flat', async () => {
+    exchange._request = respond({ account: {}, positions: [] });
+    await assert.rejects(() => exchange.closePosition('BTC/USDT:USDT'), /no open BTC\/USDT:USDT position/);
+  });
+});
+
+// =============================================================================
+// 18. Derivatives Market Data — USDT-M perpetuals (4 tests)
+// =============================================================================
+
+describe('Phemex — Derivatives Market Data', () => {
+  let exchange;
+  let calls;
+
+  beforeEach(() => {
+    exchange = new Phemex();
+    calls = [];
+  });
+
+  const respond = (result) => async (method, path, params) => {
+    calls.push({ method, path, params });
+    return { error: null, id: 0, result };
+  };
+
+  const ticker = {
+    symbol: 'BTCUSDT', markPriceRp: '60000', indexPriceRp: '59990', fundingRateRr: '0.0001',
+    predFundingRateRr: '0.00012', openInterestRv: '150.5', timestamp: '1700000000000000000',
+  };
+
+  it('fetchFundingRate reads the USDT-M ticker', async () => {
+    exchange._request = respond(ticker);
+    const rate = await exchange.fetchFundingRate('BTC/USDT:USDT');
+    assert.strictEqual(calls[0].path, '/md/v3/ticker/24hr');
+    assert.deepStrictEqual(calls[0].params, { symbol: 'BTCUSDT' });
+    assert.strictEqual(rate.symbol, 'BTC/USDT:USDT');
+    assert.strictEqual(rate.fundingRate, 0.0001);
+    assert.strictEqual(rate.nextFundingRate, 0.00012);
+    assert.strictEqual(rate.markPrice, 60000);
+    assert.strictEqual(rate.timestamp, 1700000000000);
+  });
+
+  it('fetchFundingRates filters the all-ticker list', async () => {
+    exchange._request = respond([ticker, { ...ticker, symbol: 'ETHUSDT' }]);
+    const rates = await exchange.fetchFundingRates(['ETH/USDT:USDT']);
+    assert.strictEqual(calls[0].path, '/md/v3/ticker/24hr/all');
+    assert.deepStrictEqual(Object.keys(rates), ['ETH/USDT:USDT']);
+  });
+
+  it('fetchFundingRateHistory queries the 8-hour funding index', async () => {
+    exchange._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return { code: 0, msg: 'OK', data: { rows: [
+        { symbol: '.BTCUSDTFR8H', fundingRate: '0.0002', fundingTime: 1700028800000 },
+        { symbol: '.BTCUSDTFR8H', fundingRate: '0.0001', fundingTime: 1700000000000 },
+      ] } };
+    };
+    const history = await exchange.fetchFundingRateHistory('BTC/USDT:USDT', 1700000000000, 2);
+    assert.deepStrictEqual(calls[0].params, { symbol: '.BTCUSDTFR8H', start: 1700000000000, limit: 2 });
+    assert.deepStrictEqual(history.map((h) => h.fundingRate), [0.0001, 0.0002]);
+    assert.strictEqual(history[0].symbol, 'BTC/USDT:USDT');
+  });
+
+  it('fetchOpenInterest values open contracts at the mark price', async () => {
+    exchange._request = respond(ticker);
+    const oi = await exchange.fetchOpenInterest('BTC/USDT:USDT');
+    assert.strictEqual(oi.openInterestAmount, 150.5);
+    assert.strictEqual(oi.openInterestValue, 150.5 * 60000);
+    assert.strictEqual(oi.datetime, '2023-11-14T22:13:20.000Z');
+  });
+});
+
+// =============================================================================
+// 19. Leverage & Margin — USDT-M perpetuals (5 tests)
+// =============================================================================
+
+describe('Phemex — Leverage & Margin', () => {
+  let exchange;
+  let calls;
+  let replies;
+
+  beforeEach(() => {
+    exchange = new Phemex({ apiKey: 'testKey', secret: 'dGVzdFNlY3JldA==' });
+    calls = [];
+    replies = [];
+    exchange._request = async (method, path, params) => {
+      calls.push({ method, path, params });
+      return { code: 0, msg: '', data: replies.shift() };
+    };
+  });
+
+  const position = (fields) => ({
+    symbol: 'BTCUSDT', currency: 'USDT', side: 'Buy', posSide: 'Merged', sizeRq: '0.5',
+    leverageRr: '10', positionMarginRv: '300', ...fields,
+  });
+
+  it('_sign signs PUT query strings sorted by key', () => {
+    const result = exchange._sign('/g-positions/leverage', 'PUT', { symbol: 'BTCUSDT', leverageRr: '10' });
+    assert.deepStrictEqual(Object.keys(result.params), ['leverageRr', 'symbol']);
+    const expiry = result.headers['x-phemex-request-expiry'];
+    const message = '/g-positions/leverageleverageRr=10&symbol=BTCUSDT' + expiry;
+    assert.strictEqual(result.headers['x-phemex-request-signature'], hmacSHA256(message, Buffer.from('dGVzdFNlY3JldA==', 'base64')));
+  });
+
+  it('setLeverage signs cross margin as a negative leverage', async () => {
+    replies.push('OK');
+    const lev = await exchange.setLeverage(20, 'BTC/USDT:USDT', { marginMode: 'cross' });
+    assert.deepStrictEqual(calls[0], { method: 'PUT', path: '/g-positions/leverage', params: { symbol: 'BTCUSDT', leverageRr: '-20' } });
+    assert.deepStrictEqual([lev.marginMode, lev.longLeverage, lev.shortLeverage], ['cross', 20, 20]);
+  });
+
+  it('fetchLeverage and setMarginMode read the current leverage from positions', async () => {
+    replies.push({ positions: [position({ posSide: 'Long', leverageRr: '-5' }), position({ posSide: 'Short', leverageRr: '-3' })] });
+    const lev = await exchange.fetchLeverage('BTC/USDT:USDT');
+    assert.deepStrictEqual([lev.marginMode, lev.longLeverage, lev.shortLeverage], ['cross', 5, 3]);
+    replies.push({ positions: [position()] }, 'OK');
+    const mode = await exchange.setMarginMode('cross', 'BTC/USDT:USDT');
+    assert.deepStrictEqual(calls[2].params, { symbol: 'BTCUSDT', leverageRr: '-10' });
+    assert.strictEqual(mode.marginMode, 'cross');
+  });
+
+  it('setPositionMode switches one contract', async () => {
+    replies.push('OK');
+    const result = await exchange.setPositionMode(true, 'BTC/USDT:USDT');
+    assert.deepStrictEqual(calls[0].params, { symbol: 'BTCUSDT', targetPosMode: 'Hedged' });
+    assert.strictEqual(result.hedged, true);
+    await assert.rejects(() => exchange.setPositionMode(false), /requires symbol/);
+  });
+
+  it('addMargin assigns the new position balance', async () => {
+    replies.push({ positions: [position()] }, 'OK');
+    const m = await exchange.addMargin('BTC/USDT:USDT', 50);
+    assert.strictEqual(calls[1].method, 'POST');
+    assert.strictEqual(calls[1].path, '/g-positions/assign?symbol=BTCUSDT&posSide=Merged&posBalanceRv=350');
+    assert.deepStrictEqual([m.symbol, m.type, m.amount, m.total, m.code], ['BTC/USDT:USDT', 'add', 50, 350, 'USDT']);
+  });
+});
@@ -498,6 +498,22 @@ describe('Pionex Mocked API Calls', () => {
     );
   });
 
+  it('clientOrderId is sent on create and found through orderByClientOrderId', async () => {
+    const calls = [];
+    mock.method(exchange, '_request', async (method, path, params) => {
+      calls.push({ path, params });
+      return { result: true, data: { orderId: 'ord-1', clientOrderId: 'mine', symbol: 'BTC_USDT' } };
+    });
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 0.1, 40000, { clientOrderId: 'mine' });
+    const fetched = await exchange.fetchOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' });
+    assert.strictEqual(calls[0].params.clientOrderId, 'mine');
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.strictEqual(calls[1].path, '/api/v1/trade/orderByClientOrderId');
+    assert.deepStrictEqual(calls[1].params, { clientOrderId: 'mine', symbol: 'BTC_USDT' });
+    assert.strictEqual(fetched.clientOrderId, 'mine');
+    await assert.rejects(() => exchange.cancelOrder(undefined, 'BTC/USDT', { clientOrderId: 'mine' }), /clientOrderId/);
+  });
+
   it('cancelOrder sends DELETE with orderId and symbol', async () => {
     let capturedMethod, capturedPath, capturedParams;
     mock.method(exchange, '_request', async (method, path, params) => {
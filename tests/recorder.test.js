@@ -0,0 +1,166 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// =====================================================================
+// 1. Record / Replay — offline end-to-end flows
+// =====================================================================
+
+describe('Record / Replay', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { WebSocketServer } = require('ws');
+  const { Binance, Recorder, ExchangeError, NetworkError } = require('../');
+
+  const exchangeInfo = {
+    symbols: [{
+      symbol: 'BTCUSDT', baseAsset: 'BTC', quoteAsset: 'USDT', status: 'TRADING',
+      baseAssetPrecision: 8, quotePrecision: 8, orderTypes: ['LIMIT'], permissions: ['SPOT'],
+      filters: [{ filterType: 'PRICE_FILTER', minPrice: '0.01', maxPrice: '1000000', tickSize: '0.01' }],
+    }],
+  };
+  const order = {
+    symbol: 'BTCUSDT', orderId: 42, clientOrderId: 'abc', price: '50000.00', origQty: '0.01',
+    executedQty: '0', status: 'NEW', type: 'LIMIT', side: 'BUY', transactTime: 1700000000000,
+  };
+  const executionReport = {
+    e: 'executionReport', E: 1700000000100, s: 'BTCUSDT', c: 'abc', S: 'BUY', o: 'LIMIT',
+    q: '0.01', p: '50000.00', X: 'FILLED', i: 42, z: '0.01', T: 1700000000100,
+  };
+
+  function fakeFetch() {
+    return async (url, options) => {
+      const { pathname } = new URL(url);
+      const json = (body) => new Response(JSON.stringify(body), { status: 200 });
+      if (pathname === '/api/v3/exchangeInfo') return json(exchangeInfo);
+      if (pathname === '/api/v3/order') return json(order);
+      if (pathname === '/api/v3/userDataStream') return json(options.method === 'POST' ? { listenKey: 'lk1' } : {});
+      return new Response('{"code":-1121,"msg":"Invalid symbol."}', { status: 400 });
+    };
+  }
+
+  async function scenario(ex) {
+    await ex.loadMarkets();
+    const created = await ex.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 50000);
+    const fetched = await ex.fetchOrder('42', 'BTC/USDT');
+    const update = await new Promise((resolve) => { ex.watchOrders(resolve); });
+    await ex.closeAllWs();
+    return { symbols: ex.symbols, created, fetched, update };
+  }
+
+  it('records a flow and replays it without the network', async () => {
+    const server = new WebSocketServer({ port: 0 });
+    await new Promise((resolve) => server.on('listening', resolve));
+    server.on('connection', (socket) => {
+      setTimeout(() => socket.send(JSON.stringify(executionReport)), 20);
+    });
+    const wsUrl = 'ws://127.0.0.1:' + server.address().port + '/ws';
+    const file = path.join(os.tmpdir(), 'ygcc-replay-' + process.pid + '.json');
+
+    try {
+      const recording = new Binance({ apiKey: 'k', secret: 's', fetch: fakeFetch(), record: file });
+      recording.urls.ws = wsUrl;
+      const recorded = await scenario(recording);
+      recording.recorder.save();
+
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      assert.deepStrictEqual(fixture.requests.map((r) => r.method + ' ' + r.path), [
+        'GET /api/v3/exchangeInfo', 'POST /api/v3/order', 'GET /api/v3/order',
+        'POST /api/v3/userDataStream', 'DELETE /api/v3/userDataStream',
+      ]);
+      assert.strictEqual(fixture.ws.length, 1);
+      assert.strictEqual(fixture.ws[0].url, wsUrl + '/lk1');
+
+      const replay = new Binance({
+        apiKey: 'k', secret: 's', replay: file,
+        fetch: async () => { throw new Error('network used during replay'); },
+      });
+      replay.urls.ws = wsUrl;
+      const replayed = await scenario(replay);
+      assert.deepStrictEqual(replayed, recorded);
+      assert.strictEqual(replayed.update.status, 'FILLED');
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  it('replays recorded errors as typed errors', async () => {
+    const ex = new Binance({
+      replay: {
+        requests: [{ method: 'GET', path: '/api/v3/time', params: {}, error: { name: 'NetworkError', message: 'reset' } }],
+      },
+    });
+    await assert.rejects(() => ex._request('GET', '/api/v3/time'), NetworkError);
+  });
+
+  it('matches params first, then falls back to the next response for the path', async () => {
+    const recorder = new Recorder({
+      mode: 'replay',
+      fixtures: {
+        requests: [
+          { method: 'GET', path: '/p', params: { a: 1 }, response: 'first' },
+          { method: 'GET', path: '/p', params: { a: 2 }, response: 'second' },
+        ],
+      },
+    });
+    assert.strictEqual(await recorder.request({ method: 'GET', path: '/p', params: { a: 2 } }), 'second');
+    assert.strictEqual(await recorder.request({ method: 'GET', path: '/p', params: { a: 9 } }), 'first');
+    await assert.rejects(() => recorder.request({ method: 'GET', path: '/p' }), ExchangeError);
+  });
+
+  it('releases recorded frames after each client send', async () => {
+    const { ReplaySocket } = Recorder;
+    const socket = new ReplaySocket('wss://x', [
+      { type: 'recv', data: 'hello' },
+      { type: 'send', data: 'sub' },
+      { type: 'recv', data: 'update' },
+    ]);
+    const seen = [];
+    socket.on('message', (raw) => seen.push(raw.toString()));
+    await new Promise((resolve) => socket.on('open', resolve));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(seen, ['hello']);
+    socket.send('sub');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepStrictEqual(seen, ['hello', 'update']);
+  });
+
+  it('redacts credentials in recorded WebSocket frames', async () => {
+    const server = new WebSocketServer({ port: 0 });
+    await new Promise((resolve) => server.on('listening', resolve));
+    server.on('connection', (socket) => {
+      socket.on('message', () => socket.send(JSON.stringify({ event: 'login', data: { token: 'secret-token' } })));
+    });
+    const recorder = new Recorder({ mode: 'record' });
+    try {
+      const socket = recorder.createSocket('ws://127.0.0.1:' + server.address().port);
+      await new Promise((resolve) => socket.on('open', resolve));
+      const reply = new Promise((resolve) => socket.on('message', resolve));
+      socket.send(JSON.stringify({
+        op: 'login', args: [{ apiKey: 'k', passphrase: 'p', timestamp: '1', sign: 'sig' }],
+      }));
+      await reply;
+      socket.send(JSON.stringify({ op: 'auth', args: ['k', 1700000000000, 'sig'] }));
+      socket.send(JSON.stringify({ method: 'order.place', params: { apiKey: 'k', signature: 'sig', quantity: '1' } }));
+      socket.send('ping');
+      socket.close();
+
+      const frames = recorder.connections[0].frames.map((frame) => frame.data);
+      assert.deepStrictEqual(JSON.parse(frames[0]).args[0], {
+        apiKey: '[REDACTED]', passphrase: '[REDACTED]', timestamp: '1', sign: '[REDACTED]',
+      });
+      assert.deepStrictEqual(JSON.parse(frames[1]).data, { token: '[REDACTED]' });
+      assert.deepStrictEqual(JSON.parse(frames[2]).args, ['[REDACTED]', 1700000000000, '[REDACTED]']);
+      assert.deepStrictEqual(JSON.parse(frames[3]).params, {
+        apiKey: '[REDACTED]', signature: '[REDACTED]', quantity: '1',
+      });
+      assert.strictEqual(frames[4], 'ping');
+      assert.ok(!JSON.stringify(recorder.toJSON()).includes('sig"'));
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
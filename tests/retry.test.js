@@ -0,0 +1,184 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// =====================================================================
+// 1. Retry Policy — BaseExchange._request
+// =====================================================================
+
+describe('Retry Policy', () => {
+  const {
+    Binance, Bybit, Kraken, Gateio, Bitfinex, NetworkError, RequestTimeout, RateLimitExceeded,
+    ExchangeNotAvailable, AuthenticationError,
+  } = require('../');
+
+  function failingThen(ex, errors, result = { ok: true }) {
+    const calls = [];
+    ex._performRequest = async (method, path, params) => {
+      calls.push({ method, path, params });
+      if (errors.length > 0) throw errors.shift();
+      return result;
+    };
+    return calls;
+  }
+
+  it('defaults to 3 retries and can be disabled', () => {
+    assert.strictEqual(new Binance().retry.maxRetries, 3);
+    assert.strictEqual(new Binance({ retry: false }).retry.maxRetries, 0);
+    assert.strictEqual(new Binance({ retry: { maxRetries: 5 } }).retry.baseDelay, 500);
+  });
+
+  it('retries GET requests on transient errors', async () => {
+    const ex = new Binance({ retry: { baseDelay: 1 } });
+    const calls = failingThen(ex, [new NetworkError('reset'), new RequestTimeout('slow'), new ExchangeNotAvailable('503')]);
+    const result = await ex._request('GET', '/api/v3/time');
+    assert.deepStrictEqual(result, { ok: true });
+    assert.strictEqual(calls.length, 4);
+  });
+
+  it('gives up after maxRetries', async () => {
+    const ex = new Binance({ retry: { maxRetries: 1, baseDelay: 1 } });
+    const calls = failingThen(ex, [new NetworkError('a'), new NetworkError('b')]);
+    await assert.rejects(() => ex._request('GET', '/api/v3/time'), /b/);
+    assert.strictEqual(calls.length, 2);
+  });
+
+  it('does not retry non-transient errors', async () => {
+    const ex = new Binance({ retry: { baseDelay: 1 } });
+    const calls = failingThen(ex, [new AuthenticationError('bad key')]);
+    await assert.rejects(() => ex._request('GET', '/api/v3/account'), AuthenticationError);
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it('never retries order placement without a client order id', async () => {
+    const ex = new Binance({ retry: { baseDelay: 1 } });
+    const calls = failingThen(ex, [new RequestTimeout('slow')]);
+    await assert.rejects(() => ex._request('POST', '/api/v3/order', { symbol: 'BTCUSDT' }), RequestTimeout);
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it('retries order placement that carries a client order id', async () => {
+    const ex = new Bybit({ retry: { baseDelay: 1 } });
+    const calls = failingThen(ex, [new RequestTimeout('slow')]);
+    await ex._request('POST', '/v5/order/create', { symbol: 'BTCUSDT', orderLinkId: 'abc' });
+    assert.strictEqual(calls.length, 2);
+  });
+
+  it('does not retry a Binance market order that only carries newClientOrderId', async () => {
+    for (const error of [new ExchangeNotAvailable('503'), new RequestTimeout('slow')]) {
+      const ex = new Binance({ retry: { baseDelay: 1 } });
+      const calls = failingThen(ex, [error]);
+      const order = { symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: '1', newClientOrderId: 'abc' };
+      await assert.rejects(() => ex._request('POST', '/api/v3/order', order), error.constructor);
+      assert.strictEqual(calls.length, 1);
+    }
+  });
+
+  it('does not retry Gate.io order placement that only carries text', async () => {
+    const ex = new Gateio({ retry: { baseDelay: 1 } });
+    const calls = failingThen(ex, [new RequestTimeout('slow')]);
+    await assert.rejects(
+      () => ex._request('POST', '/spot/orders', { currency_pair: 'BTC_USDT', text: 't-abc' }),
+      RequestTimeout,
+    );
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it('does not retry Bitfinex order submit that only carries cid', async () => {
+    const ex = new Bitfinex({ retry: { baseDelay: 1 } });
+    const calls = failingThen(ex, [new RequestTimeout('slow')]);
+    await assert.rejects(
+      () => ex._request('POST', '/v2/auth/w/order/submit', { symbol: 'tBTCUSD', cid: 123 }),
+      RequestTimeout,
+    );
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it('Bitfinex retries authenticated reads but not writes', () => {
+    const ex = new Bitfinex();
+    assert.strictEqual(ex._canRetryRequest('POST', '/v2/auth/r/wallets', {}), true);
+    assert.strictEqual(ex._canRetryRequest('POST', '/v2/auth/r/orders', {}), true);
+    assert.strictEqual(ex._canRetryRequest('POST', '/v2/auth/w/order/submit', {}), false);
+    assert.strictEqual(ex._canRetryRequest('POST', '/v2/auth/w/order/submit', { cid: 1 }), false);
+  });
+
+  it('params.retry = false opts a call out and is not sent', async () => {
+    const ex = new Binance({ retry: { baseDelay: 1 } });
+    const calls = failingThen(ex, [new NetworkError('reset')]);
+    await assert.rejects(() => ex._request('GET', '/api/v3/time', { retry: false }), NetworkError);
+    assert.strictEqual(calls.length, 1);
+    assert.deepStrictEqual(calls[0].params, {});
+  });
+
+  it('honors Retry-After and skips waits longer than maxDelay', () => {
+    const ex = new Binance();
+    const err = new RateLimitExceeded('slow down');
+    err.retryAfter = 2000;
+    assert.strictEqual(ex._retryDelay(err, 0), 2000);
+    err.retryAfter = 120000;
+    assert.strictEqual(ex._retryDelay(err, 0), undefined);
+  });
+
+  it('backs off exponentially with jitter up to maxDelay', () => {
+    const ex = new Binance({ retry: { baseDelay: 100, maxDelay: 300, maxRetries: 10 } });
+    const err = new NetworkError('reset');
+    const d0 = ex._retryDelay(err, 0);
+    const d3 = ex._retryDelay(err, 3);
+    assert.ok(d0 >= 50 && d0 <= 100, `got ${d0}`);
+    assert.ok(d3 >= 150 && d3 <= 300, `got ${d3}`);
+  });
+
+  it('reads Retry-After from 429 responses', async () => {
+    const ex = new Binance({ retry: { maxRetries: 1 } });
+    const originalFetch = globalThis.fetch;
+    let calls = 0;
+    globalThis.fetch = async () => {
+      calls++;
+      if (calls === 1) {
+        return new Response('', { status: 429, headers: { 'Retry-After': '0' } });
+      }
+      return new Response('{"serverTime":1}', { status: 200 });
+    };
+    try {
+      const result = await ex._request('GET', '/api/v3/time');
+      assert.deepStrictEqual(result, { serverTime: 1 });
+      assert.strictEqual(calls, 2);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('parses Retry-After as delay-seconds or an HTTP-date', () => {
+    const ex = new Binance();
+    assert.strictEqual(ex._parseRetryAfter('5'), 5000);
+    assert.strictEqual(ex._parseRetryAfter(null), undefined);
+    assert.strictEqual(ex._parseRetryAfter('soon'), undefined);
+    const future = ex._parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+    assert.ok(future > 8000 && future <= 10000, `got ${future}`);
+    assert.strictEqual(ex._parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+  });
+
+  it('reads an HTTP-date Retry-After from 429 responses', async () => {
+    const ex = new Binance({ retry: { maxRetries: 0 } });
+    const originalFetch = globalThis.fetch;
+    const retryAt = new Date(Date.now() + 5000).toUTCString();
+    globalThis.fetch = async () => new Response('', { status: 429, headers: { 'Retry-After': retryAt } });
+    try {
+      await assert.rejects(() => ex._request('GET', '/api/v3/time'), (err) => {
+        assert.ok(err instanceof RateLimitExceeded);
+        assert.ok(err.retryAfter > 3000 && err.retryAfter <= 5000, `got ${err.retryAfter}`);
+        return true;
+      });
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  it('Kraken retries private reads but not AddOrder', () => {
+    const ex = new Kraken();
+    assert.strictEqual(ex._canRetryRequest('POST', '/0/private/Balance', {}), true);
+    assert.strictEqual(ex._canRetryRequest('POST', '/0/private/AddOrder', {}), false);
+    assert.strictEqual(ex._canRetryRequest('POST', '/0/private/AddOrder', { cl_ord_id: 'x' }), false);
+  });
+});
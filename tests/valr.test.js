@@ -497,6 +497,21 @@ describe('VALR Mocked API Calls', () => {
     );
   });
 
+  it('clientOrderId is sent and canceled by as customerOrderId', async () => {
+    const calls = [];
+    mock.method(exchange, '_request', async (method, path, params) => {
+      calls.push(params);
+      return { id: 'abc-1' };
+    });
+    const order = await exchange.createOrder('BTC/ZAR', 'limit', 'buy', 0.1, 900000, { clientOrderId: 'mine' });
+    await exchange.cancelOrder(undefined, 'BTC/ZAR', { clientOrderId: 'mine' });
+    assert.strictEqual(calls[0].customerOrderId, 'mine');
+    assert.strictEqual(calls[0].clientOrderId, undefined);
+    assert.strictEqual(order.clientOrderId, 'mine');
+    assert.strictEqual(calls[1].customerOrderId, 'mine');
+    assert.strictEqual(calls[1].orderId, undefined);
+  });
+
   it('cancelOrder sends DELETE to /v1/orders/order', async () => {
     let capturedMethod, capturedPath, capturedParams;
     mock.method(exchange, '_request', async (method, path, params) => {
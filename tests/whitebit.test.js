@@ -495,6 +495,25 @@ describe('WhiteBit Mocked API Calls', () => {
     );
   });
 
+  it('createOrder sends postOnly and ioc flags on limit orders', async () => {
+    let capturedParams;
+    mock.method(exchange, '_request', async (method, path, params) => {
+      capturedParams = params;
+      return { orderId: '124', market: 'BTC_USDT', side: 'buy', type: 'limit', postOnly: true };
+    });
+    const order = await exchange.createOrder('BTC/USDT', 'limit', 'buy', 1, 50000, { postOnly: true });
+    assert.strictEqual(capturedParams.postOnly, true);
+    assert.strictEqual(capturedParams.ioc, undefined);
+    assert.strictEqual(order.timeInForce, 'PO');
+    assert.strictEqual(order.postOnly, true);
+    await exchange.createOrder('BTC/USDT', 'limit', 'buy', 1, 50000, { timeInForce: 'IOC' });
+    assert.strictEqual(capturedParams.ioc, true);
+    await assert.rejects(
+      () => exchange.createOrder('BTC/USDT', 'limit', 'buy', 1, 50000, { postOnly: true, timeInForce: 'IOC' }),
+      /postOnly/
+    );
+  });
+
   it('cancelOrder sends POST to cancel endpoint', async () => {
     let capturedMethod, capturedPath;
     mock.method(exchange, '_request', async (method, path) => {